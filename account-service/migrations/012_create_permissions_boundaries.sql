@@ -0,0 +1,18 @@
+-- Permissions boundaries
+-- A managed policy set as a user's or role's permissions boundary caps what its identity
+-- policies can grant: effective permissions are the intersection of both
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS permissions_boundary_policy_id UUID NULL
+REFERENCES policies(id) ON DELETE RESTRICT;
+
+ALTER TABLE roles
+ADD COLUMN IF NOT EXISTS permissions_boundary_policy_id UUID NULL
+REFERENCES policies(id) ON DELETE RESTRICT;
+
+-- Create indexes for boundary lookups when deleting policies
+CREATE INDEX IF NOT EXISTS idx_users_permissions_boundary ON users(permissions_boundary_policy_id);
+CREATE INDEX IF NOT EXISTS idx_roles_permissions_boundary ON roles(permissions_boundary_policy_id);
+
+-- Add comments
+COMMENT ON COLUMN users.permissions_boundary_policy_id IS 'Managed policy used as the user permissions boundary (NULL = no boundary)';
+COMMENT ON COLUMN roles.permissions_boundary_policy_id IS 'Managed policy used as the role permissions boundary (NULL = no boundary)';
@@ -0,0 +1,63 @@
+-- Organizations: organizational units and service control policies (SCPs)
+-- A management account owns a tree of organizational units. Member accounts placed in the
+-- tree are limited by the SCPs attached to their account and to every OU above it.
+-- SCPs apply to every principal of a member account, root users included.
+CREATE TABLE IF NOT EXISTS organizational_units (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    management_account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    parent_id UUID NULL REFERENCES organizational_units(id) ON DELETE RESTRICT,
+    name VARCHAR(128) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT organizational_units_name_not_empty CHECK (LENGTH(TRIM(name)) > 0)
+);
+
+-- OU names are unique among siblings (root OUs have a NULL parent)
+CREATE UNIQUE INDEX IF NOT EXISTS organizational_units_sibling_name_unique
+ON organizational_units (management_account_id, COALESCE(parent_id, '00000000-0000-0000-0000-000000000000'::uuid), name);
+
+-- Member accounts point to the OU they belong to (NULL = not in an organization)
+ALTER TABLE accounts
+ADD COLUMN IF NOT EXISTS organizational_unit_id UUID NULL
+REFERENCES organizational_units(id) ON DELETE RESTRICT;
+
+-- Service control policies attached to a member account or to an OU
+CREATE TABLE IF NOT EXISTS service_control_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    management_account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    target_type VARCHAR(30) NOT NULL,
+    target_id UUID NOT NULL,
+    name VARCHAR(128) NOT NULL,
+    description TEXT,
+    policy_document JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT service_control_policies_target_type_valid CHECK (target_type IN ('account', 'organizational_unit')),
+    CONSTRAINT service_control_policies_name_unique UNIQUE (target_type, target_id, name)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_organizational_units_management_account ON organizational_units(management_account_id);
+CREATE INDEX IF NOT EXISTS idx_organizational_units_parent ON organizational_units(parent_id);
+CREATE INDEX IF NOT EXISTS idx_accounts_organizational_unit ON accounts(organizational_unit_id);
+CREATE INDEX IF NOT EXISTS idx_service_control_policies_target ON service_control_policies(target_type, target_id);
+
+-- Triggers to automatically update updated_at
+CREATE TRIGGER update_organizational_units_updated_at
+    BEFORE UPDATE ON organizational_units
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_service_control_policies_updated_at
+    BEFORE UPDATE ON service_control_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE organizational_units IS 'Organizational unit tree owned by a management account';
+COMMENT ON COLUMN accounts.organizational_unit_id IS 'OU the account belongs to (NULL = standalone account, no SCPs apply)';
+COMMENT ON TABLE service_control_policies IS 'Guardrail policies that cap the permissions of every principal in member accounts';
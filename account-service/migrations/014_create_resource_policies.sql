@@ -0,0 +1,28 @@
+-- Resource-based policies
+-- A resource owner attaches a policy with a Principal element to an ARN in its account
+-- (e.g., a bucket or queue registered by a downstream service). Cross-account requests
+-- must be allowed both by the caller's identity policies and by the resource policy.
+CREATE TABLE IF NOT EXISTS resource_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    resource_arn VARCHAR(2048) NOT NULL,
+    policy_document JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT resource_policies_resource_arn_unique UNIQUE (resource_arn)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_resource_policies_account_id ON resource_policies(account_id);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_resource_policies_updated_at
+    BEFORE UPDATE ON resource_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE resource_policies IS 'Resource-based policies (one per resource ARN) evaluated together with identity policies';
+COMMENT ON COLUMN resource_policies.account_id IS 'Account that owns the resource (matches the account field of the ARN)';
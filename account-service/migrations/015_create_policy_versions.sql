@@ -0,0 +1,36 @@
+-- Managed policy versions
+-- Every change to a policy document creates a new immutable version (v1, v2, ...), with at most
+-- 5 versions per policy. policies.policy_document always holds a copy of the default version,
+-- which is the only one evaluated.
+ALTER TABLE policies
+ADD COLUMN IF NOT EXISTS default_version_number INTEGER NOT NULL DEFAULT 1;
+
+-- Last version number handed out; version numbers are never reused after a delete
+ALTER TABLE policies
+ADD COLUMN IF NOT EXISTS version_counter INTEGER NOT NULL DEFAULT 1;
+
+CREATE TABLE IF NOT EXISTS policy_versions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    policy_id UUID NOT NULL REFERENCES policies(id) ON DELETE CASCADE,
+    version_number INTEGER NOT NULL,
+    policy_document JSONB NOT NULL,
+    created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT policy_versions_number_positive CHECK (version_number > 0),
+    CONSTRAINT policy_versions_policy_number_unique UNIQUE (policy_id, version_number)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_policy_versions_policy_id ON policy_versions(policy_id);
+
+-- Existing policies start with their current document as v1
+INSERT INTO policy_versions (policy_id, version_number, policy_document, created_at)
+SELECT id, 1, policy_document, created_at FROM policies
+ON CONFLICT (policy_id, version_number) DO NOTHING;
+
+-- Add comments
+COMMENT ON TABLE policy_versions IS 'Immutable versions of managed policy documents (max 5 per policy)';
+COMMENT ON COLUMN policies.default_version_number IS 'Version evaluated by the policy engine; policy_document mirrors it';
+COMMENT ON COLUMN policy_versions.created_by IS 'User who created the version (NULL for system or migrated versions)';
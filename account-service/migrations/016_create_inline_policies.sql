@@ -0,0 +1,55 @@
+-- Inline policies for users and groups
+-- An inline policy is embedded in a single principal (no ARN, not shareable) and is deleted
+-- together with it. role_inline_policies already exists (migration 005); these tables follow
+-- the same layout.
+CREATE TABLE IF NOT EXISTS user_inline_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    policy_name VARCHAR(128) NOT NULL,
+    policy_document JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT user_inline_policies_unique UNIQUE (user_id, policy_name),
+    CONSTRAINT user_inline_policies_name_check CHECK (policy_name ~ '^[a-zA-Z0-9+=,.@\-_]+$')
+);
+
+CREATE TABLE IF NOT EXISTS group_inline_policies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    group_id UUID NOT NULL REFERENCES groups(id) ON DELETE CASCADE,
+    policy_name VARCHAR(128) NOT NULL,
+    policy_document JSONB NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT group_inline_policies_unique UNIQUE (group_id, policy_name),
+    CONSTRAINT group_inline_policies_name_check CHECK (policy_name ~ '^[a-zA-Z0-9+=,.@\-_]+$')
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_user_inline_policies_user_id ON user_inline_policies(user_id);
+CREATE INDEX IF NOT EXISTS idx_group_inline_policies_group_id ON group_inline_policies(group_id);
+
+-- Triggers to automatically update updated_at
+CREATE TRIGGER update_user_inline_policies_updated_at
+    BEFORE UPDATE ON user_inline_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_group_inline_policies_updated_at
+    BEFORE UPDATE ON group_inline_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+DROP TRIGGER IF EXISTS update_role_inline_policies_updated_at ON role_inline_policies;
+CREATE TRIGGER update_role_inline_policies_updated_at
+    BEFORE UPDATE ON role_inline_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE user_inline_policies IS 'Policies embedded in a single user, evaluated with its managed policies';
+COMMENT ON TABLE group_inline_policies IS 'Policies embedded in a single group, evaluated for every member';
+COMMENT ON TABLE role_inline_policies IS 'Policies embedded in a single role, evaluated for its sessions';
@@ -0,0 +1,13 @@
+-- Role session credentials
+-- Session tokens returned by AssumeRole authenticate API calls (X-Amz-Security-Token header);
+-- the token is looked up by its hash. A session policy passed to AssumeRole narrows the
+-- permissions of the session: both the role policies and the session policy must allow.
+ALTER TABLE role_sessions
+ADD COLUMN IF NOT EXISTS session_policy JSONB NULL;
+
+-- Create index for token lookups on every authenticated request
+CREATE INDEX IF NOT EXISTS idx_role_sessions_session_token_hash ON role_sessions(session_token_hash);
+
+-- Add comments
+COMMENT ON COLUMN role_sessions.session_token_hash IS 'SHA-256 of the session token presented in X-Amz-Security-Token';
+COMMENT ON COLUMN role_sessions.session_policy IS 'Inline session policy passed to AssumeRole (NULL = role policies only)';
@@ -0,0 +1,13 @@
+-- Session policies and session tags
+-- Managed policies passed to AssumeRole (PolicyArns) narrow the session together with the
+-- inline session policy. Session tags are available as aws:PrincipalTag/<key>; transitive
+-- tag keys are passed on to the sessions of roles assumed from this session.
+ALTER TABLE role_sessions
+ADD COLUMN IF NOT EXISTS session_policy_arns JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS session_tags JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS transitive_tag_keys JSONB NOT NULL DEFAULT '[]';
+
+-- Add comments
+COMMENT ON COLUMN role_sessions.session_policy_arns IS 'ARNs of managed policies used as session policies';
+COMMENT ON COLUMN role_sessions.session_tags IS 'Session tags as [{"key": ..., "value": ...}]';
+COMMENT ON COLUMN role_sessions.transitive_tag_keys IS 'Tag keys inherited by chained role sessions';
@@ -0,0 +1,19 @@
+-- Role session lineage
+-- A role session can assume another role (role chaining, capped at one hour), possibly in another
+-- account. Each session records the session it was assumed from, the ids of all sessions up the
+-- chain and the source identity, which is set once and inherited by every chained session.
+ALTER TABLE role_sessions
+ADD COLUMN IF NOT EXISTS parent_session_id UUID NULL REFERENCES role_sessions(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS session_chain JSONB NOT NULL DEFAULT '[]',
+ADD COLUMN IF NOT EXISTS source_identity VARCHAR(64) NULL,
+ADD COLUMN IF NOT EXISTS source_account_id UUID NULL REFERENCES accounts(id) ON DELETE SET NULL;
+
+-- Create indexes for lineage lookups
+CREATE INDEX IF NOT EXISTS idx_role_sessions_parent_session_id ON role_sessions(parent_session_id);
+CREATE INDEX IF NOT EXISTS idx_role_sessions_source_identity ON role_sessions(source_identity);
+
+-- Add comments
+COMMENT ON COLUMN role_sessions.parent_session_id IS 'Role session that assumed this role (NULL when assumed by a user)';
+COMMENT ON COLUMN role_sessions.session_chain IS 'Ids of the sessions up the chain, oldest first (excluding this session)';
+COMMENT ON COLUMN role_sessions.source_identity IS 'Source identity set by the first principal of the chain';
+COMMENT ON COLUMN role_sessions.source_account_id IS 'Account of the user that started the chain';
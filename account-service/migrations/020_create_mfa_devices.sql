@@ -0,0 +1,48 @@
+-- Virtual MFA devices (TOTP, RFC 6238)
+-- A user enrolls a device (status Pending), activates it with two consecutive codes and from then
+-- on must present a code (or a one-time recovery code) at login. Only the root user of the
+-- account can deactivate the device of another user.
+-- The shared secret is needed to compute codes, so it is stored encrypted (AES-256-GCM), never hashed.
+CREATE TABLE IF NOT EXISTS mfa_devices (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    serial_number VARCHAR(512) NOT NULL,
+    encrypted_secret TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Pending',
+    last_used_step BIGINT NULL,
+    enabled_at TIMESTAMP WITH TIME ZONE NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT mfa_devices_user_unique UNIQUE (user_id),
+    CONSTRAINT mfa_devices_status_check CHECK (status IN ('Pending', 'Active'))
+);
+
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    code_hash VARCHAR(64) NOT NULL,
+    used_at TIMESTAMP WITH TIME ZONE NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT mfa_recovery_codes_unique UNIQUE (user_id, code_hash)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_mfa_devices_account_id ON mfa_devices(account_id);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user_id ON mfa_recovery_codes(user_id);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_mfa_devices_updated_at
+    BEFORE UPDATE ON mfa_devices
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE mfa_devices IS 'Virtual (TOTP) MFA devices, at most one per user';
+COMMENT ON COLUMN mfa_devices.encrypted_secret IS 'Base32 TOTP shared secret encrypted with AES-256-GCM (iv:tag:ciphertext, base64)';
+COMMENT ON COLUMN mfa_devices.last_used_step IS 'Last accepted TOTP time step; codes of earlier or equal steps are rejected (no replay)';
+COMMENT ON TABLE mfa_recovery_codes IS 'One-time recovery codes (SHA-256) usable instead of a TOTP code at login';
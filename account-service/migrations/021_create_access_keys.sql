@@ -0,0 +1,38 @@
+-- Access keys for programmatic access of IAM users
+-- Requests are signed with the secret access key (AWS4-HMAC-SHA256 style) instead of a Bearer token.
+-- The secret is needed to verify signatures, so it is stored encrypted (AES-256-GCM), never hashed.
+-- A user has at most two keys, which allows rotating a key without downtime.
+CREATE TABLE IF NOT EXISTS access_keys (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    access_key_id VARCHAR(20) NOT NULL,
+    encrypted_secret TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'Active',
+    last_used_at TIMESTAMP WITH TIME ZONE NULL,
+    last_used_service VARCHAR(64) NULL,
+    last_used_region VARCHAR(64) NULL,
+    last_used_ip VARCHAR(64) NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT access_keys_access_key_id_unique UNIQUE (access_key_id),
+    CONSTRAINT access_keys_status_check CHECK (status IN ('Active', 'Inactive'))
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_access_keys_user_id ON access_keys(user_id);
+CREATE INDEX IF NOT EXISTS idx_access_keys_account_id ON access_keys(account_id);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_access_keys_updated_at
+    BEFORE UPDATE ON access_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE access_keys IS 'Access keys of IAM users (at most two per user)';
+COMMENT ON COLUMN access_keys.access_key_id IS 'Public key identifier (AKIA + 16 characters), sent in the Credential of signed requests';
+COMMENT ON COLUMN access_keys.encrypted_secret IS 'Secret access key encrypted with AES-256-GCM (iv:tag:ciphertext, base64)';
+COMMENT ON COLUMN access_keys.last_used_at IS 'Last time a request signed with the key was accepted';
@@ -0,0 +1,50 @@
+-- Account password policies
+-- One optional policy per account. Without a policy the built-in defaults apply (6 characters,
+-- no character classes, no expiry). Password history keeps the hashes needed for reuse prevention.
+CREATE TABLE IF NOT EXISTS password_policies (
+    account_id UUID PRIMARY KEY REFERENCES accounts(id) ON DELETE CASCADE,
+    minimum_password_length INTEGER NOT NULL DEFAULT 6,
+    require_uppercase_characters BOOLEAN NOT NULL DEFAULT FALSE,
+    require_lowercase_characters BOOLEAN NOT NULL DEFAULT FALSE,
+    require_numbers BOOLEAN NOT NULL DEFAULT FALSE,
+    require_symbols BOOLEAN NOT NULL DEFAULT FALSE,
+    max_password_age INTEGER NULL,
+    password_reuse_prevention INTEGER NULL,
+    hard_expiry BOOLEAN NOT NULL DEFAULT FALSE,
+    allow_users_to_change_password BOOLEAN NOT NULL DEFAULT TRUE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT password_policies_minimum_length_check CHECK (minimum_password_length BETWEEN 6 AND 128),
+    CONSTRAINT password_policies_max_age_check CHECK (max_password_age IS NULL OR max_password_age BETWEEN 1 AND 1095),
+    CONSTRAINT password_policies_reuse_check CHECK (password_reuse_prevention IS NULL OR password_reuse_prevention BETWEEN 1 AND 24)
+);
+
+CREATE TABLE IF NOT EXISTS password_history (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    password_hash VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Password age and forced change of users
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_changed_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_reset_required BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_password_history_user_id ON password_history(user_id, created_at DESC);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_password_policies_updated_at
+    BEFORE UPDATE ON password_policies
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE password_policies IS 'Password policy of an account (applies to all users; expiry only to IAM users)';
+COMMENT ON COLUMN password_policies.max_password_age IS 'Days after which a password expires (NULL = never)';
+COMMENT ON COLUMN password_policies.password_reuse_prevention IS 'Number of previous passwords that cannot be reused (NULL = no check)';
+COMMENT ON COLUMN password_policies.hard_expiry IS 'Expired passwords cannot be changed by the user at login; the root user must reset them';
+COMMENT ON TABLE password_history IS 'Previous password hashes of users, for reuse prevention';
+COMMENT ON COLUMN users.password_reset_required IS 'The user must set a new password at the next login';
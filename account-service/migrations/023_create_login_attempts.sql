@@ -0,0 +1,41 @@
+-- Failed login tracking for brute-force protection
+-- One row per subject: an IAM user (account + username), an email (root/email login) or a source IP.
+-- Failures are counted inside a sliding window; after a few failures each attempt is delayed
+-- progressively and once the limit is reached the subject is locked for a while.
+-- Rows are keyed by what the client submitted, so unknown users are tracked the same way as real ones.
+CREATE TABLE IF NOT EXISTS login_attempts (
+    subject_key VARCHAR(512) PRIMARY KEY,
+    subject_type VARCHAR(20) NOT NULL,
+    account_id UUID NULL,
+    failed_count INTEGER NOT NULL DEFAULT 0,
+    first_failed_at TIMESTAMP WITH TIME ZONE NULL,
+    last_failed_at TIMESTAMP WITH TIME ZONE NULL,
+    last_ip VARCHAR(64) NULL,
+    locked_at TIMESTAMP WITH TIME ZONE NULL,
+    locked_until TIMESTAMP WITH TIME ZONE NULL,
+    lockout_count INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT login_attempts_subject_type_check CHECK (subject_type IN ('iam_user', 'email', 'ip')),
+    CONSTRAINT login_attempts_failed_count_check CHECK (failed_count >= 0)
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_login_attempts_locked_until ON login_attempts(locked_until) WHERE locked_until IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_login_attempts_last_failed_at ON login_attempts(last_failed_at);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_account_id ON login_attempts(account_id);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_login_attempts_updated_at
+    BEFORE UPDATE ON login_attempts
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE login_attempts IS 'Failed login attempts and temporary lockouts per IAM user, email and source IP';
+COMMENT ON COLUMN login_attempts.subject_key IS 'iam_user:<accountId>:<username>, email:<email> or ip:<address>';
+COMMENT ON COLUMN login_attempts.failed_count IS 'Consecutive failures inside the failure window (reset by a successful login or a lockout)';
+COMMENT ON COLUMN login_attempts.locked_until IS 'Logins for the subject are refused until this time';
+COMMENT ON COLUMN login_attempts.lockout_count IS 'Lockouts since the last successful login';
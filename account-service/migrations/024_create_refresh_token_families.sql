@@ -0,0 +1,47 @@
+-- Refresh token families (sessions)
+-- Every login starts a family; each refresh rotates its refresh token and only the latest one
+-- (current_jti) is accepted. Presenting an older token of the family means it was copied, so the
+-- whole family is revoked, access tokens included (they carry the family ID in the fid claim).
+CREATE TABLE IF NOT EXISTS refresh_token_families (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    current_jti VARCHAR(64) NOT NULL,
+    generation INTEGER NOT NULL DEFAULT 1,
+    ip_address VARCHAR(64) NULL,
+    user_agent TEXT NULL,
+    last_used_at TIMESTAMP WITH TIME ZONE NULL,
+    last_ip_address VARCHAR(64) NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    revoked_at TIMESTAMP WITH TIME ZONE NULL,
+    revoked_reason VARCHAR(50) NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT refresh_token_families_revoked_reason_check
+        CHECK (revoked_reason IS NULL OR revoked_reason IN ('logout', 'user_revoked', 'reuse_detected', 'security'))
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_refresh_token_families_user_id ON refresh_token_families(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_token_families_expires_at ON refresh_token_families(expires_at);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_refresh_token_families_updated_at
+    BEFORE UPDATE ON refresh_token_families
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Revoked families are blacklisted as FAMILY_<id> entries ('global' is the existing ALL_TOKENS_ entry)
+ALTER TABLE token_blacklist DROP CONSTRAINT IF EXISTS chk_token_type;
+ALTER TABLE token_blacklist
+    ADD CONSTRAINT chk_token_type
+    CHECK (token_type IN ('access', 'refresh', 'family', 'global'));
+
+-- Add comments
+COMMENT ON TABLE refresh_token_families IS 'Refresh token families: one per login, listed to users as sessions';
+COMMENT ON COLUMN refresh_token_families.current_jti IS 'jti of the only refresh token of the family that can still be used';
+COMMENT ON COLUMN refresh_token_families.generation IS 'Number of refresh tokens issued in the family (1 at login)';
+COMMENT ON COLUMN refresh_token_families.expires_at IS 'Expiry of the current refresh token';
+COMMENT ON COLUMN refresh_token_families.revoked_reason IS 'logout, user_revoked, reuse_detected or security';
@@ -0,0 +1,27 @@
+-- Security events
+-- Suspicious activity detected by the service (e.g. a rotated refresh token presented again),
+-- kept for investigation independently of the state that triggered it.
+CREATE TABLE IF NOT EXISTS security_events (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    event_type VARCHAR(64) NOT NULL,
+    severity VARCHAR(10) NOT NULL DEFAULT 'medium',
+    account_id UUID NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+    ip_address VARCHAR(64) NULL,
+    user_agent TEXT NULL,
+    details JSONB NOT NULL DEFAULT '{}'::jsonb,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT security_events_severity_check CHECK (severity IN ('low', 'medium', 'high', 'critical'))
+);
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_security_events_user_id ON security_events(user_id);
+CREATE INDEX IF NOT EXISTS idx_security_events_account_created ON security_events(account_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_security_events_type ON security_events(event_type);
+
+-- Add comments
+COMMENT ON TABLE security_events IS 'Security events raised by the service (refresh token reuse, ...)';
+COMMENT ON COLUMN security_events.event_type IS 'Event name, e.g. refresh_token_reuse';
+COMMENT ON COLUMN security_events.details IS 'Event specific data (session ID, token generation, ...)';
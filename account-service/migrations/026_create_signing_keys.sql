@@ -0,0 +1,37 @@
+-- Asymmetric keys used to sign access tokens (RS256 / ES256)
+-- Exactly one key is active and signs new tokens; it is replaced when the rotation interval has passed.
+-- A replaced key is kept as retired until verify_until, so tokens it signed stay valid until they expire,
+-- and is published in the JWKS until then. Keys past verify_until are deleted by the next rotation.
+CREATE TABLE IF NOT EXISTS signing_keys (
+    kid VARCHAR(64) PRIMARY KEY,
+    algorithm VARCHAR(10) NOT NULL,
+    public_key TEXT NOT NULL,
+    private_key_encrypted TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    retired_at TIMESTAMP WITH TIME ZONE NULL,
+    verify_until TIMESTAMP WITH TIME ZONE NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT signing_keys_algorithm_check CHECK (algorithm IN ('RS256', 'ES256')),
+    CONSTRAINT signing_keys_status_check CHECK (status IN ('active', 'retired')),
+    CONSTRAINT signing_keys_retired_check CHECK (status = 'active' OR verify_until IS NOT NULL)
+);
+
+-- Create indexes for better performance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_signing_keys_single_active ON signing_keys(status) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_signing_keys_verify_until ON signing_keys(verify_until);
+
+-- Trigger to automatically update updated_at
+CREATE TRIGGER update_signing_keys_updated_at
+    BEFORE UPDATE ON signing_keys
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE signing_keys IS 'Access token signing keys, published at /.well-known/jwks.json';
+COMMENT ON COLUMN signing_keys.kid IS 'Key ID, sent in the kid header of the tokens signed with the key';
+COMMENT ON COLUMN signing_keys.public_key IS 'Public key (PEM, SPKI)';
+COMMENT ON COLUMN signing_keys.private_key_encrypted IS 'Private key (PEM, PKCS#8) encrypted with SECRET_ENCRYPTION_KEY';
+COMMENT ON COLUMN signing_keys.verify_until IS 'Retired keys still verify tokens until this time (grace period)';
@@ -0,0 +1,84 @@
+-- OpenID Connect provider: client registrations, authorization codes and user consents
+-- Clients belong to an account and can only sign in users of that account.
+-- Public clients (SPAs, mobile apps) have no secret; every client must use PKCE (S256).
+CREATE TABLE IF NOT EXISTS oauth_clients (
+    client_id VARCHAR(64) PRIMARY KEY,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    name VARCHAR(128) NOT NULL,
+    client_type VARCHAR(20) NOT NULL,
+    client_secret_hash VARCHAR(64) NULL,
+    redirect_uris JSONB NOT NULL DEFAULT '[]',
+    allowed_scopes JSONB NOT NULL DEFAULT '[]',
+    first_party BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'active',
+    created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT oauth_clients_type_check CHECK (client_type IN ('public', 'confidential')),
+    CONSTRAINT oauth_clients_status_check CHECK (status IN ('active', 'disabled')),
+    CONSTRAINT oauth_clients_secret_check CHECK ((client_type = 'confidential') = (client_secret_hash IS NOT NULL))
+);
+
+-- Single-use authorization codes (only their SHA-256 hash is stored)
+CREATE TABLE IF NOT EXISTS oauth_authorization_codes (
+    code_hash VARCHAR(64) PRIMARY KEY,
+    client_id VARCHAR(64) NOT NULL REFERENCES oauth_clients(client_id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    redirect_uri TEXT NOT NULL,
+    scopes JSONB NOT NULL DEFAULT '[]',
+    code_challenge VARCHAR(128) NOT NULL,
+    nonce VARCHAR(255) NULL,
+    auth_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    mfa_auth_time TIMESTAMP WITH TIME ZONE NULL,
+    session_id UUID NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    consumed_at TIMESTAMP WITH TIME ZONE NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scopes each user granted to each client
+CREATE TABLE IF NOT EXISTS oauth_consents (
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    client_id VARCHAR(64) NOT NULL REFERENCES oauth_clients(client_id) ON DELETE CASCADE,
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    scopes JSONB NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (user_id, client_id)
+);
+
+-- Sessions started through a client (NULL for direct logins)
+ALTER TABLE refresh_token_families ADD COLUMN IF NOT EXISTS client_id VARCHAR(64) NULL;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_oauth_clients_account_id ON oauth_clients(account_id);
+CREATE INDEX IF NOT EXISTS idx_oauth_authorization_codes_expires_at ON oauth_authorization_codes(expires_at);
+CREATE INDEX IF NOT EXISTS idx_oauth_consents_client_id ON oauth_consents(client_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_token_families_client_id ON refresh_token_families(client_id) WHERE client_id IS NOT NULL;
+
+-- Triggers to automatically update updated_at
+CREATE TRIGGER update_oauth_clients_updated_at
+    BEFORE UPDATE ON oauth_clients
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TRIGGER update_oauth_consents_updated_at
+    BEFORE UPDATE ON oauth_consents
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE oauth_clients IS 'Applications allowed to sign in users of an account through OpenID Connect';
+COMMENT ON COLUMN oauth_clients.client_secret_hash IS 'SHA-256 of the client secret (confidential clients only)';
+COMMENT ON COLUMN oauth_clients.redirect_uris IS 'Exact redirect URIs accepted at the authorization endpoint';
+COMMENT ON COLUMN oauth_clients.allowed_scopes IS 'Scopes the client may request';
+COMMENT ON COLUMN oauth_clients.first_party IS 'First-party clients are trusted: users are not asked for consent';
+COMMENT ON TABLE oauth_authorization_codes IS 'Authorization codes waiting to be exchanged at the token endpoint';
+COMMENT ON COLUMN oauth_authorization_codes.code_challenge IS 'PKCE S256 code challenge';
+COMMENT ON COLUMN oauth_authorization_codes.session_id IS 'Session (refresh token family) issued for the code, revoked if the code is replayed';
+COMMENT ON TABLE oauth_consents IS 'Scopes granted by users to OAuth clients';
+COMMENT ON COLUMN refresh_token_families.client_id IS 'OAuth client the session was issued to (NULL for direct logins)';
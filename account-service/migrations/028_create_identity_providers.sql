@@ -0,0 +1,68 @@
+-- Identity federation: OpenID Connect and SAML identity providers
+-- A provider is registered in an account and named in role trust policies as a Federated principal
+-- (its ARN). Identities it vouches for (an ID token or a SAML assertion) can assume those roles
+-- through AssumeRoleWithWebIdentity and AssumeRoleWithSAML, without being users of the account.
+CREATE TABLE IF NOT EXISTS identity_providers (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL REFERENCES accounts(id) ON DELETE CASCADE,
+    provider_type VARCHAR(10) NOT NULL,
+    name VARCHAR(512) NOT NULL,
+    arn VARCHAR(1024) NOT NULL UNIQUE,
+    issuer VARCHAR(1024) NOT NULL,
+    audiences JSONB NOT NULL DEFAULT '[]',
+    jwks JSONB NULL,
+    jwks_uri VARCHAR(1024) NULL,
+    metadata_document TEXT NULL,
+    signing_certificates JSONB NOT NULL DEFAULT '[]',
+    created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    -- Constraints
+    CONSTRAINT identity_providers_type_check CHECK (provider_type IN ('oidc', 'saml')),
+    CONSTRAINT identity_providers_issuer_unique UNIQUE (account_id, provider_type, issuer),
+    CONSTRAINT identity_providers_keys_check CHECK (
+        (provider_type = 'oidc' AND (jwks IS NOT NULL OR jwks_uri IS NOT NULL)) OR
+        (provider_type = 'saml' AND metadata_document IS NOT NULL)
+    )
+);
+
+-- SAML assertions already exchanged, kept until they expire so they cannot be replayed
+CREATE TABLE IF NOT EXISTS federation_used_assertions (
+    provider_id UUID NOT NULL REFERENCES identity_providers(id) ON DELETE CASCADE,
+    assertion_id VARCHAR(256) NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+
+    PRIMARY KEY (provider_id, assertion_id)
+);
+
+-- Federated identity of role sessions (NULL for sessions assumed by users and role sessions)
+ALTER TABLE role_sessions
+ADD COLUMN IF NOT EXISTS federated_provider_arn VARCHAR(1024) NULL,
+ADD COLUMN IF NOT EXISTS federated_subject VARCHAR(512) NULL;
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_identity_providers_account_id ON identity_providers(account_id);
+CREATE INDEX IF NOT EXISTS idx_federation_used_assertions_expires_at ON federation_used_assertions(expires_at);
+CREATE INDEX IF NOT EXISTS idx_role_sessions_federated_provider_arn ON role_sessions(federated_provider_arn) WHERE federated_provider_arn IS NOT NULL;
+
+-- Triggers to automatically update updated_at
+CREATE TRIGGER update_identity_providers_updated_at
+    BEFORE UPDATE ON identity_providers
+    FOR EACH ROW
+    EXECUTE FUNCTION update_updated_at_column();
+
+-- Add comments
+COMMENT ON TABLE identity_providers IS 'External OpenID Connect and SAML identity providers trusted by an account';
+COMMENT ON COLUMN identity_providers.name IS 'OIDC: issuer URL without https:// (prefix of the condition keys); SAML: provider name';
+COMMENT ON COLUMN identity_providers.arn IS 'Federated principal of trust policies (oidc-provider/<name> or saml-provider/<name>)';
+COMMENT ON COLUMN identity_providers.issuer IS 'OIDC: iss claim of the ID tokens; SAML: entity ID of the IdP (Issuer of the assertions)';
+COMMENT ON COLUMN identity_providers.audiences IS 'OIDC: accepted client IDs (aud claim); SAML: accepted Audience values';
+COMMENT ON COLUMN identity_providers.jwks IS 'OIDC: JSON Web Key Set of the provider (alternative to jwks_uri)';
+COMMENT ON COLUMN identity_providers.jwks_uri IS 'OIDC: HTTPS URL of the JSON Web Key Set, fetched and cached';
+COMMENT ON COLUMN identity_providers.metadata_document IS 'SAML: metadata XML of the IdP';
+COMMENT ON COLUMN identity_providers.signing_certificates IS 'SAML: signing certificates (PEM) read from the metadata';
+COMMENT ON TABLE federation_used_assertions IS 'Exchanged SAML assertion IDs (replay protection)';
+COMMENT ON COLUMN role_sessions.federated_provider_arn IS 'Identity provider of AssumeRoleWithWebIdentity/AssumeRoleWithSAML sessions';
+COMMENT ON COLUMN role_sessions.federated_subject IS 'Subject (sub claim or NameID) of the federated identity';
@@ -0,0 +1,35 @@
+-- SCIM 2.0 provisioning of users and groups (RFC 7643/7644)
+-- Each account has at most one SCIM bearer token, used by its HR system or identity provider to
+-- create, update and deprovision the IAM users and groups of the account.
+CREATE TABLE IF NOT EXISTS scim_tokens (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    account_id UUID NOT NULL UNIQUE REFERENCES accounts(id) ON DELETE CASCADE,
+    token_hash VARCHAR(64) NOT NULL UNIQUE,
+    token_prefix VARCHAR(16) NOT NULL,
+    created_by UUID NULL REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT CURRENT_TIMESTAMP,
+    last_used_at TIMESTAMP WITH TIME ZONE NULL
+);
+
+-- Attributes owned by the provisioning source
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS external_id VARCHAR(255) NULL,
+ADD COLUMN IF NOT EXISTS profile JSONB NULL;
+
+ALTER TABLE groups
+ADD COLUMN IF NOT EXISTS external_id VARCHAR(255) NULL;
+
+-- IAM user names accept the same characters as AWS IAM (+=,.@_-), so e-mail addresses can be used as userName
+ALTER TABLE users DROP CONSTRAINT IF EXISTS users_username_format;
+ALTER TABLE users ADD CONSTRAINT users_username_format CHECK (username ~* '^[A-Za-z0-9+=,.@_-]+$');
+
+-- Create indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_users_external_id ON users(account_id, external_id) WHERE external_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_groups_external_id ON groups(account_id, external_id) WHERE external_id IS NOT NULL;
+
+-- Add comments
+COMMENT ON TABLE scim_tokens IS 'SCIM provisioning bearer token of each account (only its SHA-256 hash is stored)';
+COMMENT ON COLUMN scim_tokens.token_prefix IS 'First characters of the token, to tell tokens apart';
+COMMENT ON COLUMN users.external_id IS 'Identifier of the user in the provisioning source (SCIM externalId)';
+COMMENT ON COLUMN users.profile IS 'Directory attributes of IAM users set by SCIM (displayName, name, emails)';
+COMMENT ON COLUMN groups.external_id IS 'Identifier of the group in the provisioning source (SCIM externalId)';
@@ -0,0 +1,64 @@
+-- Audit events
+-- Append-only trail of the IAM mutations and authorization decisions made by the service.
+-- Every account has its own hash chain (events without an account, e.g. failed root logins, share
+-- one chain): the hash of an event covers its content and the hash of the previous event, so an
+-- event that is modified, removed or reordered breaks the chain from that point on.
+CREATE TABLE IF NOT EXISTS audit_events (
+    id UUID PRIMARY KEY,
+    account_id UUID NULL,
+    sequence BIGINT NOT NULL,
+    event_time TIMESTAMP WITH TIME ZONE NOT NULL,
+    action VARCHAR(128) NOT NULL,
+    resource TEXT NULL,
+    actor JSONB NOT NULL DEFAULT '{}'::jsonb,
+    source_ip VARCHAR(64) NULL,
+    user_agent TEXT NULL,
+    request_method VARCHAR(10) NULL,
+    request_path TEXT NULL,
+    request_parameters JSONB NOT NULL DEFAULT '{}'::jsonb,
+    response_status INTEGER NULL,
+    decision VARCHAR(10) NULL,
+    decision_reason TEXT NULL,
+    previous_hash CHAR(64) NOT NULL,
+    hash CHAR(64) NOT NULL,
+
+    -- No foreign keys: the trail outlives the accounts, users and resources it mentions
+
+    -- Constraints
+    CONSTRAINT audit_events_sequence_check CHECK (sequence > 0),
+    CONSTRAINT audit_events_decision_check CHECK (decision IS NULL OR decision IN ('Allow', 'Deny'))
+);
+
+-- Create indexes for better performance
+CREATE UNIQUE INDEX IF NOT EXISTS idx_audit_events_chain_sequence
+    ON audit_events ((COALESCE(account_id, '00000000-0000-0000-0000-000000000000'::uuid)), sequence);
+CREATE INDEX IF NOT EXISTS idx_audit_events_account_time ON audit_events(account_id, event_time);
+CREATE INDEX IF NOT EXISTS idx_audit_events_account_action ON audit_events(account_id, action, sequence);
+
+-- Audit events can only be inserted
+CREATE OR REPLACE FUNCTION prevent_audit_event_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ language 'plpgsql';
+
+CREATE TRIGGER audit_events_append_only
+    BEFORE UPDATE OR DELETE ON audit_events
+    FOR EACH ROW
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
+CREATE TRIGGER audit_events_no_truncate
+    BEFORE TRUNCATE ON audit_events
+    FOR EACH STATEMENT
+    EXECUTE FUNCTION prevent_audit_event_changes();
+
+-- Add comments
+COMMENT ON TABLE audit_events IS 'Append-only audit trail of IAM mutations and authorization decisions, hash-chained per account';
+COMMENT ON COLUMN audit_events.sequence IS 'Position of the event in the chain of its account, starting at 1';
+COMMENT ON COLUMN audit_events.action IS 'Action, e.g. iam:CreateUser, sts:AssumeRole or auth:Login';
+COMMENT ON COLUMN audit_events.actor IS 'Principal that made the request (type, user, role session, access key, OAuth client...)';
+COMMENT ON COLUMN audit_events.request_parameters IS 'Path, query and body parameters, with passwords, tokens and other secrets redacted';
+COMMENT ON COLUMN audit_events.decision IS 'Authorization decision (Allow or Deny), when the request was authorized';
+COMMENT ON COLUMN audit_events.previous_hash IS 'Hash of the previous event of the chain (64 zeros for the first event)';
+COMMENT ON COLUMN audit_events.hash IS 'SHA-256 of the canonical JSON of the event, including previous_hash';
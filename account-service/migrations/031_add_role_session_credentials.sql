@@ -0,0 +1,15 @@
+-- Role session credentials
+-- Requests made with a role session are signed (AWS4-HMAC-SHA256) with the temporary access key of
+-- the session and carry its session token in X-Amz-Security-Token. The secret is needed to verify
+-- signatures, so it is stored encrypted (AES-256-GCM), never hashed. Sessions created before this
+-- migration have no credentials and can no longer authenticate (they expire within 12 hours).
+ALTER TABLE role_sessions
+ADD COLUMN IF NOT EXISTS access_key_id VARCHAR(32) NULL,
+ADD COLUMN IF NOT EXISTS encrypted_secret TEXT NULL;
+
+-- Create indexes for credential lookups
+CREATE UNIQUE INDEX IF NOT EXISTS idx_role_sessions_access_key_id ON role_sessions(access_key_id);
+
+-- Add comments
+COMMENT ON COLUMN role_sessions.access_key_id IS 'Temporary access key ID (ASIA...) of the session';
+COMMENT ON COLUMN role_sessions.encrypted_secret IS 'Temporary secret access key encrypted with AES-256-GCM (iv:tag:ciphertext, base64)';
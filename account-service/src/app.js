@@ -2,7 +2,13 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
+const { validateSecurityConfiguration } = require('./config/security');
 const { repositoryFactory } = require('./repositories/RepositoryFactory');
+const { signingKeyService } = require('./services/SigningKeyService');
+const { auditMiddleware } = require('./middleware/auditMiddleware');
+
+// Refuse to start in production with the built-in secrets
+validateSecurityConfiguration();
 
 const app = express();
 
@@ -27,9 +33,15 @@ const globalLimiter = rateLimit({
 });
 app.use(globalLimiter);
 
-// Body parsing
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true }));
+// Body parsing (the raw body is kept to verify access key signatures, which cover the body hash)
+const keepRawBody = (req, res, buffer) => {
+  req.rawBody = buffer;
+};
+app.use(express.json({ limit: '10mb', verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
+
+// Audit trail: mutations and authorization decisions are recorded once the response is sent
+app.use(auditMiddleware);
 
 // Initialize database factory
 let dbInitialized = false;
@@ -37,6 +49,7 @@ repositoryFactory.initialize()
   .then(() => {
     dbInitialized = true;
     console.log(`✅ Using ${repositoryFactory.getDatabaseType()} database`);
+    signingKeyService.startRotationSchedule();
   })
   .catch((error) => {
     console.error('❌ Database initialization failed:', error.message);
@@ -55,8 +68,18 @@ const { createEnhancedAuthRoutes } = require('./routes/authRoutes');
 const groupRoutes = require('./routes/groupRoutes');
 const policyRoutes = require('./routes/policyRoutes');
 const roleRoutes = require('./routes/roleRoutes');
+const resourcePolicyRoutes = require('./routes/resourcePolicyRoutes');
 const { authMiddleware, requireAccountAccess } = require('./middleware/authMiddleware');
 const permissionRoutes = require('./routes/permissionRoutes');
+const { createOrganizationRoutes } = require('./routes/organizationRoutes');
+const { createPasswordPolicyRoutes } = require('./routes/passwordPolicyRoutes');
+const { createWellKnownRoutes } = require('./routes/wellKnownRoutes');
+const { createOAuth2Routes } = require('./routes/oauth2Routes');
+const { createOAuthClientRoutes } = require('./routes/oauthClientRoutes');
+const { createIdentityProviderRoutes } = require('./routes/identityProviderRoutes');
+const { createScimRoutes } = require('./routes/scimRoutes');
+const { createScimTokenRoutes } = require('./routes/scimTokenRoutes');
+const { createAuditEventRoutes } = require('./routes/auditEventRoutes');
 
 // Request logging (can be replaced with proper logging middleware)
 app.use((req, res, next) => {
@@ -69,6 +92,7 @@ app.use((req, res, next) => {
 // Import controllers for monitoring
 const { HealthController } = require('./controllers/HealthController');
 const { MetricsController } = require('./controllers/MetricsController');
+const { LoginAttemptService } = require('./services/LoginAttemptService');
 
 const healthController = new HealthController();
 
@@ -79,16 +103,39 @@ app.get('/health/ready', healthController.ready.bind(healthController));
 app.get('/health/alive', healthController.alive.bind(healthController));
 
 // Metrics endpoints (protected em produção)
-const metricsController = new MetricsController();
+const metricsController = new MetricsController(null, new LoginAttemptService());
 app.get('/metrics', metricsController.getMetrics.bind(metricsController));
 app.get('/metrics/prometheus', metricsController.getPrometheusMetrics.bind(metricsController));
 
 // Public routes (no authentication required)
+app.use('/.well-known', createWellKnownRoutes());
+app.use('/oauth2', createOAuth2Routes());
 app.use('/api/v1/auth', createEnhancedAuthRoutes());
 
+// SCIM 2.0 provisioning (authenticated with the SCIM token of the account inside the router)
+app.use('/scim/v2', createScimRoutes());
+
 // Account routes (some protected)
 app.use('/api/v1/accounts', account.router);
 
+// Organization routes - OUs and service control policies (authenticated inside the router)
+app.use('/api/v1/accounts', createOrganizationRoutes());
+
+// Account password policy (authenticated inside the router)
+app.use('/api/v1/accounts', createPasswordPolicyRoutes());
+
+// OAuth clients of the account (authenticated inside the router)
+app.use('/api/v1/accounts', createOAuthClientRoutes());
+
+// OIDC and SAML identity providers of the account (authenticated inside the router)
+app.use('/api/v1/accounts', createIdentityProviderRoutes());
+
+// SCIM provisioning token of the account (authenticated inside the router)
+app.use('/api/v1/accounts', createScimTokenRoutes());
+
+// Audit trail of the account (authenticated inside the router)
+app.use('/api/v1/accounts', createAuditEventRoutes());
+
 // Protected user routes (require authentication)
 app.use('/api/v1/users', authMiddleware, userRoutes.createUserRoutes());
 
@@ -98,6 +145,7 @@ app.use('/api/v1/accounts', authMiddleware, requireAccountAccess, account.create
 // IAM Core routes (require authentication)
 app.use('/api/v1/groups', groupRoutes);
 app.use('/api/v1/policies', policyRoutes);
+app.use('/api/v1/resource-policies', resourcePolicyRoutes);
 
 const { createPermissionRoutes } = require('./routes/permissionRoutes');
 app.use('/api/v1/permissions', createPermissionRoutes());
@@ -0,0 +1,77 @@
+const { ConditionEvaluator } = require('../utils/ConditionEvaluator');
+
+/**
+ * Scopes that OAuth clients can request
+ * OpenID scopes select the claims of the ID token and userinfo; IAM scopes select the IAM actions an
+ * access token issued to a client can be used for. The user's own policies still apply on top: a scope
+ * never grants an action the user is not allowed to perform.
+ */
+const OAUTH_SCOPES = {
+  openid: {
+    description: 'Sign you in with your account',
+    claims: ['sub', 'account_id']
+  },
+  profile: {
+    description: 'Read your username',
+    claims: ['preferred_username', 'is_root']
+  },
+  email: {
+    description: 'Read your email address',
+    claims: ['email']
+  },
+  offline_access: {
+    description: 'Stay signed in (refresh token)'
+  },
+  'iam:read': {
+    description: 'Read the IAM users, groups, roles and policies you have access to',
+    actions: ['iam:Get*', 'iam:List*', 'iam:Simulate*']
+  },
+  'iam:write': {
+    description: 'Manage the IAM users, groups, roles and policies you have access to',
+    actions: ['iam:*']
+  },
+  'sts:assume-role': {
+    description: 'Assume the roles you are allowed to assume',
+    actions: ['sts:AssumeRole']
+  }
+};
+
+/**
+ * Splits a scope parameter (space-delimited, RFC 6749 section 3.3)
+ * @param {string|Array<string>} scope - Scope parameter or list
+ * @returns {Array<string>} Distinct scopes
+ */
+function parseScope(scope) {
+  const scopes = Array.isArray(scope) ? scope : String(scope || '').split(' ');
+  return [...new Set(scopes.map(value => String(value).trim()).filter(Boolean))];
+}
+
+/**
+ * Checks if an access token scope allows an IAM action
+ * @param {string|Array<string>} scope - Scope of the token
+ * @param {string} action - Action (service:Action)
+ * @returns {boolean} True if a scope of the token covers the action
+ */
+function scopeAllowsAction(scope, action) {
+  return parseScope(scope).some(name => {
+    const definition = OAUTH_SCOPES[name];
+    return Boolean(definition && definition.actions) &&
+      definition.actions.some(pattern => ConditionEvaluator.matchesWildcard(action, pattern, true));
+  });
+}
+
+/**
+ * Gets the claims released for a set of scopes
+ * @param {string|Array<string>} scope - Granted scopes
+ * @returns {Array<string>} Claim names
+ */
+function claimsForScope(scope) {
+  return [...new Set(parseScope(scope).flatMap(name => (OAUTH_SCOPES[name] && OAUTH_SCOPES[name].claims) || []))];
+}
+
+module.exports = {
+  OAUTH_SCOPES,
+  parseScope,
+  scopeAllowsAction,
+  claimsForScope
+};
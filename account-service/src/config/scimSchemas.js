@@ -0,0 +1,153 @@
+/**
+ * SCIM 2.0 schemas, resource types and service provider configuration (RFC 7643)
+ * Users map to the IAM users of the account and groups to its IAM groups. IAM users have no e-mail or
+ * name columns, so displayName, name and emails are kept as a profile set by the provisioning source.
+ */
+const SCIM_SCHEMAS = {
+  USER: 'urn:ietf:params:scim:schemas:core:2.0:User',
+  GROUP: 'urn:ietf:params:scim:schemas:core:2.0:Group',
+  SERVICE_PROVIDER_CONFIG: 'urn:ietf:params:scim:schemas:core:2.0:ServiceProviderConfig',
+  RESOURCE_TYPE: 'urn:ietf:params:scim:schemas:core:2.0:ResourceType',
+  SCHEMA: 'urn:ietf:params:scim:schemas:core:2.0:Schema',
+  LIST_RESPONSE: 'urn:ietf:params:scim:api:messages:2.0:ListResponse',
+  PATCH_OP: 'urn:ietf:params:scim:api:messages:2.0:PatchOp',
+  ERROR: 'urn:ietf:params:scim:api:messages:2.0:Error'
+};
+
+// Largest page returned by list requests (count is capped to it)
+const SCIM_MAX_RESULTS = 200;
+
+/**
+ * Builds an attribute definition with the defaults of RFC 7643 section 2.2
+ */
+function attribute(name, type, options = {}) {
+  return {
+    name,
+    type,
+    multiValued: false,
+    description: '',
+    required: false,
+    caseExact: false,
+    mutability: 'readWrite',
+    returned: 'default',
+    uniqueness: 'none',
+    ...options
+  };
+}
+
+const USER_ATTRIBUTES = [
+  attribute('userName', 'string', {
+    description: 'IAM user name, unique in the account (letters, digits and +=,.@_-). Cannot be changed.',
+    required: true,
+    mutability: 'immutable',
+    uniqueness: 'server'
+  }),
+  attribute('name', 'complex', {
+    description: 'Components of the name of the user',
+    subAttributes: ['formatted', 'familyName', 'givenName', 'middleName', 'honorificPrefix', 'honorificSuffix']
+      .map(name => attribute(name, 'string'))
+  }),
+  attribute('displayName', 'string', { description: 'Name of the user, suitable for display' }),
+  attribute('active', 'boolean', { description: 'Inactive users cannot sign in and their sessions are revoked' }),
+  attribute('password', 'string', {
+    description: 'Password of the user, checked against the account password policy',
+    mutability: 'writeOnly',
+    returned: 'never'
+  }),
+  attribute('emails', 'complex', {
+    description: 'E-mail addresses of the user',
+    multiValued: true,
+    subAttributes: [
+      attribute('value', 'string'),
+      attribute('type', 'string', { canonicalValues: ['work', 'home', 'other'] }),
+      attribute('primary', 'boolean')
+    ]
+  }),
+  attribute('groups', 'complex', {
+    description: 'Groups of the user (managed through the members of the groups)',
+    multiValued: true,
+    mutability: 'readOnly',
+    subAttributes: [
+      attribute('value', 'string', { mutability: 'readOnly' }),
+      attribute('$ref', 'reference', { mutability: 'readOnly', referenceTypes: ['Group'] }),
+      attribute('display', 'string', { mutability: 'readOnly' })
+    ]
+  })
+];
+
+const GROUP_ATTRIBUTES = [
+  attribute('displayName', 'string', {
+    description: 'IAM group name, unique in the account (letters, digits and +=,.@_-)',
+    required: true,
+    uniqueness: 'server'
+  }),
+  attribute('members', 'complex', {
+    description: 'Users of the group',
+    multiValued: true,
+    subAttributes: [
+      attribute('value', 'string', { mutability: 'immutable' }),
+      attribute('$ref', 'reference', { mutability: 'immutable', referenceTypes: ['User'] }),
+      attribute('display', 'string', { mutability: 'readOnly' }),
+      attribute('type', 'string', { mutability: 'immutable', canonicalValues: ['User'] })
+    ]
+  })
+];
+
+const SCIM_RESOURCE_SCHEMAS = [
+  {
+    id: SCIM_SCHEMAS.USER,
+    name: 'User',
+    description: 'IAM user',
+    attributes: USER_ATTRIBUTES
+  },
+  {
+    id: SCIM_SCHEMAS.GROUP,
+    name: 'Group',
+    description: 'IAM group',
+    attributes: GROUP_ATTRIBUTES
+  }
+];
+
+const SCIM_RESOURCE_TYPES = [
+  {
+    id: 'User',
+    name: 'User',
+    endpoint: '/Users',
+    description: 'IAM user',
+    schema: SCIM_SCHEMAS.USER,
+    schemaExtensions: []
+  },
+  {
+    id: 'Group',
+    name: 'Group',
+    endpoint: '/Groups',
+    description: 'IAM group',
+    schema: SCIM_SCHEMAS.GROUP,
+    schemaExtensions: []
+  }
+];
+
+const SCIM_SERVICE_PROVIDER_CONFIG = {
+  patch: { supported: true },
+  bulk: { supported: false, maxOperations: 0, maxPayloadSize: 0 },
+  filter: { supported: true, maxResults: SCIM_MAX_RESULTS },
+  changePassword: { supported: true },
+  sort: { supported: false },
+  etag: { supported: true },
+  authenticationSchemes: [
+    {
+      type: 'oauthbearertoken',
+      name: 'Bearer token',
+      description: 'SCIM token of the account (POST /api/v1/accounts/{id}/scim-token)',
+      primary: true
+    }
+  ]
+};
+
+module.exports = {
+  SCIM_SCHEMAS,
+  SCIM_MAX_RESULTS,
+  SCIM_RESOURCE_SCHEMAS,
+  SCIM_RESOURCE_TYPES,
+  SCIM_SERVICE_PROVIDER_CONFIG
+};
@@ -0,0 +1,51 @@
+/**
+ * Secrets of the service and their built-in fallbacks
+ * The fallbacks let the service run in development and tests without configuration; they are public,
+ * so the service refuses to start in production while any of them is in use.
+ */
+const DEFAULT_SECRETS = {
+  // Signs refresh tokens (only verified by this service)
+  JWT_REFRESH_SECRET: 'your-refresh-secret-key-change-in-production',
+  // Encrypts secrets stored in the database: secret access keys and the private signing keys
+  SECRET_ENCRYPTION_KEY: 'change-this-secret-encryption-key-in-production'
+};
+
+/**
+ * Gets a secret from the environment, falling back to its built-in default
+ * @param {string} name - Secret name (a key of DEFAULT_SECRETS)
+ * @returns {string} Secret
+ */
+function getSecret(name) {
+  return process.env[name] || DEFAULT_SECRETS[name];
+}
+
+/**
+ * Validates the secrets configuration at startup
+ * @param {Object} [env] - Environment variables
+ * @throws {Error} In production, if a secret is missing or set to its built-in default
+ */
+function validateSecurityConfiguration(env = process.env) {
+  if (env.NODE_ENV !== 'production') {
+    return;
+  }
+
+  const insecure = Object.keys(DEFAULT_SECRETS)
+    .filter(name => !env[name] || env[name] === DEFAULT_SECRETS[name]);
+
+  if (insecure.length > 0) {
+    throw new Error(
+      `❌ Refusing to start in production with default secrets: ${insecure.join(', ')}. ` +
+      'Set them to random values in the environment.'
+    );
+  }
+
+  if (env.JWT_SECRET) {
+    console.warn('⚠️  JWT_SECRET is no longer used: access tokens are signed with the keys published at /.well-known/jwks.json');
+  }
+}
+
+module.exports = {
+  DEFAULT_SECRETS,
+  getSecret,
+  validateSecurityConfiguration
+};
@@ -218,6 +218,8 @@
  *               $ref: '#/components/schemas/Error'
  */
 
+const { setAuditContext } = require('../middleware/auditMiddleware');
+
 class AccountController {
   /**
    * Creates a new AccountController instance
@@ -260,6 +262,7 @@ class AccountController {
       
       // 3. Create account via service
       const result = await this.accountService.createAccount(accountData);
+      setAuditContext(req, { accountId: result.account.id, resource: `arn:aws:iam::${result.account.id}:root` });
 
       // 3. Return success response
       res.status(201).json({
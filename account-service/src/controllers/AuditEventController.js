@@ -0,0 +1,121 @@
+const { AuditService } = require('../services/AuditService');
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/audit-events:
+ *   get:
+ *     summary: Look up the audit events of an account (newest first)
+ *     description: |
+ *       IAM mutations and authorization decisions, with the actor, source IP, action, request parameters
+ *       (secrets redacted), response status and decision. Pass nextToken from a response to get the next page.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: query, name: startTime, schema: { type: string, format: date-time } }
+ *       - { in: query, name: endTime, schema: { type: string, format: date-time } }
+ *       - in: query
+ *         name: actor
+ *         description: User ID, username, ARN, access key ID, OAuth client ID or SCIM token ID
+ *         schema: { type: string }
+ *       - { in: query, name: action, description: 'e.g. iam:CreateUser', schema: { type: string } }
+ *       - { in: query, name: resource, description: 'Resource ARN (a trailing * matches a prefix)', schema: { type: string } }
+ *       - { in: query, name: decision, schema: { type: string, enum: [Allow, Deny] } }
+ *       - { in: query, name: limit, schema: { type: integer, minimum: 1, maximum: 100, default: 50 } }
+ *       - { in: query, name: nextToken, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Events and nextToken (null on the last page)
+ *       400:
+ *         description: Invalid filter or nextToken
+ * /api/v1/accounts/{id}/audit-events/verify:
+ *   get:
+ *     summary: Verify the hash chain of the audit trail of an account
+ *     description: |
+ *       Recomputes the hash of every event and checks that each event is linked to the previous one. headHash
+ *       can be kept outside the service to detect later changes to the events before it.
+ *     tags: [Audit]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: valid, eventCount, headSequence and headHash; invalidSequence and reason when the chain is broken
+ */
+
+class AuditEventController {
+  constructor(auditService = null) {
+    this.auditService = auditService || new AuditService();
+  }
+
+  /**
+   * Look up the audit events of the account
+   */
+  async lookupEvents(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const { events, nextToken } = await this.auditService.lookupEvents(req.params.id, req.query);
+
+      res.json({
+        success: true,
+        data: events,
+        count: events.length,
+        nextToken
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to look up audit events');
+    }
+  }
+
+  /**
+   * Verify the hash chain of the audit trail of the account
+   */
+  async verifyChain(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const result = await this.auditService.verifyChain(req.params.id);
+
+      res.json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to verify audit trail');
+    }
+  }
+
+  /**
+   * The audit trail can only be read from its own account
+   */
+  requireOwnAccount(req, res) {
+    if (req.params.id !== req.user.accountId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'The audit trail can only be read from its own account'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'INVALID_AUDIT_QUERY') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = AuditEventController;
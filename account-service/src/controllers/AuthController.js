@@ -28,6 +28,17 @@
  *               password:
  *                 type: string
  *                 example: "SecurePassword123!"
+ *               mfaCode:
+ *                 type: string
+ *                 description: Current code of the MFA device (required when MFA is enabled)
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Unused recovery code, accepted instead of mfaCode
+ *                 example: "3f9a1-c07d2"
+ *               newPassword:
+ *                 type: string
+ *                 description: Replaces an expired password (required when passwordChangeRequired was returned)
  *     responses:
  *       200:
  *         description: Login successful
@@ -63,11 +74,17 @@
  *             schema:
  *               $ref: '#/components/schemas/Error'
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials, MFA code required (mfaRequired is true) or invalid MFA code
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: Password expired (passwordChangeRequired is true, retry with newPassword) or hard expired
+ *       423:
+ *         description: Sign-in temporarily locked after too many failed attempts (Retry-After header)
+ *       429:
+ *         description: Too many failed attempts, wait retryAfter seconds before trying again
  */
 
 /**
@@ -75,6 +92,10 @@
  * /api/v1/auth/refresh:
  *   post:
  *     summary: Refresh access token
+ *     description: |
+ *       Refresh tokens rotate: the response carries a new refresh token and the one presented can no
+ *       longer be used. Presenting an already rotated token revokes the whole session (refresh and
+ *       access tokens) as the token was probably copied.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -105,11 +126,16 @@
  *                     accessToken:
  *                       type: string
  *                       example: "eyJhbGciOiJIUzI1NiIsInR5cCI6IkpXVCJ9..."
+ *                     refreshToken:
+ *                       type: string
  *                     expiresIn:
  *                       type: number
  *                       example: 3600
+ *                     sessionId:
+ *                       type: string
+ *                       format: uuid
  *       401:
- *         description: Invalid refresh token
+ *         description: Invalid or revoked refresh token, or reuse of a rotated refresh token (session revoked)
  *         content:
  *           application/json:
  *             schema:
@@ -201,6 +227,9 @@
  *                         isRoot:
  *                           type: boolean
  *                           example: false
+ *                         mfaPresent:
+ *                           type: boolean
+ *                           example: true
  *                 message:
  *                   type: string
  *                   example: "Token is valid"
@@ -261,6 +290,17 @@
  *               password:
  *                 type: string
  *                 example: "GeneratedPassword123!"
+ *               mfaCode:
+ *                 type: string
+ *                 description: Current code of the MFA device (required when MFA is enabled)
+ *                 example: "123456"
+ *               recoveryCode:
+ *                 type: string
+ *                 description: Unused recovery code, accepted instead of mfaCode
+ *                 example: "3f9a1-c07d2"
+ *               newPassword:
+ *                 type: string
+ *                 description: Replaces an expired password (required when passwordChangeRequired was returned)
  *     responses:
  *       200:
  *         description: IAM login successful
@@ -289,13 +329,25 @@
  *       400:
  *         description: Bad request - missing required fields
  *       401:
- *         description: Invalid credentials
+ *         description: Invalid credentials, MFA code required (mfaRequired is true) or invalid MFA code
  *       403:
- *         description: User account is not active
+ *         description: User account is not active, password expired (passwordChangeRequired is true) or hard expired
+ *       423:
+ *         description: Sign-in temporarily locked after too many failed attempts (Retry-After header)
+ *       429:
+ *         description: Too many failed attempts, wait retryAfter seconds before trying again
  *       500:
  *         description: Internal server error
  */
 
+const { setAuditContext, describeUser } = require('../middleware/auditMiddleware');
+
+// Login errors answered by sendLoginError (the client can retry with more information or later)
+const LOGIN_ERROR_CODES = [
+  'MFA_REQUIRED', 'INVALID_MFA_CODE', 'PASSWORD_EXPIRED', 'PASSWORD_HARD_EXPIRED', 'INVALID_PASSWORD',
+  'LOGIN_LOCKED', 'LOGIN_THROTTLED'
+];
+
 class AuthController {
   constructor(authService) {
     this.authService = authService;
@@ -306,7 +358,7 @@ class AuthController {
    */
   async login(req, res) {
     try {
-      const { email, password } = req.body;
+      const { email, password, mfaCode, recoveryCode, newPassword } = req.body;
 
       if (!email || !password) {
         return res.status(400).json({
@@ -315,7 +367,14 @@ class AuthController {
         });
       }
 
-      const result = await this.authService.loginWithCredentials(email, password);
+      const result = await this.authService.loginWithCredentials(email, password, {
+        mfaCode,
+        recoveryCode,
+        newPassword,
+        sourceIp: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      this.recordLoginAudit(req, result.user);
 
       res.status(200).json({
         success: true,
@@ -330,6 +389,10 @@ class AuthController {
         });
       }
 
+      if (LOGIN_ERROR_CODES.includes(error.code)) {
+        return this.sendLoginError(res, error);
+      }
+
       res.status(500).json({
         success: false,
         error: 'Internal server error'
@@ -337,6 +400,61 @@ class AuthController {
     }
   }
 
+  /**
+   * The user who signed in is the actor of the audit event of the login
+   */
+  recordLoginAudit(req, user) {
+    setAuditContext(req, {
+      accountId: user.accountId,
+      actor: describeUser({ userId: user.id, accountId: user.accountId, username: user.username, isRoot: user.isRoot })
+    });
+  }
+
+  /**
+   * Responds to a login that needs another step (MFA code, new password) or must wait (lockout)
+   */
+  sendLoginError(res, error) {
+    switch (error.code) {
+      case 'LOGIN_LOCKED':
+      case 'LOGIN_THROTTLED':
+        res.set('Retry-After', String(error.retryAfter));
+        return res.status(error.code === 'LOGIN_LOCKED' ? 423 : 429).json({
+          success: false,
+          error: error.message,
+          locked: error.code === 'LOGIN_LOCKED',
+          retryAfter: error.retryAfter
+        });
+      case 'MFA_REQUIRED':
+        return res.status(401).json({
+          success: false,
+          error: 'MFA code required',
+          mfaRequired: true
+        });
+      case 'INVALID_MFA_CODE':
+        return res.status(401).json({
+          success: false,
+          error: 'Invalid MFA code'
+        });
+      case 'PASSWORD_EXPIRED':
+        return res.status(403).json({
+          success: false,
+          error: error.message,
+          passwordChangeRequired: true
+        });
+      case 'INVALID_PASSWORD':
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      default:
+        return res.status(403).json({
+          success: false,
+          error: error.message
+        });
+    }
+  }
+
   /**
    * Refresh access token using refresh token
    */
@@ -351,7 +469,10 @@ class AuthController {
         });
       }
 
-      const tokens = await this.authService.refreshTokens(refreshToken);
+      const tokens = await this.authService.refreshTokens(refreshToken, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
 
       res.status(200).json({
         success: true,
@@ -359,6 +480,13 @@ class AuthController {
         message: 'Tokens refreshed successfully'
       });
     } catch (error) {
+      if (error.code === 'REFRESH_TOKEN_REUSED') {
+        return res.status(401).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       if (error.message.includes('Invalid refresh token') || 
           error.message.includes('User not found') ||
           error.message.includes('User is inactive')) {
@@ -453,7 +581,8 @@ class AuthController {
             accountId: payload.accountId,
             username: payload.username,
             email: payload.email,
-            isRoot: payload.isRoot
+            isRoot: payload.isRoot,
+            mfaPresent: Boolean(payload.mfaPresent)
           }
         },
         message: 'Token is valid'
@@ -537,7 +666,10 @@ class AuthController {
    */
   async loginIAM(req, res) {
     try {
-      const { accountId, username, password } = req.body;
+      const { accountId, username, password, mfaCode, recoveryCode, newPassword } = req.body;
+
+      // Failed attempts are also recorded in the audit trail of the account
+      setAuditContext(req, { accountId });
 
       if (!accountId || !username || !password) {
         return res.status(400).json({
@@ -546,7 +678,14 @@ class AuthController {
         });
       }
 
-      const result = await this.authService.loginWithIAMCredentials(accountId, username, password);
+      const result = await this.authService.loginWithIAMCredentials(accountId, username, password, {
+        mfaCode,
+        recoveryCode,
+        newPassword,
+        sourceIp: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+      this.recordLoginAudit(req, result.user);
 
       res.status(200).json({
         success: true,
@@ -561,6 +700,10 @@ class AuthController {
         });
       }
 
+      if (LOGIN_ERROR_CODES.includes(error.code)) {
+        return this.sendLoginError(res, error);
+      }
+
       if (error.message.includes('inactive') || error.message.includes('suspended')) {
         return res.status(403).json({
           success: false,
@@ -0,0 +1,366 @@
+const { IdentityProviderService } = require('../services/IdentityProviderService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpenIDConnectProvider:
+ *       type: object
+ *       properties:
+ *         issuer:
+ *           type: string
+ *           description: iss claim of the ID tokens (https). Without https://, it names the provider and prefixes its condition keys
+ *           example: https://token.actions.example.com
+ *         audiences:
+ *           type: array
+ *           description: Accepted client IDs (aud claim)
+ *           items:
+ *             type: string
+ *           example: ["sts.example.com"]
+ *         jwks:
+ *           type: object
+ *           description: JSON Web Key Set of the provider (public keys)
+ *         jwksUri:
+ *           type: string
+ *           description: https URL of the JSON Web Key Set, used when jwks is not set (fetched and cached)
+ *         arn:
+ *           type: string
+ *           readOnly: true
+ *           example: arn:aws:iam::123456789012:oidc-provider/token.actions.example.com
+ *     SAMLProvider:
+ *       type: object
+ *       properties:
+ *         name:
+ *           type: string
+ *           example: Corporate
+ *         audiences:
+ *           type: array
+ *           description: Accepted Audience values of the assertions
+ *           items:
+ *             type: string
+ *           example: ["urn:iam:account-service"]
+ *         metadataDocument:
+ *           type: string
+ *           description: Metadata XML of the IdP (entity ID and signing certificates are read from it)
+ *         issuer:
+ *           type: string
+ *           readOnly: true
+ *           description: Entity ID of the IdP
+ *         arn:
+ *           type: string
+ *           readOnly: true
+ *           example: arn:aws:iam::123456789012:saml-provider/Corporate
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/oidc-providers:
+ *   get:
+ *     summary: List the OpenID Connect providers trusted by an account
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Providers
+ *   post:
+ *     summary: Register an OpenID Connect provider
+ *     description: Roles trust it with Principal.Federated set to the provider ARN and action sts:AssumeRoleWithWebIdentity.
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OpenIDConnectProvider'
+ *     responses:
+ *       201:
+ *         description: Provider registered
+ *       400:
+ *         description: Validation error
+ * /api/v1/accounts/{id}/oidc-providers/{providerId}:
+ *   get:
+ *     summary: Get an OpenID Connect provider
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: providerId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Provider
+ *       404:
+ *         description: Provider not found
+ *   put:
+ *     summary: Update the audiences and keys of an OpenID Connect provider
+ *     description: The issuer cannot be changed.
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: providerId, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OpenIDConnectProvider'
+ *     responses:
+ *       200:
+ *         description: Provider updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Provider not found
+ *   delete:
+ *     summary: Delete an OpenID Connect provider
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: providerId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Provider deleted
+ *       404:
+ *         description: Provider not found
+ * /api/v1/accounts/{id}/saml-providers:
+ *   get:
+ *     summary: List the SAML providers trusted by an account
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Providers
+ *   post:
+ *     summary: Register a SAML provider from the metadata of the IdP
+ *     description: Roles trust it with Principal.Federated set to the provider ARN and action sts:AssumeRoleWithSAML.
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SAMLProvider'
+ *     responses:
+ *       201:
+ *         description: Provider registered
+ *       400:
+ *         description: Validation error or invalid metadata
+ * /api/v1/accounts/{id}/saml-providers/{providerId}:
+ *   get:
+ *     summary: Get a SAML provider
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: providerId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Provider
+ *       404:
+ *         description: Provider not found
+ *   put:
+ *     summary: Update the audiences or metadata of a SAML provider
+ *     description: Uploading new metadata replaces the signing certificates (e.g. certificate rotation). The name cannot be changed.
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: providerId, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SAMLProvider'
+ *     responses:
+ *       200:
+ *         description: Provider updated
+ *       400:
+ *         description: Validation error or invalid metadata
+ *       404:
+ *         description: Provider not found
+ *   delete:
+ *     summary: Delete a SAML provider
+ *     tags: [Identity Federation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: providerId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Provider deleted
+ *       404:
+ *         description: Provider not found
+ */
+
+/**
+ * Controller for the identity providers of an account
+ * One instance per provider type; the OIDC and SAML routes share the same operations
+ */
+class IdentityProviderController {
+  /**
+   * @param {string} providerType - Provider type ('oidc' or 'saml')
+   * @param {IdentityProviderService} [identityProviderService] - Identity provider service
+   */
+  constructor(providerType, identityProviderService = null) {
+    this.providerType = providerType;
+    this.identityProviderService = identityProviderService || new IdentityProviderService();
+  }
+
+  /**
+   * List the providers of the account
+   */
+  async listProviders(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const providers = await this.identityProviderService.listProviders(req.params.id, this.providerType);
+
+      res.json({
+        success: true,
+        data: providers,
+        count: providers.length
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list identity providers');
+    }
+  }
+
+  /**
+   * Register a provider
+   */
+  async createProvider(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const provider = await this.identityProviderService.createProvider(
+        req.params.id, this.providerType, req.body, req.user.userId || null
+      );
+
+      res.status(201).json({
+        success: true,
+        data: provider,
+        message: 'Identity provider created successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create identity provider');
+    }
+  }
+
+  /**
+   * Get a provider
+   */
+  async getProvider(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const provider = await this.identityProviderService.getProvider(
+        req.params.id, this.providerType, req.params.providerId
+      );
+
+      res.json({
+        success: true,
+        data: provider
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get identity provider');
+    }
+  }
+
+  /**
+   * Update a provider
+   */
+  async updateProvider(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const provider = await this.identityProviderService.updateProvider(
+        req.params.id, this.providerType, req.params.providerId, req.body
+      );
+
+      res.json({
+        success: true,
+        data: provider,
+        message: 'Identity provider updated successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update identity provider');
+    }
+  }
+
+  /**
+   * Delete a provider
+   */
+  async deleteProvider(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      await this.identityProviderService.deleteProvider(req.params.id, this.providerType, req.params.providerId);
+
+      res.json({
+        success: true,
+        message: 'Identity provider deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete identity provider');
+    }
+  }
+
+  /**
+   * Identity providers can only be managed from their own account
+   */
+  requireOwnAccount(req, res) {
+    if (req.params.id !== req.user.accountId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'Identity providers can only be managed from their own account'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'IDENTITY_PROVIDER_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (error.details) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = IdentityProviderController;
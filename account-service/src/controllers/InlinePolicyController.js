@@ -0,0 +1,425 @@
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     InlinePolicyRequest:
+ *       type: object
+ *       required:
+ *         - document
+ *       properties:
+ *         document:
+ *           type: object
+ *           example:
+ *             Version: "2012-10-17"
+ *             Statement:
+ *               - Effect: Allow
+ *                 Action: "s3:GetObject"
+ *                 Resource: "arn:aws:s3:::reports/*"
+ */
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/inline-policies:
+ *   get:
+ *     summary: List the inline policies of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policies
+ *       404:
+ *         description: User not found
+ * /api/v1/users/{id}/inline-policies/{policyName}:
+ *   put:
+ *     summary: Create or replace an inline policy of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InlinePolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Inline policy stored
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: User not found
+ *   get:
+ *     summary: Get an inline policy of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policy
+ *       404:
+ *         description: User or inline policy not found
+ *   delete:
+ *     summary: Delete an inline policy of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policy deleted
+ *       404:
+ *         description: User or inline policy not found
+ * /api/v1/groups/{groupId}/inline-policies:
+ *   get:
+ *     summary: List the inline policies of a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policies
+ *       404:
+ *         description: Group not found
+ * /api/v1/groups/{groupId}/inline-policies/{policyName}:
+ *   put:
+ *     summary: Create or replace an inline policy of a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InlinePolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Inline policy stored
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Group not found
+ *   get:
+ *     summary: Get an inline policy of a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policy
+ *       404:
+ *         description: Group or inline policy not found
+ *   delete:
+ *     summary: Delete an inline policy of a group
+ *     tags: [Groups]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: groupId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policy deleted
+ *       404:
+ *         description: Group or inline policy not found
+ * /api/v1/roles/{roleId}/inline-policies:
+ *   get:
+ *     summary: List the inline policies of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policies
+ *       404:
+ *         description: Role not found
+ * /api/v1/roles/{roleId}/inline-policies/{policyName}:
+ *   put:
+ *     summary: Create or replace an inline policy of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/InlinePolicyRequest'
+ *     responses:
+ *       200:
+ *         description: Inline policy stored
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Role not found
+ *   get:
+ *     summary: Get an inline policy of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policy
+ *       404:
+ *         description: Role or inline policy not found
+ *   delete:
+ *     summary: Delete an inline policy of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: policyName
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Inline policy deleted
+ *       404:
+ *         description: Role or inline policy not found
+ */
+
+const { PolicyService } = require('../services/PolicyService');
+
+/**
+ * Inline policies of users, groups and roles
+ * One instance per principal type; the routes of each principal pass their ID parameter name
+ */
+class InlinePolicyController {
+  /**
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalParam - Route parameter holding the principal ID
+   */
+  constructor(principalType, principalParam) {
+    this.principalType = principalType;
+    this.principalParam = principalParam;
+    this.policyService = new PolicyService();
+  }
+
+  /**
+   * Lists the inline policies of the principal
+   */
+  async listInlinePolicies(req, res) {
+    try {
+      const inlinePolicies = await this.policyService.listInlinePolicies(
+        this.principalType,
+        req.params[this.principalParam],
+        req.user.accountId
+      );
+
+      res.json({
+        success: true,
+        inlinePolicies: inlinePolicies.map(policy => policy.toJSON()),
+        count: inlinePolicies.length
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list inline policies');
+    }
+  }
+
+  /**
+   * Gets an inline policy of the principal
+   */
+  async getInlinePolicy(req, res) {
+    try {
+      const inlinePolicy = await this.policyService.getInlinePolicy(
+        this.principalType,
+        req.params[this.principalParam],
+        req.params.policyName,
+        req.user.accountId
+      );
+
+      res.json({
+        success: true,
+        inlinePolicy: inlinePolicy.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get inline policy');
+    }
+  }
+
+  /**
+   * Creates or replaces an inline policy of the principal
+   */
+  async putInlinePolicy(req, res) {
+    try {
+      const { document } = req.body;
+
+      if (!document) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['Policy document is required']
+        });
+      }
+
+      const inlinePolicy = await this.policyService.putInlinePolicy(
+        this.principalType,
+        req.params[this.principalParam],
+        req.params.policyName,
+        document,
+        req.user.accountId
+      );
+
+      res.json({
+        success: true,
+        message: 'Inline policy stored successfully',
+        inlinePolicy: inlinePolicy.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to put inline policy');
+    }
+  }
+
+  /**
+   * Deletes an inline policy of the principal
+   */
+  async deleteInlinePolicy(req, res) {
+    try {
+      await this.policyService.deleteInlinePolicy(
+        this.principalType,
+        req.params[this.principalParam],
+        req.params.policyName,
+        req.user.accountId
+      );
+
+      res.json({
+        success: true,
+        message: 'Inline policy deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete inline policy');
+    }
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'PRINCIPAL_NOT_FOUND' || error.code === 'INLINE_POLICY_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (error.details) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = InlinePolicyController;
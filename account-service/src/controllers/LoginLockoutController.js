@@ -0,0 +1,102 @@
+const { LoginAttemptService } = require('../services/LoginAttemptService');
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/login-lockout:
+ *   get:
+ *     summary: Get the failed login attempts and lockout of a user
+ *     description: Covers the IAM username and the email of the user; source IP lockouts are not user specific.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lockout state (locked, lockedUntil and the tracked subjects)
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Unlock a user
+ *     description: Clears the failed attempts and the lockout of the IAM username and email of the user.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: User unlocked
+ *       404:
+ *         description: User not found
+ */
+
+class LoginLockoutController {
+  constructor(loginAttemptService = null) {
+    this.loginAttemptService = loginAttemptService;
+  }
+
+  getLoginAttemptService() {
+    if (!this.loginAttemptService) {
+      this.loginAttemptService = new LoginAttemptService();
+    }
+    return this.loginAttemptService;
+  }
+
+  /**
+   * Get the lockout state of a user
+   */
+  async getLockout(req, res) {
+    try {
+      const lockout = await this.getLoginAttemptService().getUserLockout(req.params.id, req.user.accountId);
+
+      res.json({
+        success: true,
+        data: lockout
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get login lockout');
+    }
+  }
+
+  /**
+   * Unlock a user
+   */
+  async unlock(req, res) {
+    try {
+      const cleared = await this.getLoginAttemptService().unlockUser(req.params.id, req.user.accountId);
+
+      res.json({
+        success: true,
+        data: { userId: req.params.id, cleared },
+        message: 'User unlocked successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to unlock user');
+    }
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'USER_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = LoginLockoutController;
@@ -2,8 +2,9 @@
  * Controller para métricas e monitoramento
  */
 class MetricsController {
-  constructor(authService) {
+  constructor(authService, loginAttemptService = null) {
     this.authService = authService;
+    this.loginAttemptService = loginAttemptService;
   }
 
   /**
@@ -30,6 +31,14 @@ class MetricsController {
         }
       }
 
+      // Métricas de bloqueio de login se disponível
+      if (this.loginAttemptService) {
+        const loginLockoutStats = await this.loginAttemptService.getStats();
+        if (loginLockoutStats) {
+          metrics.loginLockout = loginLockoutStats;
+        }
+      }
+
       res.status(200).json(metrics);
     } catch (error) {
       console.error('MetricsController.getMetrics error:', error);
@@ -79,6 +88,27 @@ iam_tokens_active_revoked ${blacklistStats.active_revoked || 0}
         }
       }
 
+      // Adicionar métricas de bloqueio de login se disponível
+      if (this.loginAttemptService) {
+        const loginLockoutStats = await this.loginAttemptService.getStats();
+        if (loginLockoutStats) {
+          metrics += `
+# HELP iam_login_locked_subjects Subjects currently locked after failed logins
+# TYPE iam_login_locked_subjects gauge
+iam_login_locked_subjects{type="user"} ${loginLockoutStats.lockedUsers}
+iam_login_locked_subjects{type="ip"} ${loginLockoutStats.lockedIps}
+
+# HELP iam_login_lockouts_last_24h Lockouts started in the last 24 hours
+# TYPE iam_login_lockouts_last_24h gauge
+iam_login_lockouts_last_24h ${loginLockoutStats.lockoutsLast24h}
+
+# HELP iam_login_failed_attempts_recent Failed logins inside the failure window
+# TYPE iam_login_failed_attempts_recent gauge
+iam_login_failed_attempts_recent ${loginLockoutStats.recentFailedAttempts}
+`;
+        }
+      }
+
       res.set('Content-Type', 'text/plain');
       res.status(200).send(metrics);
     } catch (error) {
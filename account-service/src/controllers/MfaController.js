@@ -0,0 +1,303 @@
+const { MfaService } = require('../services/MfaService');
+
+/**
+ * @swagger
+ * /api/v1/users/mfa:
+ *   get:
+ *     summary: Get the MFA status of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: MFA status (enabled, device and remaining recovery codes)
+ *       403:
+ *         description: Role sessions have no MFA device
+ * /api/v1/users/mfa/enroll:
+ *   post:
+ *     summary: Start the enrollment of a virtual MFA device
+ *     description: |
+ *       Creates a pending TOTP device (RFC 6238, SHA-1, 6 digits, 30 seconds) and returns its secret
+ *       once, as base32 and as an otpauth:// URI to be rendered as a QR code. A new enrollment replaces
+ *       a pending one; the device only protects the login after activation.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       201:
+ *         description: Pending device with secret, otpauthUri and qrPayload
+ *       403:
+ *         description: Role sessions have no MFA device
+ *       409:
+ *         description: An active MFA device is already enabled
+ * /api/v1/users/mfa/activate:
+ *   post:
+ *     summary: Activate the pending MFA device with two consecutive codes
+ *     description: Returns the one-time recovery codes; they are not shown again.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - authenticationCode1
+ *               - authenticationCode2
+ *             properties:
+ *               authenticationCode1:
+ *                 type: string
+ *                 example: "123456"
+ *               authenticationCode2:
+ *                 type: string
+ *                 example: "654321"
+ *     responses:
+ *       200:
+ *         description: Device activated, recovery codes returned
+ *       400:
+ *         description: Codes are invalid or not consecutive
+ *       404:
+ *         description: No pending MFA device
+ *       409:
+ *         description: MFA device is already active
+ * /api/v1/users/mfa/recovery-codes:
+ *   post:
+ *     summary: Replace the recovery codes of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - mfaCode
+ *             properties:
+ *               mfaCode:
+ *                 type: string
+ *                 example: "123456"
+ *     responses:
+ *       200:
+ *         description: New recovery codes (previous codes are invalidated)
+ *       400:
+ *         description: Invalid MFA code
+ *       404:
+ *         description: No active MFA device
+ * /api/v1/users/{id}/mfa:
+ *   get:
+ *     summary: Get the MFA status of a user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: MFA status
+ *   delete:
+ *     summary: Deactivate the MFA device of a user (root only)
+ *     description: Deletes the device and its recovery codes, e.g. when the user lost the device.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: MFA device deactivated
+ *       403:
+ *         description: Root access required
+ *       404:
+ *         description: MFA device not found
+ */
+
+class MfaController {
+  constructor(mfaService = null) {
+    this.mfaService = mfaService || new MfaService();
+  }
+
+  /**
+   * Get the MFA status of the current user
+   */
+  async getStatus(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      const status = await this.mfaService.getStatus(req.user.userId, req.user.accountId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get MFA status');
+    }
+  }
+
+  /**
+   * Start the enrollment of a virtual MFA device for the current user
+   */
+  async enroll(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      const enrollment = await this.mfaService.enroll(req.user);
+
+      res.status(201).json({
+        success: true,
+        data: enrollment,
+        message: 'Scan the QR code and activate the device with two consecutive codes'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to enroll MFA device');
+    }
+  }
+
+  /**
+   * Activate the pending device of the current user
+   */
+  async activate(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    const { authenticationCode1, authenticationCode2 } = req.body;
+    if (!authenticationCode1 || !authenticationCode2) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'authenticationCode1 and authenticationCode2 are required'
+      });
+    }
+
+    try {
+      const result = await this.mfaService.activate(
+        req.user.userId,
+        req.user.accountId,
+        String(authenticationCode1),
+        String(authenticationCode2)
+      );
+
+      res.json({
+        success: true,
+        data: result,
+        message: 'MFA device activated. Store the recovery codes, they are not shown again'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to activate MFA device');
+    }
+  }
+
+  /**
+   * Replace the recovery codes of the current user
+   */
+  async regenerateRecoveryCodes(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    if (!req.body.mfaCode) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: 'mfaCode is required'
+      });
+    }
+
+    try {
+      const recoveryCodes = await this.mfaService.regenerateRecoveryCodes(
+        req.user.userId,
+        req.user.accountId,
+        String(req.body.mfaCode)
+      );
+
+      res.json({
+        success: true,
+        data: { recoveryCodes }
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to regenerate recovery codes');
+    }
+  }
+
+  /**
+   * Get the MFA status of a user of the account
+   */
+  async getUserStatus(req, res) {
+    try {
+      const status = await this.mfaService.getStatus(req.params.id, req.user.accountId);
+
+      res.json({
+        success: true,
+        data: status
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get MFA status');
+    }
+  }
+
+  /**
+   * Deactivate the MFA device of a user of the account
+   */
+  async deactivate(req, res) {
+    try {
+      await this.mfaService.deactivate(req.params.id, req.user.accountId);
+
+      res.json({
+        success: true,
+        message: 'MFA device deactivated successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to deactivate MFA device');
+    }
+  }
+
+  /**
+   * MFA devices belong to users; role sessions cannot manage them
+   */
+  requireUser(req, res) {
+    if (!req.user.userId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'MFA devices can only be managed with user credentials'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'MFA_DEVICE_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (error.code === 'MFA_DEVICE_ALREADY_ACTIVE') {
+      return res.status(409).json({
+        error: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_MFA_CODE') {
+      return res.status(400).json({
+        error: 'Invalid MFA code',
+        message: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = MfaController;
@@ -0,0 +1,311 @@
+const { OAuthClientService } = require('../services/OAuthClientService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OAuthClient:
+ *       type: object
+ *       properties:
+ *         clientId:
+ *           type: string
+ *           example: 3f9a1c2b7d4e8a6f0b1c2d3e4f5a6b7c
+ *         name:
+ *           type: string
+ *           example: Customer portal
+ *         clientType:
+ *           type: string
+ *           enum: [public, confidential]
+ *           description: Public clients (SPAs, mobile apps) have no secret; confidential clients authenticate with one
+ *         redirectUris:
+ *           type: array
+ *           items:
+ *             type: string
+ *           example: ["https://portal.example.com/callback"]
+ *         allowedScopes:
+ *           type: array
+ *           items:
+ *             type: string
+ *             enum: [openid, profile, email, offline_access, "iam:read", "iam:write", "sts:assume-role"]
+ *           example: [openid, profile, offline_access]
+ *         firstParty:
+ *           type: boolean
+ *           description: Trusted client of the account, users are not asked for consent
+ *         status:
+ *           type: string
+ *           enum: [active, disabled]
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/oauth-clients:
+ *   get:
+ *     summary: List the OAuth clients of an account
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Clients
+ *       403:
+ *         description: Access denied to this account
+ *   post:
+ *     summary: Register an OAuth client
+ *     description: |
+ *       The client signs in users of the account with the authorization code flow and PKCE. The secret of a
+ *       confidential client is only returned in this response.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthClient'
+ *     responses:
+ *       201:
+ *         description: Client registered
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied to this account
+ * /api/v1/accounts/{id}/oauth-clients/{clientId}:
+ *   get:
+ *     summary: Get an OAuth client
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: clientId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Client
+ *       404:
+ *         description: Client not found
+ *   put:
+ *     summary: Update an OAuth client
+ *     description: Disabling a client revokes the sessions issued to it. The client type cannot be changed.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: clientId, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OAuthClient'
+ *     responses:
+ *       200:
+ *         description: Client updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Client not found
+ *   delete:
+ *     summary: Delete an OAuth client
+ *     description: The sessions issued to the client are revoked.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: clientId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Client deleted
+ *       404:
+ *         description: Client not found
+ * /api/v1/accounts/{id}/oauth-clients/{clientId}/secret:
+ *   post:
+ *     summary: Generate a new secret for a confidential client
+ *     description: The previous secret stops working immediately.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *       - { in: path, name: clientId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: New secret (only returned in this response)
+ *       400:
+ *         description: Public clients have no secret
+ *       404:
+ *         description: Client not found
+ */
+
+class OAuthClientController {
+  constructor(oauthClientService = null) {
+    this.oauthClientService = oauthClientService || new OAuthClientService();
+  }
+
+  /**
+   * List the OAuth clients of the account
+   */
+  async listClients(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const clients = await this.oauthClientService.listClients(req.params.id);
+
+      res.json({
+        success: true,
+        data: clients,
+        count: clients.length
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list OAuth clients');
+    }
+  }
+
+  /**
+   * Register an OAuth client
+   */
+  async createClient(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const { client, clientSecret } = await this.oauthClientService.createClient(
+        req.params.id, req.body, req.user.userId || null
+      );
+
+      res.status(201).json({
+        success: true,
+        data: { ...client.toJSON(), ...(clientSecret ? { clientSecret } : {}) },
+        message: 'OAuth client created successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create OAuth client');
+    }
+  }
+
+  /**
+   * Get an OAuth client
+   */
+  async getClient(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const client = await this.oauthClientService.getClient(req.params.id, req.params.clientId);
+
+      res.json({
+        success: true,
+        data: client
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get OAuth client');
+    }
+  }
+
+  /**
+   * Update an OAuth client
+   */
+  async updateClient(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const client = await this.oauthClientService.updateClient(req.params.id, req.params.clientId, req.body);
+
+      res.json({
+        success: true,
+        data: client,
+        message: 'OAuth client updated successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update OAuth client');
+    }
+  }
+
+  /**
+   * Generate a new secret for a confidential client
+   */
+  async rotateClientSecret(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const { client, clientSecret } = await this.oauthClientService.rotateClientSecret(
+        req.params.id, req.params.clientId
+      );
+
+      res.json({
+        success: true,
+        data: { ...client.toJSON(), clientSecret },
+        message: 'Client secret rotated successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to rotate client secret');
+    }
+  }
+
+  /**
+   * Delete an OAuth client
+   */
+  async deleteClient(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      await this.oauthClientService.deleteClient(req.params.id, req.params.clientId);
+
+      res.json({
+        success: true,
+        message: 'OAuth client deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete OAuth client');
+    }
+  }
+
+  /**
+   * OAuth clients can only be managed from their own account
+   */
+  requireOwnAccount(req, res) {
+    if (req.params.id !== req.user.accountId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'OAuth clients can only be managed from their own account'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'OAUTH_CLIENT_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (error.details) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = OAuthClientController;
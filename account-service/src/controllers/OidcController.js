@@ -0,0 +1,541 @@
+/**
+ * @swagger
+ * /oauth2/authorize:
+ *   get:
+ *     summary: Authorization endpoint (authorization code flow with PKCE)
+ *     description: |
+ *       Validates the authorization request and redirects the browser to the login page (OIDC_LOGIN_URL) with the
+ *       same query string. Without a login page the validated request is returned as JSON. Errors about the
+ *       client or the redirect URI are returned as 400; other errors are redirected to the client.
+ *     tags: [OpenID Connect]
+ *     parameters:
+ *       - { in: query, name: client_id, required: true, schema: { type: string } }
+ *       - { in: query, name: redirect_uri, required: true, schema: { type: string } }
+ *       - { in: query, name: response_type, required: true, schema: { type: string, enum: [code] } }
+ *       - { in: query, name: scope, required: true, schema: { type: string, example: openid profile offline_access } }
+ *       - { in: query, name: code_challenge, required: true, schema: { type: string } }
+ *       - { in: query, name: code_challenge_method, required: true, schema: { type: string, enum: [S256] } }
+ *       - { in: query, name: state, schema: { type: string } }
+ *       - { in: query, name: nonce, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Valid request (no login page configured)
+ *       302:
+ *         description: Redirect to the login page, or error redirect to the client
+ *       400:
+ *         description: Unknown client or unregistered redirect URI
+ *   post:
+ *     summary: Authorize the client for the signed-in user
+ *     description: |
+ *       Called by the login page with the provider session of the user (access token of a regular login) and
+ *       the parameters of the authorization request. Clients that are not first-party need the consent of the
+ *       user: without it the response is 403 with the scopes to show; send consent true (or false) to answer.
+ *       The login page then redirects the browser to redirectTo, which carries the code (or the error for the client,
+ *       e.g. access_denied when consent is refused).
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               client_id: { type: string }
+ *               redirect_uri: { type: string }
+ *               response_type: { type: string, example: code }
+ *               scope: { type: string }
+ *               state: { type: string }
+ *               nonce: { type: string }
+ *               code_challenge: { type: string }
+ *               code_challenge_method: { type: string, example: S256 }
+ *               consent: { type: boolean }
+ *     responses:
+ *       200:
+ *         description: Authorized, or an error to send back to the client
+ *         content:
+ *           application/json:
+ *             example:
+ *               redirectTo: "https://app.example.com/callback?code=...&state=xyz&iss=https%3A%2F%2Fid.example.com"
+ *       400:
+ *         description: Invalid request
+ *       401:
+ *         description: The user is not signed in (login_required)
+ *       403:
+ *         description: Consent required, or the user cannot sign in to the client
+ * /oauth2/token:
+ *   post:
+ *     summary: Token endpoint
+ *     description: |
+ *       Exchanges an authorization code (with its PKCE code_verifier) or a refresh token. Confidential clients
+ *       authenticate with HTTP Basic or client_id/client_secret in the body; public clients send client_id.
+ *       A refresh token is returned with the offline_access scope and an ID token with the openid scope.
+ *     tags: [OpenID Connect]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [grant_type]
+ *             properties:
+ *               grant_type: { type: string, enum: [authorization_code, refresh_token] }
+ *               code: { type: string }
+ *               redirect_uri: { type: string }
+ *               code_verifier: { type: string }
+ *               refresh_token: { type: string }
+ *               client_id: { type: string }
+ *               client_secret: { type: string }
+ *     responses:
+ *       200:
+ *         description: Tokens
+ *         content:
+ *           application/json:
+ *             example:
+ *               access_token: "eyJhbGciOiJSUzI1NiIs..."
+ *               token_type: Bearer
+ *               expires_in: 3600
+ *               scope: openid profile offline_access
+ *               refresh_token: "eyJhbGciOiJIUzI1NiIs..."
+ *               id_token: "eyJhbGciOiJSUzI1NiIs..."
+ *       400:
+ *         description: OAuth error (invalid_request, invalid_grant, unsupported_grant_type)
+ *       401:
+ *         description: Client authentication failed (invalid_client)
+ * /oauth2/introspect:
+ *   post:
+ *     summary: Token introspection (RFC 7662)
+ *     description: |
+ *       Tells a confidential client (e.g. an API gateway) whether an access or refresh token is active, with its
+ *       subject, client and scope. Tokens of other accounts, and invalid, expired, revoked or rotated tokens,
+ *       are reported as inactive.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - clientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *               token_type_hint: { type: string, enum: [access_token, refresh_token] }
+ *               client_id: { type: string }
+ *               client_secret: { type: string }
+ *     responses:
+ *       200:
+ *         description: Token state
+ *         content:
+ *           application/json:
+ *             example:
+ *               active: true
+ *               token_type: Bearer
+ *               sub: 7c0d3f7e-8a51-4a43-9d7e-0e4f1c2b9a10
+ *               account_id: "123456789012"
+ *               username: john.doe
+ *               client_id: 3f9a1c2b7d4e8a6f0b1c2d3e4f5a6b7c
+ *               scope: openid iam:read
+ *               exp: 1760000000
+ *               iat: 1759996400
+ *       400:
+ *         description: Missing token
+ *       401:
+ *         description: Client authentication failed, or not a confidential client
+ * /oauth2/revoke:
+ *   post:
+ *     summary: Token revocation (RFC 7009)
+ *     description: |
+ *       Revokes a token issued to the client (first-party confidential clients may revoke any token of their
+ *       account). A refresh token ends its whole session; an access token is blacklisted until it expires.
+ *       The response is 200 for invalid or unknown tokens as well.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - clientBasicAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/x-www-form-urlencoded:
+ *           schema:
+ *             type: object
+ *             required: [token]
+ *             properties:
+ *               token: { type: string }
+ *               token_type_hint: { type: string, enum: [access_token, refresh_token] }
+ *               client_id: { type: string }
+ *               client_secret: { type: string }
+ *     responses:
+ *       200:
+ *         description: Token revoked, or nothing to revoke
+ *       400:
+ *         description: Missing token
+ *       401:
+ *         description: Client authentication failed
+ * /oauth2/userinfo:
+ *   get:
+ *     summary: UserInfo endpoint
+ *     description: Claims about the user of an access token issued with the openid scope.
+ *     tags: [OpenID Connect]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Claims
+ *         content:
+ *           application/json:
+ *             example:
+ *               sub: 7c0d3f7e-8a51-4a43-9d7e-0e4f1c2b9a10
+ *               account_id: "123456789012"
+ *               preferred_username: john.doe
+ *               email: john@example.com
+ *       401:
+ *         description: Missing or invalid access token
+ *       403:
+ *         description: The token has no openid scope
+ * /api/v1/users/oauth-consents:
+ *   get:
+ *     summary: List the OAuth clients the current user consented to
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Consents
+ * /api/v1/users/oauth-consents/{clientId}:
+ *   delete:
+ *     summary: Withdraw the consent of the current user for a client
+ *     description: The sessions of the user issued to the client are revoked as well.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: clientId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Consent withdrawn
+ *       404:
+ *         description: Consent not found
+ */
+
+// HTTP status of each OAuth error (error codes are the OAuth errors in upper case)
+const OAUTH_ERROR_STATUS = {
+  INVALID_REQUEST: 400,
+  INVALID_CLIENT: 401,
+  INVALID_GRANT: 400,
+  INVALID_SCOPE: 400,
+  UNSUPPORTED_GRANT_TYPE: 400,
+  UNSUPPORTED_RESPONSE_TYPE: 400,
+  ACCESS_DENIED: 403,
+  INVALID_TOKEN: 401,
+  INSUFFICIENT_SCOPE: 403
+};
+
+const { setAuditContext, describeUser } = require('../middleware/auditMiddleware');
+
+class OidcController {
+  /**
+   * @param {OidcProviderService} oidcProviderService - Provider
+   * @param {AuthService} [authService] - Verifies the access tokens of the requests (defaults to the provider's)
+   */
+  constructor(oidcProviderService, authService = null) {
+    this.oidcProviderService = oidcProviderService;
+    this.authService = authService || oidcProviderService.authService;
+    this.loginUrl = process.env.OIDC_LOGIN_URL || null;
+  }
+
+  /**
+   * Validate an authorization request and send the browser to the login page
+   */
+  async startAuthorization(req, res) {
+    try {
+      const request = await this.oidcProviderService.validateAuthorizationRequest(req.query);
+
+      if (this.loginUrl) {
+        const query = new URLSearchParams(req.query).toString();
+        return res.redirect(302, `${this.loginUrl}${this.loginUrl.includes('?') ? '&' : '?'}${query}`);
+      }
+
+      res.status(200).json({
+        client: { clientId: request.client.clientId, name: request.client.name },
+        redirectUri: request.redirectUri,
+        scopes: this.oidcProviderService.describeScopes(request.scopes),
+        state: request.state
+      });
+    } catch (error) {
+      this.handleAuthorizationError(res, error, true);
+    }
+  }
+
+  /**
+   * Authorize the client for the user of the provider session and return the redirect with the code
+   */
+  async authorize(req, res) {
+    const session = await this.authenticate(req);
+    if (!session || session.client_id) {
+      return res.status(401).json({
+        error: 'login_required',
+        error_description: 'A session of the provider is required (access token of a user login)'
+      });
+    }
+    setAuditContext(req, { actor: describeUser(session) });
+
+    try {
+      const { consent, ...params } = req.body || {};
+      const result = await this.oidcProviderService.authorize(params, session, {
+        consent: typeof consent === 'boolean' ? consent : undefined
+      });
+
+      res.status(200).json(result);
+    } catch (error) {
+      if (error.code === 'CONSENT_REQUIRED') {
+        return res.status(403).json({
+          error: 'consent_required',
+          error_description: error.message,
+          consentRequired: true,
+          ...error.consent
+        });
+      }
+
+      this.handleAuthorizationError(res, error, false);
+    }
+  }
+
+  /**
+   * Exchange an authorization code or a refresh token
+   */
+  async token(req, res) {
+    res.set('Cache-Control', 'no-store');
+    res.set('Pragma', 'no-cache');
+
+    try {
+      const tokens = await this.oidcProviderService.exchangeToken(req.body || {}, this.getClientCredentials(req), {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).json(tokens);
+    } catch (error) {
+      this.sendClientError(req, res, error, 'Failed to exchange token');
+    }
+  }
+
+  /**
+   * Tell a confidential client whether a token is active
+   */
+  async introspect(req, res) {
+    res.set('Cache-Control', 'no-store');
+
+    try {
+      const result = await this.oidcProviderService.introspectToken(req.body || {}, this.getClientCredentials(req));
+      res.status(200).json(result);
+    } catch (error) {
+      this.sendClientError(req, res, error, 'Failed to introspect token');
+    }
+  }
+
+  /**
+   * Revoke an access or refresh token
+   */
+  async revoke(req, res) {
+    try {
+      await this.oidcProviderService.revokeToken(req.body || {}, this.getClientCredentials(req), {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.status(200).send();
+    } catch (error) {
+      this.sendClientError(req, res, error, 'Failed to revoke token');
+    }
+  }
+
+  /**
+   * Return the claims about the user of the access token
+   */
+  async userInfo(req, res) {
+    const payload = await this.authenticate(req);
+    if (!payload) {
+      res.set('WWW-Authenticate', 'Bearer error="invalid_token"');
+      return res.status(401).json({
+        error: 'invalid_token',
+        error_description: 'Missing, invalid or expired access token'
+      });
+    }
+
+    try {
+      const claims = await this.oidcProviderService.getUserInfo(payload);
+      res.set('Cache-Control', 'no-store');
+      res.status(200).json(claims);
+    } catch (error) {
+      if (error.code === 'INSUFFICIENT_SCOPE' || error.code === 'INVALID_TOKEN') {
+        res.set('WWW-Authenticate', `Bearer error="${error.code.toLowerCase()}"`);
+      }
+
+      this.sendOAuthError(res, error, 'Failed to get user info');
+    }
+  }
+
+  /**
+   * List the clients the current user consented to
+   */
+  async listConsents(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      const consents = await this.oidcProviderService.listConsents(req.user.userId);
+
+      res.json({
+        success: true,
+        data: consents,
+        count: consents.length
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list consents');
+    }
+  }
+
+  /**
+   * Withdraw the consent of the current user for a client
+   */
+  async revokeConsent(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      const revoked = await this.oidcProviderService.revokeConsent(req.user.userId, req.params.clientId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        success: true,
+        data: { sessionsRevoked: revoked },
+        message: 'Consent revoked successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to revoke consent');
+    }
+  }
+
+  /**
+   * Verifies the Bearer access token of the request
+   * @returns {Promise<Object|null>} Token payload, or null when missing or invalid
+   */
+  async authenticate(req) {
+    const authHeader = req.headers.authorization || '';
+    if (!authHeader.startsWith('Bearer ')) {
+      return null;
+    }
+
+    try {
+      return await this.authService.verifyAccessToken(authHeader.slice(7));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Reads the client credentials: HTTP Basic (client_secret_basic) or body parameters (client_secret_post, none)
+   */
+  getClientCredentials(req) {
+    const authHeader = req.headers.authorization || '';
+    if (/^Basic /i.test(authHeader)) {
+      const decoded = Buffer.from(authHeader.slice(6), 'base64').toString('utf8');
+      const separator = decoded.indexOf(':');
+      if (separator === -1) {
+        return {};
+      }
+      // RFC 6749 section 2.3.1: both parts are form-urlencoded
+      try {
+        return {
+          clientId: decodeURIComponent(decoded.slice(0, separator)),
+          clientSecret: decodeURIComponent(decoded.slice(separator + 1))
+        };
+      } catch (error) {
+        return {};
+      }
+    }
+
+    const body = req.body || {};
+    return { clientId: body.client_id, clientSecret: body.client_secret };
+  }
+
+  /**
+   * Consents are managed by the user with a provider session (not with tokens issued to clients)
+   */
+  requireUser(req, res) {
+    if (!req.user.userId || req.user.client_id) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'Consents can only be managed with user credentials'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Errors that belong to the client are sent back to its redirect URI: as a redirect of the browser, or as
+   * redirectTo for the login page
+   */
+  handleAuthorizationError(res, error, redirectBrowser) {
+    if (error.redirect) {
+      const redirectTo = this.oidcProviderService.buildRedirect(error.redirect.redirectUri, {
+        error: error.code.toLowerCase(),
+        error_description: error.message,
+        state: error.redirect.state
+      });
+      return redirectBrowser ? res.redirect(302, redirectTo) : res.status(200).json({ redirectTo });
+    }
+
+    this.sendOAuthError(res, error, 'Failed to authorize client');
+  }
+
+  /**
+   * Errors of the endpoints that authenticate the client (token, introspection, revocation)
+   */
+  sendClientError(req, res, error, message) {
+    if (error.code === 'INVALID_CLIENT' && /^Basic /i.test(req.headers.authorization || '')) {
+      res.set('WWW-Authenticate', 'Basic realm="oauth2"');
+    }
+
+    this.sendOAuthError(res, error, message);
+  }
+
+  sendOAuthError(res, error, message) {
+    const status = OAUTH_ERROR_STATUS[error.code];
+    if (status) {
+      return res.status(status).json({
+        error: error.code.toLowerCase(),
+        error_description: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'server_error',
+      error_description: message
+    });
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'CONSENT_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = OidcController;
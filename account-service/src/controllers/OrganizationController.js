@@ -0,0 +1,772 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Organizations
+ *   description: Organizational units and service control policies (account guardrails)
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OrganizationalUnit:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         managementAccountId:
+ *           type: string
+ *           format: uuid
+ *         parentId:
+ *           type: string
+ *           format: uuid
+ *           nullable: true
+ *         name:
+ *           type: string
+ *           example: "Production"
+ *         arn:
+ *           type: string
+ *           example: "arn:aws:organizations::123e4567-e89b-12d3-a456-426614174000:ou/1f0e..."
+ *     ServiceControlPolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         managementAccountId:
+ *           type: string
+ *           format: uuid
+ *         targetType:
+ *           type: string
+ *           enum: [account, organizational_unit]
+ *         targetId:
+ *           type: string
+ *           format: uuid
+ *         name:
+ *           type: string
+ *           example: "DenyIamUserCreation"
+ *         description:
+ *           type: string
+ *         document:
+ *           type: object
+ *           example:
+ *             Version: "2012-10-17"
+ *             Statement:
+ *               - Effect: Deny
+ *                 Action: "iam:CreateUser"
+ *                 Resource: "*"
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/service-control-policies:
+ *   get:
+ *     summary: List the service control policies in effect for an account
+ *     description: |
+ *       Returns the SCPs attached to the account and inherited from each organizational unit
+ *       above it. Available to the account itself and to its management account.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     responses:
+ *       200:
+ *         description: SCPs grouped by level (account first, then each OU up to the top)
+ *       403:
+ *         description: Caller is neither the account nor its management account
+ *       404:
+ *         description: Account not found
+ *   post:
+ *     summary: Attach a service control policy to a member account
+ *     description: Only the management account of the account's organization can attach SCPs.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member account ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - document
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               document:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: SCP created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ServiceControlPolicy'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Caller is not the management account
+ *       409:
+ *         description: Account is not in an organization, or SCP name already used on the account
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/service-control-policies/{policyId}:
+ *   get:
+ *     summary: Get a service control policy
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SCP ID
+ *     responses:
+ *       200:
+ *         description: SCP retrieved
+ *       404:
+ *         description: SCP not found
+ *   put:
+ *     summary: Update a service control policy (management account only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SCP ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               document:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: SCP updated
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Caller is not the management account
+ *       404:
+ *         description: SCP not found
+ *   delete:
+ *     summary: Delete a service control policy (management account only)
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: SCP ID
+ *     responses:
+ *       200:
+ *         description: SCP deleted
+ *       403:
+ *         description: Caller is not the management account
+ *       404:
+ *         description: SCP not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/organizational-units:
+ *   get:
+ *     summary: List the organizational units owned by a management account
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Management account ID (must be the caller's account)
+ *     responses:
+ *       200:
+ *         description: OUs retrieved
+ *       403:
+ *         description: Account does not match the caller
+ *   post:
+ *     summary: Create an organizational unit
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Management account ID (must be the caller's account)
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Production"
+ *               parentId:
+ *                 type: string
+ *                 description: Parent OU ID (omit for a top-level OU)
+ *     responses:
+ *       201:
+ *         description: OU created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/OrganizationalUnit'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Parent OU not found
+ *       409:
+ *         description: An OU with this name already exists under the same parent
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/organizational-units/{ouId}:
+ *   delete:
+ *     summary: Delete an empty organizational unit
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Management account ID (must be the caller's account)
+ *       - in: path
+ *         name: ouId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OU ID
+ *     responses:
+ *       200:
+ *         description: OU deleted, together with the SCPs attached to it
+ *       404:
+ *         description: OU not found
+ *       409:
+ *         description: OU still has child units or member accounts
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/organizational-units/{ouId}/service-control-policies:
+ *   get:
+ *     summary: List the service control policies attached to an organizational unit
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Management account ID (must be the caller's account)
+ *       - in: path
+ *         name: ouId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OU ID
+ *     responses:
+ *       200:
+ *         description: SCPs retrieved
+ *       404:
+ *         description: OU not found
+ *   post:
+ *     summary: Attach a service control policy to an organizational unit
+ *     description: The SCP applies to every account in the OU and in the OUs below it.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Management account ID (must be the caller's account)
+ *       - in: path
+ *         name: ouId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: OU ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - document
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               document:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: SCP created
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: OU not found
+ *       409:
+ *         description: SCP name already used on the OU
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/organizational-unit:
+ *   put:
+ *     summary: Place an account in an organizational unit
+ *     description: |
+ *       An account outside any organization joins an OU on its own request. Once it is a member,
+ *       only its management account can move it to another of its OUs.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Account ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - organizationalUnitId
+ *             properties:
+ *               organizationalUnitId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Account placed in the OU
+ *       400:
+ *         description: Missing OU ID, or the OU belongs to the account's own organization
+ *       403:
+ *         description: Caller is not allowed to move the account
+ *       404:
+ *         description: Account or OU not found
+ *   delete:
+ *     summary: Remove a member account from its organization (management account only)
+ *     description: Account-level SCPs are deleted together with the membership.
+ *     tags: [Organizations]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Member account ID
+ *     responses:
+ *       200:
+ *         description: Account removed from the organization
+ *       403:
+ *         description: Caller is not the management account
+ *       409:
+ *         description: Account is not in an organization
+ */
+
+const { OrganizationService } = require('../services/OrganizationService');
+
+class OrganizationController {
+  constructor() {
+    this.organizationService = new OrganizationService();
+  }
+
+  /**
+   * Lists the SCPs in effect for an account
+   */
+  async listServiceControlPolicies(req, res) {
+    try {
+      const result = await this.organizationService.listServiceControlPolicies(req.user.accountId, req.params.id);
+
+      res.json({
+        success: true,
+        managementAccountId: result.managementAccountId,
+        organizationalUnitId: result.organizationalUnitId,
+        levels: result.levels.map(level => ({
+          ...level,
+          policies: level.policies.map(policy => policy.toJSON())
+        }))
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list service control policies');
+    }
+  }
+
+  /**
+   * Attaches a new SCP to a member account
+   */
+  async createAccountServiceControlPolicy(req, res) {
+    try {
+      const { name, description, document } = req.body;
+
+      if (!name || !document) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['Policy name and document are required']
+        });
+      }
+
+      const policy = await this.organizationService.createAccountServiceControlPolicy(
+        req.user.accountId,
+        req.params.id,
+        { name, description, document }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Service control policy created successfully',
+        policy: policy.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create service control policy');
+    }
+  }
+
+  /**
+   * Gets an SCP
+   */
+  async getServiceControlPolicy(req, res) {
+    try {
+      const policy = await this.organizationService.getServiceControlPolicy(
+        req.user.accountId,
+        req.params.id,
+        req.params.policyId
+      );
+
+      res.json({
+        success: true,
+        policy: policy.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get service control policy');
+    }
+  }
+
+  /**
+   * Updates an SCP
+   */
+  async updateServiceControlPolicy(req, res) {
+    try {
+      const { name, description, document } = req.body;
+
+      const policy = await this.organizationService.updateServiceControlPolicy(
+        req.user.accountId,
+        req.params.id,
+        req.params.policyId,
+        { name, description, document }
+      );
+
+      res.json({
+        success: true,
+        message: 'Service control policy updated successfully',
+        policy: policy.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update service control policy');
+    }
+  }
+
+  /**
+   * Deletes an SCP
+   */
+  async deleteServiceControlPolicy(req, res) {
+    try {
+      await this.organizationService.deleteServiceControlPolicy(
+        req.user.accountId,
+        req.params.id,
+        req.params.policyId
+      );
+
+      res.json({
+        success: true,
+        message: 'Service control policy deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete service control policy');
+    }
+  }
+
+  /**
+   * Lists the OUs owned by the caller's account
+   */
+  async listOrganizationalUnits(req, res) {
+    try {
+      if (!this.isOwnAccount(req, res)) return;
+
+      const organizationalUnits = await this.organizationService.listOrganizationalUnits(req.params.id);
+
+      res.json({
+        success: true,
+        organizationalUnits: organizationalUnits.map(ou => ou.toJSON())
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list organizational units');
+    }
+  }
+
+  /**
+   * Creates an OU owned by the caller's account
+   */
+  async createOrganizationalUnit(req, res) {
+    try {
+      if (!this.isOwnAccount(req, res)) return;
+
+      const { name, parentId } = req.body;
+      const organizationalUnit = await this.organizationService.createOrganizationalUnit(req.params.id, { name, parentId });
+
+      res.status(201).json({
+        success: true,
+        message: 'Organizational unit created successfully',
+        organizationalUnit: organizationalUnit.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create organizational unit');
+    }
+  }
+
+  /**
+   * Deletes an empty OU owned by the caller's account
+   */
+  async deleteOrganizationalUnit(req, res) {
+    try {
+      if (!this.isOwnAccount(req, res)) return;
+
+      await this.organizationService.deleteOrganizationalUnit(req.params.id, req.params.ouId);
+
+      res.json({
+        success: true,
+        message: 'Organizational unit deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete organizational unit');
+    }
+  }
+
+  /**
+   * Lists the SCPs attached to an OU owned by the caller's account
+   */
+  async listOrganizationalUnitServiceControlPolicies(req, res) {
+    try {
+      if (!this.isOwnAccount(req, res)) return;
+
+      const policies = await this.organizationService.listOrganizationalUnitServiceControlPolicies(
+        req.params.id,
+        req.params.ouId
+      );
+
+      res.json({
+        success: true,
+        policies: policies.map(policy => policy.toJSON())
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list service control policies');
+    }
+  }
+
+  /**
+   * Attaches a new SCP to an OU owned by the caller's account
+   */
+  async createOrganizationalUnitServiceControlPolicy(req, res) {
+    try {
+      if (!this.isOwnAccount(req, res)) return;
+
+      const { name, description, document } = req.body;
+
+      if (!name || !document) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['Policy name and document are required']
+        });
+      }
+
+      const policy = await this.organizationService.createOrganizationalUnitServiceControlPolicy(
+        req.params.id,
+        req.params.ouId,
+        { name, description, document }
+      );
+
+      res.status(201).json({
+        success: true,
+        message: 'Service control policy created successfully',
+        policy: policy.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create service control policy');
+    }
+  }
+
+  /**
+   * Places an account in an OU (join or move)
+   */
+  async moveAccount(req, res) {
+    try {
+      const { organizationalUnitId } = req.body;
+
+      if (!organizationalUnitId) {
+        return res.status(400).json({
+          error: 'Organizational unit ID is required'
+        });
+      }
+
+      const result = await this.organizationService.moveAccount(req.user.accountId, req.params.id, organizationalUnitId);
+
+      res.json({
+        success: true,
+        message: 'Account placed in organizational unit successfully',
+        accountId: result.account.id,
+        organizationalUnit: result.organizationalUnit.toJSON()
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to move account');
+    }
+  }
+
+  /**
+   * Removes a member account from its organization
+   */
+  async removeAccount(req, res) {
+    try {
+      await this.organizationService.removeAccount(req.user.accountId, req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Account removed from organization successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to remove account from organization');
+    }
+  }
+
+  /**
+   * Ensures OU management routes address the caller's own account
+   * @returns {boolean} True if the request may continue
+   */
+  isOwnAccount(req, res) {
+    if (req.params.id !== req.user.accountId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'Organizational units can only be managed by their management account'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Maps organization error codes to HTTP responses
+   */
+  handleError(res, error, message) {
+    const statusByCode = {
+      ACCOUNT_NOT_FOUND: 404,
+      ORGANIZATIONAL_UNIT_NOT_FOUND: 404,
+      SCP_NOT_FOUND: 404,
+      ORGANIZATION_ACCESS_DENIED: 403,
+      INVALID_ORGANIZATION_MEMBERSHIP: 400,
+      ACCOUNT_NOT_IN_ORGANIZATION: 409,
+      ORGANIZATIONAL_UNIT_NOT_EMPTY: 409,
+      ORGANIZATIONAL_UNIT_NAME_EXISTS: 409,
+      SCP_NAME_EXISTS: 409
+    };
+
+    if (statusByCode[error.code]) {
+      return res.status(statusByCode[error.code]).json({
+        error: error.message
+      });
+    }
+
+    if (error.details) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = OrganizationController;
@@ -0,0 +1,204 @@
+const { PasswordPolicyService } = require('../services/PasswordPolicyService');
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PasswordPolicy:
+ *       type: object
+ *       properties:
+ *         minimumPasswordLength:
+ *           type: integer
+ *           minimum: 6
+ *           maximum: 128
+ *           example: 12
+ *         requireUppercaseCharacters:
+ *           type: boolean
+ *         requireLowercaseCharacters:
+ *           type: boolean
+ *         requireNumbers:
+ *           type: boolean
+ *         requireSymbols:
+ *           type: boolean
+ *         maxPasswordAge:
+ *           type: integer
+ *           nullable: true
+ *           description: Days until a password expires (IAM users only)
+ *           example: 90
+ *         passwordReusePrevention:
+ *           type: integer
+ *           nullable: true
+ *           description: Number of previous passwords that cannot be reused (1-24)
+ *           example: 5
+ *         hardExpiry:
+ *           type: boolean
+ *           description: Expired passwords can only be reset by an administrator
+ *         allowUsersToChangePassword:
+ *           type: boolean
+ *           description: IAM users may change their own password
+ */
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/password-policy:
+ *   get:
+ *     summary: Get the password policy of an account
+ *     description: Returns the built-in defaults (isDefault true) when the account has no policy.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password policy in effect
+ *       403:
+ *         description: Access denied to this account
+ *   put:
+ *     summary: Create or replace the password policy of an account
+ *     description: |
+ *       Settings that are not provided take their defaults. The policy is checked when users are
+ *       created, when passwords change and at login, where an expired password must be replaced.
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PasswordPolicy'
+ *     responses:
+ *       200:
+ *         description: Password policy stored
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Access denied to this account
+ *   delete:
+ *     summary: Delete the password policy of an account
+ *     tags: [Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Password policy deleted (defaults apply again)
+ *       403:
+ *         description: Access denied to this account
+ *       404:
+ *         description: The account has no password policy
+ */
+
+class PasswordPolicyController {
+  constructor(passwordPolicyService = null) {
+    this.passwordPolicyService = passwordPolicyService || new PasswordPolicyService();
+  }
+
+  /**
+   * Get the password policy in effect for the account
+   */
+  async getPasswordPolicy(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const policy = await this.passwordPolicyService.getPolicy(req.params.id);
+
+      res.json({
+        success: true,
+        data: policy
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get password policy');
+    }
+  }
+
+  /**
+   * Create or replace the password policy of the account
+   */
+  async updatePasswordPolicy(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const policy = await this.passwordPolicyService.updatePolicy(req.params.id, req.body);
+
+      res.json({
+        success: true,
+        data: policy,
+        message: 'Password policy updated successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to update password policy');
+    }
+  }
+
+  /**
+   * Delete the password policy of the account
+   */
+  async deletePasswordPolicy(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      await this.passwordPolicyService.deletePolicy(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'Password policy deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete password policy');
+    }
+  }
+
+  /**
+   * A password policy can only be managed from its own account
+   */
+  requireOwnAccount(req, res) {
+    if (req.params.id !== req.user.accountId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'The password policy can only be managed from its own account'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'PASSWORD_POLICY_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    if (error.details) {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = PasswordPolicyController;
@@ -165,11 +165,17 @@
  *                     - Effect: "Allow"
  *                       Action: ["s3:GetObject", "s3:ListBucket"]
  *                       Resource: "*"
+ *               setAsDefault:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Whether a new document version becomes the default version
  *     responses:
  *       200:
- *         description: Policy updated successfully
+ *         description: Policy updated successfully (a document change creates a new version)
  *       404:
  *         description: Policy not found
+ *       409:
+ *         description: Policy name exists or the policy already has 5 versions
  *   delete:
  *     summary: Delete policy
  *     tags: [Policies]
@@ -188,6 +194,105 @@
  *         description: Policy not found
  */
 
+/**
+ * @swagger
+ * /api/v1/policies/{policyId}/versions:
+ *   get:
+ *     summary: List policy versions
+ *     description: Every document change creates a new immutable version; a policy keeps at most 5 versions.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Policy versions, newest first
+ *       404:
+ *         description: Policy not found
+ * /api/v1/policies/{policyId}/versions/{versionId}:
+ *   get:
+ *     summary: Get a policy version
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "v2"
+ *     responses:
+ *       200:
+ *         description: Policy version retrieved successfully
+ *       404:
+ *         description: Policy or version not found
+ *   delete:
+ *     summary: Delete a non-default policy version
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: versionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: "v2"
+ *     responses:
+ *       200:
+ *         description: Policy version deleted successfully
+ *       404:
+ *         description: Policy or version not found
+ *       409:
+ *         description: The default version cannot be deleted
+ * /api/v1/policies/{policyId}/default-version:
+ *   put:
+ *     summary: Set the default policy version
+ *     description: The default version is the one evaluated by the policy engine; setting an older version rolls the policy back.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - versionId
+ *             properties:
+ *               versionId:
+ *                 type: string
+ *                 example: "v1"
+ *     responses:
+ *       200:
+ *         description: Default version set successfully
+ *       404:
+ *         description: Policy or version not found
+ */
+
 /**
  * @swagger
  * /api/v1/policies/{policyId}/attach-user:
@@ -344,6 +449,77 @@
  *                     type: object
  */
 
+/**
+ * @swagger
+ * /api/v1/policies/users/{userId}/permissions-boundary:
+ *   get:
+ *     summary: Get the permissions boundary of a user
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Permissions boundary retrieved (null if none is set)
+ *       404:
+ *         description: User not found
+ *   put:
+ *     summary: Set a managed policy as the permissions boundary of a user
+ *     description: The user's effective permissions become the intersection of its identity policies and the boundary
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - policyId
+ *             properties:
+ *               policyId:
+ *                 type: string
+ *                 description: ID of the managed policy used as boundary
+ *     responses:
+ *       200:
+ *         description: Permissions boundary set successfully
+ *       400:
+ *         description: Policy ID is required
+ *       404:
+ *         description: User or policy not found
+ *   delete:
+ *     summary: Remove the permissions boundary of a user
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Permissions boundary removed successfully
+ *       404:
+ *         description: User not found or no boundary set
+ */
+
 /**
  * @swagger
  * /api/v1/policies/groups/{groupId}/policies:
@@ -396,11 +572,182 @@
  *         description: Policy document is invalid
  */
 
+/**
+ * @swagger
+ * /api/v1/policies/simulate:
+ *   post:
+ *     summary: Simulate policy evaluation for a principal
+ *     description: |
+ *       Evaluates hypothetical actions and resources for a user, group or role without performing them.
+ *       Extra policy documents can be added to (or, with replacePolicies, used instead of) the policies
+ *       currently attached to the principal, so a policy change can be tested before it is attached.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - principal
+ *               - actions
+ *             properties:
+ *               principal:
+ *                 type: object
+ *                 properties:
+ *                   type:
+ *                     type: string
+ *                     enum: [user, group, role]
+ *                     example: "user"
+ *                   id:
+ *                     type: string
+ *                     example: "d5c86085-d938-425f-afc2-4616ea470366"
+ *               actions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["iam:CreateUser", "s3:GetObject"]
+ *               resources:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ["arn:aws:s3:::documents/report.pdf"]
+ *               context:
+ *                 type: object
+ *                 example:
+ *                   aws:SourceIp: "10.0.0.12"
+ *               policyDocuments:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                 example:
+ *                   - Version: "2012-10-17"
+ *                     Statement:
+ *                       - Effect: "Allow"
+ *                         Action: "s3:GetObject"
+ *                         Resource: "*"
+ *               replacePolicies:
+ *                 type: boolean
+ *                 example: false
+ *     responses:
+ *       200:
+ *         description: Simulation results per action and resource
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 simulation:
+ *                   type: object
+ *                   properties:
+ *                     results:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           action:
+ *                             type: string
+ *                             example: "s3:GetObject"
+ *                           resource:
+ *                             type: string
+ *                             example: "arn:aws:s3:::documents/report.pdf"
+ *                           decision:
+ *                             type: string
+ *                             enum: [ALLOW, DENY]
+ *                           reason:
+ *                             type: string
+ *                             example: "Explicit allow from policy"
+ *                           matchedStatements:
+ *                             type: array
+ *                             items:
+ *                               type: object
+ *       400:
+ *         description: Invalid simulation request or policy document
+ *       404:
+ *         description: Principal not found
+ */
+
+/**
+ * @swagger
+ * /api/v1/policies/evaluate:
+ *   post:
+ *     summary: Evaluate whether the caller may perform an action on a resource
+ *     description: |
+ *       Authorization check for downstream services, evaluated for the authenticated caller.
+ *       Service control policies, identity policies, the permissions boundary and the resource
+ *       policy of the requested resource are all taken into account. When the resource ARN belongs
+ *       to another account, both the caller's identity policies and the resource policy must allow;
+ *       deniedBy tells which side denied.
+ *     tags: [Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *               - resource
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 example: "s3:GetObject"
+ *               resource:
+ *                 type: string
+ *                 example: "arn:aws:s3::123e4567-e89b-12d3-a456-426614174000:bucket/reports/2024.csv"
+ *               context:
+ *                 type: object
+ *                 description: |
+ *                   Extra service condition keys (e.g. s3:prefix). aws:*, sts:*, saml:* and identity provider keys
+ *                   are ignored: they only come from the request and the authenticated principal
+ *     responses:
+ *       200:
+ *         description: Evaluation result
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 evaluation:
+ *                   type: object
+ *                   properties:
+ *                     decision:
+ *                       type: string
+ *                       enum: [ALLOW, DENY]
+ *                     reason:
+ *                       type: string
+ *                     deniedBy:
+ *                       type: string
+ *                       nullable: true
+ *                       enum: [service_control_policy, identity_policy, permissions_boundary, session_policy, resource_policy]
+ *                     crossAccount:
+ *                       type: boolean
+ *                     resourcePolicy:
+ *                       type: object
+ *                       nullable: true
+ *       400:
+ *         description: Invalid action or resource
+ */
+
 const { PolicyService } = require('../services/PolicyService');
+const PolicyEngine = require('../services/PolicyEngine');
+const Policy = require('../models/Policy');
+const { authorizationMiddleware } = require('../middleware/authorization');
 
 class PolicyController {
   constructor() {
     this.policyService = new PolicyService();
+    this.policyEngine = new PolicyEngine();
   }
 
   /**
@@ -424,7 +771,8 @@ class PolicyController {
         description,
         path,
         document,
-        type
+        type,
+        createdBy: req.user.userId
       };
 
       const policy = await this.policyService.createPolicy(policyData);
@@ -535,7 +883,7 @@ class PolicyController {
     try {
       const { accountId } = req.user;
       const { policyId } = req.params;
-      const { name, description, path, document, type } = req.body;
+      const { name, description, path, document, type, setAsDefault } = req.body;
 
       const updateData = {};
       if (name !== undefined) updateData.name = name;
@@ -550,7 +898,10 @@ class PolicyController {
         });
       }
 
-      const policy = await this.policyService.updatePolicy(policyId, accountId, updateData);
+      const policy = await this.policyService.updatePolicy(policyId, accountId, updateData, {
+        userId: req.user.userId,
+        setAsDefault: setAsDefault !== false
+      });
 
       res.json({
         success: true,
@@ -571,6 +922,13 @@ class PolicyController {
         });
       }
 
+      if (error.code === 'POLICY_VERSION_LIMIT_EXCEEDED') {
+        return res.status(409).json({
+          error: 'Policy version limit exceeded',
+          message: error.message
+        });
+      }
+
       if (error.details) {
         return res.status(400).json({
           error: 'Validation failed',
@@ -610,7 +968,7 @@ class PolicyController {
       if (error.code === 'POLICY_IN_USE') {
         return res.status(409).json({
           error: 'Policy is in use',
-          message: 'Cannot delete policy that is attached to users or groups',
+          message: error.message,
           details: error.details
         });
       }
@@ -623,6 +981,158 @@ class PolicyController {
     }
   }
 
+  /**
+   * Lists the versions of a policy
+   */
+  async listPolicyVersions(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { policyId } = req.params;
+
+      const versions = await this.policyService.listPolicyVersions(policyId, accountId);
+
+      res.json({
+        success: true,
+        versions: versions.map(version => version.toJSON())
+      });
+    } catch (error) {
+      if (error.code === 'POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy not found'
+        });
+      }
+
+      console.error('List policy versions error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to list policy versions'
+      });
+    }
+  }
+
+  /**
+   * Gets a specific version of a policy
+   */
+  async getPolicyVersion(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { policyId, versionId } = req.params;
+
+      const version = await this.policyService.getPolicyVersion(policyId, versionId, accountId);
+
+      res.json({
+        success: true,
+        version: version.toJSON()
+      });
+    } catch (error) {
+      if (error.code === 'POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy not found'
+        });
+      }
+
+      if (error.code === 'POLICY_VERSION_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy version not found',
+          message: error.message
+        });
+      }
+
+      console.error('Get policy version error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to get policy version'
+      });
+    }
+  }
+
+  /**
+   * Sets the default version of a policy
+   */
+  async setDefaultPolicyVersion(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { policyId } = req.params;
+      const { versionId } = req.body;
+
+      if (!versionId) {
+        return res.status(400).json({
+          error: 'Version ID is required'
+        });
+      }
+
+      const policy = await this.policyService.setDefaultPolicyVersion(policyId, versionId, accountId);
+
+      res.json({
+        success: true,
+        message: 'Default policy version set successfully',
+        policy: policy.toJSON()
+      });
+    } catch (error) {
+      if (error.code === 'POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy not found'
+        });
+      }
+
+      if (error.code === 'POLICY_VERSION_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy version not found',
+          message: error.message
+        });
+      }
+
+      console.error('Set default policy version error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to set default policy version'
+      });
+    }
+  }
+
+  /**
+   * Deletes a non-default version of a policy
+   */
+  async deletePolicyVersion(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { policyId, versionId } = req.params;
+
+      await this.policyService.deletePolicyVersion(policyId, versionId, accountId);
+
+      res.json({
+        success: true,
+        message: 'Policy version deleted successfully'
+      });
+    } catch (error) {
+      if (error.code === 'POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy not found'
+        });
+      }
+
+      if (error.code === 'POLICY_VERSION_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy version not found',
+          message: error.message
+        });
+      }
+
+      if (error.code === 'POLICY_VERSION_IS_DEFAULT') {
+        return res.status(409).json({
+          error: 'Cannot delete default policy version',
+          message: error.message
+        });
+      }
+
+      console.error('Delete policy version error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to delete policy version'
+      });
+    }
+  }
+
   /**
    * Attaches a policy to a user
    */
@@ -777,12 +1287,16 @@ class PolicyController {
       const { accountId } = req.user;
       const { userId } = req.params;
 
-      const policies = await this.policyService.getUserPolicies(userId, accountId);
+      const [policies, boundary] = await Promise.all([
+        this.policyService.getUserPolicies(userId, accountId),
+        this.policyService.getPermissionsBoundary('user', userId, accountId)
+      ]);
 
       res.json({
         success: true,
         policies: policies.map(policy => policy.toJSON()),
-        count: policies.length
+        count: policies.length,
+        permissionsBoundary: boundary ? boundary.toJSON() : null
       });
     } catch (error) {
       console.error('Get user policies error:', error);
@@ -793,6 +1307,114 @@ class PolicyController {
     }
   }
 
+  /**
+   * Gets the permissions boundary of a user
+   */
+  async getUserPermissionsBoundary(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { userId } = req.params;
+
+      const boundary = await this.policyService.getPermissionsBoundary('user', userId, accountId, { verifyPrincipal: true });
+
+      res.json({
+        success: true,
+        permissionsBoundary: boundary ? boundary.toJSON() : null
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      console.error('Get user permissions boundary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to get user permissions boundary'
+      });
+    }
+  }
+
+  /**
+   * Sets the permissions boundary of a user
+   */
+  async putUserPermissionsBoundary(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { userId } = req.params;
+      const { policyId } = req.body;
+
+      if (!policyId) {
+        return res.status(400).json({
+          error: 'Policy ID is required'
+        });
+      }
+
+      const boundary = await this.policyService.putPermissionsBoundary('user', userId, policyId, accountId);
+
+      res.json({
+        success: true,
+        message: 'Permissions boundary set successfully',
+        permissionsBoundary: boundary.toJSON()
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      if (error.code === 'POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy not found'
+        });
+      }
+
+      console.error('Put user permissions boundary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to set user permissions boundary'
+      });
+    }
+  }
+
+  /**
+   * Removes the permissions boundary of a user
+   */
+  async deleteUserPermissionsBoundary(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { userId } = req.params;
+
+      await this.policyService.deletePermissionsBoundary('user', userId, accountId);
+
+      res.json({
+        success: true,
+        message: 'Permissions boundary removed successfully'
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'User not found'
+        });
+      }
+
+      if (error.code === 'PERMISSIONS_BOUNDARY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Permissions boundary not found',
+          message: error.message
+        });
+      }
+
+      console.error('Delete user permissions boundary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to remove user permissions boundary'
+      });
+    }
+  }
+
   /**
    * Gets all policies for a group
    */
@@ -866,6 +1488,169 @@ class PolicyController {
       });
     }
   }
+
+  /**
+   * Simulates policy evaluation for a principal
+   */
+  async simulatePolicy(req, res) {
+    try {
+      const { accountId } = req.user;
+      const {
+        principal,
+        actions,
+        resources,
+        context,
+        policyDocuments = [],
+        replacePolicies = false
+      } = req.body;
+
+      const errors = [];
+
+      if (!principal || !principal.type || !principal.id) {
+        errors.push('Principal type and id are required');
+      } else if (!['user', 'group', 'role'].includes(principal.type)) {
+        errors.push('Principal type must be one of: user, group, role');
+      }
+
+      if (!Array.isArray(actions) || actions.length === 0) {
+        errors.push('Actions must be a non-empty array');
+      } else if (actions.some(action => !Policy.isValidAction(action))) {
+        errors.push('Actions must be valid action strings (e.g., "iam:CreateUser")');
+      }
+
+      if (resources !== undefined && (!Array.isArray(resources) || resources.length === 0 ||
+          resources.some(resource => typeof resource !== 'string'))) {
+        errors.push('Resources must be a non-empty array of strings');
+      }
+
+      if (context !== undefined && (typeof context !== 'object' || context === null || Array.isArray(context))) {
+        errors.push('Context must be an object');
+      }
+
+      if (!Array.isArray(policyDocuments)) {
+        errors.push('Policy documents must be an array');
+      } else {
+        policyDocuments.forEach((document, index) => {
+          if (!document || typeof document !== 'object') {
+            errors.push(`policyDocuments[${index}]: Policy document must be an object`);
+            return;
+          }
+          const validation = Policy.validatePolicyDocument(document);
+          if (!validation.isValid) {
+            errors.push(...validation.errors.map(err => `policyDocuments[${index}]: ${err}`));
+          }
+        });
+      }
+
+      if (replacePolicies && Array.isArray(policyDocuments) && policyDocuments.length === 0) {
+        errors.push('At least one policy document is required when replacePolicies is true');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      const simulation = await this.policyEngine.simulateAccess({
+        principal,
+        accountId,
+        actions,
+        resources,
+        context,
+        policyDocuments,
+        replacePolicies: Boolean(replacePolicies)
+      });
+
+      res.json({
+        success: true,
+        simulation
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Principal not found',
+          details: [error.message]
+        });
+      }
+
+      console.error('Simulate policy error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to simulate policy'
+      });
+    }
+  }
+
+  /**
+   * Evaluates an access request for the authenticated caller
+   */
+  async evaluateAccess(req, res) {
+    try {
+      const { userId, accountId, roleSession = null } = req.user;
+      const { action, resource, context } = req.body;
+
+      const errors = [];
+
+      if (!action || !Policy.isValidAction(action) || action.includes('*')) {
+        errors.push('Action must be a valid action string without wildcards (e.g., "s3:GetObject")');
+      }
+
+      if (!resource || typeof resource !== 'string') {
+        errors.push('Resource is required');
+      }
+
+      if (context !== undefined && (typeof context !== 'object' || context === null || Array.isArray(context))) {
+        errors.push('Context must be an object');
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: errors
+        });
+      }
+
+      const evaluation = await this.policyEngine.evaluateAccess({
+        userId,
+        accountId,
+        roleSession,
+        action,
+        resource,
+        context: { ...this.withoutReservedContextKeys(context), ...authorizationMiddleware.buildContext(req) }
+      });
+
+      if (evaluation.error) {
+        console.error('Evaluate access error:', evaluation.reason);
+        return res.status(500).json({
+          error: 'Internal server error',
+          message: 'Failed to evaluate access'
+        });
+      }
+
+      res.json({
+        success: true,
+        evaluation
+      });
+    } catch (error) {
+      console.error('Evaluate access error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to evaluate access'
+      });
+    }
+  }
+
+  /**
+   * Keeps the service keys of a caller-supplied context: reserved keys (MFA, principal, STS and
+   * federation keys) would let the caller satisfy conditions on facts the service never verified
+   */
+  withoutReservedContextKeys(context = {}) {
+    return Object.fromEntries(
+      Object.entries(context).filter(([key]) => !authorizationMiddleware.isReservedContextKey(key))
+    );
+  }
 }
 
 module.exports = PolicyController;
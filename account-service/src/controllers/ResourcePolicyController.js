@@ -0,0 +1,288 @@
+/**
+ * @swagger
+ * tags:
+ *   name: Resource Policies
+ *   description: Resource-based policies attached to resource ARNs owned by the account
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     ResourcePolicy:
+ *       type: object
+ *       properties:
+ *         id:
+ *           type: string
+ *           format: uuid
+ *         accountId:
+ *           type: string
+ *           format: uuid
+ *         resourceArn:
+ *           type: string
+ *           example: "arn:aws:s3::123e4567-e89b-12d3-a456-426614174000:bucket/reports"
+ *         document:
+ *           type: object
+ *           example:
+ *             Version: "2012-10-17"
+ *             Statement:
+ *               - Effect: Allow
+ *                 Principal:
+ *                   AWS: "arn:aws:iam::9b2f2c1e-3a4d-4e5f-8a9b-0c1d2e3f4a5b:root"
+ *                 Action: "s3:GetObject"
+ *                 Resource: "arn:aws:s3::123e4567-e89b-12d3-a456-426614174000:bucket/reports/*"
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ *         updatedAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/v1/resource-policies:
+ *   put:
+ *     summary: Set the policy of a resource
+ *     description: |
+ *       Creates or replaces the resource-based policy attached to an ARN owned by the caller's account
+ *       (the account field of the ARN must be the caller's account). Every statement must have a
+ *       Principal or NotPrincipal. The policy also covers resources below the ARN (e.g., objects in a bucket).
+ *     tags: [Resource Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - resourceArn
+ *               - document
+ *             properties:
+ *               resourceArn:
+ *                 type: string
+ *               document:
+ *                 type: object
+ *     responses:
+ *       200:
+ *         description: Resource policy set
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ResourcePolicy'
+ *       400:
+ *         description: Validation error
+ *   get:
+ *     summary: List the resource policies of the account
+ *     tags: [Resource Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: resourceArnPrefix
+ *         schema:
+ *           type: string
+ *         description: Only return policies whose resource ARN starts with this prefix
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Resource policies retrieved
+ */
+
+/**
+ * @swagger
+ * /api/v1/resource-policies/{policyId}:
+ *   get:
+ *     summary: Get a resource policy
+ *     tags: [Resource Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Resource policy ID
+ *     responses:
+ *       200:
+ *         description: Resource policy retrieved
+ *       404:
+ *         description: Resource policy not found
+ *   delete:
+ *     summary: Delete a resource policy
+ *     tags: [Resource Policies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: policyId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Resource policy ID
+ *     responses:
+ *       200:
+ *         description: Resource policy deleted
+ *       404:
+ *         description: Resource policy not found
+ */
+
+const { ResourcePolicyService } = require('../services/ResourcePolicyService');
+
+class ResourcePolicyController {
+  constructor() {
+    this.resourcePolicyService = new ResourcePolicyService();
+  }
+
+  /**
+   * Sets the policy of a resource owned by the account
+   */
+  async putResourcePolicy(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { resourceArn, document } = req.body;
+
+      if (!resourceArn || !document) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: ['Resource ARN and policy document are required']
+        });
+      }
+
+      const resourcePolicy = await this.resourcePolicyService.putResourcePolicy(accountId, resourceArn, document);
+
+      res.json({
+        success: true,
+        message: 'Resource policy set successfully',
+        resourcePolicy: resourcePolicy.toJSON()
+      });
+    } catch (error) {
+      if (error.code === 'RESOURCE_POLICY_CONFLICT') {
+        return res.status(409).json({
+          error: error.message
+        });
+      }
+
+      if (error.details) {
+        return res.status(400).json({
+          error: 'Validation failed',
+          details: error.details
+        });
+      }
+
+      console.error('Put resource policy error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to set resource policy'
+      });
+    }
+  }
+
+  /**
+   * Lists the resource policies of the account
+   */
+  async listResourcePolicies(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { limit = 50, offset = 0, resourceArnPrefix } = req.query;
+
+      const options = {
+        limit: parseInt(limit),
+        offset: parseInt(offset)
+      };
+
+      if (resourceArnPrefix) options.resourceArnPrefix = resourceArnPrefix;
+
+      const result = await this.resourcePolicyService.listResourcePolicies(accountId, options);
+
+      res.json({
+        success: true,
+        resourcePolicies: result.resourcePolicies.map(policy => policy.toJSON()),
+        totalCount: result.totalCount,
+        hasMore: result.hasMore,
+        pagination: {
+          limit: options.limit,
+          offset: options.offset
+        }
+      });
+    } catch (error) {
+      console.error('List resource policies error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to list resource policies'
+      });
+    }
+  }
+
+  /**
+   * Gets a resource policy
+   */
+  async getResourcePolicy(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { policyId } = req.params;
+
+      const resourcePolicy = await this.resourcePolicyService.getResourcePolicy(policyId, accountId);
+
+      if (!resourcePolicy) {
+        return res.status(404).json({
+          error: 'Resource policy not found'
+        });
+      }
+
+      res.json({
+        success: true,
+        resourcePolicy: resourcePolicy.toJSON()
+      });
+    } catch (error) {
+      console.error('Get resource policy error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to get resource policy'
+      });
+    }
+  }
+
+  /**
+   * Deletes a resource policy
+   */
+  async deleteResourcePolicy(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { policyId } = req.params;
+
+      await this.resourcePolicyService.deleteResourcePolicy(policyId, accountId);
+
+      res.json({
+        success: true,
+        message: 'Resource policy deleted successfully'
+      });
+    } catch (error) {
+      if (error.code === 'RESOURCE_POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Resource policy not found'
+        });
+      }
+
+      console.error('Delete resource policy error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to delete resource policy'
+      });
+    }
+  }
+}
+
+module.exports = ResourcePolicyController;
@@ -199,20 +199,175 @@
  *                 example: "MySession"
  *               durationSeconds:
  *                 type: number
+ *                 description: At most the role maxSessionDuration, and at most 3600 when assumed from a role session (role chaining)
  *                 example: 3600
+ *               sourceIdentity:
+ *                 type: string
+ *                 description: Source identity recorded on the session (requires sts:SetSourceIdentity in the trust policy); inherited and fixed through role chaining
+ *                 example: "alice"
+ *               externalId:
+ *                 type: string
+ *                 description: Required when the role trust policy has a condition on sts:ExternalId
+ *                 example: "Unique-Id-1234"
+ *               policy:
+ *                 type: object
+ *                 description: Session policy that further narrows the role permissions for this session
+ *                 example:
+ *                   Version: "2012-10-17"
+ *                   Statement:
+ *                     - Effect: Allow
+ *                       Action: "iam:Get*"
+ *                       Resource: "*"
+ *               policyArns:
+ *                 type: array
+ *                 description: Managed policies used as additional session policies (at most 10)
+ *                 items:
+ *                   type: string
+ *                 example: ["arn:aws:iam::123456789012:policy/ReadOnly"]
+ *               tags:
+ *                 type: array
+ *                 description: Session tags, available as aws:PrincipalTag/<key> (requires sts:TagSession in the trust policy)
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                     value:
+ *                       type: string
+ *                 example: [{ key: "Project", value: "ci" }]
+ *               transitiveTagKeys:
+ *                 type: array
+ *                 description: Tag keys passed on to sessions of roles assumed with this session
+ *                 items:
+ *                   type: string
+ *                 example: ["Project"]
  *     responses:
  *       200:
- *         description: Role assumed successfully
+ *         description: Role assumed successfully. Sign requests (SigV4) with credentials.accessKeyId and credentials.secretAccessKey, sending and signing credentials.sessionToken in the X-Amz-Security-Token header, to call the API as the role
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/RoleSession'
+ *       400:
+ *         description: Invalid session policy or session tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: The caller is not trusted by the role trust policy (details list the outcome of each statement)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: Role not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ * /api/v1/roles/{roleId}/assume-with-web-identity:
+ *   post:
+ *     summary: Assume a role with an ID token of an OpenID Connect provider (AssumeRoleWithWebIdentity)
+ *     description: |
+ *       No API session is needed: the ID token is verified against an OpenID Connect provider registered in the
+ *       role account (issuer, audience, signature, expiration). The trust policy must allow
+ *       sts:AssumeRoleWithWebIdentity to the provider ARN (Principal.Federated) and can condition on the
+ *       claims, e.g. "StringEquals": { "token.example.com:sub": "repo:acme/app:ref:refs/heads/main" }.
+ *     tags: [Roles]
+ *     security: []
+ *     parameters:
+ *       - { in: path, name: roleId, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [webIdentityToken, sessionName]
+ *             properties:
+ *               webIdentityToken:
+ *                 type: string
+ *                 description: ID token (JWT) issued by the provider
+ *               sessionName:
+ *                 type: string
+ *                 example: "ci-deploy"
+ *               durationSeconds:
+ *                 type: number
+ *                 example: 3600
+ *               policy:
+ *                 type: object
+ *                 description: Session policy that further narrows the role permissions
+ *               policyArns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role assumed. The session lists the provider and subject under federatedUser
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoleSession'
+ *       400:
+ *         description: Invalid identity token, session name or session policy
+ *       403:
+ *         description: The provider or the token claims are not trusted by the role trust policy
+ *       404:
+ *         description: Role not found
+ * /api/v1/roles/{roleId}/assume-with-saml:
+ *   post:
+ *     summary: Assume a role with a SAML assertion (AssumeRoleWithSAML)
+ *     description: |
+ *       No API session is needed: the SAML response must be signed with a certificate of the SAML provider
+ *       metadata, issued by its entity ID, intended for one of its audiences, unexpired and not used before.
+ *       Its Destination and the Recipient of the bearer subject confirmation must equal SAML_ACS_URL.
+ *       When the assertion has the https://aws.amazon.com/SAML/Attributes/Role attribute, it must list the role
+ *       ARN; the session name comes from the RoleSessionName attribute (NameID otherwise). The trust policy
+ *       must allow sts:AssumeRoleWithSAML to the provider ARN and can condition on saml:sub, saml:sub_type,
+ *       saml:aud and saml:iss.
+ *     tags: [Roles]
+ *     security: []
+ *     parameters:
+ *       - { in: path, name: roleId, required: true, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [principalArn, samlAssertion]
+ *             properties:
+ *               principalArn:
+ *                 type: string
+ *                 example: "arn:aws:iam::123456789012:saml-provider/Corporate"
+ *               samlAssertion:
+ *                 type: string
+ *                 description: Base64-encoded SAML response
+ *               durationSeconds:
+ *                 type: number
+ *                 example: 3600
+ *               policy:
+ *                 type: object
+ *               policyArns:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Role assumed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoleSession'
+ *       400:
+ *         description: Invalid or replayed SAML assertion, invalid session name or session policy
+ *       403:
+ *         description: The provider or the assertion is not trusted by the role trust policy
+ *       404:
+ *         description: Role not found
  */
 
 /**
@@ -304,6 +459,76 @@
  *                     type: object
  */
 
+/**
+ * @swagger
+ * /api/v1/roles/{roleId}/permissions-boundary:
+ *   get:
+ *     summary: Get the permissions boundary of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Permissions boundary retrieved (null if none is set)
+ *       404:
+ *         description: Role not found
+ *   put:
+ *     summary: Set a managed policy as the permissions boundary of a role
+ *     description: Sessions of the role are limited to the intersection of the role policies and the boundary
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - policyId
+ *             properties:
+ *               policyId:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Permissions boundary set successfully
+ *       400:
+ *         description: Policy ID is required
+ *       404:
+ *         description: Role or policy not found
+ *   delete:
+ *     summary: Remove the permissions boundary of a role
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: roleId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Role ID
+ *     responses:
+ *       200:
+ *         description: Permissions boundary removed successfully
+ *       404:
+ *         description: Role not found or no boundary set
+ */
+
 /**
  * @swagger
  * /api/v1/roles/{roleId}/sessions:
@@ -339,6 +564,28 @@
 /**
  * @swagger
  * /api/v1/roles/sessions/{sessionId}:
+ *   get:
+ *     summary: Get role session with its lineage
+ *     description: Returns a role session, including its source identity, source user and account and the chain of session ids it was assumed through. Visible to the account of the role and to the account that started the chain.
+ *     tags: [Roles]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RoleSession'
+ *       404:
+ *         description: Session not found or expired
  *   delete:
  *     summary: Revoke role session
  *     tags: [Roles]
@@ -392,10 +639,14 @@
  */
 
 const RoleService = require('../services/RoleService');
+const { PolicyService } = require('../services/PolicyService');
+const { authorizationMiddleware } = require('../middleware/authorization');
+const { setAuditContext } = require('../middleware/auditMiddleware');
 
 class RoleController {
-  constructor(roleService) {
+  constructor(roleService, policyService) {
     this.roleService = roleService || new RoleService();
+    this.policyService = policyService || new PolicyService();
   }
 
   /**
@@ -466,8 +717,12 @@ class RoleController {
       const { roleId } = req.params;
 
       const role = await this.roleService.getRoleById(roleId, accountId);
+      const boundary = await this.policyService.getPermissionsBoundary('role', roleId, accountId);
 
-      res.json(role.toJSON());
+      res.json({
+        ...role.toJSON(),
+        permissionsBoundary: boundary ? boundary.toJSON() : null
+      });
     } catch (error) {
       if (error.message === 'Role not found') {
         return res.status(404).json({
@@ -825,6 +1080,111 @@ class RoleController {
     }
   }
 
+  /**
+   * Gets the permissions boundary of a role
+   */
+  async getRolePermissionsBoundary(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { roleId } = req.params;
+
+      const boundary = await this.policyService.getPermissionsBoundary('role', roleId, accountId, { verifyPrincipal: true });
+
+      res.json({
+        permissionsBoundary: boundary ? boundary.toJSON() : null
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Role not found'
+        });
+      }
+
+      console.error('Get role permissions boundary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to get role permissions boundary'
+      });
+    }
+  }
+
+  /**
+   * Sets the permissions boundary of a role
+   */
+  async putRolePermissionsBoundary(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { roleId } = req.params;
+      const { policyId } = req.body;
+
+      if (!policyId) {
+        return res.status(400).json({
+          error: 'Policy ID is required'
+        });
+      }
+
+      const boundary = await this.policyService.putPermissionsBoundary('role', roleId, policyId, accountId);
+
+      res.json({
+        message: 'Permissions boundary set successfully',
+        permissionsBoundary: boundary.toJSON()
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Role not found'
+        });
+      }
+
+      if (error.code === 'POLICY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Policy not found'
+        });
+      }
+
+      console.error('Put role permissions boundary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to set role permissions boundary'
+      });
+    }
+  }
+
+  /**
+   * Removes the permissions boundary of a role
+   */
+  async deleteRolePermissionsBoundary(req, res) {
+    try {
+      const { accountId } = req.user;
+      const { roleId } = req.params;
+
+      await this.policyService.deletePermissionsBoundary('role', roleId, accountId);
+
+      res.json({
+        message: 'Permissions boundary removed successfully'
+      });
+    } catch (error) {
+      if (error.code === 'PRINCIPAL_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Role not found'
+        });
+      }
+
+      if (error.code === 'PERMISSIONS_BOUNDARY_NOT_FOUND') {
+        return res.status(404).json({
+          error: 'Permissions boundary not found',
+          message: error.message
+        });
+      }
+
+      console.error('Delete role permissions boundary error:', error);
+      res.status(500).json({
+        error: 'Internal server error',
+        message: 'Failed to remove role permissions boundary'
+      });
+    }
+  }
+
   /**
    * Gets active sessions for a role
    */
@@ -856,7 +1216,7 @@ class RoleController {
     try {
       const { sessionId } = req.params;
 
-      await this.roleService.revokeRoleSession(sessionId);
+      await this.roleService.revokeRoleSession(sessionId, req.user.accountId);
 
       res.json({
         success: true,
@@ -941,39 +1301,170 @@ class RoleController {
   async assumeRole(req, res) {
     try {
       const { roleId } = req.params;
-      const { sessionName, durationSeconds, userId } = req.body;
-
-      // Get userId from token or body (mock for tests)
-      const finalUserId = userId || (req.user && req.user.userId) || 'user-123';
+      const {
+        sessionName, durationSeconds, policy, policyArns, tags, transitiveTagKeys, externalId, sourceIdentity
+      } = req.body;
+
+      // The session belongs to the authenticated caller; chained sessions keep the user that started the chain
+      // (none for chains started by a federated identity)
+      if (!req.user || (!req.user.roleSession && !req.user.userId)) {
+        return res.status(401).json({
+          error: 'Authentication required',
+          message: 'Assuming a role requires an authenticated user or role session'
+        });
+      }
 
-      const session = await this.roleService.assumeRole(roleId, finalUserId, sessionName, durationSeconds);
+      const callerUserId = req.user.roleSession ? req.user.roleSession.sourceUserId || null : req.user.userId;
+      const session = await this.roleService.assumeRole(roleId, callerUserId, sessionName, durationSeconds, {
+        policy,
+        policyArns,
+        tags,
+        transitiveTagKeys,
+        externalId,
+        sourceIdentity,
+        caller: req.user,
+        sourceIp: req.ip,
+        userAgent: req.get('User-Agent'),
+        context: authorizationMiddleware.buildContext(req)
+      });
       
       res.status(200).json(session.toJSON());
     } catch (error) {
-      if (error.message === 'Role not found') {
-        return res.status(404).json({
-          error: 'Role not found'
-        });
-      }
+      this.handleAssumeRoleError(req, res, error, 'Failed to assume role');
+    }
+  }
 
-      console.error('Assume role error:', error);
-      res.status(500).json({
-        error: 'Internal server error',
-        message: 'Failed to assume role'
+  /**
+   * Assumes a role with an ID token of an OpenID Connect provider (AssumeRoleWithWebIdentity)
+   * Unauthenticated: the token is the credential
+   */
+  async assumeRoleWithWebIdentity(req, res) {
+    try {
+      const { webIdentityToken, sessionName, durationSeconds, policy, policyArns } = req.body;
+
+      const session = await this.roleService.assumeRoleWithWebIdentity(
+        req.params.roleId, webIdentityToken, sessionName, durationSeconds, {
+          policy,
+          policyArns,
+          sourceIp: req.ip,
+          userAgent: req.get('User-Agent'),
+          context: authorizationMiddleware.buildRequestContext(req)
+        }
+      );
+
+      this.recordFederationAudit(req, session);
+      res.status(200).json(session.toJSON());
+    } catch (error) {
+      this.handleAssumeRoleError(req, res, error, 'Failed to assume role with web identity', { federated: true });
+    }
+  }
+
+  /**
+   * Assumes a role with a SAML assertion of a SAML provider (AssumeRoleWithSAML)
+   * Unauthenticated: the assertion is the credential
+   */
+  async assumeRoleWithSAML(req, res) {
+    try {
+      const { principalArn, samlAssertion, durationSeconds, policy, policyArns } = req.body;
+
+      const session = await this.roleService.assumeRoleWithSAML(
+        req.params.roleId, principalArn, samlAssertion, durationSeconds, {
+          policy,
+          policyArns,
+          sourceIp: req.ip,
+          userAgent: req.get('User-Agent'),
+          context: authorizationMiddleware.buildRequestContext(req)
+        }
+      );
+
+      this.recordFederationAudit(req, session);
+      res.status(200).json(session.toJSON());
+    } catch (error) {
+      this.handleAssumeRoleError(req, res, error, 'Failed to assume role with SAML', { federated: true });
+    }
+  }
+
+  /**
+   * The federated identity is the actor of the audit event, recorded in the account of the role
+   */
+  recordFederationAudit(req, session) {
+    setAuditContext(req, {
+      accountId: session.accountId,
+      actor: {
+        type: 'FederatedUser',
+        accountId: session.accountId,
+        providerArn: session.federatedProviderArn,
+        subject: session.federatedSubject,
+        arn: `arn:aws:sts::${session.accountId}:assumed-role/${session.roleId}/${session.sessionName}`
+      },
+      decision: 'Allow'
+    });
+  }
+
+  /**
+   * Maps the errors of the assume role operations
+   * Federated callers are not authenticated users of the account: they do not see the evaluated trust statements
+   */
+  handleAssumeRoleError(req, res, error, message, { federated = false } = {}) {
+    if (error.message === 'Role not found') {
+      return res.status(404).json({
+        error: 'Role not found'
       });
     }
+
+    if (error.code === 'INVALID_IDENTITY_TOKEN' || error.code === 'INVALID_SAML_ASSERTION') {
+      return res.status(400).json({
+        error: error.code === 'INVALID_IDENTITY_TOKEN' ? 'Invalid identity token' : 'Invalid SAML assertion',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_SESSION_DURATION' || error.code === 'INVALID_SOURCE_IDENTITY' ||
+        error.code === 'INVALID_SESSION_NAME') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        message: error.message
+      });
+    }
+
+    if (error.code === 'INVALID_SESSION_POLICY' || error.code === 'INVALID_SESSION_TAGS') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.details
+      });
+    }
+
+    if (error.code === 'ASSUME_ROLE_DENIED') {
+      // Denied by the trust policy of the role (federated callers are recorded in the account of the role)
+      setAuditContext(req, {
+        decision: 'Deny',
+        decisionReason: error.details.reason,
+        ...(federated && error.role && { accountId: error.role.accountId, resource: error.role.arn })
+      });
+      return res.status(403).json({
+        error: 'Access denied',
+        message: error.message,
+        ...(!federated && { details: error.details })
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
   }
 
   async getRoleSession(req, res) {
     try {
       const { sessionId } = req.params;
-      const session = await this.roleService.getRoleSession(sessionId);
+      const session = await this.roleService.getRoleSession(sessionId, req.user && req.user.accountId);
       
       res.status(200).json(session.toJSON());
     } catch (error) {
-      if (error.message === 'Session not found') {
+      if (error.message === 'Session not found' || error.message === 'Session has expired') {
         return res.status(404).json({
-          error: 'Session not found'
+          error: error.message
         });
       }
 
@@ -0,0 +1,420 @@
+const { ScimService } = require('../services/ScimService');
+const { SCIM_SCHEMAS } = require('../config/scimSchemas');
+
+/**
+ * @swagger
+ * /scim/v2/Users:
+ *   get:
+ *     summary: List the IAM users of the account (SCIM 2.0)
+ *     description: |
+ *       Authenticated with the SCIM token of the account (POST /api/v1/accounts/{id}/scim-token). Supports filter
+ *       (eq, ne, co, sw, ew, gt, ge, lt, le, pr, and, or, not), startIndex/count pagination and attributes/excludedAttributes.
+ *       The root user is not listed.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: filter, schema: { type: string, example: userName eq "alice@example.com" } }
+ *       - { in: query, name: startIndex, schema: { type: integer, minimum: 1 } }
+ *       - { in: query, name: count, schema: { type: integer, maximum: 200 } }
+ *     responses:
+ *       200:
+ *         description: ListResponse
+ *       400:
+ *         description: Invalid filter (scimType invalidFilter)
+ *       401:
+ *         description: Missing or unknown SCIM token
+ *   post:
+ *     summary: Create an IAM user (SCIM 2.0)
+ *     description: Without password, the user gets a generated one it does not know (e.g. users signing in through federation).
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           example: { schemas: ["urn:ietf:params:scim:schemas:core:2.0:User"], userName: alice@example.com, externalId: "00u1", name: { givenName: Alice, familyName: Smith }, emails: [{ value: alice@example.com, type: work, primary: true }], active: true }
+ *     responses:
+ *       201:
+ *         description: Created user (Location and ETag headers)
+ *       409:
+ *         description: userName already exists in the account (scimType uniqueness)
+ * /scim/v2/Users/{userId}:
+ *   get:
+ *     summary: Get an IAM user (SCIM 2.0)
+ *     description: Returns 304 when If-None-Match matches the ETag.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: userId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: User
+ *       404:
+ *         description: User not found
+ *   put:
+ *     summary: Replace the attributes of an IAM user (SCIM 2.0)
+ *     description: userName cannot be changed. Setting active to false revokes the sessions of the user.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: userId, required: true, schema: { type: string } }
+ *       - { in: header, name: If-Match, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *       412:
+ *         description: If-Match does not match the current version
+ *   patch:
+ *     summary: Modify an IAM user with PATCH operations (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: userId, required: true, schema: { type: string } }
+ *       - { in: header, name: If-Match, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           example: { schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations: [{ op: replace, path: active, value: false }] }
+ *     responses:
+ *       200:
+ *         description: Updated user
+ *   delete:
+ *     summary: Delete an IAM user (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: userId, required: true, schema: { type: string } }
+ *     responses:
+ *       204:
+ *         description: User deleted
+ * /scim/v2/Groups:
+ *   get:
+ *     summary: List the IAM groups of the account (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: query, name: filter, schema: { type: string, example: displayName eq "Developers" } }
+ *       - { in: query, name: startIndex, schema: { type: integer, minimum: 1 } }
+ *       - { in: query, name: count, schema: { type: integer, maximum: 200 } }
+ *       - { in: query, name: excludedAttributes, schema: { type: string, example: members } }
+ *     responses:
+ *       200:
+ *         description: ListResponse
+ *   post:
+ *     summary: Create an IAM group with its members (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           example: { schemas: ["urn:ietf:params:scim:schemas:core:2.0:Group"], displayName: Developers, members: [{ value: "<user id>" }] }
+ *     responses:
+ *       201:
+ *         description: Created group
+ *       409:
+ *         description: displayName already exists in the account (scimType uniqueness)
+ * /scim/v2/Groups/{groupId}:
+ *   get:
+ *     summary: Get an IAM group (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: groupId, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Group
+ *       404:
+ *         description: Group not found
+ *   put:
+ *     summary: Replace the name and members of an IAM group (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: groupId, required: true, schema: { type: string } }
+ *       - { in: header, name: If-Match, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Updated group
+ *   patch:
+ *     summary: Modify an IAM group with PATCH operations, e.g. add or remove members (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: groupId, required: true, schema: { type: string } }
+ *       - { in: header, name: If-Match, schema: { type: string } }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/scim+json:
+ *           example: { schemas: ["urn:ietf:params:scim:api:messages:2.0:PatchOp"], Operations: [{ op: add, path: members, value: [{ value: "<user id>" }] }, { op: remove, path: "members[value eq \"<user id>\"]" }] }
+ *     responses:
+ *       200:
+ *         description: Updated group
+ *   delete:
+ *     summary: Delete an IAM group (SCIM 2.0)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: groupId, required: true, schema: { type: string } }
+ *     responses:
+ *       204:
+ *         description: Group deleted
+ * /scim/v2/ServiceProviderConfig:
+ *   get:
+ *     summary: Supported SCIM features (PATCH, filter, ETag, no bulk or sort)
+ *     tags: [SCIM]
+ *     responses:
+ *       200:
+ *         description: ServiceProviderConfig
+ * /scim/v2/ResourceTypes:
+ *   get:
+ *     summary: SCIM resource types (User and Group)
+ *     tags: [SCIM]
+ *     responses:
+ *       200:
+ *         description: ListResponse of ResourceType
+ * /scim/v2/Schemas:
+ *   get:
+ *     summary: Schemas of the SCIM resources
+ *     tags: [SCIM]
+ *     responses:
+ *       200:
+ *         description: ListResponse of Schema
+ */
+
+const SCIM_CONTENT_TYPE = 'application/scim+json';
+
+// RFC 7644 section 3.12
+const SCIM_ERRORS = {
+  INVALID_FILTER: { status: 400, scimType: 'invalidFilter' },
+  INVALID_PATH: { status: 400, scimType: 'invalidPath' },
+  INVALID_SYNTAX: { status: 400, scimType: 'invalidSyntax' },
+  INVALID_VALUE: { status: 400, scimType: 'invalidValue' },
+  MUTABILITY_VIOLATION: { status: 400, scimType: 'mutability' },
+  NO_TARGET: { status: 400, scimType: 'noTarget' },
+  UNIQUENESS_VIOLATION: { status: 409, scimType: 'uniqueness' },
+  SCIM_RESOURCE_NOT_FOUND: { status: 404 },
+  PRECONDITION_FAILED: { status: 412 }
+};
+
+class ScimController {
+  /**
+   * @param {ScimService} [scimService] - SCIM service
+   */
+  constructor(scimService = null) {
+    this.scimService = scimService || new ScimService();
+  }
+
+  /**
+   * Middleware: authenticates the SCIM token of an account and sets req.scim.accountId
+   */
+  async authenticate(req, res, next) {
+    const authHeader = req.headers.authorization || '';
+    const bearerToken = /^Bearer /i.test(authHeader) ? authHeader.slice(7).trim() : null;
+
+    try {
+      const token = bearerToken ? await this.scimService.authenticate(bearerToken) : null;
+      if (!token) {
+        res.set('WWW-Authenticate', 'Bearer realm="scim"');
+        return this.sendError(res, 401, null, 'A valid SCIM token is required');
+      }
+
+      req.scim = { accountId: token.accountId, tokenId: token.id };
+      next();
+    } catch (error) {
+      this.handleError(res, error, 'Failed to authenticate SCIM request');
+    }
+  }
+
+  async listUsers(req, res) {
+    try {
+      this.send(res, 200, await this.scimService.listUsers(req.scim.accountId, req.query));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list users');
+    }
+  }
+
+  async getUser(req, res) {
+    try {
+      const user = await this.scimService.getUser(req.scim.accountId, req.params.userId);
+      this.sendResource(req, res, 200, user);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get user');
+    }
+  }
+
+  async createUser(req, res) {
+    try {
+      const user = await this.scimService.createUser(req.scim.accountId, req.body);
+      this.sendResource(req, res, 201, user);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create user');
+    }
+  }
+
+  async replaceUser(req, res) {
+    try {
+      const user = await this.scimService.replaceUser(req.scim.accountId, req.params.userId, req.body, req.get('If-Match'));
+      this.sendResource(req, res, 200, user);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to replace user');
+    }
+  }
+
+  async patchUser(req, res) {
+    try {
+      const user = await this.scimService.patchUser(req.scim.accountId, req.params.userId, req.body, req.get('If-Match'));
+      this.sendResource(req, res, 200, user);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to patch user');
+    }
+  }
+
+  async deleteUser(req, res) {
+    try {
+      await this.scimService.deleteUser(req.scim.accountId, req.params.userId, req.get('If-Match'));
+      res.status(204).end();
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete user');
+    }
+  }
+
+  async listGroups(req, res) {
+    try {
+      this.send(res, 200, await this.scimService.listGroups(req.scim.accountId, req.query));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list groups');
+    }
+  }
+
+  async getGroup(req, res) {
+    try {
+      const group = await this.scimService.getGroup(req.scim.accountId, req.params.groupId);
+      this.sendResource(req, res, 200, group);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get group');
+    }
+  }
+
+  async createGroup(req, res) {
+    try {
+      const group = await this.scimService.createGroup(req.scim.accountId, req.body);
+      this.sendResource(req, res, 201, group);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create group');
+    }
+  }
+
+  async replaceGroup(req, res) {
+    try {
+      const group = await this.scimService.replaceGroup(req.scim.accountId, req.params.groupId, req.body, req.get('If-Match'));
+      this.sendResource(req, res, 200, group);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to replace group');
+    }
+  }
+
+  async patchGroup(req, res) {
+    try {
+      const group = await this.scimService.patchGroup(req.scim.accountId, req.params.groupId, req.body, req.get('If-Match'));
+      this.sendResource(req, res, 200, group);
+    } catch (error) {
+      this.handleError(res, error, 'Failed to patch group');
+    }
+  }
+
+  async deleteGroup(req, res) {
+    try {
+      await this.scimService.deleteGroup(req.scim.accountId, req.params.groupId, req.get('If-Match'));
+      res.status(204).end();
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete group');
+    }
+  }
+
+  getServiceProviderConfig(req, res) {
+    this.send(res, 200, this.scimService.getServiceProviderConfig());
+  }
+
+  listResourceTypes(req, res) {
+    this.send(res, 200, this.scimService.listResourceTypes());
+  }
+
+  getResourceType(req, res) {
+    try {
+      this.send(res, 200, this.scimService.getResourceType(req.params.resourceTypeId));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get resource type');
+    }
+  }
+
+  listSchemas(req, res) {
+    this.send(res, 200, this.scimService.listSchemas());
+  }
+
+  getSchema(req, res) {
+    try {
+      this.send(res, 200, this.scimService.getSchema(req.params.schemaId));
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get schema');
+    }
+  }
+
+  /**
+   * Sends a resource with its ETag (and Location when created); GET answers 304 when If-None-Match matches
+   */
+  sendResource(req, res, status, resource) {
+    res.set('ETag', resource.meta.version);
+
+    if (status === 201) {
+      res.set('Location', resource.meta.location);
+    }
+
+    const ifNoneMatch = req.get('If-None-Match');
+    if (req.method === 'GET' && ifNoneMatch && ifNoneMatch.split(',').map(tag => tag.trim()).includes(resource.meta.version)) {
+      return res.status(304).end();
+    }
+
+    this.send(res, status, this.scimService.selectAttributes(resource, req.query));
+  }
+
+  send(res, status, body) {
+    res.status(status).type(SCIM_CONTENT_TYPE).json(body);
+  }
+
+  sendError(res, status, scimType, detail) {
+    const body = { schemas: [SCIM_SCHEMAS.ERROR], status: String(status) };
+    if (scimType) {
+      body.scimType = scimType;
+    }
+    body.detail = detail;
+
+    this.send(res, status, body);
+  }
+
+  handleError(res, error, message) {
+    const scimError = SCIM_ERRORS[error.code];
+    if (scimError) {
+      return this.sendError(res, scimError.status, scimError.scimType || null, error.message);
+    }
+
+    console.error(`${message}:`, error);
+    this.sendError(res, 500, null, message);
+  }
+}
+
+module.exports = ScimController;
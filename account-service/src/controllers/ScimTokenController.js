@@ -0,0 +1,132 @@
+const { ScimService } = require('../services/ScimService');
+
+/**
+ * @swagger
+ * /api/v1/accounts/{id}/scim-token:
+ *   get:
+ *     summary: Get the SCIM provisioning token of an account (without its value)
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Token prefix, creation and last use
+ *       404:
+ *         description: The account has no SCIM token
+ *   post:
+ *     summary: Create the SCIM provisioning token of an account
+ *     description: Replaces the previous token, which stops working immediately. The token is the bearer token of the /scim/v2 endpoints.
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       201:
+ *         description: New token (only returned in this response)
+ *   delete:
+ *     summary: Delete the SCIM provisioning token of an account
+ *     tags: [SCIM]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - { in: path, name: id, required: true, schema: { type: string } }
+ *     responses:
+ *       200:
+ *         description: Token deleted
+ *       404:
+ *         description: The account has no SCIM token
+ */
+
+class ScimTokenController {
+  constructor(scimService = null) {
+    this.scimService = scimService || new ScimService();
+  }
+
+  /**
+   * Get the SCIM token of the account
+   */
+  async getToken(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const token = await this.scimService.getToken(req.params.id);
+
+      res.json({
+        success: true,
+        data: token
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to get SCIM token');
+    }
+  }
+
+  /**
+   * Create (or replace) the SCIM token of the account
+   */
+  async createToken(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      const { token, secret } = await this.scimService.createToken(req.params.id, req.user.userId || null);
+
+      res.status(201).json({
+        success: true,
+        data: { ...token.toJSON(), token: secret },
+        message: 'SCIM token created successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to create SCIM token');
+    }
+  }
+
+  /**
+   * Delete the SCIM token of the account
+   */
+  async deleteToken(req, res) {
+    if (!this.requireOwnAccount(req, res)) return;
+
+    try {
+      await this.scimService.deleteToken(req.params.id);
+
+      res.json({
+        success: true,
+        message: 'SCIM token deleted successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to delete SCIM token');
+    }
+  }
+
+  /**
+   * The SCIM token can only be managed from its own account
+   */
+  requireOwnAccount(req, res) {
+    if (req.params.id !== req.user.accountId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'The SCIM token can only be managed from its own account'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'SCIM_TOKEN_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = ScimTokenController;
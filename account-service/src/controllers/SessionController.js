@@ -0,0 +1,144 @@
+const { AuthService } = require('../services/AuthService');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+/**
+ * @swagger
+ * /api/v1/users/sessions:
+ *   get:
+ *     summary: List the active sessions of the current user
+ *     description: |
+ *       A session is started by each login and lasts while its refresh token keeps being rotated.
+ *       The session of the access token used for the request is flagged as current.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *       403:
+ *         description: Not available to role sessions
+ *   delete:
+ *     summary: Revoke every other session of the current user
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked (the current one is kept)
+ * /api/v1/users/sessions/{sessionId}:
+ *   delete:
+ *     summary: Revoke a session of the current user
+ *     description: Its refresh token can no longer be used and its access tokens are rejected.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: sessionId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ */
+
+class SessionController {
+  constructor(authService = null) {
+    this.authService = authService || new AuthService(null, repositoryFactory.pool);
+  }
+
+  /**
+   * List the active sessions of the current user
+   */
+  async listSessions(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      const sessions = await this.authService.listSessions(req.user.userId, req.user.accountId, req.user.fid);
+
+      res.json({
+        success: true,
+        data: sessions,
+        count: sessions.length
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to list sessions');
+    }
+  }
+
+  /**
+   * Revoke a session of the current user
+   */
+  async revokeSession(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      await this.authService.revokeSession(req.user.userId, req.user.accountId, req.params.sessionId, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        success: true,
+        message: 'Session revoked successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to revoke session');
+    }
+  }
+
+  /**
+   * Revoke every session of the current user except the current one
+   */
+  async revokeOtherSessions(req, res) {
+    if (!this.requireUser(req, res)) return;
+
+    try {
+      const revoked = await this.authService.revokeOtherSessions(req.user.userId, req.user.accountId, req.user.fid, {
+        ipAddress: req.ip,
+        userAgent: req.get('User-Agent')
+      });
+
+      res.json({
+        success: true,
+        data: { revoked },
+        message: 'Other sessions revoked successfully'
+      });
+    } catch (error) {
+      this.handleError(res, error, 'Failed to revoke sessions');
+    }
+  }
+
+  /**
+   * Sessions belong to users (role sessions have no refresh token)
+   */
+  requireUser(req, res) {
+    if (!req.user.userId) {
+      res.status(403).json({
+        error: 'Access denied',
+        message: 'Sessions can only be managed with user credentials'
+      });
+      return false;
+    }
+    return true;
+  }
+
+  handleError(res, error, message) {
+    if (error.code === 'SESSION_NOT_FOUND') {
+      return res.status(404).json({
+        error: error.message
+      });
+    }
+
+    console.error(`${message}:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      message
+    });
+  }
+}
+
+module.exports = SessionController;
@@ -65,6 +65,9 @@
  *               password:
  *                 type: string
  *                 example: "SecurePassword123!"
+ *               passwordResetRequired:
+ *                 type: boolean
+ *                 description: IAM users only - the generated password must be changed at the first login
  *     responses:
  *       201:
  *         description: User created successfully
@@ -264,17 +267,55 @@
  *                   type: string
  *                   example: "Password updated successfully"
  *       400:
- *         description: Validation error or incorrect current password
+ *         description: Incorrect current password or the new password does not meet the account password policy
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ *       403:
+ *         description: The password policy does not allow users to change their password, or the password is hard expired
  *       404:
  *         description: User not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
+ * /api/v1/users/{userId}/password/reset:
+ *   post:
+ *     summary: Reset the password of an IAM user
+ *     description: |
+ *       Sets a new password without the current one (administrator action, also the only way out of a
+ *       hard-expired password). A password is generated when none is given. By default the user must
+ *       choose a new password at the next login.
+ *     tags: [Users]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               password:
+ *                 type: string
+ *               passwordResetRequired:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       200:
+ *         description: Password reset (generatedPassword is returned when no password was given)
+ *       400:
+ *         description: The password does not meet the account password policy
+ *       403:
+ *         description: The root user password cannot be reset
+ *       404:
+ *         description: User not found
  */
 
 /**
@@ -338,6 +379,14 @@ class UserController {
     } catch (error) {
       console.error('UserController.createUser error:', error);
 
+      if (error.code === 'INVALID_PASSWORD') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
       // Handle specific error types
       if (error.message.includes('already registered')) {
         return res.status(409).json({
@@ -440,6 +489,14 @@ class UserController {
     } catch (error) {
       console.error('UserController.updateUser error:', error);
 
+      if (error.code === 'INVALID_PASSWORD') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
       if (error.message === 'User not found') {
         return res.status(404).json({
           success: false,
@@ -472,9 +529,14 @@ class UserController {
   async updateUserPassword(req, res) {
     try {
       const { id } = req.params;
-      const { oldPassword, newPassword } = req.body;
+      const { oldPassword, currentPassword, newPassword } = req.body;
       
-      const result = await this.userService.updateUserPassword(id, oldPassword, newPassword);
+      const result = await this.userService.updateUserPassword(
+        id,
+        oldPassword !== undefined ? oldPassword : currentPassword,
+        newPassword,
+        req.user
+      );
 
       res.status(200).json({
         success: true,
@@ -484,6 +546,21 @@ class UserController {
     } catch (error) {
       console.error('UserController.updateUserPassword error:', error);
 
+      if (error.code === 'INVALID_PASSWORD') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      if (error.code === 'PASSWORD_CHANGE_NOT_ALLOWED' || error.code === 'PASSWORD_HARD_EXPIRED') {
+        return res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      }
+
       if (error.message === 'User not found') {
         return res.status(404).json({
           success: false,
@@ -507,6 +584,66 @@ class UserController {
     }
   }
 
+  /**
+   * Resets the password of an IAM user (no current password needed)
+   * POST /users/:id/password/reset
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async resetUserPassword(req, res) {
+    try {
+      const { id } = req.params;
+      const { password, passwordResetRequired } = req.body;
+
+      const result = await this.userService.resetUserPassword(id, req.user.accountId, {
+        password,
+        passwordResetRequired
+      });
+
+      const responseData = { user: result.user.toJSON() };
+      if (result.generatedPassword) {
+        responseData.generatedPassword = result.generatedPassword;
+      }
+
+      res.status(200).json({
+        success: true,
+        data: responseData,
+        message: result.generatedPassword
+          ? 'Password reset successfully. Save the generated password - it cannot be retrieved later.'
+          : 'Password reset successfully'
+      });
+    } catch (error) {
+      console.error('UserController.resetUserPassword error:', error);
+
+      if (error.message === 'User not found') {
+        return res.status(404).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      if (error.code === 'INVALID_PASSWORD') {
+        return res.status(400).json({
+          success: false,
+          error: error.message,
+          details: error.details
+        });
+      }
+
+      if (error.code === 'PASSWORD_CHANGE_NOT_ALLOWED') {
+        return res.status(403).json({
+          success: false,
+          error: error.message
+        });
+      }
+
+      res.status(500).json({
+        success: false,
+        error: error.message
+      });
+    }
+  }
+
   /**
    * Deletes a user
    * DELETE /users/:id
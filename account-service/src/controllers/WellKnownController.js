@@ -0,0 +1,85 @@
+const { signingKeyService: defaultSigningKeyService } = require('../services/SigningKeyService');
+const { OidcProviderService } = require('../services/OidcProviderService');
+const { AuthService } = require('../services/AuthService');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+/**
+ * @swagger
+ * /.well-known/jwks.json:
+ *   get:
+ *     summary: Public keys that sign access tokens (JWKS)
+ *     description: |
+ *       JSON Web Key Set (RFC 7517) with the active signing key and the retired keys still in their grace period.
+ *       Access tokens carry the key ID in their kid header; services verify them with the matching key and its
+ *       algorithm (RS256 or ES256). Refetch the set when a token has an unknown kid.
+ *     tags: [Authentication]
+ *     responses:
+ *       200:
+ *         description: Key set
+ *         content:
+ *           application/json:
+ *             example:
+ *               keys:
+ *                 - kty: RSA
+ *                   n: "0vx7agoebGcQSuu..."
+ *                   e: AQAB
+ *                   kid: 2026-10-18-3f9a1c2b7d4e
+ *                   alg: RS256
+ *                   use: sig
+ *       500:
+ *         description: Keys unavailable
+ * /.well-known/openid-configuration:
+ *   get:
+ *     summary: OpenID Provider metadata
+ *     description: |
+ *       OpenID Connect Discovery document: issuer (OIDC_ISSUER), endpoints, supported scopes, claims and
+ *       algorithms. Only the authorization code flow with PKCE (S256) is supported.
+ *     tags: [OpenID Connect]
+ *     responses:
+ *       200:
+ *         description: Provider metadata
+ *         content:
+ *           application/json:
+ *             example:
+ *               issuer: https://id.example.com
+ *               authorization_endpoint: https://id.example.com/oauth2/authorize
+ *               token_endpoint: https://id.example.com/oauth2/token
+ *               userinfo_endpoint: https://id.example.com/oauth2/userinfo
+ *               jwks_uri: https://id.example.com/.well-known/jwks.json
+ *               response_types_supported: [code]
+ *               code_challenge_methods_supported: [S256]
+ */
+
+class WellKnownController {
+  constructor(signingKeyService = null, oidcProviderService = null) {
+    this.signingKeyService = signingKeyService || defaultSigningKeyService;
+    this.oidcProviderService = oidcProviderService ||
+      new OidcProviderService(new AuthService(null, repositoryFactory.pool), null);
+  }
+
+  /**
+   * Get the JSON Web Key Set of the access token signing keys
+   */
+  async getJwks(req, res) {
+    try {
+      const jwks = await this.signingKeyService.getJwks();
+
+      // Shorter than the grace period, so caches always hold the key of any valid token
+      res.set('Cache-Control', 'public, max-age=300');
+      res.status(200).json(jwks);
+    } catch (error) {
+      console.error('Error getting JWKS:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  }
+
+  /**
+   * Get the OpenID Provider metadata
+   */
+  getOpenIdConfiguration(req, res) {
+    res.set('Cache-Control', 'public, max-age=3600');
+    res.status(200).json(this.oidcProviderService.getDiscoveryDocument());
+  }
+}
+
+module.exports = WellKnownController;
@@ -0,0 +1,162 @@
+const { AuditService } = require('../services/AuditService');
+
+// Requests that change state are audited; reads only when they were authorized (allowed or denied)
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+let auditService = null;
+
+function getAuditService() {
+  if (!auditService) {
+    auditService = new AuditService();
+  }
+  return auditService;
+}
+
+/**
+ * Describes an authenticated user (the JWT payload, or the same fields of a User)
+ * @param {Object} user - { userId, accountId, username, isRoot, accessKeyId, client_id }
+ * @returns {Object} Actor
+ */
+function describeUser(user) {
+  return {
+    type: user.isRoot ? 'Root' : 'User',
+    accountId: user.accountId,
+    userId: user.userId,
+    username: user.username,
+    arn: user.isRoot
+      ? `arn:aws:iam::${user.accountId}:root`
+      : (user.username ? `arn:aws:iam::${user.accountId}:user/${user.username}` : undefined),
+    accessKeyId: user.accessKeyId,
+    clientId: user.client_id
+  };
+}
+
+/**
+ * Describes the principal of the request: user, role session or SCIM token
+ * @param {Object} req - Express request object
+ * @returns {Object} Actor
+ */
+function describeActor(req) {
+  if (req.user && req.user.roleSession) {
+    const session = req.user.roleSession;
+    return {
+      type: 'AssumedRole',
+      accountId: req.user.accountId,
+      arn: req.user.arn,
+      roleArn: session.roleArn,
+      sessionId: session.sessionId,
+      sessionName: session.sessionName,
+      sourceUserId: session.sourceUserId,
+      sourceIdentity: session.sourceIdentity,
+      federatedProviderArn: session.federatedProviderArn,
+      federatedSubject: session.federatedSubject
+    };
+  }
+
+  if (req.user && req.user.userId) {
+    return describeUser(req.user);
+  }
+
+  if (req.scim) {
+    return { type: 'ScimToken', accountId: req.scim.accountId, tokenId: req.scim.tokenId };
+  }
+
+  return { type: 'Anonymous' };
+}
+
+/**
+ * Adds to the audit event of the request what only the handlers know: the action, the resource,
+ * the authorization decision, or the actor and account of unauthenticated requests (logins, federation)
+ * @param {Object} req - Express request object
+ * @param {Object} context - { action, resource, decision, decisionReason, actor, accountId }
+ */
+function setAuditContext(req, context) {
+  if (req.audit) {
+    Object.assign(req.audit, context);
+  }
+}
+
+/**
+ * Names the action of a route that is not authorized with requirePermission (e.g. auth:Login)
+ * @param {string} action - Action name
+ * @returns {Function} Middleware function
+ */
+function auditAction(action) {
+  return (req, res, next) => {
+    setAuditContext(req, { action });
+    next();
+  };
+}
+
+/**
+ * Leaves a route out of the audit trail (token plumbing such as refresh or introspection)
+ */
+function skipAudit(req, res, next) {
+  setAuditContext(req, { skip: true });
+  next();
+}
+
+/**
+ * Builds the audit event of a finished request, or null if the request is not audited
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @returns {Object|null} Event data for AuditService.record
+ */
+function buildAuditEvent(req, res) {
+  const audit = req.audit || {};
+
+  // Unmatched routes (404) and requests rejected before reaching a route are not audited
+  const audited = audit.decision || (req.route && MUTATING_METHODS.includes(req.method));
+  if (audit.skip || !audited) {
+    return null;
+  }
+
+  const actor = audit.actor || describeActor(req);
+  const accountId = audit.accountId || actor.accountId;
+  const path = (req.originalUrl || req.url).split('?')[0];
+
+  return {
+    accountId: typeof accountId === 'string' && UUID_PATTERN.test(accountId) ? accountId : null,
+    eventTime: audit.eventTime,
+    action: audit.action || `${req.method} ${req.route ? `${req.baseUrl}${req.route.path}` : path}`,
+    resource: audit.resource,
+    actor,
+    sourceIp: req.ip,
+    userAgent: req.get('User-Agent'),
+    requestMethod: req.method,
+    requestPath: path,
+    requestParameters: {
+      ...req.params,
+      ...req.query,
+      ...(req.body && typeof req.body === 'object' && !Array.isArray(req.body) ? req.body : {})
+    },
+    responseStatus: res.statusCode,
+    decision: audit.decision,
+    decisionReason: audit.decisionReason
+  };
+}
+
+/**
+ * Audit middleware - records the request in the audit trail once the response has been sent
+ */
+function auditMiddleware(req, res, next) {
+  req.audit = { eventTime: new Date() };
+
+  res.on('finish', () => {
+    const event = buildAuditEvent(req, res);
+    if (event) {
+      getAuditService().record(event);
+    }
+  });
+
+  next();
+}
+
+module.exports = {
+  auditMiddleware,
+  auditAction,
+  skipAudit,
+  setAuditContext,
+  describeUser
+};
@@ -1,4 +1,7 @@
 const { AuthService } = require('../services/AuthService');
+const RoleService = require('../services/RoleService');
+const { AccessKeyService } = require('../services/AccessKeyService');
+const { RequestSigner } = require('../utils/RequestSigner');
 const { repositoryFactory } = require('../repositories/RepositoryFactory');
 
 // Create a singleton AuthService instance for middleware
@@ -14,12 +17,165 @@ function getAuthService() {
   return authServiceInstance;
 }
 
+let roleServiceInstance = null;
+
+function getRoleService() {
+  if (!roleServiceInstance) {
+    roleServiceInstance = new RoleService();
+  }
+  return roleServiceInstance;
+}
+
+// Error messages of signed requests (access keys and role session credentials)
+const SIGNATURE_ERROR_MESSAGES = {
+  INCOMPLETE_SIGNATURE: 'Incomplete request signature',
+  REQUEST_EXPIRED: 'Request signature expired',
+  INVALID_ACCESS_KEY: 'Invalid access key',
+  SIGNATURE_MISMATCH: 'Request signature does not match'
+};
+
+let accessKeyServiceInstance = null;
+
+function getAccessKeyService() {
+  if (!accessKeyServiceInstance) {
+    accessKeyServiceInstance = new AccessKeyService();
+  }
+  return accessKeyServiceInstance;
+}
+
+/**
+ * Builds req.user for a role session
+ * Role sessions have no userId: they are authorized by the role policies (and session policy),
+ * never by the policies or root role of the user who assumed the role
+ * @param {RoleSession} session - Active role session
+ * @param {Role} role - Assumed role
+ * @returns {Object} Authenticated principal
+ */
+function buildRoleSessionUser(session, role) {
+  return {
+    userId: null,
+    accountId: session.accountId,
+    principalType: 'AssumedRole',
+    arn: `arn:aws:sts::${session.accountId}:assumed-role/${role.name}/${session.sessionName}`,
+    roleSession: {
+      sessionId: session.id,
+      roleId: role.id,
+      roleName: role.name,
+      roleArn: role.getArn(),
+      sessionName: session.sessionName,
+      sessionPolicy: session.sessionPolicy,
+      sessionPolicyArns: session.sessionPolicyArns,
+      sessionTags: session.sessionTags,
+      transitiveTagKeys: session.transitiveTagKeys,
+      sessionChain: session.sessionChain,
+      sourceIdentity: session.sourceIdentity,
+      sourceAccountId: session.sourceAccountId,
+      sourceUserId: session.userId,
+      federatedProviderArn: session.federatedProviderArn,
+      federatedSubject: session.federatedSubject,
+      expiresAt: session.expiresAt
+    }
+  };
+}
+
+/**
+ * Builds the request verified by AccessKeyService from an Express request
+ * The signature covers the path and query as received, so the original URL is used
+ * @param {Object} req - Express request object (req.rawBody is kept by the body parsers)
+ * @returns {Object} Signed request
+ */
+function toSignedRequest(req) {
+  const url = req.originalUrl || req.url;
+  const queryStart = url.indexOf('?');
+
+  return {
+    method: req.method,
+    path: queryStart >= 0 ? url.slice(0, queryStart) : url,
+    query: queryStart >= 0 ? url.slice(queryStart + 1) : '',
+    headers: req.headers,
+    body: req.rawBody,
+    sourceIp: req.ip
+  };
+}
+
 /**
- * Authentication middleware - requires valid JWT token
+ * Authenticates a request signed with role session credentials
+ * The session token alone is not enough: the request must be signed with the temporary access key
+ * and secret issued with it, and the signature must cover the X-Amz-Security-Token header
+ * @param {Object} req - Express request object
+ * @param {string} sessionToken - Session token returned by AssumeRole
+ * @returns {Promise<Object>} Authenticated principal for req.user
+ */
+async function authenticateRoleSession(req, sessionToken) {
+  const authHeader = req.headers.authorization;
+  if (!authHeader || !RequestSigner.isSignedAuthorization(authHeader)) {
+    throw RequestSigner.error('Role session requests must be signed with the session credentials', 'UNSIGNED_SESSION_REQUEST');
+  }
+
+  const roleService = getRoleService();
+  let authenticated = null;
+
+  await getAccessKeyService().verifySignedRequest(toSignedRequest(req), async (accessKeyId) => {
+    authenticated = await roleService.authenticateSession(sessionToken);
+    if (authenticated.session.accessKeyId !== accessKeyId) {
+      throw RequestSigner.error('The access key ID was not issued with this session token', 'INVALID_ACCESS_KEY');
+    }
+    return roleService.getSessionSecret(authenticated.session);
+  }, { requiredSignedHeaders: ['x-amz-security-token'] });
+
+  return buildRoleSessionUser(authenticated.session, authenticated.role);
+}
+
+/**
+ * Authenticates a request signed with an access key (Authorization: AWS4-HMAC-SHA256 ...)
+ * @param {Object} req - Express request object (req.rawBody is kept by the body parsers)
+ * @returns {Promise<Object>} Authenticated principal for req.user (same shape as the JWT payload)
+ */
+async function authenticateSignedRequest(req) {
+  const { user, accessKey } = await getAccessKeyService().authenticateRequest(toSignedRequest(req));
+
+  return {
+    userId: user.id,
+    accountId: user.accountId,
+    username: user.username,
+    email: user.email,
+    isRoot: user.isRoot,
+    mfaPresent: false,
+    accessKeyId: accessKey.accessKeyId
+  };
+}
+
+/**
+ * Authentication middleware - requires a valid JWT token, role session token or access key signature
  */
 async function authMiddleware(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
+    const sessionToken = req.headers['x-amz-security-token'];
+    const isSigned = Boolean(authHeader) && RequestSigner.isSignedAuthorization(authHeader);
+
+    if (sessionToken && (!authHeader || isSigned)) {
+      try {
+        req.user = await authenticateRoleSession(req, sessionToken);
+        return next();
+      } catch (error) {
+        const messages = {
+          ...SIGNATURE_ERROR_MESSAGES,
+          UNSIGNED_SESSION_REQUEST: 'Role session requests must be signed with the session credentials',
+          SESSION_EXPIRED: 'Role session has expired',
+          SESSION_REVOKED: 'Role session has been revoked'
+        };
+
+        if (!error.code) {
+          console.error('Role session authentication error:', error);
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: messages[error.code] || 'Invalid session token'
+        });
+      }
+    }
 
     if (!authHeader) {
       return res.status(401).json({
@@ -28,6 +184,23 @@ async function authMiddleware(req, res, next) {
       });
     }
 
+    if (isSigned) {
+      try {
+        req.user = await authenticateSignedRequest(req);
+        return next();
+      } catch (error) {
+        if (!error.code) {
+          console.error('Signed request authentication error:', error);
+        }
+
+        return res.status(401).json({
+          success: false,
+          error: SIGNATURE_ERROR_MESSAGES[error.code] || 'Invalid request signature',
+          message: error.code ? error.message : undefined
+        });
+      }
+    }
+
     const parts = authHeader.split(' ');
     if (parts.length !== 2 || parts[0] !== 'Bearer') {
       return res.status(401).json({
@@ -83,12 +256,24 @@ async function requireRoot(req, res, next) {
 async function optionalAuth(req, res, next) {
   try {
     const authHeader = req.headers.authorization;
+    const sessionToken = req.headers['x-amz-security-token'];
+    const isSigned = Boolean(authHeader) && RequestSigner.isSignedAuthorization(authHeader);
+
+    if (sessionToken && (!authHeader || isSigned)) {
+      req.user = await authenticateRoleSession(req, sessionToken);
+      return next();
+    }
 
     if (!authHeader) {
       req.user = null;
       return next();
     }
 
+    if (isSigned) {
+      req.user = await authenticateSignedRequest(req);
+      return next();
+    }
+
     const parts = authHeader.split(' ');
     if (parts.length !== 2 || parts[0] !== 'Bearer') {
       req.user = null;
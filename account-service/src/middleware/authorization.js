@@ -1,4 +1,11 @@
 const PolicyEngine = require('../services/PolicyEngine');
+const { scopeAllowsAction } = require('../config/oauthScopes');
+const { setAuditContext } = require('./auditMiddleware');
+
+// Context key namespaces set by the service itself (request, principal, STS and federation keys)
+const RESERVED_CONTEXT_NAMESPACES = ['aws', 'sts', 'saml'];
+// Claims of OIDC providers, set as <provider name>:<claim> (see IdentityProviderService)
+const FEDERATED_CLAIM_KEYS = ['sub', 'aud', 'amr', 'email'];
 
 /**
  * Advanced authorization middleware using Policy Engine
@@ -18,53 +25,82 @@ class AuthorizationMiddleware {
   requirePermission(service, action, resourcePath = '*') {
     return async (req, res, next) => {
       try {
-        const { userId, accountId } = req.user;
+        const { userId, accountId, roleSession = null } = req.user;
 
-        if (!userId || !accountId) {
+        if ((!userId && !roleSession) || !accountId) {
           return res.status(401).json({
             error: 'Authentication required',
-            message: 'Valid JWT token with userId and accountId is required'
+            message: 'Valid JWT token with userId and accountId, or role session token, is required'
           });
         }
 
-        // Check if user has root role - root role users have unrestricted access
-        const { repositoryFactory } = require('../repositories/RepositoryFactory');
-        const userRoleRepository = repositoryFactory.createUserRoleRepository();
-        const hasRootRole = await userRoleRepository.userHasRole(userId, 'root');
-        
-        if (hasRootRole) {
-          return next();
-        }
-
         // Extract resource path
         let finalResourcePath = resourcePath;
         if (typeof resourcePath === 'function') {
           finalResourcePath = resourcePath(req);
         }
 
+        // The action, resource and decision are recorded in the audit trail
+        const resourceArn = `arn:aws:${service}::${accountId}:${finalResourcePath}`;
+        setAuditContext(req, { action: `${service}:${action}`, resource: resourceArn });
+
+        // Tokens issued to OAuth clients are capped by their scope, whatever the user may do
+        if (req.user.client_id && !scopeAllowsAction(req.user.scope, `${service}:${action}`)) {
+          setAuditContext(req, { decision: 'Deny', decisionReason: 'Not allowed by the token scope' });
+          return res.status(403).json({
+            error: 'Access denied',
+            message: `The token scope does not allow ${service}:${action}`,
+            details: {
+              clientId: req.user.client_id,
+              scope: req.user.scope,
+              action: `${service}:${action}`
+            }
+          });
+        }
+
         // Build context from request
         const context = this.buildContext(req);
 
-        // Check permission
-        const hasPermission = await this.policyEngine.hasPermission(
-          userId,
-          accountId,
-          service,
-          action,
-          finalResourcePath,
-          context
-        );
-
-        if (!hasPermission) {
-          // Get detailed evaluation for debugging
-          const evaluation = await this.policyEngine.evaluateAccess({
-            userId,
+        // Root role users skip identity policies, but are still capped by service control policies
+        // (role sessions never inherit the root role of the user who assumed the role)
+        const { repositoryFactory } = require('../repositories/RepositoryFactory');
+        const userRoleRepository = repositoryFactory.createUserRoleRepository();
+        const hasRootRole = !roleSession && await userRoleRepository.userHasRole(userId, 'root');
+        
+        if (hasRootRole) {
+          const scpEvaluation = await this.policyEngine.evaluateServiceControlPolicies(
             accountId,
-            action: `${service}:${action}`,
-            resource: `arn:aws:${service}::${accountId}:${finalResourcePath}`,
-            context
+            `${service}:${action}`,
+            resourceArn,
+            this.policyEngine.buildPrincipalContext(context, { userId, accountId })
+          );
+
+          if (scpEvaluation.decision === 'ALLOW') {
+            setAuditContext(req, { decision: 'Allow' });
+            return next();
+          }
+
+          setAuditContext(req, { decision: 'Deny', decisionReason: scpEvaluation.reason });
+          return res.status(403).json({
+            error: 'Access denied',
+            message: `Insufficient permissions for ${service}:${action}`,
+            details: {
+              decision: scpEvaluation.decision,
+              reason: scpEvaluation.reason,
+              action: `${service}:${action}`,
+              resource: resourceArn
+            }
           });
+        }
+
+        // Check permission (role sessions are evaluated against the role policies and session policy)
+        const evaluation = await this.policyEngine.evaluateAccess({
+          ...this.policyEngine.createAccessRequest(userId, accountId, service, action, finalResourcePath, context),
+          roleSession
+        });
 
+        if (evaluation.decision !== 'ALLOW') {
+          setAuditContext(req, { decision: 'Deny', decisionReason: evaluation.reason });
           return res.status(403).json({
             error: 'Access denied',
             message: `Insufficient permissions for ${service}:${action}`,
@@ -72,15 +108,17 @@ class AuthorizationMiddleware {
               decision: evaluation.decision,
               reason: evaluation.reason,
               action: `${service}:${action}`,
-              resource: `arn:aws:${service}::${accountId}:${finalResourcePath}`
+              resource: resourceArn
             }
           });
         }
 
         // Permission granted, continue to next middleware
+        setAuditContext(req, { decision: 'Allow' });
         next();
       } catch (error) {
         console.error('Authorization middleware error:', error);
+        setAuditContext(req, { decision: 'Deny', decisionReason: 'Failed to evaluate permissions' });
         return res.status(500).json({
           error: 'Authorization error',
           message: 'Failed to evaluate permissions'
@@ -95,24 +133,79 @@ class AuthorizationMiddleware {
    * @returns {Object} Context object
    */
   buildContext(req) {
-    const context = {
-      'aws:SourceIp': req.ip || req.connection.remoteAddress,
-      'aws:UserAgent': req.get('User-Agent'),
-      'aws:RequestedRegion': req.get('X-Requested-Region') || 'us-east-1',
-      'aws:CurrentTime': new Date().toISOString()
-    };
+    const context = this.buildRequestContext(req);
 
-    // Add custom headers as context
+    // Add custom headers as context (service keys such as s3:prefix only: reserved keys would let
+    // the caller forge principal tags, MFA or identity provider claims)
     Object.keys(req.headers).forEach(headerName => {
       if (headerName.startsWith('x-context-')) {
         const contextKey = headerName.replace('x-context-', '');
-        context[contextKey] = req.headers[headerName];
+        if (!this.isReservedContextKey(contextKey)) {
+          context[contextKey] = req.headers[headerName];
+        }
       }
     });
 
+    // Principal keys (available as ${aws:username}, ${aws:userid}, ...) come from the authenticated user
+    if (req.user && req.user.roleSession) {
+      context['aws:userid'] = `${req.user.roleSession.roleId}:${req.user.roleSession.sessionName}`;
+      context['aws:PrincipalAccount'] = req.user.accountId;
+      context['aws:PrincipalType'] = 'AssumedRole';
+      context['aws:PrincipalArn'] = req.user.roleSession.roleArn;
+    } else if (req.user) {
+      context['aws:username'] = req.user.username;
+      context['aws:userid'] = req.user.userId;
+      context['aws:PrincipalAccount'] = req.user.accountId;
+      context['aws:PrincipalType'] = 'User';
+      if (req.user.username) {
+        context['aws:PrincipalArn'] = `arn:aws:iam::${req.user.accountId}:user/${req.user.username}`;
+      }
+
+      // MFA keys come from the token claims set at login (MultiFactorAuthAge only exists with MFA)
+      context['aws:MultiFactorAuthPresent'] = String(Boolean(req.user.mfaPresent));
+      if (req.user.mfaAuthTime) {
+        context['aws:MultiFactorAuthAge'] = String(Math.floor(Date.now() / 1000) - req.user.mfaAuthTime);
+      }
+    }
+
     return context;
   }
 
+  /**
+   * Builds the request keys of the context (source IP, user agent, region and time), without the
+   * x-context-* headers or principal keys; used on its own for unauthenticated federation requests
+   * @param {Object} req - Express request object
+   * @returns {Object} Context object
+   */
+  buildRequestContext(req) {
+    return {
+      'aws:SourceIp': req.ip || req.connection.remoteAddress,
+      'aws:UserAgent': req.get('User-Agent'),
+      'aws:RequestedRegion': req.get('X-Requested-Region') || 'us-east-1',
+      'aws:CurrentTime': new Date().toISOString(),
+      'aws:EpochTime': String(Math.floor(Date.now() / 1000))
+    };
+  }
+
+  /**
+   * Checks if a context key can only be set by the service: aws:*, sts:* and saml:* keys, and the
+   * keys of OIDC providers, named after their issuer (e.g. accounts.google.com:sub)
+   * @param {string} key - Context key
+   * @returns {boolean} True if the key cannot come from request headers
+   */
+  isReservedContextKey(key) {
+    const separator = key.lastIndexOf(':');
+    if (separator === -1) {
+      return false;
+    }
+
+    const namespace = key.slice(0, separator).toLowerCase();
+    const name = key.slice(separator + 1).toLowerCase();
+    return RESERVED_CONTEXT_NAMESPACES.includes(namespace) ||
+      /[.:/]/.test(namespace) ||
+      FEDERATED_CLAIM_KEYS.includes(name);
+  }
+
   /**
    * Middleware to check IAM user management permissions
    */
@@ -188,9 +281,9 @@ class AuthorizationMiddleware {
   evaluateAccess(service, action, resourcePath = '*') {
     return async (req, res, next) => {
       try {
-        const { userId, accountId } = req.user;
+        const { userId, accountId, roleSession = null } = req.user;
 
-        if (!userId || !accountId) {
+        if ((!userId && !roleSession) || !accountId) {
           req.accessEvaluation = {
             decision: 'DENY',
             reason: 'No authentication'
@@ -209,11 +302,8 @@ class AuthorizationMiddleware {
 
         // Evaluate access
         const evaluation = await this.policyEngine.evaluateAccess({
-          userId,
-          accountId,
-          action: `${service}:${action}`,
-          resource: `arn:aws:${service}::${accountId}:${finalResourcePath}`,
-          context
+          ...this.policyEngine.createAccessRequest(userId, accountId, service, action, finalResourcePath, context),
+          roleSession
         });
 
         // Add evaluation to request
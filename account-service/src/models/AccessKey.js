@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const ACCESS_KEY_ID_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * @typedef {Object} AccessKeyData
+ * @property {string} id - Unique key identifier
+ * @property {string} accountId - Account ID
+ * @property {string} userId - Owner user ID
+ * @property {string} accessKeyId - Public key ID (AKIA...)
+ * @property {string} encryptedSecret - Encrypted secret access key (never returned by toJSON)
+ * @property {string} status - 'Active' or 'Inactive' (inactive keys are rejected)
+ * @property {Date|null} lastUsedAt - Last accepted signed request
+ * @property {string|null} lastUsedService - Service of the last request (from the credential scope)
+ * @property {string|null} lastUsedRegion - Region of the last request (from the credential scope)
+ * @property {string|null} lastUsedIp - Source IP of the last request
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class AccessKey {
+  /**
+   * Creates a new AccessKey instance
+   * @param {Object} data - Access key data
+   * @param {string} data.accountId - Account ID
+   * @param {string} data.userId - Owner user ID
+   * @param {string} data.accessKeyId - Public key ID
+   * @param {string} data.encryptedSecret - Encrypted secret access key
+   * @param {string} [data.status='Active'] - Key status
+   * @param {string} [data.id] - Key ID (auto-generated if not provided)
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId;
+    this.userId = data.userId;
+    this.accessKeyId = data.accessKeyId;
+    this.encryptedSecret = data.encryptedSecret;
+    this.status = data.status || AccessKey.STATUS.ACTIVE;
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.lastUsedService = data.lastUsedService || null;
+    this.lastUsedRegion = data.lastUsedRegion || null;
+    this.lastUsedIp = data.lastUsedIp || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Checks if the key can sign requests
+   * @returns {boolean} True if active
+   */
+  isActive() {
+    return this.status === AccessKey.STATUS.ACTIVE;
+  }
+
+  /**
+   * Generates a new public key ID (AKIA followed by 16 base32 characters)
+   * @returns {string} Access key ID
+   */
+  static generateAccessKeyId() {
+    const bytes = crypto.randomBytes(16);
+    return 'AKIA' + Array.from(bytes, byte => ACCESS_KEY_ID_ALPHABET[byte % 32]).join('');
+  }
+
+  /**
+   * Generates a new secret access key (40 characters)
+   * @returns {string} Secret access key
+   */
+  static generateSecretAccessKey() {
+    return crypto.randomBytes(30).toString('base64');
+  }
+
+  /**
+   * Returns JSON representation of the key (without the secret)
+   * @returns {Object} Access key data
+   */
+  toJSON() {
+    return {
+      accessKeyId: this.accessKeyId,
+      userId: this.userId,
+      accountId: this.accountId,
+      status: this.status,
+      lastUsed: {
+        date: this.lastUsedAt,
+        service: this.lastUsedService,
+        region: this.lastUsedRegion,
+        sourceIp: this.lastUsedIp
+      },
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates an AccessKey instance from database row
+   * @param {Object} row - Database row
+   * @returns {AccessKey} Access key instance
+   */
+  static fromDatabaseRow(row) {
+    return new AccessKey({
+      id: row.id,
+      accountId: row.account_id,
+      userId: row.user_id,
+      accessKeyId: row.access_key_id,
+      encryptedSecret: row.encrypted_secret,
+      status: row.status,
+      lastUsedAt: row.last_used_at,
+      lastUsedService: row.last_used_service,
+      lastUsedRegion: row.last_used_region,
+      lastUsedIp: row.last_used_ip,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+AccessKey.STATUS = {
+  ACTIVE: 'Active',
+  INACTIVE: 'Inactive'
+};
+
+AccessKey.MAX_KEYS_PER_USER = 2;
+
+module.exports = AccessKey;
@@ -6,6 +6,7 @@ const { v4: uuidv4 } = require('uuid');
  * @property {string} name - Account/organization name
  * @property {string} email - Administrator email
  * @property {string} status - Account status (active, suspended, deleted)
+ * @property {string|null} organizationalUnitId - OU the account belongs to (null if standalone)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -17,6 +18,7 @@ class Account {
    * @param {string} data.name - Account name
    * @param {string} data.email - Administrator email
    * @param {string} [data.status='active'] - Account status
+   * @param {string} [data.organizationalUnitId] - OU the account belongs to (null if standalone)
    * @param {string} [data.id] - Account ID (auto-generated if not provided)
    * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
    * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
@@ -26,6 +28,7 @@ class Account {
     this.name = data.name;
     this.email = data.email;
     this.status = data.status || 'active';
+    this.organizationalUnitId = data.organizationalUnitId || null;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -93,6 +96,7 @@ class Account {
       name: this.name,
       email: this.email,
       status: this.status,
+      organizationalUnitId: this.organizationalUnitId,
       arn: this.getArn(),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
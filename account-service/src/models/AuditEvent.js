@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+/**
+ * @typedef {Object} AuditEventData
+ * @property {string} id - Event ID
+ * @property {string|null} accountId - Account whose chain holds the event (null for events without an account)
+ * @property {number} sequence - Position in the chain of the account, starting at 1
+ * @property {Date} eventTime - Time of the request
+ * @property {string} action - Action, e.g. iam:CreateUser
+ * @property {string|null} resource - Resource ARN the action was authorized on
+ * @property {Object} actor - Principal that made the request
+ * @property {string|null} sourceIp - Client IP
+ * @property {string|null} userAgent - Client user agent
+ * @property {string|null} requestMethod - HTTP method
+ * @property {string|null} requestPath - Request path (without the query)
+ * @property {Object} requestParameters - Request parameters, secrets redacted
+ * @property {number|null} responseStatus - HTTP status of the response
+ * @property {string|null} decision - Allow or Deny, when the request was authorized
+ * @property {string|null} decisionReason - Why access was denied
+ * @property {string} previousHash - Hash of the previous event of the chain
+ * @property {string} hash - Hash of this event
+ */
+
+class AuditEvent {
+  /**
+   * Creates a new AuditEvent instance
+   * @param {Object} data - Event data
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId || null;
+    this.sequence = data.sequence || null;
+    this.eventTime = data.eventTime || new Date();
+    this.action = data.action;
+    this.resource = data.resource || null;
+    this.actor = data.actor || { type: 'Anonymous' };
+    this.sourceIp = data.sourceIp || null;
+    this.userAgent = data.userAgent || null;
+    this.requestMethod = data.requestMethod || null;
+    this.requestPath = data.requestPath || null;
+    this.requestParameters = data.requestParameters || {};
+    this.responseStatus = data.responseStatus || null;
+    this.decision = data.decision || null;
+    this.decisionReason = data.decisionReason || null;
+    this.previousHash = data.previousHash || null;
+    this.hash = data.hash || null;
+  }
+
+  /**
+   * Computes the hash of the event: SHA-256 of its canonical JSON, which includes the previous hash
+   * @returns {string} Hex digest
+   */
+  computeHash() {
+    const content = {
+      id: this.id,
+      accountId: this.accountId,
+      sequence: this.sequence,
+      eventTime: new Date(this.eventTime).toISOString(),
+      action: this.action,
+      resource: this.resource,
+      actor: this.actor,
+      sourceIp: this.sourceIp,
+      userAgent: this.userAgent,
+      requestMethod: this.requestMethod,
+      requestPath: this.requestPath,
+      requestParameters: this.requestParameters,
+      responseStatus: this.responseStatus,
+      decision: this.decision,
+      decisionReason: this.decisionReason,
+      previousHash: this.previousHash
+    };
+
+    return crypto.createHash('sha256').update(AuditEvent.canonicalize(content)).digest('hex');
+  }
+
+  /**
+   * Links the event to the end of its chain and computes its hash
+   * @param {Object|null} previous - Last event of the chain ({ sequence, hash }), null for the first event
+   */
+  chainTo(previous) {
+    this.sequence = previous ? Number(previous.sequence) + 1 : 1;
+    this.previousHash = previous ? previous.hash : GENESIS_HASH;
+    this.hash = this.computeHash();
+  }
+
+  /**
+   * JSON with object keys sorted at every level, so that the hash does not depend on key order
+   * (JSONB does not keep the order in which the keys were written)
+   * @param {*} value - JSON value
+   * @returns {string} Canonical JSON
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => AuditEvent.canonicalize(item === undefined ? null : item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      return `{${Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${AuditEvent.canonicalize(value[key])}`)
+        .join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * Returns JSON representation of the event
+   * @returns {Object} Event data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      sequence: this.sequence,
+      eventTime: this.eventTime,
+      action: this.action,
+      resource: this.resource,
+      actor: this.actor,
+      sourceIp: this.sourceIp,
+      userAgent: this.userAgent,
+      requestMethod: this.requestMethod,
+      requestPath: this.requestPath,
+      requestParameters: this.requestParameters,
+      responseStatus: this.responseStatus,
+      decision: this.decision,
+      decisionReason: this.decisionReason,
+      previousHash: this.previousHash,
+      hash: this.hash
+    };
+  }
+
+  /**
+   * Creates an AuditEvent from database row data
+   * @param {Object} row - Database row data
+   * @returns {AuditEvent} Event instance
+   */
+  static fromDatabaseRow(row) {
+    return new AuditEvent({
+      id: row.id,
+      accountId: row.account_id,
+      sequence: Number(row.sequence),
+      eventTime: row.event_time,
+      action: row.action,
+      resource: row.resource,
+      actor: row.actor,
+      sourceIp: row.source_ip,
+      userAgent: row.user_agent,
+      requestMethod: row.request_method,
+      requestPath: row.request_path,
+      requestParameters: row.request_parameters,
+      responseStatus: row.response_status,
+      decision: row.decision,
+      decisionReason: row.decision_reason,
+      previousHash: row.previous_hash,
+      hash: row.hash
+    });
+  }
+}
+
+AuditEvent.GENESIS_HASH = GENESIS_HASH;
+
+module.exports = AuditEvent;
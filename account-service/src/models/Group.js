@@ -7,6 +7,7 @@ const { v4: uuidv4 } = require('uuid');
  * @property {string} name - Group name
  * @property {string} description - Group description
  * @property {string} path - Group path (for hierarchical organization)
+ * @property {string|null} externalId - Identifier of the group in the provisioning source (SCIM)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -19,6 +20,7 @@ class Group {
    * @param {string} data.name - Group name
    * @param {string} [data.description] - Group description
    * @param {string} [data.path='/'] - Group path
+   * @param {string} [data.externalId] - Identifier of the group in the provisioning source
    * @param {string} [data.id] - Group ID (auto-generated if not provided)
    * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
    * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
@@ -29,10 +31,19 @@ class Group {
     this.name = data.name;
     this.description = data.description || '';
     this.path = data.path || '/';
+    this.externalId = data.externalId || null;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
 
+  /**
+   * Creates a copy of this group
+   * @returns {Group} Copy
+   */
+  clone() {
+    return new Group({ ...this });
+  }
+
   /**
    * Validates this group instance
    * @throws {Error} If validation fails
@@ -107,6 +118,7 @@ class Group {
       name: row.name,
       description: row.description,
       path: row.path,
+      externalId: row.external_id,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     });
@@ -136,7 +148,7 @@ class Group {
    * @returns {Object} Group data
    */
   toJSON() {
-    return {
+    const result = {
       id: this.id,
       accountId: this.accountId,
       name: this.name,
@@ -146,6 +158,12 @@ class Group {
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
+
+    if (this.externalId) {
+      result.externalId = this.externalId;
+    }
+
+    return result;
   }
 
   /**
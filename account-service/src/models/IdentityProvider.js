@@ -0,0 +1,219 @@
+const crypto = require('crypto');
+
+const MAX_AUDIENCES = 20;
+const SAML_NAME_PATTERN = /^[\w.-]{1,128}$/;
+
+/**
+ * @typedef {Object} IdentityProviderData
+ * @property {string} id - Provider ID
+ * @property {string} accountId - Account that trusts the provider
+ * @property {string} providerType - oidc or saml
+ * @property {string} name - OIDC: issuer URL without https://; SAML: provider name
+ * @property {string} arn - Federated principal used in trust policies
+ * @property {string} issuer - OIDC: iss claim of the ID tokens; SAML: entity ID of the IdP
+ * @property {Array<string>} audiences - OIDC: accepted client IDs; SAML: accepted Audience values
+ * @property {Object|null} jwks - OIDC: JSON Web Key Set ({ keys: [...] })
+ * @property {string|null} jwksUri - OIDC: URL of the JSON Web Key Set
+ * @property {string|null} metadataDocument - SAML: metadata XML of the IdP
+ * @property {Array<string>} signingCertificates - SAML: signing certificates (PEM) from the metadata
+ * @property {string|null} createdBy - User who registered the provider
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class IdentityProvider {
+  /**
+   * Creates a new IdentityProvider instance
+   * @param {Object} data - Provider data
+   */
+  constructor(data) {
+    this.id = data.id || crypto.randomUUID();
+    this.accountId = data.accountId;
+    this.providerType = data.providerType;
+    this.issuer = data.issuer;
+    this.name = data.name || (this.isOidc() ? IdentityProvider.oidcProviderName(data.issuer) : null);
+    this.arn = data.arn || IdentityProvider.buildArn(this.accountId, this.providerType, this.name);
+    this.audiences = data.audiences || [];
+    this.jwks = data.jwks || null;
+    this.jwksUri = data.jwksUri || null;
+    this.metadataDocument = data.metadataDocument || null;
+    this.signingCertificates = data.signingCertificates || [];
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  isOidc() {
+    return this.providerType === IdentityProvider.TYPES.OIDC;
+  }
+
+  isSaml() {
+    return this.providerType === IdentityProvider.TYPES.SAML;
+  }
+
+  /**
+   * Prefix of the condition keys filled from the provider claims: the provider name for OIDC
+   * (e.g. token.actions.example.com:sub), saml for SAML (e.g. saml:aud)
+   * @returns {string} Condition key prefix
+   */
+  getConditionKeyPrefix() {
+    return this.isOidc() ? this.name : 'saml';
+  }
+
+  /**
+   * Checks an audience against the accepted ones
+   * @param {string|Array<string>} audience - aud claim or Audience values
+   * @returns {boolean} True if one of them is accepted
+   */
+  acceptsAudience(audience) {
+    const values = Array.isArray(audience) ? audience : [audience];
+    return values.some(value => this.audiences.includes(value));
+  }
+
+  /**
+   * Name of an OIDC provider: its issuer without the https:// scheme and trailing slash
+   * @param {string} issuer - Issuer URL
+   * @returns {string|null} Provider name
+   */
+  static oidcProviderName(issuer) {
+    if (typeof issuer !== 'string') {
+      return null;
+    }
+    return issuer.replace(/^https:\/\//, '').replace(/\/+$/, '');
+  }
+
+  /**
+   * Builds the ARN of a provider
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {string} name - Provider name
+   * @returns {string} ARN
+   */
+  static buildArn(accountId, providerType, name) {
+    const resource = providerType === IdentityProvider.TYPES.SAML ? 'saml-provider' : 'oidc-provider';
+    return `arn:aws:iam::${accountId}:${resource}/${name}`;
+  }
+
+  /**
+   * Checks if a URL can be used as issuer or JWKS URL (https, no fragment)
+   * @param {string} value - URL
+   * @returns {boolean} True if valid
+   */
+  static isHttpsUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' && !url.hash;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Validates provider settings
+   * @param {string} providerType - oidc or saml
+   * @param {Object} data - Settings to validate
+   * @param {boolean} [isUpdate] - The issuer (OIDC) and name (SAML) cannot be changed and nothing is required on update
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  static validate(providerType, data, isUpdate = false) {
+    const errors = [];
+
+    if (data.audiences !== undefined || !isUpdate) {
+      if (!Array.isArray(data.audiences) || data.audiences.length === 0 || data.audiences.length > MAX_AUDIENCES ||
+          data.audiences.some(audience => typeof audience !== 'string' || audience.length === 0 || audience.length > 255)) {
+        errors.push(`audiences must be an array of 1 to ${MAX_AUDIENCES} non-empty strings`);
+      }
+    }
+
+    if (providerType === IdentityProvider.TYPES.OIDC) {
+      if (isUpdate && data.issuer !== undefined) {
+        errors.push('issuer cannot be changed');
+      } else if (!isUpdate && !IdentityProvider.isHttpsUrl(data.issuer)) {
+        errors.push('issuer is required and must be an https URL');
+      }
+
+      if (data.jwks !== undefined && data.jwks !== null) {
+        if (typeof data.jwks !== 'object' || !Array.isArray(data.jwks.keys) || data.jwks.keys.length === 0) {
+          errors.push('jwks must be a JSON Web Key Set with at least one key');
+        } else if (data.jwks.keys.some(key => !key || typeof key.kty !== 'string' || key.d !== undefined)) {
+          errors.push('jwks must only contain public keys (kty required, no private parameters)');
+        }
+      }
+
+      if (data.jwksUri !== undefined && data.jwksUri !== null && !IdentityProvider.isHttpsUrl(data.jwksUri)) {
+        errors.push('jwksUri must be an https URL');
+      }
+
+      if (!isUpdate && !data.jwks && !data.jwksUri) {
+        errors.push('jwks or jwksUri is required');
+      }
+    } else {
+      if (isUpdate && data.name !== undefined) {
+        errors.push('name cannot be changed');
+      } else if (!isUpdate && (typeof data.name !== 'string' || !SAML_NAME_PATTERN.test(data.name))) {
+        errors.push('name is required (1 to 128 letters, digits, _, . or -)');
+      }
+
+      if (data.metadataDocument !== undefined || !isUpdate) {
+        if (typeof data.metadataDocument !== 'string' || data.metadataDocument.trim().length === 0) {
+          errors.push('metadataDocument is required (metadata XML of the identity provider)');
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Returns JSON representation of the provider
+   * @returns {Object} Provider data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      providerType: this.providerType,
+      name: this.name,
+      arn: this.arn,
+      issuer: this.issuer,
+      audiences: this.audiences,
+      ...(this.isOidc()
+        ? { jwks: this.jwks, jwksUri: this.jwksUri }
+        : { metadataDocument: this.metadataDocument, signingCertificateCount: this.signingCertificates.length }),
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates an IdentityProvider instance from database row
+   * @param {Object} row - Database row
+   * @returns {IdentityProvider} Provider instance
+   */
+  static fromDatabaseRow(row) {
+    return new IdentityProvider({
+      id: row.id,
+      accountId: row.account_id,
+      providerType: row.provider_type,
+      name: row.name,
+      arn: row.arn,
+      issuer: row.issuer,
+      audiences: row.audiences,
+      jwks: row.jwks,
+      jwksUri: row.jwks_uri,
+      metadataDocument: row.metadata_document,
+      signingCertificates: row.signing_certificates,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+IdentityProvider.TYPES = {
+  OIDC: 'oidc',
+  SAML: 'saml'
+};
+
+module.exports = IdentityProvider;
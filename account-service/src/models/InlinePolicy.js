@@ -0,0 +1,116 @@
+const { v4: uuidv4 } = require('uuid');
+const Policy = require('./Policy');
+
+/**
+ * @typedef {Object} InlinePolicyData
+ * @property {string} id - Unique inline policy identifier
+ * @property {string} accountId - Account ID
+ * @property {string} principalType - Owner type ('user', 'group' or 'role')
+ * @property {string} principalId - Owner ID
+ * @property {string} name - Policy name (unique per owner)
+ * @property {Object} document - Policy document
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class InlinePolicy {
+  /**
+   * Creates a new InlinePolicy instance
+   * @param {Object} data - Inline policy data
+   * @param {string} data.accountId - Account ID
+   * @param {string} data.principalType - Owner type
+   * @param {string} data.principalId - Owner ID
+   * @param {string} data.name - Policy name
+   * @param {Object} data.document - Policy document
+   * @param {string} [data.id] - Policy ID (auto-generated if not provided)
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId;
+    this.principalType = data.principalType;
+    this.principalId = data.principalId;
+    this.name = data.name;
+    this.document = data.document;
+    this.type = 'Inline';
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Validates inline policy data
+   * @param {Object} data - Data to validate
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!InlinePolicy.PRINCIPAL_TYPES.includes(data.principalType)) {
+      errors.push(`Principal type must be one of: ${InlinePolicy.PRINCIPAL_TYPES.join(', ')}`);
+    }
+
+    if (!data.name) {
+      errors.push('Policy name is required');
+    } else if (typeof data.name !== 'string') {
+      errors.push('Policy name must be a string');
+    } else if (data.name.length > 128) {
+      errors.push('Policy name must be between 1 and 128 characters');
+    } else if (!/^[a-zA-Z0-9+=,.@\-_]+$/.test(data.name)) {
+      errors.push('Policy name contains invalid characters');
+    }
+
+    if (!data.document) {
+      errors.push('Policy document is required');
+    } else if (typeof data.document !== 'object') {
+      errors.push('Policy document must be an object');
+    } else {
+      const documentValidation = Policy.validatePolicyDocument(data.document);
+      errors.push(...documentValidation.errors.map(err => `Policy document: ${err}`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Returns JSON representation of the inline policy
+   * @returns {Object} Inline policy data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      principalType: this.principalType,
+      principalId: this.principalId,
+      name: this.name,
+      document: this.document,
+      type: this.type,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates an InlinePolicy instance from database row
+   * @param {Object} row - Database row (with principal_type and principal_id columns)
+   * @returns {InlinePolicy} Inline policy instance
+   */
+  static fromDatabaseRow(row) {
+    return new InlinePolicy({
+      id: row.id,
+      accountId: row.account_id,
+      principalType: row.principal_type,
+      principalId: row.principal_id,
+      name: row.policy_name,
+      document: typeof row.policy_document === 'string'
+        ? JSON.parse(row.policy_document)
+        : row.policy_document,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+InlinePolicy.PRINCIPAL_TYPES = ['user', 'group', 'role'];
+
+module.exports = InlinePolicy;
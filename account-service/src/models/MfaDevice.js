@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @typedef {Object} MfaDeviceData
+ * @property {string} id - Unique device identifier
+ * @property {string} accountId - Account ID
+ * @property {string} userId - Owner user ID
+ * @property {string} serialNumber - Device ARN (arn:aws:iam::<accountId>:mfa/<username>)
+ * @property {string} encryptedSecret - Encrypted Base32 TOTP secret (never returned by toJSON)
+ * @property {string} status - 'Pending' until activated with two consecutive codes, then 'Active'
+ * @property {number|null} lastUsedStep - Last accepted TOTP time step
+ * @property {Date|null} enabledAt - Activation timestamp
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class MfaDevice {
+  /**
+   * Creates a new MfaDevice instance
+   * @param {Object} data - Device data
+   * @param {string} data.accountId - Account ID
+   * @param {string} data.userId - Owner user ID
+   * @param {string} data.serialNumber - Device ARN
+   * @param {string} data.encryptedSecret - Encrypted Base32 TOTP secret
+   * @param {string} [data.status='Pending'] - Device status
+   * @param {number} [data.lastUsedStep] - Last accepted time step
+   * @param {Date} [data.enabledAt] - Activation date
+   * @param {string} [data.id] - Device ID (auto-generated if not provided)
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId;
+    this.userId = data.userId;
+    this.serialNumber = data.serialNumber;
+    this.encryptedSecret = data.encryptedSecret;
+    this.status = data.status || MfaDevice.STATUS.PENDING;
+    this.lastUsedStep = data.lastUsedStep !== undefined && data.lastUsedStep !== null
+      ? Number(data.lastUsedStep)
+      : null;
+    this.enabledAt = data.enabledAt || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Checks if the device is active (enforced at login)
+   * @returns {boolean} True if active
+   */
+  isActive() {
+    return this.status === MfaDevice.STATUS.ACTIVE;
+  }
+
+  /**
+   * Builds the serial number (ARN) of a user's virtual MFA device
+   * @param {string} accountId - Account ID
+   * @param {string} name - Username (or user ID when the user has no username)
+   * @returns {string} Device ARN
+   */
+  static buildSerialNumber(accountId, name) {
+    return `arn:aws:iam::${accountId}:mfa/${name}`;
+  }
+
+  /**
+   * Returns JSON representation of the device (without the secret)
+   * @returns {Object} Device data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      userId: this.userId,
+      serialNumber: this.serialNumber,
+      status: this.status,
+      enabledAt: this.enabledAt,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates an MfaDevice instance from database row
+   * @param {Object} row - Database row
+   * @returns {MfaDevice} Device instance
+   */
+  static fromDatabaseRow(row) {
+    return new MfaDevice({
+      id: row.id,
+      accountId: row.account_id,
+      userId: row.user_id,
+      serialNumber: row.serial_number,
+      encryptedSecret: row.encrypted_secret,
+      status: row.status,
+      lastUsedStep: row.last_used_step,
+      enabledAt: row.enabled_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+MfaDevice.STATUS = {
+  PENDING: 'Pending',
+  ACTIVE: 'Active'
+};
+
+module.exports = MfaDevice;
@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} OAuthAuthorizationCodeData
+ * @property {string} codeHash - SHA-256 of the code (the code itself is only sent to the client)
+ * @property {string} clientId - Client the code was issued to
+ * @property {string} accountId - Account ID
+ * @property {string} userId - User who authorized the client
+ * @property {string} redirectUri - Redirect URI of the authorization request (must be repeated at the token endpoint)
+ * @property {Array<string>} scopes - Granted scopes
+ * @property {string} codeChallenge - PKCE S256 code challenge
+ * @property {string|null} nonce - nonce of the authorization request (copied to the ID token)
+ * @property {Date} authTime - When the user signed in
+ * @property {Date|null} mfaAuthTime - When the user verified MFA
+ * @property {string|null} sessionId - Session issued for the code
+ * @property {Date} expiresAt - Expiry
+ * @property {Date|null} consumedAt - When the code was exchanged
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+class OAuthAuthorizationCode {
+  /**
+   * Creates a new OAuthAuthorizationCode instance
+   * @param {Object} data - Code data
+   */
+  constructor(data) {
+    this.codeHash = data.codeHash;
+    this.clientId = data.clientId;
+    this.accountId = data.accountId;
+    this.userId = data.userId;
+    this.redirectUri = data.redirectUri;
+    this.scopes = data.scopes || [];
+    this.codeChallenge = data.codeChallenge;
+    this.nonce = data.nonce || null;
+    this.authTime = data.authTime;
+    this.mfaAuthTime = data.mfaAuthTime || null;
+    this.sessionId = data.sessionId || null;
+    this.expiresAt = data.expiresAt;
+    this.consumedAt = data.consumedAt || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Checks if the code has expired
+   * @returns {boolean} True if expired
+   */
+  isExpired() {
+    return new Date(this.expiresAt) <= new Date();
+  }
+
+  /**
+   * Checks a PKCE code verifier against the code challenge (S256, RFC 7636)
+   * @param {string} codeVerifier - code_verifier of the token request
+   * @returns {boolean} True if BASE64URL(SHA256(code_verifier)) equals the challenge
+   */
+  verifyCodeVerifier(codeVerifier) {
+    if (typeof codeVerifier !== 'string' || !/^[A-Za-z0-9\-._~]{43,128}$/.test(codeVerifier)) {
+      return false;
+    }
+
+    const challenge = Buffer.from(crypto.createHash('sha256').update(codeVerifier).digest('base64url'));
+    const expected = Buffer.from(this.codeChallenge);
+    return challenge.length === expected.length && crypto.timingSafeEqual(challenge, expected);
+  }
+
+  /**
+   * Hashes an authorization code for storage and lookup
+   * @param {string} code - Authorization code
+   * @returns {string} Hex digest
+   */
+  static hashCode(code) {
+    return crypto.createHash('sha256').update(String(code)).digest('hex');
+  }
+
+  /**
+   * Creates an OAuthAuthorizationCode instance from database row
+   * @param {Object} row - Database row
+   * @returns {OAuthAuthorizationCode} Code instance
+   */
+  static fromDatabaseRow(row) {
+    return new OAuthAuthorizationCode({
+      codeHash: row.code_hash,
+      clientId: row.client_id,
+      accountId: row.account_id,
+      userId: row.user_id,
+      redirectUri: row.redirect_uri,
+      scopes: row.scopes,
+      codeChallenge: row.code_challenge,
+      nonce: row.nonce,
+      authTime: row.auth_time,
+      mfaAuthTime: row.mfa_auth_time,
+      sessionId: row.session_id,
+      expiresAt: row.expires_at,
+      consumedAt: row.consumed_at,
+      createdAt: row.created_at
+    });
+  }
+}
+
+module.exports = OAuthAuthorizationCode;
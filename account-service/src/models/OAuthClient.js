@@ -0,0 +1,243 @@
+const crypto = require('crypto');
+const { OAUTH_SCOPES } = require('../config/oauthScopes');
+
+const MAX_REDIRECT_URIS = 10;
+const LOOPBACK_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+/**
+ * @typedef {Object} OAuthClientData
+ * @property {string} clientId - Client ID (client_id parameter)
+ * @property {string} accountId - Account whose users the client signs in
+ * @property {string} name - Name shown on the consent screen
+ * @property {string} clientType - public (no secret, e.g. SPAs and mobile apps) or confidential
+ * @property {string|null} clientSecretHash - SHA-256 of the client secret (never returned by toJSON)
+ * @property {Array<string>} redirectUris - Exact redirect URIs accepted at the authorization endpoint
+ * @property {Array<string>} allowedScopes - Scopes the client may request
+ * @property {boolean} firstParty - Trusted client: users are not asked for consent
+ * @property {string} status - active or disabled
+ * @property {string|null} createdBy - User who registered the client
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class OAuthClient {
+  /**
+   * Creates a new OAuthClient instance
+   * @param {Object} data - Client data
+   */
+  constructor(data) {
+    this.clientId = data.clientId || OAuthClient.generateClientId();
+    this.accountId = data.accountId;
+    this.name = data.name;
+    this.clientType = data.clientType || OAuthClient.TYPES.PUBLIC;
+    this.clientSecretHash = data.clientSecretHash || null;
+    this.redirectUris = data.redirectUris || [];
+    this.allowedScopes = data.allowedScopes || ['openid'];
+    this.firstParty = Boolean(data.firstParty);
+    this.status = data.status || OAuthClient.STATUSES.ACTIVE;
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Checks if the client can be used to sign in
+   * @returns {boolean} True if active
+   */
+  isActive() {
+    return this.status === OAuthClient.STATUSES.ACTIVE;
+  }
+
+  /**
+   * Checks if the client authenticates with a secret
+   * @returns {boolean} True for confidential clients
+   */
+  isConfidential() {
+    return this.clientType === OAuthClient.TYPES.CONFIDENTIAL;
+  }
+
+  /**
+   * Checks a redirect URI against the registered ones (exact match)
+   * @param {string} redirectUri - Redirect URI of the request
+   * @returns {boolean} True if registered
+   */
+  allowsRedirectUri(redirectUri) {
+    return this.redirectUris.includes(redirectUri);
+  }
+
+  /**
+   * Checks a client secret
+   * @param {string} clientSecret - Secret presented by the client
+   * @returns {boolean} True if it matches (constant-time comparison)
+   */
+  verifySecret(clientSecret) {
+    if (!this.clientSecretHash || typeof clientSecret !== 'string') {
+      return false;
+    }
+
+    const expected = Buffer.from(this.clientSecretHash, 'hex');
+    const actual = Buffer.from(OAuthClient.hashSecret(clientSecret), 'hex');
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  /**
+   * Generates a client ID
+   * @returns {string} Client ID
+   */
+  static generateClientId() {
+    return crypto.randomBytes(16).toString('hex');
+  }
+
+  /**
+   * Generates a client secret
+   * @returns {string} Client secret (base64url, 256 bits)
+   */
+  static generateClientSecret() {
+    return crypto.randomBytes(32).toString('base64url');
+  }
+
+  /**
+   * Hashes a client secret for storage (secrets are random, so a plain SHA-256 is enough)
+   * @param {string} clientSecret - Client secret
+   * @returns {string} Hex digest
+   */
+  static hashSecret(clientSecret) {
+    return crypto.createHash('sha256').update(clientSecret).digest('hex');
+  }
+
+  /**
+   * Checks if a redirect URI can be registered: https, http on a loopback host (native apps, development)
+   * or a private-use scheme with a dot such as com.example.app:/callback (RFC 8252); never a fragment
+   * @param {string} redirectUri - Redirect URI
+   * @returns {boolean} True if valid
+   */
+  static isValidRedirectUri(redirectUri) {
+    let url;
+    try {
+      url = new URL(redirectUri);
+    } catch (error) {
+      return false;
+    }
+
+    if (url.hash) {
+      return false;
+    }
+
+    if (url.protocol === 'https:') {
+      return true;
+    }
+
+    if (url.protocol === 'http:') {
+      return LOOPBACK_HOSTS.includes(url.hostname);
+    }
+
+    return url.protocol.slice(0, -1).includes('.');
+  }
+
+  /**
+   * Validates client settings
+   * @param {Object} data - Settings to validate
+   * @param {boolean} [isUpdate] - clientType cannot be changed and nothing is required on update
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  static validate(data, isUpdate = false) {
+    const errors = [];
+
+    if (data.name !== undefined || !isUpdate) {
+      if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > 128) {
+        errors.push('name is required and must be at most 128 characters');
+      }
+    }
+
+    if (isUpdate && data.clientType !== undefined) {
+      errors.push('clientType cannot be changed');
+    } else if (data.clientType !== undefined && !Object.values(OAuthClient.TYPES).includes(data.clientType)) {
+      errors.push(`clientType must be one of: ${Object.values(OAuthClient.TYPES).join(', ')}`);
+    }
+
+    if (data.redirectUris !== undefined || !isUpdate) {
+      if (!Array.isArray(data.redirectUris) || data.redirectUris.length === 0 ||
+          data.redirectUris.length > MAX_REDIRECT_URIS) {
+        errors.push(`redirectUris must be an array of 1 to ${MAX_REDIRECT_URIS} URIs`);
+      } else {
+        data.redirectUris
+          .filter(uri => !OAuthClient.isValidRedirectUri(uri))
+          .forEach(uri => errors.push(`Invalid redirect URI: ${uri} (https, http on localhost or a private-use scheme, without fragment)`));
+      }
+    }
+
+    if (data.allowedScopes !== undefined) {
+      if (!Array.isArray(data.allowedScopes) || data.allowedScopes.length === 0) {
+        errors.push('allowedScopes must be a non-empty array');
+      } else {
+        data.allowedScopes
+          .filter(scope => !OAUTH_SCOPES[scope])
+          .forEach(scope => errors.push(`Unknown scope: ${scope} (supported: ${Object.keys(OAUTH_SCOPES).join(', ')})`));
+      }
+    }
+
+    if (data.firstParty !== undefined && typeof data.firstParty !== 'boolean') {
+      errors.push('firstParty must be a boolean');
+    }
+
+    if (data.status !== undefined && !Object.values(OAuthClient.STATUSES).includes(data.status)) {
+      errors.push(`status must be one of: ${Object.values(OAuthClient.STATUSES).join(', ')}`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Returns JSON representation of the client (without the secret hash)
+   * @returns {Object} Client data
+   */
+  toJSON() {
+    return {
+      clientId: this.clientId,
+      accountId: this.accountId,
+      name: this.name,
+      clientType: this.clientType,
+      redirectUris: this.redirectUris,
+      allowedScopes: this.allowedScopes,
+      firstParty: this.firstParty,
+      status: this.status,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates an OAuthClient instance from database row
+   * @param {Object} row - Database row
+   * @returns {OAuthClient} Client instance
+   */
+  static fromDatabaseRow(row) {
+    return new OAuthClient({
+      clientId: row.client_id,
+      accountId: row.account_id,
+      name: row.name,
+      clientType: row.client_type,
+      clientSecretHash: row.client_secret_hash,
+      redirectUris: row.redirect_uris,
+      allowedScopes: row.allowed_scopes,
+      firstParty: row.first_party,
+      status: row.status,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+OAuthClient.TYPES = {
+  PUBLIC: 'public',
+  CONFIDENTIAL: 'confidential'
+};
+
+OAuthClient.STATUSES = {
+  ACTIVE: 'active',
+  DISABLED: 'disabled'
+};
+
+module.exports = OAuthClient;
@@ -0,0 +1,101 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @typedef {Object} OrganizationalUnitData
+ * @property {string} id - Unique OU identifier
+ * @property {string} managementAccountId - Account that owns the OU tree
+ * @property {string|null} parentId - Parent OU ID (null for top-level OUs)
+ * @property {string} name - OU name
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class OrganizationalUnit {
+  /**
+   * Creates a new OrganizationalUnit instance
+   * @param {Object} data - OU data
+   * @param {string} data.managementAccountId - Management account ID
+   * @param {string} data.name - OU name
+   * @param {string} [data.parentId] - Parent OU ID
+   * @param {string} [data.id] - OU ID (auto-generated if not provided)
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.managementAccountId = data.managementAccountId;
+    this.parentId = data.parentId || null;
+    this.name = data.name;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Validates OU data
+   * @param {Object} data - Data to validate
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!data.managementAccountId) {
+      errors.push('Management account ID is required');
+    }
+
+    if (!data.name) {
+      errors.push('Organizational unit name is required');
+    } else if (typeof data.name !== 'string') {
+      errors.push('Organizational unit name must be a string');
+    } else if (data.name.trim().length === 0 || data.name.length > 128) {
+      errors.push('Organizational unit name must be between 1 and 128 characters');
+    }
+
+    if (data.parentId && typeof data.parentId !== 'string') {
+      errors.push('Parent ID must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Gets the ARN for this OU
+   * @returns {string} OU ARN
+   */
+  getArn() {
+    return `arn:aws:organizations::${this.managementAccountId}:ou/${this.id}`;
+  }
+
+  /**
+   * Returns JSON representation of the OU
+   * @returns {Object} OU data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      managementAccountId: this.managementAccountId,
+      parentId: this.parentId,
+      name: this.name,
+      arn: this.getArn(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates an OrganizationalUnit instance from database row
+   * @param {Object} row - Database row
+   * @returns {OrganizationalUnit} OU instance
+   */
+  static fromDatabaseRow(row) {
+    return new OrganizationalUnit({
+      id: row.id,
+      managementAccountId: row.management_account_id,
+      parentId: row.parent_id,
+      name: row.name,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+module.exports = OrganizationalUnit;
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+
+const CHARACTER_SETS = {
+  uppercase: 'ABCDEFGHIJKLMNOPQRSTUVWXYZ',
+  lowercase: 'abcdefghijklmnopqrstuvwxyz',
+  numbers: '0123456789',
+  symbols: '!@#$%^&*()_+-=[]{}|'
+};
+
+/**
+ * @typedef {Object} PasswordPolicyData
+ * @property {string} accountId - Account ID
+ * @property {number} minimumPasswordLength - Minimum number of characters
+ * @property {boolean} requireUppercaseCharacters - Requires at least one A-Z
+ * @property {boolean} requireLowercaseCharacters - Requires at least one a-z
+ * @property {boolean} requireNumbers - Requires at least one 0-9
+ * @property {boolean} requireSymbols - Requires at least one non-alphanumeric character
+ * @property {number|null} maxPasswordAge - Days until a password expires (null = never)
+ * @property {number|null} passwordReusePrevention - Previous passwords that cannot be reused (null = no check)
+ * @property {boolean} hardExpiry - Expired passwords can only be reset by an administrator
+ * @property {boolean} allowUsersToChangePassword - IAM users may change their own password
+ * @property {boolean} isDefault - True for the built-in policy of accounts without a policy
+ */
+
+class PasswordPolicy {
+  /**
+   * Creates a new PasswordPolicy instance
+   * @param {Object} data - Policy data (missing settings take the built-in defaults)
+   */
+  constructor(data) {
+    const defaults = PasswordPolicy.DEFAULTS;
+
+    this.accountId = data.accountId;
+    this.minimumPasswordLength = data.minimumPasswordLength !== undefined
+      ? Number(data.minimumPasswordLength)
+      : defaults.minimumPasswordLength;
+    this.requireUppercaseCharacters = Boolean(data.requireUppercaseCharacters);
+    this.requireLowercaseCharacters = Boolean(data.requireLowercaseCharacters);
+    this.requireNumbers = Boolean(data.requireNumbers);
+    this.requireSymbols = Boolean(data.requireSymbols);
+    this.maxPasswordAge = data.maxPasswordAge ? Number(data.maxPasswordAge) : null;
+    this.passwordReusePrevention = data.passwordReusePrevention ? Number(data.passwordReusePrevention) : null;
+    this.hardExpiry = Boolean(data.hardExpiry);
+    this.allowUsersToChangePassword = data.allowUsersToChangePassword !== undefined
+      ? Boolean(data.allowUsersToChangePassword)
+      : defaults.allowUsersToChangePassword;
+    this.isDefault = Boolean(data.isDefault);
+    this.createdAt = data.createdAt || null;
+    this.updatedAt = data.updatedAt || null;
+  }
+
+  /**
+   * Built-in policy of an account without a password policy
+   * @param {string} accountId - Account ID
+   * @returns {PasswordPolicy} Default policy
+   */
+  static defaultFor(accountId) {
+    return new PasswordPolicy({ accountId, ...PasswordPolicy.DEFAULTS, isDefault: true });
+  }
+
+  /**
+   * Validates policy settings
+   * @param {Object} data - Settings to validate
+   * @returns {Array<string>} Validation errors (empty if valid)
+   */
+  static validate(data) {
+    const errors = [];
+    const isInteger = (value, min, max) => Number.isInteger(value) && value >= min && value <= max;
+
+    if (data.minimumPasswordLength !== undefined && !isInteger(data.minimumPasswordLength, 6, 128)) {
+      errors.push('minimumPasswordLength must be an integer between 6 and 128');
+    }
+
+    if (data.maxPasswordAge !== undefined && data.maxPasswordAge !== null && !isInteger(data.maxPasswordAge, 1, 1095)) {
+      errors.push('maxPasswordAge must be an integer between 1 and 1095 (days) or null');
+    }
+
+    if (data.passwordReusePrevention !== undefined && data.passwordReusePrevention !== null &&
+        !isInteger(data.passwordReusePrevention, 1, 24)) {
+      errors.push('passwordReusePrevention must be an integer between 1 and 24 or null');
+    }
+
+    ['requireUppercaseCharacters', 'requireLowercaseCharacters', 'requireNumbers', 'requireSymbols',
+      'hardExpiry', 'allowUsersToChangePassword'].forEach(field => {
+      if (data[field] !== undefined && typeof data[field] !== 'boolean') {
+        errors.push(`${field} must be a boolean`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Checks a password against the length and character class rules
+   * @param {string} password - Password in clear
+   * @returns {Array<string>} Rules the password does not meet (empty if valid)
+   */
+  validatePassword(password) {
+    const errors = [];
+    const value = typeof password === 'string' ? password : '';
+
+    if (value.length < this.minimumPasswordLength) {
+      errors.push(`Password must be at least ${this.minimumPasswordLength} characters`);
+    }
+    if (this.requireUppercaseCharacters && !/[A-Z]/.test(value)) {
+      errors.push('Password must contain at least one uppercase letter');
+    }
+    if (this.requireLowercaseCharacters && !/[a-z]/.test(value)) {
+      errors.push('Password must contain at least one lowercase letter');
+    }
+    if (this.requireNumbers && !/[0-9]/.test(value)) {
+      errors.push('Password must contain at least one number');
+    }
+    if (this.requireSymbols && !/[^A-Za-z0-9]/.test(value)) {
+      errors.push('Password must contain at least one symbol');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Generates a random password that satisfies the policy
+   * (always at least 12 characters with every character class)
+   * @returns {string} Generated password
+   */
+  generatePassword() {
+    const length = Math.max(12, this.minimumPasswordLength);
+    const sets = Object.values(CHARACTER_SETS);
+    const allChars = sets.join('');
+    const pick = (chars) => chars[crypto.randomInt(chars.length)];
+
+    const characters = sets.map(pick);
+    while (characters.length < length) {
+      characters.push(pick(allChars));
+    }
+
+    // Fisher-Yates shuffle so the guaranteed classes are not always first
+    for (let i = characters.length - 1; i > 0; i--) {
+      const j = crypto.randomInt(i + 1);
+      [characters[i], characters[j]] = [characters[j], characters[i]];
+    }
+
+    return characters.join('');
+  }
+
+  /**
+   * Computes when a password expires
+   * @param {Date|string|null} passwordChangedAt - Last password change
+   * @returns {Date|null} Expiry date or null if passwords do not expire
+   */
+  getExpiryDate(passwordChangedAt) {
+    if (!this.maxPasswordAge || !passwordChangedAt) {
+      return null;
+    }
+
+    return new Date(new Date(passwordChangedAt).getTime() + this.maxPasswordAge * 24 * 60 * 60 * 1000);
+  }
+
+  /**
+   * Checks if a password has expired
+   * @param {Date|string|null} passwordChangedAt - Last password change
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True if expired
+   */
+  isPasswordExpired(passwordChangedAt, now = new Date()) {
+    const expiresAt = this.getExpiryDate(passwordChangedAt);
+    return expiresAt !== null && expiresAt <= now;
+  }
+
+  /**
+   * Returns JSON representation of the policy
+   * @returns {Object} Policy data
+   */
+  toJSON() {
+    return {
+      accountId: this.accountId,
+      minimumPasswordLength: this.minimumPasswordLength,
+      requireUppercaseCharacters: this.requireUppercaseCharacters,
+      requireLowercaseCharacters: this.requireLowercaseCharacters,
+      requireNumbers: this.requireNumbers,
+      requireSymbols: this.requireSymbols,
+      maxPasswordAge: this.maxPasswordAge,
+      passwordReusePrevention: this.passwordReusePrevention,
+      hardExpiry: this.hardExpiry,
+      allowUsersToChangePassword: this.allowUsersToChangePassword,
+      isDefault: this.isDefault,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates a PasswordPolicy instance from database row
+   * @param {Object} row - Database row
+   * @returns {PasswordPolicy} Policy instance
+   */
+  static fromDatabaseRow(row) {
+    return new PasswordPolicy({
+      accountId: row.account_id,
+      minimumPasswordLength: row.minimum_password_length,
+      requireUppercaseCharacters: row.require_uppercase_characters,
+      requireLowercaseCharacters: row.require_lowercase_characters,
+      requireNumbers: row.require_numbers,
+      requireSymbols: row.require_symbols,
+      maxPasswordAge: row.max_password_age,
+      passwordReusePrevention: row.password_reuse_prevention,
+      hardExpiry: row.hard_expiry,
+      allowUsersToChangePassword: row.allow_users_to_change_password,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+// Rules of accounts without a password policy (the previous fixed rules)
+PasswordPolicy.DEFAULTS = {
+  minimumPasswordLength: 6,
+  requireUppercaseCharacters: false,
+  requireLowercaseCharacters: false,
+  requireNumbers: false,
+  requireSymbols: false,
+  maxPasswordAge: null,
+  passwordReusePrevention: null,
+  hardExpiry: false,
+  allowUsersToChangePassword: true
+};
+
+module.exports = PasswordPolicy;
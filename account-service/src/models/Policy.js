@@ -1,4 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
+const { ConditionEvaluator } = require('../utils/ConditionEvaluator');
+const { PolicyVariables } = require('../utils/PolicyVariables');
 
 /**
  * @typedef {Object} PolicyData
@@ -10,6 +12,7 @@ const { v4: uuidv4 } = require('uuid');
  * @property {Object} document - Policy document (JSON with statements)
  * @property {string} type - Policy type (managed, inline, custom)
  * @property {boolean} isDefault - Whether this is a default system policy
+ * @property {number} defaultVersionNumber - Version whose document is evaluated (see PolicyVersion)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -25,6 +28,7 @@ class Policy {
    * @param {string} [data.path='/'] - Policy path
    * @param {string} [data.type='custom'] - Policy type
    * @param {boolean} [data.isDefault=false] - Whether this is a default policy
+   * @param {number} [data.defaultVersionNumber=1] - Default version number
    * @param {string} [data.id] - Policy ID (auto-generated if not provided)
    * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
    * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
@@ -38,6 +42,7 @@ class Policy {
     this.document = data.document;
     this.type = data.type || 'Custom';
     this.isDefault = data.isDefault || false;
+    this.defaultVersionNumber = data.defaultVersionNumber || 1;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -58,6 +63,20 @@ class Policy {
     return `arn:aws:iam::${this.accountId}:policy${this.path}${this.name}`;
   }
 
+  /**
+   * Parses a managed policy ARN (arn:aws:iam::<accountId>:policy<path><name>)
+   * @param {string} arn - Policy ARN
+   * @returns {Object|null} { accountId, path, name } or null if not a policy ARN
+   */
+  static parseArn(arn) {
+    const match = typeof arn === 'string' && arn.match(/^arn:aws:iam::([^:]+):policy(\/(?:[^/]+\/)*)([^/]+)$/);
+    if (!match) {
+      return null;
+    }
+
+    return { accountId: match[1], path: match[2], name: match[3] };
+  }
+
   /**
    * Validates policy data
    * @param {Object} data - Data to validate
@@ -174,47 +193,64 @@ class Policy {
       errors.push('Effect must be "Allow" or "Deny"');
     }
 
-    // Check Action
-    if (!statement.Action) {
-      errors.push('Action is required');
-    } else if (typeof statement.Action === 'string') {
-      // Single action
-      if (!Policy.isValidAction(statement.Action)) {
-        errors.push(`Invalid action: ${statement.Action}`);
-      }
-    } else if (Array.isArray(statement.Action)) {
-      // Multiple actions
-      statement.Action.forEach(action => {
-        if (!Policy.isValidAction(action)) {
-          errors.push(`Invalid action: ${action}`);
-        }
-      });
-    } else {
-      errors.push('Action must be a string or array of strings');
+    // Check Action / NotAction (exactly one is required)
+    errors.push(...Policy.validateStatementElement(statement, 'Action', 'NotAction', Policy.isValidAction, 'action'));
+
+    // Check Resource / NotResource (exactly one is required)
+    errors.push(...Policy.validateStatementElement(statement, 'Resource', 'NotResource', Policy.isValidResource, 'resource'));
+
+    // Check optional Condition
+    if (statement.Condition && typeof statement.Condition !== 'object') {
+      errors.push('Condition must be an object');
+    } else if (statement.Condition) {
+      errors.push(...ConditionEvaluator.validateConditions(statement.Condition));
     }
 
-    // Check Resource
-    if (!statement.Resource) {
-      errors.push('Resource is required');
-    } else if (typeof statement.Resource === 'string') {
-      // Single resource
-      if (!Policy.isValidResource(statement.Resource)) {
-        errors.push(`Invalid resource: ${statement.Resource}`);
+    // Check policy variables (${aws:username}, ...)
+    errors.push(...PolicyVariables.validateStatement(statement));
+
+    return errors;
+  }
+
+  /**
+   * Validates a statement element that has a negated counterpart (Action/NotAction, Resource/NotResource)
+   * @param {Object} statement - Statement to validate
+   * @param {string} element - Element name (e.g., 'Action')
+   * @param {string} notElement - Negated element name (e.g., 'NotAction')
+   * @param {Function} isValid - Validator for each value
+   * @param {string} label - Label used in error messages
+   * @returns {Array} Array of validation errors
+   */
+  static validateStatementElement(statement, element, notElement, isValid, label) {
+    const errors = [];
+    const hasElement = statement[element] !== undefined;
+    const hasNotElement = statement[notElement] !== undefined;
+
+    if (hasElement && hasNotElement) {
+      errors.push(`${element} and ${notElement} cannot both be specified`);
+      return errors;
+    }
+
+    if (!hasElement && !hasNotElement) {
+      errors.push(`${element} is required`);
+      return errors;
+    }
+
+    const name = hasElement ? element : notElement;
+    const value = statement[name];
+
+    if (typeof value === 'string') {
+      if (!isValid(value)) {
+        errors.push(`Invalid ${label}: ${value}`);
       }
-    } else if (Array.isArray(statement.Resource)) {
-      // Multiple resources
-      statement.Resource.forEach(resource => {
-        if (!Policy.isValidResource(resource)) {
-          errors.push(`Invalid resource: ${resource}`);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => {
+        if (!isValid(item)) {
+          errors.push(`Invalid ${label}: ${item}`);
         }
       });
     } else {
-      errors.push('Resource must be a string or array of strings');
-    }
-
-    // Check optional Condition
-    if (statement.Condition && typeof statement.Condition !== 'object') {
-      errors.push('Condition must be an object');
+      errors.push(`${name} must be a string or array of strings`);
     }
 
     return errors;
@@ -246,6 +282,11 @@ class Policy {
     
     // Allow wildcards
     if (resource === '*') return true;
+
+    // Policy variables are validated separately; check the structure around them
+    if (PolicyVariables.hasVariables(resource)) {
+      return Policy.isValidResource(PolicyVariables.stripVariables(resource));
+    }
     
     // Basic pattern: arn:aws:service:region:account:resource
     // For simplicity, we'll allow any string that looks like an ARN or is a wildcard
@@ -292,6 +333,7 @@ class Policy {
       document: JSON.parse(JSON.stringify(this.document)), // Deep clone
       type: this.type,
       isDefault: this.isDefault,
+      defaultVersionNumber: this.defaultVersionNumber,
       createdAt: this.createdAt,
       updatedAt: new Date()
     });
@@ -311,6 +353,7 @@ class Policy {
       document: this.document,
       type: this.type,
       isDefault: this.isDefault,
+      defaultVersionId: `v${this.defaultVersionNumber}`,
       arn: this.getArn(),
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
@@ -332,6 +375,7 @@ class Policy {
       document: typeof row.policy_document === 'string' ? JSON.parse(row.policy_document) : row.policy_document,
       type: row.policy_type,
       isDefault: false, // Não existe na tabela, usar false como padrão
+      defaultVersionNumber: row.default_version_number,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     });
@@ -0,0 +1,94 @@
+/**
+ * @typedef {Object} PolicyVersionData
+ * @property {string} policyId - Policy this version belongs to
+ * @property {number} versionNumber - Version number (exposed as versionId 'v<number>')
+ * @property {Object} document - Policy document of this version (immutable)
+ * @property {boolean} isDefaultVersion - Whether this is the version the engine evaluates
+ * @property {string|null} createdBy - User who created the version
+ * @property {Date} createdAt - Creation timestamp
+ */
+
+const MAX_POLICY_VERSIONS = 5;
+
+class PolicyVersion {
+  /**
+   * Creates a new PolicyVersion instance
+   * @param {Object} data - Version data
+   * @param {string} data.policyId - Policy ID
+   * @param {number} data.versionNumber - Version number
+   * @param {Object} data.document - Policy document
+   * @param {boolean} [data.isDefaultVersion=false] - Whether this is the default version
+   * @param {string} [data.createdBy] - User who created the version
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.policyId = data.policyId;
+    this.versionNumber = data.versionNumber;
+    this.document = data.document;
+    this.isDefaultVersion = data.isDefaultVersion || false;
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date();
+  }
+
+  /**
+   * Gets the version identifier (e.g., 'v3')
+   * @returns {string} Version ID
+   */
+  get versionId() {
+    return PolicyVersion.toVersionId(this.versionNumber);
+  }
+
+  /**
+   * Formats a version number as a version ID
+   * @param {number} versionNumber - Version number
+   * @returns {string} Version ID (e.g., 'v3')
+   */
+  static toVersionId(versionNumber) {
+    return `v${versionNumber}`;
+  }
+
+  /**
+   * Parses a version ID
+   * @param {string} versionId - Version ID (e.g., 'v3')
+   * @returns {number|null} Version number, or null if the ID is malformed
+   */
+  static parseVersionId(versionId) {
+    const match = typeof versionId === 'string' ? versionId.match(/^v([1-9]\d{0,8})$/) : null;
+    return match ? parseInt(match[1], 10) : null;
+  }
+
+  /**
+   * Returns JSON representation of the version
+   * @returns {Object} Version data
+   */
+  toJSON() {
+    return {
+      policyId: this.policyId,
+      versionId: this.versionId,
+      document: this.document,
+      isDefaultVersion: this.isDefaultVersion,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Creates a PolicyVersion instance from database row
+   * @param {Object} row - Database row (with default_version_number joined from policies)
+   * @returns {PolicyVersion} Version instance
+   */
+  static fromDatabaseRow(row) {
+    return new PolicyVersion({
+      policyId: row.policy_id,
+      versionNumber: row.version_number,
+      document: typeof row.policy_document === 'string' ? JSON.parse(row.policy_document) : row.policy_document,
+      isDefaultVersion: row.version_number === row.default_version_number,
+      createdBy: row.created_by,
+      createdAt: row.created_at
+    });
+  }
+}
+
+PolicyVersion.MAX_POLICY_VERSIONS = MAX_POLICY_VERSIONS;
+
+module.exports = PolicyVersion;
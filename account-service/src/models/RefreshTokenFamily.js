@@ -0,0 +1,108 @@
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * @typedef {Object} RefreshTokenFamilyData
+ * @property {string} id - Family ID (fid claim of its tokens), shown to users as the session ID
+ * @property {string} accountId - Account ID
+ * @property {string} userId - User ID
+ * @property {string|null} clientId - OAuth client the session was issued to (null for direct logins)
+ * @property {string} currentJti - jti of the only refresh token that can still be used
+ * @property {number} generation - Refresh tokens issued in the family (1 at login)
+ * @property {string|null} ipAddress - Client IP at login
+ * @property {string|null} userAgent - Client user agent at login
+ * @property {Date|null} lastUsedAt - Last refresh
+ * @property {string|null} lastIpAddress - Client IP of the last refresh
+ * @property {Date} expiresAt - Expiry of the current refresh token
+ * @property {Date|null} revokedAt - Revocation time
+ * @property {string|null} revokedReason - logout, user_revoked, reuse_detected or security
+ * @property {Date} createdAt - Login time
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class RefreshTokenFamily {
+  /**
+   * Creates a new RefreshTokenFamily instance
+   * @param {Object} data - Family data
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId;
+    this.userId = data.userId;
+    this.clientId = data.clientId || null;
+    this.currentJti = data.currentJti;
+    this.generation = data.generation || 1;
+    this.ipAddress = data.ipAddress || null;
+    this.userAgent = data.userAgent || null;
+    this.lastUsedAt = data.lastUsedAt || null;
+    this.lastIpAddress = data.lastIpAddress || null;
+    this.expiresAt = data.expiresAt;
+    this.revokedAt = data.revokedAt || null;
+    this.revokedReason = data.revokedReason || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Checks if the family can still be refreshed
+   * @returns {boolean} True if not revoked and not expired
+   */
+  isActive() {
+    return !this.revokedAt && new Date(this.expiresAt) > new Date();
+  }
+
+  /**
+   * Returns the session view of the family (without the current jti)
+   * @returns {Object} Session data
+   */
+  toJSON() {
+    return {
+      sessionId: this.id,
+      userId: this.userId,
+      accountId: this.accountId,
+      clientId: this.clientId,
+      createdAt: this.createdAt,
+      lastUsedAt: this.lastUsedAt,
+      expiresAt: this.expiresAt,
+      ipAddress: this.ipAddress,
+      lastIpAddress: this.lastIpAddress,
+      userAgent: this.userAgent,
+      refreshCount: this.generation - 1,
+      revokedAt: this.revokedAt,
+      revokedReason: this.revokedReason
+    };
+  }
+
+  /**
+   * Creates a RefreshTokenFamily instance from database row
+   * @param {Object} row - Database row
+   * @returns {RefreshTokenFamily} Family instance
+   */
+  static fromDatabaseRow(row) {
+    return new RefreshTokenFamily({
+      id: row.id,
+      accountId: row.account_id,
+      userId: row.user_id,
+      clientId: row.client_id,
+      currentJti: row.current_jti,
+      generation: row.generation,
+      ipAddress: row.ip_address,
+      userAgent: row.user_agent,
+      lastUsedAt: row.last_used_at,
+      lastIpAddress: row.last_ip_address,
+      expiresAt: row.expires_at,
+      revokedAt: row.revoked_at,
+      revokedReason: row.revoked_reason,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+RefreshTokenFamily.REVOKED_REASONS = {
+  LOGOUT: 'logout',
+  USER_REVOKED: 'user_revoked',
+  REUSE_DETECTED: 'reuse_detected',
+  SECURITY: 'security'
+};
+
+module.exports = RefreshTokenFamily;
@@ -0,0 +1,138 @@
+const { v4: uuidv4 } = require('uuid');
+const Policy = require('./Policy');
+const { PrincipalMatcher } = require('../utils/PrincipalMatcher');
+
+// arn:partition:service:region:account:resource - no wildcards, the ARN names a single resource
+const RESOURCE_ARN_PATTERN = /^arn:[a-z0-9-]+:[a-zA-Z0-9-]+:[a-zA-Z0-9-]*:[a-zA-Z0-9-]+:[^*?\s]+$/;
+
+/**
+ * @typedef {Object} ResourcePolicyData
+ * @property {string} id - Unique resource policy identifier
+ * @property {string} accountId - Account that owns the resource
+ * @property {string} resourceArn - ARN of the resource the policy is attached to
+ * @property {Object} document - Policy document (every statement has a Principal or NotPrincipal)
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class ResourcePolicy {
+  /**
+   * Creates a new ResourcePolicy instance
+   * @param {Object} data - Resource policy data
+   * @param {string} data.accountId - Owner account ID
+   * @param {string} data.resourceArn - Resource ARN
+   * @param {Object} data.document - Policy document
+   * @param {string} [data.id] - Policy ID (auto-generated if not provided)
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId;
+    this.resourceArn = data.resourceArn;
+    this.document = data.document;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Policy name used in evaluation results
+   * @returns {string} Name derived from the resource ARN
+   */
+  get name() {
+    return `ResourcePolicy(${this.resourceArn})`;
+  }
+
+  /**
+   * Validates resource policy data
+   * @param {Object} data - Data to validate
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!data.resourceArn) {
+      errors.push('Resource ARN is required');
+    } else if (!ResourcePolicy.isValidResourceArn(data.resourceArn)) {
+      errors.push('Resource ARN must be a full ARN without wildcards (arn:aws:service:region:account:resource)');
+    } else if (data.accountId && ResourcePolicy.getResourceAccountId(data.resourceArn) !== data.accountId) {
+      errors.push('Resource ARN must belong to the account that owns the policy');
+    }
+
+    if (!data.document) {
+      errors.push('Policy document is required');
+    } else if (typeof data.document !== 'object') {
+      errors.push('Policy document must be an object');
+    } else {
+      const documentValidation = Policy.validatePolicyDocument(data.document);
+      errors.push(...documentValidation.errors.map(err => `Policy document: ${err}`));
+
+      if (Array.isArray(data.document.Statement)) {
+        data.document.Statement.forEach((statement, index) => {
+          errors.push(...PrincipalMatcher.validateStatement(statement)
+            .map(err => `Policy document: Statement[${index}]: ${err}`));
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Checks if a value is a resource ARN a policy can be attached to
+   * @param {string} arn - ARN to check
+   * @returns {boolean} True if valid
+   */
+  static isValidResourceArn(arn) {
+    return typeof arn === 'string' && arn.length <= 2048 && RESOURCE_ARN_PATTERN.test(arn);
+  }
+
+  /**
+   * Gets the account field of an ARN
+   * @param {string} arn - ARN
+   * @returns {string|null} Account ID, or null if the ARN has none (e.g., '*')
+   */
+  static getResourceAccountId(arn) {
+    if (typeof arn !== 'string' || !arn.startsWith('arn:')) {
+      return null;
+    }
+
+    const accountId = arn.split(':')[4];
+    return accountId && accountId !== '*' ? accountId : null;
+  }
+
+  /**
+   * Returns JSON representation of the resource policy
+   * @returns {Object} Resource policy data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      resourceArn: this.resourceArn,
+      document: this.document,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates a ResourcePolicy instance from database row
+   * @param {Object} row - Database row
+   * @returns {ResourcePolicy} Resource policy instance
+   */
+  static fromDatabaseRow(row) {
+    return new ResourcePolicy({
+      id: row.id,
+      accountId: row.account_id,
+      resourceArn: row.resource_arn,
+      document: typeof row.policy_document === 'string'
+        ? JSON.parse(row.policy_document)
+        : row.policy_document,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+module.exports = ResourcePolicy;
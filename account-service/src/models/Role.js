@@ -1,4 +1,6 @@
 const { v4: uuidv4 } = require('uuid');
+const { ConditionEvaluator } = require('../utils/ConditionEvaluator');
+const { PrincipalMatcher } = require('../utils/PrincipalMatcher');
 
 /**
  * @typedef {Object} RoleData
@@ -166,48 +168,60 @@ class Role {
       errors.push('Effect must be "Allow" or "Deny"');
     }
 
-    // Check Action (must be sts:AssumeRole for assume role policies)
+    // Check Action (must allow one of the assume role actions, federated ones included)
+    const assumeRoleActions = ['sts:AssumeRole', 'sts:AssumeRoleWithWebIdentity', 'sts:AssumeRoleWithSAML', 'sts:*', '*'];
     if (!statement.Action) {
       errors.push('Action is required');
     } else if (typeof statement.Action === 'string') {
-      if (!['sts:AssumeRole', 'sts:*', '*'].includes(statement.Action)) {
-        errors.push('Action must allow sts:AssumeRole');
+      if (!assumeRoleActions.includes(statement.Action)) {
+        errors.push('Action must allow sts:AssumeRole, sts:AssumeRoleWithWebIdentity or sts:AssumeRoleWithSAML');
       }
     } else if (Array.isArray(statement.Action)) {
       const hasAssumeRole = statement.Action.some(action => 
-        ['sts:AssumeRole', 'sts:*', '*'].includes(action)
+        assumeRoleActions.includes(action)
       );
       if (!hasAssumeRole) {
-        errors.push('Action must include sts:AssumeRole');
+        errors.push('Action must include sts:AssumeRole, sts:AssumeRoleWithWebIdentity or sts:AssumeRoleWithSAML');
       }
     } else {
       errors.push('Action must be a string or array of strings');
     }
 
-    // Check Principal
-    if (!statement.Principal) {
+    // Check Principal / NotPrincipal (exactly one is required)
+    if (statement.Principal && statement.NotPrincipal) {
+      errors.push('Principal and NotPrincipal cannot both be specified');
+    } else if (!statement.Principal && !statement.NotPrincipal) {
       errors.push('Principal is required');
-    } else if (typeof statement.Principal !== 'object') {
-      errors.push('Principal must be an object');
     } else {
-      // Validate principal types
-      const validPrincipalTypes = ['AWS', 'Service', 'Federated', 'CanonicalUser'];
-      const principalKeys = Object.keys(statement.Principal);
-      
-      if (principalKeys.length === 0) {
-        errors.push('Principal must have at least one principal type');
-      }
-      
-      principalKeys.forEach(key => {
-        if (!validPrincipalTypes.includes(key)) {
-          errors.push(`Invalid principal type: ${key}`);
+      const elementName = statement.Principal ? 'Principal' : 'NotPrincipal';
+      const principalElement = statement[elementName];
+
+      if (principalElement === '*') {
+        // Anonymous/everyone principal
+      } else if (typeof principalElement !== 'object') {
+        errors.push(`${elementName} must be an object`);
+      } else {
+        // Validate principal types
+        const validPrincipalTypes = ['AWS', 'Service', 'Federated', 'CanonicalUser'];
+        const principalKeys = Object.keys(principalElement);
+
+        if (principalKeys.length === 0) {
+          errors.push(`${elementName} must have at least one principal type`);
         }
-      });
+
+        principalKeys.forEach(key => {
+          if (!validPrincipalTypes.includes(key)) {
+            errors.push(`Invalid principal type: ${key}`);
+          }
+        });
+      }
     }
 
     // Check optional Condition
     if (statement.Condition && typeof statement.Condition !== 'object') {
       errors.push('Condition must be an object');
+    } else if (statement.Condition) {
+      errors.push(...ConditionEvaluator.validateConditions(statement.Condition));
     }
 
     return errors;
@@ -224,83 +238,157 @@ class Role {
 
   /**
    * Checks if a principal can assume this role
-   * @param {Object} principal - Principal information
+   * @param {Object|Array<Object>} principal - Principal identifier(s) ({ type, value })
    * @param {string} principal.type - Principal type (AWS, Service, etc.)
    * @param {string} principal.value - Principal value
    * @param {Object} [context] - Additional context for conditions
+   * @param {string} [action='sts:AssumeRole'] - Trust action (sts:AssumeRole, sts:AssumeRoleWithWebIdentity,
+   *   sts:AssumeRoleWithSAML or sts:TagSession)
    * @returns {boolean} True if principal can assume role
    */
-  canAssumeRole(principal, context = {}) {
+  canAssumeRole(principal, context = {}, action = 'sts:AssumeRole') {
+    return this.evaluateTrustPolicy(principal, context, action).allowed;
+  }
+
+  /**
+   * Evaluates the trust policy for a principal and explains the outcome of each statement
+   * An applicable Deny always wins; a statement whose conditions fail lets the next one be tried
+   * @param {Object|Array<Object>} principal - Principal identifier(s) ({ type, value })
+   * @param {Object} [context] - Additional context for conditions (sts:ExternalId, aws:SourceIp, ...)
+   * @param {string} [action='sts:AssumeRole'] - Trust action (sts:AssumeRole, sts:AssumeRoleWithWebIdentity,
+   *   sts:AssumeRoleWithSAML or sts:TagSession)
+   * @returns {Object} { allowed, reason, statements: [{ index, sid, effect, result, failedConditions? }] }
+   */
+  evaluateTrustPolicy(principal, context = {}, action = 'sts:AssumeRole') {
     const document = this.assumeRolePolicyDocument;
-    
-    if (!document.Statement || !Array.isArray(document.Statement)) {
-      return false;
+
+    if (!document || !document.Statement || !Array.isArray(document.Statement)) {
+      return { allowed: false, reason: 'Role has no valid trust policy', statements: [] };
     }
 
-    // Check each statement
-    for (const statement of document.Statement) {
-      if (statement.Effect === 'Allow' && this.principalMatches(statement.Principal, principal)) {
-        // Check conditions if present
-        if (statement.Condition) {
-          return this.evaluateConditions(statement.Condition, context);
-        }
-        return true;
+    const statements = document.Statement.map((statement, index) => {
+      const outcome = { index, sid: statement.Sid || null, effect: statement.Effect };
+
+      if (!this.statementCoversAction(statement, action)) {
+        return { ...outcome, result: 'ActionNotMatched' };
       }
+
+      if (!this.statementAppliesToPrincipal(statement, principal)) {
+        return { ...outcome, result: 'PrincipalNotMatched' };
+      }
+
+      if (statement.Condition && !this.evaluateConditions(statement.Condition, context)) {
+        return {
+          ...outcome,
+          result: 'ConditionFailed',
+          failedConditions: ConditionEvaluator.findFailedConditions(statement.Condition, context)
+        };
+      }
+
+      return { ...outcome, result: statement.Effect === 'Deny' ? 'ExplicitDeny' : 'Allowed' };
+    });
+
+    const denyStatement = statements.find(statement => statement.result === 'ExplicitDeny');
+    if (denyStatement) {
+      return {
+        allowed: false,
+        reason: `Explicitly denied by trust policy statement ${this.describeStatement(denyStatement)}`,
+        statements
+      };
     }
 
-    return false;
+    if (statements.some(statement => statement.result === 'Allowed')) {
+      return { allowed: true, reason: 'Allowed by trust policy', statements };
+    }
+
+    const failedStatement = statements.find(statement => statement.effect === 'Allow' && statement.result === 'ConditionFailed');
+    if (failedStatement) {
+      const keys = failedStatement.failedConditions.map(({ operator, key }) => key ? `${operator}:${key}` : operator);
+      return {
+        allowed: false,
+        reason: `Conditions of trust policy statement ${this.describeStatement(failedStatement)} not met (${keys.join(', ')})`,
+        statements
+      };
+    }
+
+    return { allowed: false, reason: `Principal is not trusted for ${action} by any trust policy statement`, statements };
   }
 
   /**
-   * Checks if a principal matches the statement principal
-   * @param {Object} statementPrincipal - Principal from policy statement
-   * @param {Object} principal - Principal to check
-   * @returns {boolean} True if matches
+   * Checks if a trust policy statement covers an action (wildcards allowed, case-insensitive)
+   * @param {Object} statement - Trust policy statement
+   * @param {string} action - Action to check
+   * @returns {boolean} True if the statement Action matches
    */
-  principalMatches(statementPrincipal, principal) {
-    if (!statementPrincipal || !principal) return false;
+  statementCoversAction(statement, action) {
+    return ConditionEvaluator.toArray(statement.Action)
+      .some(pattern => ConditionEvaluator.matchesWildcard(action, String(pattern), true));
+  }
 
-    const principalType = principal.type;
-    const principalValue = principal.value;
+  /**
+   * Checks if the trust policy statements that apply to a principal condition on sts:ExternalId
+   * @param {Object|Array<Object>} principal - Principal identifier(s) ({ type, value })
+   * @returns {boolean} True if an ExternalId must be provided
+   */
+  requiresExternalId(principal) {
+    const document = this.assumeRolePolicyDocument;
+    if (!document || !Array.isArray(document.Statement)) {
+      return false;
+    }
 
-    if (!statementPrincipal[principalType]) return false;
+    return document.Statement.some(statement =>
+      statement.Effect === 'Allow' &&
+      statement.Condition &&
+      this.statementAppliesToPrincipal(statement, principal) &&
+      Object.values(statement.Condition).some(block =>
+        block && typeof block === 'object' &&
+        Object.keys(block).some(key => key.toLowerCase() === 'sts:externalid')
+      )
+    );
+  }
 
-    const allowedPrincipals = Array.isArray(statementPrincipal[principalType]) 
-      ? statementPrincipal[principalType] 
-      : [statementPrincipal[principalType]];
+  /**
+   * Describes a trust policy statement for error messages (Sid if present, index otherwise)
+   * @param {Object} statement - Statement outcome ({ index, sid })
+   * @returns {string} Description
+   */
+  describeStatement(statement) {
+    return statement.sid ? `"${statement.sid}"` : `#${statement.index}`;
+  }
 
-    return allowedPrincipals.some(allowed => {
-      if (allowed === '*') return true;
-      
-      // For AWS principals, support wildcards in account IDs
-      if (principalType === 'AWS') {
-        const regex = new RegExp('^' + allowed.replace(/\*/g, '.*') + '$');
-        return regex.test(principalValue);
-      }
-      
-      return allowed === principalValue;
-    });
+  /**
+   * Checks if a trust policy statement applies to a principal
+   * NotPrincipal applies the statement to every principal except the listed ones
+   * @param {Object} statement - Trust policy statement
+   * @param {Object|Array<Object>} principal - Principal identifier(s) to check
+   * @returns {boolean} True if the statement applies
+   */
+  statementAppliesToPrincipal(statement, principal) {
+    if (statement.NotPrincipal) {
+      return !this.principalMatches(statement.NotPrincipal, principal);
+    }
+    return this.principalMatches(statement.Principal, principal);
+  }
+
+  /**
+   * Checks if a principal matches the statement principal
+   * @param {Object} statementPrincipal - Principal from policy statement
+   * @param {Object|Array<Object>} principal - Principal identifier(s) to check
+   * @returns {boolean} True if matches
+   */
+  principalMatches(statementPrincipal, principal) {
+    if (!principal) return false;
+    return PrincipalMatcher.matches(statementPrincipal, Array.isArray(principal) ? principal : [principal]);
   }
 
   /**
-   * Simple condition evaluation (can be extended)
+   * Evaluates trust policy conditions using the same operator semantics as identity policies
    * @param {Object} conditions - Conditions to evaluate
    * @param {Object} context - Context values
    * @returns {boolean} True if conditions pass
    */
   evaluateConditions(conditions, context) {
-    // Simplified condition evaluation
-    for (const [conditionType, conditionBlock] of Object.entries(conditions)) {
-      if (conditionType === 'StringEquals') {
-        for (const [key, expectedValue] of Object.entries(conditionBlock)) {
-          if (context[key] !== expectedValue) {
-            return false;
-          }
-        }
-      }
-      // Add more condition types as needed
-    }
-    return true;
+    return ConditionEvaluator.evaluateConditions(conditions, context || {});
   }
 
   /**
@@ -14,6 +14,18 @@ const crypto = require('crypto');
  * @property {Date} assumedAt - When the role was assumed
  * @property {Date} expiresAt - When the session expires
  * @property {string} sessionTokenHash - Hash of the session token
+ * @property {string} [accessKeyId] - Temporary access key ID (ASIA...) that signs the session requests
+ * @property {string} [encryptedSecret] - Encrypted temporary secret access key (never returned by toJSON)
+ * @property {Object} [sessionPolicy] - Session policy document narrowing the role permissions
+ * @property {Array<string>} sessionPolicyArns - Managed policies used as session policies
+ * @property {Array<Object>} sessionTags - Session tags ({ key, value })
+ * @property {Array<string>} transitiveTagKeys - Tag keys passed on to chained role sessions
+ * @property {string} [parentSessionId] - Role session this role was assumed from (role chaining)
+ * @property {Array<string>} sessionChain - Ids of the sessions up the chain, oldest first
+ * @property {string} [sourceIdentity] - Source identity, inherited through the chain
+ * @property {string} [sourceAccountId] - Account of the user that started the chain
+ * @property {string} [federatedProviderArn] - Identity provider of a federated session (AssumeRoleWithWebIdentity/SAML)
+ * @property {string} [federatedSubject] - Subject of the federated identity (sub claim or NameID)
  * @property {boolean} isActive - Whether the session is active
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
@@ -32,6 +44,18 @@ class RoleSession {
    * @param {string} [data.userAgent] - User agent
    * @param {Date} [data.expiresAt] - Expiration time
    * @param {string} [data.sessionTokenHash] - Session token hash
+   * @param {string} [data.accessKeyId] - Temporary access key ID
+   * @param {string} [data.encryptedSecret] - Encrypted temporary secret access key
+   * @param {Object} [data.sessionPolicy] - Session policy document
+   * @param {Array<string>} [data.sessionPolicyArns] - Managed session policy ARNs
+   * @param {Array<Object>} [data.sessionTags] - Session tags ({ key, value })
+   * @param {Array<string>} [data.transitiveTagKeys] - Transitive tag keys
+   * @param {string} [data.parentSessionId] - Parent role session ID
+   * @param {Array<string>} [data.sessionChain] - Ids of the sessions up the chain
+   * @param {string} [data.sourceIdentity] - Source identity
+   * @param {string} [data.sourceAccountId] - Account of the user that started the chain
+   * @param {string} [data.federatedProviderArn] - Identity provider of a federated session
+   * @param {string} [data.federatedSubject] - Subject of the federated identity
    * @param {boolean} [data.isActive=true] - Whether session is active
    * @param {string} [data.id] - Session ID (auto-generated if not provided)
    * @param {Date} [data.assumedAt] - Assumption time (auto-generated if not provided)
@@ -52,6 +76,18 @@ class RoleSession {
     this.assumedAt = data.assumedAt || new Date();
     this.expiresAt = data.expiresAt; // Don't set default to allow validation
     this.sessionTokenHash = data.sessionTokenHash || (typeof crypto !== 'undefined' ? this.generateTokenHash() : null);
+    this.accessKeyId = data.accessKeyId || null;
+    this.encryptedSecret = data.encryptedSecret || null;
+    this.sessionPolicy = data.sessionPolicy || null;
+    this.sessionPolicyArns = data.sessionPolicyArns || [];
+    this.sessionTags = data.sessionTags || [];
+    this.transitiveTagKeys = data.transitiveTagKeys || [];
+    this.parentSessionId = data.parentSessionId || null;
+    this.sessionChain = data.sessionChain || [];
+    this.sourceIdentity = data.sourceIdentity || null;
+    this.sourceAccountId = data.sourceAccountId || null;
+    this.federatedProviderArn = data.federatedProviderArn || null;
+    this.federatedSubject = data.federatedSubject || null;
     this.isActive = data.isActive !== undefined ? data.isActive : true;
     this.createdAt = data.createdAt; // Don't auto-generate if not provided
     this.updatedAt = data.updatedAt || new Date();
@@ -120,6 +156,78 @@ class RoleSession {
     return data;
   }
 
+  /**
+   * Validates session tags and transitive tag keys passed to AssumeRole
+   * @param {Array<Object>} tags - Session tags ({ key, value })
+   * @param {Array<string>} [transitiveTagKeys] - Keys of tags passed on to chained sessions
+   * @returns {Array<string>} Validation errors
+   */
+  static validateSessionTags(tags, transitiveTagKeys = []) {
+    const errors = [];
+
+    if (!Array.isArray(tags)) {
+      return ['Tags must be an array'];
+    }
+
+    if (tags.length > RoleSession.MAX_SESSION_TAGS) {
+      errors.push(`A session can have at most ${RoleSession.MAX_SESSION_TAGS} tags`);
+    }
+
+    const keys = new Set();
+    tags.forEach((tag, index) => {
+      if (!tag || typeof tag.key !== 'string' || !/^[\p{L}\p{Z}\p{N}_.:/=+\-@]{1,128}$/u.test(tag.key)) {
+        errors.push(`Tag ${index}: key must be 1-128 letters, digits, spaces or _.:/=+-@`);
+        return;
+      }
+      if (typeof tag.value !== 'string' || tag.value.length > 256) {
+        errors.push(`Tag ${tag.key}: value must be a string of at most 256 characters`);
+      }
+      // Tag keys are case-insensitive
+      if (keys.has(tag.key.toLowerCase())) {
+        errors.push(`Tag ${tag.key}: duplicate key`);
+      }
+      keys.add(tag.key.toLowerCase());
+    });
+
+    if (!Array.isArray(transitiveTagKeys)) {
+      errors.push('Transitive tag keys must be an array');
+    } else {
+      transitiveTagKeys
+        .filter(key => typeof key !== 'string' || !keys.has(key.toLowerCase()))
+        .forEach(key => errors.push(`Transitive tag key ${key} is not one of the session tags`));
+    }
+
+    return errors;
+  }
+
+  /**
+   * Gets the tags of this session that are passed on when it assumes another role
+   * @returns {Array<Object>} Transitive tags ({ key, value })
+   */
+  getTransitiveTags() {
+    return RoleSession.selectTransitiveTags(this.sessionTags, this.transitiveTagKeys);
+  }
+
+  /**
+   * Selects the tags whose keys are transitive (keys compare case-insensitively)
+   * @param {Array<Object>} [tags] - Session tags ({ key, value })
+   * @param {Array<string>} [transitiveTagKeys] - Transitive tag keys
+   * @returns {Array<Object>} Transitive tags
+   */
+  static selectTransitiveTags(tags = [], transitiveTagKeys = []) {
+    const transitiveKeys = transitiveTagKeys.map(key => key.toLowerCase());
+    return tags.filter(tag => transitiveKeys.includes(tag.key.toLowerCase()));
+  }
+
+  /**
+   * Parses a JSONB column (pg returns objects, but raw strings are accepted too)
+   * @param {*} value - Column value
+   * @returns {*} Parsed value
+   */
+  static parseJsonColumn(value) {
+    return typeof value === 'string' ? JSON.parse(value) : value;
+  }
+
   /**
    * Generates a session token hash
    * @returns {string} Token hash
@@ -206,6 +314,18 @@ class RoleSession {
       assumedAt: this.assumedAt,
       expiresAt: this.expiresAt,
       sessionTokenHash: this.sessionTokenHash,
+      accessKeyId: this.accessKeyId,
+      encryptedSecret: this.encryptedSecret,
+      sessionPolicy: this.sessionPolicy,
+      sessionPolicyArns: this.sessionPolicyArns,
+      sessionTags: this.sessionTags,
+      transitiveTagKeys: this.transitiveTagKeys,
+      parentSessionId: this.parentSessionId,
+      sessionChain: this.sessionChain,
+      sourceIdentity: this.sourceIdentity,
+      sourceAccountId: this.sourceAccountId,
+      federatedProviderArn: this.federatedProviderArn,
+      federatedSubject: this.federatedSubject,
       isActive: this.isActive,
       createdAt: this.createdAt,
       updatedAt: new Date()
@@ -230,6 +350,21 @@ class RoleSession {
       roleId: this.roleId,
       assumedBy: this.assumedBy || this.userId,
       sessionName: this.sessionName,
+      sourceIp: this.sourceIp,
+      userAgent: this.userAgent,
+      lineage: {
+        sourceIdentity: this.sourceIdentity,
+        sourceUserId: this.userId,
+        sourceAccountId: this.sourceAccountId,
+        parentSessionId: this.parentSessionId,
+        sessionChain: this.sessionChain
+      },
+      ...(this.federatedProviderArn && {
+        federatedUser: {
+          providerArn: this.federatedProviderArn,
+          subject: this.federatedSubject
+        }
+      }),
       expiresAt: this.expiresAt ? this.expiresAt.toISOString() : null,
       createdAt: this.createdAt ? this.createdAt.toISOString() : null
     };
@@ -253,6 +388,18 @@ class RoleSession {
       assumedAt: row.assumed_at,
       expiresAt: row.expires_at,
       sessionTokenHash: row.session_token_hash,
+      accessKeyId: row.access_key_id,
+      encryptedSecret: row.encrypted_secret,
+      sessionPolicy: RoleSession.parseJsonColumn(row.session_policy),
+      sessionPolicyArns: RoleSession.parseJsonColumn(row.session_policy_arns),
+      sessionTags: RoleSession.parseJsonColumn(row.session_tags),
+      transitiveTagKeys: RoleSession.parseJsonColumn(row.transitive_tag_keys),
+      parentSessionId: row.parent_session_id,
+      sessionChain: RoleSession.parseJsonColumn(row.session_chain),
+      sourceIdentity: row.source_identity,
+      sourceAccountId: row.source_account_id,
+      federatedProviderArn: row.federated_provider_arn,
+      federatedSubject: row.federated_subject,
       isActive: row.is_active,
       createdAt: row.created_at,
       updatedAt: row.updated_at
@@ -375,6 +522,18 @@ class RoleSession {
     session.assumedAt = data.assumedAt;
     session.expiresAt = data.expiresAt;
     session.sessionTokenHash = data.sessionTokenHash;
+    session.accessKeyId = data.accessKeyId || null;
+    session.encryptedSecret = data.encryptedSecret || null;
+    session.sessionPolicy = data.sessionPolicy || null;
+    session.sessionPolicyArns = data.sessionPolicyArns || [];
+    session.sessionTags = data.sessionTags || [];
+    session.transitiveTagKeys = data.transitiveTagKeys || [];
+    session.parentSessionId = data.parentSessionId || null;
+    session.sessionChain = data.sessionChain || [];
+    session.sourceIdentity = data.sourceIdentity || null;
+    session.sourceAccountId = data.sourceAccountId || null;
+    session.federatedProviderArn = data.federatedProviderArn || null;
+    session.federatedSubject = data.federatedSubject || null;
     session.isActive = data.isActive !== undefined ? data.isActive : true;
     session.createdAt = data.createdAt;
     session.updatedAt = data.updatedAt;
@@ -383,4 +542,9 @@ class RoleSession {
   }
 }
 
+RoleSession.MAX_SESSION_TAGS = 50;
+
+// Sessions assumed from another role session are capped at one hour
+RoleSession.MAX_CHAINED_SESSION_DURATION = 3600;
+
 module.exports = RoleSession;
@@ -0,0 +1,84 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+const TOKEN_PREFIX = 'scim_';
+
+/**
+ * @typedef {Object} ScimTokenData
+ * @property {string} id - Token ID
+ * @property {string} accountId - Account provisioned with the token (one token per account)
+ * @property {string} tokenHash - SHA-256 of the bearer token (the token itself is never stored)
+ * @property {string} tokenPrefix - First characters of the token, to tell tokens apart
+ * @property {string|null} createdBy - User who created the token
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date|null} lastUsedAt - Last SCIM request made with the token
+ */
+
+class ScimToken {
+  /**
+   * Creates a new ScimToken instance
+   * @param {Object} data - Token data
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.accountId = data.accountId;
+    this.tokenHash = data.tokenHash;
+    this.tokenPrefix = data.tokenPrefix;
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt || new Date();
+    this.lastUsedAt = data.lastUsedAt || null;
+  }
+
+  /**
+   * Generates a bearer token
+   * @returns {string} Token (scim_ followed by 256 random bits in base64url)
+   */
+  static generateToken() {
+    return `${TOKEN_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+  }
+
+  /**
+   * Hashes a bearer token for storage and lookup (tokens are random, so a plain SHA-256 is enough)
+   * @param {string} token - Bearer token
+   * @returns {string} Hex digest
+   */
+  static hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+
+  /**
+   * Returns JSON representation of the token (without the hash)
+   * @returns {Object} Token data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      accountId: this.accountId,
+      tokenPrefix: this.tokenPrefix,
+      createdBy: this.createdBy,
+      createdAt: this.createdAt,
+      lastUsedAt: this.lastUsedAt
+    };
+  }
+
+  /**
+   * Creates a ScimToken from database row data
+   * @param {Object} row - Database row data
+   * @returns {ScimToken} Token instance
+   */
+  static fromDatabaseRow(row) {
+    return new ScimToken({
+      id: row.id,
+      accountId: row.account_id,
+      tokenHash: row.token_hash,
+      tokenPrefix: row.token_prefix,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      lastUsedAt: row.last_used_at
+    });
+  }
+}
+
+ScimToken.PREFIX_LENGTH = TOKEN_PREFIX.length + 6;
+
+module.exports = ScimToken;
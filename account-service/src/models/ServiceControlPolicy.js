@@ -0,0 +1,140 @@
+const { v4: uuidv4 } = require('uuid');
+const Policy = require('./Policy');
+
+const TARGET_TYPES = ['account', 'organizational_unit'];
+
+/**
+ * @typedef {Object} ServiceControlPolicyData
+ * @property {string} id - Unique SCP identifier
+ * @property {string} managementAccountId - Management account that owns the SCP
+ * @property {string} targetType - What the SCP is attached to ('account' or 'organizational_unit')
+ * @property {string} targetId - Account or OU ID
+ * @property {string} name - SCP name
+ * @property {string} description - SCP description
+ * @property {Object} document - Policy document (same grammar as identity policies)
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class ServiceControlPolicy {
+  /**
+   * Creates a new ServiceControlPolicy instance
+   * @param {Object} data - SCP data
+   * @param {string} data.managementAccountId - Management account ID
+   * @param {string} data.targetType - Target type ('account' or 'organizational_unit')
+   * @param {string} data.targetId - Target ID
+   * @param {string} data.name - SCP name
+   * @param {Object} data.document - Policy document
+   * @param {string} [data.description] - SCP description
+   * @param {string} [data.id] - SCP ID (auto-generated if not provided)
+   * @param {Date} [data.createdAt] - Creation date (auto-generated if not provided)
+   * @param {Date} [data.updatedAt] - Update date (auto-generated if not provided)
+   */
+  constructor(data) {
+    this.id = data.id || uuidv4();
+    this.managementAccountId = data.managementAccountId;
+    this.targetType = data.targetType;
+    this.targetId = data.targetId;
+    this.name = data.name;
+    this.description = data.description || '';
+    this.document = data.document;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Validates SCP data
+   * @param {Object} data - Data to validate
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(data) {
+    const errors = [];
+
+    if (!TARGET_TYPES.includes(data.targetType)) {
+      errors.push(`Target type must be one of: ${TARGET_TYPES.join(', ')}`);
+    }
+
+    if (!data.targetId) {
+      errors.push('Target ID is required');
+    }
+
+    if (!data.name) {
+      errors.push('Policy name is required');
+    } else if (typeof data.name !== 'string') {
+      errors.push('Policy name must be a string');
+    } else if (data.name.length > 128) {
+      errors.push('Policy name must be between 1 and 128 characters');
+    } else if (!/^[a-zA-Z0-9+=,.@\-_]+$/.test(data.name)) {
+      errors.push('Policy name contains invalid characters');
+    }
+
+    if (data.description && typeof data.description !== 'string') {
+      errors.push('Description must be a string');
+    } else if (data.description && data.description.length > 1000) {
+      errors.push('Description must be 1000 characters or less');
+    }
+
+    if (!data.document) {
+      errors.push('Policy document is required');
+    } else if (typeof data.document !== 'object') {
+      errors.push('Policy document must be an object');
+    } else {
+      const documentValidation = Policy.validatePolicyDocument(data.document);
+      if (!documentValidation.isValid) {
+        errors.push(...documentValidation.errors.map(err => `Policy document: ${err}`));
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Gets the ARN for this SCP
+   * @returns {string} SCP ARN
+   */
+  getArn() {
+    return `arn:aws:organizations::${this.managementAccountId}:policy/service_control_policy/${this.id}`;
+  }
+
+  /**
+   * Returns JSON representation of the SCP
+   * @returns {Object} SCP data
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      managementAccountId: this.managementAccountId,
+      targetType: this.targetType,
+      targetId: this.targetId,
+      name: this.name,
+      description: this.description,
+      document: this.document,
+      arn: this.getArn(),
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt
+    };
+  }
+
+  /**
+   * Creates a ServiceControlPolicy instance from database row
+   * @param {Object} row - Database row
+   * @returns {ServiceControlPolicy} SCP instance
+   */
+  static fromDatabaseRow(row) {
+    return new ServiceControlPolicy({
+      id: row.id,
+      managementAccountId: row.management_account_id,
+      targetType: row.target_type,
+      targetId: row.target_id,
+      name: row.name,
+      description: row.description,
+      document: typeof row.policy_document === 'string' ? JSON.parse(row.policy_document) : row.policy_document,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+ServiceControlPolicy.TARGET_TYPES = TARGET_TYPES;
+
+module.exports = ServiceControlPolicy;
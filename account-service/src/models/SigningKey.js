@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+
+/**
+ * @typedef {Object} SigningKeyData
+ * @property {string} kid - Key ID (kid header of the tokens it signs)
+ * @property {string} algorithm - RS256 or ES256
+ * @property {string} publicKey - Public key (PEM)
+ * @property {string} privateKeyEncrypted - Private key (PEM) encrypted with SecretCipher
+ * @property {string} status - active or retired
+ * @property {Date|null} retiredAt - When the key stopped signing
+ * @property {Date|null} verifyUntil - End of the grace period of a retired key
+ * @property {Date} createdAt - Creation timestamp
+ * @property {Date} updatedAt - Last update timestamp
+ */
+
+class SigningKey {
+  /**
+   * Creates a new SigningKey instance
+   * @param {Object} data - Key data
+   */
+  constructor(data) {
+    this.kid = data.kid;
+    this.algorithm = data.algorithm;
+    this.publicKey = data.publicKey;
+    this.privateKeyEncrypted = data.privateKeyEncrypted;
+    this.status = data.status || SigningKey.STATUSES.ACTIVE;
+    this.retiredAt = data.retiredAt || null;
+    this.verifyUntil = data.verifyUntil || null;
+    this.createdAt = data.createdAt || new Date();
+    this.updatedAt = data.updatedAt || new Date();
+  }
+
+  /**
+   * Checks if the key signs new tokens
+   * @returns {boolean} True if active
+   */
+  isActive() {
+    return this.status === SigningKey.STATUSES.ACTIVE;
+  }
+
+  /**
+   * Checks if tokens signed with the key are still accepted
+   * @param {Date} [now] - Reference time
+   * @returns {boolean} True if active or retired within its grace period
+   */
+  canVerify(now = new Date()) {
+    return this.isActive() || (this.verifyUntil !== null && new Date(this.verifyUntil) > now);
+  }
+
+  /**
+   * Returns the public key as a JSON Web Key (RFC 7517)
+   * @returns {Object} JWK with kid, alg and use
+   */
+  toJwk() {
+    const jwk = crypto.createPublicKey(this.publicKey).export({ format: 'jwk' });
+    return { ...jwk, kid: this.kid, alg: this.algorithm, use: 'sig' };
+  }
+
+  /**
+   * Returns the key metadata (without the private key)
+   * @returns {Object} Key data
+   */
+  toJSON() {
+    return {
+      kid: this.kid,
+      algorithm: this.algorithm,
+      status: this.status,
+      retiredAt: this.retiredAt,
+      verifyUntil: this.verifyUntil,
+      createdAt: this.createdAt
+    };
+  }
+
+  /**
+   * Creates a SigningKey instance from database row
+   * @param {Object} row - Database row
+   * @returns {SigningKey} Key instance
+   */
+  static fromDatabaseRow(row) {
+    return new SigningKey({
+      kid: row.kid,
+      algorithm: row.algorithm,
+      publicKey: row.public_key,
+      privateKeyEncrypted: row.private_key_encrypted,
+      status: row.status,
+      retiredAt: row.retired_at,
+      verifyUntil: row.verify_until,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+}
+
+SigningKey.ALGORITHMS = ['RS256', 'ES256'];
+
+SigningKey.STATUSES = {
+  ACTIVE: 'active',
+  RETIRED: 'retired'
+};
+
+module.exports = SigningKey;
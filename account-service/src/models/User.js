@@ -9,6 +9,10 @@ const { v4: uuidv4 } = require('uuid');
  * @property {string} passwordHash - Hashed password
  * @property {boolean} isRoot - Whether this is the root user
  * @property {string} status - User status (active, suspended, deleted)
+ * @property {Date|null} passwordChangedAt - Last password change (password age for the password policy)
+ * @property {boolean} passwordResetRequired - The user must set a new password at the next login
+ * @property {string|null} externalId - Identifier of the user in the provisioning source (SCIM)
+ * @property {Object|null} profile - Directory attributes of IAM users set by SCIM (displayName, name, emails)
  * @property {Date} createdAt - Creation timestamp
  * @property {Date} updatedAt - Last update timestamp
  */
@@ -42,6 +46,10 @@ class User {
     }
     
     this.status = data.status || 'active';
+    this.passwordChangedAt = data.passwordChangedAt || null;
+    this.passwordResetRequired = Boolean(data.passwordResetRequired);
+    this.externalId = data.externalId || null;
+    this.profile = data.profile || null;
     this.createdAt = data.createdAt || new Date();
     this.updatedAt = data.updatedAt || new Date();
   }
@@ -139,6 +147,8 @@ class User {
       isRoot: this.isRoot,
       status: this.status,
       arn: this.getArn(),
+      passwordChangedAt: this.passwordChangedAt,
+      passwordResetRequired: this.passwordResetRequired,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt
     };
@@ -148,6 +158,14 @@ class User {
       result.email = this.email;
     }
 
+    if (this.externalId) {
+      result.externalId = this.externalId;
+    }
+
+    if (this.profile) {
+      result.profile = this.profile;
+    }
+
     // Include firstName and lastName only for root users
     if (this.isRoot) {
       if (this.firstName) {
@@ -0,0 +1,153 @@
+const AccessKey = require('../models/AccessKey');
+
+class PostgreSQLAccessKeyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Finds the access keys of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<AccessKey>>} Access keys (oldest first)
+   */
+  async findByUserId(userId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT * FROM access_keys WHERE user_id = $1 AND account_id = $2 ORDER BY created_at ASC',
+      [userId, accountId]
+    );
+
+    return result.rows.map(row => AccessKey.fromDatabaseRow(row));
+  }
+
+  /**
+   * Finds an access key by its public key ID
+   * @param {string} accessKeyId - Access key ID (AKIA...)
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<AccessKey|null>} Access key or null
+   */
+  async findByAccessKeyId(accessKeyId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT * FROM access_keys WHERE access_key_id = $1',
+      [accessKeyId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return AccessKey.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Locks the user row so concurrent key creations are serialized (per-user key limit)
+   * Must be called inside a transaction
+   * @param {string} userId - User ID
+   * @param {Object} client - Transaction client
+   * @returns {Promise<boolean>} True if the user exists
+   */
+  async lockUserKeys(userId, client) {
+    const result = await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+    return result.rows.length > 0;
+  }
+
+  /**
+   * Creates an access key
+   * @param {AccessKey} accessKey - Access key
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<AccessKey>} Created access key
+   */
+  async create(accessKey, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      INSERT INTO access_keys (id, account_id, user_id, access_key_id, encrypted_secret, status, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING *
+    `;
+
+    const values = [
+      accessKey.id,
+      accessKey.accountId,
+      accessKey.userId,
+      accessKey.accessKeyId,
+      accessKey.encryptedSecret,
+      accessKey.status,
+      accessKey.createdAt,
+      accessKey.updatedAt
+    ];
+
+    const result = await dbClient.query(query, values);
+    return AccessKey.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Changes the status of an access key of a user
+   * @param {string} accessKeyId - Access key ID
+   * @param {string} userId - Owner user ID
+   * @param {string} accountId - Account ID
+   * @param {string} status - 'Active' or 'Inactive'
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<AccessKey|null>} Updated access key or null if not found
+   */
+  async updateStatus(accessKeyId, userId, accountId, status, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `UPDATE access_keys SET status = $4, updated_at = CURRENT_TIMESTAMP
+       WHERE access_key_id = $1 AND user_id = $2 AND account_id = $3
+       RETURNING *`,
+      [accessKeyId, userId, accountId, status]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return AccessKey.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes an access key of a user
+   * @param {string} accessKeyId - Access key ID
+   * @param {string} userId - Owner user ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(accessKeyId, userId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'DELETE FROM access_keys WHERE access_key_id = $1 AND user_id = $2 AND account_id = $3',
+      [accessKeyId, userId, accountId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Records the last use of an access key
+   * @param {string} accessKeyId - Access key ID
+   * @param {Object} usage - { service, region, sourceIp }
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<void>}
+   */
+  async recordUsage(accessKeyId, usage, client = null) {
+    const dbClient = client || this.pool;
+
+    await dbClient.query(
+      `UPDATE access_keys
+       SET last_used_at = CURRENT_TIMESTAMP, last_used_service = $2, last_used_region = $3, last_used_ip = $4
+       WHERE access_key_id = $1`,
+      [accessKeyId, usage.service || null, usage.region || null, usage.sourceIp || null]
+    );
+  }
+}
+
+module.exports = PostgreSQLAccessKeyRepository;
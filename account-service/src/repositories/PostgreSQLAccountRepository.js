@@ -174,6 +174,7 @@ class PostgreSQLAccountRepository {
       name: row.name,
       email: row.email,
       status: row.status,
+      organizationalUnitId: row.organizational_unit_id,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     });
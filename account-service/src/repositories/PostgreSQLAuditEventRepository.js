@@ -0,0 +1,163 @@
+const AuditEvent = require('../models/AuditEvent');
+
+// Events without an account are chained under this key
+const NO_ACCOUNT_CHAIN = '00000000-0000-0000-0000-000000000000';
+const CHAIN_KEY = `COALESCE(account_id, '${NO_ACCOUNT_CHAIN}'::uuid)`;
+
+// Actor attributes matched by the actor filter
+const ACTOR_FILTER_KEYS = ['userId', 'username', 'arn', 'accessKeyId', 'clientId', 'tokenId'];
+
+/**
+ * PostgreSQL repository for the audit trail (append-only, hash-chained per account)
+ */
+class PostgreSQLAuditEventRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Appends an event to the chain of its account
+   * Appends to the same chain are serialized, so every event is linked to the one stored before it
+   * @param {AuditEvent} event - Event (sequence and hashes are set here)
+   * @returns {Promise<AuditEvent>} Stored event
+   */
+  async append(event) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`audit_events:${event.accountId || NO_ACCOUNT_CHAIN}`]);
+
+      const last = await client.query(
+        `SELECT sequence, hash FROM audit_events
+         WHERE ${CHAIN_KEY} = COALESCE($1::uuid, '${NO_ACCOUNT_CHAIN}'::uuid)
+         ORDER BY sequence DESC
+         LIMIT 1`,
+        [event.accountId]
+      );
+      event.chainTo(last.rows[0] || null);
+
+      const result = await client.query(
+        `INSERT INTO audit_events (
+           id, account_id, sequence, event_time, action, resource, actor, source_ip, user_agent,
+           request_method, request_path, request_parameters, response_status, decision, decision_reason,
+           previous_hash, hash
+         )
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+         RETURNING *`,
+        [
+          event.id,
+          event.accountId,
+          event.sequence,
+          event.eventTime,
+          event.action,
+          event.resource,
+          JSON.stringify(event.actor),
+          event.sourceIp,
+          event.userAgent,
+          event.requestMethod,
+          event.requestPath,
+          JSON.stringify(event.requestParameters),
+          event.responseStatus,
+          event.decision,
+          event.decisionReason,
+          event.previousHash,
+          event.hash
+        ]
+      );
+
+      await client.query('COMMIT');
+      return AuditEvent.fromDatabaseRow(result.rows[0]);
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Finds the events of an account, newest first
+   * @param {string} accountId - Account ID
+   * @param {Object} [filters] - Filters
+   * @param {Date} [filters.startTime] - Events at or after this time
+   * @param {Date} [filters.endTime] - Events at or before this time
+   * @param {string} [filters.actor] - User ID, username, ARN, access key ID, OAuth client ID or SCIM token ID of the actor
+   * @param {string} [filters.action] - Action
+   * @param {string} [filters.resource] - Resource ARN (a trailing * matches a prefix)
+   * @param {string} [filters.decision] - Allow or Deny
+   * @param {number} [filters.beforeSequence] - Only events before this position (cursor)
+   * @param {number} [filters.limit=50] - Maximum number of events
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Array<AuditEvent>>} Events
+   */
+  async find(accountId, filters = {}, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const conditions = ['account_id = $1'];
+    const params = [accountId];
+    const addCondition = (condition, value) => {
+      params.push(value);
+      conditions.push(condition.replace(/\?/g, `$${params.length}`));
+    };
+
+    if (filters.startTime) {
+      addCondition('event_time >= ?', filters.startTime);
+    }
+    if (filters.endTime) {
+      addCondition('event_time <= ?', filters.endTime);
+    }
+    if (filters.actor) {
+      addCondition(`? IN (${ACTOR_FILTER_KEYS.map(key => `actor->>'${key}'`).join(', ')})`, filters.actor);
+    }
+    if (filters.action) {
+      addCondition('action = ?', filters.action);
+    }
+    if (filters.resource && filters.resource.endsWith('*')) {
+      addCondition("resource LIKE ? ESCAPE '\\'", `${filters.resource.slice(0, -1).replace(/[\\%_]/g, '\\$&')}%`);
+    } else if (filters.resource) {
+      addCondition('resource = ?', filters.resource);
+    }
+    if (filters.decision) {
+      addCondition('decision = ?', filters.decision);
+    }
+    if (filters.beforeSequence) {
+      addCondition('sequence < ?', filters.beforeSequence);
+    }
+
+    params.push(filters.limit || 50);
+    const result = await db.query(
+      `SELECT * FROM audit_events
+       WHERE ${conditions.join(' AND ')}
+       ORDER BY sequence DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return result.rows.map(row => AuditEvent.fromDatabaseRow(row));
+  }
+
+  /**
+   * Reads the chain of an account in order
+   * @param {string} accountId - Account ID
+   * @param {number} afterSequence - Only events after this position
+   * @param {number} limit - Maximum number of events
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Array<AuditEvent>>} Events
+   */
+  async findChain(accountId, afterSequence, limit, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `SELECT * FROM audit_events
+       WHERE account_id = $1 AND sequence > $2
+       ORDER BY sequence ASC
+       LIMIT $3`,
+      [accountId, afterSequence, limit]
+    );
+
+    return result.rows.map(row => AuditEvent.fromDatabaseRow(row));
+  }
+}
+
+module.exports = PostgreSQLAuditEventRepository;
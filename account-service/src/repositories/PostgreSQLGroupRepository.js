@@ -16,8 +16,8 @@ class PostgreSQLGroupRepository {
     
     const query = `
       INSERT INTO groups (
-        id, account_id, name, description, path, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7)
+        id, account_id, name, description, path, external_id, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
       RETURNING *
     `;
     
@@ -27,6 +27,7 @@ class PostgreSQLGroupRepository {
       group.name,
       group.description,
       group.path,
+      group.externalId,
       group.createdAt,
       group.updatedAt
     ];
@@ -162,7 +163,7 @@ class PostgreSQLGroupRepository {
     
     const query = `
       UPDATE groups 
-      SET name = $2, description = $3, path = $4, updated_at = $5
+      SET name = $2, description = $3, path = $4, updated_at = $5, external_id = $7
       WHERE id = $1 AND account_id = $6
       RETURNING *
     `;
@@ -173,7 +174,8 @@ class PostgreSQLGroupRepository {
       group.description,
       group.path,
       new Date(),
-      group.accountId
+      group.accountId,
+      group.externalId
     ];
 
     const result = await dbClient.query(query, values);
@@ -303,6 +305,30 @@ class PostgreSQLGroupRepository {
     }));
   }
 
+  /**
+   * Gets every group membership of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<Object>>} Array of { groupId, userId }
+   */
+  async findMembershipsByAccountId(accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT ug.group_id, ug.user_id
+      FROM user_groups ug
+      INNER JOIN groups g ON g.id = ug.group_id
+      WHERE g.account_id = $1
+      ORDER BY ug.created_at
+    `;
+
+    const result = await dbClient.query(query, [accountId]);
+    return result.rows.map(row => ({
+      groupId: row.group_id,
+      userId: row.user_id
+    }));
+  }
+
   /**
    * Checks if a user is in a group
    * @param {string} groupId - Group ID
@@ -0,0 +1,193 @@
+const IdentityProvider = require('../models/IdentityProvider');
+
+/**
+ * PostgreSQL repository for the OpenID Connect and SAML identity providers trusted by accounts
+ */
+class PostgreSQLIdentityProviderRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates a provider
+   * @param {IdentityProvider} provider - Provider
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<IdentityProvider>} Created provider
+   */
+  async create(provider, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `INSERT INTO identity_providers (id, account_id, provider_type, name, arn, issuer, audiences, jwks, jwks_uri,
+                                       metadata_document, signing_certificates, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+       RETURNING *`,
+      [
+        provider.id,
+        provider.accountId,
+        provider.providerType,
+        provider.name,
+        provider.arn,
+        provider.issuer,
+        JSON.stringify(provider.audiences),
+        provider.jwks ? JSON.stringify(provider.jwks) : null,
+        provider.jwksUri,
+        provider.metadataDocument,
+        JSON.stringify(provider.signingCertificates),
+        provider.createdBy
+      ]
+    );
+
+    return IdentityProvider.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds a provider by ID
+   * @param {string} id - Provider ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<IdentityProvider|null>} Provider or null
+   */
+  async findById(id, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query('SELECT * FROM identity_providers WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return IdentityProvider.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds a provider by ARN
+   * @param {string} arn - Provider ARN
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<IdentityProvider|null>} Provider or null
+   */
+  async findByArn(arn, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query('SELECT * FROM identity_providers WHERE arn = $1', [arn]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return IdentityProvider.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the provider of an account with a given issuer
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {string} issuer - Issuer (OIDC) or entity ID (SAML)
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<IdentityProvider|null>} Provider or null
+   */
+  async findByIssuer(accountId, providerType, issuer, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'SELECT * FROM identity_providers WHERE account_id = $1 AND provider_type = $2 AND issuer = $3',
+      [accountId, providerType, issuer]
+    );
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return IdentityProvider.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the providers of an account
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Array<IdentityProvider>>} Providers (by name)
+   */
+  async findByAccountId(accountId, providerType, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'SELECT * FROM identity_providers WHERE account_id = $1 AND provider_type = $2 ORDER BY name',
+      [accountId, providerType]
+    );
+
+    return result.rows.map(row => IdentityProvider.fromDatabaseRow(row));
+  }
+
+  /**
+   * Updates the settings of a provider (the name and ARN never change)
+   * @param {IdentityProvider} provider - Provider with the new settings
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<IdentityProvider|null>} Updated provider, or null if not found
+   */
+  async update(provider, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `UPDATE identity_providers
+       SET audiences = $3, jwks = $4, jwks_uri = $5, metadata_document = $6, signing_certificates = $7, issuer = $8
+       WHERE id = $1 AND account_id = $2
+       RETURNING *`,
+      [
+        provider.id,
+        provider.accountId,
+        JSON.stringify(provider.audiences),
+        provider.jwks ? JSON.stringify(provider.jwks) : null,
+        provider.jwksUri,
+        provider.metadataDocument,
+        JSON.stringify(provider.signingCertificates),
+        provider.issuer
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return IdentityProvider.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes a provider
+   * @param {string} id - Provider ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id, accountId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'DELETE FROM identity_providers WHERE id = $1 AND account_id = $2',
+      [id, accountId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Records an exchanged SAML assertion, only if it was not exchanged yet (expired entries are purged at the same time)
+   * @param {string} providerId - Provider ID
+   * @param {string} assertionId - ID attribute of the assertion
+   * @param {Date} expiresAt - End of validity of the assertion
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if recorded, false if the assertion was already used (replay)
+   */
+  async markAssertionUsed(providerId, assertionId, expiresAt, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    await db.query('DELETE FROM federation_used_assertions WHERE expires_at < NOW()');
+
+    const result = await db.query(
+      `INSERT INTO federation_used_assertions (provider_id, assertion_id, expires_at)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (provider_id, assertion_id) DO NOTHING`,
+      [providerId, assertionId, expiresAt]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = PostgreSQLIdentityProviderRepository;
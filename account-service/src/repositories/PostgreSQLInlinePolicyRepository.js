@@ -0,0 +1,167 @@
+const InlinePolicy = require('../models/InlinePolicy');
+
+// One table per owner type; all share the same layout apart from the owner column
+const INLINE_POLICY_TABLES = {
+  user: { table: 'user_inline_policies', column: 'user_id' },
+  group: { table: 'group_inline_policies', column: 'group_id' },
+  role: { table: 'role_inline_policies', column: 'role_id' }
+};
+
+class PostgreSQLInlinePolicyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Gets the table and owner column for a principal type
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @returns {Object} { table, column }
+   */
+  getTable(principalType) {
+    const table = INLINE_POLICY_TABLES[principalType];
+    if (!table) {
+      throw new Error(`Invalid principal type: ${principalType}`);
+    }
+    return table;
+  }
+
+  /**
+   * Builds the column list selected for a principal type
+   * @param {string} principalType - Principal type
+   * @returns {string} SELECT column list
+   */
+  selectColumns(principalType) {
+    const { column } = this.getTable(principalType);
+    return `id, account_id, '${principalType}' AS principal_type, ${column} AS principal_id,
+      policy_name, policy_document, created_at, updated_at`;
+  }
+
+  /**
+   * Creates or replaces an inline policy of a principal
+   * @param {InlinePolicy} inlinePolicy - Inline policy to store
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<InlinePolicy>} Stored inline policy
+   */
+  async upsert(inlinePolicy, client = null) {
+    const dbClient = client || this.pool;
+    const { table, column } = this.getTable(inlinePolicy.principalType);
+
+    const query = `
+      INSERT INTO ${table} (id, account_id, ${column}, policy_name, policy_document, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      ON CONFLICT (${column}, policy_name) DO UPDATE
+      SET policy_document = EXCLUDED.policy_document, updated_at = CURRENT_TIMESTAMP
+      RETURNING ${this.selectColumns(inlinePolicy.principalType)}
+    `;
+
+    const values = [
+      inlinePolicy.id,
+      inlinePolicy.accountId,
+      inlinePolicy.principalId,
+      inlinePolicy.name,
+      JSON.stringify(inlinePolicy.document),
+      inlinePolicy.createdAt,
+      inlinePolicy.updatedAt
+    ];
+
+    const result = await dbClient.query(query, values);
+    return InlinePolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds an inline policy of a principal by name
+   * @param {string} principalType - Principal type
+   * @param {string} principalId - Principal ID
+   * @param {string} name - Policy name
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<InlinePolicy|null>} Found inline policy or null
+   */
+  async findByName(principalType, principalId, name, accountId, client = null) {
+    const dbClient = client || this.pool;
+    const { table, column } = this.getTable(principalType);
+
+    const result = await dbClient.query(
+      `SELECT ${this.selectColumns(principalType)} FROM ${table}
+       WHERE ${column} = $1 AND policy_name = $2 AND account_id = $3`,
+      [principalId, name, accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return InlinePolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the inline policies of a principal
+   * @param {string} principalType - Principal type
+   * @param {string} principalId - Principal ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<InlinePolicy>>} Array of inline policies
+   */
+  async findByPrincipal(principalType, principalId, accountId, client = null) {
+    const dbClient = client || this.pool;
+    const { table, column } = this.getTable(principalType);
+
+    const result = await dbClient.query(
+      `SELECT ${this.selectColumns(principalType)} FROM ${table}
+       WHERE ${column} = $1 AND account_id = $2
+       ORDER BY policy_name`,
+      [principalId, accountId]
+    );
+
+    return result.rows.map(row => InlinePolicy.fromDatabaseRow(row));
+  }
+
+  /**
+   * Finds the inline policies that apply to a user (its own and those of its groups)
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<InlinePolicy>>} Array of inline policies
+   */
+  async findForUser(userId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT ${this.selectColumns('user')} FROM user_inline_policies
+      WHERE user_id = $1 AND account_id = $2
+      UNION ALL
+      SELECT gip.id, gip.account_id, 'group' AS principal_type, gip.group_id AS principal_id,
+        gip.policy_name, gip.policy_document, gip.created_at, gip.updated_at
+      FROM group_inline_policies gip
+      INNER JOIN user_groups ug ON gip.group_id = ug.group_id
+      WHERE ug.user_id = $1 AND gip.account_id = $2
+      ORDER BY principal_type DESC, policy_name
+    `;
+
+    const result = await dbClient.query(query, [userId, accountId]);
+    return result.rows.map(row => InlinePolicy.fromDatabaseRow(row));
+  }
+
+  /**
+   * Deletes an inline policy of a principal
+   * @param {string} principalType - Principal type
+   * @param {string} principalId - Principal ID
+   * @param {string} name - Policy name
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(principalType, principalId, name, accountId, client = null) {
+    const dbClient = client || this.pool;
+    const { table, column } = this.getTable(principalType);
+
+    const result = await dbClient.query(
+      `DELETE FROM ${table} WHERE ${column} = $1 AND policy_name = $2 AND account_id = $3`,
+      [principalId, name, accountId]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = PostgreSQLInlinePolicyRepository;
@@ -0,0 +1,194 @@
+const MfaDevice = require('../models/MfaDevice');
+
+class PostgreSQLMfaRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Finds the MFA device of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<MfaDevice|null>} Device or null
+   */
+  async findByUserId(userId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT * FROM mfa_devices WHERE user_id = $1 AND account_id = $2',
+      [userId, accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return MfaDevice.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Stores a pending device, replacing a previous pending enrollment of the user
+   * An active device is never replaced
+   * @param {MfaDevice} device - Pending device
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<MfaDevice|null>} Stored device or null if the user has an active device
+   */
+  async savePending(device, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      INSERT INTO mfa_devices (id, account_id, user_id, serial_number, encrypted_secret, status, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (user_id) DO UPDATE
+      SET id = EXCLUDED.id, serial_number = EXCLUDED.serial_number, encrypted_secret = EXCLUDED.encrypted_secret,
+          last_used_step = NULL, created_at = EXCLUDED.created_at, updated_at = CURRENT_TIMESTAMP
+      WHERE mfa_devices.status = 'Pending'
+      RETURNING *
+    `;
+
+    const values = [
+      device.id,
+      device.accountId,
+      device.userId,
+      device.serialNumber,
+      device.encryptedSecret,
+      MfaDevice.STATUS.PENDING,
+      device.createdAt,
+      device.updatedAt
+    ];
+
+    const result = await dbClient.query(query, values);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return MfaDevice.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Activates a pending device
+   * @param {string} deviceId - Device ID
+   * @param {number} lastUsedStep - Time step of the last activation code
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<MfaDevice|null>} Activated device or null if it was not pending
+   */
+  async activate(deviceId, lastUsedStep, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `UPDATE mfa_devices
+       SET status = 'Active', last_used_step = $2, enabled_at = CURRENT_TIMESTAMP
+       WHERE id = $1 AND status = 'Pending'
+       RETURNING *`,
+      [deviceId, lastUsedStep]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return MfaDevice.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Records the time step of an accepted code
+   * The update only succeeds for a later step, so concurrent requests cannot reuse a code
+   * @param {string} deviceId - Device ID
+   * @param {number} step - Accepted time step
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if the step was recorded (false if already used)
+   */
+  async useStep(deviceId, step, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `UPDATE mfa_devices SET last_used_step = $2
+       WHERE id = $1 AND (last_used_step IS NULL OR last_used_step < $2)`,
+      [deviceId, step]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Deletes the MFA device of a user and its recovery codes
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if a device was deleted
+   */
+  async deleteByUserId(userId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'DELETE FROM mfa_devices WHERE user_id = $1 AND account_id = $2',
+      [userId, accountId]
+    );
+
+    if (result.rowCount > 0) {
+      await dbClient.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+    }
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Replaces the recovery codes of a user
+   * @param {string} userId - User ID
+   * @param {Array<string>} codeHashes - SHA-256 hashes of the new codes
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<void>}
+   */
+  async replaceRecoveryCodes(userId, codeHashes, client = null) {
+    const dbClient = client || this.pool;
+
+    await dbClient.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [userId]);
+
+    for (const codeHash of codeHashes) {
+      await dbClient.query(
+        'INSERT INTO mfa_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+        [userId, codeHash]
+      );
+    }
+  }
+
+  /**
+   * Marks an unused recovery code as used
+   * @param {string} userId - User ID
+   * @param {string} codeHash - SHA-256 hash of the code
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if the code was valid and unused
+   */
+  async useRecoveryCode(userId, codeHash, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `UPDATE mfa_recovery_codes SET used_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL`,
+      [userId, codeHash]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Counts the unused recovery codes of a user
+   * @param {string} userId - User ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<number>} Number of unused codes
+   */
+  async countRecoveryCodes(userId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT COUNT(*) AS count FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+      [userId]
+    );
+
+    return parseInt(result.rows[0].count, 10);
+  }
+}
+
+module.exports = PostgreSQLMfaRepository;
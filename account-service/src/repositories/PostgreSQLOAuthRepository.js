@@ -0,0 +1,295 @@
+const OAuthClient = require('../models/OAuthClient');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+
+/**
+ * PostgreSQL repository for the OpenID Connect provider: clients, authorization codes and consents
+ */
+class PostgreSQLOAuthRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates a client
+   * @param {OAuthClient} client - Client
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<OAuthClient>} Created client
+   */
+  async createClient(client, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `INSERT INTO oauth_clients (client_id, account_id, name, client_type, client_secret_hash, redirect_uris,
+                                  allowed_scopes, first_party, status, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING *`,
+      [
+        client.clientId,
+        client.accountId,
+        client.name,
+        client.clientType,
+        client.clientSecretHash,
+        JSON.stringify(client.redirectUris),
+        JSON.stringify(client.allowedScopes),
+        client.firstParty,
+        client.status,
+        client.createdBy
+      ]
+    );
+
+    return OAuthClient.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds a client by client ID
+   * @param {string} clientId - Client ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<OAuthClient|null>} Client or null
+   */
+  async findClientById(clientId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query('SELECT * FROM oauth_clients WHERE client_id = $1', [clientId]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return OAuthClient.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the clients of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Array<OAuthClient>>} Clients (by name)
+   */
+  async findClientsByAccountId(accountId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'SELECT * FROM oauth_clients WHERE account_id = $1 ORDER BY name, created_at',
+      [accountId]
+    );
+
+    return result.rows.map(row => OAuthClient.fromDatabaseRow(row));
+  }
+
+  /**
+   * Updates the settings of a client
+   * @param {OAuthClient} client - Client with the new settings
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<OAuthClient|null>} Updated client, or null if not found
+   */
+  async updateClient(client, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `UPDATE oauth_clients
+       SET name = $3, client_secret_hash = $4, redirect_uris = $5, allowed_scopes = $6, first_party = $7, status = $8
+       WHERE client_id = $1 AND account_id = $2
+       RETURNING *`,
+      [
+        client.clientId,
+        client.accountId,
+        client.name,
+        client.clientSecretHash,
+        JSON.stringify(client.redirectUris),
+        JSON.stringify(client.allowedScopes),
+        client.firstParty,
+        client.status
+      ]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return OAuthClient.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes a client (its codes and consents are deleted by cascade)
+   * @param {string} clientId - Client ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteClient(clientId, accountId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'DELETE FROM oauth_clients WHERE client_id = $1 AND account_id = $2',
+      [clientId, accountId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Stores an authorization code (expired codes are purged at the same time)
+   * @param {OAuthAuthorizationCode} code - Code
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<OAuthAuthorizationCode>} Stored code
+   */
+  async createAuthorizationCode(code, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    await db.query("DELETE FROM oauth_authorization_codes WHERE expires_at < NOW() - INTERVAL '1 day'");
+
+    const result = await db.query(
+      `INSERT INTO oauth_authorization_codes (code_hash, client_id, account_id, user_id, redirect_uri, scopes,
+                                              code_challenge, nonce, auth_time, mfa_auth_time, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+       RETURNING *`,
+      [
+        code.codeHash,
+        code.clientId,
+        code.accountId,
+        code.userId,
+        code.redirectUri,
+        JSON.stringify(code.scopes),
+        code.codeChallenge,
+        code.nonce,
+        code.authTime,
+        code.mfaAuthTime,
+        code.expiresAt
+      ]
+    );
+
+    return OAuthAuthorizationCode.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Marks an authorization code as used, only if it was not used yet
+   * @param {string} codeHash - Code hash
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<{ code: OAuthAuthorizationCode|null, alreadyConsumed: boolean }>} The code, and whether
+   *   it had already been exchanged (replay)
+   */
+  async consumeAuthorizationCode(codeHash, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `UPDATE oauth_authorization_codes SET consumed_at = CURRENT_TIMESTAMP
+       WHERE code_hash = $1 AND consumed_at IS NULL
+       RETURNING *`,
+      [codeHash]
+    );
+
+    if (result.rows.length > 0) {
+      return { code: OAuthAuthorizationCode.fromDatabaseRow(result.rows[0]), alreadyConsumed: false };
+    }
+
+    const existing = await db.query('SELECT * FROM oauth_authorization_codes WHERE code_hash = $1', [codeHash]);
+    return {
+      code: existing.rows.length > 0 ? OAuthAuthorizationCode.fromDatabaseRow(existing.rows[0]) : null,
+      alreadyConsumed: existing.rows.length > 0
+    };
+  }
+
+  /**
+   * Records the session issued for an authorization code
+   * @param {string} codeHash - Code hash
+   * @param {string} sessionId - Session (refresh token family) ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<void>}
+   */
+  async setAuthorizationCodeSession(codeHash, sessionId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    await db.query(
+      'UPDATE oauth_authorization_codes SET session_id = $2 WHERE code_hash = $1',
+      [codeHash, sessionId]
+    );
+  }
+
+  /**
+   * Finds the consent of a user for a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Client ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Object|null>} { userId, clientId, accountId, scopes, createdAt, updatedAt } or null
+   */
+  async findConsent(userId, clientId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'SELECT * FROM oauth_consents WHERE user_id = $1 AND client_id = $2',
+      [userId, clientId]
+    );
+
+    return result.rows.length > 0 ? this.mapConsentRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Finds the consents of a user, with the client names
+   * @param {string} userId - User ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Array<Object>>} Consents (clientName included)
+   */
+  async findConsentsByUserId(userId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `SELECT oc.*, c.name AS client_name
+       FROM oauth_consents oc
+       JOIN oauth_clients c ON c.client_id = oc.client_id
+       WHERE oc.user_id = $1
+       ORDER BY oc.updated_at DESC`,
+      [userId]
+    );
+
+    return result.rows.map(row => ({ ...this.mapConsentRow(row), clientName: row.client_name }));
+  }
+
+  /**
+   * Creates or replaces the consent of a user for a client
+   * @param {Object} consent - { userId, clientId, accountId, scopes }
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<Object>} Stored consent
+   */
+  async upsertConsent(consent, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `INSERT INTO oauth_consents (user_id, client_id, account_id, scopes)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (user_id, client_id) DO UPDATE SET scopes = EXCLUDED.scopes
+       RETURNING *`,
+      [consent.userId, consent.clientId, consent.accountId, JSON.stringify(consent.scopes)]
+    );
+
+    return this.mapConsentRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes the consent of a user for a client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Client ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteConsent(userId, clientId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      'DELETE FROM oauth_consents WHERE user_id = $1 AND client_id = $2',
+      [userId, clientId]
+    );
+
+    return result.rowCount > 0;
+  }
+
+  mapConsentRow(row) {
+    return {
+      userId: row.user_id,
+      clientId: row.client_id,
+      accountId: row.account_id,
+      scopes: row.scopes,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    };
+  }
+}
+
+module.exports = PostgreSQLOAuthRepository;
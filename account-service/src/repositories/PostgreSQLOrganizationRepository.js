@@ -0,0 +1,306 @@
+const OrganizationalUnit = require('../models/OrganizationalUnit');
+const ServiceControlPolicy = require('../models/ServiceControlPolicy');
+
+class PostgreSQLOrganizationRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates a new organizational unit
+   * @param {OrganizationalUnit} ou - OU to create
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<OrganizationalUnit>} Created OU
+   */
+  async createOrganizationalUnit(ou, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      INSERT INTO organizational_units (id, management_account_id, parent_id, name, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+
+    const values = [ou.id, ou.managementAccountId, ou.parentId, ou.name, ou.createdAt, ou.updatedAt];
+
+    const result = await dbClient.query(query, values);
+    return OrganizationalUnit.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds an organizational unit by ID
+   * @param {string} id - OU ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<OrganizationalUnit|null>} Found OU or null
+   */
+  async findOrganizationalUnitById(id, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query('SELECT * FROM organizational_units WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return OrganizationalUnit.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the organizational units owned by a management account
+   * @param {string} managementAccountId - Management account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<OrganizationalUnit>>} Array of OUs
+   */
+  async findOrganizationalUnitsByManagementAccount(managementAccountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT * FROM organizational_units
+      WHERE management_account_id = $1
+      ORDER BY created_at
+    `;
+
+    const result = await dbClient.query(query, [managementAccountId]);
+    return result.rows.map(row => OrganizationalUnit.fromDatabaseRow(row));
+  }
+
+  /**
+   * Finds an OU and all its ancestors, starting at the OU itself and ending at the top-level OU
+   * @param {string} ouId - OU ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<OrganizationalUnit>>} OU chain
+   */
+  async findOrganizationalUnitChain(ouId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      WITH RECURSIVE ou_chain AS (
+        SELECT ou.*, 0 AS depth FROM organizational_units ou
+        WHERE ou.id = $1
+        UNION ALL
+        SELECT parent.*, child.depth + 1 FROM organizational_units parent
+        INNER JOIN ou_chain child ON parent.id = child.parent_id
+      )
+      SELECT * FROM ou_chain
+      ORDER BY depth
+    `;
+
+    const result = await dbClient.query(query, [ouId]);
+    return result.rows.map(row => OrganizationalUnit.fromDatabaseRow(row));
+  }
+
+  /**
+   * Counts the child OUs and member accounts of an organizational unit
+   * @param {string} ouId - OU ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Object>} { childCount, accountCount }
+   */
+  async countOrganizationalUnitMembers(ouId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT
+        (SELECT COUNT(*) FROM organizational_units WHERE parent_id = $1) AS child_count,
+        (SELECT COUNT(*) FROM accounts WHERE organizational_unit_id = $1) AS account_count
+    `;
+
+    const result = await dbClient.query(query, [ouId]);
+    return {
+      childCount: parseInt(result.rows[0].child_count, 10),
+      accountCount: parseInt(result.rows[0].account_count, 10)
+    };
+  }
+
+  /**
+   * Deletes an organizational unit and the SCPs attached to it
+   * @param {string} id - OU ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOrganizationalUnit(id, client = null) {
+    const dbClient = client || this.pool;
+
+    await dbClient.query(
+      `DELETE FROM service_control_policies WHERE target_type = 'organizational_unit' AND target_id = $1`,
+      [id]
+    );
+
+    const result = await dbClient.query('DELETE FROM organizational_units WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Places an account in an organizational unit (or removes it from its organization)
+   * @param {string} accountId - Account ID
+   * @param {string|null} ouId - OU ID (null to leave the organization)
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if the account was updated
+   */
+  async setAccountOrganizationalUnit(accountId, ouId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      UPDATE accounts
+      SET organizational_unit_id = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+
+    const result = await dbClient.query(query, [accountId, ouId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Removes the account-level SCPs of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<number>} Number of SCPs removed
+   */
+  async deleteAccountServiceControlPolicies(accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `DELETE FROM service_control_policies WHERE target_type = 'account' AND target_id = $1`,
+      [accountId]
+    );
+    return result.rowCount;
+  }
+
+  /**
+   * Creates a new service control policy
+   * @param {ServiceControlPolicy} scp - SCP to create
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<ServiceControlPolicy>} Created SCP
+   */
+  async createServiceControlPolicy(scp, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      INSERT INTO service_control_policies (
+        id, management_account_id, target_type, target_id, name, description,
+        policy_document, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+
+    const values = [
+      scp.id,
+      scp.managementAccountId,
+      scp.targetType,
+      scp.targetId,
+      scp.name,
+      scp.description,
+      JSON.stringify(scp.document),
+      scp.createdAt,
+      scp.updatedAt
+    ];
+
+    const result = await dbClient.query(query, values);
+    return ServiceControlPolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds a service control policy by ID
+   * @param {string} id - SCP ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<ServiceControlPolicy|null>} Found SCP or null
+   */
+  async findServiceControlPolicyById(id, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query('SELECT * FROM service_control_policies WHERE id = $1', [id]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return ServiceControlPolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the service control policies attached to an account and to a set of OUs
+   * @param {string} accountId - Account ID
+   * @param {Array<string>} ouIds - OU IDs
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<ServiceControlPolicy>>} Array of SCPs
+   */
+  async findServiceControlPoliciesForTargets(accountId, ouIds, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT * FROM service_control_policies
+      WHERE (target_type = 'account' AND target_id = $1)
+         OR (target_type = 'organizational_unit' AND target_id = ANY($2::uuid[]))
+      ORDER BY name
+    `;
+
+    const result = await dbClient.query(query, [accountId, ouIds]);
+    return result.rows.map(row => ServiceControlPolicy.fromDatabaseRow(row));
+  }
+
+  /**
+   * Updates a service control policy
+   * @param {ServiceControlPolicy} scp - SCP with updated fields
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<ServiceControlPolicy|null>} Updated SCP or null if not found
+   */
+  async updateServiceControlPolicy(scp, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      UPDATE service_control_policies
+      SET name = $2, description = $3, policy_document = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+
+    const result = await dbClient.query(query, [scp.id, scp.name, scp.description, JSON.stringify(scp.document)]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return ServiceControlPolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes a service control policy
+   * @param {string} id - SCP ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteServiceControlPolicy(id, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query('DELETE FROM service_control_policies WHERE id = $1', [id]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Checks if an SCP name is already used on a target
+   * @param {string} targetType - Target type
+   * @param {string} targetId - Target ID
+   * @param {string} name - SCP name
+   * @param {string} [excludeId] - SCP ID to exclude from check
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if name exists
+   */
+  async serviceControlPolicyNameExists(targetType, targetId, name, excludeId = null, client = null) {
+    const dbClient = client || this.pool;
+
+    let query = `
+      SELECT 1 FROM service_control_policies
+      WHERE target_type = $1 AND target_id = $2 AND name = $3
+    `;
+    const params = [targetType, targetId, name];
+
+    if (excludeId) {
+      query += ' AND id != $4';
+      params.push(excludeId);
+    }
+
+    const result = await dbClient.query(query, params);
+    return result.rows.length > 0;
+  }
+}
+
+module.exports = PostgreSQLOrganizationRepository;
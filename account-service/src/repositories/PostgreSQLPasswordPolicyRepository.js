@@ -0,0 +1,132 @@
+const PasswordPolicy = require('../models/PasswordPolicy');
+
+class PostgreSQLPasswordPolicyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Finds the password policy of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<PasswordPolicy|null>} Policy or null if the account has none
+   */
+  async findByAccountId(accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT * FROM password_policies WHERE account_id = $1',
+      [accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return PasswordPolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Creates or replaces the password policy of an account
+   * @param {PasswordPolicy} policy - Policy
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<PasswordPolicy>} Stored policy
+   */
+  async upsert(policy, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      INSERT INTO password_policies (
+        account_id, minimum_password_length, require_uppercase_characters, require_lowercase_characters,
+        require_numbers, require_symbols, max_password_age, password_reuse_prevention, hard_expiry,
+        allow_users_to_change_password
+      )
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (account_id) DO UPDATE
+      SET minimum_password_length = EXCLUDED.minimum_password_length,
+          require_uppercase_characters = EXCLUDED.require_uppercase_characters,
+          require_lowercase_characters = EXCLUDED.require_lowercase_characters,
+          require_numbers = EXCLUDED.require_numbers,
+          require_symbols = EXCLUDED.require_symbols,
+          max_password_age = EXCLUDED.max_password_age,
+          password_reuse_prevention = EXCLUDED.password_reuse_prevention,
+          hard_expiry = EXCLUDED.hard_expiry,
+          allow_users_to_change_password = EXCLUDED.allow_users_to_change_password
+      RETURNING *
+    `;
+
+    const values = [
+      policy.accountId,
+      policy.minimumPasswordLength,
+      policy.requireUppercaseCharacters,
+      policy.requireLowercaseCharacters,
+      policy.requireNumbers,
+      policy.requireSymbols,
+      policy.maxPasswordAge,
+      policy.passwordReusePrevention,
+      policy.hardExpiry,
+      policy.allowUsersToChangePassword
+    ];
+
+    const result = await dbClient.query(query, values);
+    return PasswordPolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes the password policy of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query('DELETE FROM password_policies WHERE account_id = $1', [accountId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Finds the most recent previous password hashes of a user
+   * @param {string} userId - User ID
+   * @param {number} limit - Number of hashes
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<string>>} Password hashes (newest first)
+   */
+  async findPasswordHistory(userId, limit, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT password_hash FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2',
+      [userId, limit]
+    );
+
+    return result.rows.map(row => row.password_hash);
+  }
+
+  /**
+   * Adds a password hash to the history of a user, keeping only the most recent entries
+   * @param {string} userId - User ID
+   * @param {string} passwordHash - Password hash
+   * @param {number} keep - Number of entries to keep (the largest reuse prevention allowed)
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<void>}
+   */
+  async addPasswordHistory(userId, passwordHash, keep, client = null) {
+    const dbClient = client || this.pool;
+
+    await dbClient.query(
+      'INSERT INTO password_history (user_id, password_hash) VALUES ($1, $2)',
+      [userId, passwordHash]
+    );
+
+    await dbClient.query(
+      `DELETE FROM password_history
+       WHERE user_id = $1 AND id NOT IN (
+         SELECT id FROM password_history WHERE user_id = $1 ORDER BY created_at DESC LIMIT $2
+       )`,
+      [userId, keep]
+    );
+  }
+}
+
+module.exports = PostgreSQLPasswordPolicyRepository;
@@ -1,4 +1,11 @@
 const Policy = require('../models/Policy');
+const PolicyVersion = require('../models/PolicyVersion');
+
+// Principal tables that can carry a permissions boundary
+const BOUNDARY_TABLES = {
+  user: 'users',
+  role: 'roles'
+};
 
 class PostgreSQLPolicyRepository {
   constructor(pool) {
@@ -6,19 +13,26 @@ class PostgreSQLPolicyRepository {
   }
 
   /**
-   * Creates a new policy
+   * Creates a new policy together with its first version (v1)
    * @param {Policy} policy - Policy to create
    * @param {Object} [client] - Optional database client for transactions
+   * @param {string} [createdBy] - User creating the policy (recorded on v1)
    * @returns {Promise<Policy>} Created policy
    */
-  async create(policy, client = null) {
+  async create(policy, client = null, createdBy = null) {
     const dbClient = client || this.pool;
     
     const query = `
-      INSERT INTO policies (
-        id, account_id, name, description, path, policy_document, policy_type, is_attachable, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-      RETURNING *
+      WITH inserted AS (
+        INSERT INTO policies (
+          id, account_id, name, description, path, policy_document, policy_type, is_attachable, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        RETURNING *
+      ), first_version AS (
+        INSERT INTO policy_versions (policy_id, version_number, policy_document, created_by, created_at)
+        SELECT id, 1, policy_document, $11, created_at FROM inserted
+      )
+      SELECT * FROM inserted
     `;
     
     const values = [
@@ -31,7 +45,8 @@ class PostgreSQLPolicyRepository {
       policy.type,
       true, // is_attachable (substitui is_default)
       policy.createdAt,
-      policy.updatedAt
+      policy.updatedAt,
+      createdBy
     ];
 
     const result = await dbClient.query(query, values);
@@ -318,6 +333,244 @@ class PostgreSQLPolicyRepository {
     return result.rows.map(row => Policy.fromDatabaseRow(row));
   }
 
+  /**
+   * Finds policies attached to a role
+   * @param {string} roleId - Role ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<Policy>>} Array of policies
+   */
+  async findPoliciesForRole(roleId, accountId, client = null) {
+    const dbClient = client || this.pool;
+    
+    const query = `
+      SELECT p.* FROM policies p
+      INNER JOIN role_policies rp ON p.id = rp.policy_id
+      WHERE rp.role_id = $1 AND rp.account_id = $2
+      ORDER BY p.name
+    `;
+    
+    const result = await dbClient.query(query, [roleId, accountId]);
+    return result.rows.map(row => Policy.fromDatabaseRow(row));
+  }
+
+  /**
+   * Finds the permissions boundary policy of a user or role
+   * @param {string} principalType - Principal type ('user' or 'role')
+   * @param {string} principalId - User or role ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Policy|null>} Boundary policy or null if none is set
+   */
+  async findPermissionsBoundary(principalType, principalId, accountId, client = null) {
+    const dbClient = client || this.pool;
+    const table = BOUNDARY_TABLES[principalType];
+
+    const query = `
+      SELECT p.* FROM policies p
+      INNER JOIN ${table} t ON p.id = t.permissions_boundary_policy_id
+      WHERE t.id = $1 AND t.account_id = $2
+    `;
+
+    const result = await dbClient.query(query, [principalId, accountId]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return Policy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Sets or clears the permissions boundary of a user or role
+   * @param {string} principalType - Principal type ('user' or 'role')
+   * @param {string} principalId - User or role ID
+   * @param {string} accountId - Account ID
+   * @param {string|null} policyId - Boundary policy ID (null to remove the boundary)
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if the principal was updated
+   */
+  async setPermissionsBoundary(principalType, principalId, accountId, policyId, client = null) {
+    const dbClient = client || this.pool;
+    const table = BOUNDARY_TABLES[principalType];
+
+    const query = `
+      UPDATE ${table}
+      SET permissions_boundary_policy_id = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND account_id = $2
+    `;
+
+    const result = await dbClient.query(query, [principalId, accountId, policyId]);
+    return result.rowCount > 0;
+  }
+
+  /**
+   * Counts the users and roles that use a policy as their permissions boundary
+   * @param {string} policyId - Policy ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<number>} Number of principals using the policy as boundary
+   */
+  async countPermissionsBoundaryUsage(policyId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT
+        (SELECT COUNT(*) FROM users WHERE permissions_boundary_policy_id = $1) +
+        (SELECT COUNT(*) FROM roles WHERE permissions_boundary_policy_id = $1) AS count
+    `;
+
+    const result = await dbClient.query(query, [policyId]);
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Lists the versions of a policy, newest first
+   * @param {string} policyId - Policy ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<PolicyVersion>>} Policy versions
+   */
+  async findVersions(policyId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT v.*, p.default_version_number FROM policy_versions v
+      INNER JOIN policies p ON p.id = v.policy_id
+      WHERE v.policy_id = $1 AND p.account_id = $2
+      ORDER BY v.version_number DESC
+    `;
+
+    const result = await dbClient.query(query, [policyId, accountId]);
+    return result.rows.map(row => PolicyVersion.fromDatabaseRow(row));
+  }
+
+  /**
+   * Finds a specific version of a policy
+   * @param {string} policyId - Policy ID
+   * @param {string} accountId - Account ID
+   * @param {number} versionNumber - Version number
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<PolicyVersion|null>} Policy version or null
+   */
+  async findVersion(policyId, accountId, versionNumber, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      SELECT v.*, p.default_version_number FROM policy_versions v
+      INNER JOIN policies p ON p.id = v.policy_id
+      WHERE v.policy_id = $1 AND p.account_id = $2 AND v.version_number = $3
+    `;
+
+    const result = await dbClient.query(query, [policyId, accountId, versionNumber]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return PolicyVersion.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Counts the versions of a policy
+   * @param {string} policyId - Policy ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<number>} Number of versions
+   */
+  async countVersions(policyId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT COUNT(*) AS count FROM policy_versions WHERE policy_id = $1',
+      [policyId]
+    );
+
+    return parseInt(result.rows[0].count, 10);
+  }
+
+  /**
+   * Stores a new version of a policy under the next version number
+   * The counter update locks the policy row, so concurrent updates get distinct numbers
+   * @param {string} policyId - Policy ID
+   * @param {string} accountId - Account ID
+   * @param {Object} document - Policy document
+   * @param {string} [createdBy] - User creating the version
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<PolicyVersion>} Created version
+   */
+  async createVersion(policyId, accountId, document, createdBy = null, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      WITH counter AS (
+        UPDATE policies SET version_counter = version_counter + 1
+        WHERE id = $1 AND account_id = $2
+        RETURNING id, version_counter, default_version_number
+      ), inserted AS (
+        INSERT INTO policy_versions (policy_id, version_number, policy_document, created_by)
+        SELECT id, version_counter, $3, $4 FROM counter
+        RETURNING *
+      )
+      SELECT inserted.*, counter.default_version_number FROM inserted, counter
+    `;
+
+    const result = await dbClient.query(query, [policyId, accountId, JSON.stringify(document), createdBy]);
+
+    if (result.rows.length === 0) {
+      throw new Error('Policy not found or access denied');
+    }
+
+    return PolicyVersion.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Makes a version the default one, copying its document to the policy
+   * @param {string} policyId - Policy ID
+   * @param {string} accountId - Account ID
+   * @param {number} versionNumber - Version number
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Policy|null>} Updated policy, or null if the version does not exist
+   */
+  async setDefaultVersion(policyId, accountId, versionNumber, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      UPDATE policies p
+      SET default_version_number = v.version_number, policy_document = v.policy_document, updated_at = NOW()
+      FROM policy_versions v
+      WHERE p.id = $1 AND p.account_id = $2 AND v.policy_id = p.id AND v.version_number = $3
+      RETURNING p.*
+    `;
+
+    const result = await dbClient.query(query, [policyId, accountId, versionNumber]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return Policy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Deletes a non-default version of a policy
+   * @param {string} policyId - Policy ID
+   * @param {number} versionNumber - Version number
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted (false if missing or default)
+   */
+  async deleteVersion(policyId, versionNumber, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      DELETE FROM policy_versions v
+      USING policies p
+      WHERE v.policy_id = p.id AND v.policy_id = $1 AND v.version_number = $2
+        AND v.version_number <> p.default_version_number
+    `;
+
+    const result = await dbClient.query(query, [policyId, versionNumber]);
+    return result.rowCount > 0;
+  }
+
   /**
    * Checks if a policy name exists in an account
    * @param {string} name - Policy name
@@ -0,0 +1,150 @@
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+
+class PostgreSQLRefreshTokenFamilyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates a family (at login)
+   * @param {RefreshTokenFamily} family - Family
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<RefreshTokenFamily>} Created family
+   */
+  async create(family, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `INSERT INTO refresh_token_families (id, account_id, user_id, client_id, current_jti, generation, ip_address,
+                                           user_agent, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+       RETURNING *`,
+      [
+        family.id,
+        family.accountId,
+        family.userId,
+        family.clientId,
+        family.currentJti,
+        family.generation,
+        family.ipAddress,
+        family.userAgent,
+        family.expiresAt
+      ]
+    );
+
+    return RefreshTokenFamily.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds a family by ID
+   * @param {string} id - Family ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<RefreshTokenFamily|null>} Family or null
+   */
+  async findById(id, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query('SELECT * FROM refresh_token_families WHERE id = $1', [id]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return RefreshTokenFamily.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the families of a user that are neither revoked nor expired
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<RefreshTokenFamily>>} Active families (most recently used first)
+   */
+  async findActiveByUserId(userId, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `SELECT * FROM refresh_token_families
+       WHERE user_id = $1 AND account_id = $2 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY COALESCE(last_used_at, created_at) DESC`,
+      [userId, accountId]
+    );
+
+    return result.rows.map(row => RefreshTokenFamily.fromDatabaseRow(row));
+  }
+
+  /**
+   * Finds the active families issued to an OAuth client
+   * @param {string} clientId - Client ID
+   * @param {string} [userId] - Only the families of this user
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<RefreshTokenFamily>>} Active families
+   */
+  async findActiveByClientId(clientId, userId = null, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `SELECT * FROM refresh_token_families
+       WHERE client_id = $1 AND ($2::uuid IS NULL OR user_id = $2) AND revoked_at IS NULL AND expires_at > NOW()`,
+      [clientId, userId]
+    );
+
+    return result.rows.map(row => RefreshTokenFamily.fromDatabaseRow(row));
+  }
+
+  /**
+   * Replaces the current refresh token of a family, only if the presented token is still the current one
+   * (compare-and-set, so two concurrent refreshes with the same token cannot both succeed)
+   * @param {string} id - Family ID
+   * @param {string} expectedJti - jti of the presented refresh token
+   * @param {string} newJti - jti of the new refresh token
+   * @param {Date} expiresAt - Expiry of the new refresh token
+   * @param {string} [ipAddress] - Client IP
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<RefreshTokenFamily|null>} Rotated family, or null if the token was not current
+   */
+  async rotate(id, expectedJti, newJti, expiresAt, ipAddress = null, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `UPDATE refresh_token_families
+       SET current_jti = $3, generation = generation + 1, expires_at = $4,
+           last_used_at = CURRENT_TIMESTAMP, last_ip_address = $5
+       WHERE id = $1 AND current_jti = $2 AND revoked_at IS NULL
+       RETURNING *`,
+      [id, expectedJti, newJti, expiresAt, ipAddress]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return RefreshTokenFamily.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Revokes a family
+   * @param {string} id - Family ID
+   * @param {string} reason - Revocation reason
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<RefreshTokenFamily|null>} Revoked family, or null if not found or already revoked
+   */
+  async revoke(id, reason, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `UPDATE refresh_token_families
+       SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = $2
+       WHERE id = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [id, reason]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return RefreshTokenFamily.fromDatabaseRow(result.rows[0]);
+  }
+}
+
+module.exports = PostgreSQLRefreshTokenFamilyRepository;
@@ -0,0 +1,145 @@
+const ResourcePolicy = require('../models/ResourcePolicy');
+
+class PostgreSQLResourcePolicyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Creates or replaces the policy attached to a resource ARN
+   * @param {ResourcePolicy} resourcePolicy - Resource policy to store
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<ResourcePolicy>} Stored resource policy
+   */
+  async upsert(resourcePolicy, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = `
+      INSERT INTO resource_policies (id, account_id, resource_arn, policy_document, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (resource_arn) DO UPDATE
+      SET policy_document = EXCLUDED.policy_document, updated_at = CURRENT_TIMESTAMP
+      WHERE resource_policies.account_id = EXCLUDED.account_id
+      RETURNING *
+    `;
+
+    const values = [
+      resourcePolicy.id,
+      resourcePolicy.accountId,
+      resourcePolicy.resourceArn,
+      JSON.stringify(resourcePolicy.document),
+      resourcePolicy.createdAt,
+      resourcePolicy.updatedAt
+    ];
+
+    const result = await dbClient.query(query, values);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return ResourcePolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds a resource policy by ID
+   * @param {string} id - Resource policy ID
+   * @param {string} accountId - Owner account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<ResourcePolicy|null>} Found resource policy or null
+   */
+  async findById(id, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT * FROM resource_policies WHERE id = $1 AND account_id = $2',
+      [id, accountId]
+    );
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return ResourcePolicy.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the resource policies attached to any of the given ARNs
+   * @param {Array<string>} resourceArns - Resource ARNs
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<ResourcePolicy>>} Array of resource policies
+   */
+  async findByResourceArns(resourceArns, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'SELECT * FROM resource_policies WHERE resource_arn = ANY($1::varchar[])',
+      [resourceArns]
+    );
+
+    return result.rows.map(row => ResourcePolicy.fromDatabaseRow(row));
+  }
+
+  /**
+   * Lists the resource policies owned by an account
+   * @param {string} accountId - Owner account ID
+   * @param {Object} [options] - Query options
+   * @param {number} [options.limit=50] - Maximum number of results
+   * @param {number} [options.offset=0] - Number of results to skip
+   * @param {string} [options.resourceArnPrefix] - Only ARNs starting with this prefix
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Object>} { resourcePolicies, totalCount, hasMore }
+   */
+  async findByAccountId(accountId, options = {}, client = null) {
+    const dbClient = client || this.pool;
+    const { limit = 50, offset = 0, resourceArnPrefix } = options;
+
+    let whereClause = 'WHERE account_id = $1';
+    const params = [accountId];
+
+    if (resourceArnPrefix) {
+      params.push(`${resourceArnPrefix.replace(/[\\%_]/g, '\\$&')}%`);
+      whereClause += ` AND resource_arn LIKE $${params.length}`;
+    }
+
+    const countResult = await dbClient.query(
+      `SELECT COUNT(*) AS total FROM resource_policies ${whereClause}`,
+      params
+    );
+
+    const result = await dbClient.query(
+      `SELECT * FROM resource_policies ${whereClause}
+       ORDER BY resource_arn
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    const totalCount = parseInt(countResult.rows[0].total, 10);
+
+    return {
+      resourcePolicies: result.rows.map(row => ResourcePolicy.fromDatabaseRow(row)),
+      totalCount,
+      hasMore: offset + result.rows.length < totalCount
+    };
+  }
+
+  /**
+   * Deletes a resource policy
+   * @param {string} id - Resource policy ID
+   * @param {string} accountId - Owner account ID
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async delete(id, accountId, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      'DELETE FROM resource_policies WHERE id = $1 AND account_id = $2',
+      [id, accountId]
+    );
+
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = PostgreSQLResourcePolicyRepository;
@@ -413,8 +413,14 @@ class PostgreSQLRoleRepository {
       INSERT INTO role_sessions (
         id, account_id, role_id, user_id, session_name, external_id,
         source_ip, user_agent, assumed_at, expires_at, session_token_hash,
-        is_active, created_at, updated_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
+        is_active, created_at, updated_at, session_policy, session_policy_arns,
+        session_tags, transitive_tag_keys, parent_session_id, session_chain,
+        source_identity, source_account_id, federated_provider_arn, federated_subject,
+        access_key_id, encrypted_secret
+      ) VALUES (
+        $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18,
+        $19, $20, $21, $22, $23, $24, $25, $26
+      )
       RETURNING *
     `;
     
@@ -432,7 +438,19 @@ class PostgreSQLRoleRepository {
       sessionData.sessionTokenHash,
       sessionData.isActive !== undefined ? sessionData.isActive : true,
       sessionData.createdAt || new Date(),
-      sessionData.updatedAt || new Date()
+      sessionData.updatedAt || new Date(),
+      sessionData.sessionPolicy ? JSON.stringify(sessionData.sessionPolicy) : null,
+      JSON.stringify(sessionData.sessionPolicyArns || []),
+      JSON.stringify(sessionData.sessionTags || []),
+      JSON.stringify(sessionData.transitiveTagKeys || []),
+      sessionData.parentSessionId || null,
+      JSON.stringify(sessionData.sessionChain || []),
+      sessionData.sourceIdentity || null,
+      sessionData.sourceAccountId || null,
+      sessionData.federatedProviderArn || null,
+      sessionData.federatedSubject || null,
+      sessionData.accessKeyId || null,
+      sessionData.encryptedSecret || null
     ];
     
     const result = await dbClient.query(query, values);
@@ -452,6 +470,25 @@ class PostgreSQLRoleRepository {
     return this.mapRowToSession(result.rows[0]);
   }
 
+  /**
+   * Finds a role session by the hash of its session token
+   * @param {string} sessionTokenHash - SHA-256 hex digest of the session token
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<RoleSession|null>} Found session (active or not) or null
+   */
+  async findSessionByTokenHash(sessionTokenHash, client = null) {
+    const dbClient = client || this.pool;
+
+    const query = 'SELECT * FROM role_sessions WHERE session_token_hash = $1';
+    const result = await dbClient.query(query, [sessionTokenHash]);
+
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    return this.mapRowToSession(result.rows[0]);
+  }
+
   async findSessionsByRole(roleId, client = null) {
     const dbClient = client || this.pool;
     
@@ -513,6 +550,18 @@ class PostgreSQLRoleRepository {
       assumedAt: row.assumed_at,
       expiresAt: row.expires_at,
       sessionTokenHash: row.session_token_hash,
+      accessKeyId: row.access_key_id,
+      encryptedSecret: row.encrypted_secret,
+      sessionPolicy: RoleSession.parseJsonColumn(row.session_policy),
+      sessionPolicyArns: RoleSession.parseJsonColumn(row.session_policy_arns),
+      sessionTags: RoleSession.parseJsonColumn(row.session_tags),
+      transitiveTagKeys: RoleSession.parseJsonColumn(row.transitive_tag_keys),
+      parentSessionId: row.parent_session_id,
+      sessionChain: RoleSession.parseJsonColumn(row.session_chain),
+      sourceIdentity: row.source_identity,
+      sourceAccountId: row.source_account_id,
+      federatedProviderArn: row.federated_provider_arn,
+      federatedSubject: row.federated_subject,
       isActive: row.is_active,
       createdAt: row.created_at,
       updatedAt: row.updated_at
@@ -0,0 +1,85 @@
+const ScimToken = require('../models/ScimToken');
+
+/**
+ * PostgreSQL repository for the SCIM provisioning tokens of accounts
+ */
+class PostgreSQLScimTokenRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Stores the token of an account, replacing the previous one
+   * @param {ScimToken} token - Token
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<ScimToken>} Stored token
+   */
+  async save(token, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query(
+      `INSERT INTO scim_tokens (id, account_id, token_hash, token_prefix, created_by, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (account_id) DO UPDATE
+       SET id = EXCLUDED.id, token_hash = EXCLUDED.token_hash, token_prefix = EXCLUDED.token_prefix,
+           created_by = EXCLUDED.created_by, created_at = EXCLUDED.created_at, last_used_at = NULL
+       RETURNING *`,
+      [token.id, token.accountId, token.tokenHash, token.tokenPrefix, token.createdBy, token.createdAt]
+    );
+
+    return ScimToken.fromDatabaseRow(result.rows[0]);
+  }
+
+  /**
+   * Finds the token of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<ScimToken|null>} Token or null
+   */
+  async findByAccountId(accountId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query('SELECT * FROM scim_tokens WHERE account_id = $1', [accountId]);
+    return result.rows.length > 0 ? ScimToken.fromDatabaseRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Finds a token by the hash of its value
+   * @param {string} tokenHash - SHA-256 of the bearer token
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<ScimToken|null>} Token or null
+   */
+  async findByHash(tokenHash, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query('SELECT * FROM scim_tokens WHERE token_hash = $1', [tokenHash]);
+    return result.rows.length > 0 ? ScimToken.fromDatabaseRow(result.rows[0]) : null;
+  }
+
+  /**
+   * Records the use of a token
+   * @param {string} id - Token ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<void>}
+   */
+  async touch(id, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    await db.query('UPDATE scim_tokens SET last_used_at = NOW() WHERE id = $1', [id]);
+  }
+
+  /**
+   * Deletes the token of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} [dbClient] - Optional database client for transactions
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteByAccountId(accountId, dbClient = null) {
+    const db = dbClient || this.pool;
+
+    const result = await db.query('DELETE FROM scim_tokens WHERE account_id = $1', [accountId]);
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = PostgreSQLScimTokenRepository;
@@ -0,0 +1,34 @@
+class PostgreSQLSecurityEventRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Stores a security event
+   * @param {Object} event - { eventType, severity, accountId, userId, ipAddress, userAgent, details }
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Object>} Stored event row
+   */
+  async create(event, client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `INSERT INTO security_events (event_type, severity, account_id, user_id, ip_address, user_agent, details)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING *`,
+      [
+        event.eventType,
+        event.severity,
+        event.accountId || null,
+        event.userId || null,
+        event.ipAddress || null,
+        event.userAgent || null,
+        JSON.stringify(event.details || {})
+      ]
+    );
+
+    return result.rows[0];
+  }
+}
+
+module.exports = PostgreSQLSecurityEventRepository;
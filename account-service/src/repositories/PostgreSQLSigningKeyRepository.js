@@ -0,0 +1,77 @@
+const SigningKey = require('../models/SigningKey');
+
+// Serializes rotations across instances sharing the database
+const ROTATION_LOCK_KEY = 'signing_keys_rotation';
+
+class PostgreSQLSigningKeyRepository {
+  constructor(pool) {
+    this.pool = pool;
+  }
+
+  /**
+   * Finds the keys that still verify tokens: the active key and retired keys within their grace period
+   * @param {Object} [client] - Optional database client for transactions
+   * @returns {Promise<Array<SigningKey>>} Keys (newest first)
+   */
+  async findVerificationKeys(client = null) {
+    const dbClient = client || this.pool;
+
+    const result = await dbClient.query(
+      `SELECT * FROM signing_keys
+       WHERE status = 'active' OR verify_until > NOW()
+       ORDER BY created_at DESC`
+    );
+
+    return result.rows.map(row => SigningKey.fromDatabaseRow(row));
+  }
+
+  /**
+   * Makes a new key the active one, only if the active key is still the one being replaced
+   * (compare-and-set, so instances finding the same key due rotate it once)
+   * The replaced key is retired with the given grace period and keys past their grace period are deleted.
+   * @param {SigningKey} newKey - Key to activate
+   * @param {Date} verifyUntil - End of the grace period of the key being retired
+   * @param {string|null} replacesKid - kid of the active key being replaced (null if there is none)
+   * @returns {Promise<{ key: SigningKey, rotated: boolean }>} Active key after the call
+   */
+  async rotate(newKey, verifyUntil, replacesKid) {
+    const client = await this.pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [ROTATION_LOCK_KEY]);
+
+      const current = await client.query("SELECT * FROM signing_keys WHERE status = 'active'");
+      if (current.rows.length > 0 && current.rows[0].kid !== replacesKid) {
+        await client.query('ROLLBACK');
+        return { key: SigningKey.fromDatabaseRow(current.rows[0]), rotated: false };
+      }
+
+      await client.query(
+        `UPDATE signing_keys
+         SET status = 'retired', retired_at = CURRENT_TIMESTAMP, verify_until = $1
+         WHERE status = 'active'`,
+        [verifyUntil]
+      );
+
+      await client.query("DELETE FROM signing_keys WHERE status = 'retired' AND verify_until <= NOW()");
+
+      const result = await client.query(
+        `INSERT INTO signing_keys (kid, algorithm, public_key, private_key_encrypted, status)
+         VALUES ($1, $2, $3, $4, 'active')
+         RETURNING *`,
+        [newKey.kid, newKey.algorithm, newKey.publicKey, newKey.privateKeyEncrypted]
+      );
+
+      await client.query('COMMIT');
+      return { key: SigningKey.fromDatabaseRow(result.rows[0]), rotated: true };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }
+}
+
+module.exports = PostgreSQLSigningKeyRepository;
@@ -28,6 +28,10 @@ class PostgreSQLUserRepository {
       firstName: row.first_name || null,
       lastName: row.last_name || null,
       status: row.status || 'active',
+      passwordChangedAt: row.password_changed_at || null,
+      passwordResetRequired: row.password_reset_required || false,
+      externalId: row.external_id || null,
+      profile: row.profile || null,
       createdAt: row.created_at,
       updatedAt: row.updated_at
     });
@@ -40,8 +44,9 @@ class PostgreSQLUserRepository {
    */
   async create(user) {
     const query = `
-      INSERT INTO ${this.tableName} (id, account_id, username, email, password_hash, is_root, first_name, last_name, status, created_at, updated_at)
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      INSERT INTO ${this.tableName} (id, account_id, username, email, password_hash, is_root, first_name, last_name, status,
+                                     password_reset_required, external_id, profile, created_at, updated_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
       RETURNING *
     `;
     
@@ -55,6 +60,9 @@ class PostgreSQLUserRepository {
       user.isRoot ? (user.firstName || null) : null, // Only root users have firstName
       user.isRoot ? (user.lastName || null) : null,  // Only root users have lastName
       user.status || 'active',
+      user.passwordResetRequired || false,
+      user.externalId || null,
+      user.profile ? JSON.stringify(user.profile) : null,
       user.createdAt || new Date(),
       user.updatedAt || new Date()
     ];
@@ -134,6 +142,22 @@ class PostgreSQLUserRepository {
       setClause.push(`status = $${paramIndex++}`);
       values.push(updates.status);
     }
+    if (updates.passwordChangedAt !== undefined) {
+      setClause.push(`password_changed_at = $${paramIndex++}`);
+      values.push(updates.passwordChangedAt);
+    }
+    if (updates.passwordResetRequired !== undefined) {
+      setClause.push(`password_reset_required = $${paramIndex++}`);
+      values.push(updates.passwordResetRequired);
+    }
+    if (updates.externalId !== undefined) {
+      setClause.push(`external_id = $${paramIndex++}`);
+      values.push(updates.externalId);
+    }
+    if (updates.profile !== undefined) {
+      setClause.push(`profile = $${paramIndex++}`);
+      values.push(updates.profile ? JSON.stringify(updates.profile) : null);
+    }
     
     // firstName and lastName only for root users
     if (updates.firstName !== undefined && currentUser.isRoot) {
@@ -9,6 +9,19 @@ const PostgreSQLPolicyRepository = require('./PostgreSQLPolicyRepository');
 const PostgreSQLPolicyAttachmentRepository = require('./PostgreSQLPolicyAttachmentRepository');
 const PostgreSQLRoleRepository = require('./PostgreSQLRoleRepository');
 const { PostgreSQLPermissionRepository } = require('./PostgreSQLPermissionRepository');
+const PostgreSQLOrganizationRepository = require('./PostgreSQLOrganizationRepository');
+const PostgreSQLResourcePolicyRepository = require('./PostgreSQLResourcePolicyRepository');
+const PostgreSQLInlinePolicyRepository = require('./PostgreSQLInlinePolicyRepository');
+const PostgreSQLMfaRepository = require('./PostgreSQLMfaRepository');
+const PostgreSQLAccessKeyRepository = require('./PostgreSQLAccessKeyRepository');
+const PostgreSQLPasswordPolicyRepository = require('./PostgreSQLPasswordPolicyRepository');
+const PostgreSQLRefreshTokenFamilyRepository = require('./PostgreSQLRefreshTokenFamilyRepository');
+const PostgreSQLSecurityEventRepository = require('./PostgreSQLSecurityEventRepository');
+const PostgreSQLSigningKeyRepository = require('./PostgreSQLSigningKeyRepository');
+const PostgreSQLOAuthRepository = require('./PostgreSQLOAuthRepository');
+const PostgreSQLIdentityProviderRepository = require('./PostgreSQLIdentityProviderRepository');
+const PostgreSQLScimTokenRepository = require('./PostgreSQLScimTokenRepository');
+const PostgreSQLAuditEventRepository = require('./PostgreSQLAuditEventRepository');
 
 /**
  * Repository Factory
@@ -103,6 +116,110 @@ class RepositoryFactory {
     return new PostgreSQLPermissionRepository(databaseConfig.pool);
   }
 
+  /**
+   * Get Organization Repository instance (OUs and service control policies)
+   */
+  createOrganizationRepository() {
+    console.log('🐘 Using PostgreSQL Organization Repository');
+    return new PostgreSQLOrganizationRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Resource Policy Repository instance (resource-based policies)
+   */
+  createResourcePolicyRepository() {
+    console.log('🐘 Using PostgreSQL Resource Policy Repository');
+    return new PostgreSQLResourcePolicyRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Inline Policy Repository instance (policies embedded in users, groups and roles)
+   */
+  createInlinePolicyRepository() {
+    console.log('🐘 Using PostgreSQL Inline Policy Repository');
+    return new PostgreSQLInlinePolicyRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get MFA Repository instance (virtual MFA devices and recovery codes)
+   */
+  createMfaRepository() {
+    console.log('🐘 Using PostgreSQL MFA Repository');
+    return new PostgreSQLMfaRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Access Key Repository instance
+   */
+  createAccessKeyRepository() {
+    console.log('🐘 Using PostgreSQL Access Key Repository');
+    return new PostgreSQLAccessKeyRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Password Policy Repository instance (account password policies and password history)
+   */
+  createPasswordPolicyRepository() {
+    console.log('🐘 Using PostgreSQL Password Policy Repository');
+    return new PostgreSQLPasswordPolicyRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Refresh Token Family Repository instance
+   */
+  createRefreshTokenFamilyRepository() {
+    console.log('🐘 Using PostgreSQL Refresh Token Family Repository');
+    return new PostgreSQLRefreshTokenFamilyRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Security Event Repository instance
+   */
+  createSecurityEventRepository() {
+    console.log('🐘 Using PostgreSQL Security Event Repository');
+    return new PostgreSQLSecurityEventRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Signing Key Repository instance (access token signing keys)
+   */
+  createSigningKeyRepository() {
+    console.log('🐘 Using PostgreSQL Signing Key Repository');
+    return new PostgreSQLSigningKeyRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get OAuth Repository instance (OpenID Connect clients, authorization codes and consents)
+   */
+  createOAuthRepository() {
+    console.log('🐘 Using PostgreSQL OAuth Repository');
+    return new PostgreSQLOAuthRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Identity Provider Repository instance (OIDC and SAML federation)
+   */
+  createIdentityProviderRepository() {
+    console.log('🐘 Using PostgreSQL Identity Provider Repository');
+    return new PostgreSQLIdentityProviderRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get SCIM Token Repository instance (provisioning bearer tokens)
+   */
+  createScimTokenRepository() {
+    console.log('🐘 Using PostgreSQL SCIM Token Repository');
+    return new PostgreSQLScimTokenRepository(databaseConfig.pool);
+  }
+
+  /**
+   * Get Audit Event Repository instance (append-only audit trail)
+   */
+  createAuditEventRepository() {
+    console.log('🐘 Using PostgreSQL Audit Event Repository');
+    return new PostgreSQLAuditEventRepository(databaseConfig.pool);
+  }
+
   /**
    * Initialize database connection
    */
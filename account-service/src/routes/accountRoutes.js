@@ -4,6 +4,7 @@ const { AccountController } = require('../controllers/AccountController');
 const { AccountService } = require('../services/AccountService');
 const { repositoryFactory } = require('../repositories/RepositoryFactory');
 const { requirePermission } = require('../middleware/authorization');
+const { auditAction } = require('../middleware/auditMiddleware');
 
 const router = express.Router();
 
@@ -15,7 +16,7 @@ const accountService = new AccountService(accountRepository, userRepository, bcr
 const accountController = new AccountController(accountService);
 
 // Account routes with authorization (except create account which is public)
-router.post('/', accountController.createAccount.bind(accountController)); // Public - create account
+router.post('/', auditAction('iam:CreateAccount'), accountController.createAccount.bind(accountController)); // Public - create account
 
 router.get('/:id', 
   requirePermission('iam', 'GetAccount', (req) => `account/${req.params.id}`),
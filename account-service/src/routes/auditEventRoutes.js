@@ -0,0 +1,28 @@
+const express = require('express');
+const AuditEventController = require('../controllers/AuditEventController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+/**
+ * Create account audit trail routes (mounted under /api/v1/accounts)
+ */
+function createAuditEventRoutes() {
+  const router = express.Router();
+  const auditEventController = new AuditEventController();
+
+  router.use('/:id/audit-events', authMiddleware);
+
+  router.get('/:id/audit-events',
+    requirePermission('iam', 'LookupAuditEvents', (req) => `account/${req.params.id}`),
+    (req, res) => auditEventController.lookupEvents(req, res)
+  );
+
+  router.get('/:id/audit-events/verify',
+    requirePermission('iam', 'VerifyAuditTrail', (req) => `account/${req.params.id}`),
+    (req, res) => auditEventController.verifyChain(req, res)
+  );
+
+  return router;
+}
+
+module.exports = { createAuditEventRoutes };
@@ -4,6 +4,7 @@ const { AuthController } = require('../controllers/AuthController');
 const { AuthService } = require('../services/AuthService');
 const { UserService } = require('../services/UserService');
 const { repositoryFactory } = require('../repositories/RepositoryFactory');
+const { auditAction, skipAudit } = require('../middleware/auditMiddleware');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for auth endpoints
@@ -42,11 +43,13 @@ function createEnhancedAuthRoutes() {
   const authController = new AuthController(authService);
 
   // Authentication endpoints with rate limiting
-  router.post('/login', authLimiter, authController.login.bind(authController));
-  router.post('/login-iam', authLimiter, authController.loginIAM.bind(authController));
-  router.post('/refresh', refreshLimiter, authController.refresh.bind(authController));
-  router.post('/logout', authController.logout.bind(authController));
-  router.post('/validate', authController.validateToken.bind(authController));
+  router.post('/login', authLimiter, auditAction('auth:Login'), authController.login.bind(authController));
+  router.post('/login-iam', authLimiter, auditAction('auth:LoginIAM'), authController.loginIAM.bind(authController));
+
+  // Token plumbing is tracked by the sessions, not by the audit trail
+  router.post('/refresh', refreshLimiter, skipAudit, authController.refresh.bind(authController));
+  router.post('/logout', skipAudit, authController.logout.bind(authController));
+  router.post('/validate', skipAudit, authController.validateToken.bind(authController));
 
   return router;
 }
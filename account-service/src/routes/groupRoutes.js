@@ -1,10 +1,12 @@
 const express = require('express');
 const GroupController = require('../controllers/GroupController');
+const InlinePolicyController = require('../controllers/InlinePolicyController');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { requirePermission, requireGroupManagement, requireGroupAccess } = require('../middleware/authorization');
 
 const router = express.Router();
 const groupController = new GroupController();
+const inlinePolicyController = new InlinePolicyController('group', 'groupId');
 
 // Apply authentication middleware to all routes
 router.use(authMiddleware);
@@ -51,6 +53,27 @@ router.get('/:groupId/users',
   (req, res) => groupController.getGroupUsers(req, res)
 );
 
+// Inline policies - embedded in the group and deleted with it
+router.get('/:groupId/inline-policies', 
+  requirePermission('iam', 'ListGroupPolicies', (req) => `group/${req.params.groupId}`),
+  (req, res) => inlinePolicyController.listInlinePolicies(req, res)
+);
+
+router.get('/:groupId/inline-policies/:policyName', 
+  requirePermission('iam', 'GetGroupPolicy', (req) => `group/${req.params.groupId}`),
+  (req, res) => inlinePolicyController.getInlinePolicy(req, res)
+);
+
+router.put('/:groupId/inline-policies/:policyName', 
+  requirePermission('iam', 'PutGroupPolicy', (req) => `group/${req.params.groupId}`),
+  (req, res) => inlinePolicyController.putInlinePolicy(req, res)
+);
+
+router.delete('/:groupId/inline-policies/:policyName', 
+  requirePermission('iam', 'DeleteGroupPolicy', (req) => `group/${req.params.groupId}`),
+  (req, res) => inlinePolicyController.deleteInlinePolicy(req, res)
+);
+
 // User's groups - can check own groups or need permission to see others
 router.get('/users/:userId/groups', 
   requirePermission('iam', 'GetUser', (req) => `user/${req.params.userId}`),
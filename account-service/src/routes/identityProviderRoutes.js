@@ -0,0 +1,76 @@
+const express = require('express');
+const IdentityProviderController = require('../controllers/IdentityProviderController');
+const IdentityProvider = require('../models/IdentityProvider');
+const { IdentityProviderService } = require('../services/IdentityProviderService');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+/**
+ * Create account identity provider routes (mounted under /api/v1/accounts)
+ */
+function createIdentityProviderRoutes() {
+  const router = express.Router();
+  const identityProviderService = new IdentityProviderService();
+  const oidcProviderController = new IdentityProviderController(IdentityProvider.TYPES.OIDC, identityProviderService);
+  const samlProviderController = new IdentityProviderController(IdentityProvider.TYPES.SAML, identityProviderService);
+
+  // OpenID Connect providers (AssumeRoleWithWebIdentity)
+  router.use('/:id/oidc-providers', authMiddleware);
+
+  router.get('/:id/oidc-providers',
+    requirePermission('iam', 'ListOpenIDConnectProviders', (req) => `account/${req.params.id}`),
+    (req, res) => oidcProviderController.listProviders(req, res)
+  );
+
+  router.post('/:id/oidc-providers',
+    requirePermission('iam', 'CreateOpenIDConnectProvider', (req) => `account/${req.params.id}`),
+    (req, res) => oidcProviderController.createProvider(req, res)
+  );
+
+  router.get('/:id/oidc-providers/:providerId',
+    requirePermission('iam', 'GetOpenIDConnectProvider', (req) => `oidc-provider/${req.params.providerId}`),
+    (req, res) => oidcProviderController.getProvider(req, res)
+  );
+
+  router.put('/:id/oidc-providers/:providerId',
+    requirePermission('iam', 'UpdateOpenIDConnectProvider', (req) => `oidc-provider/${req.params.providerId}`),
+    (req, res) => oidcProviderController.updateProvider(req, res)
+  );
+
+  router.delete('/:id/oidc-providers/:providerId',
+    requirePermission('iam', 'DeleteOpenIDConnectProvider', (req) => `oidc-provider/${req.params.providerId}`),
+    (req, res) => oidcProviderController.deleteProvider(req, res)
+  );
+
+  // SAML providers (AssumeRoleWithSAML)
+  router.use('/:id/saml-providers', authMiddleware);
+
+  router.get('/:id/saml-providers',
+    requirePermission('iam', 'ListSAMLProviders', (req) => `account/${req.params.id}`),
+    (req, res) => samlProviderController.listProviders(req, res)
+  );
+
+  router.post('/:id/saml-providers',
+    requirePermission('iam', 'CreateSAMLProvider', (req) => `account/${req.params.id}`),
+    (req, res) => samlProviderController.createProvider(req, res)
+  );
+
+  router.get('/:id/saml-providers/:providerId',
+    requirePermission('iam', 'GetSAMLProvider', (req) => `saml-provider/${req.params.providerId}`),
+    (req, res) => samlProviderController.getProvider(req, res)
+  );
+
+  router.put('/:id/saml-providers/:providerId',
+    requirePermission('iam', 'UpdateSAMLProvider', (req) => `saml-provider/${req.params.providerId}`),
+    (req, res) => samlProviderController.updateProvider(req, res)
+  );
+
+  router.delete('/:id/saml-providers/:providerId',
+    requirePermission('iam', 'DeleteSAMLProvider', (req) => `saml-provider/${req.params.providerId}`),
+    (req, res) => samlProviderController.deleteProvider(req, res)
+  );
+
+  return router;
+}
+
+module.exports = { createIdentityProviderRoutes };
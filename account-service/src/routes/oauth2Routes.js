@@ -0,0 +1,46 @@
+const express = require('express');
+const bcrypt = require('bcrypt');
+const rateLimit = require('express-rate-limit');
+const OidcController = require('../controllers/OidcController');
+const { OidcProviderService } = require('../services/OidcProviderService');
+const { AuthService } = require('../services/AuthService');
+const { UserService } = require('../services/UserService');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+const { auditAction, skipAudit } = require('../middleware/auditMiddleware');
+
+const tokenLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 token requests per windowMs
+  message: {
+    error: 'slow_down',
+    error_description: 'Too many token requests, please try again later.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+/**
+ * Create the OpenID Connect provider endpoints (mounted under /oauth2)
+ * Clients and the login page call them without an API session: each endpoint authenticates its caller
+ */
+function createOAuth2Routes() {
+  const router = express.Router();
+
+  const userService = new UserService(repositoryFactory.createUserRepository(), bcrypt);
+  const authService = new AuthService(userService, repositoryFactory.pool);
+  const oidcController = new OidcController(new OidcProviderService(authService, userService));
+
+  router.get('/authorize', (req, res) => oidcController.startAuthorization(req, res));
+  router.post('/authorize', auditAction('oauth2:Authorize'), (req, res) => oidcController.authorize(req, res));
+
+  // Token plumbing is tracked by the sessions, not by the audit trail
+  router.post('/token', tokenLimiter, skipAudit, (req, res) => oidcController.token(req, res));
+  router.post('/introspect', skipAudit, (req, res) => oidcController.introspect(req, res));
+  router.post('/revoke', tokenLimiter, skipAudit, (req, res) => oidcController.revoke(req, res));
+  router.get('/userinfo', (req, res) => oidcController.userInfo(req, res));
+  router.post('/userinfo', skipAudit, (req, res) => oidcController.userInfo(req, res));
+
+  return router;
+}
+
+module.exports = { createOAuth2Routes };
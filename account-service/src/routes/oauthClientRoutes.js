@@ -0,0 +1,52 @@
+const express = require('express');
+const OAuthClientController = require('../controllers/OAuthClientController');
+const { OAuthClientService } = require('../services/OAuthClientService');
+const { AuthService } = require('../services/AuthService');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+/**
+ * Create account OAuth client routes (mounted under /api/v1/accounts)
+ */
+function createOAuthClientRoutes() {
+  const router = express.Router();
+  const authService = new AuthService(null, repositoryFactory.pool);
+  const oauthClientController = new OAuthClientController(new OAuthClientService(null, authService));
+
+  router.use('/:id/oauth-clients', authMiddleware);
+
+  router.get('/:id/oauth-clients',
+    requirePermission('iam', 'ListOAuthClients', (req) => `account/${req.params.id}`),
+    (req, res) => oauthClientController.listClients(req, res)
+  );
+
+  router.post('/:id/oauth-clients',
+    requirePermission('iam', 'CreateOAuthClient', (req) => `account/${req.params.id}`),
+    (req, res) => oauthClientController.createClient(req, res)
+  );
+
+  router.get('/:id/oauth-clients/:clientId',
+    requirePermission('iam', 'GetOAuthClient', (req) => `oauth-client/${req.params.clientId}`),
+    (req, res) => oauthClientController.getClient(req, res)
+  );
+
+  router.put('/:id/oauth-clients/:clientId',
+    requirePermission('iam', 'UpdateOAuthClient', (req) => `oauth-client/${req.params.clientId}`),
+    (req, res) => oauthClientController.updateClient(req, res)
+  );
+
+  router.post('/:id/oauth-clients/:clientId/secret',
+    requirePermission('iam', 'UpdateOAuthClient', (req) => `oauth-client/${req.params.clientId}`),
+    (req, res) => oauthClientController.rotateClientSecret(req, res)
+  );
+
+  router.delete('/:id/oauth-clients/:clientId',
+    requirePermission('iam', 'DeleteOAuthClient', (req) => `oauth-client/${req.params.clientId}`),
+    (req, res) => oauthClientController.deleteClient(req, res)
+  );
+
+  return router;
+}
+
+module.exports = { createOAuthClientRoutes };
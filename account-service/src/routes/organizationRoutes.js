@@ -0,0 +1,86 @@
+const express = require('express');
+const OrganizationController = require('../controllers/OrganizationController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+/**
+ * Create organization routes (organizational units and service control policies)
+ * Mounted under /api/v1/accounts; authentication is applied here, only to the organization paths,
+ * so the public account routes sharing the prefix are unaffected
+ */
+function createOrganizationRoutes() {
+  const router = express.Router();
+  const organizationController = new OrganizationController();
+
+  router.use(
+    ['/:id/service-control-policies', '/:id/organizational-units', '/:id/organizational-unit'],
+    authMiddleware
+  );
+
+  // Service control policies in effect for an account
+  router.get('/:id/service-control-policies',
+    requirePermission('organizations', 'ListPoliciesForTarget', (req) => `account/${req.params.id}`),
+    (req, res) => organizationController.listServiceControlPolicies(req, res)
+  );
+
+  router.post('/:id/service-control-policies',
+    requirePermission('organizations', 'CreatePolicy', (req) => `account/${req.params.id}`),
+    (req, res) => organizationController.createAccountServiceControlPolicy(req, res)
+  );
+
+  router.get('/:id/service-control-policies/:policyId',
+    requirePermission('organizations', 'DescribePolicy', (req) => `policy/${req.params.policyId}`),
+    (req, res) => organizationController.getServiceControlPolicy(req, res)
+  );
+
+  router.put('/:id/service-control-policies/:policyId',
+    requirePermission('organizations', 'UpdatePolicy', (req) => `policy/${req.params.policyId}`),
+    (req, res) => organizationController.updateServiceControlPolicy(req, res)
+  );
+
+  router.delete('/:id/service-control-policies/:policyId',
+    requirePermission('organizations', 'DeletePolicy', (req) => `policy/${req.params.policyId}`),
+    (req, res) => organizationController.deleteServiceControlPolicy(req, res)
+  );
+
+  // Organizational units owned by a management account
+  router.get('/:id/organizational-units',
+    requirePermission('organizations', 'ListOrganizationalUnits', 'ou/*'),
+    (req, res) => organizationController.listOrganizationalUnits(req, res)
+  );
+
+  router.post('/:id/organizational-units',
+    requirePermission('organizations', 'CreateOrganizationalUnit', 'ou/*'),
+    (req, res) => organizationController.createOrganizationalUnit(req, res)
+  );
+
+  router.delete('/:id/organizational-units/:ouId',
+    requirePermission('organizations', 'DeleteOrganizationalUnit', (req) => `ou/${req.params.ouId}`),
+    (req, res) => organizationController.deleteOrganizationalUnit(req, res)
+  );
+
+  router.get('/:id/organizational-units/:ouId/service-control-policies',
+    requirePermission('organizations', 'ListPoliciesForTarget', (req) => `ou/${req.params.ouId}`),
+    (req, res) => organizationController.listOrganizationalUnitServiceControlPolicies(req, res)
+  );
+
+  router.post('/:id/organizational-units/:ouId/service-control-policies',
+    requirePermission('organizations', 'CreatePolicy', (req) => `ou/${req.params.ouId}`),
+    (req, res) => organizationController.createOrganizationalUnitServiceControlPolicy(req, res)
+  );
+
+  // Account membership
+  router.put('/:id/organizational-unit',
+    requirePermission('organizations', 'MoveAccount', (req) => `account/${req.params.id}`),
+    (req, res) => organizationController.moveAccount(req, res)
+  );
+
+  router.delete('/:id/organizational-unit',
+    requirePermission('organizations', 'RemoveAccountFromOrganization', (req) => `account/${req.params.id}`),
+    (req, res) => organizationController.removeAccount(req, res)
+  );
+
+  return router;
+}
+
+module.exports = { createOrganizationRoutes };
@@ -0,0 +1,33 @@
+const express = require('express');
+const PasswordPolicyController = require('../controllers/PasswordPolicyController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+/**
+ * Create account password policy routes (mounted under /api/v1/accounts)
+ */
+function createPasswordPolicyRoutes() {
+  const router = express.Router();
+  const passwordPolicyController = new PasswordPolicyController();
+
+  router.use('/:id/password-policy', authMiddleware);
+
+  router.get('/:id/password-policy',
+    requirePermission('iam', 'GetAccountPasswordPolicy', (req) => `account/${req.params.id}`),
+    (req, res) => passwordPolicyController.getPasswordPolicy(req, res)
+  );
+
+  router.put('/:id/password-policy',
+    requirePermission('iam', 'UpdateAccountPasswordPolicy', (req) => `account/${req.params.id}`),
+    (req, res) => passwordPolicyController.updatePasswordPolicy(req, res)
+  );
+
+  router.delete('/:id/password-policy',
+    requirePermission('iam', 'DeleteAccountPasswordPolicy', (req) => `account/${req.params.id}`),
+    (req, res) => passwordPolicyController.deletePasswordPolicy(req, res)
+  );
+
+  return router;
+}
+
+module.exports = { createPasswordPolicyRoutes };
@@ -40,6 +40,27 @@ router.delete('/:policyId',
   (req, res) => policyController.deletePolicy(req, res)
 );
 
+// Policy versions - the default version is the one evaluated
+router.get('/:policyId/versions', 
+  requirePermission('iam', 'ListPolicyVersions', (req) => `policy/${req.params.policyId}`),
+  (req, res) => policyController.listPolicyVersions(req, res)
+);
+
+router.get('/:policyId/versions/:versionId', 
+  requirePermission('iam', 'GetPolicyVersion', (req) => `policy/${req.params.policyId}`),
+  (req, res) => policyController.getPolicyVersion(req, res)
+);
+
+router.put('/:policyId/default-version', 
+  requirePermission('iam', 'SetDefaultPolicyVersion', (req) => `policy/${req.params.policyId}`),
+  (req, res) => policyController.setDefaultPolicyVersion(req, res)
+);
+
+router.delete('/:policyId/versions/:versionId', 
+  requirePermission('iam', 'DeletePolicyVersion', (req) => `policy/${req.params.policyId}`),
+  (req, res) => policyController.deletePolicyVersion(req, res)
+);
+
 // Policy attachment operations with authorization
 router.post('/:policyId/attach-user', 
   requirePermission('iam', 'AttachUserPolicy', (req) => `policy/${req.params.policyId}`),
@@ -72,10 +93,40 @@ router.get('/groups/:groupId/policies',
   (req, res) => policyController.getGroupPolicies(req, res)
 );
 
+// Permissions boundaries - cap what a user's identity policies can grant
+router.get('/users/:userId/permissions-boundary', 
+  requirePermission('iam', 'GetUser', (req) => `user/${req.params.userId}`),
+  (req, res) => policyController.getUserPermissionsBoundary(req, res)
+);
+
+router.put('/users/:userId/permissions-boundary', 
+  requirePermission('iam', 'PutUserPermissionsBoundary', (req) => `user/${req.params.userId}`),
+  (req, res) => policyController.putUserPermissionsBoundary(req, res)
+);
+
+router.delete('/users/:userId/permissions-boundary', 
+  requirePermission('iam', 'DeleteUserPermissionsBoundary', (req) => `user/${req.params.userId}`),
+  (req, res) => policyController.deleteUserPermissionsBoundary(req, res)
+);
+
 // Policy validation - requires policy management permission
 router.post('/validate', 
   requirePermission('iam', 'ValidatePolicy', 'policy/*'),
   (req, res) => policyController.validatePolicyDocument(req, res)
 );
 
+// Policy simulation - requires permission on the simulated principal
+router.post('/simulate', 
+  requirePermission('iam', 'SimulatePrincipalPolicy', (req) => {
+    const principal = req.body.principal || {};
+    return principal.type && principal.id ? `${principal.type}/${principal.id}` : '*';
+  }),
+  (req, res) => policyController.simulatePolicy(req, res)
+);
+
+// Access evaluation for the caller itself (used by downstream services) - no extra permission needed
+router.post('/evaluate', 
+  (req, res) => policyController.evaluateAccess(req, res)
+);
+
 module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const ResourcePolicyController = require('../controllers/ResourcePolicyController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+const router = express.Router();
+const resourcePolicyController = new ResourcePolicyController();
+
+// Apply authentication middleware to all routes
+router.use(authMiddleware);
+
+// Resource policy operations with authorization
+router.put('/', 
+  requirePermission('iam', 'PutResourcePolicy', 'resource-policy/*'),
+  (req, res) => resourcePolicyController.putResourcePolicy(req, res)
+);
+
+router.get('/', 
+  requirePermission('iam', 'ListResourcePolicies', 'resource-policy/*'),
+  (req, res) => resourcePolicyController.listResourcePolicies(req, res)
+);
+
+router.get('/:policyId', 
+  requirePermission('iam', 'GetResourcePolicy', (req) => `resource-policy/${req.params.policyId}`),
+  (req, res) => resourcePolicyController.getResourcePolicy(req, res)
+);
+
+router.delete('/:policyId', 
+  requirePermission('iam', 'DeleteResourcePolicy', (req) => `resource-policy/${req.params.policyId}`),
+  (req, res) => resourcePolicyController.deleteResourcePolicy(req, res)
+);
+
+module.exports = router;
@@ -1,12 +1,36 @@
 const express = require('express');
+const rateLimit = require('express-rate-limit');
 const RoleController = require('../controllers/RoleController');
+const InlinePolicyController = require('../controllers/InlinePolicyController');
 const { authMiddleware } = require('../middleware/authMiddleware');
 const { requirePermission } = require('../middleware/authorization');
+const { auditAction } = require('../middleware/auditMiddleware');
 
 const router = express.Router();
 const roleController = new RoleController();
+const inlinePolicyController = new InlinePolicyController('role', 'roleId');
 
-// Apply authentication middleware to all routes
+const federationLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 30, // limit each IP to 30 federated role assumptions per windowMs
+  message: {
+    success: false,
+    error: 'Too many role assumption requests, please try again later.',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Identity federation: the ID token or SAML assertion is the credential, no API session is needed
+router.post('/:roleId/assume-with-web-identity', federationLimiter, auditAction('sts:AssumeRoleWithWebIdentity'),
+  (req, res) => roleController.assumeRoleWithWebIdentity(req, res)
+);
+
+router.post('/:roleId/assume-with-saml', federationLimiter, auditAction('sts:AssumeRoleWithSAML'),
+  (req, res) => roleController.assumeRoleWithSAML(req, res)
+);
+
+// Apply authentication middleware to all other routes
 router.use(authMiddleware);
 
 // Role CRUD operations with authorization
@@ -51,6 +75,43 @@ router.get('/:roleId/policies',
   (req, res) => roleController.getRolePolicies(req, res)
 );
 
+// Inline policies - embedded in the role and deleted with it
+router.get('/:roleId/inline-policies', 
+  requirePermission('iam', 'ListRolePolicies', (req) => `role/${req.params.roleId}`),
+  (req, res) => inlinePolicyController.listInlinePolicies(req, res)
+);
+
+router.get('/:roleId/inline-policies/:policyName', 
+  requirePermission('iam', 'GetRolePolicy', (req) => `role/${req.params.roleId}`),
+  (req, res) => inlinePolicyController.getInlinePolicy(req, res)
+);
+
+router.put('/:roleId/inline-policies/:policyName', 
+  requirePermission('iam', 'PutRolePolicy', (req) => `role/${req.params.roleId}`),
+  (req, res) => inlinePolicyController.putInlinePolicy(req, res)
+);
+
+router.delete('/:roleId/inline-policies/:policyName', 
+  requirePermission('iam', 'DeleteRolePolicy', (req) => `role/${req.params.roleId}`),
+  (req, res) => inlinePolicyController.deleteInlinePolicy(req, res)
+);
+
+// Permissions boundary - caps what the role policies can grant
+router.get('/:roleId/permissions-boundary', 
+  requirePermission('iam', 'GetRole', (req) => `role/${req.params.roleId}`),
+  (req, res) => roleController.getRolePermissionsBoundary(req, res)
+);
+
+router.put('/:roleId/permissions-boundary', 
+  requirePermission('iam', 'PutRolePermissionsBoundary', (req) => `role/${req.params.roleId}`),
+  (req, res) => roleController.putRolePermissionsBoundary(req, res)
+);
+
+router.delete('/:roleId/permissions-boundary', 
+  requirePermission('iam', 'DeleteRolePermissionsBoundary', (req) => `role/${req.params.roleId}`),
+  (req, res) => roleController.deleteRolePermissionsBoundary(req, res)
+);
+
 // Role assumption operations with authorization
 router.post('/:roleId/assume', 
   requirePermission('sts', 'AssumeRole', (req) => `role/${req.params.roleId}`),
@@ -63,6 +124,11 @@ router.get('/:roleId/sessions',
 );
 
 // Session management with authorization
+router.get('/sessions/:sessionId', 
+  requirePermission('sts', 'GetSession', (req) => `session/${req.params.sessionId}`),
+  (req, res) => roleController.getRoleSession(req, res)
+);
+
 router.delete('/sessions/:sessionId', 
   requirePermission('sts', 'RevokeSession', (req) => `session/${req.params.sessionId}`),
   (req, res) => roleController.revokeRoleSession(req, res)
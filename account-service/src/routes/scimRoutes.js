@@ -0,0 +1,53 @@
+const express = require('express');
+const ScimController = require('../controllers/ScimController');
+const { ScimService } = require('../services/ScimService');
+const { AuthService } = require('../services/AuthService');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+const { auditAction } = require('../middleware/auditMiddleware');
+
+/**
+ * Create SCIM 2.0 provisioning routes (mounted under /scim/v2)
+ * Users and Groups are authenticated with the SCIM token of the account; the discovery endpoints are public.
+ */
+function createScimRoutes() {
+  const router = express.Router();
+  const authService = new AuthService(null, repositoryFactory.pool);
+  const scimController = new ScimController(new ScimService(null, null, null, authService));
+
+  // SCIM clients send application/scim+json (application/json is parsed by the app)
+  router.use(express.json({ type: 'application/scim+json', limit: '1mb' }));
+
+  router.get('/ServiceProviderConfig', (req, res) => scimController.getServiceProviderConfig(req, res));
+  router.get('/ResourceTypes', (req, res) => scimController.listResourceTypes(req, res));
+  router.get('/ResourceTypes/:resourceTypeId', (req, res) => scimController.getResourceType(req, res));
+  router.get('/Schemas', (req, res) => scimController.listSchemas(req, res));
+  router.get('/Schemas/:schemaId', (req, res) => scimController.getSchema(req, res));
+
+  router.use(['/Users', '/Groups'], (req, res, next) => scimController.authenticate(req, res, next));
+
+  router.get('/Users', (req, res) => scimController.listUsers(req, res));
+  router.post('/Users', auditAction('scim:CreateUser'), (req, res) => scimController.createUser(req, res));
+  router.get('/Users/:userId', (req, res) => scimController.getUser(req, res));
+  router.put('/Users/:userId', auditAction('scim:ReplaceUser'), (req, res) => scimController.replaceUser(req, res));
+  router.patch('/Users/:userId', auditAction('scim:PatchUser'), (req, res) => scimController.patchUser(req, res));
+  router.delete('/Users/:userId', auditAction('scim:DeleteUser'), (req, res) => scimController.deleteUser(req, res));
+
+  router.get('/Groups', (req, res) => scimController.listGroups(req, res));
+  router.post('/Groups', auditAction('scim:CreateGroup'), (req, res) => scimController.createGroup(req, res));
+  router.get('/Groups/:groupId', (req, res) => scimController.getGroup(req, res));
+  router.put('/Groups/:groupId', auditAction('scim:ReplaceGroup'), (req, res) => scimController.replaceGroup(req, res));
+  router.patch('/Groups/:groupId', auditAction('scim:PatchGroup'), (req, res) => scimController.patchGroup(req, res));
+  router.delete('/Groups/:groupId', auditAction('scim:DeleteGroup'), (req, res) => scimController.deleteGroup(req, res));
+
+  // Malformed JSON bodies are SCIM errors too
+  router.use((error, req, res, next) => {
+    if (error.type === 'entity.parse.failed') {
+      return scimController.sendError(res, 400, 'invalidSyntax', 'Request body is not valid JSON');
+    }
+    next(error);
+  });
+
+  return router;
+}
+
+module.exports = { createScimRoutes };
@@ -0,0 +1,33 @@
+const express = require('express');
+const ScimTokenController = require('../controllers/ScimTokenController');
+const { authMiddleware } = require('../middleware/authMiddleware');
+const { requirePermission } = require('../middleware/authorization');
+
+/**
+ * Create account SCIM token routes (mounted under /api/v1/accounts)
+ */
+function createScimTokenRoutes() {
+  const router = express.Router();
+  const scimTokenController = new ScimTokenController();
+
+  router.use('/:id/scim-token', authMiddleware);
+
+  router.get('/:id/scim-token',
+    requirePermission('iam', 'GetSCIMToken', (req) => `account/${req.params.id}`),
+    (req, res) => scimTokenController.getToken(req, res)
+  );
+
+  router.post('/:id/scim-token',
+    requirePermission('iam', 'CreateSCIMToken', (req) => `account/${req.params.id}`),
+    (req, res) => scimTokenController.createToken(req, res)
+  );
+
+  router.delete('/:id/scim-token',
+    requirePermission('iam', 'DeleteSCIMToken', (req) => `account/${req.params.id}`),
+    (req, res) => scimTokenController.deleteToken(req, res)
+  );
+
+  return router;
+}
+
+module.exports = { createScimTokenRoutes };
@@ -1,9 +1,19 @@
 const express = require('express');
 const bcrypt = require('bcrypt');
 const { UserController } = require('../controllers/UserController');
+const InlinePolicyController = require('../controllers/InlinePolicyController');
+const MfaController = require('../controllers/MfaController');
+const AccessKeyController = require('../controllers/AccessKeyController');
+const LoginLockoutController = require('../controllers/LoginLockoutController');
+const SessionController = require('../controllers/SessionController');
+const OidcController = require('../controllers/OidcController');
 const { UserService } = require('../services/UserService');
+const { AuthService } = require('../services/AuthService');
+const { OidcProviderService } = require('../services/OidcProviderService');
 const { repositoryFactory } = require('../repositories/RepositoryFactory');
 const { requirePermission, requireUserManagement, requireUserAccess } = require('../middleware/authorization');
+const { requireRoot } = require('../middleware/authMiddleware');
+const { auditAction } = require('../middleware/auditMiddleware');
 
 /**
  * Create user routes with full CRUD operations
@@ -15,6 +25,14 @@ function createUserRoutes() {
   const userRepository = repositoryFactory.createUserRepository();
   const userService = new UserService(userRepository, bcrypt);
   const userController = new UserController(userService);
+  const inlinePolicyController = new InlinePolicyController('user', 'id');
+  const mfaController = new MfaController();
+  const accessKeyController = new AccessKeyController();
+  const loginLockoutController = new LoginLockoutController();
+  const sessionController = new SessionController();
+  const oidcController = new OidcController(
+    new OidcProviderService(new AuthService(userService, repositoryFactory.pool), userService)
+  );
 
   // User CRUD endpoints with authorization
   router.get('/', 
@@ -24,6 +42,51 @@ function createUserRoutes() {
   router.get('/roles', 
     userController.getCurrentUserRoles.bind(userController)
   );
+
+  // MFA device of the current user (before /:id so 'mfa' is not taken as a user ID)
+  router.get('/mfa', 
+    mfaController.getStatus.bind(mfaController)
+  );
+
+  router.post('/mfa/enroll', 
+    auditAction('iam:CreateVirtualMFADevice'),
+    mfaController.enroll.bind(mfaController)
+  );
+
+  router.post('/mfa/activate', 
+    auditAction('iam:EnableMFADevice'),
+    mfaController.activate.bind(mfaController)
+  );
+
+  router.post('/mfa/recovery-codes', 
+    auditAction('iam:RegenerateMFARecoveryCodes'),
+    mfaController.regenerateRecoveryCodes.bind(mfaController)
+  );
+
+  // Sessions (refresh token families) of the current user
+  router.get('/sessions', 
+    sessionController.listSessions.bind(sessionController)
+  );
+
+  router.delete('/sessions', 
+    auditAction('auth:RevokeOtherSessions'),
+    sessionController.revokeOtherSessions.bind(sessionController)
+  );
+
+  router.delete('/sessions/:sessionId', 
+    auditAction('auth:RevokeSession'),
+    sessionController.revokeSession.bind(sessionController)
+  );
+
+  // OAuth clients the current user consented to
+  router.get('/oauth-consents', 
+    oidcController.listConsents.bind(oidcController)
+  );
+
+  router.delete('/oauth-consents/:clientId', 
+    auditAction('oauth2:RevokeConsent'),
+    oidcController.revokeConsent.bind(oidcController)
+  );
   
   router.post('/', 
     requireUserManagement(),
@@ -44,12 +107,82 @@ function createUserRoutes() {
     requirePermission('iam', 'UpdateUserPassword', (req) => `user/${req.params.id}`),
     userController.updateUserPassword.bind(userController)
   );
+
+  router.post('/:id/password/reset', 
+    requirePermission('iam', 'UpdateLoginProfile', (req) => `user/${req.params.id}`),
+    userController.resetUserPassword.bind(userController)
+  );
   
   router.delete('/:id', 
     requirePermission('iam', 'DeleteUser', (req) => `user/${req.params.id}`),
     userController.deleteUser.bind(userController)
   );
 
+  // Inline policies - embedded in the user and deleted with it
+  router.get('/:id/inline-policies', 
+    requirePermission('iam', 'ListUserPolicies', (req) => `user/${req.params.id}`),
+    inlinePolicyController.listInlinePolicies.bind(inlinePolicyController)
+  );
+
+  router.get('/:id/inline-policies/:policyName', 
+    requirePermission('iam', 'GetUserPolicy', (req) => `user/${req.params.id}`),
+    inlinePolicyController.getInlinePolicy.bind(inlinePolicyController)
+  );
+
+  router.put('/:id/inline-policies/:policyName', 
+    requirePermission('iam', 'PutUserPolicy', (req) => `user/${req.params.id}`),
+    inlinePolicyController.putInlinePolicy.bind(inlinePolicyController)
+  );
+
+  router.delete('/:id/inline-policies/:policyName', 
+    requirePermission('iam', 'DeleteUserPolicy', (req) => `user/${req.params.id}`),
+    inlinePolicyController.deleteInlinePolicy.bind(inlinePolicyController)
+  );
+
+
+  // Access keys - at most two per user, used to sign requests instead of a Bearer token
+  router.get('/:id/access-keys', 
+    requirePermission('iam', 'ListAccessKeys', (req) => `user/${req.params.id}`),
+    accessKeyController.listAccessKeys.bind(accessKeyController)
+  );
+
+  router.post('/:id/access-keys', 
+    requirePermission('iam', 'CreateAccessKey', (req) => `user/${req.params.id}`),
+    accessKeyController.createAccessKey.bind(accessKeyController)
+  );
+
+  router.put('/:id/access-keys/:accessKeyId', 
+    requirePermission('iam', 'UpdateAccessKey', (req) => `user/${req.params.id}`),
+    accessKeyController.updateAccessKey.bind(accessKeyController)
+  );
+
+  router.delete('/:id/access-keys/:accessKeyId', 
+    requirePermission('iam', 'DeleteAccessKey', (req) => `user/${req.params.id}`),
+    accessKeyController.deleteAccessKey.bind(accessKeyController)
+  );
+
+  // MFA device of another user - only root can deactivate it (e.g. lost device)
+  router.get('/:id/mfa', 
+    requirePermission('iam', 'ListMFADevices', (req) => `user/${req.params.id}`),
+    mfaController.getUserStatus.bind(mfaController)
+  );
+
+  router.delete('/:id/mfa', 
+    requireRoot,
+    mfaController.deactivate.bind(mfaController)
+  );
+
+  // Failed login attempts and lockout (admin unlock)
+  router.get('/:id/login-lockout', 
+    requirePermission('iam', 'GetLoginProfile', (req) => `user/${req.params.id}`),
+    loginLockoutController.getLockout.bind(loginLockoutController)
+  );
+
+  router.delete('/:id/login-lockout', 
+    requirePermission('iam', 'UpdateLoginProfile', (req) => `user/${req.params.id}`),
+    loginLockoutController.unlock.bind(loginLockoutController)
+  );
+
   return router;
 }
 
@@ -0,0 +1,17 @@
+const express = require('express');
+const WellKnownController = require('../controllers/WellKnownController');
+
+/**
+ * Create public discovery routes (mounted under /.well-known)
+ */
+function createWellKnownRoutes() {
+  const router = express.Router();
+  const wellKnownController = new WellKnownController();
+
+  router.get('/jwks.json', (req, res) => wellKnownController.getJwks(req, res));
+  router.get('/openid-configuration', (req, res) => wellKnownController.getOpenIdConfiguration(req, res));
+
+  return router;
+}
+
+module.exports = { createWellKnownRoutes };
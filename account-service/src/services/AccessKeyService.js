@@ -0,0 +1,233 @@
+const AccessKey = require('../models/AccessKey');
+const { RequestSigner } = require('../utils/RequestSigner');
+const { SecretCipher } = require('../utils/SecretCipher');
+const { Transaction } = require('../utils/Transaction');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+// Signed requests are rejected when X-Amz-Date is further than this from the server clock
+const MAX_CLOCK_SKEW_SECONDS = 5 * 60;
+
+/**
+ * Service for access keys of IAM users and authentication of signed requests
+ */
+class AccessKeyService {
+  constructor(accessKeyRepository = null, userRepository = null, secretCipher = null) {
+    this.accessKeyRepository = accessKeyRepository || repositoryFactory.createAccessKeyRepository();
+    this.userRepository = userRepository || repositoryFactory.createUserRepository();
+    this.secretCipher = secretCipher || new SecretCipher();
+  }
+
+  /**
+   * Creates an access key for a user (at most two per user)
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} { accessKey, secretAccessKey } - the secret is only returned here
+   */
+  async createAccessKey(userId, accountId) {
+    await this.getUser(userId, accountId);
+
+    const secretAccessKey = AccessKey.generateSecretAccessKey();
+    const accessKey = new AccessKey({
+      accountId,
+      userId,
+      accessKeyId: AccessKey.generateAccessKeyId(),
+      encryptedSecret: this.secretCipher.encrypt(secretAccessKey)
+    });
+
+    const created = await Transaction.execute(async (transaction) => {
+      // Serializes concurrent creations for the user before counting its keys
+      await this.accessKeyRepository.lockUserKeys(userId, transaction);
+
+      const existing = await this.accessKeyRepository.findByUserId(userId, accountId, transaction);
+      if (existing.length >= AccessKey.MAX_KEYS_PER_USER) {
+        const error = new Error(`A user can have at most ${AccessKey.MAX_KEYS_PER_USER} access keys`);
+        error.code = 'ACCESS_KEY_LIMIT_EXCEEDED';
+        throw error;
+      }
+
+      return await this.accessKeyRepository.create(accessKey, transaction);
+    });
+
+    return { accessKey: created, secretAccessKey };
+  }
+
+  /**
+   * Lists the access keys of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<AccessKey>>} Access keys
+   */
+  async listAccessKeys(userId, accountId) {
+    await this.getUser(userId, accountId);
+    return await this.accessKeyRepository.findByUserId(userId, accountId);
+  }
+
+  /**
+   * Activates or deactivates an access key
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} accessKeyId - Access key ID
+   * @param {string} status - 'Active' or 'Inactive'
+   * @returns {Promise<AccessKey>} Updated access key
+   */
+  async updateAccessKeyStatus(userId, accountId, accessKeyId, status) {
+    if (!Object.values(AccessKey.STATUS).includes(status)) {
+      const error = new Error('Validation failed');
+      error.code = 'VALIDATION_ERROR';
+      error.details = [`status must be one of: ${Object.values(AccessKey.STATUS).join(', ')}`];
+      throw error;
+    }
+
+    const accessKey = await this.accessKeyRepository.updateStatus(accessKeyId, userId, accountId, status);
+    if (!accessKey) {
+      throw this.notFound();
+    }
+
+    return accessKey;
+  }
+
+  /**
+   * Deletes an access key
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} accessKeyId - Access key ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteAccessKey(userId, accountId, accessKeyId) {
+    const deleted = await this.accessKeyRepository.delete(accessKeyId, userId, accountId);
+    if (!deleted) {
+      throw this.notFound();
+    }
+
+    return true;
+  }
+
+  /**
+   * Authenticates a request signed with an access key
+   * @param {Object} request - Incoming request
+   * @param {string} request.method - HTTP method
+   * @param {string} request.path - Path without query
+   * @param {string} request.query - Raw query string
+   * @param {Object} request.headers - Headers (lowercase names)
+   * @param {Buffer|string} [request.body] - Raw body
+   * @param {string} [request.sourceIp] - Client IP (recorded as last use)
+   * @returns {Promise<Object>} { user, accessKey }
+   */
+  async authenticateRequest(request) {
+    let accessKey = null;
+    const credential = await this.verifySignedRequest(request, async (accessKeyId) => {
+      accessKey = await this.accessKeyRepository.findByAccessKeyId(accessKeyId);
+      if (!accessKey || !accessKey.isActive()) {
+        throw this.authError('The access key ID does not exist or is inactive', 'INVALID_ACCESS_KEY');
+      }
+      return this.secretCipher.decrypt(accessKey.encryptedSecret);
+    });
+
+    const user = await this.userRepository.findById(accessKey.userId);
+    if (!user || user.accountId !== accessKey.accountId || user.status !== 'active') {
+      throw this.authError('The access key ID does not exist or is inactive', 'INVALID_ACCESS_KEY');
+    }
+
+    // Last-used tracking must never fail an authenticated request
+    try {
+      await this.accessKeyRepository.recordUsage(accessKey.accessKeyId, {
+        service: credential.service,
+        region: credential.region,
+        sourceIp: request.sourceIp
+      });
+    } catch (error) {
+      console.error('Failed to record access key usage:', error.message);
+    }
+
+    return { user, accessKey };
+  }
+
+  /**
+   * Verifies the signature of a request (access keys and role session credentials)
+   * The cheap checks (date, clock skew, payload hash) run before the secret is looked up
+   * @param {Object} request - Incoming request (see authenticateRequest)
+   * @param {Function} getSecretAccessKey - async (accessKeyId) => secret; throws if the key is unknown
+   * @param {Object} [options] - Verification options
+   * @param {Array<string>} [options.requiredSignedHeaders] - Headers the signature must cover
+   * @returns {Promise<Object>} Parsed credential (RequestSigner.parseAuthorization)
+   * @throws {Error} INCOMPLETE_SIGNATURE, REQUEST_EXPIRED or SIGNATURE_MISMATCH
+   */
+  async verifySignedRequest(request, getSecretAccessKey, options = {}) {
+    const credential = RequestSigner.parseAuthorization(request.headers.authorization);
+
+    const missingHeaders = (options.requiredSignedHeaders || [])
+      .filter(header => !credential.signedHeaders.includes(header));
+    if (missingHeaders.length > 0) {
+      throw this.authError(`SignedHeaders must include ${missingHeaders.join(', ')}`, 'INCOMPLETE_SIGNATURE');
+    }
+
+    const amzDate = request.headers['x-amz-date'];
+    const signedAt = RequestSigner.parseAmzDate(amzDate);
+    if (!signedAt || amzDate.slice(0, 8) !== credential.date) {
+      throw this.authError('X-Amz-Date is missing, malformed or does not match the credential scope', 'INCOMPLETE_SIGNATURE');
+    }
+
+    if (Math.abs(Date.now() - signedAt.getTime()) > MAX_CLOCK_SKEW_SECONDS * 1000) {
+      throw this.authError(
+        `Signature expired: request time ${amzDate} differs from server time by more than ${MAX_CLOCK_SKEW_SECONDS} seconds`,
+        'REQUEST_EXPIRED'
+      );
+    }
+
+    const payloadHash = RequestSigner.hash(request.body);
+    const declaredHash = request.headers['x-amz-content-sha256'];
+    if (declaredHash && declaredHash !== payloadHash) {
+      throw this.authError('X-Amz-Content-Sha256 does not match the request body', 'SIGNATURE_MISMATCH');
+    }
+
+    const secretAccessKey = await getSecretAccessKey(credential.accessKeyId);
+
+    const canonicalRequest = RequestSigner.buildCanonicalRequest(
+      { method: request.method, path: request.path, query: request.query, headers: request.headers, payloadHash },
+      credential.signedHeaders
+    );
+    const expected = RequestSigner.computeSignature(
+      secretAccessKey,
+      credential.scope,
+      RequestSigner.buildStringToSign(amzDate, credential.scope, canonicalRequest)
+    );
+
+    if (!RequestSigner.safeEqual(expected, credential.signature)) {
+      throw this.authError('The request signature does not match the signature computed with the access key', 'SIGNATURE_MISMATCH');
+    }
+
+    return credential;
+  }
+
+  /**
+   * Gets a user of the account
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} User
+   */
+  async getUser(userId, accountId) {
+    const user = await this.userRepository.findById(userId);
+    if (!user || user.accountId !== accountId) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+    return user;
+  }
+
+  notFound() {
+    const error = new Error('Access key not found');
+    error.code = 'ACCESS_KEY_NOT_FOUND';
+    return error;
+  }
+
+  authError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+AccessKeyService.MAX_CLOCK_SKEW_SECONDS = MAX_CLOCK_SKEW_SECONDS;
+
+module.exports = { AccessKeyService };
@@ -0,0 +1,245 @@
+const AuditEvent = require('../models/AuditEvent');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+const VERIFY_BATCH_SIZE = 500;
+
+// Request parameters whose values are never stored
+const SECRET_PARAMETER_PATTERN = /password|secret|token|assertion|samlresponse|credential|privatekey|code$|code\d+$|code_verifier/i;
+const REDACTED = '[REDACTED]';
+const MAX_PARAMETER_LENGTH = 4096;
+const MAX_PARAMETER_DEPTH = 10;
+
+const DECISIONS = ['Allow', 'Deny'];
+
+/**
+ * Audit trail of IAM mutations and authorization decisions
+ * Recording never fails the request being audited: if the event cannot be stored it is written to the log.
+ */
+class AuditService {
+  constructor(auditEventRepository = null) {
+    this.auditEventRepository = auditEventRepository || repositoryFactory.createAuditEventRepository();
+  }
+
+  /**
+   * Records an event at the end of the chain of its account
+   * @param {Object} data - Event data (see AuditEvent); requestParameters are redacted here
+   * @returns {Promise<AuditEvent|null>} Stored event, or null if it could not be stored
+   */
+  async record(data) {
+    const event = new AuditEvent({
+      ...data,
+      actor: this.sanitize(data.actor || { type: 'Anonymous' }, false),
+      requestParameters: this.sanitize(data.requestParameters || {}, true)
+    });
+
+    try {
+      return await this.auditEventRepository.append(event);
+    } catch (error) {
+      console.error('❌ Failed to store audit event:', error.message, JSON.stringify({
+        accountId: event.accountId,
+        action: event.action,
+        actor: event.actor,
+        responseStatus: event.responseStatus,
+        decision: event.decision
+      }));
+      return null;
+    }
+  }
+
+  /**
+   * Looks up the events of an account, newest first
+   * @param {string} accountId - Account ID
+   * @param {Object} query - startTime, endTime, actor, action, resource, decision, limit, nextToken
+   * @returns {Promise<Object>} { events, nextToken } (nextToken is null on the last page)
+   * @throws {Error} INVALID_AUDIT_QUERY
+   */
+  async lookupEvents(accountId, query = {}) {
+    const filters = {
+      startTime: this.readTime(query.startTime, 'startTime'),
+      endTime: this.readTime(query.endTime, 'endTime'),
+      actor: this.readFilter(query.actor, 'actor'),
+      action: this.readFilter(query.action, 'action'),
+      resource: this.readFilter(query.resource, 'resource'),
+      decision: this.readFilter(query.decision, 'decision'),
+      beforeSequence: this.decodeNextToken(query.nextToken)
+    };
+
+    if (filters.decision && !DECISIONS.includes(filters.decision)) {
+      throw this.invalidQuery(`decision must be one of: ${DECISIONS.join(', ')}`);
+    }
+    if (filters.startTime && filters.endTime && filters.startTime > filters.endTime) {
+      throw this.invalidQuery('startTime must be before endTime');
+    }
+
+    const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      throw this.invalidQuery(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+
+    // One extra event tells whether there is another page
+    const events = await this.auditEventRepository.find(accountId, { ...filters, limit: limit + 1 });
+    const page = events.slice(0, limit);
+
+    return {
+      events: page,
+      nextToken: events.length > limit ? this.encodeNextToken(page[page.length - 1].sequence) : null
+    };
+  }
+
+  /**
+   * Verifies the hash chain of an account from its first event
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} { valid, eventCount, headSequence, headHash } and, when the chain is broken,
+   *   { invalidSequence, reason } for the first event that does not verify
+   */
+  async verifyChain(accountId) {
+    let previous = null;
+    let eventCount = 0;
+
+    for (;;) {
+      const events = await this.auditEventRepository.findChain(accountId, previous ? previous.sequence : 0, VERIFY_BATCH_SIZE);
+
+      for (const event of events) {
+        const reason = this.findChainError(event, previous);
+        if (reason) {
+          return {
+            valid: false,
+            eventCount,
+            headSequence: previous ? previous.sequence : 0,
+            headHash: previous ? previous.hash : AuditEvent.GENESIS_HASH,
+            invalidSequence: event.sequence,
+            reason
+          };
+        }
+
+        previous = event;
+        eventCount++;
+      }
+
+      if (events.length < VERIFY_BATCH_SIZE) {
+        break;
+      }
+    }
+
+    return {
+      valid: true,
+      eventCount,
+      headSequence: previous ? previous.sequence : 0,
+      headHash: previous ? previous.hash : AuditEvent.GENESIS_HASH
+    };
+  }
+
+  findChainError(event, previous) {
+    const expectedSequence = previous ? previous.sequence + 1 : 1;
+    if (event.sequence !== expectedSequence) {
+      return `Expected sequence ${expectedSequence}: events are missing`;
+    }
+    if (event.previousHash !== (previous ? previous.hash : AuditEvent.GENESIS_HASH)) {
+      return 'previousHash does not match the hash of the previous event';
+    }
+    if (event.computeHash() !== event.hash) {
+      return 'The event does not match its hash';
+    }
+    return null;
+  }
+
+  /**
+   * Copies a value as plain JSON: secrets are redacted (when requested), long strings truncated,
+   * and characters PostgreSQL cannot store in JSONB removed
+   * @param {*} value - Value to copy
+   * @param {boolean} redact - Redact the values of secret parameters
+   * @param {number} [depth=0] - Current depth
+   * @returns {*} Sanitized value
+   */
+  sanitize(value, redact, depth = 0) {
+    if (typeof value === 'string') {
+      const text = value.replace(/\u0000/g, '');
+      return text.length > MAX_PARAMETER_LENGTH ? `${text.slice(0, MAX_PARAMETER_LENGTH)}...[truncated]` : text;
+    }
+    if (value === null || typeof value === 'boolean' || (typeof value === 'number' && Number.isFinite(value))) {
+      return value;
+    }
+    if (typeof value !== 'object' || depth >= MAX_PARAMETER_DEPTH) {
+      return null;
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => this.sanitize(item, redact, depth + 1));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (item === undefined || typeof item === 'function') {
+        continue;
+      }
+      copy[key.replace(/\u0000/g, '')] = redact && this.isSecretParameter(key, item)
+        ? REDACTED
+        : this.sanitize(item, redact, depth + 1);
+    }
+    return copy;
+  }
+
+  /**
+   * Flags and numeric settings (passwordResetRequired, minimumPasswordLength...) are not secrets, codes are
+   */
+  isSecretParameter(key, value) {
+    if (!SECRET_PARAMETER_PATTERN.test(key) || value === null || typeof value === 'boolean') {
+      return false;
+    }
+    return typeof value !== 'number' || /code\d*$/i.test(key);
+  }
+
+  readTime(value, name) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+
+    const time = typeof value === 'string' ? new Date(value) : null;
+    if (!time || Number.isNaN(time.getTime())) {
+      throw this.invalidQuery(`${name} must be an ISO 8601 date`);
+    }
+    return time;
+  }
+
+  readFilter(value, name) {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    if (typeof value !== 'string') {
+      throw this.invalidQuery(`${name} must be a string`);
+    }
+    return value;
+  }
+
+  /**
+   * The cursor is the sequence of the last event of the page (opaque to clients)
+   */
+  encodeNextToken(sequence) {
+    return Buffer.from(JSON.stringify({ before: sequence })).toString('base64url');
+  }
+
+  decodeNextToken(nextToken) {
+    if (nextToken === undefined || nextToken === '') {
+      return null;
+    }
+
+    try {
+      const { before } = JSON.parse(Buffer.from(String(nextToken), 'base64url').toString('utf8'));
+      if (Number.isInteger(before) && before > 0) {
+        return before;
+      }
+    } catch (error) {
+      // Reported below
+    }
+    throw this.invalidQuery('nextToken is invalid');
+  }
+
+  invalidQuery(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_AUDIT_QUERY';
+    return error;
+  }
+}
+
+module.exports = { AuditService };
@@ -1,11 +1,20 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
 const { HybridTokenBlacklistService } = require('./HybridTokenBlacklistService');
+const { MfaService } = require('./MfaService');
+const { LoginAttemptService } = require('./LoginAttemptService');
+const { SecurityEventService } = require('./SecurityEventService');
+const { signingKeyService } = require('./SigningKeyService');
+const { getSecret } = require('../config/security');
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
 
 class AuthService {
   constructor(userService, dbPool = null) {
     this.userService = userService;
-    this.jwtSecret = process.env.JWT_SECRET || 'your-secret-key-change-in-production';
-    this.jwtRefreshSecret = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key-change-in-production';
+    // Access tokens are signed with the keystore keys (verifiable through the JWKS), refresh tokens with a secret
+    this.signingKeyService = signingKeyService;
+    this.jwtRefreshSecret = getSecret('JWT_REFRESH_SECRET');
     this.accessTokenExpiry = process.env.JWT_EXPIRY || '1h';
     this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRY || '7d';
     
@@ -28,10 +37,56 @@ class AuthService {
     }
   }
 
+  /**
+   * MFA service (created on first login, the middleware instance never needs it)
+   */
+  getMfaService() {
+    if (!this.mfaService) {
+      this.mfaService = new MfaService();
+    }
+    return this.mfaService;
+  }
+
+  /**
+   * Brute-force protection of the login endpoints (created on first login, like the MFA service)
+   */
+  getLoginAttemptService() {
+    if (!this.loginAttemptService) {
+      this.loginAttemptService = new LoginAttemptService();
+    }
+    return this.loginAttemptService;
+  }
+
+  /**
+   * Refresh token families (sessions), created on first use
+   */
+  getRefreshTokenFamilyRepository() {
+    if (!this.refreshTokenFamilyRepository) {
+      this.refreshTokenFamilyRepository = repositoryFactory.createRefreshTokenFamilyRepository();
+    }
+    return this.refreshTokenFamilyRepository;
+  }
+
+  getSecurityEventService() {
+    if (!this.securityEventService) {
+      this.securityEventService = new SecurityEventService();
+    }
+    return this.securityEventService;
+  }
+
   /**
    * Generate access and refresh tokens for a user
+   * @param {Object} user - Authenticated user
+   * @param {Object} [options] - Token options
+   * @param {number} [options.mfaAuthTime] - Epoch seconds of the MFA verification (aws:MultiFactorAuthAge)
+   * @param {string} [options.familyId] - Family of a rotated refresh token; a new family (session) is
+   *   created when omitted
+   * @param {string} [options.ipAddress] - Client IP (new family)
+   * @param {string} [options.userAgent] - Client user agent (new family)
+   * @param {string} [options.clientId] - OAuth client the tokens are issued to (client_id claim)
+   * @param {string} [options.scope] - Scope granted to the OAuth client (scope claim, limits the IAM actions)
    */
-  async generateTokens(user) {
+  async generateTokens(user, options = {}) {
     if (!user) {
       throw new Error('User is required');
     }
@@ -46,6 +101,7 @@ class AuthService {
       username: user.username,
       email: user.email,
       isRoot: user.isRoot,
+      mfaPresent: Boolean(options.mfaAuthTime),
       type: 'access'
     };
 
@@ -55,23 +111,62 @@ class AuthService {
       type: 'refresh'
     };
 
-    const accessToken = jwt.sign(accessTokenPayload, this.jwtSecret, {
+    // Both tokens carry the family ID, so revoking the family also revokes its access tokens
+    const familyId = options.familyId || uuidv4();
+    accessTokenPayload.fid = familyId;
+    refreshTokenPayload.fid = familyId;
+
+    // Tokens of OAuth clients keep their client and scope when refreshed
+    if (options.clientId) {
+      accessTokenPayload.client_id = options.clientId;
+      accessTokenPayload.scope = options.scope || '';
+      refreshTokenPayload.client_id = options.clientId;
+      refreshTokenPayload.scope = options.scope || '';
+    }
+
+    // The MFA verification time is kept on refresh, so the MFA age keeps growing from the login
+    if (options.mfaAuthTime) {
+      accessTokenPayload.mfaAuthTime = options.mfaAuthTime;
+      refreshTokenPayload.mfaAuthTime = options.mfaAuthTime;
+    }
+
+    const signingKey = await this.signingKeyService.getSigningKey();
+    const accessToken = jwt.sign(accessTokenPayload, signingKey.privateKey, {
+      algorithm: signingKey.algorithm,
+      keyid: signingKey.kid,
       expiresIn: this.accessTokenExpiry
     });
 
     const refreshToken = jwt.sign(refreshTokenPayload, this.jwtRefreshSecret, {
-      expiresIn: this.refreshTokenExpiry
+      expiresIn: this.refreshTokenExpiry,
+      jwtid: uuidv4()
     });
 
+    if (!options.familyId) {
+      const { jti, exp } = jwt.decode(refreshToken);
+      await this.getRefreshTokenFamilyRepository().create(new RefreshTokenFamily({
+        id: familyId,
+        accountId: user.accountId,
+        userId: user.id,
+        clientId: options.clientId,
+        currentJti: jti,
+        ipAddress: options.ipAddress,
+        userAgent: options.userAgent,
+        expiresAt: new Date(exp * 1000)
+      }));
+    }
+
     return {
       accessToken,
       refreshToken,
-      expiresIn: 3600 // 1 hour in seconds
+      expiresIn: 3600, // 1 hour in seconds
+      sessionId: familyId
     };
   }
 
   /**
    * Verify access token
+   * The signature is checked with the keystore key named by the kid header, using that key's algorithm only
    */
   async verifyAccessToken(token) {
     // Verificar se o token está revogado
@@ -86,16 +181,30 @@ class AuthService {
 
     try {
       // First decode to check type (without verification)
-      const decoded = jwt.decode(token);
-      if (!decoded || decoded.type !== 'access') {
+      const decoded = jwt.decode(token, { complete: true });
+      if (!decoded || !decoded.payload || decoded.payload.type !== 'access') {
         throw new Error('Invalid token type');
       }
 
+      if (!decoded.header.kid) {
+        throw new Error('missing key ID');
+      }
+
+      const key = await this.signingKeyService.getVerificationKey(decoded.header.kid);
+      if (!key) {
+        throw new Error('unknown or expired signing key');
+      }
+
       // Then verify signature
-      const payload = jwt.verify(token, this.jwtSecret);
+      const payload = jwt.verify(token, key.publicKey, { algorithms: [key.algorithm] });
+
+      if (payload.fid && await this.isTokenFamilyRevoked(payload.fid)) {
+        throw new Error('Token has been revoked');
+      }
+
       return payload;
     } catch (error) {
-      if (error.message === 'Invalid token type') {
+      if (error.message === 'Invalid token type' || error.message === 'Token has been revoked') {
         throw error;
       }
       throw new Error(`Invalid access token: ${error.message}`);
@@ -115,6 +224,15 @@ class AuthService {
 
       // Then verify signature
       const payload = jwt.verify(token, this.jwtRefreshSecret);
+
+      // Refresh tokens revoked by logout
+      const isRevoked = this.blacklistService
+        ? await this.blacklistService.isTokenRevoked(token)
+        : Boolean(this.tokenBlacklist && this.tokenBlacklist.has(token));
+      if (isRevoked) {
+        throw new Error('token has been revoked');
+      }
+
       return payload;
     } catch (error) {
       if (error.message === 'Invalid token type') {
@@ -126,9 +244,29 @@ class AuthService {
 
   /**
    * Refresh tokens using refresh token
+   * The refresh token is rotated: only the latest token of a family is accepted, and presenting an
+   * older one revokes the whole family (the token was copied) and records a security event
+   * @param {string} refreshToken - Current refresh token of the family
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
    */
-  async refreshTokens(refreshToken) {
+  async refreshTokens(refreshToken, options = {}) {
     const payload = await this.verifyRefreshToken(refreshToken);
+
+    if (!payload.fid || !payload.jti) {
+      throw new Error('Invalid refresh token: issued before session tracking, sign in again');
+    }
+
+    const familyRepository = this.getRefreshTokenFamilyRepository();
+    const family = await familyRepository.findById(payload.fid);
+
+    if (!family || family.userId !== payload.userId || !family.isActive() ||
+        await this.isTokenFamilyRevoked(family.id)) {
+      throw new Error('Invalid refresh token: session has been revoked');
+    }
+
+    if (family.currentJti !== payload.jti) {
+      throw await this.handleRefreshTokenReuse(family, options);
+    }
     
     // Get current user data
     const user = await this.userService.getUserById(payload.userId);
@@ -141,50 +279,331 @@ class AuthService {
       throw new Error('User is inactive');
     }
 
-    // Generate new tokens
-    return await this.generateTokens(user);
+    // Generate new tokens in the same family
+    const tokens = await this.generateTokens(user, {
+      mfaAuthTime: payload.mfaAuthTime,
+      familyId: family.id,
+      clientId: payload.client_id,
+      scope: payload.scope
+    });
+
+    const { jti, exp } = jwt.decode(tokens.refreshToken);
+    const rotated = await familyRepository.rotate(family.id, payload.jti, jti, new Date(exp * 1000), options.ipAddress);
+
+    // Another request rotated the same token in the meantime: it was used twice
+    if (!rotated) {
+      throw await this.handleRefreshTokenReuse(family, options);
+    }
+
+    return tokens;
   }
 
   /**
-   * Login with email and password
+   * Revokes a family whose rotated refresh token was presented again and records a security event
+   * @param {RefreshTokenFamily} family - Family of the reused token
+   * @param {Object} options - { ipAddress, userAgent } of the client
+   * @returns {Promise<Error>} Error to throw (REFRESH_TOKEN_REUSED)
    */
-  async loginWithCredentials(email, password) {
-    const user = await this.userService.authenticateUser(email, password);
-    
-    if (!user) {
-      throw new Error('Invalid credentials');
+  async handleRefreshTokenReuse(family, options = {}) {
+    await this.revokeTokenFamily(family, RefreshTokenFamily.REVOKED_REASONS.REUSE_DETECTED, options);
+
+    await this.getSecurityEventService().log('refresh_token_reuse', {
+      severity: 'high',
+      accountId: family.accountId,
+      userId: family.userId,
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent,
+      details: {
+        sessionId: family.id,
+        generation: family.generation,
+        sessionCreatedAt: family.createdAt,
+        sessionIpAddress: family.ipAddress
+      }
+    });
+
+    const error = new Error('Refresh token reuse detected, the session has been revoked');
+    error.code = 'REFRESH_TOKEN_REUSED';
+    return error;
+  }
+
+  /**
+   * Revokes a refresh token family: no further refresh, and its access tokens are rejected
+   * @param {RefreshTokenFamily} family - Family to revoke
+   * @param {string} reason - RefreshTokenFamily.REVOKED_REASONS value
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
+   * @returns {Promise<void>}
+   */
+  async revokeTokenFamily(family, reason, options = {}) {
+    await this.getRefreshTokenFamilyRepository().revoke(family.id, reason);
+
+    if (this.blacklistService) {
+      // Access tokens of the family may outlive the refresh token by at most their own lifetime
+      const accessTokenLifetime = 60 * 60 * 1000;
+      const expiresAt = new Date(Math.max(new Date(family.expiresAt).getTime(), Date.now() + accessTokenLifetime));
+
+      await this.blacklistService.revokeTokenFamily(family.id, {
+        userId: family.userId,
+        accountId: family.accountId,
+        expiresAt,
+        reason,
+        ipAddress: options.ipAddress,
+        userAgent: options.userAgent
+      });
+    } else {
+      this.tokenBlacklist.add(`FAMILY_${family.id}`);
+    }
+  }
+
+  /**
+   * Checks if a refresh token family has been revoked
+   * @param {string} familyId - Family ID (fid claim)
+   * @returns {Promise<boolean>} True if revoked
+   */
+  async isTokenFamilyRevoked(familyId) {
+    if (this.blacklistService) {
+      return await this.blacklistService.isTokenFamilyRevoked(familyId);
+    }
+    return Boolean(this.tokenBlacklist && this.tokenBlacklist.has(`FAMILY_${familyId}`));
+  }
+
+  /**
+   * Revokes a single token: it stays on the blacklist until it expires
+   * @param {string} token - Access or refresh token
+   * @param {Object} [options] - reason, ipAddress, userAgent
+   * @returns {Promise<void>}
+   */
+  async revokeToken(token, options = {}) {
+    if (this.blacklistService) {
+      await this.blacklistService.revokeToken(token, {
+        reason: options.reason || 'logout',
+        ipAddress: options.ipAddress,
+        userAgent: options.userAgent
+      });
+    } else {
+      this.tokenBlacklist.add(token);
+    }
+  }
+
+  /**
+   * Finds the active family of a genuine refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<RefreshTokenFamily|null>} Family, or null if the token is invalid or has no active family
+   */
+  async findRefreshTokenFamily(refreshToken) {
+    try {
+      const payload = await this.verifyRefreshToken(refreshToken);
+      if (!payload.fid) {
+        return null;
+      }
+
+      const family = await this.getRefreshTokenFamilyRepository().findById(payload.fid);
+      return family && family.userId === payload.userId && family.isActive() ? family : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Lists the active sessions (refresh token families) of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} [currentSessionId] - Session of the caller (flagged as current)
+   * @returns {Promise<Array<Object>>} Sessions
+   */
+  async listSessions(userId, accountId, currentSessionId = null) {
+    const families = await this.getRefreshTokenFamilyRepository().findActiveByUserId(userId, accountId);
+
+    return families.map(family => ({
+      ...family.toJSON(),
+      current: family.id === currentSessionId
+    }));
+  }
+
+  /**
+   * Revokes a session of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} sessionId - Session (family) ID
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
+   * @returns {Promise<void>}
+   */
+  async revokeSession(userId, accountId, sessionId, options = {}) {
+    const family = await this.getRefreshTokenFamilyRepository().findById(sessionId);
+
+    if (!family || family.userId !== userId || family.accountId !== accountId || !family.isActive()) {
+      const error = new Error('Session not found');
+      error.code = 'SESSION_NOT_FOUND';
+      throw error;
+    }
+
+    await this.revokeTokenFamily(family, RefreshTokenFamily.REVOKED_REASONS.USER_REVOKED, options);
+  }
+
+  /**
+   * Revokes every session of a user except the current one
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} [currentSessionId] - Session kept active
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeOtherSessions(userId, accountId, currentSessionId = null, options = {}) {
+    const families = await this.getRefreshTokenFamilyRepository().findActiveByUserId(userId, accountId);
+    const others = families.filter(family => family.id !== currentSessionId);
+
+    for (const family of others) {
+      await this.revokeTokenFamily(family, RefreshTokenFamily.REVOKED_REASONS.USER_REVOKED, options);
     }
 
-    const tokens = await this.generateTokens(user);
+    return others.length;
+  }
+
+  /**
+   * Revokes the sessions issued to an OAuth client
+   * @param {string} clientId - Client ID
+   * @param {Object} [options] - userId (only the sessions of this user), reason, ipAddress, userAgent
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeClientSessions(clientId, options = {}) {
+    const families = await this.getRefreshTokenFamilyRepository().findActiveByClientId(clientId, options.userId || null);
+
+    for (const family of families) {
+      await this.revokeTokenFamily(family, options.reason || RefreshTokenFamily.REVOKED_REASONS.USER_REVOKED, options);
+    }
+
+    return families.length;
+  }
+
+  /**
+   * Verifies the second factor of a user with an active MFA device
+   * @param {Object} user - Authenticated user
+   * @param {Object} factors - { mfaCode, recoveryCode }
+   * @returns {Promise<Object>} Token options ({ mfaAuthTime } when MFA was verified)
+   */
+  async verifySecondFactor(user, factors = {}) {
+    const verification = await this.getMfaService().verifyLogin(user, factors);
+    return verification ? { mfaAuthTime: Math.floor(Date.now() / 1000) } : {};
+  }
+
+  /**
+   * Completes a login once the password was verified: password expiry, MFA and tokens
+   * An expired password must be replaced in the same request (newPassword); it is checked
+   * before the MFA code so a code is not consumed by a login that cannot succeed
+   * @param {Object} user - User authenticated by password
+   * @param {Object} options - { mfaCode, recoveryCode, newPassword, sourceIp, userAgent }
+   * @returns {Promise<Object>} { user, tokens }
+   */
+  async completeLogin(user, options = {}) {
+    const passwordStatus = await this.userService.getPasswordStatus(user);
+
+    if (passwordStatus.hardExpired) {
+      const error = new Error('Password has expired and can only be reset by an administrator');
+      error.code = 'PASSWORD_HARD_EXPIRED';
+      throw error;
+    }
+
+    if (passwordStatus.expired && !options.newPassword) {
+      const error = new Error(passwordStatus.resetRequired
+        ? 'A new password must be set before signing in'
+        : 'Password has expired, a new password must be set');
+      error.code = 'PASSWORD_EXPIRED';
+      throw error;
+    }
+
+    const tokenOptions = await this.verifySecondFactor(user, options);
+
+    const authenticatedUser = passwordStatus.expired
+      ? await this.userService.changeExpiredPassword(user, options.newPassword)
+      : user;
+
+    const tokens = await this.generateTokens(authenticatedUser, {
+      ...tokenOptions,
+      ipAddress: options.sourceIp,
+      userAgent: options.userAgent
+    });
 
     return {
-      user,
+      user: authenticatedUser,
       tokens
     };
   }
 
+  /**
+   * Runs a login attempt behind the failed-attempt tracking: refused while a subject is locked
+   * or delayed, wrong passwords and MFA codes count as failures, a full success clears them
+   * @param {Array<Object>} subjects - Subjects of the attempt (LoginAttemptService.subjectsFor)
+   * @param {string} sourceIp - Client IP
+   * @param {Function} login - Attempt returning { user, tokens }
+   * @returns {Promise<Object>} Result of the attempt
+   */
+  async withLoginProtection(subjects, sourceIp, login) {
+    const loginAttemptService = this.getLoginAttemptService();
+    await loginAttemptService.assertLoginAllowed(subjects);
+
+    try {
+      const result = await login();
+
+      try {
+        await loginAttemptService.recordSuccess(subjects);
+      } catch (error) {
+        console.error('Failed to clear login attempts:', error.message);
+      }
+
+      return result;
+    } catch (error) {
+      if (error.message === 'Invalid credentials' || error.code === 'INVALID_MFA_CODE') {
+        try {
+          await loginAttemptService.recordFailure(subjects, sourceIp);
+        } catch (recordError) {
+          console.error('Failed to record login failure:', recordError.message);
+        }
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Login with email and password
+   * @param {Object} [options] - { mfaCode, recoveryCode } (required when MFA is enabled),
+   *   newPassword (required when the password expired) and sourceIp (failed-attempt tracking)
+   */
+  async loginWithCredentials(email, password, options = {}) {
+    const subjects = LoginAttemptService.subjectsFor({ email, sourceIp: options.sourceIp });
+
+    return await this.withLoginProtection(subjects, options.sourceIp, async () => {
+      const user = await this.userService.authenticateUser(email, password);
+
+      if (!user) {
+        throw new Error('Invalid credentials');
+      }
+
+      return await this.completeLogin(user, options);
+    });
+  }
+
   /**
    * Login with IAM credentials (accountId + username + password)
    * For IAM users (non-root users)
+   * @param {Object} [options] - { mfaCode, recoveryCode } (required when MFA is enabled),
+   *   newPassword (required when the password expired) and sourceIp (failed-attempt tracking)
    */
-  async loginWithIAMCredentials(accountId, username, password) {
+  async loginWithIAMCredentials(accountId, username, password, options = {}) {
     if (!accountId || !username || !password) {
       throw new Error('Account ID, username, and password are required');
     }
 
-    // Find user by username and account ID
-    const user = await this.userService.authenticateIAMUser(accountId, username, password);
-    
-    if (!user) {
-      throw new Error('Invalid credentials');
-    }
+    const subjects = LoginAttemptService.subjectsFor({ accountId, username, sourceIp: options.sourceIp });
 
-    const tokens = await this.generateTokens(user);
+    return await this.withLoginProtection(subjects, options.sourceIp, async () => {
+      // Find user by username and account ID
+      const user = await this.userService.authenticateIAMUser(accountId, username, password);
 
-    return {
-      user,
-      tokens
-    };
+      if (!user) {
+        throw new Error('Invalid credentials');
+      }
+
+      return await this.completeLogin(user, options);
+    });
   }
 
   /**
@@ -192,6 +611,12 @@ class AuthService {
    */
   async logout(accessToken, refreshToken, options = {}) {
     try {
+      // Encerra a sessão (família) do refresh token, se ele for válido
+      const family = refreshToken ? await this.findRefreshTokenFamily(refreshToken) : null;
+      if (family) {
+        await this.revokeTokenFamily(family, RefreshTokenFamily.REVOKED_REASONS.LOGOUT, options);
+      }
+
       if (this.blacklistService) {
         // Usar serviço híbrido profissional
         const promises = [];
@@ -13,6 +13,7 @@ class GroupService {
    * @param {string} groupData.name - Group name
    * @param {string} [groupData.description] - Group description
    * @param {string} [groupData.path] - Group path
+   * @param {string} [groupData.externalId] - Identifier of the group in the provisioning source
    * @returns {Promise<Group>} Created group
    */
   async createGroup(groupData) {
@@ -118,6 +119,7 @@ class GroupService {
    * @param {string} [updateData.name] - New name
    * @param {string} [updateData.description] - New description
    * @param {string} [updateData.path] - New path
+   * @param {string} [updateData.externalId] - New external ID (provisioning source)
    * @returns {Promise<Group>} Updated group
    */
   async updateGroup(groupId, accountId, updateData) {
@@ -154,6 +156,7 @@ class GroupService {
       if (updateData.name !== undefined) updatedGroup.name = updateData.name;
       if (updateData.description !== undefined) updatedGroup.description = updateData.description;
       if (updateData.path !== undefined) updatedGroup.path = updateData.path;
+      if (updateData.externalId !== undefined) updatedGroup.externalId = updateData.externalId;
 
       // Validate updated data
       Group.validate({
@@ -319,6 +322,23 @@ class GroupService {
     }
   }
 
+  /**
+   * Gets every group membership of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Object>>} Array of { groupId, userId }
+   */
+  async getAccountMemberships(accountId) {
+    try {
+      if (!accountId) {
+        throw new Error('Account ID is required');
+      }
+
+      return await this.groupRepository.findMembershipsByAccountId(accountId);
+    } catch (error) {
+      throw new Error(`Failed to get group memberships: ${error.message}`);
+    }
+  }
+
   /**
    * Checks if a user is in a group
    * @param {string} groupId - Group ID
@@ -125,6 +125,72 @@ class HybridTokenBlacklistService {
     }
   }
 
+  /**
+   * Revoga uma família de refresh tokens (sessão) inteira
+   * Os tokens da família carregam o claim fid, então uma única entrada FAMILY_<id>
+   * invalida o refresh token atual e todos os access tokens emitidos pela família
+   */
+  async revokeTokenFamily(familyId, options = {}) {
+    const familyKey = this._familyKey(familyId);
+    const expiresAt = new Date(options.expiresAt);
+    const ttl = Math.floor((expiresAt.getTime() - Date.now()) / 1000);
+
+    if (!(ttl > 0)) {
+      console.log('⏰ Família já expirada, não adicionando à blacklist');
+      return;
+    }
+
+    const revokeData = {
+      tokenHash: familyKey,
+      tokenType: 'family',
+      userId: options.userId,
+      accountId: options.accountId,
+      expiresAt,
+      reason: options.reason || 'logout',
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent
+    };
+
+    try {
+      await this._addToRedis(familyKey, ttl, revokeData);
+      await this._addToDatabase(revokeData);
+
+      console.log(`🚫 Família de tokens revogada: ${familyId} (${revokeData.reason})`);
+    } catch (error) {
+      console.error('❌ Erro ao revogar família de tokens:', error);
+      throw new Error('Failed to revoke token family');
+    }
+  }
+
+  /**
+   * Verifica se uma família de refresh tokens foi revogada
+   */
+  async isTokenFamilyRevoked(familyId) {
+    const familyKey = this._familyKey(familyId);
+
+    try {
+      if (this.redis && await this._checkRedis(familyKey)) {
+        return true;
+      }
+
+      const query = `
+        SELECT expires_at FROM token_blacklist 
+        WHERE token_hash = $1 AND expires_at > NOW()
+      `;
+      const result = await this.dbPool.query(query, [familyKey]);
+
+      if (result.rows.length > 0 && this.redis) {
+        await this._syncToRedis(familyKey, result.rows[0]);
+      }
+
+      return result.rows.length > 0;
+    } catch (error) {
+      console.error('❌ Erro ao verificar família de tokens:', error);
+      // Em caso de erro, negar acesso por segurança
+      return true;
+    }
+  }
+
   /**
    * Revoga todos os tokens de um usuário
    */
@@ -199,6 +265,10 @@ class HybridTokenBlacklistService {
     return crypto.createHash('sha256').update(token).digest('hex');
   }
 
+  _familyKey(familyId) {
+    return `FAMILY_${familyId}`;
+  }
+
   _decodeToken(token) {
     try {
       return jwt.decode(token);
@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const IdentityProvider = require('../models/IdentityProvider');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+const { SamlAssertionVerifier } = require('../utils/SamlAssertionVerifier');
+
+// Asymmetric algorithms only: a provider never shares a secret with us, and 'none' is never accepted
+const WEB_IDENTITY_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+const JWKS_CACHE_TTL_MS = 10 * 60 * 1000;
+const JWKS_REFRESH_INTERVAL_MS = 60 * 1000;
+const JWKS_FETCH_TIMEOUT_MS = 5000;
+const SAML_ROLE_ATTRIBUTE = 'https://aws.amazon.com/SAML/Attributes/Role';
+const SAML_SESSION_NAME_ATTRIBUTE = 'https://aws.amazon.com/SAML/Attributes/RoleSessionName';
+
+/**
+ * Service for the identity providers trusted by an account (identity federation)
+ *
+ * OIDC providers vouch for identities with signed ID tokens (AssumeRoleWithWebIdentity), SAML providers
+ * with signed assertions (AssumeRoleWithSAML). The verified claims become condition keys of the role
+ * trust policies: <provider name>:sub, <provider name>:aud and <provider name>:amr for OIDC,
+ * saml:sub, saml:sub_type, saml:aud and saml:iss for SAML.
+ */
+class IdentityProviderService {
+  /**
+   * @param {Object} [identityProviderRepository] - Identity provider repository
+   */
+  constructor(identityProviderRepository = null) {
+    this.identityProviderRepository = identityProviderRepository || repositoryFactory.createIdentityProviderRepository();
+    this.jwksCache = new Map();
+    // Assertion Consumer Service URL configured in the IdPs (Recipient and Destination of their responses)
+    this.samlAcsUrl = process.env.SAML_ACS_URL || `http://localhost:${process.env.PORT || 3000}/saml/acs`;
+  }
+
+  /**
+   * Registers a provider
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {Object} data - OIDC: { issuer, audiences, jwks | jwksUri }; SAML: { name, audiences, metadataDocument }
+   * @param {string} [createdBy] - User registering the provider
+   * @returns {Promise<IdentityProvider>} Created provider
+   */
+  async createProvider(accountId, providerType, data = {}, createdBy = null) {
+    this.assertValid(IdentityProvider.validate(providerType, data));
+
+    const provider = new IdentityProvider({
+      accountId,
+      providerType,
+      name: providerType === IdentityProvider.TYPES.SAML ? data.name : null,
+      issuer: data.issuer,
+      audiences: data.audiences,
+      jwks: data.jwks,
+      jwksUri: data.jwksUri,
+      createdBy
+    });
+
+    if (provider.isSaml()) {
+      this.applyMetadata(provider, data.metadataDocument);
+    }
+
+    const existing = await this.identityProviderRepository.findByArn(provider.arn) ||
+      await this.identityProviderRepository.findByIssuer(accountId, providerType, provider.issuer);
+    if (existing) {
+      throw this.validationError(`A provider with this ${provider.isOidc() ? 'issuer' : 'name or entity ID'} already exists`);
+    }
+
+    return await this.identityProviderRepository.create(provider);
+  }
+
+  /**
+   * Lists the providers of an account
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @returns {Promise<Array<IdentityProvider>>} Providers
+   */
+  async listProviders(accountId, providerType) {
+    return await this.identityProviderRepository.findByAccountId(accountId, providerType);
+  }
+
+  /**
+   * Gets a provider of an account
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<IdentityProvider>} Provider
+   */
+  async getProvider(accountId, providerType, providerId) {
+    const provider = await this.identityProviderRepository.findById(providerId);
+    if (!provider || provider.accountId !== accountId || provider.providerType !== providerType) {
+      throw this.notFound();
+    }
+    return provider;
+  }
+
+  /**
+   * Updates the audiences and keys of a provider (OIDC: jwks, jwksUri; SAML: metadataDocument)
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {string} providerId - Provider ID
+   * @param {Object} data - Settings to update
+   * @returns {Promise<IdentityProvider>} Updated provider
+   */
+  async updateProvider(accountId, providerType, providerId, data = {}) {
+    this.assertValid(IdentityProvider.validate(providerType, data, true));
+
+    const provider = await this.getProvider(accountId, providerType, providerId);
+    if (data.audiences !== undefined) {
+      provider.audiences = data.audiences;
+    }
+
+    if (provider.isOidc()) {
+      if (data.jwks !== undefined) {
+        provider.jwks = data.jwks;
+      }
+      if (data.jwksUri !== undefined) {
+        provider.jwksUri = data.jwksUri;
+      }
+      if (!provider.jwks && !provider.jwksUri) {
+        throw this.validationError('jwks or jwksUri is required');
+      }
+      this.jwksCache.delete(provider.id);
+    } else if (data.metadataDocument !== undefined) {
+      const previousIssuer = provider.issuer;
+      this.applyMetadata(provider, data.metadataDocument);
+
+      const existing = provider.issuer !== previousIssuer &&
+        await this.identityProviderRepository.findByIssuer(accountId, providerType, provider.issuer);
+      if (existing) {
+        throw this.validationError('A provider with this entity ID already exists');
+      }
+    }
+
+    const updated = await this.identityProviderRepository.update(provider);
+    if (!updated) {
+      throw this.notFound();
+    }
+    return updated;
+  }
+
+  /**
+   * Deletes a provider (roles trusting it can no longer be assumed through it)
+   * @param {string} accountId - Account ID
+   * @param {string} providerType - oidc or saml
+   * @param {string} providerId - Provider ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteProvider(accountId, providerType, providerId) {
+    await this.getProvider(accountId, providerType, providerId);
+
+    const deleted = await this.identityProviderRepository.delete(providerId, accountId);
+    if (!deleted) {
+      throw this.notFound();
+    }
+
+    this.jwksCache.delete(providerId);
+    return true;
+  }
+
+  /**
+   * Verifies an ID token issued by an OIDC provider of the account
+   * @param {string} accountId - Account of the role being assumed
+   * @param {string} webIdentityToken - ID token (JWT)
+   * @returns {Promise<Object>} { provider, subject, claims, context }
+   * @throws {Error} INVALID_IDENTITY_TOKEN if the token is malformed, expired, not issued by a provider of the
+   *   account, not signed by its keys or not intended for one of its audiences
+   */
+  async verifyWebIdentityToken(accountId, webIdentityToken) {
+    const decoded = typeof webIdentityToken === 'string' ? jwt.decode(webIdentityToken, { complete: true }) : null;
+    if (!decoded || !decoded.payload || typeof decoded.payload.iss !== 'string') {
+      throw this.invalidToken('Web identity token is not a valid JWT');
+    }
+
+    if (!WEB_IDENTITY_ALGORITHMS.includes(decoded.header.alg)) {
+      throw this.invalidToken(`Unsupported token algorithm: ${decoded.header.alg}`);
+    }
+
+    const provider = accountId
+      ? await this.identityProviderRepository.findByIssuer(accountId, IdentityProvider.TYPES.OIDC, decoded.payload.iss)
+      : null;
+    if (!provider) {
+      throw this.invalidToken('No OpenID Connect provider of the account matches the token issuer');
+    }
+
+    const jwk = await this.findSigningKey(provider, decoded.header.kid);
+    if (!jwk) {
+      throw this.invalidToken('Token is not signed by a key of the provider');
+    }
+
+    let claims;
+    try {
+      claims = jwt.verify(webIdentityToken, crypto.createPublicKey({ key: jwk, format: 'jwk' }), {
+        algorithms: WEB_IDENTITY_ALGORITHMS,
+        issuer: provider.issuer,
+        audience: provider.audiences
+      });
+    } catch (error) {
+      throw this.invalidToken(`Web identity token is invalid: ${error.message}`);
+    }
+
+    if (typeof claims.sub !== 'string' || !claims.sub || typeof claims.exp !== 'number') {
+      throw this.invalidToken('Web identity token requires sub and exp claims');
+    }
+
+    const prefix = provider.getConditionKeyPrefix();
+    const audiences = Array.isArray(claims.aud) ? claims.aud : [claims.aud];
+
+    return {
+      provider,
+      subject: claims.sub,
+      claims,
+      context: {
+        [`${prefix}:sub`]: claims.sub,
+        [`${prefix}:aud`]: audiences.filter(audience => provider.audiences.includes(audience)),
+        ...(claims.amr && { [`${prefix}:amr`]: claims.amr }),
+        ...(claims.email && { [`${prefix}:email`]: claims.email })
+      }
+    };
+  }
+
+  /**
+   * Verifies a SAML response issued by a SAML provider of the role account
+   * @param {string} principalArn - ARN of the SAML provider (PrincipalArn)
+   * @param {string} samlAssertion - Base64-encoded SAML response
+   * @param {Object} role - Role being assumed (its ARN must be granted by the Role attribute, when present)
+   * @returns {Promise<Object>} { provider, subject, sessionName, attributes, context }
+   * @throws {Error} INVALID_SAML_ASSERTION if the provider is unknown or the assertion invalid, replayed,
+   *   or not granting the role
+   */
+  async verifySamlAssertion(principalArn, samlAssertion, role) {
+    const provider = typeof principalArn === 'string'
+      ? await this.identityProviderRepository.findByArn(principalArn)
+      : null;
+    if (!provider || !provider.isSaml() || provider.accountId !== role.accountId) {
+      throw this.invalidAssertion('No SAML provider of the role account has this ARN');
+    }
+
+    const assertion = SamlAssertionVerifier.verify(samlAssertion, {
+      certificates: provider.signingCertificates,
+      issuer: provider.issuer,
+      audiences: provider.audiences,
+      recipient: this.samlAcsUrl
+    });
+
+    const roleArn = role.getArn();
+    const grantedRoles = assertion.attributes[SAML_ROLE_ATTRIBUTE];
+    if (grantedRoles && !grantedRoles.some(value => value.split(',').map(part => part.trim()).includes(roleArn))) {
+      throw this.invalidAssertion(`The assertion does not grant the role ${roleArn}`);
+    }
+
+    // Remembered as long as the verifier would still accept it (validity plus clock skew)
+    const replayableUntil = new Date(assertion.notOnOrAfter.getTime() + SamlAssertionVerifier.DEFAULT_CLOCK_SKEW_SECONDS * 1000);
+    if (!assertion.assertionId ||
+        !await this.identityProviderRepository.markAssertionUsed(provider.id, assertion.assertionId, replayableUntil)) {
+      throw this.invalidAssertion('The assertion has already been used');
+    }
+
+    const sessionNames = assertion.attributes[SAML_SESSION_NAME_ATTRIBUTE];
+
+    return {
+      provider,
+      subject: assertion.subject,
+      sessionName: sessionNames && sessionNames.length > 0 ? sessionNames[0] : null,
+      attributes: assertion.attributes,
+      context: {
+        'saml:sub': assertion.subject,
+        ...(assertion.subjectType && { 'saml:sub_type': assertion.subjectType }),
+        'saml:aud': assertion.audiences.filter(audience => provider.audiences.includes(audience)),
+        'saml:iss': assertion.issuer
+      }
+    };
+  }
+
+  /**
+   * Finds the key of a provider that signed a token
+   * Keys come from the registered JWKS, or from the JWKS URL (cached, fetched again when a new key ID shows up)
+   * @param {IdentityProvider} provider - OIDC provider
+   * @param {string} [kid] - Key ID of the token header
+   * @returns {Promise<Object|null>} JWK or null
+   */
+  async findSigningKey(provider, kid) {
+    const select = keys => {
+      const candidates = keys.filter(key => key.use !== 'enc' && !key.d);
+      if (kid) {
+        return candidates.find(key => key.kid === kid) || null;
+      }
+      return candidates.length === 1 ? candidates[0] : null;
+    };
+
+    if (provider.jwks) {
+      return select(provider.jwks.keys || []);
+    }
+
+    const cached = this.jwksCache.get(provider.id);
+    const age = cached ? Date.now() - cached.fetchedAt : Infinity;
+
+    if (cached && age < JWKS_CACHE_TTL_MS) {
+      const key = select(cached.keys);
+      if (key || age < JWKS_REFRESH_INTERVAL_MS) {
+        return key;
+      }
+    }
+
+    const keys = await this.fetchJwks(provider.jwksUri);
+    this.jwksCache.set(provider.id, { keys, fetchedAt: Date.now() });
+    return select(keys);
+  }
+
+  async fetchJwks(jwksUri) {
+    try {
+      const response = await fetch(jwksUri, {
+        headers: { Accept: 'application/json' },
+        signal: AbortSignal.timeout(JWKS_FETCH_TIMEOUT_MS)
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      const jwks = await response.json();
+      return Array.isArray(jwks.keys) ? jwks.keys : [];
+    } catch (error) {
+      console.error(`Failed to fetch JWKS from ${jwksUri}:`, error.message);
+      throw this.invalidToken('The keys of the identity provider could not be retrieved');
+    }
+  }
+
+  /**
+   * Reads the entity ID and signing certificates of a SAML provider from its metadata
+   */
+  applyMetadata(provider, metadataDocument) {
+    let metadata;
+    try {
+      metadata = SamlAssertionVerifier.parseMetadata(metadataDocument);
+    } catch (error) {
+      throw this.validationError(error.message);
+    }
+
+    provider.metadataDocument = metadataDocument;
+    provider.issuer = metadata.entityId;
+    provider.signingCertificates = metadata.certificates;
+  }
+
+  assertValid(errors) {
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  validationError(detail) {
+    const error = new Error('Validation failed');
+    error.code = 'VALIDATION_ERROR';
+    error.details = [detail];
+    return error;
+  }
+
+  invalidToken(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_IDENTITY_TOKEN';
+    return error;
+  }
+
+  invalidAssertion(message) {
+    const error = new Error(message);
+    error.code = 'INVALID_SAML_ASSERTION';
+    return error;
+  }
+
+  notFound() {
+    const error = new Error('Identity provider not found');
+    error.code = 'IDENTITY_PROVIDER_NOT_FOUND';
+    return error;
+  }
+}
+
+module.exports = { IdentityProviderService };
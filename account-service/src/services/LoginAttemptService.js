@@ -0,0 +1,437 @@
+const Redis = require('ioredis');
+const crypto = require('crypto');
+const { databaseConfig } = require('../config/database');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+const SUBJECT_TYPES = {
+  IAM_USER: 'iam_user',
+  EMAIL: 'email',
+  IP: 'ip'
+};
+
+const MAX_SUBJECT_KEY_LENGTH = 512;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Brute-force protection for the login endpoints
+ *
+ * Failed logins are counted per IAM user (account + username), per email and per source IP
+ * inside a sliding window. From the LOGIN_DELAY_AFTER_ATTEMPTS-th failure on, the next attempt
+ * must wait 1s, 2s, 4s... (up to LOGIN_MAX_DELAY_SECONDS); at the limit the subject is locked,
+ * for twice as long at each new lockout. A successful login clears the user and email subjects,
+ * never the IP one, so one valid account cannot be used to reset an attacker's IP.
+ *
+ * PostgreSQL holds the state; Redis mirrors it (when available) so refused attempts are answered
+ * without a database query.
+ */
+class LoginAttemptService {
+  constructor(options = {}) {
+    this.dbPool = options.dbPool || databaseConfig.pool;
+    this.userRepository = options.userRepository || null;
+    this.redisConfig = options.redis || {};
+    this.redis = null;
+    this.fallbackToDb = options.fallbackToDb !== false;
+
+    this.maxFailedAttempts = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, 10) || 5;
+    this.maxFailedAttemptsPerIp = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS_PER_IP, 10) || 20;
+    this.failureWindowSeconds = (parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES, 10) || 15) * 60;
+    this.lockoutSeconds = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES, 10) || 15) * 60;
+    this.maxLockoutSeconds = (parseInt(process.env.LOGIN_MAX_LOCKOUT_MINUTES, 10) || 24 * 60) * 60;
+    this.delayAfterAttempts = parseInt(process.env.LOGIN_DELAY_AFTER_ATTEMPTS, 10) || 2;
+    this.maxDelaySeconds = parseInt(process.env.LOGIN_MAX_DELAY_SECONDS, 10) || 30;
+
+    this.initRedis();
+  }
+
+  async initRedis() {
+    try {
+      this.redis = new Redis({
+        host: process.env.REDIS_HOST || 'localhost',
+        port: process.env.REDIS_PORT || 6379,
+        password: process.env.REDIS_PASSWORD,
+        db: process.env.REDIS_DB || 0,
+        keyPrefix: process.env.LOGIN_ATTEMPTS_REDIS_PREFIX || 'iam:login:',
+        maxRetriesPerRequest: 3,
+        lazyConnect: true,
+        ...this.redisConfig
+      });
+
+      this.redis.on('error', (error) => {
+        console.error('❌ Redis error (login attempts):', error.message);
+      });
+
+      await this.redis.connect();
+      console.log('✅ Redis connected for login attempts');
+    } catch (error) {
+      console.error('❌ Redis connection failed (login attempts):', error.message);
+      if (this.fallbackToDb) {
+        console.log('⚠️  Login attempts using database-only mode');
+        this.redis = null;
+      } else {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Builds the subjects tracked for a login attempt
+   * @param {Object} attempt - Submitted identity
+   * @param {string} [attempt.email] - Email (email login)
+   * @param {string} [attempt.accountId] - Account ID (IAM login)
+   * @param {string} [attempt.username] - Username (IAM login)
+   * @param {string} [attempt.sourceIp] - Client IP
+   * @returns {Array<Object>} Subjects ({ key, type, accountId })
+   */
+  static subjectsFor({ email, accountId, username, sourceIp } = {}) {
+    const subjects = [];
+    const validAccountId = UUID_PATTERN.test(accountId || '') ? accountId : null;
+
+    if (accountId && username) {
+      subjects.push(LoginAttemptService.subject(SUBJECT_TYPES.IAM_USER, `${accountId}:${username}`, validAccountId));
+    }
+    if (email) {
+      subjects.push(LoginAttemptService.subject(SUBJECT_TYPES.EMAIL, String(email).trim().toLowerCase(), null));
+    }
+    if (sourceIp) {
+      subjects.push(LoginAttemptService.subject(SUBJECT_TYPES.IP, sourceIp, null));
+    }
+
+    return subjects;
+  }
+
+  static subject(type, value, accountId) {
+    let key = `${type}:${value}`;
+    if (key.length > MAX_SUBJECT_KEY_LENGTH) {
+      key = `${type}:sha256:${crypto.createHash('sha256').update(String(value)).digest('hex')}`;
+    }
+    return { key, type, accountId };
+  }
+
+  /**
+   * Refuses the attempt if a subject is locked or must still wait after its last failure
+   * @param {Array<Object>} subjects - Subjects of the attempt
+   * @returns {Promise<void>}
+   * @throws {Error} LOGIN_LOCKED or LOGIN_THROTTLED, with retryAfter (seconds)
+   */
+  async assertLoginAllowed(subjects) {
+    const now = Date.now();
+    let blocking = null;
+
+    for (const subject of subjects) {
+      const state = await this.getState(subject.key);
+      if (!state) continue;
+
+      const lockedUntil = state.lockedUntil ? state.lockedUntil.getTime() : 0;
+      const nextAttemptAt = this.getNextAttemptAt(state);
+      const waitUntil = lockedUntil > now ? lockedUntil : (nextAttemptAt ? nextAttemptAt.getTime() : 0);
+
+      if (waitUntil > now && (!blocking || waitUntil > blocking.waitUntil)) {
+        blocking = { waitUntil, locked: lockedUntil > now };
+      }
+    }
+
+    if (blocking) {
+      const error = new Error(blocking.locked
+        ? 'Too many failed login attempts, sign-in is temporarily locked'
+        : 'Too many failed login attempts, wait before trying again');
+      error.code = blocking.locked ? 'LOGIN_LOCKED' : 'LOGIN_THROTTLED';
+      error.retryAfter = Math.ceil((blocking.waitUntil - now) / 1000);
+      throw error;
+    }
+  }
+
+  /**
+   * Records a failed attempt for every subject and locks the ones that reached their limit
+   * @param {Array<Object>} subjects - Subjects of the attempt
+   * @param {string} [sourceIp] - Client IP
+   * @returns {Promise<void>}
+   */
+  async recordFailure(subjects, sourceIp = null) {
+    for (const subject of subjects) {
+      const result = await this.dbPool.query(`
+        INSERT INTO login_attempts (subject_key, subject_type, account_id, failed_count, first_failed_at, last_failed_at, last_ip)
+        VALUES ($1, $2, $3, 1, NOW(), NOW(), $4)
+        ON CONFLICT (subject_key) DO UPDATE SET
+          failed_count = CASE
+            WHEN login_attempts.last_failed_at IS NULL
+              OR login_attempts.last_failed_at < NOW() - ($5::integer * INTERVAL '1 second') THEN 1
+            ELSE login_attempts.failed_count + 1
+          END,
+          first_failed_at = CASE
+            WHEN login_attempts.last_failed_at IS NULL
+              OR login_attempts.last_failed_at < NOW() - ($5::integer * INTERVAL '1 second') THEN NOW()
+            ELSE login_attempts.first_failed_at
+          END,
+          last_failed_at = NOW(),
+          last_ip = $4
+        RETURNING *
+      `, [subject.key, subject.type, subject.accountId, sourceIp, this.failureWindowSeconds]);
+
+      let row = result.rows[0];
+      const limit = subject.type === SUBJECT_TYPES.IP ? this.maxFailedAttemptsPerIp : this.maxFailedAttempts;
+
+      if (row.failed_count >= limit) {
+        const lockSeconds = Math.min(this.lockoutSeconds * Math.pow(2, row.lockout_count), this.maxLockoutSeconds);
+        const locked = await this.dbPool.query(`
+          UPDATE login_attempts
+          SET failed_count = 0, locked_at = NOW(), locked_until = NOW() + ($2::integer * INTERVAL '1 second'),
+              lockout_count = lockout_count + 1
+          WHERE subject_key = $1
+          RETURNING *
+        `, [subject.key, lockSeconds]);
+        row = locked.rows[0];
+        console.warn(`🔒 Login locked for ${subject.key} (${lockSeconds}s)`);
+      }
+
+      await this.mirrorToRedis(this.mapRow(row));
+    }
+  }
+
+  /**
+   * Clears the user and email subjects after a successful login
+   * @param {Array<Object>} subjects - Subjects of the attempt
+   * @returns {Promise<void>}
+   */
+  async recordSuccess(subjects) {
+    const keys = subjects.filter(subject => subject.type !== SUBJECT_TYPES.IP).map(subject => subject.key);
+    await this.clear(keys);
+  }
+
+  /**
+   * Gets the login protection state of a user (IAM username and email subjects)
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} { locked, lockedUntil, subjects }
+   */
+  async getUserLockout(userId, accountId) {
+    const user = await this.getUser(userId, accountId);
+    const states = [];
+
+    for (const subject of this.userSubjects(user)) {
+      const state = await this.getState(subject.key);
+      if (state) {
+        states.push(this.describeState(state));
+      }
+    }
+
+    const lockedUntil = states
+      .map(state => state.lockedUntil)
+      .filter(date => date && date > new Date())
+      .sort((a, b) => b - a)[0] || null;
+
+    return {
+      userId,
+      locked: lockedUntil !== null,
+      lockedUntil,
+      subjects: states
+    };
+  }
+
+  /**
+   * Unlocks a user: clears failures and lockouts of its IAM username and email
+   * (source IP lockouts are not affected)
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<number>} Number of subjects cleared
+   */
+  async unlockUser(userId, accountId) {
+    const user = await this.getUser(userId, accountId);
+    return await this.clear(this.userSubjects(user).map(subject => subject.key));
+  }
+
+  /**
+   * Removes states that no longer lock or delay anything
+   * @returns {Promise<number>} Rows removed
+   */
+  async cleanup() {
+    const result = await this.dbPool.query(`
+      DELETE FROM login_attempts
+      WHERE (locked_until IS NULL OR locked_until <= NOW())
+        AND (last_failed_at IS NULL OR last_failed_at < NOW() - ($1::integer * INTERVAL '1 second'))
+    `, [Math.max(this.failureWindowSeconds, this.maxLockoutSeconds)]);
+
+    return result.rowCount;
+  }
+
+  /**
+   * Lockout statistics for the metrics endpoints
+   * @returns {Promise<Object|null>} Counters, or null if unavailable
+   */
+  async getStats() {
+    try {
+      const result = await this.dbPool.query(`
+        SELECT
+          COUNT(*) FILTER (WHERE locked_until > NOW() AND subject_type <> 'ip') AS locked_users,
+          COUNT(*) FILTER (WHERE locked_until > NOW() AND subject_type = 'ip') AS locked_ips,
+          COUNT(*) FILTER (WHERE locked_at > NOW() - INTERVAL '24 hours') AS lockouts_last_24h,
+          COUNT(*) FILTER (WHERE failed_count > 0 AND last_failed_at > NOW() - ($1::integer * INTERVAL '1 second')) AS subjects_with_failures,
+          COALESCE(SUM(failed_count) FILTER (WHERE last_failed_at > NOW() - ($1::integer * INTERVAL '1 second')), 0) AS recent_failed_attempts
+        FROM login_attempts
+      `, [this.failureWindowSeconds]);
+
+      const row = result.rows[0];
+      return {
+        method: this.redis ? 'hybrid' : 'database',
+        lockedUsers: parseInt(row.locked_users, 10),
+        lockedIps: parseInt(row.locked_ips, 10),
+        lockoutsLast24h: parseInt(row.lockouts_last_24h, 10),
+        subjectsWithFailures: parseInt(row.subjects_with_failures, 10),
+        recentFailedAttempts: parseInt(row.recent_failed_attempts, 10),
+        settings: {
+          maxFailedAttempts: this.maxFailedAttempts,
+          maxFailedAttemptsPerIp: this.maxFailedAttemptsPerIp,
+          failureWindowSeconds: this.failureWindowSeconds,
+          lockoutSeconds: this.lockoutSeconds
+        }
+      };
+    } catch (error) {
+      console.error('❌ Failed to get login attempt statistics:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Gets the state of a subject (Redis mirror first, then PostgreSQL)
+   * @param {string} subjectKey - Subject key
+   * @returns {Promise<Object|null>} State or null if the subject has no failures
+   */
+  async getState(subjectKey) {
+    if (this.redis) {
+      try {
+        const cached = await this.redis.get(subjectKey);
+        if (cached) {
+          return this.parseState(JSON.parse(cached));
+        }
+      } catch (error) {
+        console.error('❌ Redis read failed (login attempts):', error.message);
+      }
+    }
+
+    const result = await this.dbPool.query('SELECT * FROM login_attempts WHERE subject_key = $1', [subjectKey]);
+    if (result.rows.length === 0) {
+      return null;
+    }
+
+    const state = this.mapRow(result.rows[0]);
+    await this.mirrorToRedis(state);
+    return state;
+  }
+
+  /**
+   * Time before which the subject may not try again (progressive delay)
+   * @param {Object} state - Subject state
+   * @returns {Date|null} Next allowed attempt, or null if there is no delay
+   */
+  getNextAttemptAt(state) {
+    if (!state.lastFailedAt || state.failedCount < this.delayAfterAttempts) {
+      return null;
+    }
+    if (state.lastFailedAt.getTime() < Date.now() - this.failureWindowSeconds * 1000) {
+      return null;
+    }
+
+    const delaySeconds = Math.min(Math.pow(2, state.failedCount - this.delayAfterAttempts), this.maxDelaySeconds);
+    return new Date(state.lastFailedAt.getTime() + delaySeconds * 1000);
+  }
+
+  describeState(state) {
+    return {
+      subject: state.subjectKey,
+      type: state.subjectType,
+      failedCount: state.failedCount,
+      lastFailedAt: state.lastFailedAt,
+      lastIp: state.lastIp,
+      lockedUntil: state.lockedUntil,
+      lockoutCount: state.lockoutCount,
+      nextAttemptAt: this.getNextAttemptAt(state)
+    };
+  }
+
+  async clear(keys) {
+    if (keys.length === 0) {
+      return 0;
+    }
+
+    const result = await this.dbPool.query('DELETE FROM login_attempts WHERE subject_key = ANY($1)', [keys]);
+
+    if (this.redis) {
+      try {
+        await this.redis.del(...keys);
+      } catch (error) {
+        console.error('❌ Redis delete failed (login attempts):', error.message);
+      }
+    }
+
+    return result.rowCount;
+  }
+
+  async mirrorToRedis(state) {
+    if (!this.redis) return;
+
+    const windowEnd = state.lastFailedAt ? state.lastFailedAt.getTime() + this.failureWindowSeconds * 1000 : 0;
+    const lockEnd = state.lockedUntil ? state.lockedUntil.getTime() : 0;
+    const ttl = Math.ceil((Math.max(windowEnd, lockEnd) - Date.now()) / 1000);
+    if (ttl <= 0) return;
+
+    try {
+      await this.redis.setex(state.subjectKey, ttl, JSON.stringify(state));
+    } catch (error) {
+      console.error('❌ Redis write failed (login attempts):', error.message);
+    }
+  }
+
+  userSubjects(user) {
+    return LoginAttemptService.subjectsFor({
+      email: user.email,
+      accountId: user.accountId,
+      username: user.username
+    });
+  }
+
+  async getUser(userId, accountId) {
+    if (!this.userRepository) {
+      this.userRepository = repositoryFactory.createUserRepository();
+    }
+
+    const user = await this.userRepository.findById(userId);
+    if (!user || user.accountId !== accountId) {
+      const error = new Error('User not found');
+      error.code = 'USER_NOT_FOUND';
+      throw error;
+    }
+    return user;
+  }
+
+  mapRow(row) {
+    return this.parseState({
+      subjectKey: row.subject_key,
+      subjectType: row.subject_type,
+      failedCount: row.failed_count,
+      lastFailedAt: row.last_failed_at,
+      lastIp: row.last_ip,
+      lockedUntil: row.locked_until,
+      lockoutCount: row.lockout_count
+    });
+  }
+
+  parseState(data) {
+    return {
+      ...data,
+      lastFailedAt: data.lastFailedAt ? new Date(data.lastFailedAt) : null,
+      lockedUntil: data.lockedUntil ? new Date(data.lockedUntil) : null
+    };
+  }
+
+  /**
+   * Graceful shutdown
+   */
+  async disconnect() {
+    if (this.redis) {
+      await this.redis.disconnect();
+    }
+  }
+}
+
+LoginAttemptService.SUBJECT_TYPES = SUBJECT_TYPES;
+
+module.exports = { LoginAttemptService };
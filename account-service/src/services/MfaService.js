@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+const MfaDevice = require('../models/MfaDevice');
+const { Totp } = require('../utils/Totp');
+const { Transaction } = require('../utils/Transaction');
+const { SecretCipher } = require('../utils/SecretCipher');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+const RECOVERY_CODE_COUNT = 10;
+
+/**
+ * Service for virtual MFA devices (TOTP)
+ * Enrollment creates a pending device; two consecutive codes activate it and return the
+ * one-time recovery codes. Once active, login requires a code or an unused recovery code.
+ * The TOTP secret is needed to compute codes, so it is stored encrypted (SecretCipher), never hashed.
+ */
+class MfaService {
+  constructor(mfaRepository = null, secretCipher = null) {
+    this.mfaRepository = mfaRepository || repositoryFactory.createMfaRepository();
+    this.secretCipher = secretCipher || new SecretCipher();
+    this.issuer = process.env.MFA_ISSUER || 'IAM Platform';
+  }
+
+  /**
+   * Starts the enrollment of a virtual MFA device (replaces a previous pending enrollment)
+   * @param {Object} user - Authenticated user (userId, accountId, username)
+   * @returns {Promise<Object>} { device, secret, otpauthUri, qrPayload }
+   */
+  async enroll(user) {
+    const secret = Totp.generateSecret();
+    const device = new MfaDevice({
+      accountId: user.accountId,
+      userId: user.userId,
+      serialNumber: MfaDevice.buildSerialNumber(user.accountId, user.username || user.userId),
+      encryptedSecret: this.secretCipher.encrypt(secret)
+    });
+
+    let stored;
+    try {
+      stored = await this.mfaRepository.savePending(device);
+    } catch (error) {
+      throw new Error(`Failed to enroll MFA device: ${error.message}`);
+    }
+
+    if (!stored) {
+      const error = new Error('An active MFA device is already enabled for this user');
+      error.code = 'MFA_DEVICE_ALREADY_ACTIVE';
+      throw error;
+    }
+
+    const otpauthUri = Totp.buildUri({
+      issuer: this.issuer,
+      accountName: `${user.username || user.userId}@${user.accountId}`,
+      secret
+    });
+
+    return { device: stored, secret, otpauthUri, qrPayload: otpauthUri };
+  }
+
+  /**
+   * Activates the pending device of a user with two consecutive codes
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} code1 - First code
+   * @param {string} code2 - Code of the following time step
+   * @returns {Promise<Object>} { device, recoveryCodes } - recovery codes are only returned here
+   */
+  async activate(userId, accountId, code1, code2) {
+    const device = await this.getDevice(userId, accountId);
+
+    if (device.isActive()) {
+      const error = new Error('MFA device is already active');
+      error.code = 'MFA_DEVICE_ALREADY_ACTIVE';
+      throw error;
+    }
+
+    // The second code must belong to the step right after the first one
+    const secret = this.secretCipher.decrypt(device.encryptedSecret);
+    const step1 = Totp.findStep(secret, code1, { window: 2 });
+    if (step1 === null || !Totp.safeEqual(Totp.generate(secret, step1 + 1), String(code2 || ''))) {
+      const error = new Error('Authentication codes are invalid or not consecutive');
+      error.code = 'INVALID_MFA_CODE';
+      throw error;
+    }
+
+    const recoveryCodes = this.generateRecoveryCodes();
+
+    return await Transaction.execute(async (transaction) => {
+      const activated = await this.mfaRepository.activate(device.id, step1 + 1, transaction);
+      if (!activated) {
+        const error = new Error('MFA device is already active');
+        error.code = 'MFA_DEVICE_ALREADY_ACTIVE';
+        throw error;
+      }
+
+      await this.mfaRepository.replaceRecoveryCodes(
+        userId,
+        recoveryCodes.map(code => this.hashRecoveryCode(code)),
+        transaction
+      );
+
+      return { device: activated, recoveryCodes };
+    });
+  }
+
+  /**
+   * Gets the MFA status of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} { enabled, device, recoveryCodesRemaining }
+   */
+  async getStatus(userId, accountId) {
+    const device = await this.mfaRepository.findByUserId(userId, accountId);
+    const enabled = Boolean(device && device.isActive());
+
+    return {
+      enabled,
+      device,
+      recoveryCodesRemaining: enabled ? await this.mfaRepository.countRecoveryCodes(userId) : 0
+    };
+  }
+
+  /**
+   * Replaces the recovery codes of a user (requires a current code)
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} code - Current authentication code
+   * @returns {Promise<Array<string>>} New recovery codes
+   */
+  async regenerateRecoveryCodes(userId, accountId, code) {
+    const device = await this.getActiveDevice(userId, accountId);
+    await this.verifyCode(device, code);
+
+    const recoveryCodes = this.generateRecoveryCodes();
+    await Transaction.execute(async (transaction) => {
+      await this.mfaRepository.replaceRecoveryCodes(
+        userId,
+        recoveryCodes.map(value => this.hashRecoveryCode(value)),
+        transaction
+      );
+    });
+
+    return recoveryCodes;
+  }
+
+  /**
+   * Deactivates (deletes) the MFA device of a user and its recovery codes
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if deactivated
+   */
+  async deactivate(userId, accountId) {
+    let deleted;
+    try {
+      deleted = await this.mfaRepository.deleteByUserId(userId, accountId);
+    } catch (error) {
+      throw new Error(`Failed to deactivate MFA device: ${error.message}`);
+    }
+
+    if (!deleted) {
+      const error = new Error('MFA device not found');
+      error.code = 'MFA_DEVICE_NOT_FOUND';
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Checks the second factor at login
+   * @param {Object} user - Authenticated user (id, accountId)
+   * @param {Object} [factors] - Second factor sent with the credentials
+   * @param {string} [factors.mfaCode] - Current authentication code
+   * @param {string} [factors.recoveryCode] - Unused recovery code
+   * @returns {Promise<Object|null>} { method } if MFA was verified, null if the user has no active device
+   */
+  async verifyLogin(user, factors = {}) {
+    const device = await this.mfaRepository.findByUserId(user.id, user.accountId);
+    if (!device || !device.isActive()) {
+      return null;
+    }
+
+    if (factors.mfaCode) {
+      await this.verifyCode(device, factors.mfaCode);
+      return { method: 'totp' };
+    }
+
+    if (factors.recoveryCode) {
+      const used = await this.mfaRepository.useRecoveryCode(user.id, this.hashRecoveryCode(factors.recoveryCode));
+      if (!used) {
+        const error = new Error('Invalid recovery code');
+        error.code = 'INVALID_MFA_CODE';
+        throw error;
+      }
+      return { method: 'recovery_code' };
+    }
+
+    const error = new Error('MFA code required');
+    error.code = 'MFA_REQUIRED';
+    throw error;
+  }
+
+  /**
+   * Verifies a code of a device and records its time step (a code cannot be used twice)
+   * @param {MfaDevice} device - Active device
+   * @param {string} code - Authentication code
+   * @returns {Promise<void>}
+   */
+  async verifyCode(device, code) {
+    const step = Totp.findStep(this.secretCipher.decrypt(device.encryptedSecret), String(code || ''));
+
+    if (step === null || !(await this.mfaRepository.useStep(device.id, step))) {
+      const error = new Error('Invalid MFA code');
+      error.code = 'INVALID_MFA_CODE';
+      throw error;
+    }
+  }
+
+  /**
+   * Gets the device of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<MfaDevice>} Device
+   */
+  async getDevice(userId, accountId) {
+    const device = await this.mfaRepository.findByUserId(userId, accountId);
+    if (!device) {
+      const error = new Error('MFA device not found');
+      error.code = 'MFA_DEVICE_NOT_FOUND';
+      throw error;
+    }
+    return device;
+  }
+
+  /**
+   * Gets the active device of a user
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<MfaDevice>} Active device
+   */
+  async getActiveDevice(userId, accountId) {
+    const device = await this.getDevice(userId, accountId);
+    if (!device.isActive()) {
+      const error = new Error('MFA device not found');
+      error.code = 'MFA_DEVICE_NOT_FOUND';
+      throw error;
+    }
+    return device;
+  }
+
+  /**
+   * Generates one-time recovery codes (xxxxx-xxxxx, hexadecimal)
+   * @returns {Array<string>} Recovery codes
+   */
+  generateRecoveryCodes() {
+    return Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+      const value = crypto.randomBytes(5).toString('hex');
+      return `${value.slice(0, 5)}-${value.slice(5)}`;
+    });
+  }
+
+  /**
+   * Hashes a recovery code (case, spaces and dashes are ignored)
+   * @param {string} code - Recovery code
+   * @returns {string} SHA-256 hex digest
+   */
+  hashRecoveryCode(code) {
+    const normalized = String(code).toLowerCase().replace(/[\s-]/g, '');
+    return crypto.createHash('sha256').update(normalized).digest('hex');
+  }
+}
+
+module.exports = { MfaService };
@@ -0,0 +1,161 @@
+const OAuthClient = require('../models/OAuthClient');
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+/**
+ * Service for the OAuth clients registered by an account (OpenID Connect relying parties)
+ */
+class OAuthClientService {
+  /**
+   * @param {Object} [oauthRepository] - OAuth repository
+   * @param {AuthService} [authService] - Used to revoke the sessions of disabled and deleted clients
+   */
+  constructor(oauthRepository = null, authService = null) {
+    this.oauthRepository = oauthRepository || repositoryFactory.createOAuthRepository();
+    this.authService = authService;
+  }
+
+  /**
+   * Registers a client
+   * @param {string} accountId - Account ID
+   * @param {Object} data - { name, clientType, redirectUris, allowedScopes, firstParty }
+   * @param {string} [createdBy] - User registering the client
+   * @returns {Promise<Object>} { client, clientSecret } - the secret (confidential clients) is only returned here
+   */
+  async createClient(accountId, data = {}, createdBy = null) {
+    this.assertValid(OAuthClient.validate(data));
+
+    const clientSecret = data.clientType === OAuthClient.TYPES.CONFIDENTIAL
+      ? OAuthClient.generateClientSecret()
+      : null;
+
+    const client = await this.oauthRepository.createClient(new OAuthClient({
+      accountId,
+      name: data.name.trim(),
+      clientType: data.clientType,
+      clientSecretHash: clientSecret ? OAuthClient.hashSecret(clientSecret) : null,
+      redirectUris: data.redirectUris,
+      allowedScopes: data.allowedScopes,
+      firstParty: data.firstParty,
+      createdBy
+    }));
+
+    return { client, clientSecret };
+  }
+
+  /**
+   * Lists the clients of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<OAuthClient>>} Clients
+   */
+  async listClients(accountId) {
+    return await this.oauthRepository.findClientsByAccountId(accountId);
+  }
+
+  /**
+   * Gets a client of an account
+   * @param {string} accountId - Account ID
+   * @param {string} clientId - Client ID
+   * @returns {Promise<OAuthClient>} Client
+   */
+  async getClient(accountId, clientId) {
+    const client = await this.oauthRepository.findClientById(clientId);
+    if (!client || client.accountId !== accountId) {
+      throw this.notFound();
+    }
+    return client;
+  }
+
+  /**
+   * Updates the settings of a client
+   * Disabling a client revokes the sessions issued to it.
+   * @param {string} accountId - Account ID
+   * @param {string} clientId - Client ID
+   * @param {Object} data - { name, redirectUris, allowedScopes, firstParty, status }
+   * @returns {Promise<OAuthClient>} Updated client
+   */
+  async updateClient(accountId, clientId, data = {}) {
+    this.assertValid(OAuthClient.validate(data, true));
+
+    const client = await this.getClient(accountId, clientId);
+    ['name', 'redirectUris', 'allowedScopes', 'firstParty', 'status'].forEach(field => {
+      if (data[field] !== undefined) {
+        client[field] = field === 'name' ? data.name.trim() : data[field];
+      }
+    });
+
+    const updated = await this.oauthRepository.updateClient(client);
+    if (!updated) {
+      throw this.notFound();
+    }
+
+    if (!updated.isActive()) {
+      await this.revokeSessions(clientId);
+    }
+
+    return updated;
+  }
+
+  /**
+   * Replaces the secret of a confidential client (the previous secret stops working immediately)
+   * @param {string} accountId - Account ID
+   * @param {string} clientId - Client ID
+   * @returns {Promise<Object>} { client, clientSecret }
+   */
+  async rotateClientSecret(accountId, clientId) {
+    const client = await this.getClient(accountId, clientId);
+
+    if (!client.isConfidential()) {
+      const error = new Error('Public clients have no secret');
+      error.code = 'VALIDATION_ERROR';
+      error.details = ['Only confidential clients have a client secret'];
+      throw error;
+    }
+
+    const clientSecret = OAuthClient.generateClientSecret();
+    client.clientSecretHash = OAuthClient.hashSecret(clientSecret);
+
+    return { client: await this.oauthRepository.updateClient(client), clientSecret };
+  }
+
+  /**
+   * Deletes a client and revokes the sessions issued to it
+   * @param {string} accountId - Account ID
+   * @param {string} clientId - Client ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteClient(accountId, clientId) {
+    await this.getClient(accountId, clientId);
+    await this.revokeSessions(clientId);
+
+    const deleted = await this.oauthRepository.deleteClient(clientId, accountId);
+    if (!deleted) {
+      throw this.notFound();
+    }
+
+    return true;
+  }
+
+  async revokeSessions(clientId) {
+    if (this.authService) {
+      await this.authService.revokeClientSessions(clientId, { reason: RefreshTokenFamily.REVOKED_REASONS.SECURITY });
+    }
+  }
+
+  assertValid(errors) {
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  notFound() {
+    const error = new Error('OAuth client not found');
+    error.code = 'OAUTH_CLIENT_NOT_FOUND';
+    return error;
+  }
+}
+
+module.exports = { OAuthClientService };
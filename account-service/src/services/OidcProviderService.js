@@ -0,0 +1,641 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const OAuthAuthorizationCode = require('../models/OAuthAuthorizationCode');
+const RefreshTokenFamily = require('../models/RefreshTokenFamily');
+const { OAUTH_SCOPES, parseScope, claimsForScope } = require('../config/oauthScopes');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+// Codes are exchanged right after the redirect; RFC 6749 recommends at most 10 minutes
+const AUTHORIZATION_CODE_TTL_SECONDS = 60;
+
+const GRANT_TYPES = ['authorization_code', 'refresh_token'];
+
+/**
+ * Builds an OAuth error
+ * @param {string} code - Error code (the OAuth error in upper case, e.g. INVALID_GRANT)
+ * @param {string} description - error_description
+ * @param {Object} [redirect] - { redirectUri, state } when the error must be sent back to the client
+ * @returns {Error} Error
+ */
+function oauthError(code, description, redirect = null) {
+  const error = new Error(description);
+  error.code = code;
+  if (redirect) {
+    error.redirect = redirect;
+  }
+  return error;
+}
+
+/**
+ * OpenID Connect provider: authorization code flow with PKCE
+ *
+ * Users sign in to the provider itself through the regular login (password, MFA, lockout), which gives
+ * the login page a session; the login page then authorizes the client with that session at the
+ * authorization endpoint. Tokens issued to clients are AuthService sessions carrying the client_id and
+ * the granted scope, so they are refreshed, listed and revoked (blacklist) like any other session.
+ */
+class OidcProviderService {
+  /**
+   * @param {AuthService} authService - Sessions and token signing
+   * @param {UserService} userService - User lookup
+   * @param {Object} [oauthRepository] - OAuth repository
+   */
+  constructor(authService, userService, oauthRepository = null) {
+    this.authService = authService;
+    this.userService = userService;
+    this.oauthRepository = oauthRepository || repositoryFactory.createOAuthRepository();
+    this.issuer = (process.env.OIDC_ISSUER || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+  }
+
+  /**
+   * OpenID Provider metadata (OpenID Connect Discovery 1.0)
+   * @returns {Object} Metadata
+   */
+  getDiscoveryDocument() {
+    return {
+      issuer: this.issuer,
+      authorization_endpoint: `${this.issuer}/oauth2/authorize`,
+      token_endpoint: `${this.issuer}/oauth2/token`,
+      userinfo_endpoint: `${this.issuer}/oauth2/userinfo`,
+      jwks_uri: `${this.issuer}/.well-known/jwks.json`,
+      response_types_supported: ['code'],
+      response_modes_supported: ['query'],
+      grant_types_supported: GRANT_TYPES,
+      subject_types_supported: ['public'],
+      id_token_signing_alg_values_supported: [this.authService.signingKeyService.algorithm],
+      scopes_supported: Object.keys(OAUTH_SCOPES),
+      claims_supported: ['iss', 'aud', 'exp', 'iat', 'auth_time', 'nonce', 'amr', 'at_hash',
+        ...new Set(Object.values(OAUTH_SCOPES).flatMap(scope => scope.claims || []))],
+      token_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      introspection_endpoint: `${this.issuer}/oauth2/introspect`,
+      introspection_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post'],
+      revocation_endpoint: `${this.issuer}/oauth2/revoke`,
+      revocation_endpoint_auth_methods_supported: ['client_secret_basic', 'client_secret_post', 'none'],
+      code_challenge_methods_supported: ['S256'],
+      authorization_response_iss_parameter_supported: true
+    };
+  }
+
+  /**
+   * Validates an authorization request
+   * Errors about the client or the redirect URI must not be redirected and have no error.redirect;
+   * the other errors carry the redirect URI and state to be sent back to the client
+   * @param {Object} params - Request parameters (client_id, redirect_uri, response_type, scope, state,
+   *   nonce, code_challenge, code_challenge_method)
+   * @returns {Promise<Object>} { client, redirectUri, scopes, state, nonce, codeChallenge }
+   */
+  async validateAuthorizationRequest(params = {}) {
+    const client = typeof params.client_id === 'string'
+      ? await this.oauthRepository.findClientById(params.client_id)
+      : null;
+
+    if (!client || !client.isActive()) {
+      throw oauthError('INVALID_REQUEST', 'Unknown or disabled client_id');
+    }
+
+    if (typeof params.redirect_uri !== 'string' || !client.allowsRedirectUri(params.redirect_uri)) {
+      throw oauthError('INVALID_REQUEST', 'redirect_uri is not registered for the client');
+    }
+
+    const state = typeof params.state === 'string' ? params.state : undefined;
+    const redirect = { redirectUri: params.redirect_uri, state };
+
+    if (params.response_type !== 'code') {
+      throw oauthError('UNSUPPORTED_RESPONSE_TYPE', 'Only the authorization code flow (response_type=code) is supported', redirect);
+    }
+
+    const scopes = parseScope(params.scope);
+    const notAllowed = scopes.filter(scope => !client.allowedScopes.includes(scope));
+    if (scopes.length === 0 || notAllowed.length > 0) {
+      throw oauthError('INVALID_SCOPE', scopes.length === 0
+        ? 'scope is required'
+        : `Scopes not allowed for the client: ${notAllowed.join(' ')}`, redirect);
+    }
+
+    if (params.code_challenge_method !== 'S256' || typeof params.code_challenge !== 'string' ||
+        !/^[A-Za-z0-9\-_]{43}$/.test(params.code_challenge)) {
+      throw oauthError('INVALID_REQUEST', 'PKCE is required: code_challenge with code_challenge_method=S256', redirect);
+    }
+
+    if (params.nonce !== undefined && (typeof params.nonce !== 'string' || params.nonce.length > 255)) {
+      throw oauthError('INVALID_REQUEST', 'nonce must be a string of at most 255 characters', redirect);
+    }
+
+    return {
+      client,
+      redirectUri: params.redirect_uri,
+      scopes,
+      state,
+      nonce: params.nonce || null,
+      codeChallenge: params.code_challenge
+    };
+  }
+
+  /**
+   * Describes scopes for the consent screen
+   * @param {Array<string>} scopes - Scopes
+   * @returns {Array<Object>} { scope, description }
+   */
+  describeScopes(scopes) {
+    return scopes.map(scope => ({ scope, description: OAUTH_SCOPES[scope].description }));
+  }
+
+  /**
+   * Authorizes a client for the user of a provider session and issues an authorization code
+   * Clients that are not first-party need the user's consent for every requested scope: without it a
+   * CONSENT_REQUIRED error lists the missing scopes, consent=true grants them and consent=false denies
+   * the request (access_denied is sent back to the client).
+   * @param {Object} params - Authorization request parameters
+   * @param {Object} session - Verified access token of the provider session (AuthService payload)
+   * @param {Object} [options] - { consent }
+   * @returns {Promise<Object>} { redirectTo } - redirect URI with code, state and iss
+   */
+  async authorize(params, session, options = {}) {
+    const request = await this.validateAuthorizationRequest(params);
+    const { client, scopes } = request;
+    const redirect = { redirectUri: request.redirectUri, state: request.state };
+
+    const user = await this.userService.getUserById(session.userId);
+    if (user.status !== 'active' || user.accountId !== client.accountId) {
+      throw oauthError('ACCESS_DENIED', 'The client can only sign in users of its own account');
+    }
+
+    if (options.consent === false) {
+      throw oauthError('ACCESS_DENIED', 'The user denied the request', redirect);
+    }
+
+    if (!client.firstParty) {
+      const consent = await this.oauthRepository.findConsent(user.id, client.clientId);
+      const granted = consent ? consent.scopes : [];
+      const missing = scopes.filter(scope => !granted.includes(scope));
+
+      if (missing.length > 0) {
+        if (options.consent !== true) {
+          const error = oauthError('CONSENT_REQUIRED', 'The user must consent to the requested scopes');
+          error.consent = {
+            client: { clientId: client.clientId, name: client.name },
+            scopes: this.describeScopes(missing)
+          };
+          throw error;
+        }
+
+        await this.oauthRepository.upsertConsent({
+          userId: user.id,
+          clientId: client.clientId,
+          accountId: user.accountId,
+          scopes: [...new Set([...granted, ...scopes])]
+        });
+      }
+    }
+
+    const code = crypto.randomBytes(32).toString('base64url');
+    await this.oauthRepository.createAuthorizationCode(new OAuthAuthorizationCode({
+      codeHash: OAuthAuthorizationCode.hashCode(code),
+      clientId: client.clientId,
+      accountId: user.accountId,
+      userId: user.id,
+      redirectUri: request.redirectUri,
+      scopes,
+      codeChallenge: request.codeChallenge,
+      nonce: request.nonce,
+      authTime: await this.getAuthTime(session),
+      mfaAuthTime: session.mfaAuthTime ? new Date(session.mfaAuthTime * 1000) : null,
+      expiresAt: new Date(Date.now() + AUTHORIZATION_CODE_TTL_SECONDS * 1000)
+    }));
+
+    return { redirectTo: this.buildRedirect(request.redirectUri, { code, state: request.state }) };
+  }
+
+  /**
+   * Builds the redirect back to the client (authorization response or error, RFC 9207 iss included)
+   * @param {string} redirectUri - Registered redirect URI
+   * @param {Object} params - Response parameters (undefined values are skipped)
+   * @returns {string} URL
+   */
+  buildRedirect(redirectUri, params) {
+    const url = new URL(redirectUri);
+    Object.entries({ ...params, iss: this.issuer })
+      .filter(([, value]) => value !== undefined && value !== null)
+      .forEach(([name, value]) => url.searchParams.set(name, value));
+    return url.toString();
+  }
+
+  /**
+   * When the user of a provider session signed in (start of the session)
+   * @param {Object} session - Access token payload
+   * @returns {Promise<Date>} Sign-in time
+   */
+  async getAuthTime(session) {
+    const family = session.fid
+      ? await this.authService.getRefreshTokenFamilyRepository().findById(session.fid)
+      : null;
+    return family ? new Date(family.createdAt) : new Date(session.iat * 1000);
+  }
+
+  /**
+   * Authenticates the client at the token endpoint
+   * Confidential clients must present their secret; public clients only identify themselves (PKCE
+   * protects their codes)
+   * @param {Object} credentials - { clientId, clientSecret }
+   * @returns {Promise<OAuthClient>} Client
+   */
+  async authenticateClient(credentials = {}) {
+    const client = typeof credentials.clientId === 'string' && credentials.clientId
+      ? await this.oauthRepository.findClientById(credentials.clientId)
+      : null;
+
+    if (!client || !client.isActive() ||
+        (client.isConfidential() && !client.verifySecret(credentials.clientSecret))) {
+      throw oauthError('INVALID_CLIENT', 'Client authentication failed');
+    }
+
+    return client;
+  }
+
+  /**
+   * Token endpoint
+   * @param {Object} params - Token request parameters (grant_type, code, redirect_uri, code_verifier, refresh_token)
+   * @param {Object} credentials - Client credentials { clientId, clientSecret }
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
+   * @returns {Promise<Object>} Token response (RFC 6749 section 5.1)
+   */
+  async exchangeToken(params = {}, credentials = {}, options = {}) {
+    if (!GRANT_TYPES.includes(params.grant_type)) {
+      throw oauthError('UNSUPPORTED_GRANT_TYPE', `grant_type must be one of: ${GRANT_TYPES.join(', ')}`);
+    }
+
+    const client = await this.authenticateClient(credentials);
+
+    return params.grant_type === 'authorization_code'
+      ? await this.exchangeAuthorizationCode(client, params, options)
+      : await this.exchangeRefreshToken(client, params, options);
+  }
+
+  async exchangeAuthorizationCode(client, params, options) {
+    if (typeof params.code !== 'string' || !params.code) {
+      throw oauthError('INVALID_REQUEST', 'code is required');
+    }
+
+    const codeHash = OAuthAuthorizationCode.hashCode(params.code);
+    const { code, alreadyConsumed } = await this.oauthRepository.consumeAuthorizationCode(codeHash);
+
+    if (code && alreadyConsumed) {
+      await this.handleAuthorizationCodeReuse(code, options);
+      throw oauthError('INVALID_GRANT', 'Authorization code has already been used');
+    }
+
+    if (!code || code.clientId !== client.clientId || code.isExpired()) {
+      throw oauthError('INVALID_GRANT', 'Invalid or expired authorization code');
+    }
+
+    if (params.redirect_uri !== code.redirectUri) {
+      throw oauthError('INVALID_GRANT', 'redirect_uri does not match the authorization request');
+    }
+
+    if (!code.verifyCodeVerifier(params.code_verifier)) {
+      throw oauthError('INVALID_GRANT', 'PKCE verification failed (code_verifier)');
+    }
+
+    const user = await this.getActiveUser(code.userId);
+    const mfaAuthTime = code.mfaAuthTime ? Math.floor(new Date(code.mfaAuthTime).getTime() / 1000) : undefined;
+
+    const tokens = await this.authService.generateTokens(user, {
+      mfaAuthTime,
+      clientId: client.clientId,
+      scope: code.scopes.join(' '),
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent
+    });
+    await this.oauthRepository.setAuthorizationCodeSession(codeHash, tokens.sessionId);
+
+    return await this.buildTokenResponse(client, user, tokens, code.scopes, {
+      nonce: code.nonce,
+      authTime: code.authTime,
+      mfaAuthTime
+    });
+  }
+
+  async exchangeRefreshToken(client, params, options) {
+    const decoded = typeof params.refresh_token === 'string' ? jwt.decode(params.refresh_token) : null;
+    if (!decoded || decoded.client_id !== client.clientId) {
+      throw oauthError('INVALID_GRANT', 'Invalid refresh token');
+    }
+
+    let tokens;
+    try {
+      tokens = await this.authService.refreshTokens(params.refresh_token, options);
+    } catch (error) {
+      throw oauthError('INVALID_GRANT', error.message);
+    }
+
+    const user = await this.getActiveUser(decoded.userId);
+    const family = await this.authService.getRefreshTokenFamilyRepository().findById(tokens.sessionId);
+
+    return await this.buildTokenResponse(client, user, tokens, parseScope(decoded.scope), {
+      authTime: family ? family.createdAt : new Date(),
+      mfaAuthTime: decoded.mfaAuthTime
+    });
+  }
+
+  /**
+   * Revokes the session issued for an authorization code that was presented again (RFC 6749 section 4.1.2)
+   * @param {OAuthAuthorizationCode} code - Replayed code
+   * @param {Object} options - { ipAddress, userAgent } of the client
+   */
+  async handleAuthorizationCodeReuse(code, options = {}) {
+    const family = code.sessionId
+      ? await this.authService.getRefreshTokenFamilyRepository().findById(code.sessionId)
+      : null;
+
+    if (family && family.isActive()) {
+      await this.authService.revokeTokenFamily(family, RefreshTokenFamily.REVOKED_REASONS.SECURITY, options);
+    }
+
+    await this.authService.getSecurityEventService().log('authorization_code_reuse', {
+      severity: 'high',
+      accountId: code.accountId,
+      userId: code.userId,
+      ipAddress: options.ipAddress,
+      userAgent: options.userAgent,
+      details: { clientId: code.clientId, sessionId: code.sessionId }
+    });
+  }
+
+  async getActiveUser(userId) {
+    let user = null;
+    try {
+      user = await this.userService.getUserById(userId);
+    } catch (error) {
+      user = null;
+    }
+
+    if (!user || user.status !== 'active') {
+      throw oauthError('INVALID_GRANT', 'The user no longer exists or is inactive');
+    }
+
+    return user;
+  }
+
+  /**
+   * Builds the token response; the refresh token is only returned with offline_access and the
+   * ID token with openid
+   */
+  async buildTokenResponse(client, user, tokens, scopes, idTokenOptions) {
+    const response = {
+      access_token: tokens.accessToken,
+      token_type: 'Bearer',
+      expires_in: tokens.expiresIn,
+      scope: scopes.join(' ')
+    };
+
+    if (scopes.includes('offline_access')) {
+      response.refresh_token = tokens.refreshToken;
+    }
+
+    if (scopes.includes('openid')) {
+      response.id_token = await this.createIdToken(client, user, scopes, {
+        ...idTokenOptions,
+        accessToken: tokens.accessToken
+      });
+    }
+
+    return response;
+  }
+
+  /**
+   * Creates an ID token, signed with the access token signing keys (verifiable through the JWKS)
+   * @param {OAuthClient} client - Audience
+   * @param {Object} user - Signed-in user
+   * @param {Array<string>} scopes - Granted scopes (select the claims)
+   * @param {Object} options - { nonce, authTime, mfaAuthTime, accessToken }
+   * @returns {Promise<string>} ID token
+   */
+  async createIdToken(client, user, scopes, options) {
+    const signingKey = await this.authService.signingKeyService.getSigningKey();
+
+    // at_hash: left half of the SHA-256 of the access token (RS256 and ES256 both use SHA-256)
+    const accessTokenHash = crypto.createHash('sha256').update(options.accessToken).digest();
+
+    const claims = {
+      ...this.getUserClaims(user, scopes),
+      auth_time: Math.floor(new Date(options.authTime).getTime() / 1000),
+      amr: options.mfaAuthTime ? ['pwd', 'mfa'] : ['pwd'],
+      at_hash: accessTokenHash.subarray(0, accessTokenHash.length / 2).toString('base64url')
+    };
+
+    if (options.nonce) {
+      claims.nonce = options.nonce;
+    }
+
+    return jwt.sign(claims, signingKey.privateKey, {
+      algorithm: signingKey.algorithm,
+      keyid: signingKey.kid,
+      issuer: this.issuer,
+      audience: client.clientId,
+      expiresIn: this.authService.accessTokenExpiry
+    });
+  }
+
+  /**
+   * Gets the claims about a user released for a set of scopes
+   * @param {Object} user - User
+   * @param {Array<string>|string} scopes - Granted scopes
+   * @returns {Object} Claims (sub always included)
+   */
+  getUserClaims(user, scopes) {
+    const values = {
+      sub: user.id,
+      account_id: user.accountId,
+      preferred_username: user.username || user.email,
+      is_root: Boolean(user.isRoot),
+      email: user.email
+    };
+
+    const claims = { sub: user.id };
+    claimsForScope(scopes)
+      .filter(claim => values[claim] !== undefined && values[claim] !== null)
+      .forEach(claim => {
+        claims[claim] = values[claim];
+      });
+
+    return claims;
+  }
+
+  /**
+   * UserInfo endpoint: claims about the user of an access token issued to a client with the openid scope
+   * @param {Object} tokenPayload - Verified access token payload
+   * @returns {Promise<Object>} Claims
+   */
+  async getUserInfo(tokenPayload) {
+    if (!tokenPayload.client_id || !parseScope(tokenPayload.scope).includes('openid')) {
+      throw oauthError('INSUFFICIENT_SCOPE', 'The access token was not issued with the openid scope');
+    }
+
+    let user;
+    try {
+      user = await this.getActiveUser(tokenPayload.userId);
+    } catch (error) {
+      throw oauthError('INVALID_TOKEN', 'The user no longer exists or is inactive');
+    }
+
+    return this.getUserClaims(user, tokenPayload.scope);
+  }
+
+  /**
+   * Token introspection (RFC 7662)
+   * Only confidential clients may introspect, and only tokens of their own account: any other token,
+   * like an invalid, expired, revoked or rotated one, is reported as inactive.
+   * @param {Object} params - { token, token_type_hint }
+   * @param {Object} credentials - Client credentials { clientId, clientSecret }
+   * @returns {Promise<Object>} Introspection response ({ active: false } for inactive tokens)
+   */
+  async introspectToken(params = {}, credentials = {}) {
+    const client = await this.authenticateClient(credentials);
+    if (!client.isConfidential()) {
+      throw oauthError('INVALID_CLIENT', 'Token introspection requires a confidential client');
+    }
+
+    if (typeof params.token !== 'string' || !params.token) {
+      throw oauthError('INVALID_REQUEST', 'token is required');
+    }
+
+    const token = await this.findActiveToken(params.token, params.token_type_hint);
+    if (!token || token.payload.accountId !== client.accountId) {
+      return { active: false };
+    }
+
+    const { payload } = token;
+    const response = {
+      active: true,
+      token_type: token.type === 'access_token' ? 'Bearer' : 'refresh_token',
+      sub: payload.userId,
+      account_id: payload.accountId,
+      username: payload.username,
+      client_id: payload.client_id,
+      scope: payload.scope,
+      exp: payload.exp,
+      iat: payload.iat,
+      iss: this.issuer,
+      session_id: payload.fid
+    };
+
+    Object.keys(response)
+      .filter(name => response[name] === undefined)
+      .forEach(name => delete response[name]);
+
+    return response;
+  }
+
+  /**
+   * Token revocation (RFC 7009)
+   * A client revokes the tokens issued to it; a first-party confidential client (e.g. the API gateway of
+   * the account) may also revoke any token of its account. Revoking a refresh token ends its session,
+   * access tokens included; revoking an access token blacklists that token only. Invalid tokens and
+   * tokens the client may not revoke are ignored, as the RFC requires the same response for them.
+   * @param {Object} params - { token, token_type_hint }
+   * @param {Object} credentials - Client credentials { clientId, clientSecret }
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
+   * @returns {Promise<boolean>} True if a token was revoked
+   */
+  async revokeToken(params = {}, credentials = {}, options = {}) {
+    const client = await this.authenticateClient(credentials);
+
+    if (typeof params.token !== 'string' || !params.token) {
+      throw oauthError('INVALID_REQUEST', 'token is required');
+    }
+
+    const token = await this.findActiveToken(params.token, params.token_type_hint);
+    if (!token || !this.canRevoke(client, token.payload)) {
+      return false;
+    }
+
+    if (token.type === 'refresh_token') {
+      await this.authService.revokeTokenFamily(token.family, RefreshTokenFamily.REVOKED_REASONS.LOGOUT, options);
+    } else {
+      await this.authService.revokeToken(params.token, { ...options, reason: 'client_revoked' });
+    }
+
+    return true;
+  }
+
+  canRevoke(client, payload) {
+    if (payload.client_id) {
+      return payload.client_id === client.clientId;
+    }
+    return client.isConfidential() && client.firstParty && payload.accountId === client.accountId;
+  }
+
+  /**
+   * Identifies an active access or refresh token
+   * @param {string} token - Token
+   * @param {string} [hint] - token_type_hint: which type to try first (unknown hints are ignored)
+   * @returns {Promise<Object|null>} { type, payload, family } or null if the token is not active
+   */
+  async findActiveToken(token, hint) {
+    const lookups = {
+      access_token: async () => {
+        const payload = await this.authService.verifyAccessToken(token);
+        return { type: 'access_token', payload };
+      },
+      refresh_token: async () => {
+        // Rotated refresh tokens are inactive: only the latest token of a session can be used
+        const payload = await this.authService.verifyRefreshToken(token);
+        const family = await this.authService.findRefreshTokenFamily(token);
+        if (!family || family.currentJti !== payload.jti || await this.authService.isTokenFamilyRevoked(family.id)) {
+          return null;
+        }
+        return { type: 'refresh_token', payload, family };
+      }
+    };
+
+    const order = hint === 'refresh_token' ? ['refresh_token', 'access_token'] : ['access_token', 'refresh_token'];
+    for (const type of order) {
+      try {
+        const result = await lookups[type]();
+        if (result) {
+          return result;
+        }
+      } catch (error) {
+        // Not a valid token of this type
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Lists the clients a user consented to
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Consents
+   */
+  async listConsents(userId) {
+    const consents = await this.oauthRepository.findConsentsByUserId(userId);
+    return consents.map(consent => ({
+      clientId: consent.clientId,
+      clientName: consent.clientName,
+      scopes: this.describeScopes(consent.scopes.filter(scope => OAUTH_SCOPES[scope])),
+      grantedAt: consent.createdAt,
+      updatedAt: consent.updatedAt
+    }));
+  }
+
+  /**
+   * Withdraws the consent of a user for a client and revokes the user's sessions issued to the client
+   * @param {string} userId - User ID
+   * @param {string} clientId - Client ID
+   * @param {Object} [options] - { ipAddress, userAgent } of the client
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeConsent(userId, clientId, options = {}) {
+    const deleted = await this.oauthRepository.deleteConsent(userId, clientId);
+    if (!deleted) {
+      const error = new Error('Consent not found');
+      error.code = 'CONSENT_NOT_FOUND';
+      throw error;
+    }
+
+    return await this.authService.revokeClientSessions(clientId, { ...options, userId });
+  }
+}
+
+module.exports = { OidcProviderService };
@@ -0,0 +1,468 @@
+const OrganizationalUnit = require('../models/OrganizationalUnit');
+const ServiceControlPolicy = require('../models/ServiceControlPolicy');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+/**
+ * Service for organizations: organizational units, account membership and
+ * service control policies (SCPs)
+ *
+ * A management account owns a tree of OUs. Accounts join an OU of the tree and from
+ * then on the management account controls their SCPs; the member account cannot
+ * change or leave them. The management account itself is never subject to SCPs.
+ */
+class OrganizationService {
+  constructor() {
+    this.organizationRepository = repositoryFactory.createOrganizationRepository();
+    this.accountRepository = repositoryFactory.createAccountRepository();
+  }
+
+  /**
+   * Creates an organizational unit owned by a management account
+   * @param {string} managementAccountId - Management account ID
+   * @param {Object} ouData - OU data
+   * @param {string} ouData.name - OU name
+   * @param {string} [ouData.parentId] - Parent OU ID (omit for a top-level OU)
+   * @returns {Promise<OrganizationalUnit>} Created OU
+   */
+  async createOrganizationalUnit(managementAccountId, ouData) {
+    const data = { managementAccountId, name: ouData.name, parentId: ouData.parentId || null };
+
+    const errors = OrganizationalUnit.validate(data);
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.details = errors;
+      throw error;
+    }
+
+    if (data.parentId) {
+      await this.getOwnedOrganizationalUnit(managementAccountId, data.parentId);
+    }
+
+    try {
+      return await this.organizationRepository.createOrganizationalUnit(new OrganizationalUnit(data));
+    } catch (error) {
+      if (error.code === '23505') {
+        const conflict = new Error('An organizational unit with this name already exists under the same parent');
+        conflict.code = 'ORGANIZATIONAL_UNIT_NAME_EXISTS';
+        throw conflict;
+      }
+      throw new Error(`Failed to create organizational unit: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the organizational units owned by a management account
+   * @param {string} managementAccountId - Management account ID
+   * @returns {Promise<Array<OrganizationalUnit>>} Array of OUs
+   */
+  async listOrganizationalUnits(managementAccountId) {
+    try {
+      return await this.organizationRepository.findOrganizationalUnitsByManagementAccount(managementAccountId);
+    } catch (error) {
+      throw new Error(`Failed to list organizational units: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an empty organizational unit (no child OUs and no member accounts)
+   * @param {string} managementAccountId - Management account ID
+   * @param {string} ouId - OU ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteOrganizationalUnit(managementAccountId, ouId) {
+    await this.getOwnedOrganizationalUnit(managementAccountId, ouId);
+
+    const members = await this.organizationRepository.countOrganizationalUnitMembers(ouId);
+    if (members.childCount > 0 || members.accountCount > 0) {
+      const error = new Error('Cannot delete an organizational unit that has child units or member accounts');
+      error.code = 'ORGANIZATIONAL_UNIT_NOT_EMPTY';
+      error.details = members;
+      throw error;
+    }
+
+    return await this.organizationRepository.deleteOrganizationalUnit(ouId);
+  }
+
+  /**
+   * Places an account in an organizational unit
+   * An account outside any organization joins on its own request (callerAccountId = accountId);
+   * once it is a member, only its management account can move it between OUs
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Account to place
+   * @param {string} ouId - Target OU ID
+   * @returns {Promise<Object>} { account, organizationalUnit }
+   */
+  async moveAccount(callerAccountId, accountId, ouId) {
+    const account = await this.getAccount(accountId);
+
+    const ou = await this.organizationRepository.findOrganizationalUnitById(ouId);
+    if (!ou) {
+      throw this.notFound('Organizational unit not found', 'ORGANIZATIONAL_UNIT_NOT_FOUND');
+    }
+
+    if (ou.managementAccountId === accountId) {
+      const error = new Error('The management account cannot be a member of its own organization');
+      error.code = 'INVALID_ORGANIZATION_MEMBERSHIP';
+      throw error;
+    }
+
+    const currentManagementAccountId = await this.getManagementAccountId(account);
+
+    if (!currentManagementAccountId) {
+      if (callerAccountId !== accountId) {
+        throw this.accessDenied('Only the account itself can join an organization');
+      }
+    } else if (callerAccountId !== currentManagementAccountId || ou.managementAccountId !== currentManagementAccountId) {
+      throw this.accessDenied('Only the management account can move a member account between its organizational units');
+    }
+
+    await this.organizationRepository.setAccountOrganizationalUnit(accountId, ouId);
+    account.organizationalUnitId = ouId;
+
+    return { account, organizationalUnit: ou };
+  }
+
+  /**
+   * Removes a member account from its organization (management account only)
+   * Account-level SCPs are removed together with the membership
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Member account ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async removeAccount(callerAccountId, accountId) {
+    const account = await this.getAccount(accountId);
+    const managementAccountId = await this.getManagementAccountId(account);
+
+    if (!managementAccountId) {
+      throw this.notInOrganization();
+    }
+
+    if (callerAccountId !== managementAccountId) {
+      throw this.accessDenied('Only the management account can remove a member account');
+    }
+
+    await this.organizationRepository.deleteAccountServiceControlPolicies(accountId);
+    return await this.organizationRepository.setAccountOrganizationalUnit(accountId, null);
+  }
+
+  /**
+   * Gets the SCP levels that apply to an account: the account itself, then each OU up to the top
+   * Returns an empty array for accounts outside any organization
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Object>>} Levels { targetType, targetId, name, policies }
+   */
+  async getServiceControlPolicyLevels(accountId) {
+    const account = await this.accountRepository.findById(accountId);
+    if (!account || !account.organizationalUnitId) {
+      return [];
+    }
+
+    const chain = await this.organizationRepository.findOrganizationalUnitChain(account.organizationalUnitId);
+    const policies = await this.organizationRepository.findServiceControlPoliciesForTargets(
+      accountId,
+      chain.map(ou => ou.id)
+    );
+
+    const policiesFor = (targetType, targetId) =>
+      policies.filter(policy => policy.targetType === targetType && policy.targetId === targetId);
+
+    return [
+      { targetType: 'account', targetId: accountId, name: account.name, policies: policiesFor('account', accountId) },
+      ...chain.map(ou => ({
+        targetType: 'organizational_unit',
+        targetId: ou.id,
+        name: ou.name,
+        policies: policiesFor('organizational_unit', ou.id)
+      }))
+    ];
+  }
+
+  /**
+   * Lists the SCPs in effect for an account (attached to it or inherited from its OUs)
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} { managementAccountId, organizationalUnitId, levels }
+   */
+  async listServiceControlPolicies(callerAccountId, accountId) {
+    const account = await this.getAccount(accountId);
+    const managementAccountId = await this.getManagementAccountId(account);
+
+    if (callerAccountId !== accountId && callerAccountId !== managementAccountId) {
+      throw this.accessDenied('Access denied to the service control policies of this account');
+    }
+
+    const levels = await this.getServiceControlPolicyLevels(accountId);
+
+    return {
+      managementAccountId,
+      organizationalUnitId: account.organizationalUnitId,
+      levels
+    };
+  }
+
+  /**
+   * Creates an SCP attached to a member account (management account only)
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Member account ID
+   * @param {Object} policyData - { name, description, document }
+   * @returns {Promise<ServiceControlPolicy>} Created SCP
+   */
+  async createAccountServiceControlPolicy(callerAccountId, accountId, policyData) {
+    const account = await this.getAccount(accountId);
+    const managementAccountId = await this.getManagementAccountId(account);
+
+    if (!managementAccountId) {
+      throw this.notInOrganization();
+    }
+
+    if (callerAccountId !== managementAccountId) {
+      throw this.accessDenied('Only the management account can attach service control policies');
+    }
+
+    return await this.createServiceControlPolicy(managementAccountId, 'account', accountId, policyData);
+  }
+
+  /**
+   * Lists the SCPs attached to an organizational unit (management account only)
+   * @param {string} managementAccountId - Management account ID
+   * @param {string} ouId - OU ID
+   * @returns {Promise<Array<ServiceControlPolicy>>} Array of SCPs
+   */
+  async listOrganizationalUnitServiceControlPolicies(managementAccountId, ouId) {
+    await this.getOwnedOrganizationalUnit(managementAccountId, ouId);
+
+    const policies = await this.organizationRepository.findServiceControlPoliciesForTargets(null, [ouId]);
+    return policies.filter(policy => policy.targetType === 'organizational_unit');
+  }
+
+  /**
+   * Creates an SCP attached to an organizational unit (management account only)
+   * @param {string} managementAccountId - Management account ID
+   * @param {string} ouId - OU ID
+   * @param {Object} policyData - { name, description, document }
+   * @returns {Promise<ServiceControlPolicy>} Created SCP
+   */
+  async createOrganizationalUnitServiceControlPolicy(managementAccountId, ouId, policyData) {
+    await this.getOwnedOrganizationalUnit(managementAccountId, ouId);
+    return await this.createServiceControlPolicy(managementAccountId, 'organizational_unit', ouId, policyData);
+  }
+
+  /**
+   * Gets an SCP as seen from an account: either an SCP in effect for the account, or one owned by it
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Account ID from the route
+   * @param {string} policyId - SCP ID
+   * @returns {Promise<ServiceControlPolicy>} SCP
+   */
+  async getServiceControlPolicy(callerAccountId, accountId, policyId) {
+    const policy = await this.findServiceControlPolicyForAccount(accountId, policyId);
+    const account = await this.getAccount(accountId);
+    const managementAccountId = await this.getManagementAccountId(account);
+
+    if (![accountId, managementAccountId, policy.managementAccountId].includes(callerAccountId)) {
+      throw this.accessDenied('Access denied to this service control policy');
+    }
+
+    return policy;
+  }
+
+  /**
+   * Updates an SCP (management account only)
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Account ID from the route
+   * @param {string} policyId - SCP ID
+   * @param {Object} updates - { name, description, document }
+   * @returns {Promise<ServiceControlPolicy>} Updated SCP
+   */
+  async updateServiceControlPolicy(callerAccountId, accountId, policyId, updates) {
+    const policy = await this.findServiceControlPolicyForAccount(accountId, policyId);
+
+    if (callerAccountId !== policy.managementAccountId) {
+      throw this.accessDenied('Only the management account can update service control policies');
+    }
+
+    const updatedPolicy = new ServiceControlPolicy({
+      ...policy,
+      name: updates.name !== undefined ? updates.name : policy.name,
+      description: updates.description !== undefined ? updates.description : policy.description,
+      document: updates.document !== undefined ? updates.document : policy.document
+    });
+
+    this.validateServiceControlPolicy(updatedPolicy);
+
+    if (updatedPolicy.name !== policy.name) {
+      await this.assertServiceControlPolicyNameAvailable(policy.targetType, policy.targetId, updatedPolicy.name, policy.id);
+    }
+
+    try {
+      return await this.organizationRepository.updateServiceControlPolicy(updatedPolicy);
+    } catch (error) {
+      throw new Error(`Failed to update service control policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an SCP (management account only)
+   * @param {string} callerAccountId - Account of the authenticated caller
+   * @param {string} accountId - Account ID from the route
+   * @param {string} policyId - SCP ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteServiceControlPolicy(callerAccountId, accountId, policyId) {
+    const policy = await this.findServiceControlPolicyForAccount(accountId, policyId);
+
+    if (callerAccountId !== policy.managementAccountId) {
+      throw this.accessDenied('Only the management account can delete service control policies');
+    }
+
+    try {
+      return await this.organizationRepository.deleteServiceControlPolicy(policyId);
+    } catch (error) {
+      throw new Error(`Failed to delete service control policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Creates and stores an SCP on a target
+   * @param {string} managementAccountId - Management account ID
+   * @param {string} targetType - 'account' or 'organizational_unit'
+   * @param {string} targetId - Target ID
+   * @param {Object} policyData - { name, description, document }
+   * @returns {Promise<ServiceControlPolicy>} Created SCP
+   */
+  async createServiceControlPolicy(managementAccountId, targetType, targetId, policyData) {
+    const policy = new ServiceControlPolicy({
+      managementAccountId,
+      targetType,
+      targetId,
+      name: policyData.name,
+      description: policyData.description,
+      document: policyData.document
+    });
+
+    this.validateServiceControlPolicy(policy);
+    await this.assertServiceControlPolicyNameAvailable(targetType, targetId, policy.name);
+
+    try {
+      return await this.organizationRepository.createServiceControlPolicy(policy);
+    } catch (error) {
+      throw new Error(`Failed to create service control policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Finds an SCP that is in effect for an account or owned by it
+   * @param {string} accountId - Account ID
+   * @param {string} policyId - SCP ID
+   * @returns {Promise<ServiceControlPolicy>} SCP
+   */
+  async findServiceControlPolicyForAccount(accountId, policyId) {
+    const policy = await this.organizationRepository.findServiceControlPolicyById(policyId);
+
+    if (policy) {
+      if (policy.managementAccountId === accountId) {
+        return policy;
+      }
+
+      const levels = await this.getServiceControlPolicyLevels(accountId);
+      const inEffect = levels.some(level => level.policies.some(levelPolicy => levelPolicy.id === policyId));
+      if (inEffect) {
+        return policy;
+      }
+    }
+
+    throw this.notFound('Service control policy not found', 'SCP_NOT_FOUND');
+  }
+
+  /**
+   * Validates an SCP, throwing a validation error with details
+   * @param {ServiceControlPolicy} policy - SCP to validate
+   */
+  validateServiceControlPolicy(policy) {
+    const errors = ServiceControlPolicy.validate(policy);
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Ensures an SCP name is not already used on a target
+   * @param {string} targetType - Target type
+   * @param {string} targetId - Target ID
+   * @param {string} name - SCP name
+   * @param {string} [excludeId] - SCP ID to exclude from check
+   */
+  async assertServiceControlPolicyNameAvailable(targetType, targetId, name, excludeId = null) {
+    const exists = await this.organizationRepository.serviceControlPolicyNameExists(targetType, targetId, name, excludeId);
+    if (exists) {
+      const error = new Error('A service control policy with this name is already attached to the target');
+      error.code = 'SCP_NAME_EXISTS';
+      throw error;
+    }
+  }
+
+  /**
+   * Gets an OU owned by a management account
+   * @param {string} managementAccountId - Management account ID
+   * @param {string} ouId - OU ID
+   * @returns {Promise<OrganizationalUnit>} OU
+   */
+  async getOwnedOrganizationalUnit(managementAccountId, ouId) {
+    const ou = await this.organizationRepository.findOrganizationalUnitById(ouId);
+
+    if (!ou || ou.managementAccountId !== managementAccountId) {
+      throw this.notFound('Organizational unit not found', 'ORGANIZATIONAL_UNIT_NOT_FOUND');
+    }
+
+    return ou;
+  }
+
+  /**
+   * Gets an account by ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Account>} Account
+   */
+  async getAccount(accountId) {
+    const account = await this.accountRepository.findById(accountId);
+    if (!account) {
+      throw this.notFound('Account not found', 'ACCOUNT_NOT_FOUND');
+    }
+    return account;
+  }
+
+  /**
+   * Gets the management account of an account's organization
+   * @param {Account} account - Account
+   * @returns {Promise<string|null>} Management account ID, or null if the account is standalone
+   */
+  async getManagementAccountId(account) {
+    if (!account.organizationalUnitId) {
+      return null;
+    }
+
+    const ou = await this.organizationRepository.findOrganizationalUnitById(account.organizationalUnitId);
+    return ou ? ou.managementAccountId : null;
+  }
+
+  notFound(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+
+  accessDenied(message) {
+    const error = new Error(message);
+    error.code = 'ORGANIZATION_ACCESS_DENIED';
+    return error;
+  }
+
+  notInOrganization() {
+    const error = new Error('Account is not a member of an organization');
+    error.code = 'ACCOUNT_NOT_IN_ORGANIZATION';
+    return error;
+  }
+}
+
+module.exports = { OrganizationService };
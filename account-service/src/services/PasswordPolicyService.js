@@ -0,0 +1,127 @@
+const bcryptLib = require('bcrypt');
+const PasswordPolicy = require('../models/PasswordPolicy');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+// History entries kept per user: the largest passwordReusePrevention a policy can set
+const PASSWORD_HISTORY_SIZE = 24;
+
+/**
+ * Service for account password policies
+ * Accounts without a policy use PasswordPolicy.DEFAULTS. Complexity and reuse rules apply to every
+ * user of the account; expiry only applies to IAM users, so the root user can never be locked out.
+ */
+class PasswordPolicyService {
+  constructor(passwordPolicyRepository = null, bcrypt = null) {
+    this.passwordPolicyRepository = passwordPolicyRepository || repositoryFactory.createPasswordPolicyRepository();
+    this.bcrypt = bcrypt || bcryptLib;
+  }
+
+  /**
+   * Gets the password policy in effect for an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<PasswordPolicy>} Account policy, or the default policy (isDefault) if none is set
+   */
+  async getPolicy(accountId) {
+    const policy = await this.passwordPolicyRepository.findByAccountId(accountId);
+    return policy || PasswordPolicy.defaultFor(accountId);
+  }
+
+  /**
+   * Creates or replaces the password policy of an account
+   * Settings that are not provided take their default values
+   * @param {string} accountId - Account ID
+   * @param {Object} data - Policy settings
+   * @returns {Promise<PasswordPolicy>} Stored policy
+   */
+  async updatePolicy(accountId, data = {}) {
+    const errors = PasswordPolicy.validate(data);
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.code = 'VALIDATION_ERROR';
+      error.details = errors;
+      throw error;
+    }
+
+    return await this.passwordPolicyRepository.upsert(new PasswordPolicy({ ...data, accountId }));
+  }
+
+  /**
+   * Deletes the password policy of an account (the default policy applies again)
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deletePolicy(accountId) {
+    const deleted = await this.passwordPolicyRepository.delete(accountId);
+    if (!deleted) {
+      const error = new Error('The account has no password policy');
+      error.code = 'PASSWORD_POLICY_NOT_FOUND';
+      throw error;
+    }
+    return true;
+  }
+
+  /**
+   * Checks a new password against the policy and, for existing users, the reuse prevention
+   * @param {PasswordPolicy} policy - Policy in effect
+   * @param {string} password - New password in clear
+   * @param {Object} [user] - Existing user (id, passwordHash), omitted when creating a user
+   * @returns {Promise<void>}
+   */
+  async assertValidPassword(policy, password, user = null) {
+    const errors = policy.validatePassword(password);
+
+    if (errors.length === 0 && user && policy.passwordReusePrevention) {
+      const history = await this.passwordPolicyRepository.findPasswordHistory(user.id, policy.passwordReusePrevention);
+      const previousHashes = [...new Set([user.passwordHash, ...history])].filter(Boolean);
+
+      for (const previousHash of previousHashes) {
+        if (await this.bcrypt.compare(password, previousHash)) {
+          errors.push(`Password cannot be one of the last ${policy.passwordReusePrevention} passwords`);
+          break;
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Password does not meet the account password policy');
+      error.code = 'INVALID_PASSWORD';
+      error.details = errors;
+      throw error;
+    }
+  }
+
+  /**
+   * Records a password in the history of a user (reuse prevention)
+   * @param {string} userId - User ID
+   * @param {string} passwordHash - Hash of the new password
+   * @returns {Promise<void>}
+   */
+  async recordPassword(userId, passwordHash) {
+    await this.passwordPolicyRepository.addPasswordHistory(userId, passwordHash, PASSWORD_HISTORY_SIZE);
+  }
+
+  /**
+   * Gets the password state of a user under a policy
+   * @param {Object} user - User (isRoot, passwordChangedAt, passwordResetRequired)
+   * @param {PasswordPolicy} policy - Policy in effect
+   * @returns {Object} { expired, expiresAt, resetRequired, hardExpired }
+   */
+  getPasswordStatus(user, policy) {
+    if (user.isRoot) {
+      return { expired: false, expiresAt: null, resetRequired: false, hardExpired: false };
+    }
+
+    const expiresAt = policy.getExpiryDate(user.passwordChangedAt);
+    const expired = policy.isPasswordExpired(user.passwordChangedAt);
+
+    return {
+      expired: expired || user.passwordResetRequired,
+      expiresAt,
+      resetRequired: user.passwordResetRequired,
+      // A reset required by an administrator can always be completed by the user
+      hardExpired: expired && policy.hardExpiry
+    };
+  }
+}
+
+module.exports = { PasswordPolicyService };
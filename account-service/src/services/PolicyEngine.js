@@ -1,5 +1,14 @@
 const { PolicyService } = require('./PolicyService');
 const GroupService = require('./GroupService');
+const { OrganizationService } = require('./OrganizationService');
+const { ResourcePolicyService } = require('./ResourcePolicyService');
+const ResourcePolicy = require('../models/ResourcePolicy');
+const { ConditionEvaluator } = require('../utils/ConditionEvaluator');
+const { PolicyVariables } = require('../utils/PolicyVariables');
+const { PrincipalMatcher } = require('../utils/PrincipalMatcher');
+
+// Session name of the role session a simulated role is evaluated as
+const SIMULATION_SESSION_NAME = 'SimulatedSession';
 
 /**
  * Policy Engine - Evaluates access permissions based on policies
@@ -8,45 +17,83 @@ class PolicyEngine {
   constructor() {
     this.policyService = new PolicyService();
     this.groupService = new GroupService();
+    this.organizationService = new OrganizationService();
+    this.resourcePolicyService = new ResourcePolicyService();
   }
 
   /**
    * Evaluates if a user is allowed to perform an action on a resource
    * @param {Object} request - Access request
-   * @param {string} request.userId - User ID
+   * @param {string} request.userId - User ID (null for role sessions)
    * @param {string} request.accountId - Account ID
    * @param {string} request.action - Action to perform (e.g., 'iam:CreateUser')
    * @param {string} request.resource - Resource ARN (e.g., 'arn:aws:iam::123456789012:user/*')
    * @param {Object} [request.context] - Additional context for conditions
+   * @param {Object} [request.roleSession] - Role session making the request (req.user.roleSession);
+   *   the role policies apply instead of user policies, narrowed by the session policy
    * @returns {Promise<Object>} Evaluation result
    */
   async evaluateAccess(request) {
     try {
-      const { userId, accountId, action, resource, context = {} } = request;
+      const { userId, accountId, action, resource, context = {}, roleSession = null } = request;
 
-      if (!userId || !accountId || !action || !resource) {
-        throw new Error('userId, accountId, action, and resource are required');
+      if ((!userId && !roleSession) || !accountId || !action || !resource) {
+        throw new Error('userId (or roleSession), accountId, action, and resource are required');
       }
 
-      // Get all policies for the user (direct and inherited from groups)
-      const policies = await this.policyService.getUserPolicies(userId, accountId);
+      // Fill in principal keys used by policy variables (${aws:userid}, ...)
+      const requestContext = roleSession
+        ? this.buildRoleSessionContext(context, roleSession, accountId)
+        : this.buildPrincipalContext(context, { userId, accountId });
 
-      if (policies.length === 0) {
+      // Service control policies cap every principal in a member account, before identity policies
+      const scpEvaluation = await this.evaluateServiceControlPolicies(accountId, action, resource, requestContext);
+      if (scpEvaluation.decision === 'DENY') {
         return {
           decision: 'DENY',
-          reason: 'No policies found for user',
-          matchedPolicies: []
+          reason: scpEvaluation.reason,
+          deniedBy: 'service_control_policy',
+          matchedPolicies: scpEvaluation.matchedPolicies,
+          userId,
+          accountId,
+          action,
+          resource
         };
       }
 
-      // Evaluate policies
-      const evaluation = this.evaluatePolicies(policies, action, resource, context);
+      const identityEvaluation = roleSession
+        ? await this.evaluateRoleSessionPolicies(roleSession, accountId, action, resource, requestContext)
+        : await this.evaluateUserPolicies(userId, accountId, action, resource, requestContext);
+
+      // Combine with the policy of the requested resource (cross-account requests need both sides)
+      const resourcePolicy = await this.resourcePolicyService.findPolicyForResource(resource);
+      const principal = {
+        accountId,
+        identifiers: roleSession
+          ? PrincipalMatcher.forRoleSession({ accountId, ...roleSession })
+          : PrincipalMatcher.forUser({
+            accountId,
+            username: ConditionEvaluator.getContextValue(requestContext, 'aws:username')
+          })
+      };
+      const evaluation = this.applyResourcePolicy(
+        identityEvaluation,
+        resourcePolicy,
+        principal,
+        action,
+        resource,
+        requestContext
+      );
 
       return {
         decision: evaluation.decision,
         reason: evaluation.reason,
+        deniedBy: evaluation.deniedBy || null,
+        crossAccount: evaluation.crossAccount,
         matchedPolicies: evaluation.matchedPolicies,
+        resourcePolicy: evaluation.resourcePolicy,
         userId,
+        ...(roleSession && { roleSessionId: roleSession.sessionId }),
         accountId,
         action,
         resource
@@ -61,6 +108,544 @@ class PolicyEngine {
     }
   }
 
+  /**
+   * Evaluates the identity policies of a user (direct, from groups and inline), capped by its permissions boundary
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Evaluation result
+   */
+  async evaluateUserPolicies(userId, accountId, action, resource, context) {
+    const policies = await this.policyService.getUserPolicies(userId, accountId);
+    if (policies.length === 0) {
+      return { decision: 'DENY', reason: 'No policies found for user', matchedPolicies: [] };
+    }
+
+    const boundary = await this.policyService.getPermissionsBoundary('user', userId, accountId);
+    return this.applyPermissionsBoundary(
+      this.evaluatePolicies(policies, action, resource, context),
+      boundary,
+      action,
+      resource,
+      context
+    );
+  }
+
+  /**
+   * Evaluates the policies of an assumed role for one of its sessions
+   * The role policies (attached and inline) are capped by the role's permissions boundary,
+   * then narrowed by the session policies passed to AssumeRole (inline and managed), if any
+   * @param {Object} roleSession - Role session (roleId, sessionPolicy, sessionPolicyArns, ...)
+   * @param {string} accountId - Account ID
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Request context
+   * @returns {Promise<Object>} Evaluation result
+   */
+  async evaluateRoleSessionPolicies(roleSession, accountId, action, resource, context) {
+    const policies = await this.policyService.getRolePolicies(roleSession.roleId, accountId);
+    if (policies.length === 0) {
+      return { decision: 'DENY', reason: 'No policies found for role', matchedPolicies: [] };
+    }
+
+    const boundary = await this.policyService.getPermissionsBoundary('role', roleSession.roleId, accountId);
+    const sessionPolicies = await this.getSessionPolicies(roleSession);
+    return this.applySessionPolicies(
+      this.applyPermissionsBoundary(
+        this.evaluatePolicies(policies, action, resource, context),
+        boundary,
+        action,
+        resource,
+        context
+      ),
+      sessionPolicies,
+      action,
+      resource,
+      context
+    );
+  }
+
+  /**
+   * Gets the session policies of a role session: the inline session policy and the managed
+   * policies passed as PolicyArns (a managed policy deleted since then no longer grants anything)
+   * @param {Object} roleSession - Role session
+   * @returns {Promise<Array<Object>>} Session policies
+   */
+  async getSessionPolicies(roleSession) {
+    const policies = roleSession.sessionPolicy
+      ? [{ id: null, name: 'SessionPolicy', document: roleSession.sessionPolicy }]
+      : [];
+
+    const managedPolicies = await Promise.all(
+      (roleSession.sessionPolicyArns || []).map(arn => this.policyService.getPolicyByArn(arn))
+    );
+
+    return [...policies, ...managedPolicies.filter(Boolean)];
+  }
+
+  /**
+   * Simulates access for a principal against hypothetical actions and resources
+   * @param {Object} request - Simulation request
+   * @param {Object} request.principal - Principal to simulate ({ type: 'user'|'group'|'role', id })
+   * @param {string} request.accountId - Account ID
+   * @param {Array<string>} request.actions - Actions to evaluate (e.g., ['iam:CreateUser'])
+   * @param {Array<string>} [request.resources=['*']] - Resource ARNs to evaluate
+   * @param {Object} [request.context] - Context keys used by policy conditions
+   * @param {Array<Object>} [request.policyDocuments] - Extra policy documents to include
+   * @param {boolean} [request.replacePolicies=false] - Evaluate only the given documents, ignoring attached policies
+   * @returns {Promise<Object>} Per-action and per-resource decisions
+   */
+  async simulateAccess(request) {
+    const {
+      principal,
+      accountId,
+      actions,
+      resources = ['*'],
+      context = {},
+      policyDocuments = [],
+      replacePolicies = false
+    } = request;
+
+    if (!principal || !principal.type || !principal.id || !accountId) {
+      throw new Error('principal (type and id) and accountId are required');
+    }
+
+    if (!Array.isArray(actions) || actions.length === 0) {
+      throw new Error('At least one action is required');
+    }
+
+    const stored = await this.policyService.findPrincipal(principal.type, principal.id, accountId);
+    const attachedPolicies = replacePolicies
+      ? []
+      : await this.policyService.getPrincipalPolicies(principal.type, principal.id, accountId);
+
+    const simulatedPolicies = policyDocuments.map((document, index) => ({
+      id: null,
+      name: `SimulatedPolicy${index + 1}`,
+      document,
+      simulated: true
+    }));
+
+    const policies = [...attachedPolicies, ...simulatedPolicies];
+    const boundary = principal.type === 'group'
+      ? null
+      : await this.policyService.getPermissionsBoundary(principal.type, principal.id, accountId);
+    const simulationContext = principal.type === 'user'
+      ? this.buildPrincipalContext(context, { userId: principal.id, accountId, username: stored.username })
+      : { 'aws:PrincipalAccount': accountId, ...context };
+    const scpLevels = await this.organizationService.getServiceControlPolicyLevels(accountId);
+    const simulationPrincipal = {
+      accountId,
+      identifiers: this.getSimulationPrincipalIdentifiers(principal, stored, accountId)
+    };
+    const resourcePolicies = new Map();
+    const results = [];
+
+    for (const action of actions) {
+      for (const resource of resources) {
+        const scpEvaluation = this.evaluateServiceControlPolicyLevels(scpLevels, action, resource, simulationContext);
+        let evaluation;
+
+        if (scpEvaluation.decision === 'DENY') {
+          evaluation = { ...scpEvaluation, deniedBy: 'service_control_policy' };
+        } else {
+          const identityEvaluation = policies.length === 0
+            ? { decision: 'DENY', reason: 'No policies found for principal', matchedPolicies: [] }
+            : this.applyPermissionsBoundary(
+              this.evaluatePolicies(policies, action, resource, simulationContext),
+              boundary,
+              action,
+              resource,
+              simulationContext
+            );
+
+          if (!resourcePolicies.has(resource)) {
+            resourcePolicies.set(resource, await this.resourcePolicyService.findPolicyForResource(resource));
+          }
+
+          evaluation = this.applyResourcePolicy(
+            identityEvaluation,
+            resourcePolicies.get(resource),
+            simulationPrincipal,
+            action,
+            resource,
+            simulationContext
+          );
+        }
+
+        results.push({
+          action,
+          resource,
+          decision: evaluation.decision,
+          reason: evaluation.reason,
+          deniedBy: evaluation.deniedBy || null,
+          matchedStatements: evaluation.matchedPolicies,
+          resourcePolicy: evaluation.resourcePolicy || null
+        });
+      }
+    }
+
+    return {
+      principal: { type: principal.type, id: principal.id },
+      accountId,
+      evaluatedPolicies: policies.map(policy => ({
+        policyId: policy.id,
+        policyName: policy.name,
+        simulated: policy.simulated || false
+      })),
+      permissionsBoundary: boundary ? { policyId: boundary.id, policyName: boundary.name } : null,
+      serviceControlPolicies: scpLevels.flatMap(level => level.policies.map(policy => ({
+        policyId: policy.id,
+        policyName: policy.name,
+        targetType: level.targetType,
+        targetId: level.targetId
+      }))),
+      results
+    };
+  }
+
+  /**
+   * Builds the identifiers matched against resource policies when simulating a principal, as its
+   * requests would carry them: a user is its user ARN, a role is a session of the role (role ARN and
+   * assumed-role ARN), a group (never a caller itself) only its account
+   * @param {Object} principal - Principal to simulate ({ type: 'user'|'group'|'role', id })
+   * @param {Object} stored - Stored user, group or role (PolicyService.findPrincipal)
+   * @param {string} accountId - Account ID
+   * @returns {Array<Object>} Principal identifiers
+   */
+  getSimulationPrincipalIdentifiers(principal, stored, accountId) {
+    if (principal.type === 'role') {
+      return PrincipalMatcher.forRoleSession({
+        accountId,
+        roleArn: stored.getArn(),
+        roleName: stored.name,
+        sessionName: SIMULATION_SESSION_NAME
+      });
+    }
+
+    return PrincipalMatcher.forUser({
+      accountId,
+      username: principal.type === 'user' ? stored.username : undefined
+    });
+  }
+
+  /**
+   * Adds the principal keys used by policy variables and conditions to a request context
+   * Keys already present in the context (e.g., aws:username set by the authorization middleware) are kept,
+   * except principal tags: they only come from the stored user (IAM users have no tags, so there are none)
+   * @param {Object} context - Request context
+   * @param {Object} principal - Principal identifiers
+   * @param {string} principal.userId - User ID
+   * @param {string} principal.accountId - Account ID
+   * @param {string} [principal.username] - Username of the stored user; overrides the context when given
+   * @returns {Object} Context with principal keys
+   */
+  buildPrincipalContext(context, { userId, accountId, username }) {
+    return {
+      'aws:userid': userId,
+      'aws:PrincipalAccount': accountId,
+      'aws:PrincipalType': 'User',
+      ...this.withoutPrincipalTags(context),
+      ...(username && { 'aws:username': username })
+    };
+  }
+
+  /**
+   * Adds the principal keys of a role session to a request context
+   * Session tags become aws:PrincipalTag/<key>; principal tag keys coming from the request are dropped
+   * so that request headers cannot add or override them
+   * @param {Object} context - Request context
+   * @param {Object} roleSession - Role session (roleId, roleArn, sessionName, sessionTags)
+   * @param {string} accountId - Account ID
+   * @returns {Object} Context with principal keys
+   */
+  buildRoleSessionContext(context, roleSession, accountId) {
+    const requestContext = this.withoutPrincipalTags(context);
+    const principalTags = Object.fromEntries(
+      (roleSession.sessionTags || []).map(tag => [`aws:PrincipalTag/${tag.key}`, tag.value])
+    );
+
+    return {
+      'aws:userid': `${roleSession.roleId}:${roleSession.sessionName}`,
+      'aws:PrincipalAccount': accountId,
+      'aws:PrincipalType': 'AssumedRole',
+      'aws:PrincipalArn': roleSession.roleArn,
+      ...requestContext,
+      ...principalTags,
+      ...(roleSession.sourceIdentity && { 'aws:SourceIdentity': roleSession.sourceIdentity })
+    };
+  }
+
+  /**
+   * Copies a request context without its aws:PrincipalTag/<key> keys
+   * @param {Object} context - Request context
+   * @returns {Object} Context without principal tags
+   */
+  withoutPrincipalTags(context) {
+    return Object.fromEntries(
+      Object.entries(context).filter(([key]) => !key.toLowerCase().startsWith('aws:principaltag/'))
+    );
+  }
+
+  /**
+   * Evaluates the service control policies that apply to an account
+   * Used on its own for root users, who are not subject to identity policies
+   * @param {string} accountId - Account ID
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Promise<Object>} Evaluation result (ALLOW when no SCP restricts the request)
+   */
+  async evaluateServiceControlPolicies(accountId, action, resource, context) {
+    const levels = await this.organizationService.getServiceControlPolicyLevels(accountId);
+    return this.evaluateServiceControlPolicyLevels(levels, action, resource, context);
+  }
+
+  /**
+   * Evaluates SCP levels (the account, then each OU up to the top of the tree)
+   * An explicit deny at any level denies the request. A level whose SCPs contain Allow statements
+   * acts as an allow-list: at least one of them must allow the request. Levels without SCPs, or
+   * with only Deny statements (a pure deny-list), do not otherwise restrict it
+   * @param {Array<Object>} levels - Levels from OrganizationService.getServiceControlPolicyLevels
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Object} Evaluation result
+   */
+  evaluateServiceControlPolicyLevels(levels, action, resource, context) {
+    const matchedPolicies = [];
+    let notAllowedLevel = null;
+
+    for (const level of levels) {
+      if (level.policies.length === 0) {
+        continue;
+      }
+
+      const levelEvaluation = this.evaluatePolicies(level.policies, action, resource, context);
+      matchedPolicies.push(...levelEvaluation.matchedPolicies);
+
+      const deny = levelEvaluation.matchedPolicies.find(policy => policy.effect === 'Deny');
+      if (deny) {
+        return {
+          decision: 'DENY',
+          reason: `Explicit deny from service control policy: ${deny.policyName}`,
+          matchedPolicies
+        };
+      }
+
+      if (levelEvaluation.decision !== 'ALLOW' && !notAllowedLevel && this.hasAllowStatements(level.policies)) {
+        notAllowedLevel = level;
+      }
+    }
+
+    if (notAllowedLevel) {
+      const target = notAllowedLevel.targetType === 'account' ? 'account' : 'organizational unit';
+      return {
+        decision: 'DENY',
+        reason: `Not allowed by service control policies attached to ${target}: ${notAllowedLevel.name}`,
+        matchedPolicies
+      };
+    }
+
+    return {
+      decision: 'ALLOW',
+      reason: 'Allowed by service control policies',
+      matchedPolicies
+    };
+  }
+
+  /**
+   * Checks if any of the given policies has an Allow statement
+   * @param {Array<Object>} policies - Policies to inspect
+   * @returns {boolean} True if at least one statement has Effect Allow
+   */
+  hasAllowStatements(policies) {
+    return policies.some(policy => {
+      const document = policy.document || policy.policy_document;
+      return document && Array.isArray(document.Statement) &&
+        document.Statement.some(statement => statement.Effect === 'Allow');
+    });
+  }
+
+  /**
+   * Intersects an identity-policy evaluation with a permissions boundary
+   * An allow only stands if the boundary also allows the request
+   * @param {Object} evaluation - Result of evaluatePolicies for the identity policies
+   * @param {Policy|null} boundary - Permissions boundary policy (null if none is set)
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Object} Evaluation result
+   */
+  applyPermissionsBoundary(evaluation, boundary, action, resource, context) {
+    return this.intersectWithPolicy(evaluation, boundary, 'permissions boundary', 'permissions_boundary', action, resource, context);
+  }
+
+  /**
+   * Narrows a role-session evaluation with the session policies passed to AssumeRole
+   * The session policies are combined: one of them must allow and none may deny
+   * @param {Object} evaluation - Evaluation of the role policies (boundary applied)
+   * @param {Array<Object>} sessionPolicies - Session policies (empty if none were passed)
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Object} Evaluation result
+   */
+  applySessionPolicies(evaluation, sessionPolicies, action, resource, context) {
+    return this.intersectWithPolicy(evaluation, sessionPolicies, 'session policy', 'session_policy', action, resource, context);
+  }
+
+  /**
+   * Intersects an allow with capping policies (permissions boundary or session policies)
+   * @param {Object} evaluation - Evaluation to cap
+   * @param {Object|Array<Object>|null} policies - Capping policy or policies (null/empty if none applies)
+   * @param {string} label - Name used in the reason (e.g., 'permissions boundary')
+   * @param {string} deniedBy - deniedBy value when the capping policy denies
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Object} Evaluation result
+   */
+  intersectWithPolicy(evaluation, policies, label, deniedBy, action, resource, context) {
+    const cappingPolicies = [].concat(policies || []);
+    if (cappingPolicies.length === 0 || evaluation.decision !== 'ALLOW') {
+      return evaluation;
+    }
+
+    const policyEvaluation = this.evaluatePolicies(cappingPolicies, action, resource, context);
+    if (policyEvaluation.decision === 'ALLOW') {
+      return evaluation;
+    }
+
+    const denyingPolicy = policyEvaluation.matchedPolicies.find(matched => matched.effect === 'Deny');
+    const explicitDeny = Boolean(denyingPolicy);
+
+    return {
+      decision: 'DENY',
+      reason: explicitDeny
+        ? `Explicit deny from ${label}: ${denyingPolicy.policyName}`
+        : `Not allowed by ${label}: ${cappingPolicies.map(policy => policy.name).join(', ')}`,
+      deniedBy,
+      explicitDeny,
+      matchedPolicies: evaluation.matchedPolicies
+    };
+  }
+
+  /**
+   * Combines an identity-policy evaluation with the resource-based policy of the requested resource
+   * An explicit deny on either side denies. Within one account either side may allow; across
+   * accounts (the resource ARN names another account) both sides must allow
+   * @param {Object} identityEvaluation - Evaluation of the caller's identity policies (boundary applied)
+   * @param {ResourcePolicy|null} resourcePolicy - Policy governing the resource (null if none)
+   * @param {Object} principal - Caller
+   * @param {string} principal.accountId - Caller account ID
+   * @param {Array<Object>} principal.identifiers - Identifiers matched against Principal elements
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Object} Evaluation result with deniedBy ('identity_policy', 'permissions_boundary', 'session_policy' or 'resource_policy')
+   */
+  applyResourcePolicy(identityEvaluation, resourcePolicy, principal, action, resource, context) {
+    const resourceAccountId = ResourcePolicy.getResourceAccountId(resource);
+    const crossAccount = Boolean(resourceAccountId) && resourceAccountId !== principal.accountId;
+    const resourceEvaluation = resourcePolicy
+      ? this.evaluateResourcePolicy(resourcePolicy, principal.identifiers, action, resource, context)
+      : null;
+
+    const result = (decision, reason, deniedBy) => ({
+      decision,
+      reason,
+      deniedBy: decision === 'DENY' ? deniedBy : null,
+      crossAccount,
+      matchedPolicies: [
+        ...identityEvaluation.matchedPolicies,
+        ...(resourceEvaluation ? resourceEvaluation.matchedPolicies : [])
+      ],
+      resourcePolicy: resourcePolicy
+        ? { policyId: resourcePolicy.id, resourceArn: resourcePolicy.resourceArn, decision: resourceEvaluation.decision }
+        : null
+    });
+    const identitySide = identityEvaluation.deniedBy || 'identity_policy';
+
+    if (this.isExplicitDeny(identityEvaluation)) {
+      return result('DENY', identityEvaluation.reason, identitySide);
+    }
+
+    if (resourceEvaluation && this.isExplicitDeny(resourceEvaluation)) {
+      return result('DENY', `Explicit deny from resource policy: ${resourcePolicy.resourceArn}`, 'resource_policy');
+    }
+
+    const resourceAllows = resourceEvaluation !== null && resourceEvaluation.decision === 'ALLOW';
+
+    if (crossAccount) {
+      if (identityEvaluation.decision !== 'ALLOW') {
+        return result(
+          'DENY',
+          `Cross-account access denied by identity policies of account ${principal.accountId}: ${identityEvaluation.reason}`,
+          identitySide
+        );
+      }
+
+      if (!resourceAllows) {
+        return result(
+          'DENY',
+          resourcePolicy
+            ? `Cross-account access not allowed by resource policy: ${resourcePolicy.resourceArn}`
+            : `Cross-account access requires a resource policy on ${resource}`,
+          'resource_policy'
+        );
+      }
+
+      return result('ALLOW', 'Allowed by identity policy and resource policy', null);
+    }
+
+    if (identityEvaluation.decision === 'ALLOW') {
+      return result('ALLOW', identityEvaluation.reason, null);
+    }
+
+    if (resourceAllows) {
+      return result('ALLOW', `Explicit allow from resource policy: ${resourcePolicy.resourceArn}`, null);
+    }
+
+    return result('DENY', identityEvaluation.reason, identitySide);
+  }
+
+  /**
+   * Evaluates a resource-based policy for a principal
+   * Only statements whose Principal (or NotPrincipal) applies to the caller are considered
+   * @param {ResourcePolicy} resourcePolicy - Resource policy
+   * @param {Array<Object>} identifiers - Caller identifiers ({ type, value })
+   * @param {string} action - Action to check
+   * @param {string} resource - Resource to check
+   * @param {Object} context - Additional context
+   * @returns {Object} Evaluation result
+   */
+  evaluateResourcePolicy(resourcePolicy, identifiers, action, resource, context) {
+    const document = resourcePolicy.document || {};
+    const statements = Array.isArray(document.Statement) ? document.Statement : [];
+
+    return this.evaluatePolicies([{
+      id: resourcePolicy.id,
+      name: resourcePolicy.name,
+      document: {
+        ...document,
+        Statement: statements.filter(statement => PrincipalMatcher.appliesTo(statement, identifiers))
+      }
+    }], action, resource, context);
+  }
+
+  /**
+   * Checks if an evaluation was denied by an explicit Deny statement
+   * @param {Object} evaluation - Evaluation result
+   * @returns {boolean} True for explicit denies
+   */
+  isExplicitDeny(evaluation) {
+    return evaluation.decision === 'DENY' &&
+      (evaluation.explicitDeny === true || evaluation.matchedPolicies.some(policy => policy.effect === 'Deny'));
+  }
+
   /**
    * Evaluates multiple policies against an action and resource
    * @param {Array<Policy>} policies - Array of policies to evaluate
@@ -137,19 +722,41 @@ class PolicyEngine {
       return { matched: false };
     }
 
-    // Check each statement in the policy
+    // Check each statement in the policy - a matching Deny takes precedence over an Allow
+    const resolveVariables = PolicyVariables.isSupportedVersion(document.Version);
+
+    let allowStatement = null;
     for (const statement of document.Statement) {
-      const statementEvaluation = this.evaluateStatement(statement, action, resource, context);
+      const effectiveStatement = resolveVariables
+        ? PolicyVariables.resolveStatement(statement, context || {})
+        : statement;
+      if (!effectiveStatement) {
+        continue;
+      }
+      const statementEvaluation = this.evaluateStatement(effectiveStatement, action, resource, context);
       
       if (statementEvaluation.matched) {
-        return {
-          matched: true,
-          effect: statement.Effect,
-          statement: statement
-        };
+        if (statement.Effect === 'Deny') {
+          return {
+            matched: true,
+            effect: 'Deny',
+            statement: statement
+          };
+        }
+        if (!allowStatement) {
+          allowStatement = statement;
+        }
       }
     }
 
+    if (allowStatement) {
+      return {
+        matched: true,
+        effect: allowStatement.Effect,
+        statement: allowStatement
+      };
+    }
+
     return { matched: false };
   }
 
@@ -162,14 +769,14 @@ class PolicyEngine {
    * @returns {Object} Statement evaluation result
    */
   evaluateStatement(statement, action, resource, context) {
-    // Check if action matches
-    const actionMatches = this.matchesPattern(action, statement.Action);
+    // Check if action matches (Action or NotAction)
+    const actionMatches = this.statementMatchesAction(statement, action);
     if (!actionMatches) {
       return { matched: false };
     }
 
-    // Check if resource matches
-    const resourceMatches = this.matchesPattern(resource, statement.Resource);
+    // Check if resource matches (Resource or NotResource)
+    const resourceMatches = this.statementMatchesResource(statement, resource);
     if (!resourceMatches) {
       return { matched: false };
     }
@@ -185,6 +792,34 @@ class PolicyEngine {
     return { matched: true };
   }
 
+  /**
+   * Checks if a statement applies to an action
+   * NotAction applies the statement to every action except the listed ones
+   * @param {Object} statement - Policy statement
+   * @param {string} action - Action to check
+   * @returns {boolean} True if the statement covers the action
+   */
+  statementMatchesAction(statement, action) {
+    if (statement.NotAction) {
+      return !this.matchesPattern(action, statement.NotAction);
+    }
+    return this.matchesPattern(action, statement.Action);
+  }
+
+  /**
+   * Checks if a statement applies to a resource
+   * NotResource applies the statement to every resource except the listed ones
+   * @param {Object} statement - Policy statement
+   * @param {string} resource - Resource to check
+   * @returns {boolean} True if the statement covers the resource
+   */
+  statementMatchesResource(statement, resource) {
+    if (statement.NotResource) {
+      return !this.matchesPattern(resource, statement.NotResource);
+    }
+    return this.matchesPattern(resource, statement.Resource);
+  }
+
   /**
    * Checks if a value matches a pattern (supports wildcards)
    * @param {string|Array<string>} patterns - Pattern(s) to match against
@@ -201,13 +836,7 @@ class PolicyEngine {
       // Handle wildcards
       if (pattern === '*') return true;
       
-      // Convert pattern to regex
-      const regexPattern = pattern
-        .replace(/\*/g, '.*')  // Replace * with .*
-        .replace(/\?/g, '.');   // Replace ? with .
-      
-      const regex = new RegExp(`^${regexPattern}$`);
-      return regex.test(value);
+      return ConditionEvaluator.matchesWildcard(value, pattern);
     });
   }
 
@@ -218,7 +847,6 @@ class PolicyEngine {
    * @returns {boolean} True if all conditions pass
    */
   evaluateConditions(conditions, context) {
-    // Simple condition evaluation - can be extended for more complex conditions
     for (const [conditionType, conditionBlock] of Object.entries(conditions)) {
       const conditionResult = this.evaluateConditionBlock(conditionType, conditionBlock, context);
       if (!conditionResult) {
@@ -231,116 +859,13 @@ class PolicyEngine {
 
   /**
    * Evaluates a condition block
-   * @param {string} conditionType - Type of condition (e.g., 'StringEquals')
+   * @param {string} conditionType - Type of condition (e.g., 'StringEquals', 'ForAnyValue:StringLikeIfExists')
    * @param {Object} conditionBlock - Condition block
    * @param {Object} context - Context values
-   * @returns {boolean} True if condition passes
+   * @returns {boolean} True if condition passes (unknown condition types fail)
    */
   evaluateConditionBlock(conditionType, conditionBlock, context) {
-    switch (conditionType) {
-      case 'StringEquals':
-        return this.evaluateStringEquals(conditionBlock, context);
-      
-      case 'StringLike':
-        return this.evaluateStringLike(conditionBlock, context);
-      
-      case 'IpAddress':
-        return this.evaluateIpAddress(conditionBlock, context);
-      
-      case 'DateGreaterThan':
-        return this.evaluateDateGreaterThan(conditionBlock, context);
-      
-      case 'DateLessThan':
-        return this.evaluateDateLessThan(conditionBlock, context);
-      
-      default:
-        // Unknown condition type - default to false for security
-        console.warn(`Unknown condition type: ${conditionType}`);
-        return false;
-    }
-  }
-
-  /**
-   * Evaluates StringEquals condition
-   * @param {Object} conditionBlock - Condition block
-   * @param {Object} context - Context values
-   * @returns {boolean} True if condition passes
-   */
-  evaluateStringEquals(conditionBlock, context) {
-    for (const [key, expectedValue] of Object.entries(conditionBlock)) {
-      const contextValue = context[key];
-      if (contextValue !== expectedValue) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  /**
-   * Evaluates StringLike condition (with wildcards)
-   * @param {Object} conditionBlock - Condition block
-   * @param {Object} context - Context values
-   * @returns {boolean} True if condition passes
-   */
-  evaluateStringLike(conditionBlock, context) {
-    for (const [key, pattern] of Object.entries(conditionBlock)) {
-      const contextValue = context[key];
-      if (!contextValue || !this.matchesPattern(contextValue, pattern)) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  /**
-   * Evaluates IpAddress condition
-   * @param {Object} conditionBlock - Condition block
-   * @param {Object} context - Context values
-   * @returns {boolean} True if condition passes
-   */
-  evaluateIpAddress(conditionBlock, context) {
-    // Simplified IP address matching - in production, use proper IP/CIDR libraries
-    for (const [key, expectedIp] of Object.entries(conditionBlock)) {
-      const contextIp = context[key];
-      if (!contextIp || contextIp !== expectedIp) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  /**
-   * Evaluates DateGreaterThan condition
-   * @param {Object} conditionBlock - Condition block
-   * @param {Object} context - Context values
-   * @returns {boolean} True if condition passes
-   */
-  evaluateDateGreaterThan(conditionBlock, context) {
-    for (const [key, expectedDate] of Object.entries(conditionBlock)) {
-      const contextDate = new Date(context[key]);
-      const compareDate = new Date(expectedDate);
-      if (contextDate <= compareDate) {
-        return false;
-      }
-    }
-    return true;
-  }
-
-  /**
-   * Evaluates DateLessThan condition
-   * @param {Object} conditionBlock - Condition block
-   * @param {Object} context - Context values
-   * @returns {boolean} True if condition passes
-   */
-  evaluateDateLessThan(conditionBlock, context) {
-    for (const [key, expectedDate] of Object.entries(conditionBlock)) {
-      const contextDate = new Date(context[key]);
-      const compareDate = new Date(expectedDate);
-      if (contextDate >= compareDate) {
-        return false;
-      }
-    }
-    return true;
+    return ConditionEvaluator.evaluateOperator(conditionType, conditionBlock, context || {});
   }
 
   /**
@@ -428,11 +953,11 @@ class PolicyEngine {
    * @returns {Object|null} Result or null if no match
    */
   processStatement(statement, action, resource) {
-    if (!this.matchesAction(action, statement.Action)) {
+    if (!this.statementMatchesAction(statement, action)) {
       return null;
     }
 
-    if (!this.matchesResource(resource, statement.Resource)) {
+    if (!this.statementMatchesResource(statement, resource)) {
       return null;
     }
 
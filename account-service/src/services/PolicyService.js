@@ -1,10 +1,17 @@
 const Policy = require('../models/Policy');
+const PolicyVersion = require('../models/PolicyVersion');
+const InlinePolicy = require('../models/InlinePolicy');
+const { Transaction } = require('../utils/Transaction');
 const { repositoryFactory } = require('../repositories/RepositoryFactory');
 
 class PolicyService {
   constructor() {
     this.policyRepository = repositoryFactory.createPolicyRepository();
     this.policyAttachmentRepository = repositoryFactory.createPolicyAttachmentRepository();
+    this.userRepository = repositoryFactory.createUserRepository();
+    this.groupRepository = repositoryFactory.createGroupRepository();
+    this.roleRepository = repositoryFactory.createRoleRepository();
+    this.inlinePolicyRepository = repositoryFactory.createInlinePolicyRepository();
   }
 
   /**
@@ -16,6 +23,7 @@ class PolicyService {
    * @param {string} [policyData.description] - Policy description
    * @param {string} [policyData.path] - Policy path
    * @param {string} [policyData.type] - Policy type
+   * @param {string} [policyData.createdBy] - User creating the policy (recorded on v1)
    * @returns {Promise<Policy>} Created policy
    */
   async createPolicy(policyData) {
@@ -37,7 +45,7 @@ class PolicyService {
 
       // Create policy
       const policy = new Policy(validatedData);
-      return await this.policyRepository.create(policy);
+      return await this.policyRepository.create(policy, null, policyData.createdBy || null);
     } catch (error) {
       if (error.code === 'POLICY_NAME_EXISTS') {
         throw error;
@@ -82,6 +90,21 @@ class PolicyService {
     }
   }
 
+  /**
+   * Gets a managed policy by ARN
+   * @param {string} arn - Policy ARN (arn:aws:iam::<accountId>:policy/<name>)
+   * @returns {Promise<Policy|null>} Found policy or null
+   */
+  async getPolicyByArn(arn) {
+    const parsed = Policy.parseArn(arn);
+    if (!parsed) {
+      return null;
+    }
+
+    const policy = await this.getPolicyByName(parsed.name, parsed.accountId);
+    return policy && policy.path === parsed.path ? policy : null;
+  }
+
   /**
    * Lists policies for an account
    * @param {string} accountId - Account ID
@@ -119,6 +142,8 @@ class PolicyService {
 
   /**
    * Updates a policy
+   * A new document is stored as a new immutable version (at most 5 per policy), which becomes
+   * the default version unless options.setAsDefault is false; older versions are kept for rollback
    * @param {string} policyId - Policy ID
    * @param {string} accountId - Account ID
    * @param {Object} updateData - Data to update
@@ -127,9 +152,12 @@ class PolicyService {
    * @param {string} [updateData.path] - New path
    * @param {Object} [updateData.document] - New policy document
    * @param {string} [updateData.type] - New policy type
+   * @param {Object} [options] - Update options
+   * @param {string} [options.userId] - User making the change (recorded on the new version)
+   * @param {boolean} [options.setAsDefault=true] - Make the new version the default one
    * @returns {Promise<Policy>} Updated policy
    */
-  async updatePolicy(policyId, accountId, updateData) {
+  async updatePolicy(policyId, accountId, updateData, options = {}) {
     try {
       if (!policyId || !accountId) {
         throw new Error('Policy ID and Account ID are required');
@@ -163,22 +191,53 @@ class PolicyService {
       if (updateData.name !== undefined) updatedPolicy.name = updateData.name;
       if (updateData.description !== undefined) updatedPolicy.description = updateData.description;
       if (updateData.path !== undefined) updatedPolicy.path = updateData.path;
-      if (updateData.document !== undefined) updatedPolicy.document = updateData.document;
       if (updateData.type !== undefined) updatedPolicy.type = updateData.type;
 
-      // Validate updated data
+      // Validate updated data (including the new document, if any)
       Policy.validate({
         accountId: updatedPolicy.accountId,
         name: updatedPolicy.name,
-        document: updatedPolicy.document,
+        document: updateData.document !== undefined ? updateData.document : updatedPolicy.document,
         description: updatedPolicy.description,
         path: updatedPolicy.path,
         type: updatedPolicy.type
       });
 
-      return await this.policyRepository.update(updatedPolicy);
+      const documentChanged = updateData.document !== undefined &&
+        JSON.stringify(updateData.document) !== JSON.stringify(existingPolicy.document);
+
+      if (!documentChanged) {
+        return await this.policyRepository.update(updatedPolicy);
+      }
+
+      return await Transaction.execute(async (transaction) => {
+        await this.policyRepository.update(updatedPolicy, transaction);
+
+        const versionCount = await this.policyRepository.countVersions(policyId, transaction);
+        if (versionCount >= PolicyVersion.MAX_POLICY_VERSIONS) {
+          const error = new Error(
+            `A policy can have at most ${PolicyVersion.MAX_POLICY_VERSIONS} versions; delete a non-default version first`
+          );
+          error.code = 'POLICY_VERSION_LIMIT_EXCEEDED';
+          throw error;
+        }
+
+        const version = await this.policyRepository.createVersion(
+          policyId,
+          accountId,
+          updateData.document,
+          options.userId || null,
+          transaction
+        );
+
+        if (options.setAsDefault === false) {
+          return await this.policyRepository.findById(policyId, accountId, transaction);
+        }
+
+        return await this.policyRepository.setDefaultVersion(policyId, accountId, version.versionNumber, transaction);
+      });
     } catch (error) {
-      if (error.code === 'POLICY_NOT_FOUND' || error.code === 'POLICY_NAME_EXISTS') {
+      if (['POLICY_NOT_FOUND', 'POLICY_NAME_EXISTS', 'POLICY_VERSION_LIMIT_EXCEEDED'].includes(error.code)) {
         throw error;
       }
       throw new Error(`Failed to update policy: ${error.message}`);
@@ -214,6 +273,15 @@ class PolicyService {
         throw error;
       }
 
+      // Check if policy is used as a permissions boundary
+      const boundaryCount = await this.policyRepository.countPermissionsBoundaryUsage(policyId);
+      if (boundaryCount > 0) {
+        const error = new Error('Cannot delete policy that is used as a permissions boundary');
+        error.code = 'POLICY_IN_USE';
+        error.details = { permissionsBoundaryCount: boundaryCount };
+        throw error;
+      }
+
       const deleted = await this.policyRepository.delete(policyId, accountId);
       
       if (!deleted) {
@@ -229,6 +297,119 @@ class PolicyService {
     }
   }
 
+  /**
+   * Lists the versions of a policy, newest first
+   * @param {string} policyId - Policy ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<PolicyVersion>>} Policy versions
+   */
+  async listPolicyVersions(policyId, accountId) {
+    await this.getExistingPolicy(policyId, accountId);
+
+    try {
+      return await this.policyRepository.findVersions(policyId, accountId);
+    } catch (error) {
+      throw new Error(`Failed to list policy versions: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets a specific version of a policy
+   * @param {string} policyId - Policy ID
+   * @param {string} versionId - Version ID (e.g., 'v2')
+   * @param {string} accountId - Account ID
+   * @returns {Promise<PolicyVersion>} Policy version
+   */
+  async getPolicyVersion(policyId, versionId, accountId) {
+    await this.getExistingPolicy(policyId, accountId);
+
+    const version = await this.policyRepository.findVersion(policyId, accountId, this.parseVersionId(versionId));
+    if (!version) {
+      throw this.versionNotFound(versionId);
+    }
+
+    return version;
+  }
+
+  /**
+   * Makes a version the default one (the version the policy engine evaluates)
+   * Setting an older version as default rolls the policy back
+   * @param {string} policyId - Policy ID
+   * @param {string} versionId - Version ID (e.g., 'v2')
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Policy>} Updated policy
+   */
+  async setDefaultPolicyVersion(policyId, versionId, accountId) {
+    await this.getExistingPolicy(policyId, accountId);
+
+    const policy = await this.policyRepository.setDefaultVersion(policyId, accountId, this.parseVersionId(versionId));
+    if (!policy) {
+      throw this.versionNotFound(versionId);
+    }
+
+    return policy;
+  }
+
+  /**
+   * Deletes a non-default version of a policy
+   * @param {string} policyId - Policy ID
+   * @param {string} versionId - Version ID (e.g., 'v2')
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deletePolicyVersion(policyId, versionId, accountId) {
+    const policy = await this.getExistingPolicy(policyId, accountId);
+    const versionNumber = this.parseVersionId(versionId);
+
+    if (versionNumber === policy.defaultVersionNumber) {
+      const error = new Error('Cannot delete the default version of a policy; set another version as default first');
+      error.code = 'POLICY_VERSION_IS_DEFAULT';
+      throw error;
+    }
+
+    const deleted = await this.policyRepository.deleteVersion(policyId, versionNumber);
+    if (!deleted) {
+      throw this.versionNotFound(versionId);
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets a policy of the account, throwing POLICY_NOT_FOUND if missing
+   * @param {string} policyId - Policy ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Policy>} Policy
+   */
+  async getExistingPolicy(policyId, accountId) {
+    const policy = await this.policyRepository.findById(policyId, accountId);
+    if (!policy) {
+      const error = new Error('Policy not found');
+      error.code = 'POLICY_NOT_FOUND';
+      throw error;
+    }
+    return policy;
+  }
+
+  /**
+   * Parses a version ID, throwing POLICY_VERSION_NOT_FOUND if malformed
+   * @param {string} versionId - Version ID (e.g., 'v2')
+   * @returns {number} Version number
+   */
+  parseVersionId(versionId) {
+    const versionNumber = PolicyVersion.parseVersionId(versionId);
+    if (versionNumber === null) {
+      throw this.versionNotFound(versionId);
+    }
+    return versionNumber;
+  }
+
+  versionNotFound(versionId) {
+    const error = new Error(`Policy version not found: ${versionId}`);
+    error.code = 'POLICY_VERSION_NOT_FOUND';
+    return error;
+  }
+
   /**
    * Attaches a policy to a user
    * @param {string} policyId - Policy ID
@@ -393,9 +574,10 @@ class PolicyService {
 
   /**
    * Gets all policies for a user (direct and inherited from groups)
+   * Includes the inline policies of the user and of its groups
    * @param {string} userId - User ID
    * @param {string} accountId - Account ID
-   * @returns {Promise<Array<Policy>>} Array of policies
+   * @returns {Promise<Array<Policy|InlinePolicy>>} Array of policies
    */
   async getUserPolicies(userId, accountId) {
     try {
@@ -403,17 +585,22 @@ class PolicyService {
         throw new Error('User ID and Account ID are required');
       }
 
-      return await this.policyRepository.findPoliciesForUser(userId, accountId);
+      const [managedPolicies, inlinePolicies] = await Promise.all([
+        this.policyRepository.findPoliciesForUser(userId, accountId),
+        this.inlinePolicyRepository.findForUser(userId, accountId)
+      ]);
+
+      return [...managedPolicies, ...inlinePolicies];
     } catch (error) {
       throw new Error(`Failed to get user policies: ${error.message}`);
     }
   }
 
   /**
-   * Gets all policies for a group
+   * Gets all policies for a group (attached and inline)
    * @param {string} groupId - Group ID
    * @param {string} accountId - Account ID
-   * @returns {Promise<Array<Policy>>} Array of policies
+   * @returns {Promise<Array<Policy|InlinePolicy>>} Array of policies
    */
   async getGroupPolicies(groupId, accountId) {
     try {
@@ -421,12 +608,270 @@ class PolicyService {
         throw new Error('Group ID and Account ID are required');
       }
 
-      return await this.policyRepository.findPoliciesForGroup(groupId, accountId);
+      const [managedPolicies, inlinePolicies] = await Promise.all([
+        this.policyRepository.findPoliciesForGroup(groupId, accountId),
+        this.inlinePolicyRepository.findByPrincipal('group', groupId, accountId)
+      ]);
+
+      return [...managedPolicies, ...inlinePolicies];
     } catch (error) {
       throw new Error(`Failed to get group policies: ${error.message}`);
     }
   }
 
+  /**
+   * Gets all policies of a role (attached and inline), as evaluated for its sessions
+   * @param {string} roleId - Role ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Policy|InlinePolicy>>} Array of policies
+   */
+  async getRolePolicies(roleId, accountId) {
+    try {
+      if (!roleId || !accountId) {
+        throw new Error('Role ID and Account ID are required');
+      }
+
+      const [managedPolicies, inlinePolicies] = await Promise.all([
+        this.policyRepository.findPoliciesForRole(roleId, accountId),
+        this.inlinePolicyRepository.findByPrincipal('role', roleId, accountId)
+      ]);
+
+      return [...managedPolicies, ...inlinePolicies];
+    } catch (error) {
+      throw new Error(`Failed to get role policies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets the policies that apply to a principal (user, group or role)
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalId - Principal ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<Policy>>} Array of policies
+   */
+  async getPrincipalPolicies(principalType, principalId, accountId) {
+    await this.findPrincipal(principalType, principalId, accountId);
+
+    if (principalType === 'user') {
+      return await this.getUserPolicies(principalId, accountId);
+    }
+    if (principalType === 'group') {
+      return await this.getGroupPolicies(principalId, accountId);
+    }
+    return await this.getRolePolicies(principalId, accountId);
+  }
+
+  /**
+   * Finds a principal (user, group or role) in an account
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalId - Principal ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Object>} Principal
+   */
+  async findPrincipal(principalType, principalId, accountId) {
+    let principal = null;
+
+    switch (principalType) {
+      case 'user':
+        principal = await this.userRepository.findById(principalId);
+        if (principal && principal.accountId !== accountId) {
+          principal = null;
+        }
+        break;
+      case 'group':
+        principal = await this.groupRepository.findById(principalId, accountId);
+        break;
+      case 'role':
+        principal = await this.roleRepository.findById(principalId, accountId);
+        break;
+      default: {
+        const error = new Error(`Invalid principal type: ${principalType}`);
+        error.code = 'INVALID_PRINCIPAL_TYPE';
+        throw error;
+      }
+    }
+
+    if (!principal) {
+      const error = new Error(`Principal not found: ${principalType}/${principalId}`);
+      error.code = 'PRINCIPAL_NOT_FOUND';
+      throw error;
+    }
+
+    return principal;
+  }
+
+  /**
+   * Lists the inline policies embedded in a principal (user, group or role)
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalId - Principal ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Array<InlinePolicy>>} Array of inline policies
+   */
+  async listInlinePolicies(principalType, principalId, accountId) {
+    await this.findPrincipal(principalType, principalId, accountId);
+
+    try {
+      return await this.inlinePolicyRepository.findByPrincipal(principalType, principalId, accountId);
+    } catch (error) {
+      throw new Error(`Failed to list inline policies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Gets an inline policy of a principal by name
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalId - Principal ID
+   * @param {string} policyName - Inline policy name
+   * @param {string} accountId - Account ID
+   * @returns {Promise<InlinePolicy>} Inline policy
+   */
+  async getInlinePolicy(principalType, principalId, policyName, accountId) {
+    await this.findPrincipal(principalType, principalId, accountId);
+
+    const inlinePolicy = await this.inlinePolicyRepository.findByName(principalType, principalId, policyName, accountId);
+    if (!inlinePolicy) {
+      const error = new Error(`Inline policy not found: ${policyName}`);
+      error.code = 'INLINE_POLICY_NOT_FOUND';
+      throw error;
+    }
+
+    return inlinePolicy;
+  }
+
+  /**
+   * Creates or replaces an inline policy of a principal
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalId - Principal ID
+   * @param {string} policyName - Inline policy name
+   * @param {Object} document - Policy document
+   * @param {string} accountId - Account ID
+   * @returns {Promise<InlinePolicy>} Stored inline policy
+   */
+  async putInlinePolicy(principalType, principalId, policyName, document, accountId) {
+    const inlinePolicy = new InlinePolicy({ accountId, principalType, principalId, name: policyName, document });
+
+    const errors = InlinePolicy.validate(inlinePolicy);
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.details = errors;
+      throw error;
+    }
+
+    await this.findPrincipal(principalType, principalId, accountId);
+
+    try {
+      return await this.inlinePolicyRepository.upsert(inlinePolicy);
+    } catch (error) {
+      throw new Error(`Failed to put inline policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes an inline policy of a principal
+   * @param {string} principalType - Principal type ('user', 'group' or 'role')
+   * @param {string} principalId - Principal ID
+   * @param {string} policyName - Inline policy name
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteInlinePolicy(principalType, principalId, policyName, accountId) {
+    await this.findPrincipal(principalType, principalId, accountId);
+
+    const deleted = await this.inlinePolicyRepository.delete(principalType, principalId, policyName, accountId);
+    if (!deleted) {
+      const error = new Error(`Inline policy not found: ${policyName}`);
+      error.code = 'INLINE_POLICY_NOT_FOUND';
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Gets the permissions boundary of a user or role
+   * @param {string} principalType - Principal type ('user' or 'role')
+   * @param {string} principalId - User or role ID
+   * @param {string} accountId - Account ID
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.verifyPrincipal=false] - Fail with PRINCIPAL_NOT_FOUND if the principal does not exist
+   * @returns {Promise<Policy|null>} Boundary policy or null if none is set
+   */
+  async getPermissionsBoundary(principalType, principalId, accountId, options = {}) {
+    this.assertBoundaryPrincipalType(principalType);
+
+    if (options.verifyPrincipal) {
+      await this.findPrincipal(principalType, principalId, accountId);
+    }
+
+    try {
+      return await this.policyRepository.findPermissionsBoundary(principalType, principalId, accountId);
+    } catch (error) {
+      throw new Error(`Failed to get permissions boundary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Sets a managed policy as the permissions boundary of a user or role
+   * @param {string} principalType - Principal type ('user' or 'role')
+   * @param {string} principalId - User or role ID
+   * @param {string} policyId - Boundary policy ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<Policy>} Boundary policy
+   */
+  async putPermissionsBoundary(principalType, principalId, policyId, accountId) {
+    this.assertBoundaryPrincipalType(principalType);
+    await this.findPrincipal(principalType, principalId, accountId);
+
+    const policy = await this.policyRepository.findById(policyId, accountId);
+    if (!policy) {
+      const error = new Error('Policy not found');
+      error.code = 'POLICY_NOT_FOUND';
+      throw error;
+    }
+
+    try {
+      await this.policyRepository.setPermissionsBoundary(principalType, principalId, accountId, policy.id);
+      return policy;
+    } catch (error) {
+      throw new Error(`Failed to set permissions boundary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Removes the permissions boundary of a user or role
+   * @param {string} principalType - Principal type ('user' or 'role')
+   * @param {string} principalId - User or role ID
+   * @param {string} accountId - Account ID
+   * @returns {Promise<boolean>} True if removed
+   */
+  async deletePermissionsBoundary(principalType, principalId, accountId) {
+    const boundary = await this.getPermissionsBoundary(principalType, principalId, accountId, { verifyPrincipal: true });
+
+    if (!boundary) {
+      const error = new Error('No permissions boundary is set');
+      error.code = 'PERMISSIONS_BOUNDARY_NOT_FOUND';
+      throw error;
+    }
+
+    try {
+      return await this.policyRepository.setPermissionsBoundary(principalType, principalId, accountId, null);
+    } catch (error) {
+      throw new Error(`Failed to delete permissions boundary: ${error.message}`);
+    }
+  }
+
+  /**
+   * Ensures a principal type can carry a permissions boundary (users and roles only)
+   * @param {string} principalType - Principal type
+   */
+  assertBoundaryPrincipalType(principalType) {
+    if (principalType !== 'user' && principalType !== 'role') {
+      const error = new Error(`Permissions boundaries are not supported for principal type: ${principalType}`);
+      error.code = 'INVALID_PRINCIPAL_TYPE';
+      throw error;
+    }
+  }
+
   /**
    * Gets default system policies
    * @returns {Promise<Array<Policy>>} Array of default policies
@@ -0,0 +1,138 @@
+const ResourcePolicy = require('../models/ResourcePolicy');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+/**
+ * Service for resource-based policies
+ * An account attaches one policy per resource ARN it owns; the policy names the principals
+ * (possibly from other accounts) allowed or denied access to the resource
+ */
+class ResourcePolicyService {
+  constructor() {
+    this.resourcePolicyRepository = repositoryFactory.createResourcePolicyRepository();
+  }
+
+  /**
+   * Sets (creates or replaces) the policy of a resource owned by the account
+   * @param {string} accountId - Owner account ID
+   * @param {string} resourceArn - Resource ARN (its account field must be accountId)
+   * @param {Object} document - Policy document
+   * @returns {Promise<ResourcePolicy>} Stored resource policy
+   */
+  async putResourcePolicy(accountId, resourceArn, document) {
+    const resourcePolicy = new ResourcePolicy({ accountId, resourceArn, document });
+
+    const errors = ResourcePolicy.validate(resourcePolicy);
+    if (errors.length > 0) {
+      const error = new Error('Validation failed');
+      error.details = errors;
+      throw error;
+    }
+
+    let stored;
+    try {
+      stored = await this.resourcePolicyRepository.upsert(resourcePolicy);
+    } catch (error) {
+      throw new Error(`Failed to set resource policy: ${error.message}`);
+    }
+
+    // The ARN is already registered by another account
+    if (!stored) {
+      const error = new Error('Resource policy is owned by another account');
+      error.code = 'RESOURCE_POLICY_CONFLICT';
+      throw error;
+    }
+
+    return stored;
+  }
+
+  /**
+   * Gets a resource policy owned by the account
+   * @param {string} policyId - Resource policy ID
+   * @param {string} accountId - Owner account ID
+   * @returns {Promise<ResourcePolicy|null>} Resource policy or null
+   */
+  async getResourcePolicy(policyId, accountId) {
+    try {
+      return await this.resourcePolicyRepository.findById(policyId, accountId);
+    } catch (error) {
+      throw new Error(`Failed to get resource policy: ${error.message}`);
+    }
+  }
+
+  /**
+   * Lists the resource policies owned by the account
+   * @param {string} accountId - Owner account ID
+   * @param {Object} [options] - { limit, offset, resourceArnPrefix }
+   * @returns {Promise<Object>} { resourcePolicies, totalCount, hasMore }
+   */
+  async listResourcePolicies(accountId, options = {}) {
+    try {
+      return await this.resourcePolicyRepository.findByAccountId(accountId, options);
+    } catch (error) {
+      throw new Error(`Failed to list resource policies: ${error.message}`);
+    }
+  }
+
+  /**
+   * Deletes a resource policy owned by the account
+   * @param {string} policyId - Resource policy ID
+   * @param {string} accountId - Owner account ID
+   * @returns {Promise<boolean>} True if deleted
+   */
+  async deleteResourcePolicy(policyId, accountId) {
+    const deleted = await this.resourcePolicyRepository.delete(policyId, accountId);
+
+    if (!deleted) {
+      const error = new Error('Resource policy not found');
+      error.code = 'RESOURCE_POLICY_NOT_FOUND';
+      throw error;
+    }
+
+    return true;
+  }
+
+  /**
+   * Finds the policy that governs a requested resource
+   * A policy attached to an ARN also covers the resources below it, so a policy on
+   * arn:aws:s3::<account>:bucket/reports applies to arn:aws:s3::<account>:bucket/reports/2024.csv;
+   * the most specific policy wins
+   * @param {string} resource - Requested resource ARN
+   * @returns {Promise<ResourcePolicy|null>} Governing resource policy or null
+   */
+  async findPolicyForResource(resource) {
+    if (!ResourcePolicy.getResourceAccountId(resource)) {
+      return null;
+    }
+
+    const candidates = this.getCandidateArns(resource);
+    const policies = await this.resourcePolicyRepository.findByResourceArns(candidates);
+
+    if (policies.length === 0) {
+      return null;
+    }
+
+    return policies.reduce((best, policy) =>
+      policy.resourceArn.length > best.resourceArn.length ? policy : best
+    );
+  }
+
+  /**
+   * Lists an ARN and its parent ARNs (split on '/' in the resource part)
+   * @param {string} resource - Resource ARN
+   * @returns {Array<string>} Candidate ARNs, most specific first
+   */
+  getCandidateArns(resource) {
+    const candidates = [resource];
+    let arn = resource;
+    const resourceStart = arn.split(':', 5).join(':').length + 1;
+
+    while (arn.lastIndexOf('/') >= resourceStart) {
+      arn = arn.slice(0, arn.lastIndexOf('/'));
+      candidates.push(arn);
+    }
+
+    return candidates;
+  }
+}
+
+module.exports = { ResourcePolicyService };
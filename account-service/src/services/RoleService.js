@@ -2,9 +2,19 @@ const { RepositoryFactory } = require('../repositories/RepositoryFactory');
 const crypto = require('crypto');
 const Policy = require('../models/Policy');
 const RoleSession = require('../models/RoleSession');
+const { PrincipalMatcher } = require('../utils/PrincipalMatcher');
+const { IdentityProviderService } = require('./IdentityProviderService');
+const { SecretCipher } = require('../utils/SecretCipher');
+
+// AWS limit on PolicyArns passed to AssumeRole
+const MAX_SESSION_POLICY_ARNS = 10;
+const SESSION_NAME_PATTERN = /^[\w+=,.@-]{2,64}$/;
+// Request keys kept in the trust context of federated callers, next to the verified claims
+const FEDERATED_REQUEST_CONTEXT_KEYS = ['aws:SourceIp', 'aws:UserAgent', 'aws:RequestedRegion', 'aws:CurrentTime', 'aws:EpochTime'];
 
 class RoleService {
-  constructor(roleRepository = null, policyAttachmentRepository = null) {
+  constructor(roleRepository = null, policyAttachmentRepository = null, secretCipher = null) {
+    this.secretCipher = secretCipher || new SecretCipher();
     if (roleRepository && policyAttachmentRepository) {
       // Use provided repositories (for testing)
       this.roleRepository = roleRepository;
@@ -243,16 +253,93 @@ class RoleService {
     return result.rows.map(row => RoleSession.fromDatabaseRow(row));
   }
 
-  async assumeRole(roleId, userId, sessionName, durationSeconds = 3600) {
+  /**
+   * Assumes a role, returning temporary credentials
+   * @param {string} roleId - Role ID
+   * @param {string} userId - User assuming the role
+   * @param {string} sessionName - Session name
+   * @param {number} [durationSeconds=3600] - Session duration
+   * @param {Object} [options] - Options
+   * @param {Object} [options.policy] - Session policy narrowing the role permissions for this session
+   * @param {Array<string>} [options.policyArns] - Managed policies used as additional session policies
+   * @param {Array<Object>} [options.tags] - Session tags ({ key, value })
+   * @param {Array<string>} [options.transitiveTagKeys] - Tag keys passed on to chained role sessions
+   * @param {string} [options.sourceIdentity] - Source identity (inherited, and fixed, once set in a chain)
+   * @param {Object} [options.caller] - Calling principal (req.user: accountId, username, roleSession)
+   * @param {string} [options.externalId] - sts:ExternalId, required when the trust policy conditions on it
+   * @param {string} [options.sourceIp] - Source IP of the request (recorded on the session)
+   * @param {string} [options.userAgent] - User agent of the request (recorded on the session)
+   * @param {Object} [options.context] - Request context for trust policy conditions
+   * @returns {Promise<RoleSession>} Session with credentials
+   */
+  async assumeRole(roleId, userId, sessionName, durationSeconds = 3600, options = {}) {
     // Verify role exists
     const role = await this.roleRepository.findById(roleId);
     if (!role) {
       throw new Error('Role not found');
     }
 
-    // Validate session duration
+    // Validate session policies
+    if (options.policy !== undefined && options.policy !== null) {
+      const validation = typeof options.policy === 'object'
+        ? Policy.validatePolicyDocument(options.policy)
+        : { isValid: false, errors: ['Session policy must be an object'] };
+
+      if (!validation.isValid) {
+        const error = new Error('Invalid session policy');
+        error.code = 'INVALID_SESSION_POLICY';
+        error.details = validation.errors;
+        throw error;
+      }
+    }
+
+    // A role session assuming another role chains the new session to it
+    const lineage = this.buildSessionLineage(options.caller, options.sourceIdentity);
+
+    const sessionPolicyArns = await this.resolveSessionPolicyArns(options.policyArns);
+    const { sessionTags, transitiveTagKeys } = this.buildSessionTags(
+      options.caller,
+      options.tags || [],
+      options.transitiveTagKeys || []
+    );
+
+    // The trust policy of the role decides who may assume it (and pass session tags to it)
+    const trustContext = {
+      ...options.context,
+      ...this.buildTagContext('aws:PrincipalTag/', options.caller && options.caller.roleSession
+        ? options.caller.roleSession.sessionTags
+        : []),
+      ...this.buildTagContext('aws:RequestTag/', sessionTags),
+      ...(sessionTags.length > 0 && { 'aws:TagKeys': sessionTags.map(tag => tag.key) }),
+      ...(options.externalId && { 'sts:ExternalId': options.externalId }),
+      ...(transitiveTagKeys.length > 0 && { 'sts:TransitiveTagKeys': transitiveTagKeys }),
+      ...(lineage.sourceIdentity && { 'sts:SourceIdentity': lineage.sourceIdentity }),
+      'sts:RoleSessionName': sessionName || 'RoleSession'
+    };
+
+    // Federated callers are trusted through sts:AssumeRoleWithWebIdentity or sts:AssumeRoleWithSAML
+    const trustAction = options.caller && options.caller.federated ? options.caller.federated.action : 'sts:AssumeRole';
+    this.verifyTrustPolicy(role, options.caller, trustContext, options.externalId, trustAction);
+    if (sessionTags.length > 0) {
+      this.verifyTrustPolicy(role, options.caller, trustContext, options.externalId, 'sts:TagSession');
+    }
+    if (lineage.sourceIdentity) {
+      this.verifyTrustPolicy(role, options.caller, trustContext, options.externalId, 'sts:SetSourceIdentity');
+    }
+
+    // Validate session duration (role chaining is limited to one hour, as in AWS)
+    if (lineage.parentSessionId && durationSeconds > RoleSession.MAX_CHAINED_SESSION_DURATION) {
+      const error = new Error(
+        `Role chaining limits the session duration to ${RoleSession.MAX_CHAINED_SESSION_DURATION} seconds`
+      );
+      error.code = 'INVALID_SESSION_DURATION';
+      throw error;
+    }
+
     if (durationSeconds > role.maxSessionDuration) {
-      throw new Error(`Session duration cannot exceed ${role.maxSessionDuration} seconds`);
+      const error = new Error(`Session duration cannot exceed ${role.maxSessionDuration} seconds`);
+      error.code = 'INVALID_SESSION_DURATION';
+      throw error;
     }
 
     // Generate temporary credentials (AWS STS style)
@@ -269,12 +356,21 @@ class RoleService {
       roleId: roleId,
       userId: userId,
       sessionName: sessionName || 'RoleSession',
-      externalId: null,
-      sourceIp: null,
-      userAgent: null,
+      externalId: options.externalId || null,
+      sourceIp: options.sourceIp || null,
+      userAgent: options.userAgent || null,
       assumedAt: new Date(),
       expiresAt: new Date(Date.now() + (durationSeconds * 1000)),
-      sessionTokenHash: crypto.createHash('sha256').update(tempCredentials.sessionToken).digest('hex'),
+      sessionTokenHash: this.hashSessionToken(tempCredentials.sessionToken),
+      accessKeyId: tempCredentials.accessKeyId,
+      encryptedSecret: this.secretCipher.encrypt(tempCredentials.secretAccessKey),
+      sessionPolicy: options.policy || null,
+      sessionPolicyArns,
+      sessionTags,
+      transitiveTagKeys,
+      ...lineage,
+      federatedProviderArn: options.caller && options.caller.federated ? options.caller.federated.providerArn : null,
+      federatedSubject: options.caller && options.caller.federated ? options.caller.federated.subject : null,
       isActive: true,
       createdAt: new Date(),
       updatedAt: new Date(),
@@ -290,9 +386,349 @@ class RoleService {
     return createdSession;
   }
 
-  async getRoleSession(sessionId) {
-    const session = await this.roleRepository.findSession(sessionId);
+  /**
+   * Assumes a role with an ID token issued by an OpenID Connect provider of the role account
+   * (AssumeRoleWithWebIdentity). The trust policy must allow sts:AssumeRoleWithWebIdentity to the
+   * provider ARN; its conditions can use the claims of the token (<provider name>:sub, :aud, :amr).
+   * @param {string} roleId - Role ID
+   * @param {string} webIdentityToken - ID token (JWT) of the provider
+   * @param {string} sessionName - Session name (usually identifies the federated user)
+   * @param {number} [durationSeconds=3600] - Session duration
+   * @param {Object} [options] - { policy, policyArns, sourceIp, userAgent, context }
+   * @returns {Promise<RoleSession>} Session with its temporary credentials
+   * @throws {Error} INVALID_IDENTITY_TOKEN if the token cannot be verified
+   */
+  async assumeRoleWithWebIdentity(roleId, webIdentityToken, sessionName, durationSeconds = 3600, options = {}) {
+    const role = await this.roleRepository.findById(roleId);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    this.validateFederatedSessionName(sessionName);
+    const identity = await this.getIdentityProviderService().verifyWebIdentityToken(role.accountId, webIdentityToken);
+
+    return await this.assumeRoleAsFederatedUser(role, identity, 'sts:AssumeRoleWithWebIdentity', sessionName, durationSeconds, options);
+  }
+
+  /**
+   * Assumes a role with a SAML assertion issued by a SAML provider of the role account (AssumeRoleWithSAML).
+   * The trust policy must allow sts:AssumeRoleWithSAML to the provider ARN; its conditions can use
+   * saml:sub, saml:sub_type, saml:aud and saml:iss. The session name comes from the RoleSessionName attribute.
+   * @param {string} roleId - Role ID
+   * @param {string} principalArn - ARN of the SAML provider
+   * @param {string} samlAssertion - Base64-encoded SAML response
+   * @param {number} [durationSeconds=3600] - Session duration
+   * @param {Object} [options] - { policy, policyArns, sourceIp, userAgent, context }
+   * @returns {Promise<RoleSession>} Session with its temporary credentials
+   * @throws {Error} INVALID_SAML_ASSERTION if the assertion cannot be verified or was already used
+   */
+  async assumeRoleWithSAML(roleId, principalArn, samlAssertion, durationSeconds = 3600, options = {}) {
+    const role = await this.roleRepository.findById(roleId);
+    if (!role) {
+      throw new Error('Role not found');
+    }
+
+    const identity = await this.getIdentityProviderService().verifySamlAssertion(principalArn, samlAssertion, role);
+    const sessionName = identity.sessionName || identity.subject;
+    this.validateFederatedSessionName(sessionName);
+
+    return await this.assumeRoleAsFederatedUser(role, identity, 'sts:AssumeRoleWithSAML', sessionName, durationSeconds, options);
+  }
+
+  /**
+   * Assumes a role for a verified federated identity: the provider is the Federated principal and the
+   * condition context of the trust policy holds the verified claims and the aws:* request keys only
+   * (a claim the provider did not assert must stay absent, whatever the caller sends)
+   */
+  async assumeRoleAsFederatedUser(role, identity, action, sessionName, durationSeconds, options) {
+    const requestContext = Object.fromEntries(
+      Object.entries(options.context || {}).filter(([key]) => FEDERATED_REQUEST_CONTEXT_KEYS.includes(key))
+    );
+
+    return await this.assumeRole(role.id, null, sessionName, durationSeconds, {
+      policy: options.policy,
+      policyArns: options.policyArns,
+      sourceIp: options.sourceIp,
+      userAgent: options.userAgent,
+      context: { ...requestContext, ...identity.context },
+      caller: {
+        federated: {
+          providerArn: identity.provider.arn,
+          subject: identity.subject,
+          action
+        }
+      }
+    });
+  }
+
+  validateFederatedSessionName(sessionName) {
+    if (typeof sessionName !== 'string' || !SESSION_NAME_PATTERN.test(sessionName)) {
+      const error = new Error('Session name must be 2-64 characters (letters, digits and +=,.@-_)');
+      error.code = 'INVALID_SESSION_NAME';
+      throw error;
+    }
+  }
+
+  getIdentityProviderService() {
+    if (!this.identityProviderService) {
+      this.identityProviderService = new IdentityProviderService();
+    }
+    return this.identityProviderService;
+  }
+
+  /**
+   * Evaluates the trust policy of a role against the calling principal
+   * @param {Role} role - Role being assumed
+   * @param {Object} caller - Calling principal (accountId, username, roleSession, or federated identity)
+   * @param {Object} context - Condition context
+   * @param {string} [externalId] - ExternalId provided by the caller
+   * @param {string} [action='sts:AssumeRole'] - Trust action (sts:TagSession when session tags are passed)
+   * @throws {Error} ASSUME_ROLE_DENIED (details: evaluated statements, role: ARN and account) if the caller is not trusted
+   */
+  verifyTrustPolicy(role, caller, context, externalId, action = 'sts:AssumeRole') {
+    const principals = this.getCallerPrincipals(caller);
+
+    const evaluation = role.evaluateTrustPolicy(principals, context, action);
+    if (evaluation.allowed) {
+      return;
+    }
+
+    const reason = !externalId && role.requiresExternalId(principals)
+      ? 'The trust policy requires sts:ExternalId'
+      : evaluation.reason;
+
+    const error = new Error(`Not authorized to perform ${action} on ${role.getArn()}: ${reason}`);
+    error.code = 'ASSUME_ROLE_DENIED';
+    error.details = { reason, statements: evaluation.statements };
+    error.role = { arn: role.getArn(), accountId: role.accountId };
+    throw error;
+  }
+
+  /**
+   * Builds the lineage of a new session from the calling principal
+   * A user starts a new chain; a role session passes on its chain, source account and source identity
+   * @param {Object} [caller] - Calling principal (req.user)
+   * @param {string} [sourceIdentity] - Source identity passed to AssumeRole
+   * @returns {Object} { parentSessionId, sessionChain, sourceIdentity, sourceAccountId }
+   * @throws {Error} INVALID_SOURCE_IDENTITY if the source identity is malformed or differs from the inherited one
+   */
+  buildSessionLineage(caller, sourceIdentity) {
+    const parent = caller && caller.roleSession;
+    const inheritedIdentity = parent ? parent.sourceIdentity || null : null;
+
+    if (sourceIdentity !== undefined && sourceIdentity !== null) {
+      let message = null;
+      if (typeof sourceIdentity !== 'string' || !/^[a-zA-Z0-9+=,.@\-_]{2,64}$/.test(sourceIdentity)) {
+        message = 'Source identity must be 2-64 characters (letters, digits and +=,.@-_)';
+      } else if (inheritedIdentity && inheritedIdentity !== sourceIdentity) {
+        message = 'Source identity is inherited from the calling session and cannot be changed';
+      }
+
+      if (message) {
+        const error = new Error(message);
+        error.code = 'INVALID_SOURCE_IDENTITY';
+        throw error;
+      }
+    }
+
+    if (!parent) {
+      return {
+        parentSessionId: null,
+        sessionChain: [],
+        sourceIdentity: sourceIdentity || null,
+        sourceAccountId: caller ? caller.accountId || null : null
+      };
+    }
+
+    return {
+      parentSessionId: parent.sessionId,
+      sessionChain: [...(parent.sessionChain || []), parent.sessionId],
+      sourceIdentity: inheritedIdentity || sourceIdentity || null,
+      sourceAccountId: parent.sourceAccountId || null
+    };
+  }
+
+  /**
+   * Checks that the managed session policies passed to AssumeRole exist
+   * @param {Array<string>} [policyArns] - Managed policy ARNs
+   * @returns {Promise<Array<string>>} Policy ARNs to store on the session
+   * @throws {Error} INVALID_SESSION_POLICY if an ARN is malformed or the policy does not exist
+   */
+  async resolveSessionPolicyArns(policyArns) {
+    if (policyArns === undefined || policyArns === null) {
+      return [];
+    }
+
+    const errors = [];
+    if (!Array.isArray(policyArns)) {
+      errors.push('Policy ARNs must be an array');
+    } else if (policyArns.length > MAX_SESSION_POLICY_ARNS) {
+      errors.push(`At most ${MAX_SESSION_POLICY_ARNS} managed session policies can be passed`);
+    } else {
+      for (const arn of policyArns) {
+        const parsed = Policy.parseArn(arn);
+        const policy = parsed && await this.policyRepository.findByName(parsed.name, parsed.accountId);
+
+        if (!policy || policy.path !== parsed.path) {
+          errors.push(`Session policy not found: ${arn}`);
+        }
+      }
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Invalid session policy');
+      error.code = 'INVALID_SESSION_POLICY';
+      error.details = errors;
+      throw error;
+    }
+
+    return policyArns;
+  }
+
+  /**
+   * Builds the tags of a new session: transitive tags inherited from the calling role session
+   * (which cannot be overridden) followed by the tags passed to AssumeRole
+   * @param {Object} [caller] - Calling principal (req.user)
+   * @param {Array<Object>} tags - Session tags passed to AssumeRole ({ key, value })
+   * @param {Array<string>} transitiveTagKeys - Transitive tag keys passed to AssumeRole
+   * @returns {Object} { sessionTags, transitiveTagKeys }
+   * @throws {Error} INVALID_SESSION_TAGS if the tags are invalid or override an inherited tag
+   */
+  buildSessionTags(caller, tags, transitiveTagKeys) {
+    const errors = RoleSession.validateSessionTags(tags, transitiveTagKeys);
+
+    const inherited = caller && caller.roleSession
+      ? RoleSession.selectTransitiveTags(caller.roleSession.sessionTags, caller.roleSession.transitiveTagKeys)
+      : [];
+    const inheritedKeys = inherited.map(tag => tag.key.toLowerCase());
+
+    if (errors.length === 0) {
+      tags
+        .filter(tag => inheritedKeys.includes(tag.key.toLowerCase()))
+        .forEach(tag => errors.push(`Tag ${tag.key} is transitive from the calling session and cannot be overridden`));
+    }
+
+    if (errors.length === 0 && inherited.length + tags.length > RoleSession.MAX_SESSION_TAGS) {
+      errors.push(`A session can have at most ${RoleSession.MAX_SESSION_TAGS} tags, including inherited transitive tags`);
+    }
+
+    if (errors.length > 0) {
+      const error = new Error('Invalid session tags');
+      error.code = 'INVALID_SESSION_TAGS';
+      error.details = errors;
+      throw error;
+    }
+
+    return {
+      sessionTags: [...inherited, ...tags.map(({ key, value }) => ({ key, value }))],
+      transitiveTagKeys: [...inherited.map(tag => tag.key), ...transitiveTagKeys]
+    };
+  }
+
+  /**
+   * Builds tag condition keys (e.g., aws:RequestTag/<key>) from a list of tags
+   * @param {string} prefix - Condition key prefix
+   * @param {Array<Object>} [tags] - Tags ({ key, value })
+   * @returns {Object} Context entries
+   */
+  buildTagContext(prefix, tags = []) {
+    return Object.fromEntries(tags.map(tag => [`${prefix}${tag.key}`, tag.value]));
+  }
+
+  /**
+   * Builds the trust policy principal identifiers of the caller
+   * @param {Object} [caller] - Calling principal (req.user)
+   * @returns {Array<Object>} Principal identifiers
+   */
+  getCallerPrincipals(caller) {
+    if (caller && caller.federated) {
+      return [{ type: 'Federated', value: caller.federated.providerArn }];
+    }
+
+    if (!caller || !caller.accountId) {
+      return [];
+    }
+
+    if (caller.roleSession) {
+      return PrincipalMatcher.forRoleSession({ accountId: caller.accountId, ...caller.roleSession });
+    }
+
+    return PrincipalMatcher.forUser({ accountId: caller.accountId, username: caller.username });
+  }
+
+  /**
+   * Resolves the session token of a request (X-Amz-Security-Token) to its role session
+   * Revoked (DELETE /roles/sessions/:sessionId) and expired sessions are rejected
+   * @param {string} sessionToken - Session token returned by assumeRole
+   * @returns {Promise<Object>} { session, role }
+   */
+  async authenticateSession(sessionToken) {
+    const session = typeof sessionToken === 'string' && sessionToken
+      ? await this.roleRepository.findSessionByTokenHash(this.hashSessionToken(sessionToken))
+      : null;
+
     if (!session) {
+      const error = new Error('Invalid session token');
+      error.code = 'INVALID_SESSION_TOKEN';
+      throw error;
+    }
+
+    if (!session.isActive) {
+      const error = new Error('Session has been revoked');
+      error.code = 'SESSION_REVOKED';
+      throw error;
+    }
+
+    if (session.isExpired()) {
+      const error = new Error('Session has expired');
+      error.code = 'SESSION_EXPIRED';
+      throw error;
+    }
+
+    const role = await this.roleRepository.findById(session.roleId);
+    if (!role) {
+      const error = new Error('Invalid session token');
+      error.code = 'INVALID_SESSION_TOKEN';
+      throw error;
+    }
+
+    return { session, role };
+  }
+
+  /**
+   * Gets the secret access key of a session, to verify the signature of its requests
+   * @param {RoleSession} session - Session from authenticateSession
+   * @returns {string} Secret access key
+   * @throws {Error} INVALID_SESSION_TOKEN if the session has no stored credentials
+   */
+  getSessionSecret(session) {
+    if (!session.accessKeyId || !session.encryptedSecret) {
+      const error = new Error('Invalid session token');
+      error.code = 'INVALID_SESSION_TOKEN';
+      throw error;
+    }
+
+    return this.secretCipher.decrypt(session.encryptedSecret);
+  }
+
+  /**
+   * Hashes a session token (only the hash is stored in role_sessions)
+   * @param {string} sessionToken - Session token
+   * @returns {string} SHA-256 hex digest
+   */
+  hashSessionToken(sessionToken) {
+    return crypto.createHash('sha256').update(sessionToken).digest('hex');
+  }
+
+  /**
+   * Gets a role session with its lineage
+   * @param {string} sessionId - Session ID
+   * @param {string} [accountId] - Caller account; the session must belong to it or have been started from it
+   * @returns {Promise<RoleSession>} Role session
+   */
+  async getRoleSession(sessionId, accountId = null) {
+    const session = await this.roleRepository.findSession(sessionId);
+    if (!session || (accountId && session.accountId !== accountId && session.sourceAccountId !== accountId)) {
       throw new Error('Session not found');
     }
 
@@ -423,14 +859,21 @@ class RoleService {
     }
   }
 
-  async revokeRoleSession(sessionId) {
+  /**
+   * Revokes an active role session of an account
+   * @param {string} sessionId - Session ID
+   * @param {string} accountId - Account of the role (sessions of other accounts are not found)
+   * @returns {Promise<Object>} Result
+   * @throws {Error} SESSION_NOT_FOUND
+   */
+  async revokeRoleSession(sessionId, accountId) {
     // Find the session first to verify it exists
     const findSessionQuery = `
       SELECT * FROM role_sessions 
-      WHERE id = $1 AND is_active = true AND expires_at > NOW()
+      WHERE id = $1 AND account_id = $2 AND is_active = true AND expires_at > NOW()
     `;
     
-    const result = await this.roleRepository.pool.query(findSessionQuery, [sessionId]);
+    const result = await this.roleRepository.pool.query(findSessionQuery, [sessionId, accountId]);
     
     if (result.rows.length === 0) {
       const error = new Error('Session not found or already inactive');
@@ -442,10 +885,10 @@ class RoleService {
     const revokeQuery = `
       UPDATE role_sessions 
       SET is_active = false, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $1
+      WHERE id = $1 AND account_id = $2
     `;
 
-    await this.roleRepository.pool.query(revokeQuery, [sessionId]);
+    await this.roleRepository.pool.query(revokeQuery, [sessionId, accountId]);
 
     return { success: true, message: 'Session revoked successfully' };
   }
@@ -0,0 +1,1038 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+const ScimToken = require('../models/ScimToken');
+const { Group } = require('../models/Group');
+const { UserService } = require('./UserService');
+const GroupService = require('./GroupService');
+const { ScimFilter } = require('../utils/ScimFilter');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+const {
+  SCIM_SCHEMAS,
+  SCIM_MAX_RESULTS,
+  SCIM_RESOURCE_SCHEMAS,
+  SCIM_RESOURCE_TYPES,
+  SCIM_SERVICE_PROVIDER_CONFIG
+} = require('../config/scimSchemas');
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Same characters as the users_username_format constraint
+const USERNAME_PATTERN = /^[A-Za-z0-9+=,.@_-]{2,100}$/;
+
+const NAME_ATTRIBUTES = ['formatted', 'familyName', 'givenName', 'middleName', 'honorificPrefix', 'honorificSuffix'];
+
+const MAX_EMAILS = 10;
+const MAX_STRING_LENGTH = 256;
+const MAX_EXTERNAL_ID_LENGTH = 255;
+const DEFAULT_PAGE_SIZE = 100;
+
+// Attributes of each resource type as spelled in the representations; the multi-valued ones take add/remove of values
+const RESOURCE_ATTRIBUTES = {
+  User: {
+    attributes: ['userName', 'name', 'displayName', 'active', 'password', 'emails', 'externalId', 'groups', 'id', 'meta', 'schemas'],
+    multiValued: ['emails', 'groups'],
+    readOnly: ['groups', 'id', 'meta', 'schemas']
+  },
+  Group: {
+    attributes: ['displayName', 'members', 'externalId', 'id', 'meta', 'schemas'],
+    multiValued: ['members'],
+    readOnly: ['id', 'meta', 'schemas']
+  }
+};
+
+const ALWAYS_RETURNED = ['schemas', 'id', 'meta'];
+
+// Attributes of schema extensions (e.g. the enterprise user) are not stored
+const EXTENSION_ATTRIBUTE_PATTERN = /^urn:(?!ietf:params:scim:schemas:core:2\.0:)/i;
+
+/**
+ * SCIM 2.0 provisioning (RFC 7643/7644) of the IAM users and groups of an account
+ * Resources are built from UserService and GroupService; filters, PATCH operations and pagination are
+ * applied to those representations. Each account authenticates with its own bearer token.
+ */
+class ScimService {
+  /**
+   * @param {Object} [scimTokenRepository] - SCIM token repository
+   * @param {UserService} [userService] - User service
+   * @param {GroupService} [groupService] - Group service
+   * @param {AuthService} [authService] - Used to revoke the sessions of deactivated and deleted users
+   */
+  constructor(scimTokenRepository = null, userService = null, groupService = null, authService = null) {
+    this.scimTokenRepository = scimTokenRepository || repositoryFactory.createScimTokenRepository();
+    this.userService = userService || new UserService(repositoryFactory.createUserRepository(), bcrypt);
+    this.groupService = groupService || new GroupService();
+    this.authService = authService;
+    this.baseUrl = (process.env.SCIM_BASE_URL || `http://localhost:${process.env.PORT || 3000}/scim/v2`).replace(/\/+$/, '');
+  }
+
+  /**
+   * Gets the SCIM token of an account
+   * @param {string} accountId - Account ID
+   * @returns {Promise<ScimToken>} Token (without its value)
+   */
+  async getToken(accountId) {
+    const token = await this.scimTokenRepository.findByAccountId(accountId);
+    if (!token) {
+      throw this.tokenNotFound();
+    }
+    return token;
+  }
+
+  /**
+   * Creates the SCIM token of an account, replacing the previous one
+   * @param {string} accountId - Account ID
+   * @param {string} [createdBy] - User creating the token
+   * @returns {Promise<Object>} { token, secret } - the bearer token is only returned here
+   */
+  async createToken(accountId, createdBy = null) {
+    const secret = ScimToken.generateToken();
+
+    const token = await this.scimTokenRepository.save(new ScimToken({
+      accountId,
+      tokenHash: ScimToken.hashToken(secret),
+      tokenPrefix: secret.slice(0, ScimToken.PREFIX_LENGTH),
+      createdBy
+    }));
+
+    return { token, secret };
+  }
+
+  /**
+   * Deletes the SCIM token of an account (provisioning stops working)
+   * @param {string} accountId - Account ID
+   * @returns {Promise<void>}
+   */
+  async deleteToken(accountId) {
+    const deleted = await this.scimTokenRepository.deleteByAccountId(accountId);
+    if (!deleted) {
+      throw this.tokenNotFound();
+    }
+  }
+
+  /**
+   * Authenticates a SCIM request
+   * @param {string} bearerToken - Token of the Authorization header
+   * @returns {Promise<ScimToken|null>} Token of the account, or null if unknown
+   */
+  async authenticate(bearerToken) {
+    if (typeof bearerToken !== 'string' || !bearerToken) {
+      return null;
+    }
+
+    const token = await this.scimTokenRepository.findByHash(ScimToken.hashToken(bearerToken));
+    if (!token) {
+      return null;
+    }
+
+    await this.scimTokenRepository.touch(token.id);
+    return token;
+  }
+
+  /**
+   * Lists the users of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} query - filter, startIndex, count, attributes, excludedAttributes
+   * @returns {Promise<Object>} ListResponse
+   */
+  async listUsers(accountId, query = {}) {
+    const params = this.readListParameters(query);
+    const [users, { groups }, memberships] = await Promise.all([
+      this.userService.getUsersByAccountId(accountId),
+      this.groupService.listGroups(accountId),
+      this.groupService.getAccountMemberships(accountId)
+    ]);
+
+    const groupsById = new Map(groups.map(group => [group.id, group]));
+    const resources = users
+      .filter(user => !user.isRoot)
+      .map(user => this.toUserResource(user, memberships
+        .filter(membership => membership.userId === user.id && groupsById.has(membership.groupId))
+        .map(membership => groupsById.get(membership.groupId))));
+
+    return this.toListResponse(resources, params);
+  }
+
+  /**
+   * Gets a user
+   * @param {string} accountId - Account ID
+   * @param {string} userId - User ID
+   * @returns {Promise<Object>} User resource
+   */
+  async getUser(accountId, userId) {
+    const user = await this.findUser(accountId, userId);
+    return this.toUserResource(user, await this.groupService.getUserGroups(user.id, accountId));
+  }
+
+  /**
+   * Creates an IAM user
+   * @param {string} accountId - Account ID
+   * @param {Object} body - User resource
+   * @returns {Promise<Object>} Created user resource
+   */
+  async createUser(accountId, body) {
+    const data = this.readUser(body);
+
+    try {
+      const { user } = await this.userService.createUser({ accountId, username: data.userName }, {
+        password: data.password,
+        status: data.active ? 'active' : 'inactive',
+        externalId: data.externalId,
+        profile: data.profile
+      });
+
+      return this.toUserResource(user, []);
+    } catch (error) {
+      throw this.mapUserError(error);
+    }
+  }
+
+  /**
+   * Replaces the attributes of a user (PUT)
+   * @param {string} accountId - Account ID
+   * @param {string} userId - User ID
+   * @param {Object} body - User resource
+   * @param {string} [ifMatch] - If-Match header
+   * @returns {Promise<Object>} Updated user resource
+   */
+  async replaceUser(accountId, userId, body, ifMatch = null) {
+    const user = await this.findUser(accountId, userId);
+    const groups = await this.groupService.getUserGroups(user.id, accountId);
+    this.checkPrecondition(this.toUserResource(user, groups), ifMatch);
+
+    return await this.saveUser(accountId, user, groups, this.readUser(body));
+  }
+
+  /**
+   * Applies PATCH operations to a user
+   * @param {string} accountId - Account ID
+   * @param {string} userId - User ID
+   * @param {Object} body - PatchOp message
+   * @param {string} [ifMatch] - If-Match header
+   * @returns {Promise<Object>} Updated user resource
+   */
+  async patchUser(accountId, userId, body, ifMatch = null) {
+    const operations = this.readPatchOperations(body);
+    const user = await this.findUser(accountId, userId);
+    const groups = await this.groupService.getUserGroups(user.id, accountId);
+    const resource = this.toUserResource(user, groups);
+    this.checkPrecondition(resource, ifMatch);
+
+    const patched = this.applyPatchOperations(resource, operations, RESOURCE_ATTRIBUTES.User);
+    return await this.saveUser(accountId, user, groups, this.readUser(patched));
+  }
+
+  /**
+   * Deletes a user and revokes its sessions
+   * @param {string} accountId - Account ID
+   * @param {string} userId - User ID
+   * @param {string} [ifMatch] - If-Match header
+   * @returns {Promise<void>}
+   */
+  async deleteUser(accountId, userId, ifMatch = null) {
+    const user = await this.findUser(accountId, userId);
+    if (ifMatch) {
+      this.checkPrecondition(this.toUserResource(user, await this.groupService.getUserGroups(user.id, accountId)), ifMatch);
+    }
+
+    await this.revokeSessions(user);
+    await this.userService.deleteUser(user.id);
+  }
+
+  /**
+   * Lists the groups of an account
+   * @param {string} accountId - Account ID
+   * @param {Object} query - filter, startIndex, count, attributes, excludedAttributes
+   * @returns {Promise<Object>} ListResponse
+   */
+  async listGroups(accountId, query = {}) {
+    const params = this.readListParameters(query);
+    const [{ groups }, users, memberships] = await Promise.all([
+      this.groupService.listGroups(accountId),
+      this.userService.getUsersByAccountId(accountId),
+      this.groupService.getAccountMemberships(accountId)
+    ]);
+
+    const usersById = new Map(users.map(user => [user.id, user]));
+    const resources = [...groups]
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(group => this.toGroupResource(group, memberships
+        .filter(membership => membership.groupId === group.id && usersById.has(membership.userId))
+        .map(membership => usersById.get(membership.userId))));
+
+    return this.toListResponse(resources, params);
+  }
+
+  /**
+   * Gets a group
+   * @param {string} accountId - Account ID
+   * @param {string} groupId - Group ID
+   * @returns {Promise<Object>} Group resource
+   */
+  async getGroup(accountId, groupId) {
+    const group = await this.findGroup(accountId, groupId);
+    return this.toGroupResource(group, await this.groupService.getGroupUsers(group.id, accountId));
+  }
+
+  /**
+   * Creates an IAM group with its members
+   * @param {string} accountId - Account ID
+   * @param {Object} body - Group resource
+   * @returns {Promise<Object>} Created group resource
+   */
+  async createGroup(accountId, body) {
+    const data = this.readGroup(accountId, body);
+    const members = await this.findMembers(accountId, data.members);
+
+    let group;
+    try {
+      group = await this.groupService.createGroup({ accountId, name: data.displayName, externalId: data.externalId });
+    } catch (error) {
+      throw this.mapGroupError(error);
+    }
+
+    for (const member of members) {
+      await this.groupService.addUserToGroup(group.id, member.id, accountId);
+    }
+
+    return this.toGroupResource(group, members);
+  }
+
+  /**
+   * Replaces the attributes and members of a group (PUT)
+   * @param {string} accountId - Account ID
+   * @param {string} groupId - Group ID
+   * @param {Object} body - Group resource
+   * @param {string} [ifMatch] - If-Match header
+   * @returns {Promise<Object>} Updated group resource
+   */
+  async replaceGroup(accountId, groupId, body, ifMatch = null) {
+    const group = await this.findGroup(accountId, groupId);
+    const currentMembers = await this.groupService.getGroupUsers(group.id, accountId);
+    this.checkPrecondition(this.toGroupResource(group, currentMembers), ifMatch);
+
+    return await this.saveGroup(accountId, group, currentMembers, this.readGroup(accountId, body));
+  }
+
+  /**
+   * Applies PATCH operations to a group (e.g. adding and removing members)
+   * @param {string} accountId - Account ID
+   * @param {string} groupId - Group ID
+   * @param {Object} body - PatchOp message
+   * @param {string} [ifMatch] - If-Match header
+   * @returns {Promise<Object>} Updated group resource
+   */
+  async patchGroup(accountId, groupId, body, ifMatch = null) {
+    const operations = this.readPatchOperations(body);
+    const group = await this.findGroup(accountId, groupId);
+    const currentMembers = await this.groupService.getGroupUsers(group.id, accountId);
+    const resource = this.toGroupResource(group, currentMembers);
+    this.checkPrecondition(resource, ifMatch);
+
+    const patched = this.applyPatchOperations(resource, operations, RESOURCE_ATTRIBUTES.Group);
+    return await this.saveGroup(accountId, group, currentMembers, this.readGroup(accountId, patched));
+  }
+
+  /**
+   * Deletes a group
+   * @param {string} accountId - Account ID
+   * @param {string} groupId - Group ID
+   * @param {string} [ifMatch] - If-Match header
+   * @returns {Promise<void>}
+   */
+  async deleteGroup(accountId, groupId, ifMatch = null) {
+    const group = await this.findGroup(accountId, groupId);
+    if (ifMatch) {
+      this.checkPrecondition(this.toGroupResource(group, await this.groupService.getGroupUsers(group.id, accountId)), ifMatch);
+    }
+
+    await this.groupService.deleteGroup(group.id, accountId);
+  }
+
+  /**
+   * Gets the service provider configuration
+   * @returns {Object} ServiceProviderConfig resource
+   */
+  getServiceProviderConfig() {
+    return {
+      schemas: [SCIM_SCHEMAS.SERVICE_PROVIDER_CONFIG],
+      ...SCIM_SERVICE_PROVIDER_CONFIG,
+      meta: {
+        resourceType: 'ServiceProviderConfig',
+        location: `${this.baseUrl}/ServiceProviderConfig`
+      }
+    };
+  }
+
+  /**
+   * Lists the resource types (User and Group)
+   * @returns {Object} ListResponse
+   */
+  listResourceTypes() {
+    return this.toListResponse(SCIM_RESOURCE_TYPES.map(type => this.toResourceType(type)), this.readListParameters({}));
+  }
+
+  /**
+   * Gets a resource type
+   * @param {string} id - User or Group
+   * @returns {Object} ResourceType resource
+   */
+  getResourceType(id) {
+    const type = SCIM_RESOURCE_TYPES.find(candidate => candidate.id === id);
+    if (!type) {
+      throw this.resourceNotFound('ResourceType', id);
+    }
+    return this.toResourceType(type);
+  }
+
+  /**
+   * Lists the schemas of the resources
+   * @returns {Object} ListResponse
+   */
+  listSchemas() {
+    return this.toListResponse(SCIM_RESOURCE_SCHEMAS.map(schema => this.toSchema(schema)), this.readListParameters({}));
+  }
+
+  /**
+   * Gets a schema
+   * @param {string} id - Schema URN
+   * @returns {Object} Schema resource
+   */
+  getSchema(id) {
+    const schema = SCIM_RESOURCE_SCHEMAS.find(candidate => candidate.id === id);
+    if (!schema) {
+      throw this.resourceNotFound('Schema', id);
+    }
+    return this.toSchema(schema);
+  }
+
+  /**
+   * Keeps the attributes requested with the attributes or excludedAttributes parameters
+   * @param {Object} resource - SCIM resource
+   * @param {Object} query - attributes, excludedAttributes
+   * @returns {Object} Resource with the selected attributes
+   */
+  selectAttributes(resource, query = {}) {
+    const attributes = ScimFilter.parseAttributeList(query.attributes);
+    const excluded = ScimFilter.parseAttributeList(query.excludedAttributes);
+
+    if (attributes.length === 0 && excluded.length === 0) {
+      return resource;
+    }
+
+    return Object.fromEntries(Object.entries(resource).filter(([key]) => {
+      const name = key.toLowerCase();
+      if (ALWAYS_RETURNED.includes(name)) {
+        return true;
+      }
+      return attributes.length > 0 ? attributes.includes(name) : !excluded.includes(name);
+    }));
+  }
+
+  async findUser(accountId, userId) {
+    if (!UUID_PATTERN.test(userId)) {
+      throw this.resourceNotFound('User', userId);
+    }
+
+    let user;
+    try {
+      user = await this.userService.getUserById(userId);
+    } catch (error) {
+      if (error.message === 'User not found') {
+        throw this.resourceNotFound('User', userId);
+      }
+      throw error;
+    }
+
+    // The root user is not an IAM user and cannot be provisioned
+    if (user.accountId !== accountId || user.isRoot) {
+      throw this.resourceNotFound('User', userId);
+    }
+    return user;
+  }
+
+  async findGroup(accountId, groupId) {
+    const group = UUID_PATTERN.test(groupId) ? await this.groupService.getGroupById(groupId, accountId) : null;
+    if (!group) {
+      throw this.resourceNotFound('Group', groupId);
+    }
+    return group;
+  }
+
+  /**
+   * Finds the users named as members of a group (IAM users of the account)
+   */
+  async findMembers(accountId, memberIds) {
+    if (memberIds.length === 0) {
+      return [];
+    }
+
+    const users = await this.userService.getUsersByAccountId(accountId);
+    const usersById = new Map(users.filter(user => !user.isRoot).map(user => [user.id, user]));
+
+    return memberIds.map(memberId => {
+      if (!usersById.has(memberId)) {
+        throw this.scimError('INVALID_VALUE', `Member ${memberId} is not a user of the account`);
+      }
+      return usersById.get(memberId);
+    });
+  }
+
+  /**
+   * Applies validated user attributes: password, status (deactivation revokes the sessions), externalId and profile
+   */
+  async saveUser(accountId, user, groups, data) {
+    if (data.userName !== user.username) {
+      throw this.scimError('MUTABILITY_VIOLATION', 'userName cannot be changed');
+    }
+
+    try {
+      if (data.password) {
+        await this.userService.resetUserPassword(user.id, accountId, {
+          password: data.password,
+          passwordResetRequired: false
+        });
+      }
+
+      const wasActive = user.status === 'active';
+      let status = user.status;
+      if (data.active) {
+        status = 'active';
+      } else if (wasActive) {
+        status = 'inactive';
+      }
+
+      const updatedUser = await this.userService.updateProvisionedUser(user.id, accountId, {
+        status,
+        externalId: data.externalId,
+        profile: data.profile
+      });
+
+      if (wasActive && status !== 'active') {
+        await this.revokeSessions(user);
+      }
+
+      return this.toUserResource(updatedUser, groups);
+    } catch (error) {
+      throw this.mapUserError(error);
+    }
+  }
+
+  /**
+   * Applies validated group attributes: displayName, externalId and the members (added and removed one by one)
+   */
+  async saveGroup(accountId, group, currentMembers, data) {
+    const members = await this.findMembers(accountId, data.members);
+
+    let savedGroup = group;
+    if (data.displayName !== group.name || data.externalId !== group.externalId) {
+      try {
+        savedGroup = await this.groupService.updateGroup(group.id, accountId, {
+          name: data.displayName,
+          externalId: data.externalId
+        });
+      } catch (error) {
+        throw this.mapGroupError(error);
+      }
+    }
+
+    const memberIds = new Set(members.map(member => member.id));
+    const currentIds = new Set(currentMembers.map(member => member.id));
+
+    for (const member of members.filter(candidate => !currentIds.has(candidate.id))) {
+      await this.groupService.addUserToGroup(group.id, member.id, accountId);
+    }
+    for (const member of currentMembers.filter(candidate => !memberIds.has(candidate.id))) {
+      await this.groupService.removeUserFromGroup(group.id, member.id, accountId);
+    }
+
+    return this.toGroupResource(savedGroup, members);
+  }
+
+  async revokeSessions(user) {
+    if (this.authService) {
+      await this.authService.revokeOtherSessions(user.id, user.accountId);
+    }
+  }
+
+  toUserResource(user, groups) {
+    const resource = { schemas: [SCIM_SCHEMAS.USER], id: user.id };
+    if (user.externalId) {
+      resource.externalId = user.externalId;
+    }
+    resource.userName = user.username;
+
+    const profile = user.profile || {};
+    for (const attribute of ['name', 'displayName', 'emails']) {
+      if (profile[attribute] !== undefined) {
+        resource[attribute] = profile[attribute];
+      }
+    }
+
+    resource.active = user.status === 'active';
+    resource.groups = groups.map(group => ({
+      value: group.id,
+      $ref: `${this.baseUrl}/Groups/${group.id}`,
+      display: group.name
+    }));
+
+    return this.withMeta(resource, 'User', user);
+  }
+
+  toGroupResource(group, members) {
+    const resource = { schemas: [SCIM_SCHEMAS.GROUP], id: group.id };
+    if (group.externalId) {
+      resource.externalId = group.externalId;
+    }
+    resource.displayName = group.name;
+    resource.members = members.map(member => ({
+      value: member.id,
+      $ref: `${this.baseUrl}/Users/${member.id}`,
+      display: member.username,
+      type: 'User'
+    }));
+
+    return this.withMeta(resource, 'Group', group);
+  }
+
+  /**
+   * Adds meta; the version (ETag) is a hash of the representation, so membership changes also change it
+   */
+  withMeta(resource, resourceType, entity) {
+    const version = crypto.createHash('sha256').update(JSON.stringify(resource)).digest('base64url').slice(0, 27);
+
+    resource.meta = {
+      resourceType,
+      created: new Date(entity.createdAt).toISOString(),
+      lastModified: new Date(entity.updatedAt).toISOString(),
+      location: `${this.baseUrl}/${resourceType}s/${resource.id}`,
+      version: `W/"${version}"`
+    };
+
+    return resource;
+  }
+
+  toResourceType(type) {
+    return {
+      schemas: [SCIM_SCHEMAS.RESOURCE_TYPE],
+      ...type,
+      meta: { resourceType: 'ResourceType', location: `${this.baseUrl}/ResourceTypes/${type.id}` }
+    };
+  }
+
+  toSchema(schema) {
+    return {
+      schemas: [SCIM_SCHEMAS.SCHEMA],
+      ...schema,
+      meta: { resourceType: 'Schema', location: `${this.baseUrl}/Schemas/${schema.id}` }
+    };
+  }
+
+  toListResponse(resources, params) {
+    const matching = params.filter
+      ? resources.filter(resource => ScimFilter.evaluate(params.filter, resource))
+      : resources;
+    const page = matching.slice(params.startIndex - 1, params.startIndex - 1 + params.count);
+
+    return {
+      schemas: [SCIM_SCHEMAS.LIST_RESPONSE],
+      totalResults: matching.length,
+      startIndex: params.startIndex,
+      itemsPerPage: page.length,
+      Resources: page.map(resource => this.selectAttributes(resource, params))
+    };
+  }
+
+  /**
+   * Reads filter and pagination parameters (startIndex is 1-based; out-of-range values are clamped, RFC 7644 section 3.4.2.4)
+   */
+  readListParameters(query) {
+    const startIndex = parseInt(query.startIndex, 10);
+    const count = parseInt(query.count, 10);
+
+    return {
+      filter: query.filter ? ScimFilter.parse(query.filter) : null,
+      startIndex: Number.isNaN(startIndex) || startIndex < 1 ? 1 : startIndex,
+      count: Number.isNaN(count) ? DEFAULT_PAGE_SIZE : Math.min(Math.max(count, 0), SCIM_MAX_RESULTS),
+      attributes: query.attributes,
+      excludedAttributes: query.excludedAttributes
+    };
+  }
+
+  /**
+   * Validates a User resource
+   * @returns {Object} { userName, active, externalId, profile, password }
+   */
+  readUser(body) {
+    this.assertSchema(body, SCIM_SCHEMAS.USER);
+
+    const userName = ScimFilter.getAttribute(body, 'userName');
+    if (typeof userName !== 'string' || !USERNAME_PATTERN.test(userName)) {
+      throw this.scimError('INVALID_VALUE', 'userName is required: 2 to 100 letters, digits and +=,.@_- characters');
+    }
+
+    const password = ScimFilter.getAttribute(body, 'password');
+    if (password !== undefined && password !== null && typeof password !== 'string') {
+      throw this.scimError('INVALID_VALUE', 'password must be a string');
+    }
+
+    const profile = {};
+    const displayName = this.readString(body, 'displayName', MAX_STRING_LENGTH);
+    if (displayName) {
+      profile.displayName = displayName;
+    }
+    const name = this.readName(ScimFilter.getAttribute(body, 'name'));
+    if (name) {
+      profile.name = name;
+    }
+    const emails = this.readEmails(ScimFilter.getAttribute(body, 'emails'));
+    if (emails.length > 0) {
+      profile.emails = emails;
+    }
+
+    return {
+      userName,
+      active: this.readBoolean(body, 'active', true),
+      externalId: this.readString(body, 'externalId', MAX_EXTERNAL_ID_LENGTH),
+      profile: Object.keys(profile).length > 0 ? profile : null,
+      password: password || null
+    };
+  }
+
+  /**
+   * Validates a Group resource
+   * @returns {Object} { displayName, externalId, members } (members are user IDs)
+   */
+  readGroup(accountId, body) {
+    this.assertSchema(body, SCIM_SCHEMAS.GROUP);
+
+    const displayName = ScimFilter.getAttribute(body, 'displayName');
+    try {
+      Group.validate({ accountId, name: displayName });
+    } catch (error) {
+      throw this.scimError('INVALID_VALUE', `displayName: ${error.message}`);
+    }
+
+    const members = ScimFilter.toArray(ScimFilter.getAttribute(body, 'members'));
+    const memberIds = new Set();
+    for (const member of members) {
+      const value = ScimFilter.getAttribute(member, 'value');
+      const type = ScimFilter.getAttribute(member, 'type');
+
+      if (typeof value !== 'string' || !UUID_PATTERN.test(value)) {
+        throw this.scimError('INVALID_VALUE', 'members must reference users by id (value)');
+      }
+      if (type !== undefined && type !== 'User') {
+        throw this.scimError('INVALID_VALUE', 'Only users can be members of a group');
+      }
+      memberIds.add(value.toLowerCase());
+    }
+
+    return {
+      displayName,
+      externalId: this.readString(body, 'externalId', MAX_EXTERNAL_ID_LENGTH),
+      members: [...memberIds]
+    };
+  }
+
+  readName(name) {
+    if (name === undefined || name === null) {
+      return null;
+    }
+    if (typeof name !== 'object' || Array.isArray(name)) {
+      throw this.scimError('INVALID_VALUE', 'name must be an object');
+    }
+
+    const result = {};
+    for (const attribute of NAME_ATTRIBUTES) {
+      const value = this.readString(name, attribute, MAX_STRING_LENGTH, `name.${attribute}`);
+      if (value) {
+        result[attribute] = value;
+      }
+    }
+    return Object.keys(result).length > 0 ? result : null;
+  }
+
+  readEmails(emails) {
+    const values = ScimFilter.toArray(emails);
+    if (values.length > MAX_EMAILS) {
+      throw this.scimError('INVALID_VALUE', `At most ${MAX_EMAILS} emails are allowed`);
+    }
+
+    const result = values.map(email => {
+      const value = this.readString(email, 'value', MAX_STRING_LENGTH, 'emails.value');
+      if (!value || !/^[^\s@]+@[^\s@]+$/.test(value)) {
+        throw this.scimError('INVALID_VALUE', 'emails.value must be an e-mail address');
+      }
+
+      const entry = { value };
+      const type = this.readString(email, 'type', MAX_STRING_LENGTH, 'emails.type');
+      if (type) {
+        entry.type = type;
+      }
+      if (this.readBoolean(email, 'primary', false, 'emails.primary')) {
+        entry.primary = true;
+      }
+      return entry;
+    });
+
+    if (result.filter(email => email.primary).length > 1) {
+      throw this.scimError('INVALID_VALUE', 'Only one email can be primary');
+    }
+    return result;
+  }
+
+  readString(object, attribute, maxLength, label = attribute) {
+    const value = ScimFilter.getAttribute(object, attribute);
+    if (value === undefined || value === null || value === '') {
+      return null;
+    }
+    if (typeof value !== 'string' || value.length > maxLength) {
+      throw this.scimError('INVALID_VALUE', `${label} must be a string of at most ${maxLength} characters`);
+    }
+    return value;
+  }
+
+  /**
+   * Reads a boolean; "True"/"False" strings are accepted, as sent by some provisioning clients
+   */
+  readBoolean(object, attribute, defaultValue, label = attribute) {
+    const value = ScimFilter.getAttribute(object, attribute);
+    if (value === undefined || value === null) {
+      return defaultValue;
+    }
+    if (typeof value === 'boolean') {
+      return value;
+    }
+    if (typeof value === 'string' && ['true', 'false'].includes(value.toLowerCase())) {
+      return value.toLowerCase() === 'true';
+    }
+    throw this.scimError('INVALID_VALUE', `${label} must be a boolean`);
+  }
+
+  assertSchema(body, schema) {
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+      throw this.scimError('INVALID_SYNTAX', 'Request body must be a JSON object');
+    }
+    if (!Array.isArray(body.schemas) || !body.schemas.includes(schema)) {
+      throw this.scimError('INVALID_SYNTAX', `schemas must include ${schema}`);
+    }
+  }
+
+  readPatchOperations(body) {
+    this.assertSchema(body, SCIM_SCHEMAS.PATCH_OP);
+
+    const operations = ScimFilter.getAttribute(body, 'Operations');
+    if (!Array.isArray(operations) || operations.length === 0) {
+      throw this.scimError('INVALID_SYNTAX', 'Operations must be a non-empty array');
+    }
+
+    return operations.filter(operation => !(operation && EXTENSION_ATTRIBUTE_PATTERN.test(operation.path))).map(operation => {
+      if (!operation || typeof operation !== 'object') {
+        throw this.scimError('INVALID_SYNTAX', 'Operations must be objects');
+      }
+
+      const op = typeof operation.op === 'string' ? operation.op.toLowerCase() : null;
+      if (!['add', 'replace', 'remove'].includes(op)) {
+        throw this.scimError('INVALID_SYNTAX', 'op must be add, replace or remove');
+      }
+      if (operation.path !== undefined && typeof operation.path !== 'string') {
+        throw this.scimError('INVALID_PATH', 'path must be a string');
+      }
+      if (op !== 'remove' && operation.value === undefined) {
+        throw this.scimError('INVALID_SYNTAX', `value is required for ${op}`);
+      }
+
+      return {
+        op,
+        path: operation.path ? ScimFilter.parsePath(operation.path) : null,
+        value: operation.value
+      };
+    });
+  }
+
+  /**
+   * Applies PATCH operations to a copy of a resource (RFC 7644 section 3.5.2)
+   * The result is validated and saved like a PUT. Unknown attributes are ignored, as in POST and PUT.
+   */
+  applyPatchOperations(resource, operations, definition) {
+    const patched = JSON.parse(JSON.stringify(resource));
+
+    for (const operation of operations) {
+      if (operation.path) {
+        this.applyPatchOperation(patched, operation, definition);
+      } else if (operation.op === 'remove') {
+        throw this.scimError('NO_TARGET', 'path is required for remove');
+      } else {
+        if (!operation.value || typeof operation.value !== 'object' || Array.isArray(operation.value)) {
+          throw this.scimError('INVALID_VALUE', `value must be an object when ${operation.op} has no path`);
+        }
+        for (const [key, value] of Object.entries(operation.value)) {
+          // Clients such as Okta echo id (and other read-only attributes) in the value
+          if (EXTENSION_ATTRIBUTE_PATTERN.test(key) || definition.readOnly.includes(key)) {
+            continue;
+          }
+          this.applyPatchOperation(patched, { op: operation.op, path: ScimFilter.parsePath(key), value }, definition);
+        }
+      }
+    }
+
+    return patched;
+  }
+
+  applyPatchOperation(resource, operation, definition) {
+    const { attribute: requested, subAttribute, filter } = operation.path;
+    const attribute = definition.attributes.find(name => name.toLowerCase() === requested.toLowerCase());
+    if (!attribute) {
+      return;
+    }
+    if (definition.readOnly.includes(attribute)) {
+      throw this.scimError('MUTABILITY_VIOLATION', `${attribute} is read-only`);
+    }
+
+    const multiValued = definition.multiValued.includes(attribute);
+    if (!multiValued && filter) {
+      throw this.scimError('INVALID_PATH', `${attribute} is not multi-valued`);
+    }
+
+    if (!multiValued) {
+      if (!subAttribute) {
+        if (operation.op === 'remove') {
+          delete resource[attribute];
+        } else if (attribute === 'name' && operation.value && typeof operation.value === 'object' && !Array.isArray(operation.value)) {
+          // Sub-attributes that are not in the value are left unchanged
+          resource[attribute] = { ...(resource[attribute] || {}), ...operation.value };
+        } else {
+          resource[attribute] = operation.value;
+        }
+        return;
+      }
+
+      const complex = resource[attribute] && typeof resource[attribute] === 'object' ? resource[attribute] : {};
+      this.setSubAttribute(complex, subAttribute, operation.op === 'remove' ? undefined : operation.value);
+      resource[attribute] = complex;
+      return;
+    }
+
+    const values = Array.isArray(resource[attribute]) ? resource[attribute] : [];
+
+    if (!filter) {
+      if (subAttribute) {
+        values.forEach(element => this.setSubAttribute(element, subAttribute, operation.op === 'remove' ? undefined : operation.value));
+        resource[attribute] = values;
+      } else if (operation.op === 'add') {
+        resource[attribute] = this.mergeValues(values, ScimFilter.toArray(operation.value));
+      } else if (operation.op === 'replace') {
+        resource[attribute] = ScimFilter.toArray(operation.value);
+      } else if (operation.value !== undefined) {
+        // remove with a value: only the listed values (e.g. members given by value)
+        const removed = ScimFilter.toArray(operation.value).map(item => this.valueKey(item));
+        resource[attribute] = values.filter(element => !removed.includes(this.valueKey(element)));
+      } else {
+        delete resource[attribute];
+      }
+      return;
+    }
+
+    const matches = values.filter(element => element && typeof element === 'object' && ScimFilter.evaluate(filter, element));
+
+    if (operation.op === 'remove') {
+      if (subAttribute) {
+        matches.forEach(element => this.setSubAttribute(element, subAttribute, undefined));
+        resource[attribute] = values;
+      } else {
+        resource[attribute] = values.filter(element => !matches.includes(element));
+      }
+      return;
+    }
+
+    if (matches.length === 0) {
+      // replace emails[type eq "work"].value on a user without a work email adds it
+      if (subAttribute && filter.op === 'eq' && !filter.subAttribute && typeof filter.value === 'string') {
+        resource[attribute] = [...values, { [filter.attribute]: filter.value, [subAttribute]: operation.value }];
+        return;
+      }
+      throw this.scimError('NO_TARGET', `No ${attribute} value matches the path filter`);
+    }
+
+    if (subAttribute) {
+      matches.forEach(element => this.setSubAttribute(element, subAttribute, operation.value));
+      resource[attribute] = values;
+    } else {
+      resource[attribute] = values.map(element => (matches.includes(element) ? operation.value : element));
+    }
+  }
+
+  setSubAttribute(object, subAttribute, value) {
+    const key = ScimFilter.findKey(object, subAttribute) || subAttribute;
+    if (value === undefined) {
+      delete object[key];
+    } else {
+      object[key] = value;
+    }
+  }
+
+  mergeValues(values, added) {
+    const keys = values.map(element => this.valueKey(element));
+    return [...values, ...added.filter(element => !keys.includes(this.valueKey(element)))];
+  }
+
+  valueKey(element) {
+    const value = element && typeof element === 'object' ? ScimFilter.getAttribute(element, 'value') : element;
+    return typeof value === 'string' ? value.toLowerCase() : JSON.stringify(value);
+  }
+
+  /**
+   * Checks the If-Match header against the version of a resource
+   */
+  checkPrecondition(resource, ifMatch) {
+    if (!ifMatch || ifMatch.trim() === '*') {
+      return;
+    }
+
+    const versions = ifMatch.split(',').map(tag => tag.trim().replace(/^W\//, ''));
+    if (!versions.includes(resource.meta.version.replace(/^W\//, ''))) {
+      throw this.scimError('PRECONDITION_FAILED', 'The resource was modified (If-Match does not match its version)');
+    }
+  }
+
+  mapUserError(error) {
+    if (error.code === 'USERNAME_EXISTS') {
+      return this.scimError('UNIQUENESS_VIOLATION', error.message);
+    }
+    if (error.code === 'INVALID_PASSWORD') {
+      return this.scimError('INVALID_VALUE', [error.message, ...(error.details || [])].join('. '));
+    }
+    if (error.message === 'User not found') {
+      return this.resourceNotFound('User');
+    }
+    return error;
+  }
+
+  mapGroupError(error) {
+    if (error.code === 'GROUP_NAME_EXISTS') {
+      return this.scimError('UNIQUENESS_VIOLATION', error.message);
+    }
+    if (error.code === 'GROUP_NOT_FOUND') {
+      return this.resourceNotFound('Group');
+    }
+    return error;
+  }
+
+  resourceNotFound(resourceType, id = null) {
+    return this.scimError('SCIM_RESOURCE_NOT_FOUND', id ? `${resourceType} ${id} not found` : `${resourceType} not found`);
+  }
+
+  tokenNotFound() {
+    const error = new Error('SCIM token not found');
+    error.code = 'SCIM_TOKEN_NOT_FOUND';
+    return error;
+  }
+
+  scimError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = { ScimService };
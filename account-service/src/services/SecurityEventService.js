@@ -0,0 +1,53 @@
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+/**
+ * Records security events (suspicious activity detected by the service)
+ * Recording never fails the request that raised the event: if the event cannot be stored it is
+ * still written to the log.
+ */
+class SecurityEventService {
+  constructor(securityEventRepository = null) {
+    this.securityEventRepository = securityEventRepository || repositoryFactory.createSecurityEventRepository();
+  }
+
+  /**
+   * Records a security event
+   * @param {string} eventType - Event name (e.g. refresh_token_reuse)
+   * @param {Object} data - Event data
+   * @param {string} [data.severity='medium'] - low, medium, high or critical
+   * @param {string} [data.accountId] - Account ID
+   * @param {string} [data.userId] - User ID
+   * @param {string} [data.ipAddress] - Client IP
+   * @param {string} [data.userAgent] - Client user agent
+   * @param {Object} [data.details] - Event specific data
+   * @returns {Promise<Object|null>} Stored event, or null if it could not be stored
+   */
+  async log(eventType, data = {}) {
+    const event = {
+      eventType,
+      severity: data.severity || 'medium',
+      accountId: data.accountId,
+      userId: data.userId,
+      ipAddress: data.ipAddress,
+      userAgent: data.userAgent,
+      details: data.details || {}
+    };
+
+    console.warn(`🚨 Security event ${eventType}:`, JSON.stringify({
+      severity: event.severity,
+      accountId: event.accountId,
+      userId: event.userId,
+      ipAddress: event.ipAddress,
+      details: event.details
+    }));
+
+    try {
+      return await this.securityEventRepository.create(event);
+    } catch (error) {
+      console.error('❌ Failed to store security event:', error.message);
+      return null;
+    }
+  }
+}
+
+module.exports = { SecurityEventService };
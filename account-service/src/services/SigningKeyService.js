@@ -0,0 +1,229 @@
+const crypto = require('crypto');
+const { promisify } = require('util');
+const SigningKey = require('../models/SigningKey');
+const { SecretCipher } = require('../utils/SecretCipher');
+const { repositoryFactory } = require('../repositories/RepositoryFactory');
+
+const generateKeyPair = promisify(crypto.generateKeyPair);
+
+const KEY_PAIR_OPTIONS = {
+  RS256: ['rsa', { modulusLength: 2048 }],
+  ES256: ['ec', { namedCurve: 'P-256' }]
+};
+
+// Keys are re-read this often, so rotations made by other instances are picked up
+const KEY_CACHE_TTL_MS = 60 * 1000;
+// An unknown kid forces a re-read at most this often (unknown kids are attacker-controlled)
+const MIN_RELOAD_INTERVAL_MS = 5 * 1000;
+const ROTATION_CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Keystore for the asymmetric keys that sign access tokens
+ *
+ * One key is active and signs new tokens. Once it is JWT_KEY_ROTATION_DAYS old it is replaced by a new
+ * key (checked when signing and by the hourly schedule) and kept for JWT_KEY_GRACE_PERIOD_HOURS, so the
+ * tokens it signed can still be verified; the grace period must be longer than the access token lifetime.
+ * The public keys of the active and retired keys are published as a JWKS, which lets other services
+ * verify access tokens without sharing a secret.
+ */
+class SigningKeyService {
+  constructor(signingKeyRepository = null, cipher = null) {
+    this.signingKeyRepository = signingKeyRepository;
+    this.cipher = cipher || new SecretCipher();
+
+    this.algorithm = (process.env.JWT_SIGNING_ALGORITHM || 'RS256').toUpperCase();
+    if (!SigningKey.ALGORITHMS.includes(this.algorithm)) {
+      throw new Error(`Unsupported JWT_SIGNING_ALGORITHM: ${this.algorithm} (use ${SigningKey.ALGORITHMS.join(' or ')})`);
+    }
+
+    this.rotationIntervalMs = (parseInt(process.env.JWT_KEY_ROTATION_DAYS, 10) || 30) * 24 * 60 * 60 * 1000;
+    this.gracePeriodMs = (parseInt(process.env.JWT_KEY_GRACE_PERIOD_HOURS, 10) || 24) * 60 * 60 * 1000;
+
+    this.keys = null;
+    this.loadedAt = 0;
+    this.privateKeys = new Map();
+    this.pendingRotation = null;
+    this.rotationTimer = null;
+  }
+
+  /**
+   * Signing key repository (created on first use, after the database is initialized)
+   */
+  getRepository() {
+    if (!this.signingKeyRepository) {
+      this.signingKeyRepository = repositoryFactory.createSigningKeyRepository();
+    }
+    return this.signingKeyRepository;
+  }
+
+  /**
+   * Gets the keys that still verify tokens (cached for KEY_CACHE_TTL_MS)
+   * @param {boolean} [force] - Re-read the keys from the database
+   * @returns {Promise<Array<SigningKey>>} Active and retired keys (newest first)
+   */
+  async getKeys(force = false) {
+    if (force || !this.keys || Date.now() - this.loadedAt > KEY_CACHE_TTL_MS) {
+      this.keys = await this.getRepository().findVerificationKeys();
+      this.loadedAt = Date.now();
+    }
+    return this.keys;
+  }
+
+  /**
+   * Gets the key that signs new tokens, rotating it first if it is due (or missing)
+   * @returns {Promise<{ kid: string, algorithm: string, privateKey: crypto.KeyObject }>} Signing key
+   */
+  async getSigningKey() {
+    const keys = await this.getKeys();
+    let activeKey = keys.find(key => key.isActive());
+
+    if (!activeKey || this.isRotationDue(activeKey)) {
+      activeKey = await this.rotate(activeKey ? activeKey.kid : null);
+    }
+
+    return {
+      kid: activeKey.kid,
+      algorithm: activeKey.algorithm,
+      privateKey: this.getPrivateKey(activeKey)
+    };
+  }
+
+  /**
+   * Gets the key a token was signed with
+   * @param {string} kid - kid header of the token
+   * @returns {Promise<{ kid: string, algorithm: string, publicKey: crypto.KeyObject }|null>} Key, or null if
+   *   unknown or past its grace period
+   */
+  async getVerificationKey(kid) {
+    let key = (await this.getKeys()).find(candidate => candidate.kid === kid);
+
+    // The key may have been created by another instance since the keys were read
+    if (!key && Date.now() - this.loadedAt > MIN_RELOAD_INTERVAL_MS) {
+      key = (await this.getKeys(true)).find(candidate => candidate.kid === kid);
+    }
+
+    if (!key || !key.canVerify()) {
+      return null;
+    }
+
+    return {
+      kid: key.kid,
+      algorithm: key.algorithm,
+      publicKey: crypto.createPublicKey(key.publicKey)
+    };
+  }
+
+  /**
+   * Gets the public keys as a JSON Web Key Set (RFC 7517)
+   * @returns {Promise<{ keys: Array<Object> }>} JWKS
+   */
+  async getJwks() {
+    // Makes sure a key exists before the first token is issued
+    await this.getSigningKey();
+
+    const keys = await this.getKeys();
+    return { keys: keys.filter(key => key.canVerify()).map(key => key.toJwk()) };
+  }
+
+  /**
+   * Checks if the active key must be replaced
+   * @param {SigningKey} key - Active key
+   * @returns {boolean} True if older than the rotation interval or not of the configured algorithm
+   */
+  isRotationDue(key) {
+    return key.algorithm !== this.algorithm ||
+      Date.now() - new Date(key.createdAt).getTime() >= this.rotationIntervalMs;
+  }
+
+  /**
+   * Replaces the active key by a new one; the previous key is retired with the grace period
+   * Concurrent rotations of the same key (in this process or in other instances) result in a single new key.
+   * @param {string|null} [replacesKid] - Key found due (null if there is no active key); defaults to the
+   *   current active key, which rotates it even if it is not due
+   * @returns {Promise<SigningKey>} Active key
+   */
+  async rotate(replacesKid) {
+    if (!this.pendingRotation) {
+      this.pendingRotation = this.createAndActivateKey(replacesKid)
+        .finally(() => {
+          this.pendingRotation = null;
+        });
+    }
+    return await this.pendingRotation;
+  }
+
+  async createAndActivateKey(replacesKid) {
+    if (replacesKid === undefined) {
+      const activeKey = (await this.getKeys(true)).find(key => key.isActive());
+      replacesKid = activeKey ? activeKey.kid : null;
+    }
+
+    const [type, keyOptions] = KEY_PAIR_OPTIONS[this.algorithm];
+    const { publicKey, privateKey } = await generateKeyPair(type, {
+      ...keyOptions,
+      publicKeyEncoding: { type: 'spki', format: 'pem' },
+      privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    });
+
+    const newKey = new SigningKey({
+      kid: `${new Date().toISOString().slice(0, 10)}-${crypto.randomBytes(6).toString('hex')}`,
+      algorithm: this.algorithm,
+      publicKey,
+      privateKeyEncrypted: this.cipher.encrypt(privateKey)
+    });
+
+    const { key, rotated } = await this.getRepository().rotate(
+      newKey,
+      new Date(Date.now() + this.gracePeriodMs),
+      replacesKid
+    );
+
+    if (rotated) {
+      console.log(`🔑 Access token signing key rotated (kid ${key.kid}, ${key.algorithm})`);
+    }
+
+    await this.getKeys(true);
+    return key;
+  }
+
+  /**
+   * Decrypts the private key of a key (kept in memory once decrypted)
+   * @param {SigningKey} key - Key
+   * @returns {crypto.KeyObject} Private key
+   */
+  getPrivateKey(key) {
+    if (!this.privateKeys.has(key.kid)) {
+      this.privateKeys.set(key.kid, crypto.createPrivateKey(this.cipher.decrypt(key.privateKeyEncrypted)));
+    }
+    return this.privateKeys.get(key.kid);
+  }
+
+  /**
+   * Starts the scheduled rotation check (does not keep the process alive)
+   */
+  startRotationSchedule() {
+    if (this.rotationTimer) {
+      return;
+    }
+
+    this.rotationTimer = setInterval(() => {
+      this.getSigningKey().catch((error) => {
+        console.error('❌ Signing key rotation check failed:', error.message);
+      });
+    }, ROTATION_CHECK_INTERVAL_MS);
+    this.rotationTimer.unref();
+  }
+
+  /**
+   * Stops the scheduled rotation check
+   */
+  stopRotationSchedule() {
+    clearInterval(this.rotationTimer);
+    this.rotationTimer = null;
+  }
+}
+
+// Shared by every AuthService instance, so keys are cached and rotated once per process
+const signingKeyService = new SigningKeyService();
+
+module.exports = { SigningKeyService, signingKeyService };
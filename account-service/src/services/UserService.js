@@ -1,5 +1,7 @@
 const { User } = require('../models/User');
 const { DefaultRoleService } = require('./DefaultRoleService');
+const { PasswordPolicyService } = require('./PasswordPolicyService');
+const PasswordPolicy = require('../models/PasswordPolicy');
 const { repositoryFactory } = require('../repositories/RepositoryFactory');
 
 /**
@@ -22,6 +24,8 @@ class UserService {
       repositoryFactory.createPolicyRepository(),
       repositoryFactory.createUserRoleRepository()
     );
+
+    this.passwordPolicyService = new PasswordPolicyService(null, bcrypt);
   }
 
   /**
@@ -32,12 +36,19 @@ class UserService {
    * @param {string} userData.email - User email
    * @param {string} userData.password - User password
    * @param {boolean} [userData.isRoot=false] - Whether user is root
+   * @param {boolean} [userData.passwordResetRequired=false] - IAM user must change the generated password at first login
+   * @param {Object} [provisioning] - IAM user attributes set by identity provisioning (SCIM), not by the users API
+   * @param {string} [provisioning.password] - Initial password (generated when omitted)
+   * @param {string} [provisioning.status='active'] - Initial status
+   * @param {string} [provisioning.externalId] - Identifier of the user in the provisioning source
+   * @param {Object} [provisioning.profile] - Directory attributes (displayName, name, emails)
    * @returns {Promise<User>} Created user instance
    * @throws {Error} If validation fails or email already exists
    */
-  async createUser(userData) {
+  async createUser(userData, provisioning = {}) {
     try {
       const isRoot = userData.isRoot || false;
+      const passwordPolicy = await this.passwordPolicyService.getPolicy(userData.accountId);
       
       if (isRoot) {
         // Root user must provide email and password
@@ -45,9 +56,7 @@ class UserService {
           throw new Error('Root user email is required');
         }
         
-        if (!userData.password || userData.password.length < 6) {
-          throw new Error('Root user password must be at least 6 characters');
-        }
+        await this.passwordPolicyService.assertValidPassword(passwordPolicy, userData.password);
         
         // Check if email already exists for root users
         const existingUser = await this.userRepository.findByEmail(userData.email);
@@ -69,6 +78,7 @@ class UserService {
         });
 
         const createdUser = await this.userRepository.create(user);
+        await this.passwordPolicyService.recordPassword(createdUser.id, hashedPassword);
         
         return {
           user: createdUser,
@@ -83,12 +93,19 @@ class UserService {
         // Check if username already exists in this account for IAM users
         const existingUser = await this.userRepository.findByUsernameAndAccount(userData.username, userData.accountId);
         if (existingUser) {
-          throw new Error('Username already exists in this account');
+          const error = new Error('Username already exists in this account');
+          error.code = 'USERNAME_EXISTS';
+          throw error;
         }
         
-        // Generate password for IAM user
-        const generatedPassword = this.generateIAMPassword();
-        const hashedPassword = await this.bcrypt.hash(generatedPassword, 10);
+        // Generate password for IAM user (always satisfies the account password policy) unless provisioning sets one
+        let generatedPassword = null;
+        if (provisioning.password) {
+          await this.passwordPolicyService.assertValidPassword(passwordPolicy, provisioning.password);
+        } else {
+          generatedPassword = this.generateIAMPassword(passwordPolicy);
+        }
+        const hashedPassword = await this.bcrypt.hash(provisioning.password || generatedPassword, 10);
 
         // Create IAM user (email is optional, can be null)
         // For IAM users without email, generate a system email
@@ -104,10 +121,14 @@ class UserService {
           email: userEmail,
           passwordHash: hashedPassword,
           isRoot: false,
-          status: 'active'
+          status: provisioning.status || 'active',
+          passwordResetRequired: userData.passwordResetRequired === true,
+          externalId: provisioning.externalId || null,
+          profile: provisioning.profile || null
         });
 
         const createdUser = await this.userRepository.create(user);
+        await this.passwordPolicyService.recordPassword(createdUser.id, hashedPassword);
         
         // Assign default role to IAM user
         try {
@@ -129,31 +150,11 @@ class UserService {
 
   /**
    * Generates a secure password for IAM users
+   * @param {PasswordPolicy} [passwordPolicy] - Password policy of the account
    * @returns {string} Generated password
    */
-  generateIAMPassword() {
-    const length = 12;
-    const uppercase = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ';
-    const lowercase = 'abcdefghijklmnopqrstuvwxyz';
-    const numbers = '0123456789';
-    const symbols = '!@#$%^&*';
-    
-    const allChars = uppercase + lowercase + numbers + symbols;
-    let password = '';
-    
-    // Ensure at least one character from each set
-    password += uppercase[Math.floor(Math.random() * uppercase.length)];
-    password += lowercase[Math.floor(Math.random() * lowercase.length)];
-    password += numbers[Math.floor(Math.random() * numbers.length)];
-    password += symbols[Math.floor(Math.random() * symbols.length)];
-    
-    // Fill the rest randomly
-    for (let i = 4; i < length; i++) {
-      password += allChars[Math.floor(Math.random() * allChars.length)];
-    }
-    
-    // Shuffle the password
-    return password.split('').sort(() => Math.random() - 0.5).join('');
+  generateIAMPassword(passwordPolicy = PasswordPolicy.defaultFor(null)) {
+    return passwordPolicy.generatePassword();
   }
 
   /**
@@ -219,11 +220,12 @@ class UserService {
       }
       
       if (updateData.password) {
-        if (updateData.password.length < 6) {
-          throw new Error('Root user password must be at least 6 characters');
-        }
+        const passwordPolicy = await this.passwordPolicyService.getPolicy(existingUser.accountId);
+        await this.passwordPolicyService.assertValidPassword(passwordPolicy, updateData.password, existingUser);
+
         const hashedPassword = await this.bcrypt.hash(updateData.password, 10);
         updates.passwordHash = hashedPassword;
+        updates.passwordChangedAt = new Date();
       }
       
       // Root users cannot change email, username, or status
@@ -273,7 +275,47 @@ class UserService {
     }
 
     // 4. Update in database
-    return await this.userRepository.update(userId, updates);
+    const updatedUser = await this.userRepository.update(userId, updates);
+    if (updates.passwordHash) {
+      await this.passwordPolicyService.recordPassword(userId, updates.passwordHash);
+    }
+    return updatedUser;
+  }
+
+  /**
+   * Updates the attributes of an IAM user managed by identity provisioning (SCIM)
+   * The username cannot be changed, as for the users API.
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID of the provisioning source
+   * @param {Object} updates - { status, externalId, profile }
+   * @returns {Promise<User>} Updated user
+   * @throws {Error} If user not found or is the root user
+   */
+  async updateProvisionedUser(userId, accountId, updates) {
+    const existingUser = await this.userRepository.findById(userId);
+    if (!existingUser || existingUser.accountId !== accountId || existingUser.isRoot) {
+      throw new Error('User not found');
+    }
+
+    const changes = {};
+    if (updates.status !== undefined && updates.status !== existingUser.status) {
+      if (!['active', 'inactive', 'suspended'].includes(updates.status)) {
+        throw new Error('Status must be one of: active, inactive, suspended');
+      }
+      changes.status = updates.status;
+    }
+    if (updates.externalId !== undefined) {
+      changes.externalId = updates.externalId;
+    }
+    if (updates.profile !== undefined) {
+      changes.profile = updates.profile;
+    }
+
+    if (Object.keys(changes).length === 0) {
+      return existingUser;
+    }
+
+    return await this.userRepository.update(userId, changes);
   }
 
   /**
@@ -281,10 +323,11 @@ class UserService {
    * @param {string} userId - User ID
    * @param {string} oldPassword - Current password
    * @param {string} newPassword - New password
+   * @param {Object} [currentUser] - Authenticated caller (req.user)
    * @returns {Promise<User>} Updated user
-   * @throws {Error} If user not found or current password is incorrect
+   * @throws {Error} If user not found, current password is incorrect or the password policy is not met
    */
-  async updateUserPassword(userId, oldPassword, newPassword) {
+  async updateUserPassword(userId, oldPassword, newPassword, currentUser = null) {
     // 1. Find existing user
     const existingUser = await this.userRepository.findById(userId);
     if (!existingUser) {
@@ -292,34 +335,112 @@ class UserService {
     }
 
     // 2. Verify current password
-    const isCurrentPasswordValid = await this.bcrypt.compare(oldPassword, existingUser.passwordHash);
+    const isCurrentPasswordValid = await this.bcrypt.compare(oldPassword || '', existingUser.passwordHash);
     if (!isCurrentPasswordValid) {
       throw new Error('Current password is incorrect');
     }
 
-    // 3. Validate new password
-    if (!newPassword || newPassword.length < 6) {
-      throw new Error('New password must be at least 6 characters');
+    // 3. IAM users changing their own password are subject to the account password policy settings
+    const passwordPolicy = await this.passwordPolicyService.getPolicy(existingUser.accountId);
+    const isChangingOwnPassword = !currentUser || currentUser.userId === userId;
+
+    if (isChangingOwnPassword && !existingUser.isRoot) {
+      if (!passwordPolicy.allowUsersToChangePassword) {
+        const error = new Error('The account password policy does not allow users to change their own password');
+        error.code = 'PASSWORD_CHANGE_NOT_ALLOWED';
+        throw error;
+      }
+
+      if (this.passwordPolicyService.getPasswordStatus(existingUser, passwordPolicy).hardExpired) {
+        const error = new Error('Password has expired and can only be reset by an administrator');
+        error.code = 'PASSWORD_HARD_EXPIRED';
+        throw error;
+      }
     }
 
-    // 4. Hash new password
+    return await this.setPassword(existingUser, newPassword, passwordPolicy);
+  }
+
+  /**
+   * Resets the password of an IAM user (administrator action, no current password)
+   * @param {string} userId - User ID
+   * @param {string} accountId - Account ID of the caller
+   * @param {Object} [options] - Reset options
+   * @param {string} [options.password] - New password (generated when omitted)
+   * @param {boolean} [options.passwordResetRequired=true] - User must change it at the next login
+   * @returns {Promise<Object>} { user, generatedPassword }
+   */
+  async resetUserPassword(userId, accountId, options = {}) {
+    const existingUser = await this.userRepository.findById(userId);
+    if (!existingUser || existingUser.accountId !== accountId) {
+      throw new Error('User not found');
+    }
+
+    if (existingUser.isRoot) {
+      const error = new Error('The root user password can only be changed by the root user');
+      error.code = 'PASSWORD_CHANGE_NOT_ALLOWED';
+      throw error;
+    }
+
+    const passwordPolicy = await this.passwordPolicyService.getPolicy(accountId);
+    const generatedPassword = options.password ? null : this.generateIAMPassword(passwordPolicy);
+
+    const user = await this.setPassword(existingUser, options.password || generatedPassword, passwordPolicy, {
+      passwordResetRequired: options.passwordResetRequired !== false
+    });
+
+    return { user, generatedPassword };
+  }
+
+  /**
+   * Gets the password state of a user (expiry and forced change)
+   * @param {User} user - User
+   * @returns {Promise<Object>} { expired, expiresAt, resetRequired, hardExpired }
+   */
+  async getPasswordStatus(user) {
+    const passwordPolicy = await this.passwordPolicyService.getPolicy(user.accountId);
+    return this.passwordPolicyService.getPasswordStatus(user, passwordPolicy);
+  }
+
+  /**
+   * Replaces an expired password at login
+   * @param {User} user - Authenticated user whose password expired
+   * @param {string} newPassword - New password
+   * @returns {Promise<User>} Updated user
+   */
+  async changeExpiredPassword(user, newPassword) {
+    const passwordPolicy = await this.passwordPolicyService.getPolicy(user.accountId);
+
+    if (this.passwordPolicyService.getPasswordStatus(user, passwordPolicy).hardExpired) {
+      const error = new Error('Password has expired and can only be reset by an administrator');
+      error.code = 'PASSWORD_HARD_EXPIRED';
+      throw error;
+    }
+
+    return await this.setPassword(user, newPassword, passwordPolicy);
+  }
+
+  /**
+   * Validates, hashes and stores a new password
+   * @param {User} user - User
+   * @param {string} newPassword - New password in clear
+   * @param {PasswordPolicy} passwordPolicy - Policy in effect
+   * @param {Object} [options] - { passwordResetRequired=false }
+   * @returns {Promise<User>} Updated user
+   */
+  async setPassword(user, newPassword, passwordPolicy, options = {}) {
+    await this.passwordPolicyService.assertValidPassword(passwordPolicy, newPassword, user);
+
     const newHashedPassword = await this.bcrypt.hash(newPassword, 10);
 
-    // 5. Create updated user object
-    const updatedUser = new User({
-      id: existingUser.id,
-      accountId: existingUser.accountId,
-      username: existingUser.username,
-      email: existingUser.email,
+    const updatedUser = await this.userRepository.update(user.id, {
       passwordHash: newHashedPassword,
-      isRoot: existingUser.isRoot,
-      status: existingUser.status,
-      createdAt: existingUser.createdAt,
-      updatedAt: new Date()
+      passwordChangedAt: new Date(),
+      passwordResetRequired: options.passwordResetRequired === true
     });
+    await this.passwordPolicyService.recordPassword(user.id, newHashedPassword);
 
-    // 6. Update in database
-    return await this.userRepository.update(updatedUser);
+    return updatedUser;
   }
 
   /**
@@ -30,6 +30,30 @@ const options = {
         name: 'Policies',
         description: 'Policy management operations'
       },
+      {
+        name: 'Resource Policies',
+        description: 'Resource-based policies attached to resource ARNs'
+      },
+      {
+        name: 'Organizations',
+        description: 'Organizational units and service control policies'
+      },
+      {
+        name: 'OpenID Connect',
+        description: 'OpenID Connect provider (authorization code flow with PKCE) and OAuth clients'
+      },
+      {
+        name: 'Identity Federation',
+        description: 'OpenID Connect and SAML identity providers (AssumeRoleWithWebIdentity, AssumeRoleWithSAML)'
+      },
+      {
+        name: 'SCIM',
+        description: 'SCIM 2.0 provisioning of users and groups from identity providers'
+      },
+      {
+        name: 'Audit',
+        description: 'Hash-chained audit trail of IAM mutations and authorization decisions'
+      },
       {
         name: 'Permissions',
         description: 'Individual permission management following AWS IAM pattern'
@@ -55,6 +79,22 @@ const options = {
           type: 'http',
           scheme: 'bearer',
           bearerFormat: 'JWT'
+        },
+        roleSessionToken: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-Amz-Security-Token'
+        },
+        accessKeySignature: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'Authorization',
+          description: 'AWS4-HMAC-SHA256 Credential=<accessKeyId>/<date>/<region>/<service>/aws4_request, SignedHeaders=host;x-amz-date, Signature=<hex> (with X-Amz-Date header)'
+        },
+        clientBasicAuth: {
+          type: 'http',
+          scheme: 'basic',
+          description: 'OAuth client credentials: client_id and client_secret (or both as form parameters)'
         }
       },
       schemas: {
@@ -94,6 +134,16 @@ const options = {
                 sessionToken: { type: 'string' }
               }
             },
+            lineage: {
+              type: 'object',
+              properties: {
+                sourceIdentity: { type: 'string', nullable: true },
+                sourceUserId: { type: 'string', nullable: true },
+                sourceAccountId: { type: 'string', nullable: true },
+                parentSessionId: { type: 'string', nullable: true },
+                sessionChain: { type: 'array', items: { type: 'string' } }
+              }
+            },
             expiresAt: { type: 'string', format: 'date-time' },
             createdAt: { type: 'string', format: 'date-time' }
           }
@@ -267,6 +317,9 @@ const options = {
     security: [
       {
         bearerAuth: []
+      },
+      {
+        roleSessionToken: []
       }
     ]
   },
@@ -0,0 +1,467 @@
+const { IpAddressMatcher } = require('./IpAddressMatcher');
+
+/**
+ * Condition Evaluator
+ * Implements the AWS IAM condition operators used by identity policies and role trust policies
+ *
+ * Supported forms:
+ * - Base operators (StringEquals, NumericLessThan, Bool, Null, ArnLike, IpAddress, ...)
+ * - The IfExists suffix (e.g., StringEqualsIfExists) - passes when the key is absent
+ * - The ForAnyValue: and ForAllValues: set qualifiers for multi-valued context keys
+ */
+class ConditionEvaluator {
+  /**
+   * Evaluates a full Condition element (all operators must pass)
+   * @param {Object} conditions - Condition element from a policy statement
+   * @param {Object} context - Request context values
+   * @returns {boolean} True if all conditions pass
+   */
+  static evaluateConditions(conditions, context = {}) {
+    if (!conditions || typeof conditions !== 'object') {
+      return true;
+    }
+
+    for (const [operator, conditionBlock] of Object.entries(conditions)) {
+      if (!this.evaluateOperator(operator, conditionBlock, context)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Evaluates a single condition operator block (all keys must pass)
+   * @param {string} operator - Operator name, optionally qualified (e.g., 'ForAnyValue:StringLikeIfExists')
+   * @param {Object} conditionBlock - Map of condition keys to expected value(s)
+   * @param {Object} context - Request context values
+   * @returns {boolean} True if the block passes
+   */
+  static evaluateOperator(operator, conditionBlock, context = {}) {
+    const parsed = this.parseOperator(operator);
+
+    if (!parsed) {
+      // Unknown condition type - default to false for security
+      console.warn(`Unknown condition type: ${operator}`);
+      return false;
+    }
+
+    if (!conditionBlock || typeof conditionBlock !== 'object') {
+      return false;
+    }
+
+    for (const [key, expectedValue] of Object.entries(conditionBlock)) {
+      if (!this.evaluateKey(parsed, key, expectedValue, context)) {
+        return false;
+      }
+    }
+
+    return true;
+  }
+
+  /**
+   * Lists the operator/key pairs of a Condition element that do not pass
+   * Used to explain denials (e.g., which trust policy condition failed)
+   * @param {Object} conditions - Condition element from a policy statement
+   * @param {Object} context - Request context values
+   * @returns {Array<Object>} Failed conditions ({ operator, key })
+   */
+  static findFailedConditions(conditions, context = {}) {
+    const failed = [];
+
+    if (!conditions || typeof conditions !== 'object') {
+      return failed;
+    }
+
+    for (const [operator, conditionBlock] of Object.entries(conditions)) {
+      const parsed = this.parseOperator(operator);
+
+      if (!parsed || !conditionBlock || typeof conditionBlock !== 'object') {
+        failed.push({ operator, key: null });
+        continue;
+      }
+
+      for (const [key, expectedValue] of Object.entries(conditionBlock)) {
+        if (!this.evaluateKey(parsed, key, expectedValue, context)) {
+          failed.push({ operator, key });
+        }
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Splits an operator name into its qualifier, base operator and IfExists flag
+   * @param {string} operator - Operator name
+   * @returns {Object|null} Parsed operator or null if not supported
+   */
+  static parseOperator(operator) {
+    if (typeof operator !== 'string') {
+      return null;
+    }
+
+    let qualifier = null;
+    let name = operator;
+
+    const qualifierMatch = name.match(/^(ForAnyValue|ForAllValues):(.+)$/);
+    if (qualifierMatch) {
+      qualifier = qualifierMatch[1];
+      name = qualifierMatch[2];
+    }
+
+    let ifExists = false;
+    if (name !== 'Null' && name.endsWith('IfExists')) {
+      ifExists = true;
+      name = name.slice(0, -'IfExists'.length);
+    }
+
+    if (!Object.prototype.hasOwnProperty.call(OPERATORS, name)) {
+      return null;
+    }
+
+    // Null cannot be combined with IfExists or set qualifiers
+    if (name === 'Null' && (qualifier || ifExists)) {
+      return null;
+    }
+
+    return { qualifier, name, ifExists, ...OPERATORS[name] };
+  }
+
+  /**
+   * Checks if an operator name (with optional qualifier/IfExists) is supported
+   * @param {string} operator - Operator name
+   * @returns {boolean} True if supported
+   */
+  static isSupportedOperator(operator) {
+    return this.parseOperator(operator) !== null;
+  }
+
+  /**
+   * Validates a Condition element's operators and values
+   * @param {Object} conditions - Condition element from a policy statement
+   * @returns {Array<string>} Validation errors
+   */
+  static validateConditions(conditions) {
+    const errors = [];
+
+    for (const [operator, conditionBlock] of Object.entries(conditions)) {
+      const parsed = this.parseOperator(operator);
+
+      if (!parsed) {
+        errors.push(`Unsupported condition operator: ${operator}`);
+        continue;
+      }
+
+      if (!conditionBlock || typeof conditionBlock !== 'object' || Array.isArray(conditionBlock)) {
+        errors.push(`Condition ${operator} must be an object of condition keys`);
+        continue;
+      }
+
+      if (parsed.name === 'IpAddress' || parsed.name === 'NotIpAddress') {
+        for (const [key, value] of Object.entries(conditionBlock)) {
+          this.toArray(value)
+            .filter(range => !IpAddressMatcher.isValidRange(range))
+            .forEach(range => errors.push(`Invalid IP address or CIDR range for ${operator} ${key}: ${range}`));
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Evaluates one condition key against the request context
+   * @param {Object} parsed - Parsed operator
+   * @param {string} key - Condition key (e.g., 'aws:SourceIp')
+   * @param {*} expectedValue - Expected value or array of values from the policy
+   * @param {Object} context - Request context values
+   * @returns {boolean} True if the key passes
+   */
+  static evaluateKey(parsed, key, expectedValue, context) {
+    const expectedValues = this.toArray(expectedValue);
+    const contextValue = this.getContextValue(context, key);
+    const isMissing = contextValue === undefined || contextValue === null ||
+      (Array.isArray(contextValue) && contextValue.length === 0 && parsed.qualifier !== 'ForAllValues');
+
+    if (parsed.name === 'Null') {
+      // "true" means the key must be absent, "false" means it must be present
+      return expectedValues.some(expected => String(expected).toLowerCase() === String(isMissing));
+    }
+
+    if (isMissing) {
+      if (parsed.ifExists || parsed.qualifier === 'ForAllValues') {
+        return true;
+      }
+      // Negated operators match when there is nothing to compare against
+      return parsed.negated === true;
+    }
+
+    const contextValues = this.toArray(contextValue);
+    const matches = (value) => {
+      const positive = parsed.match(value, expectedValues, this);
+      return parsed.negated ? !positive : positive;
+    };
+
+    if (parsed.qualifier === 'ForAllValues') {
+      return contextValues.every(matches);
+    }
+
+    // ForAnyValue and single-valued keys: at least one context value must match
+    return contextValues.some(matches);
+  }
+
+  /**
+   * Looks up a condition key in the context (keys are case-insensitive in AWS)
+   * @param {Object} context - Request context values
+   * @param {string} key - Condition key
+   * @returns {*} Context value or undefined
+   */
+  static getContextValue(context, key) {
+    if (!context) return undefined;
+
+    if (Object.prototype.hasOwnProperty.call(context, key)) {
+      return context[key];
+    }
+
+    const lowerKey = key.toLowerCase();
+    const matchingKey = Object.keys(context).find(contextKey => contextKey.toLowerCase() === lowerKey);
+    return matchingKey !== undefined ? context[matchingKey] : undefined;
+  }
+
+  /**
+   * Normalizes a value to an array
+   * @param {*} value - Value
+   * @returns {Array} Array of values
+   */
+  static toArray(value) {
+    return Array.isArray(value) ? value : [value];
+  }
+
+  /**
+   * Checks a value against a wildcard pattern (* matches any sequence, ? matches one character)
+   * A backslash makes the next character literal (used for resolved policy variables)
+   * @param {string} value - Value to check
+   * @param {string} pattern - Pattern with wildcards
+   * @param {boolean} [ignoreCase=false] - Case-insensitive matching
+   * @returns {boolean} True if matches
+   */
+  static matchesWildcard(value, pattern, ignoreCase = false) {
+    const regexPattern = String(pattern).replace(/\\(.)|(\*)|(\?)|[.+^${}()|[\]\\]/gs, (match, escaped, star, question) => {
+      if (escaped !== undefined) return escaped.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (star) return '.*';
+      if (question) return '.';
+      return `\\${match}`;
+    });
+
+    return new RegExp(`^${regexPattern}$`, ignoreCase ? 'is' : 's').test(String(value));
+  }
+
+  /**
+   * Parses a numeric condition value
+   * @param {*} value - Value
+   * @returns {number} Parsed number (NaN if invalid)
+   */
+  static parseNumber(value) {
+    if (typeof value === 'number') return value;
+    if (typeof value !== 'string' || value.trim() === '') return NaN;
+    return Number(value);
+  }
+
+  /**
+   * Parses a date condition value (ISO 8601 or epoch seconds)
+   * @param {*} value - Value
+   * @returns {number} Milliseconds since epoch (NaN if invalid)
+   */
+  static parseDate(value) {
+    if (value instanceof Date) return value.getTime();
+    if (typeof value === 'number') return value * 1000;
+    if (typeof value === 'string' && /^\d+$/.test(value)) return Number(value) * 1000;
+    return new Date(value).getTime();
+  }
+
+  /**
+   * Compares two numbers or dates with a comparison function
+   * @param {*} value - Context value
+   * @param {Array} expectedValues - Expected values
+   * @param {Function} parse - Parser (parseNumber or parseDate)
+   * @param {Function} compare - Comparison (a, b) => boolean
+   * @returns {boolean} True if any expected value satisfies the comparison
+   */
+  static compareValues(value, expectedValues, parse, compare) {
+    const actual = parse.call(this, value);
+    if (Number.isNaN(actual)) return false;
+
+    return expectedValues.some(expected => {
+      const parsedExpected = parse.call(this, expected);
+      return !Number.isNaN(parsedExpected) && compare(actual, parsedExpected);
+    });
+  }
+
+  /**
+   * Checks an ARN against an ARN pattern, comparing each of the six ARN segments
+   * @param {string} value - ARN from the context
+   * @param {string} pattern - ARN pattern from the policy
+   * @returns {boolean} True if matches
+   */
+  static matchesArn(value, pattern) {
+    if (typeof value !== 'string' || typeof pattern !== 'string') return false;
+    if (pattern === '*') return true;
+
+    const valueParts = this.splitArn(value);
+    const patternParts = this.splitArn(pattern);
+    if (!valueParts || !patternParts) return false;
+
+    return patternParts.every((part, index) => this.matchesWildcard(valueParts[index], part));
+  }
+
+  /**
+   * Splits an ARN into its six segments (the resource segment may contain colons)
+   * @param {string} arn - ARN
+   * @returns {Array<string>|null} Segments or null if not an ARN
+   */
+  static splitArn(arn) {
+    const parts = arn.split(':');
+    if (parts.length < 6 || parts[0] !== 'arn') return null;
+    return [...parts.slice(0, 5), parts.slice(5).join(':')];
+  }
+
+  /**
+   * Checks an IP address against a CIDR range or single address (IPv4 and IPv6)
+   * @param {string} ip - IP address from the context
+   * @param {string} expected - CIDR range from the policy
+   * @returns {boolean} True if the address is in the range
+   */
+  static matchesIpAddress(ip, expected) {
+    return IpAddressMatcher.matches(String(ip), String(expected));
+  }
+
+  /**
+   * Compares binary values (policy values are base64 encoded)
+   * @param {string|Buffer} value - Context value
+   * @param {string} expected - Base64 expected value
+   * @returns {boolean} True if equal
+   */
+  static matchesBinary(value, expected) {
+    const actual = Buffer.isBuffer(value) ? value : Buffer.from(String(value), 'base64');
+    return actual.equals(Buffer.from(String(expected), 'base64'));
+  }
+}
+
+/**
+ * Operator table: each operator has a positive match function; negated operators invert it
+ */
+const OPERATORS = {
+  // String operators
+  StringEquals: {
+    match: (value, expected) => expected.some(e => String(value) === String(e))
+  },
+  StringNotEquals: {
+    negated: true,
+    match: (value, expected) => expected.some(e => String(value) === String(e))
+  },
+  StringEqualsIgnoreCase: {
+    match: (value, expected) => expected.some(e => String(value).toLowerCase() === String(e).toLowerCase())
+  },
+  StringNotEqualsIgnoreCase: {
+    negated: true,
+    match: (value, expected) => expected.some(e => String(value).toLowerCase() === String(e).toLowerCase())
+  },
+  StringLike: {
+    pattern: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesWildcard(value, e))
+  },
+  StringNotLike: {
+    pattern: true,
+    negated: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesWildcard(value, e))
+  },
+
+  // Numeric operators
+  NumericEquals: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseNumber, (a, b) => a === b)
+  },
+  NumericNotEquals: {
+    negated: true,
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseNumber, (a, b) => a === b)
+  },
+  NumericLessThan: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseNumber, (a, b) => a < b)
+  },
+  NumericLessThanEquals: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseNumber, (a, b) => a <= b)
+  },
+  NumericGreaterThan: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseNumber, (a, b) => a > b)
+  },
+  NumericGreaterThanEquals: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseNumber, (a, b) => a >= b)
+  },
+
+  // Date operators
+  DateEquals: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseDate, (a, b) => a === b)
+  },
+  DateNotEquals: {
+    negated: true,
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseDate, (a, b) => a === b)
+  },
+  DateLessThan: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseDate, (a, b) => a < b)
+  },
+  DateLessThanEquals: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseDate, (a, b) => a <= b)
+  },
+  DateGreaterThan: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseDate, (a, b) => a > b)
+  },
+  DateGreaterThanEquals: {
+    match: (value, expected, evaluator) => evaluator.compareValues(value, expected, evaluator.parseDate, (a, b) => a >= b)
+  },
+
+  // Boolean operator
+  Bool: {
+    match: (value, expected) => expected.some(e => String(value).toLowerCase() === String(e).toLowerCase())
+  },
+
+  // Binary operator
+  BinaryEquals: {
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesBinary(value, e))
+  },
+
+  // IP address operators
+  IpAddress: {
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesIpAddress(value, e))
+  },
+  NotIpAddress: {
+    negated: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesIpAddress(value, e))
+  },
+
+  // ARN operators (ArnEquals and ArnLike behave the same way in AWS)
+  ArnEquals: {
+    pattern: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesArn(value, e))
+  },
+  ArnLike: {
+    pattern: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesArn(value, e))
+  },
+  ArnNotEquals: {
+    pattern: true,
+    negated: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesArn(value, e))
+  },
+  ArnNotLike: {
+    pattern: true,
+    negated: true,
+    match: (value, expected, evaluator) => expected.some(e => evaluator.matchesArn(value, e))
+  },
+
+  // Key existence operator (handled separately in evaluateKey)
+  Null: {
+    match: () => false
+  }
+};
+
+module.exports = { ConditionEvaluator, CONDITION_OPERATORS: Object.keys(OPERATORS) };
@@ -0,0 +1,150 @@
+const net = require('net');
+
+/**
+ * IP Address Matcher
+ * CIDR range matching for IPv4 and IPv6, used by the IpAddress/NotIpAddress condition operators
+ *
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1, as reported by Express for req.ip on dual-stack
+ * sockets) are treated as their IPv4 equivalent, so they match IPv4 ranges and vice versa.
+ */
+class IpAddressMatcher {
+  /**
+   * Checks if an IP address is within a CIDR range (or equals a single address)
+   * @param {string} ip - IP address to check
+   * @param {string} range - CIDR range (e.g., '10.0.0.0/8', '2001:db8::/32') or single address
+   * @returns {boolean} True if the address is in the range
+   */
+  static matches(ip, range) {
+    const address = this.parseAddress(ip);
+    const cidr = this.parseRange(range);
+
+    if (!address || !cidr || address.version !== cidr.version) {
+      return false;
+    }
+
+    const bits = address.version === 4 ? 32 : 128;
+    const shift = BigInt(bits - cidr.prefixLength);
+
+    return (address.value >> shift) === (cidr.value >> shift);
+  }
+
+  /**
+   * Checks if an IP address is within any of the given ranges
+   * @param {string} ip - IP address to check
+   * @param {string|Array<string>} ranges - CIDR range or array of ranges
+   * @returns {boolean} True if the address is in at least one range
+   */
+  static matchesAny(ip, ranges) {
+    const rangeList = Array.isArray(ranges) ? ranges : [ranges];
+    return rangeList.some(range => this.matches(ip, range));
+  }
+
+  /**
+   * Checks if a value is a valid IP address or CIDR range
+   * @param {string} range - Value to validate
+   * @returns {boolean} True if valid
+   */
+  static isValidRange(range) {
+    return this.parseRange(range) !== null;
+  }
+
+  /**
+   * Parses a CIDR range; a bare address is treated as a /32 (IPv4) or /128 (IPv6)
+   * @param {string} range - CIDR range
+   * @returns {Object|null} { version, value, prefixLength } or null if invalid
+   */
+  static parseRange(range) {
+    if (typeof range !== 'string') return null;
+
+    const [addressPart, prefixPart, ...rest] = range.trim().split('/');
+    if (rest.length > 0) return null;
+
+    const rawVersion = net.isIP(addressPart);
+    const address = this.parseAddress(addressPart);
+    if (!address) return null;
+
+    let prefixLength = address.version === 4 ? 32 : 128;
+
+    if (prefixPart !== undefined) {
+      if (!/^\d{1,3}$/.test(prefixPart)) return null;
+
+      prefixLength = parseInt(prefixPart, 10);
+      const maxPrefix = rawVersion === 4 ? 32 : 128;
+      if (prefixLength > maxPrefix) return null;
+
+      // A prefix written against an IPv4-mapped IPv6 range covers the 96-bit ::ffff: prefix
+      if (rawVersion === 6 && address.version === 4) {
+        if (prefixLength < 96) return null;
+        prefixLength -= 96;
+      }
+    }
+
+    return { version: address.version, value: address.value, prefixLength };
+  }
+
+  /**
+   * Parses an IP address into its numeric value, unwrapping IPv4-mapped IPv6 addresses
+   * @param {string} ip - IP address
+   * @returns {Object|null} { version, value } or null if invalid
+   */
+  static parseAddress(ip) {
+    if (typeof ip !== 'string') return null;
+
+    // Strip an IPv6 zone index (fe80::1%eth0)
+    const address = ip.trim().split('%')[0];
+    const version = net.isIP(address);
+
+    if (version === 4) {
+      return { version: 4, value: this.ipv4ToBigInt(address) };
+    }
+
+    if (version === 6) {
+      const value = this.ipv6ToBigInt(address);
+      if ((value >> 32n) === 0xffffn) {
+        return { version: 4, value: value & 0xffffffffn };
+      }
+      return { version: 6, value };
+    }
+
+    return null;
+  }
+
+  /**
+   * Converts a dotted IPv4 address to a BigInt
+   * @param {string} ip - IPv4 address
+   * @returns {BigInt} Numeric value
+   */
+  static ipv4ToBigInt(ip) {
+    return ip.split('.').reduce((acc, octet) => (acc << 8n) + BigInt(parseInt(octet, 10)), 0n);
+  }
+
+  /**
+   * Converts an IPv6 address (including :: compression and embedded IPv4) to a BigInt
+   * @param {string} ip - IPv6 address
+   * @returns {BigInt} Numeric value
+   */
+  static ipv6ToBigInt(ip) {
+    let address = ip;
+
+    // Embedded IPv4 suffix (e.g., ::ffff:192.168.0.1) becomes two hextets
+    const ipv4Match = address.match(/(\d+\.\d+\.\d+\.\d+)$/);
+    if (ipv4Match) {
+      const ipv4 = this.ipv4ToBigInt(ipv4Match[1]);
+      const high = ((ipv4 >> 16n) & 0xffffn).toString(16);
+      const low = (ipv4 & 0xffffn).toString(16);
+      address = address.slice(0, -ipv4Match[1].length) + `${high}:${low}`;
+    }
+
+    const [head, tail] = address.split('::');
+    const headParts = head ? head.split(':') : [];
+    const tailParts = tail !== undefined && tail !== '' ? tail.split(':') : [];
+    const missing = 8 - headParts.length - tailParts.length;
+    const hextets = tail !== undefined
+      ? [...headParts, ...new Array(missing).fill('0'), ...tailParts]
+      : headParts;
+
+    return hextets.reduce((acc, hextet) => (acc << 16n) + BigInt(parseInt(hextet, 16)), 0n);
+  }
+}
+
+module.exports = { IpAddressMatcher };
@@ -0,0 +1,259 @@
+/**
+ * Policy Variables
+ * Resolves ${...} policy variables in Resource, NotResource and Condition values
+ *
+ * Supported forms:
+ * - ${aws:username}, ${aws:userid}, ${aws:PrincipalAccount}, ${aws:PrincipalTag/<key>}, ...
+ * - ${aws:username, 'default'} - default value used when the key is not in the request context
+ * - ${*}, ${?} and ${$} - literal '*', '?' and '$' characters
+ *
+ * Variables are only honored in documents with Version 2012-10-17, as in AWS.
+ */
+const { ConditionEvaluator } = require('./ConditionEvaluator');
+
+const VARIABLE_REGEX = /\$\{([^}]*)\}/g;
+
+const POLICY_VARIABLE_VERSION = '2012-10-17';
+
+const GLOBAL_VARIABLES = [
+  'aws:username',
+  'aws:userid',
+  'aws:PrincipalAccount',
+  'aws:PrincipalType',
+  'aws:CurrentTime',
+  'aws:EpochTime',
+  'aws:SourceIp',
+  'aws:UserAgent',
+  'aws:RequestedRegion'
+];
+
+const PREFIXED_VARIABLES = ['aws:PrincipalTag/'];
+
+const LITERAL_ESCAPES = { '*': '*', '?': '?', '$': '$' };
+
+class PolicyVariables {
+  /**
+   * Checks if a document version supports policy variables
+   * @param {string} version - Policy document Version
+   * @returns {boolean} True if variables are substituted
+   */
+  static isSupportedVersion(version) {
+    return version === POLICY_VARIABLE_VERSION;
+  }
+
+  /**
+   * Checks if a value contains any policy variable
+   * @param {*} value - Value to check
+   * @returns {boolean} True if the value contains ${...}
+   */
+  static hasVariables(value) {
+    return typeof value === 'string' && /\$\{[^}]*\}/.test(value);
+  }
+
+  /**
+   * Parses the contents of a ${...} expression
+   * @param {string} expression - Text between ${ and }
+   * @returns {Object|null} { literal } for escapes, { key, defaultValue } for variables, null if malformed
+   */
+  static parseExpression(expression) {
+    const trimmed = expression.trim();
+
+    if (Object.prototype.hasOwnProperty.call(LITERAL_ESCAPES, trimmed)) {
+      return { literal: LITERAL_ESCAPES[trimmed] };
+    }
+
+    const match = trimmed.match(/^([^,\s]+)\s*(?:,\s*'([^']*)')?$/);
+    if (!match) {
+      return null;
+    }
+
+    return { key: match[1], defaultValue: match[2] };
+  }
+
+  /**
+   * Checks if a variable name is known (case-insensitive, like condition keys)
+   * @param {string} key - Variable name (e.g., 'aws:username')
+   * @returns {boolean} True if the variable is supported
+   */
+  static isKnownVariable(key) {
+    const lowerKey = key.toLowerCase();
+
+    if (GLOBAL_VARIABLES.some(variable => variable.toLowerCase() === lowerKey)) {
+      return true;
+    }
+
+    return PREFIXED_VARIABLES.some(prefix =>
+      lowerKey.startsWith(prefix.toLowerCase()) && lowerKey.length > prefix.length
+    );
+  }
+
+  /**
+   * Validates the variables used in a value
+   * @param {*} value - Value to validate
+   * @returns {Array<string>} Validation errors
+   */
+  static validate(value) {
+    const errors = [];
+
+    if (typeof value !== 'string') {
+      return errors;
+    }
+
+    for (const [, expression] of value.matchAll(VARIABLE_REGEX)) {
+      const parsed = this.parseExpression(expression);
+
+      if (!parsed) {
+        errors.push(`Malformed policy variable: \${${expression}}`);
+      } else if (parsed.key && !this.isKnownVariable(parsed.key)) {
+        errors.push(`Unknown policy variable: \${${parsed.key}}`);
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates the variables used in a statement's Resource, NotResource and Condition values
+   * @param {Object} statement - Policy statement
+   * @returns {Array<string>} Validation errors
+   */
+  static validateStatement(statement) {
+    const values = [];
+
+    for (const element of ['Resource', 'NotResource']) {
+      if (statement[element] !== undefined) {
+        values.push(...ConditionEvaluator.toArray(statement[element]));
+      }
+    }
+
+    if (statement.Condition && typeof statement.Condition === 'object') {
+      Object.values(statement.Condition)
+        .filter(conditionBlock => conditionBlock && typeof conditionBlock === 'object')
+        .forEach(conditionBlock => {
+          Object.values(conditionBlock).forEach(value => values.push(...ConditionEvaluator.toArray(value)));
+        });
+    }
+
+    return values.flatMap(value => this.validate(value));
+  }
+
+  /**
+   * Replaces every ${...} expression with a placeholder, for structural validation of values
+   * @param {string} value - Value with variables
+   * @returns {string} Value without variables
+   */
+  static stripVariables(value) {
+    return value.replace(VARIABLE_REGEX, 'variable');
+  }
+
+  /**
+   * Substitutes policy variables in a value
+   * @param {*} value - Value from the policy (non-strings are returned unchanged)
+   * @param {Object} context - Request context values
+   * @param {Object} [options] - Substitution options
+   * @param {boolean} [options.pattern=false] - Escape substituted text so wildcard matchers treat it literally
+   * @returns {*} Resolved value, or null if a variable has no value and no default
+   */
+  static substitute(value, context = {}, options = {}) {
+    if (!this.hasVariables(value)) {
+      return value;
+    }
+
+    const escape = options.pattern ? this.escapeWildcards : text => text;
+    let unresolved = false;
+
+    const resolved = value.replace(VARIABLE_REGEX, (placeholder, expression) => {
+      const parsed = this.parseExpression(expression);
+
+      if (!parsed) {
+        unresolved = true;
+        return placeholder;
+      }
+
+      if (parsed.literal) {
+        return escape(parsed.literal);
+      }
+
+      const contextValue = ConditionEvaluator.getContextValue(context, parsed.key);
+
+      if (contextValue === undefined || contextValue === null || Array.isArray(contextValue)) {
+        if (parsed.defaultValue !== undefined) {
+          return escape(parsed.defaultValue);
+        }
+        unresolved = true;
+        return placeholder;
+      }
+
+      return escape(String(contextValue));
+    });
+
+    return unresolved ? null : resolved;
+  }
+
+  /**
+   * Returns a copy of a statement with variables resolved in Resource, NotResource and Condition values
+   * A statement with a value that cannot be resolved never matches: dropping the value instead would
+   * widen NotResource and negated conditions (an empty NotResource excludes nothing)
+   * @param {Object} statement - Policy statement
+   * @param {Object} context - Request context values
+   * @returns {Object|null} Resolved statement, or null if a variable has no value and no default
+   */
+  static resolveStatement(statement, context = {}) {
+    const resolved = { ...statement };
+
+    for (const element of ['Resource', 'NotResource']) {
+      if (statement[element] !== undefined) {
+        resolved[element] = this.resolveValues(statement[element], context, true);
+        if (!resolved[element]) {
+          return null;
+        }
+      }
+    }
+
+    if (statement.Condition && typeof statement.Condition === 'object') {
+      resolved.Condition = {};
+
+      for (const [operator, conditionBlock] of Object.entries(statement.Condition)) {
+        const parsed = ConditionEvaluator.parseOperator(operator);
+        if (!parsed || !conditionBlock || typeof conditionBlock !== 'object') {
+          resolved.Condition[operator] = conditionBlock;
+          continue;
+        }
+
+        resolved.Condition[operator] = {};
+        for (const [key, value] of Object.entries(conditionBlock)) {
+          resolved.Condition[operator][key] = this.resolveValues(value, context, parsed.pattern === true);
+          if (!resolved.Condition[operator][key]) {
+            return null;
+          }
+        }
+      }
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Resolves a single value or array of values
+   * @param {*} value - Value or array of values
+   * @param {Object} context - Request context values
+   * @param {boolean} pattern - Whether the values are wildcard patterns
+   * @returns {Array|null} Resolved values, or null if any of them cannot be resolved
+   */
+  static resolveValues(value, context, pattern) {
+    const values = ConditionEvaluator.toArray(value);
+    const resolved = values.map(item => this.substitute(item, context, { pattern }));
+    return resolved.some((item, index) => item === null && values[index] !== null) ? null : resolved;
+  }
+
+  /**
+   * Escapes wildcard characters so they match literally
+   * @param {string} text - Text to escape
+   * @returns {string} Escaped text
+   */
+  static escapeWildcards(text) {
+    return text.replace(/[\\*?]/g, '\\$&');
+  }
+}
+
+module.exports = { PolicyVariables, POLICY_VARIABLES: GLOBAL_VARIABLES };
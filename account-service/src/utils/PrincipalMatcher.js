@@ -0,0 +1,145 @@
+const { ConditionEvaluator } = require('./ConditionEvaluator');
+
+/**
+ * Principal Matcher
+ * Matches the Principal/NotPrincipal element of trust and resource-based policies
+ *
+ * A principal is described by one or more { type, value } identifiers, e.g. a user is
+ * { type: 'AWS', value: '<accountId>' }, { type: 'AWS', value: 'arn:aws:iam::<accountId>:root' }
+ * and { type: 'AWS', value: 'arn:aws:iam::<accountId>:user/<username>' }, so a statement naming
+ * the account grants access to every principal of that account.
+ */
+class PrincipalMatcher {
+  /**
+   * Checks if a statement applies to a principal
+   * NotPrincipal applies the statement to every principal except the listed ones
+   * @param {Object} statement - Policy statement
+   * @param {Array<Object>} principals - Principal identifiers ({ type, value })
+   * @returns {boolean} True if the statement applies
+   */
+  static appliesTo(statement, principals) {
+    if (statement.NotPrincipal) {
+      return !this.matches(statement.NotPrincipal, principals);
+    }
+    return this.matches(statement.Principal, principals);
+  }
+
+  /**
+   * Checks if any principal identifier matches a Principal element
+   * @param {string|Object} statementPrincipal - Principal element ('*' or { AWS, Service, Federated })
+   * @param {Array<Object>} principals - Principal identifiers ({ type, value })
+   * @returns {boolean} True if at least one identifier matches
+   */
+  static matches(statementPrincipal, principals) {
+    if (!statementPrincipal || !principals) return false;
+
+    if (statementPrincipal === '*') return true;
+
+    return principals.some(({ type, value }) => {
+      if (statementPrincipal[type] === undefined) return false;
+
+      return ConditionEvaluator.toArray(statementPrincipal[type]).some(allowed => {
+        if (allowed === '*') return true;
+
+        // AWS principals support wildcards (e.g., any user of an account)
+        if (type === 'AWS') {
+          return ConditionEvaluator.matchesWildcard(String(value), String(allowed), false);
+        }
+
+        return allowed === value;
+      });
+    });
+  }
+
+  /**
+   * Builds the identifiers of an IAM user
+   * @param {Object} user - User information
+   * @param {string} user.accountId - Account ID
+   * @param {string} [user.username] - Username (adds the user ARN when known)
+   * @returns {Array<Object>} Principal identifiers
+   */
+  static forUser({ accountId, username }) {
+    const principals = [
+      { type: 'AWS', value: accountId },
+      { type: 'AWS', value: `arn:aws:iam::${accountId}:root` }
+    ];
+
+    if (username) {
+      principals.push({ type: 'AWS', value: `arn:aws:iam::${accountId}:user/${username}` });
+    }
+
+    return principals;
+  }
+
+  /**
+   * Builds the identifiers of a role session
+   * @param {Object} roleSession - Role session information
+   * @param {string} roleSession.accountId - Account ID
+   * @param {string} roleSession.roleArn - ARN of the assumed role
+   * @param {string} roleSession.roleName - Role name
+   * @param {string} roleSession.sessionName - Session name
+   * @returns {Array<Object>} Principal identifiers
+   */
+  static forRoleSession({ accountId, roleArn, roleName, sessionName }) {
+    return [
+      { type: 'AWS', value: accountId },
+      { type: 'AWS', value: `arn:aws:iam::${accountId}:root` },
+      { type: 'AWS', value: roleArn },
+      { type: 'AWS', value: `arn:aws:sts::${accountId}:assumed-role/${roleName}/${sessionName}` }
+    ];
+  }
+
+  /**
+   * Validates the Principal/NotPrincipal element of a statement
+   * @param {Object} statement - Policy statement
+   * @returns {Array<string>} Validation errors
+   */
+  static validateStatement(statement) {
+    const errors = [];
+    const hasPrincipal = statement.Principal !== undefined;
+    const hasNotPrincipal = statement.NotPrincipal !== undefined;
+
+    if (hasPrincipal && hasNotPrincipal) {
+      errors.push('Principal and NotPrincipal cannot both be specified');
+      return errors;
+    }
+
+    if (!hasPrincipal && !hasNotPrincipal) {
+      errors.push('Principal is required');
+      return errors;
+    }
+
+    const name = hasPrincipal ? 'Principal' : 'NotPrincipal';
+    const principal = statement[name];
+
+    if (principal === '*') {
+      return errors;
+    }
+
+    if (!principal || typeof principal !== 'object' || Array.isArray(principal)) {
+      errors.push(`${name} must be "*" or an object`);
+      return errors;
+    }
+
+    const types = Object.keys(principal);
+    if (types.length === 0) {
+      errors.push(`${name} must name at least one principal`);
+    }
+
+    types.forEach(type => {
+      if (!['AWS', 'Service', 'Federated'].includes(type)) {
+        errors.push(`Unsupported principal type: ${type}`);
+        return;
+      }
+
+      const values = ConditionEvaluator.toArray(principal[type]);
+      if (values.length === 0 || values.some(value => typeof value !== 'string' || value.length === 0)) {
+        errors.push(`${name}.${type} must be a string or array of strings`);
+      }
+    });
+
+    return errors;
+  }
+}
+
+module.exports = { PrincipalMatcher };
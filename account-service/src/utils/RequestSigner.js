@@ -0,0 +1,272 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+const SCOPE_TERMINATOR = 'aws4_request';
+const REQUIRED_SIGNED_HEADERS = ['host', 'x-amz-date'];
+
+/**
+ * Request signing with access keys (AWS Signature Version 4 layout)
+ *
+ * Canonical request:
+ *   METHOD \n URI \n sorted query \n canonical headers \n signed headers \n SHA-256(body)
+ * String to sign:
+ *   AWS4-HMAC-SHA256 \n X-Amz-Date \n <date>/<region>/<service>/aws4_request \n SHA-256(canonical request)
+ * Signing key:
+ *   HMAC chain of "AWS4" + secret over date, region, service and "aws4_request"
+ *
+ * Authorization header:
+ *   AWS4-HMAC-SHA256 Credential=<accessKeyId>/<scope>, SignedHeaders=host;x-amz-date, Signature=<hex>
+ */
+class RequestSigner {
+  /**
+   * Checks if an Authorization header carries a request signature
+   * @param {string} authorization - Authorization header
+   * @returns {boolean} True if signed with an access key
+   */
+  static isSignedAuthorization(authorization) {
+    return typeof authorization === 'string' && authorization.startsWith(`${ALGORITHM} `);
+  }
+
+  /**
+   * Parses the Authorization header of a signed request
+   * @param {string} authorization - Authorization header
+   * @returns {Object} { accessKeyId, date, region, service, scope, signedHeaders, signature }
+   */
+  static parseAuthorization(authorization) {
+    const fields = {};
+    authorization.slice(ALGORITHM.length + 1).split(',').forEach(part => {
+      const separator = part.indexOf('=');
+      if (separator > 0) {
+        fields[part.slice(0, separator).trim()] = part.slice(separator + 1).trim();
+      }
+    });
+
+    const credential = (fields.Credential || '').split('/');
+    const signedHeaders = (fields.SignedHeaders || '').split(';').filter(Boolean);
+
+    if (credential.length !== 5 || credential[4] !== SCOPE_TERMINATOR ||
+        !/^\d{8}$/.test(credential[1]) || !/^[0-9a-f]{64}$/.test(fields.Signature || '')) {
+      throw RequestSigner.error('Authorization header requires Credential, SignedHeaders and Signature', 'INCOMPLETE_SIGNATURE');
+    }
+
+    const missingHeaders = REQUIRED_SIGNED_HEADERS.filter(header => !signedHeaders.includes(header));
+    if (missingHeaders.length > 0) {
+      throw RequestSigner.error(`SignedHeaders must include ${missingHeaders.join(', ')}`, 'INCOMPLETE_SIGNATURE');
+    }
+
+    const [accessKeyId, date, region, service] = credential;
+
+    return {
+      accessKeyId,
+      date,
+      region,
+      service,
+      scope: credential.slice(1).join('/'),
+      signedHeaders: signedHeaders.map(header => header.toLowerCase()).sort(),
+      signature: fields.Signature
+    };
+  }
+
+  /**
+   * Parses an X-Amz-Date value (YYYYMMDDTHHMMSSZ)
+   * @param {string} value - Header value
+   * @returns {Date|null} Date or null if malformed
+   */
+  static parseAmzDate(value) {
+    const match = /^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/.exec(value || '');
+    if (!match) {
+      return null;
+    }
+
+    const [, year, month, day, hour, minute, second] = match.map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute, second));
+  }
+
+  /**
+   * Formats a date as X-Amz-Date
+   * @param {Date} date - Date
+   * @returns {string} YYYYMMDDTHHMMSSZ
+   */
+  static formatAmzDate(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  /**
+   * Encodes a value as RFC 3986 (unreserved characters are kept)
+   * @param {string} value - Value
+   * @returns {string} Encoded value
+   */
+  static encode(value) {
+    return encodeURIComponent(value).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+  }
+
+  /**
+   * Builds the canonical URI (each path segment encoded once)
+   * @param {string} path - Request path (without query)
+   * @returns {string} Canonical URI
+   */
+  static canonicalUri(path) {
+    return (path || '/').split('/').map(segment => {
+      try {
+        return RequestSigner.encode(decodeURIComponent(segment));
+      } catch (error) {
+        return RequestSigner.encode(segment);
+      }
+    }).join('/') || '/';
+  }
+
+  /**
+   * Builds the canonical query string (sorted by name, then value)
+   * @param {string} query - Raw query string (without '?')
+   * @returns {string} Canonical query string
+   */
+  static canonicalQuery(query) {
+    if (!query) {
+      return '';
+    }
+
+    return query.split('&').filter(Boolean).map(pair => {
+      const separator = pair.indexOf('=');
+      const name = separator >= 0 ? pair.slice(0, separator) : pair;
+      const value = separator >= 0 ? pair.slice(separator + 1) : '';
+      const decode = (part) => {
+        try {
+          return decodeURIComponent(part.replace(/\+/g, ' '));
+        } catch (error) {
+          return part;
+        }
+      };
+      return [RequestSigner.encode(decode(name)), RequestSigner.encode(decode(value))];
+    })
+      .sort(([nameA, valueA], [nameB, valueB]) => (nameA === nameB ? (valueA < valueB ? -1 : 1) : (nameA < nameB ? -1 : 1)))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+  }
+
+  /**
+   * Builds the canonical request
+   * @param {Object} request - { method, path, query, headers (lowercase names), payloadHash }
+   * @param {Array<string>} signedHeaders - Sorted lowercase header names
+   * @returns {string} Canonical request
+   */
+  static buildCanonicalRequest(request, signedHeaders) {
+    const canonicalHeaders = signedHeaders.map(name => {
+      const value = request.headers[name];
+      const joined = Array.isArray(value) ? value.join(',') : String(value === undefined ? '' : value);
+      return `${name}:${joined.trim().replace(/\s+/g, ' ')}\n`;
+    }).join('');
+
+    return [
+      request.method.toUpperCase(),
+      RequestSigner.canonicalUri(request.path),
+      RequestSigner.canonicalQuery(request.query),
+      canonicalHeaders,
+      signedHeaders.join(';'),
+      request.payloadHash
+    ].join('\n');
+  }
+
+  /**
+   * Builds the string to sign
+   * @param {string} amzDate - X-Amz-Date value
+   * @param {string} scope - Credential scope (<date>/<region>/<service>/aws4_request)
+   * @param {string} canonicalRequest - Canonical request
+   * @returns {string} String to sign
+   */
+  static buildStringToSign(amzDate, scope, canonicalRequest) {
+    return [ALGORITHM, amzDate, scope, RequestSigner.hash(canonicalRequest)].join('\n');
+  }
+
+  /**
+   * Computes the signature of a string to sign
+   * @param {string} secretAccessKey - Secret access key
+   * @param {string} scope - Credential scope
+   * @param {string} stringToSign - String to sign
+   * @returns {string} Hex signature
+   */
+  static computeSignature(secretAccessKey, scope, stringToSign) {
+    const signingKey = scope.split('/').reduce(
+      (key, part) => crypto.createHmac('sha256', key).update(part).digest(),
+      Buffer.from(`AWS4${secretAccessKey}`, 'utf8')
+    );
+
+    return crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  }
+
+  /**
+   * SHA-256 hex digest
+   * @param {string|Buffer} value - Value
+   * @returns {string} Hex digest
+   */
+  static hash(value) {
+    return crypto.createHash('sha256').update(value || '').digest('hex');
+  }
+
+  /**
+   * Signs a request (client side: scripts, service-to-service calls)
+   * @param {Object} request - Request to sign
+   * @param {string} request.method - HTTP method
+   * @param {string} request.url - Path with optional query (e.g. /api/v1/users?limit=10)
+   * @param {string} request.host - Host header value
+   * @param {string|Buffer} [request.body] - Raw body
+   * @param {Object} credentials - { accessKeyId, secretAccessKey, sessionToken? } (sessionToken for role sessions)
+   * @param {Object} [options] - { region='us-east-1', service='iam', date=new Date() }
+   * @returns {Object} Headers to send (Authorization, Host, X-Amz-Date, X-Amz-Content-Sha256, X-Amz-Security-Token)
+   */
+  static sign(request, credentials, options = {}) {
+    const { region = 'us-east-1', service = 'iam', date = new Date() } = options;
+    const amzDate = RequestSigner.formatAmzDate(date);
+    const scope = [amzDate.slice(0, 8), region, service, SCOPE_TERMINATOR].join('/');
+    const [path, query = ''] = request.url.split('?');
+    const payloadHash = RequestSigner.hash(request.body);
+    const headers = { host: request.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    if (credentials.sessionToken) {
+      headers['x-amz-security-token'] = credentials.sessionToken;
+    }
+    const signedHeaders = Object.keys(headers).sort();
+
+    const canonicalRequest = RequestSigner.buildCanonicalRequest(
+      { method: request.method, path, query, headers, payloadHash },
+      signedHeaders
+    );
+    const signature = RequestSigner.computeSignature(
+      credentials.secretAccessKey,
+      scope,
+      RequestSigner.buildStringToSign(amzDate, scope, canonicalRequest)
+    );
+
+    const signedRequestHeaders = {
+      Authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, SignedHeaders=${signedHeaders.join(';')}, Signature=${signature}`,
+      Host: request.host,
+      'X-Amz-Date': amzDate,
+      'X-Amz-Content-Sha256': payloadHash
+    };
+    if (credentials.sessionToken) {
+      signedRequestHeaders['X-Amz-Security-Token'] = credentials.sessionToken;
+    }
+
+    return signedRequestHeaders;
+  }
+
+  /**
+   * Constant-time comparison of two hex signatures
+   * @param {string} a - First signature
+   * @param {string} b - Second signature
+   * @returns {boolean} True if equal
+   */
+  static safeEqual(a, b) {
+    const bufferA = Buffer.from(String(a));
+    const bufferB = Buffer.from(String(b));
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+
+  static error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+RequestSigner.ALGORITHM = ALGORITHM;
+
+module.exports = { RequestSigner };
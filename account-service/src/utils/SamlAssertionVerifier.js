@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const { DOMParser } = require('@xmldom/xmldom');
+const { SignedXml } = require('xml-crypto');
+
+const SAML_PROTOCOL_NS = 'urn:oasis:names:tc:SAML:2.0:protocol';
+const SAML_ASSERTION_NS = 'urn:oasis:names:tc:SAML:2.0:assertion';
+const SAML_METADATA_NS = 'urn:oasis:names:tc:SAML:2.0:metadata';
+const XMLDSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const STATUS_SUCCESS = 'urn:oasis:names:tc:SAML:2.0:status:Success';
+const BEARER_CONFIRMATION = 'urn:oasis:names:tc:SAML:2.0:cm:bearer';
+const DEFAULT_CLOCK_SKEW_SECONDS = 60;
+const MAX_DOCUMENT_LENGTH = 256 * 1024;
+
+/**
+ * Verification of SAML 2.0 responses and IdP metadata (identity federation)
+ *
+ * Signatures are checked with xml-crypto against the certificates of the IdP metadata only (a KeyInfo
+ * embedded in the response is ignored). Everything is then read from the XML covered by the signature
+ * (signed references), never from the original document, so an unsigned assertion wrapped around a
+ * signed one is not trusted. Encrypted assertions are not supported.
+ */
+class SamlAssertionVerifier {
+  /**
+   * Reads the entity ID and signing certificates of an IdP from its metadata
+   * @param {string} metadataXml - Metadata XML (EntityDescriptor, or EntitiesDescriptor holding it)
+   * @returns {Object} { entityId, certificates } - certificates in PEM format
+   */
+  static parseMetadata(metadataXml) {
+    const doc = SamlAssertionVerifier.parseXml(metadataXml, 'INVALID_SAML_METADATA');
+
+    const descriptor = Array.from(doc.getElementsByTagNameNS(SAML_METADATA_NS, 'EntityDescriptor'))
+      .find(entity => entity.getElementsByTagNameNS(SAML_METADATA_NS, 'IDPSSODescriptor').length > 0);
+    if (!descriptor || !descriptor.getAttribute('entityID')) {
+      throw SamlAssertionVerifier.error('Metadata has no EntityDescriptor with an IDPSSODescriptor', 'INVALID_SAML_METADATA');
+    }
+
+    const idpDescriptor = descriptor.getElementsByTagNameNS(SAML_METADATA_NS, 'IDPSSODescriptor')[0];
+    const certificates = Array.from(idpDescriptor.getElementsByTagNameNS(SAML_METADATA_NS, 'KeyDescriptor'))
+      .filter(keyDescriptor => !keyDescriptor.getAttribute('use') || keyDescriptor.getAttribute('use') === 'signing')
+      .flatMap(keyDescriptor => Array.from(keyDescriptor.getElementsByTagNameNS(XMLDSIG_NS, 'X509Certificate')))
+      .map(certificate => SamlAssertionVerifier.toPem(certificate.textContent));
+
+    if (certificates.length === 0) {
+      throw SamlAssertionVerifier.error('Metadata has no signing certificate', 'INVALID_SAML_METADATA');
+    }
+
+    return { entityId: descriptor.getAttribute('entityID'), certificates };
+  }
+
+  /**
+   * Verifies a SAML response issued by an IdP
+   * @param {string} samlResponse - Base64-encoded SAML response (SAMLResponse form parameter)
+   * @param {Object} options - Verification options
+   * @param {Array<string>} options.certificates - Signing certificates of the IdP (PEM)
+   * @param {string} options.issuer - Expected issuer (entity ID of the IdP)
+   * @param {Array<string>} options.audiences - Accepted audiences
+   * @param {string} options.recipient - Assertion Consumer Service URL of this service: the Response Destination
+   *   and the bearer SubjectConfirmationData Recipient must both equal it
+   * @param {number} [options.clockSkewSeconds] - Tolerance of the validity checks
+   * @param {Date} [options.now] - Current time
+   * @returns {Object} { assertionId, issuer, subject, subjectType, audiences, attributes, notOnOrAfter }
+   */
+  static verify(samlResponse, { certificates, issuer, audiences, recipient, clockSkewSeconds = DEFAULT_CLOCK_SKEW_SECONDS, now = new Date() }) {
+    const xml = SamlAssertionVerifier.decode(samlResponse);
+    const doc = SamlAssertionVerifier.parseXml(xml, 'INVALID_SAML_ASSERTION');
+
+    if (doc.getElementsByTagNameNS(SAML_ASSERTION_NS, 'EncryptedAssertion').length > 0) {
+      throw SamlAssertionVerifier.error('Encrypted assertions are not supported', 'INVALID_SAML_ASSERTION');
+    }
+
+    const root = doc.documentElement;
+    if (root.namespaceURI !== SAML_PROTOCOL_NS || root.localName !== 'Response') {
+      throw SamlAssertionVerifier.error('SAML response must be a samlp:Response', 'INVALID_SAML_ASSERTION');
+    }
+
+    const statusCode = SamlAssertionVerifier.firstChild(SamlAssertionVerifier.firstChild(root, SAML_PROTOCOL_NS, 'Status'), SAML_PROTOCOL_NS, 'StatusCode');
+    if (!statusCode || statusCode.getAttribute('Value') !== STATUS_SUCCESS) {
+      throw SamlAssertionVerifier.error('The identity provider did not authenticate the user', 'INVALID_SAML_ASSERTION');
+    }
+
+    if (!recipient || root.getAttribute('Destination') !== recipient) {
+      throw SamlAssertionVerifier.error('Response Destination is not this service', 'INVALID_SAML_ASSERTION');
+    }
+
+    const assertion = SamlAssertionVerifier.getSignedAssertion(xml, doc, certificates);
+    const skew = clockSkewSeconds * 1000;
+
+    const assertionIssuer = SamlAssertionVerifier.textOf(SamlAssertionVerifier.firstChild(assertion, SAML_ASSERTION_NS, 'Issuer'));
+    if (assertionIssuer !== issuer) {
+      throw SamlAssertionVerifier.error('Assertion was not issued by this identity provider', 'INVALID_SAML_ASSERTION');
+    }
+
+    const conditions = SamlAssertionVerifier.firstChild(assertion, SAML_ASSERTION_NS, 'Conditions');
+    if (!conditions) {
+      throw SamlAssertionVerifier.error('Assertion has no Conditions', 'INVALID_SAML_ASSERTION');
+    }
+    const notBefore = SamlAssertionVerifier.parseTime(conditions.getAttribute('NotBefore'));
+    if (notBefore && notBefore.getTime() - skew > now.getTime()) {
+      throw SamlAssertionVerifier.error('Assertion is not valid yet', 'INVALID_SAML_ASSERTION');
+    }
+
+    const restrictions = SamlAssertionVerifier.children(conditions, SAML_ASSERTION_NS, 'AudienceRestriction');
+    const assertionAudiences = restrictions.map(restriction =>
+      SamlAssertionVerifier.children(restriction, SAML_ASSERTION_NS, 'Audience').map(SamlAssertionVerifier.textOf));
+    if (restrictions.length === 0 ||
+        !assertionAudiences.every(values => values.some(value => audiences.includes(value)))) {
+      throw SamlAssertionVerifier.error('Assertion is not intended for this audience', 'INVALID_SAML_ASSERTION');
+    }
+
+    const subjectElement = SamlAssertionVerifier.firstChild(assertion, SAML_ASSERTION_NS, 'Subject');
+    const nameId = SamlAssertionVerifier.firstChild(subjectElement, SAML_ASSERTION_NS, 'NameID');
+    const subject = SamlAssertionVerifier.textOf(nameId);
+    if (!subject) {
+      throw SamlAssertionVerifier.error('Assertion has no subject NameID', 'INVALID_SAML_ASSERTION');
+    }
+
+    const confirmationData = SamlAssertionVerifier.children(subjectElement, SAML_ASSERTION_NS, 'SubjectConfirmation')
+      .filter(confirmation => confirmation.getAttribute('Method') === BEARER_CONFIRMATION)
+      .map(confirmation => SamlAssertionVerifier.firstChild(confirmation, SAML_ASSERTION_NS, 'SubjectConfirmationData'))
+      .find(data => data && data.getAttribute('Recipient') === recipient);
+    if (!confirmationData) {
+      throw SamlAssertionVerifier.error('Assertion has no bearer subject confirmation for this service', 'INVALID_SAML_ASSERTION');
+    }
+
+    const expirations = [conditions.getAttribute('NotOnOrAfter'), confirmationData.getAttribute('NotOnOrAfter')]
+      .map(SamlAssertionVerifier.parseTime)
+      .filter(Boolean);
+    if (expirations.length === 0) {
+      throw SamlAssertionVerifier.error('Assertion has no NotOnOrAfter', 'INVALID_SAML_ASSERTION');
+    }
+    const notOnOrAfter = new Date(Math.min(...expirations.map(date => date.getTime())));
+    if (notOnOrAfter.getTime() + skew <= now.getTime()) {
+      throw SamlAssertionVerifier.error('Assertion has expired', 'INVALID_SAML_ASSERTION');
+    }
+
+    const attributes = {};
+    SamlAssertionVerifier.children(assertion, SAML_ASSERTION_NS, 'AttributeStatement')
+      .flatMap(statement => SamlAssertionVerifier.children(statement, SAML_ASSERTION_NS, 'Attribute'))
+      .forEach(attribute => {
+        const name = attribute.getAttribute('Name');
+        attributes[name] = (attributes[name] || []).concat(
+          SamlAssertionVerifier.children(attribute, SAML_ASSERTION_NS, 'AttributeValue').map(SamlAssertionVerifier.textOf)
+        );
+      });
+
+    return {
+      assertionId: assertion.getAttribute('ID'),
+      issuer: assertionIssuer,
+      subject,
+      subjectType: nameId.getAttribute('Format') || null,
+      audiences: assertionAudiences.flat(),
+      attributes,
+      notOnOrAfter
+    };
+  }
+
+  /**
+   * Checks the signature of the response or of its assertion and returns the signed assertion
+   * @param {string} xml - Response XML
+   * @param {Document} doc - Parsed response
+   * @param {Array<string>} certificates - Signing certificates of the IdP (PEM)
+   * @returns {Element} Assertion, parsed from the signed XML
+   */
+  static getSignedAssertion(xml, doc, certificates) {
+    const signatures = Array.from(doc.getElementsByTagNameNS(XMLDSIG_NS, 'Signature')).filter(signature => {
+      const parent = signature.parentNode;
+      return (parent.namespaceURI === SAML_PROTOCOL_NS && parent.localName === 'Response') ||
+        (parent.namespaceURI === SAML_ASSERTION_NS && parent.localName === 'Assertion');
+    });
+
+    for (const signature of signatures) {
+      for (const certificate of certificates) {
+        const signedXml = new SignedXml({ publicCert: certificate });
+        signedXml.loadSignature(signature);
+
+        let valid = false;
+        try {
+          valid = signedXml.checkSignature(xml);
+        } catch (error) {
+          valid = false;
+        }
+        if (!valid) {
+          continue;
+        }
+
+        const references = signedXml.getSignedReferences();
+        if (references.length !== 1) {
+          continue;
+        }
+
+        const signed = SamlAssertionVerifier.parseXml(references[0], 'INVALID_SAML_ASSERTION').documentElement;
+        if (signed.namespaceURI === SAML_ASSERTION_NS && signed.localName === 'Assertion') {
+          return signed;
+        }
+
+        const assertions = SamlAssertionVerifier.children(signed, SAML_ASSERTION_NS, 'Assertion');
+        if (signed.localName === 'Response' && assertions.length === 1) {
+          return assertions[0];
+        }
+      }
+    }
+
+    throw SamlAssertionVerifier.error('Assertion signature is missing or invalid', 'INVALID_SAML_ASSERTION');
+  }
+
+  static decode(samlResponse) {
+    if (typeof samlResponse !== 'string' || samlResponse.length === 0 || samlResponse.length > MAX_DOCUMENT_LENGTH) {
+      throw SamlAssertionVerifier.error('SAML response is required', 'INVALID_SAML_ASSERTION');
+    }
+
+    const xml = Buffer.from(samlResponse, 'base64').toString('utf8');
+    if (!xml.trim().startsWith('<')) {
+      throw SamlAssertionVerifier.error('SAML response must be base64-encoded XML', 'INVALID_SAML_ASSERTION');
+    }
+    return xml;
+  }
+
+  /**
+   * Parses XML, failing on any error; DTDs are refused (entity expansion)
+   * @param {string} xml - XML text
+   * @param {string} code - Error code
+   * @returns {Document} Document
+   */
+  static parseXml(xml, code) {
+    if (typeof xml !== 'string' || /<!DOCTYPE/i.test(xml)) {
+      throw SamlAssertionVerifier.error('Invalid XML document', code);
+    }
+
+    const fail = message => {
+      throw SamlAssertionVerifier.error(`Invalid XML document: ${message}`, code);
+    };
+    const doc = new DOMParser({ errorHandler: { warning: () => {}, error: fail, fatalError: fail } })
+      .parseFromString(xml, 'text/xml');
+
+    if (!doc || !doc.documentElement) {
+      fail('no root element');
+    }
+    return doc;
+  }
+
+  static children(element, namespace, localName) {
+    if (!element) {
+      return [];
+    }
+    return Array.from(element.childNodes)
+      .filter(node => node.nodeType === 1 && node.namespaceURI === namespace && node.localName === localName);
+  }
+
+  static firstChild(element, namespace, localName) {
+    return SamlAssertionVerifier.children(element, namespace, localName)[0] || null;
+  }
+
+  static textOf(element) {
+    return element ? element.textContent.trim() : null;
+  }
+
+  static parseTime(value) {
+    if (!value) {
+      return null;
+    }
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  /**
+   * Converts a base64 certificate of the metadata to PEM (checking it can be loaded)
+   * @param {string} base64 - X509Certificate content
+   * @returns {string} PEM certificate
+   */
+  static toPem(base64) {
+    const lines = base64.replace(/\s+/g, '').match(/.{1,64}/g) || [];
+    const pem = `-----BEGIN CERTIFICATE-----\n${lines.join('\n')}\n-----END CERTIFICATE-----\n`;
+
+    try {
+      new crypto.X509Certificate(pem);
+    } catch (error) {
+      throw SamlAssertionVerifier.error('Metadata contains an invalid certificate', 'INVALID_SAML_METADATA');
+    }
+    return pem;
+  }
+
+  static error(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+SamlAssertionVerifier.DEFAULT_CLOCK_SKEW_SECONDS = DEFAULT_CLOCK_SKEW_SECONDS;
+
+module.exports = { SamlAssertionVerifier };
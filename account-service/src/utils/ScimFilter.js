@@ -0,0 +1,437 @@
+/**
+ * SCIM Filter
+ * Parses and evaluates SCIM filters (RFC 7644 section 3.4.2.2) and PATCH paths (section 3.5.2)
+ *
+ * Supported forms:
+ * - userName eq "alice", name.familyName co "Smith", emails.value sw "alice@", meta.lastModified gt "2024-01-01T00:00:00Z"
+ * - operators eq, ne, co, sw, ew, gt, ge, lt, le and pr (present), combined with and, or, not (...) and parentheses
+ * - value filters on multi-valued attributes: emails[type eq "work" and value ew "@example.com"]
+ * - attribute names with the core schema URN: urn:ietf:params:scim:schemas:core:2.0:User:userName
+ *
+ * Attribute names and string comparisons are case-insensitive. A multi-valued attribute matches when any of
+ * its values does; without a sub-attribute, its "value" sub-attribute is compared (emails eq "a@example.com").
+ */
+
+const COMPARISON_OPERATORS = ['eq', 'ne', 'co', 'sw', 'ew', 'gt', 'ge', 'lt', 'le'];
+
+const CORE_SCHEMA_PREFIX = /^urn:ietf:params:scim:schemas:core:2\.0:(User|Group):/i;
+
+const ATTRIBUTE_NAME_PATTERN = /^[A-Za-z$][\w$-]*$/;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T/;
+
+const MAX_FILTER_LENGTH = 2048;
+
+class ScimFilter {
+  /**
+   * Parses a filter
+   * @param {string} filter - Filter expression
+   * @returns {Object} Expression tree
+   * @throws {Error} INVALID_FILTER if the filter cannot be parsed
+   */
+  static parse(filter) {
+    if (typeof filter !== 'string' || filter.trim() === '') {
+      throw ScimFilter.error('INVALID_FILTER', 'Filter is empty');
+    }
+    if (filter.length > MAX_FILTER_LENGTH) {
+      throw ScimFilter.error('INVALID_FILTER', `Filter must be at most ${MAX_FILTER_LENGTH} characters`);
+    }
+
+    const parser = { tokens: ScimFilter.tokenize(filter), position: 0 };
+    const expression = ScimFilter.parseOr(parser);
+
+    if (parser.position < parser.tokens.length) {
+      throw ScimFilter.error('INVALID_FILTER', `Unexpected "${parser.tokens[parser.position].value}" in filter`);
+    }
+
+    return expression;
+  }
+
+  /**
+   * Parses a PATCH path: attrPath, attrPath[valFilter] or attrPath[valFilter].subAttr
+   * @param {string} path - Path of a PATCH operation
+   * @returns {Object} { attribute, subAttribute, filter } (filter is an expression tree or null)
+   * @throws {Error} INVALID_PATH if the path cannot be parsed
+   */
+  static parsePath(path) {
+    if (typeof path !== 'string' || path.trim() === '') {
+      throw ScimFilter.error('INVALID_PATH', 'Path is empty');
+    }
+
+    const text = path.trim();
+    const open = text.indexOf('[');
+
+    try {
+      if (open === -1) {
+        return { ...ScimFilter.parseAttributePath(text), filter: null };
+      }
+
+      const close = text.lastIndexOf(']');
+      const rest = text.slice(close + 1);
+      if (close < open || (rest !== '' && !rest.startsWith('.'))) {
+        throw ScimFilter.error('INVALID_PATH', `Invalid path "${text}"`);
+      }
+
+      const { attribute, subAttribute } = ScimFilter.parseAttributePath(text.slice(0, open));
+      if (subAttribute) {
+        throw ScimFilter.error('INVALID_PATH', `Invalid path "${text}"`);
+      }
+
+      return {
+        attribute,
+        subAttribute: rest ? ScimFilter.parseAttributeName(rest.slice(1)) : null,
+        filter: ScimFilter.parse(text.slice(open + 1, close))
+      };
+    } catch (error) {
+      if (error.code === 'INVALID_FILTER' || error.code === 'INVALID_PATH') {
+        throw ScimFilter.error('INVALID_PATH', `Invalid path "${text}": ${error.message}`);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Evaluates an expression tree against a resource (or an element of a multi-valued attribute)
+   * @param {Object} expression - Expression tree returned by parse
+   * @param {Object} resource - SCIM resource
+   * @returns {boolean} True if the resource matches
+   */
+  static evaluate(expression, resource) {
+    switch (expression.op) {
+      case 'and':
+        return ScimFilter.evaluate(expression.left, resource) && ScimFilter.evaluate(expression.right, resource);
+      case 'or':
+        return ScimFilter.evaluate(expression.left, resource) || ScimFilter.evaluate(expression.right, resource);
+      case 'not':
+        return !ScimFilter.evaluate(expression.expression, resource);
+      case 'valuePath':
+        return ScimFilter.toArray(ScimFilter.getAttribute(resource, expression.attribute))
+          .some(element => element !== null && typeof element === 'object' && ScimFilter.evaluate(expression.filter, element));
+      case 'pr':
+        return ScimFilter.values(resource, expression).some(value => ScimFilter.isPresent(value));
+      case 'ne':
+        return !ScimFilter.values(resource, expression).some(value => ScimFilter.compare(value, 'eq', expression.value));
+      default:
+        return ScimFilter.values(resource, expression).some(value => ScimFilter.compare(value, expression.op, expression.value));
+    }
+  }
+
+  /**
+   * Gets an attribute of an object by name, ignoring case
+   * @param {Object} object - Resource or complex value
+   * @param {string} name - Attribute name
+   * @returns {*} Value, or undefined
+   */
+  static getAttribute(object, name) {
+    const key = ScimFilter.findKey(object, name);
+    return key === undefined ? undefined : object[key];
+  }
+
+  /**
+   * Finds the key of an attribute of an object, ignoring case
+   * @param {Object} object - Resource or complex value
+   * @param {string} name - Attribute name
+   * @returns {string|undefined} Key as spelled in the object
+   */
+  static findKey(object, name) {
+    if (!object || typeof object !== 'object') {
+      return undefined;
+    }
+    const lowerName = name.toLowerCase();
+    return Object.keys(object).find(key => key.toLowerCase() === lowerName);
+  }
+
+  /**
+   * Splits a list of attribute names (attributes and excludedAttributes parameters)
+   * @param {string} list - Comma-separated attribute paths
+   * @returns {Array<string>} Top-level attribute names, lowercased
+   */
+  static parseAttributeList(list) {
+    if (typeof list !== 'string' || list.trim() === '') {
+      return [];
+    }
+
+    return list.split(',')
+      .map(item => item.trim().replace(CORE_SCHEMA_PREFIX, '').split('.')[0].toLowerCase())
+      .filter(Boolean);
+  }
+
+  /**
+   * Splits a filter into tokens: parentheses, brackets, quoted strings and words
+   */
+  static tokenize(filter) {
+    const tokens = [];
+    let index = 0;
+
+    while (index < filter.length) {
+      const char = filter[index];
+
+      if (/\s/.test(char)) {
+        index++;
+      } else if ('()[]'.includes(char)) {
+        tokens.push({ type: 'punctuation', value: char });
+        index++;
+      } else if (char === '"') {
+        let end = index + 1;
+        while (end < filter.length && filter[end] !== '"') {
+          end += filter[end] === '\\' ? 2 : 1;
+        }
+        if (end >= filter.length) {
+          throw ScimFilter.error('INVALID_FILTER', 'Unterminated string in filter');
+        }
+
+        try {
+          tokens.push({ type: 'string', value: JSON.parse(filter.slice(index, end + 1)) });
+        } catch (error) {
+          throw ScimFilter.error('INVALID_FILTER', 'Invalid string in filter');
+        }
+        index = end + 1;
+      } else {
+        let end = index;
+        while (end < filter.length && !/[\s()[\]"]/.test(filter[end])) {
+          end++;
+        }
+        tokens.push({ type: 'word', value: filter.slice(index, end) });
+        index = end;
+      }
+    }
+
+    return tokens;
+  }
+
+  static parseOr(parser) {
+    let expression = ScimFilter.parseAnd(parser);
+    while (ScimFilter.acceptWord(parser, 'or')) {
+      expression = { op: 'or', left: expression, right: ScimFilter.parseAnd(parser) };
+    }
+    return expression;
+  }
+
+  static parseAnd(parser) {
+    let expression = ScimFilter.parseTerm(parser);
+    while (ScimFilter.acceptWord(parser, 'and')) {
+      expression = { op: 'and', left: expression, right: ScimFilter.parseTerm(parser) };
+    }
+    return expression;
+  }
+
+  static parseTerm(parser) {
+    if (ScimFilter.acceptWord(parser, 'not')) {
+      ScimFilter.expect(parser, '(');
+      const expression = ScimFilter.parseOr(parser);
+      ScimFilter.expect(parser, ')');
+      return { op: 'not', expression };
+    }
+
+    if (ScimFilter.accept(parser, '(')) {
+      const expression = ScimFilter.parseOr(parser);
+      ScimFilter.expect(parser, ')');
+      return expression;
+    }
+
+    const token = parser.tokens[parser.position++];
+    if (!token || token.type !== 'word') {
+      throw ScimFilter.error('INVALID_FILTER', token ? `Unexpected "${token.value}" in filter` : 'Filter ends unexpectedly');
+    }
+    const path = ScimFilter.parseAttributePath(token.value, 'INVALID_FILTER');
+
+    if (ScimFilter.accept(parser, '[')) {
+      if (path.subAttribute) {
+        throw ScimFilter.error('INVALID_FILTER', `Invalid attribute "${token.value}" in filter`);
+      }
+      const filter = ScimFilter.parseOr(parser);
+      ScimFilter.expect(parser, ']');
+      return { op: 'valuePath', attribute: path.attribute, filter };
+    }
+
+    const operatorToken = parser.tokens[parser.position++];
+    const operator = operatorToken && operatorToken.type === 'word' ? operatorToken.value.toLowerCase() : null;
+
+    if (operator === 'pr') {
+      return { op: 'pr', ...path };
+    }
+    if (!COMPARISON_OPERATORS.includes(operator)) {
+      throw ScimFilter.error('INVALID_FILTER', operatorToken
+        ? `Unsupported operator "${operatorToken.value}" in filter`
+        : 'Filter ends unexpectedly');
+    }
+
+    return { op: operator, ...path, value: ScimFilter.parseValue(parser) };
+  }
+
+  static parseValue(parser) {
+    const token = parser.tokens[parser.position++];
+    if (!token || token.type === 'punctuation') {
+      throw ScimFilter.error('INVALID_FILTER', 'Comparison value expected in filter');
+    }
+    if (token.type === 'string') {
+      return token.value;
+    }
+
+    const word = token.value.toLowerCase();
+    if (word === 'true' || word === 'false') {
+      return word === 'true';
+    }
+    if (word === 'null') {
+      return null;
+    }
+    if (/^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(token.value)) {
+      return Number(token.value);
+    }
+
+    throw ScimFilter.error('INVALID_FILTER', `Invalid comparison value "${token.value}" in filter`);
+  }
+
+  /**
+   * Parses attrName or attrName.subAttr, with an optional core schema URN prefix
+   */
+  static parseAttributePath(text, code = 'INVALID_PATH') {
+    const parts = text.replace(CORE_SCHEMA_PREFIX, '').split('.');
+    if (parts.length > 2) {
+      throw ScimFilter.error(code, `Invalid attribute "${text}"`);
+    }
+
+    return {
+      attribute: ScimFilter.parseAttributeName(parts[0], code),
+      subAttribute: parts.length === 2 ? ScimFilter.parseAttributeName(parts[1], code) : null
+    };
+  }
+
+  static parseAttributeName(name, code = 'INVALID_PATH') {
+    if (!ATTRIBUTE_NAME_PATTERN.test(name)) {
+      throw ScimFilter.error(code, `Invalid attribute "${name}"`);
+    }
+    return name;
+  }
+
+  static accept(parser, punctuation) {
+    const token = parser.tokens[parser.position];
+    if (token && token.type === 'punctuation' && token.value === punctuation) {
+      parser.position++;
+      return true;
+    }
+    return false;
+  }
+
+  static acceptWord(parser, word) {
+    const token = parser.tokens[parser.position];
+    if (token && token.type === 'word' && token.value.toLowerCase() === word) {
+      parser.position++;
+      return true;
+    }
+    return false;
+  }
+
+  static expect(parser, punctuation) {
+    if (!ScimFilter.accept(parser, punctuation)) {
+      throw ScimFilter.error('INVALID_FILTER', `Expected "${punctuation}" in filter`);
+    }
+  }
+
+  /**
+   * Collects the values an attribute path designates in a resource (flattening multi-valued attributes)
+   */
+  static values(resource, path) {
+    const value = ScimFilter.getAttribute(resource, path.attribute);
+    const elements = ScimFilter.toArray(value);
+
+    if (path.subAttribute) {
+      return elements.map(element => ScimFilter.getAttribute(element, path.subAttribute)).filter(item => item !== undefined);
+    }
+
+    if (!Array.isArray(value)) {
+      return elements;
+    }
+
+    return elements.map(element => (element !== null && typeof element === 'object'
+      ? ScimFilter.getAttribute(element, 'value')
+      : element)).filter(item => item !== undefined);
+  }
+
+  static compare(actual, operator, expected) {
+    if (actual === null || expected === null) {
+      return operator === 'eq' && actual === expected;
+    }
+
+    if (typeof actual === 'boolean' || typeof expected === 'boolean') {
+      return operator === 'eq' && actual === expected;
+    }
+
+    if (typeof actual === 'number' && typeof expected === 'number') {
+      return ScimFilter.order(actual, operator, expected);
+    }
+
+    if (typeof actual !== 'string' || typeof expected !== 'string') {
+      return false;
+    }
+
+    if (['gt', 'ge', 'lt', 'le'].includes(operator) && DATE_PATTERN.test(actual) && DATE_PATTERN.test(expected)) {
+      const actualTime = Date.parse(actual);
+      const expectedTime = Date.parse(expected);
+      if (!Number.isNaN(actualTime) && !Number.isNaN(expectedTime)) {
+        return ScimFilter.order(actualTime, operator, expectedTime);
+      }
+    }
+
+    const left = actual.toLowerCase();
+    const right = expected.toLowerCase();
+
+    switch (operator) {
+      case 'eq':
+        return left === right;
+      case 'co':
+        return left.includes(right);
+      case 'sw':
+        return left.startsWith(right);
+      case 'ew':
+        return left.endsWith(right);
+      default:
+        return ScimFilter.order(left, operator, right);
+    }
+  }
+
+  static order(left, operator, right) {
+    switch (operator) {
+      case 'eq':
+        return left === right;
+      case 'gt':
+        return left > right;
+      case 'ge':
+        return left >= right;
+      case 'lt':
+        return left < right;
+      case 'le':
+        return left <= right;
+      default:
+        return false;
+    }
+  }
+
+  static isPresent(value) {
+    if (value === null || value === undefined || value === '') {
+      return false;
+    }
+    if (Array.isArray(value)) {
+      return value.length > 0;
+    }
+    if (typeof value === 'object') {
+      return Object.keys(value).length > 0;
+    }
+    return true;
+  }
+
+  static toArray(value) {
+    if (value === undefined || value === null) {
+      return [];
+    }
+    return Array.isArray(value) ? value : [value];
+  }
+
+  static error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = { ScimFilter };
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const { getSecret } = require('../config/security');
+
+const ALGORITHM = 'aes-256-gcm';
+
+/**
+ * Symmetric encryption of secrets stored in the database (AES-256-GCM)
+ * Used for values that must be read back in clear, e.g. secret access keys needed to verify signatures
+ * and the private keys that sign access tokens.
+ * The key is derived (SHA-256) from SECRET_ENCRYPTION_KEY.
+ */
+class SecretCipher {
+  /**
+   * @param {string} [key] - Encryption key material (defaults to SECRET_ENCRYPTION_KEY)
+   */
+  constructor(key = getSecret('SECRET_ENCRYPTION_KEY')) {
+    this.key = crypto.createHash('sha256').update(key).digest();
+  }
+
+  /**
+   * Encrypts a secret
+   * @param {string} plaintext - Secret
+   * @returns {string} iv:tag:ciphertext (base64 parts)
+   */
+  encrypt(plaintext) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(ALGORITHM, this.key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+
+    return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+  }
+
+  /**
+   * Decrypts a secret encrypted with encrypt()
+   * @param {string} payload - iv:tag:ciphertext
+   * @returns {string} Secret
+   */
+  decrypt(payload) {
+    const [iv, tag, ciphertext] = String(payload).split(':').map(part => Buffer.from(part, 'base64'));
+    const decipher = crypto.createDecipheriv(ALGORITHM, this.key, iv);
+    decipher.setAuthTag(tag);
+
+    return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+  }
+}
+
+module.exports = { SecretCipher };
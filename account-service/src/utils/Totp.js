@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+/**
+ * Time-based one-time passwords (RFC 6238) as used by virtual MFA apps
+ * HMAC-SHA1, 6 digits, 30-second steps - the defaults every authenticator app supports
+ */
+class Totp {
+  /**
+   * Generates a random shared secret
+   * @param {number} [bytes=20] - Secret length in bytes
+   * @returns {string} Base32 secret
+   */
+  static generateSecret(bytes = 20) {
+    return this.base32Encode(crypto.randomBytes(bytes));
+  }
+
+  /**
+   * Gets the time step for an instant
+   * @param {number} [timestamp=Date.now()] - Time in milliseconds
+   * @returns {number} Time step
+   */
+  static getStep(timestamp = Date.now()) {
+    return Math.floor(timestamp / 1000 / Totp.PERIOD);
+  }
+
+  /**
+   * Generates the code of a time step (RFC 4226 dynamic truncation)
+   * @param {string} secret - Base32 secret
+   * @param {number} step - Time step
+   * @returns {string} Zero-padded code
+   */
+  static generate(secret, step) {
+    const counter = Buffer.alloc(8);
+    counter.writeBigUInt64BE(BigInt(step));
+
+    const hmac = crypto.createHmac('sha1', this.base32Decode(secret)).update(counter).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+    return String(binary % (10 ** Totp.DIGITS)).padStart(Totp.DIGITS, '0');
+  }
+
+  /**
+   * Finds the time step of a code, tolerating clock drift of `window` steps
+   * @param {string} secret - Base32 secret
+   * @param {string} code - Code to verify
+   * @param {Object} [options] - Options
+   * @param {number} [options.window=1] - Steps accepted before and after the current one
+   * @param {number} [options.timestamp=Date.now()] - Time in milliseconds
+   * @returns {number|null} Matching time step or null
+   */
+  static findStep(secret, code, options = {}) {
+    const { window = 1, timestamp = Date.now() } = options;
+
+    if (typeof code !== 'string' || !new RegExp(`^\\d{${Totp.DIGITS}}$`).test(code)) {
+      return null;
+    }
+
+    const current = this.getStep(timestamp);
+    for (let step = current - window; step <= current + window; step++) {
+      if (this.safeEqual(this.generate(secret, step), code)) {
+        return step;
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Builds the otpauth:// URI that authenticator apps import (usually rendered as a QR code)
+   * @param {Object} params - URI parameters
+   * @param {string} params.issuer - Issuer shown by the app
+   * @param {string} params.accountName - Account label shown by the app
+   * @param {string} params.secret - Base32 secret
+   * @returns {string} otpauth URI
+   */
+  static buildUri({ issuer, accountName, secret }) {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const query = Object.entries({
+      secret,
+      issuer,
+      algorithm: 'SHA1',
+      digits: Totp.DIGITS,
+      period: Totp.PERIOD
+    }).map(([key, value]) => `${key}=${encodeURIComponent(value)}`).join('&');
+
+    return `otpauth://totp/${label}?${query}`;
+  }
+
+  /**
+   * Encodes bytes as RFC 4648 base32 (no padding)
+   * @param {Buffer} buffer - Bytes
+   * @returns {string} Base32 string
+   */
+  static base32Encode(buffer) {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+      value = (value << 8) | byte;
+      bits += 8;
+      while (bits >= 5) {
+        output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+        bits -= 5;
+      }
+    }
+
+    if (bits > 0) {
+      output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+  }
+
+  /**
+   * Decodes an RFC 4648 base32 string (case-insensitive, padding and spaces ignored)
+   * @param {string} input - Base32 string
+   * @returns {Buffer} Bytes
+   */
+  static base32Decode(input) {
+    const cleaned = String(input).toUpperCase().replace(/[\s=]/g, '');
+    const bytes = [];
+    let bits = 0;
+    let value = 0;
+
+    for (const char of cleaned) {
+      const index = BASE32_ALPHABET.indexOf(char);
+      if (index === -1) {
+        throw new Error(`Invalid base32 character: ${char}`);
+      }
+
+      value = (value << 5) | index;
+      bits += 5;
+      if (bits >= 8) {
+        bytes.push((value >>> (bits - 8)) & 255);
+        bits -= 8;
+      }
+    }
+
+    return Buffer.from(bytes);
+  }
+
+  /**
+   * Compares two codes in constant time
+   * @param {string} a - First code
+   * @param {string} b - Second code
+   * @returns {boolean} True if equal
+   */
+  static safeEqual(a, b) {
+    const bufferA = Buffer.from(a);
+    const bufferB = Buffer.from(b);
+    return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+  }
+}
+
+Totp.PERIOD = 30;
+Totp.DIGITS = 6;
+
+module.exports = { Totp };
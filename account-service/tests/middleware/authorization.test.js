@@ -0,0 +1,100 @@
+jest.mock('../../src/services/PolicyEngine', () => jest.fn());
+jest.mock('../../src/repositories/RepositoryFactory', () => ({ repositoryFactory: {} }));
+
+const { authorizationMiddleware } = require('../../src/middleware/authorization');
+
+const buildRequest = (headers, user = { userId: 'user-1', accountId: '123456789012', username: 'alice' }) => ({
+  ip: '10.0.0.1',
+  headers,
+  user,
+  get: (name) => headers[name.toLowerCase()]
+});
+
+describe('authorization middleware', () => {
+  describe('buildContext', () => {
+    it('adds service keys from x-context-* headers', () => {
+      const context = authorizationMiddleware.buildContext(buildRequest({ 'x-context-s3:prefix': 'home/alice/' }));
+
+      expect(context['s3:prefix']).toBe('home/alice/');
+    });
+
+    it('ignores reserved keys sent as headers', () => {
+      const context = authorizationMiddleware.buildContext(buildRequest({
+        'x-context-aws:multifactorauthpresent': 'true',
+        'x-context-aws:sourceip': '192.168.0.1',
+        'x-context-sts:externalid': 'forged',
+        'x-context-saml:sub': 'admin',
+        'x-context-accounts.google.com:sub': 'admin',
+        'x-context-app:email': 'admin@example.com'
+      }));
+
+      expect(context['aws:MultiFactorAuthPresent']).toBe('false');
+      expect(context['aws:SourceIp']).toBe('10.0.0.1');
+      expect(Object.keys(context).sort()).toEqual([
+        'aws:CurrentTime',
+        'aws:EpochTime',
+        'aws:MultiFactorAuthPresent',
+        'aws:PrincipalAccount',
+        'aws:PrincipalArn',
+        'aws:PrincipalType',
+        'aws:RequestedRegion',
+        'aws:SourceIp',
+        'aws:UserAgent',
+        'aws:userid',
+        'aws:username'
+      ]);
+    });
+
+    it('ignores principal tag headers', () => {
+      const context = authorizationMiddleware.buildContext(buildRequest({ 'x-context-aws:principaltag/team': 'admins' }));
+
+      expect(Object.keys(context).some(key => key.toLowerCase().startsWith('aws:principaltag/'))).toBe(false);
+    });
+
+    it('sets the principal keys from the authenticated user', () => {
+      const context = authorizationMiddleware.buildContext(buildRequest({ 'x-context-aws:username': 'root' }));
+
+      expect(context).toMatchObject({
+        'aws:username': 'alice',
+        'aws:userid': 'user-1',
+        'aws:PrincipalAccount': '123456789012',
+        'aws:PrincipalType': 'User',
+        'aws:PrincipalArn': 'arn:aws:iam::123456789012:user/alice'
+      });
+    });
+
+    it('sets the principal keys of a role session', () => {
+      const context = authorizationMiddleware.buildContext(buildRequest({}, {
+        userId: null,
+        accountId: '123456789012',
+        roleSession: { roleId: 'role-1', roleArn: 'arn:aws:iam::123456789012:role/Deploy', sessionName: 'ci' }
+      }));
+
+      expect(context).toMatchObject({
+        'aws:userid': 'role-1:ci',
+        'aws:PrincipalType': 'AssumedRole',
+        'aws:PrincipalArn': 'arn:aws:iam::123456789012:role/Deploy'
+      });
+      expect(context['aws:username']).toBeUndefined();
+    });
+  });
+
+  describe('isReservedContextKey', () => {
+    it.each([
+      'aws:username',
+      'AWS:PrincipalTag/team',
+      'sts:ExternalId',
+      'saml:sub',
+      'accounts.google.com:sub',
+      'token.actions.githubusercontent.com:aud',
+      'issuer/path:amr',
+      'custom:email'
+    ])('reserves %s', (key) => {
+      expect(authorizationMiddleware.isReservedContextKey(key)).toBe(true);
+    });
+
+    it.each(['s3:prefix', 'ec2:InstanceType', 'plain'])('allows %s', (key) => {
+      expect(authorizationMiddleware.isReservedContextKey(key)).toBe(false);
+    });
+  });
+});
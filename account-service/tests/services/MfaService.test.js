@@ -0,0 +1,152 @@
+jest.mock('../../src/repositories/RepositoryFactory', () => ({ repositoryFactory: {} }));
+jest.mock('../../src/utils/Transaction', () => ({
+  Transaction: { execute: (operations) => operations('transaction') }
+}));
+
+const crypto = require('crypto');
+const MfaDevice = require('../../src/models/MfaDevice');
+const { MfaService } = require('../../src/services/MfaService');
+const { SecretCipher } = require('../../src/utils/SecretCipher');
+const { Totp } = require('../../src/utils/Totp');
+
+const user = { userId: 'user-1', accountId: '123456789012', username: 'alice' };
+
+function createRepository() {
+  const usedSteps = new Set();
+  let recoveryCodeHashes = [];
+  let device = null;
+
+  return {
+    get device() {
+      return device;
+    },
+    findByUserId: jest.fn(async () => device),
+    savePending: jest.fn(async (pending) => {
+      device = new MfaDevice({ ...pending, id: 'device-1' });
+      return device;
+    }),
+    activate: jest.fn(async (deviceId, lastUsedStep) => {
+      usedSteps.add(lastUsedStep);
+      device = new MfaDevice({ ...device, status: MfaDevice.STATUS.ACTIVE });
+      return device;
+    }),
+    useStep: jest.fn(async (deviceId, step) => {
+      if ([...usedSteps].some(used => used >= step)) {
+        return false;
+      }
+      usedSteps.add(step);
+      return true;
+    }),
+    replaceRecoveryCodes: jest.fn(async (userId, hashes) => {
+      recoveryCodeHashes = [...hashes];
+    }),
+    useRecoveryCode: jest.fn(async (userId, hash) => {
+      const index = recoveryCodeHashes.indexOf(hash);
+      if (index === -1) {
+        return false;
+      }
+      recoveryCodeHashes.splice(index, 1);
+      return true;
+    }),
+    countRecoveryCodes: jest.fn(async () => recoveryCodeHashes.length)
+  };
+}
+
+describe('MfaService', () => {
+  const cipher = new SecretCipher('test-encryption-key');
+  let repository;
+  let service;
+
+  beforeEach(() => {
+    repository = createRepository();
+    service = new MfaService(repository, cipher);
+  });
+
+  async function enrollAndActivate() {
+    const { secret } = await service.enroll(user);
+    const step = Totp.getStep();
+    const { recoveryCodes } = await service.activate(user.userId, user.accountId,
+      Totp.generate(secret, step - 1), Totp.generate(secret, step));
+    return { secret, recoveryCodes, step };
+  }
+
+  describe('enroll', () => {
+    it('stores the secret encrypted with SecretCipher', async () => {
+      const { secret, otpauthUri } = await service.enroll(user);
+      const stored = repository.savePending.mock.calls[0][0];
+
+      expect(stored.encryptedSecret).not.toContain(secret);
+      expect(cipher.decrypt(stored.encryptedSecret)).toBe(secret);
+      expect(otpauthUri).toContain(`secret=${secret}`);
+    });
+  });
+
+  describe('activate', () => {
+    it('requires two consecutive codes', async () => {
+      const { secret } = await service.enroll(user);
+      const step = Totp.getStep();
+
+      await expect(service.activate(user.userId, user.accountId, Totp.generate(secret, step), Totp.generate(secret, step)))
+        .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+      expect(repository.activate).not.toHaveBeenCalled();
+    });
+
+    it('stores only hashes of the recovery codes', async () => {
+      const { recoveryCodes } = await enrollAndActivate();
+      const [, hashes] = repository.replaceRecoveryCodes.mock.calls[0];
+
+      expect(recoveryCodes).toHaveLength(10);
+      recoveryCodes.forEach(code => expect(code).toMatch(/^[0-9a-f]{5}-[0-9a-f]{5}$/));
+      expect(hashes).toEqual(recoveryCodes.map(code => crypto.createHash('sha256').update(code.replace('-', '')).digest('hex')));
+    });
+  });
+
+  describe('verifyLogin', () => {
+    it('returns null for users without an active device', async () => {
+      await expect(service.verifyLogin({ id: user.userId, accountId: user.accountId }, { mfaCode: '123456' })).resolves.toBeNull();
+    });
+
+    it('requires a second factor once a device is active', async () => {
+      await enrollAndActivate();
+
+      await expect(service.verifyLogin({ id: user.userId, accountId: user.accountId }, {}))
+        .rejects.toMatchObject({ code: 'MFA_REQUIRED' });
+    });
+
+    it('rejects a code whose time step was already used', async () => {
+      const { secret, step } = await enrollAndActivate();
+      const login = { id: user.userId, accountId: user.accountId };
+
+      // The activation consumed the current step
+      await expect(service.verifyLogin(login, { mfaCode: Totp.generate(secret, step) }))
+        .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+
+      await expect(service.verifyLogin(login, { mfaCode: Totp.generate(secret, step + 1) }))
+        .resolves.toEqual({ method: 'totp' });
+      await expect(service.verifyLogin(login, { mfaCode: Totp.generate(secret, step + 1) }))
+        .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+    });
+
+    it('accepts each recovery code once, ignoring case, spaces and dashes', async () => {
+      const { recoveryCodes } = await enrollAndActivate();
+      const login = { id: user.userId, accountId: user.accountId };
+      const [first, second] = recoveryCodes;
+
+      await expect(service.verifyLogin(login, { recoveryCode: first.toUpperCase() }))
+        .resolves.toEqual({ method: 'recovery_code' });
+      await expect(service.verifyLogin(login, { recoveryCode: first }))
+        .rejects.toMatchObject({ code: 'INVALID_MFA_CODE' });
+      await expect(service.verifyLogin(login, { recoveryCode: ` ${second.replace('-', ' ')} ` }))
+        .resolves.toEqual({ method: 'recovery_code' });
+      await expect(service.getStatus(user.userId, user.accountId))
+        .resolves.toMatchObject({ enabled: true, recoveryCodesRemaining: 8 });
+    });
+  });
+
+  describe('hashRecoveryCode', () => {
+    it('normalizes the code before hashing', () => {
+      expect(service.hashRecoveryCode('ABCDE-12345')).toBe(service.hashRecoveryCode('abcde12345'));
+      expect(service.hashRecoveryCode('abcde-12345')).not.toBe(service.hashRecoveryCode('abcde-12346'));
+    });
+  });
+});
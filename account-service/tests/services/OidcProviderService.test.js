@@ -0,0 +1,264 @@
+jest.mock('../../src/repositories/RepositoryFactory', () => ({ repositoryFactory: {} }));
+
+const crypto = require('crypto');
+const OAuthClient = require('../../src/models/OAuthClient');
+const RefreshTokenFamily = require('../../src/models/RefreshTokenFamily');
+const { OidcProviderService } = require('../../src/services/OidcProviderService');
+
+const ACCOUNT_ID = '111111111111';
+const REDIRECT_URI = 'https://app.example.com/callback';
+const CLIENT_SECRET = 'client-secret';
+
+const challengeFor = (verifier) => crypto.createHash('sha256').update(verifier).digest('base64url');
+
+function createOAuthRepository(clients) {
+  const codes = new Map();
+
+  return {
+    codes,
+    findClientById: jest.fn(async (clientId) => clients.find(client => client.clientId === clientId) || null),
+    findConsent: jest.fn(async () => null),
+    upsertConsent: jest.fn(async () => {}),
+    createAuthorizationCode: jest.fn(async (code) => {
+      codes.set(code.codeHash, code);
+    }),
+    consumeAuthorizationCode: jest.fn(async (codeHash) => {
+      const code = codes.get(codeHash) || null;
+      if (!code) {
+        return { code: null, alreadyConsumed: false };
+      }
+      const alreadyConsumed = Boolean(code.consumedAt);
+      code.consumedAt = code.consumedAt || new Date();
+      return { code, alreadyConsumed };
+    }),
+    setAuthorizationCodeSession: jest.fn(async (codeHash, sessionId) => {
+      codes.get(codeHash).sessionId = sessionId;
+    })
+  };
+}
+
+function createAuthService() {
+  const families = new Map();
+  const accessTokens = new Map();
+  const securityEvents = { log: jest.fn(async () => {}) };
+  let sessions = 0;
+
+  return {
+    families,
+    accessTokens,
+    securityEvents,
+    accessTokenExpiry: '15m',
+    generateTokens: jest.fn(async (user, options) => {
+      sessions += 1;
+      const sessionId = `session-${sessions}`;
+      const accessToken = `access-${sessions}`;
+      families.set(sessionId, new RefreshTokenFamily({
+        id: sessionId,
+        accountId: user.accountId,
+        userId: user.id,
+        expiresAt: new Date(Date.now() + 60 * 60 * 1000)
+      }));
+      accessTokens.set(accessToken, {
+        userId: user.id,
+        accountId: user.accountId,
+        username: user.username,
+        client_id: options.clientId,
+        scope: options.scope,
+        fid: sessionId
+      });
+      return { accessToken, refreshToken: `refresh-${sessions}`, expiresIn: 900, sessionId };
+    }),
+    getRefreshTokenFamilyRepository: () => ({ findById: async (id) => families.get(id) || null }),
+    revokeTokenFamily: jest.fn(async (family) => {
+      family.revokedAt = new Date();
+    }),
+    getSecurityEventService: () => securityEvents,
+    verifyAccessToken: jest.fn(async (token) => {
+      if (!accessTokens.has(token)) {
+        throw new Error('Invalid token');
+      }
+      return accessTokens.get(token);
+    }),
+    verifyRefreshToken: jest.fn(async () => {
+      throw new Error('Invalid token');
+    })
+  };
+}
+
+describe('OidcProviderService', () => {
+  const user = { id: 'user-1', accountId: ACCOUNT_ID, username: 'alice', status: 'active' };
+  const session = { userId: user.id, iat: Math.floor(Date.now() / 1000) };
+  let publicClient;
+  let confidentialClient;
+  let otherAccountClient;
+  let oauthRepository;
+  let authService;
+  let service;
+
+  beforeEach(() => {
+    const clientData = { accountId: ACCOUNT_ID, redirectUris: [REDIRECT_URI], allowedScopes: ['openid', 'profile'], firstParty: true };
+    publicClient = new OAuthClient({ ...clientData, name: 'SPA' });
+    confidentialClient = new OAuthClient({
+      ...clientData,
+      name: 'Gateway',
+      clientType: OAuthClient.TYPES.CONFIDENTIAL,
+      clientSecretHash: OAuthClient.hashSecret(CLIENT_SECRET)
+    });
+    otherAccountClient = new OAuthClient({
+      ...clientData,
+      accountId: '222222222222',
+      name: 'Other',
+      clientType: OAuthClient.TYPES.CONFIDENTIAL,
+      clientSecretHash: OAuthClient.hashSecret(CLIENT_SECRET)
+    });
+
+    oauthRepository = createOAuthRepository([publicClient, confidentialClient, otherAccountClient]);
+    authService = createAuthService();
+    service = new OidcProviderService(authService, { getUserById: async () => user }, oauthRepository);
+  });
+
+  const authorizationParams = (overrides = {}) => ({
+    client_id: publicClient.clientId,
+    redirect_uri: REDIRECT_URI,
+    response_type: 'code',
+    scope: 'profile',
+    state: 'xyz',
+    code_challenge: challengeFor('a'.repeat(43)),
+    code_challenge_method: 'S256',
+    ...overrides
+  });
+
+  async function authorize(verifier = 'a'.repeat(43)) {
+    const { redirectTo } = await service.authorize(authorizationParams({ code_challenge: challengeFor(verifier) }), session);
+    return new URL(redirectTo).searchParams.get('code');
+  }
+
+  const exchange = (code, verifier = 'a'.repeat(43), overrides = {}) => service.exchangeToken(
+    { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: verifier, ...overrides },
+    { clientId: publicClient.clientId }
+  );
+
+  describe('PKCE', () => {
+    it.each([
+      ['without a code challenge', { code_challenge: undefined, code_challenge_method: undefined }],
+      ['with the plain method', { code_challenge: 'a'.repeat(43), code_challenge_method: 'plain' }],
+      ['with a malformed challenge', { code_challenge: 'short' }]
+    ])('rejects authorization requests %s', async (label, overrides) => {
+      await expect(service.authorize(authorizationParams(overrides), session)).rejects.toMatchObject({
+        code: 'INVALID_REQUEST',
+        redirect: { redirectUri: REDIRECT_URI, state: 'xyz' }
+      });
+      expect(oauthRepository.createAuthorizationCode).not.toHaveBeenCalled();
+    });
+
+    it('issues tokens for the verifier of the S256 challenge', async () => {
+      const code = await authorize();
+
+      await expect(exchange(code)).resolves.toMatchObject({ access_token: 'access-1', token_type: 'Bearer', scope: 'profile' });
+    });
+
+    it('rejects another verifier', async () => {
+      const code = await authorize();
+
+      await expect(exchange(code, 'b'.repeat(43))).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+      expect(authService.generateTokens).not.toHaveBeenCalled();
+    });
+
+    it('rejects the challenge itself sent as the verifier', async () => {
+      const verifier = 'a'.repeat(43);
+      const code = await authorize(verifier);
+
+      await expect(exchange(code, challengeFor(verifier))).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+    });
+  });
+
+  describe('authorization codes', () => {
+    it('stores only the hash of the code', async () => {
+      const code = await authorize();
+
+      expect([...oauthRepository.codes.keys()]).not.toContain(code);
+      expect(oauthRepository.codes.size).toBe(1);
+    });
+
+    it('can be exchanged only once', async () => {
+      const code = await authorize();
+
+      await exchange(code);
+      await expect(exchange(code)).rejects.toMatchObject({
+        code: 'INVALID_GRANT',
+        message: 'Authorization code has already been used'
+      });
+      expect(authService.generateTokens).toHaveBeenCalledTimes(1);
+    });
+
+    it('revokes the token family issued for a reused code', async () => {
+      const code = await authorize();
+      await exchange(code);
+      const family = authService.families.get('session-1');
+
+      await expect(exchange(code)).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+
+      expect(authService.revokeTokenFamily).toHaveBeenCalledWith(family, RefreshTokenFamily.REVOKED_REASONS.SECURITY, {});
+      expect(family.isActive()).toBe(false);
+      expect(authService.securityEvents.log).toHaveBeenCalledWith('authorization_code_reuse', expect.objectContaining({
+        severity: 'high',
+        userId: user.id,
+        details: { clientId: publicClient.clientId, sessionId: 'session-1' }
+      }));
+    });
+
+    it('rejects codes of another client, redirect URI or expired codes', async () => {
+      const code = await authorize();
+      await expect(service.exchangeToken(
+        { grant_type: 'authorization_code', code, redirect_uri: REDIRECT_URI, code_verifier: 'a'.repeat(43) },
+        { clientId: confidentialClient.clientId, clientSecret: CLIENT_SECRET }
+      )).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+
+      const otherCode = await authorize();
+      await expect(exchange(otherCode, 'a'.repeat(43), { redirect_uri: 'https://app.example.com/other' }))
+        .rejects.toMatchObject({ code: 'INVALID_GRANT' });
+
+      const expiredCode = await authorize();
+      [...oauthRepository.codes.values()].forEach(stored => {
+        stored.expiresAt = new Date(Date.now() - 1000);
+      });
+      await expect(exchange(expiredCode)).rejects.toMatchObject({ code: 'INVALID_GRANT' });
+    });
+  });
+
+  describe('introspection', () => {
+    let accessToken;
+
+    beforeEach(async () => {
+      ({ access_token: accessToken } = await exchange(await authorize()));
+    });
+
+    const introspect = (client, token = accessToken, clientSecret = CLIENT_SECRET) =>
+      service.introspectToken({ token }, { clientId: client.clientId, clientSecret });
+
+    it('describes active tokens of the client account to confidential clients', async () => {
+      await expect(introspect(confidentialClient)).resolves.toMatchObject({
+        active: true,
+        token_type: 'Bearer',
+        sub: user.id,
+        account_id: ACCOUNT_ID,
+        client_id: publicClient.clientId,
+        scope: 'profile',
+        session_id: 'session-1'
+      });
+    });
+
+    it('reports tokens of another account as inactive', async () => {
+      await expect(introspect(otherAccountClient)).resolves.toEqual({ active: false });
+    });
+
+    it('reports unknown tokens as inactive', async () => {
+      await expect(introspect(confidentialClient, 'not-a-token')).resolves.toEqual({ active: false });
+    });
+
+    it('requires an authenticated confidential client', async () => {
+      await expect(introspect(publicClient)).rejects.toMatchObject({ code: 'INVALID_CLIENT' });
+      await expect(introspect(confidentialClient, accessToken, 'wrong-secret')).rejects.toMatchObject({ code: 'INVALID_CLIENT' });
+    });
+  });
+});
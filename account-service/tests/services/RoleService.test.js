@@ -0,0 +1,176 @@
+jest.mock('../../src/repositories/RepositoryFactory', () => ({ RepositoryFactory: jest.fn(), repositoryFactory: {} }));
+
+const Role = require('../../src/models/Role');
+const RoleSession = require('../../src/models/RoleSession');
+const RoleService = require('../../src/services/RoleService');
+const { SecretCipher } = require('../../src/utils/SecretCipher');
+
+const ACCOUNT_ID = '111111111111';
+const USER_ARN = `arn:aws:iam::${ACCOUNT_ID}:user/alice`;
+const user = { userId: 'user-1', accountId: ACCOUNT_ID, username: 'alice' };
+
+function trustPolicy(statement) {
+  return {
+    Version: '2012-10-17',
+    Statement: [{ Effect: 'Allow', Principal: { AWS: USER_ARN }, Action: 'sts:AssumeRole', ...statement }]
+  };
+}
+
+describe('RoleService.assumeRole', () => {
+  const cipher = new SecretCipher('test-encryption-key');
+  let roles;
+  let roleRepository;
+  let service;
+
+  const addRole = (id, statement = {}, data = {}) => {
+    roles[id] = new Role({
+      id,
+      accountId: ACCOUNT_ID,
+      name: id,
+      maxSessionDuration: 43200,
+      assumeRolePolicyDocument: trustPolicy(statement),
+      ...data
+    });
+    return roles[id];
+  };
+
+  const assume = (roleId, options = {}, durationSeconds = 3600) =>
+    service.assumeRole(roleId, user.userId, 'alice-session', durationSeconds, { caller: user, context: {}, ...options });
+
+  beforeEach(() => {
+    roles = {};
+    roleRepository = {
+      findById: jest.fn(async (id) => roles[id] || null),
+      createSession: jest.fn(async (session) => new RoleSession(session))
+    };
+    service = new RoleService(roleRepository, {}, cipher);
+  });
+
+  it('issues temporary credentials and stores only the token hash and the encrypted secret', async () => {
+    addRole('Deploy');
+
+    const session = await assume('Deploy');
+    const stored = roleRepository.createSession.mock.calls[0][0];
+
+    expect(session.credentials.accessKeyId).toMatch(/^ASIA[0-9A-F]{24}$/);
+    expect(stored.sessionTokenHash).toBe(service.hashSessionToken(session.credentials.sessionToken));
+    expect(cipher.decrypt(stored.encryptedSecret)).toBe(session.credentials.secretAccessKey);
+    expect(service.getSessionSecret(new RoleSession(stored))).toBe(session.credentials.secretAccessKey);
+  });
+
+  it('denies callers the trust policy does not name', async () => {
+    addRole('Deploy', { Principal: { AWS: `arn:aws:iam::${ACCOUNT_ID}:user/bob` } });
+
+    await expect(assume('Deploy')).rejects.toMatchObject({ code: 'ASSUME_ROLE_DENIED' });
+    expect(roleRepository.createSession).not.toHaveBeenCalled();
+  });
+
+  describe('ExternalId', () => {
+    beforeEach(() => {
+      addRole('ThirdParty', { Condition: { StringEquals: { 'sts:ExternalId': 'ext-123' } } });
+    });
+
+    it('requires the external ID named by the trust policy', async () => {
+      await expect(assume('ThirdParty')).rejects.toMatchObject({
+        code: 'ASSUME_ROLE_DENIED',
+        details: { reason: 'The trust policy requires sts:ExternalId' }
+      });
+    });
+
+    it('rejects a different external ID', async () => {
+      await expect(assume('ThirdParty', { externalId: 'ext-999' })).rejects.toMatchObject({ code: 'ASSUME_ROLE_DENIED' });
+    });
+
+    it('records the external ID on the session', async () => {
+      const session = await assume('ThirdParty', { externalId: 'ext-123', sourceIp: '10.0.0.1' });
+
+      expect(session).toMatchObject({ externalId: 'ext-123', sourceIp: '10.0.0.1' });
+    });
+  });
+
+  describe('session tags', () => {
+    const tags = [{ key: 'Project', value: 'ci' }];
+
+    it('requires sts:TagSession in the trust policy', async () => {
+      addRole('Deploy');
+
+      await expect(assume('Deploy', { tags })).rejects.toMatchObject({
+        code: 'ASSUME_ROLE_DENIED',
+        message: expect.stringContaining('sts:TagSession')
+      });
+    });
+
+    it('evaluates aws:RequestTag conditions of the trust policy', async () => {
+      addRole('Deploy', {
+        Action: ['sts:AssumeRole', 'sts:TagSession'],
+        Condition: { StringEqualsIfExists: { 'aws:RequestTag/Project': 'ci' } }
+      });
+
+      await expect(assume('Deploy', { tags })).resolves.toMatchObject({ sessionTags: tags });
+      await expect(assume('Deploy', { tags: [{ key: 'Project', value: 'prod' }] }))
+        .rejects.toMatchObject({ code: 'ASSUME_ROLE_DENIED' });
+    });
+  });
+
+  describe('source identity', () => {
+    it('requires sts:SetSourceIdentity in the trust policy', async () => {
+      addRole('Deploy');
+
+      await expect(assume('Deploy', { sourceIdentity: 'alice' })).rejects.toMatchObject({
+        code: 'ASSUME_ROLE_DENIED',
+        message: expect.stringContaining('sts:SetSourceIdentity')
+      });
+    });
+
+    it('records the source identity when the trust policy allows it', async () => {
+      addRole('Deploy', { Action: ['sts:AssumeRole', 'sts:SetSourceIdentity'] });
+
+      await expect(assume('Deploy', { sourceIdentity: 'alice' })).resolves.toMatchObject({ sourceIdentity: 'alice' });
+    });
+
+    it('rejects a malformed source identity', async () => {
+      addRole('Deploy', { Action: ['sts:AssumeRole', 'sts:SetSourceIdentity'] });
+
+      await expect(assume('Deploy', { sourceIdentity: 'a' })).rejects.toMatchObject({ code: 'INVALID_SOURCE_IDENTITY' });
+    });
+  });
+
+  describe('session duration', () => {
+    let parent;
+
+    beforeEach(async () => {
+      const first = addRole('First');
+      addRole('Second', { Principal: { AWS: first.getArn() } });
+      parent = {
+        userId: null,
+        accountId: ACCOUNT_ID,
+        roleSession: {
+          sessionId: 'session-1',
+          roleId: first.id,
+          roleArn: first.getArn(),
+          roleName: first.name,
+          sessionName: 'first-session',
+          sessionChain: [],
+          sessionTags: [],
+          transitiveTagKeys: []
+        }
+      };
+    });
+
+    it('allows users up to the maximum session duration of the role', async () => {
+      await expect(assume('First', {}, 43200)).resolves.toBeInstanceOf(RoleSession);
+      await expect(assume('First', {}, 43201)).rejects.toMatchObject({ code: 'INVALID_SESSION_DURATION' });
+    });
+
+    it('caps chained sessions at one hour', async () => {
+      await expect(assume('Second', { caller: parent }, RoleSession.MAX_CHAINED_SESSION_DURATION + 1))
+        .rejects.toMatchObject({ code: 'INVALID_SESSION_DURATION' });
+    });
+
+    it('chains a session assumed by a role session', async () => {
+      const session = await assume('Second', { caller: parent }, RoleSession.MAX_CHAINED_SESSION_DURATION);
+
+      expect(session).toMatchObject({ parentSessionId: 'session-1', sessionChain: ['session-1'] });
+    });
+  });
+});
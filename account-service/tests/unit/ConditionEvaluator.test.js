@@ -0,0 +1,184 @@
+const { ConditionEvaluator } = require('../../src/utils/ConditionEvaluator');
+
+const evaluate = (operator, block, context) => ConditionEvaluator.evaluateOperator(operator, block, context);
+
+describe('ConditionEvaluator', () => {
+  describe('string operators', () => {
+    it('StringEquals is case-sensitive and matches any expected value', () => {
+      expect(evaluate('StringEquals', { 'aws:username': ['alice', 'bob'] }, { 'aws:username': 'bob' })).toBe(true);
+      expect(evaluate('StringEquals', { 'aws:username': 'alice' }, { 'aws:username': 'Alice' })).toBe(false);
+    });
+
+    it('StringEqualsIgnoreCase ignores case', () => {
+      expect(evaluate('StringEqualsIgnoreCase', { 'aws:username': 'alice' }, { 'aws:username': 'ALICE' })).toBe(true);
+    });
+
+    it('StringNotEquals is the negation of StringEquals', () => {
+      expect(evaluate('StringNotEquals', { 'aws:username': 'alice' }, { 'aws:username': 'bob' })).toBe(true);
+      expect(evaluate('StringNotEquals', { 'aws:username': 'alice' }, { 'aws:username': 'alice' })).toBe(false);
+    });
+
+    it('StringLike supports * and ? wildcards', () => {
+      expect(evaluate('StringLike', { 's3:prefix': 'home/*' }, { 's3:prefix': 'home/alice/docs' })).toBe(true);
+      expect(evaluate('StringLike', { 's3:prefix': 'file-?.txt' }, { 's3:prefix': 'file-1.txt' })).toBe(true);
+      expect(evaluate('StringLike', { 's3:prefix': 'file-?.txt' }, { 's3:prefix': 'file-10.txt' })).toBe(false);
+      expect(evaluate('StringNotLike', { 's3:prefix': 'home/*' }, { 's3:prefix': 'tmp/x' })).toBe(true);
+    });
+
+    it('treats regular expression characters in patterns literally', () => {
+      expect(evaluate('StringLike', { 's3:prefix': 'a.b*' }, { 's3:prefix': 'a.bc' })).toBe(true);
+      expect(evaluate('StringLike', { 's3:prefix': 'a.b*' }, { 's3:prefix': 'axbc' })).toBe(false);
+    });
+
+    it('looks up condition keys case-insensitively', () => {
+      expect(evaluate('StringEquals', { 'AWS:UserName': 'alice' }, { 'aws:username': 'alice' })).toBe(true);
+    });
+  });
+
+  describe('numeric and date operators', () => {
+    it('compares numbers', () => {
+      const context = { 's3:max-keys': '10' };
+      expect(evaluate('NumericEquals', { 's3:max-keys': 10 }, context)).toBe(true);
+      expect(evaluate('NumericNotEquals', { 's3:max-keys': 10 }, context)).toBe(false);
+      expect(evaluate('NumericLessThan', { 's3:max-keys': '11' }, context)).toBe(true);
+      expect(evaluate('NumericLessThanEquals', { 's3:max-keys': '10' }, context)).toBe(true);
+      expect(evaluate('NumericGreaterThan', { 's3:max-keys': '10' }, context)).toBe(false);
+      expect(evaluate('NumericGreaterThanEquals', { 's3:max-keys': '10' }, context)).toBe(true);
+    });
+
+    it('does not match values that are not numbers', () => {
+      expect(evaluate('NumericEquals', { 's3:max-keys': '10' }, { 's3:max-keys': 'ten' })).toBe(false);
+    });
+
+    it('compares ISO 8601 dates and epoch seconds', () => {
+      const context = { 'aws:CurrentTime': '2024-06-01T12:00:00Z' };
+      expect(evaluate('DateLessThan', { 'aws:CurrentTime': '2025-01-01T00:00:00Z' }, context)).toBe(true);
+      expect(evaluate('DateGreaterThan', { 'aws:CurrentTime': '2025-01-01T00:00:00Z' }, context)).toBe(false);
+      expect(evaluate('DateEquals', { 'aws:CurrentTime': '1717243200' }, context)).toBe(true);
+      expect(evaluate('DateGreaterThanEquals', { 'aws:CurrentTime': '2024-06-01T12:00:00Z' }, context)).toBe(true);
+    });
+  });
+
+  describe('Bool, BinaryEquals, ArnLike and IpAddress', () => {
+    it('Bool compares booleans and their string form', () => {
+      expect(evaluate('Bool', { 'aws:MultiFactorAuthPresent': 'true' }, { 'aws:MultiFactorAuthPresent': true })).toBe(true);
+      expect(evaluate('Bool', { 'aws:MultiFactorAuthPresent': 'true' }, { 'aws:MultiFactorAuthPresent': 'false' })).toBe(false);
+    });
+
+    it('BinaryEquals compares base64 values', () => {
+      const encoded = Buffer.from('payload').toString('base64');
+      expect(evaluate('BinaryEquals', { 'app:data': encoded }, { 'app:data': Buffer.from('payload') })).toBe(true);
+      expect(evaluate('BinaryEquals', { 'app:data': encoded }, { 'app:data': Buffer.from('other') })).toBe(false);
+    });
+
+    it('ArnLike matches each ARN segment with wildcards', () => {
+      const context = { 'aws:SourceArn': 'arn:aws:iam::123456789012:role/Deploy' };
+      expect(evaluate('ArnLike', { 'aws:SourceArn': 'arn:aws:iam::*:role/*' }, context)).toBe(true);
+      expect(evaluate('ArnEquals', { 'aws:SourceArn': 'arn:aws:iam::123456789012:role/Deploy' }, context)).toBe(true);
+      expect(evaluate('ArnLike', { 'aws:SourceArn': 'arn:aws:s3:::*' }, context)).toBe(false);
+      expect(evaluate('ArnNotLike', { 'aws:SourceArn': 'arn:aws:s3:::*' }, context)).toBe(true);
+    });
+
+    it('IpAddress and NotIpAddress match CIDR ranges', () => {
+      const context = { 'aws:SourceIp': '10.1.2.3' };
+      expect(evaluate('IpAddress', { 'aws:SourceIp': ['192.168.0.0/16', '10.0.0.0/8'] }, context)).toBe(true);
+      expect(evaluate('NotIpAddress', { 'aws:SourceIp': '10.0.0.0/8' }, context)).toBe(false);
+    });
+  });
+
+  describe('missing keys, Null and IfExists', () => {
+    it('fails positive operators and passes negated operators when the key is absent', () => {
+      expect(evaluate('StringEquals', { 'aws:username': 'alice' }, {})).toBe(false);
+      expect(evaluate('StringNotEquals', { 'aws:username': 'alice' }, {})).toBe(true);
+    });
+
+    it('passes IfExists operators only when the key is absent or matches', () => {
+      expect(evaluate('StringEqualsIfExists', { 'aws:username': 'alice' }, {})).toBe(true);
+      expect(evaluate('StringEqualsIfExists', { 'aws:username': 'alice' }, { 'aws:username': 'alice' })).toBe(true);
+      expect(evaluate('StringEqualsIfExists', { 'aws:username': 'alice' }, { 'aws:username': 'bob' })).toBe(false);
+      expect(evaluate('NumericLessThanIfExists', { 's3:max-keys': 10 }, { 's3:max-keys': 20 })).toBe(false);
+    });
+
+    it('Null checks whether the key is absent', () => {
+      expect(evaluate('Null', { 'aws:TokenIssueTime': 'true' }, {})).toBe(true);
+      expect(evaluate('Null', { 'aws:TokenIssueTime': 'false' }, {})).toBe(false);
+      expect(evaluate('Null', { 'aws:TokenIssueTime': 'false' }, { 'aws:TokenIssueTime': '2024-01-01T00:00:00Z' })).toBe(true);
+      expect(evaluate('Null', { 'aws:TagKeys': 'true' }, { 'aws:TagKeys': [] })).toBe(true);
+    });
+
+    it('rejects Null combined with IfExists or a set qualifier', () => {
+      expect(ConditionEvaluator.isSupportedOperator('NullIfExists')).toBe(false);
+      expect(ConditionEvaluator.isSupportedOperator('ForAnyValue:Null')).toBe(false);
+    });
+  });
+
+  describe('set qualifiers', () => {
+    const context = { 'aws:TagKeys': ['Project', 'Owner'] };
+
+    it('ForAnyValue passes when at least one context value matches', () => {
+      expect(evaluate('ForAnyValue:StringEquals', { 'aws:TagKeys': ['Project'] }, context)).toBe(true);
+      expect(evaluate('ForAnyValue:StringEquals', { 'aws:TagKeys': ['Cost'] }, context)).toBe(false);
+    });
+
+    it('ForAnyValue fails when the key is absent or empty', () => {
+      expect(evaluate('ForAnyValue:StringEquals', { 'aws:TagKeys': ['Project'] }, {})).toBe(false);
+      expect(evaluate('ForAnyValue:StringEquals', { 'aws:TagKeys': ['Project'] }, { 'aws:TagKeys': [] })).toBe(false);
+    });
+
+    it('ForAllValues passes only when every context value matches', () => {
+      expect(evaluate('ForAllValues:StringEquals', { 'aws:TagKeys': ['Project', 'Owner', 'Cost'] }, context)).toBe(true);
+      expect(evaluate('ForAllValues:StringEquals', { 'aws:TagKeys': ['Project'] }, context)).toBe(false);
+    });
+
+    it('ForAllValues passes when the key is absent or empty', () => {
+      expect(evaluate('ForAllValues:StringEquals', { 'aws:TagKeys': ['Project'] }, {})).toBe(true);
+      expect(evaluate('ForAllValues:StringEquals', { 'aws:TagKeys': ['Project'] }, { 'aws:TagKeys': [] })).toBe(true);
+    });
+
+    it('applies negated operators to each value', () => {
+      expect(evaluate('ForAllValues:StringNotEquals', { 'aws:TagKeys': ['Secret'] }, context)).toBe(true);
+      expect(evaluate('ForAnyValue:StringNotLike', { 'aws:TagKeys': ['Pro*'] }, context)).toBe(true);
+      expect(evaluate('ForAllValues:StringNotLike', { 'aws:TagKeys': ['Pro*'] }, context)).toBe(false);
+    });
+
+    it('combines a set qualifier with IfExists', () => {
+      expect(evaluate('ForAnyValue:StringLikeIfExists', { 'aws:TagKeys': ['Pro*'] }, {})).toBe(true);
+      expect(evaluate('ForAnyValue:StringLikeIfExists', { 'aws:TagKeys': ['Pro*'] }, context)).toBe(true);
+    });
+  });
+
+  describe('evaluateConditions', () => {
+    it('requires every operator and every key to pass', () => {
+      const conditions = {
+        StringEquals: { 'aws:username': 'alice' },
+        IpAddress: { 'aws:SourceIp': '10.0.0.0/8' }
+      };
+
+      expect(ConditionEvaluator.evaluateConditions(conditions, { 'aws:username': 'alice', 'aws:SourceIp': '10.0.0.1' })).toBe(true);
+      expect(ConditionEvaluator.evaluateConditions(conditions, { 'aws:username': 'alice', 'aws:SourceIp': '172.16.0.1' })).toBe(false);
+    });
+
+    it('fails closed on unknown operators', () => {
+      const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      expect(ConditionEvaluator.evaluateConditions({ StringSortOf: { 'aws:username': 'alice' } }, { 'aws:username': 'alice' })).toBe(false);
+
+      warn.mockRestore();
+    });
+  });
+
+  describe('validateConditions', () => {
+    it('reports unsupported operators and invalid CIDR ranges', () => {
+      const errors = ConditionEvaluator.validateConditions({
+        StringSortOf: { 'aws:username': 'alice' },
+        IpAddress: { 'aws:SourceIp': ['10.0.0.0/8', '10.0.0.0/33', 'not-an-ip'] }
+      });
+
+      expect(errors).toEqual([
+        'Unsupported condition operator: StringSortOf',
+        'Invalid IP address or CIDR range for IpAddress aws:SourceIp: 10.0.0.0/33',
+        'Invalid IP address or CIDR range for IpAddress aws:SourceIp: not-an-ip'
+      ]);
+    });
+  });
+});
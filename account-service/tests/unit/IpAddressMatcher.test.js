@@ -0,0 +1,84 @@
+const { IpAddressMatcher } = require('../../src/utils/IpAddressMatcher');
+
+describe('IpAddressMatcher', () => {
+  describe('IPv4', () => {
+    it('matches addresses inside a CIDR range', () => {
+      expect(IpAddressMatcher.matches('10.255.255.255', '10.0.0.0/8')).toBe(true);
+      expect(IpAddressMatcher.matches('11.0.0.0', '10.0.0.0/8')).toBe(false);
+      expect(IpAddressMatcher.matches('192.168.1.127', '192.168.1.0/25')).toBe(true);
+      expect(IpAddressMatcher.matches('192.168.1.128', '192.168.1.0/25')).toBe(false);
+    });
+
+    it('treats /0 as every address and /32 or a bare address as one address', () => {
+      expect(IpAddressMatcher.matches('203.0.113.9', '0.0.0.0/0')).toBe(true);
+      expect(IpAddressMatcher.matches('203.0.113.9', '203.0.113.9/32')).toBe(true);
+      expect(IpAddressMatcher.matches('203.0.113.10', '203.0.113.9/32')).toBe(false);
+      expect(IpAddressMatcher.matches('203.0.113.9', '203.0.113.9')).toBe(true);
+    });
+
+    it('ignores host bits set in the range', () => {
+      expect(IpAddressMatcher.matches('10.0.0.1', '10.0.0.77/24')).toBe(true);
+    });
+  });
+
+  describe('IPv6', () => {
+    it('matches addresses inside a CIDR range, with :: compression', () => {
+      expect(IpAddressMatcher.matches('2001:db8::1', '2001:db8::/32')).toBe(true);
+      expect(IpAddressMatcher.matches('2001:db8:ffff:ffff:ffff:ffff:ffff:ffff', '2001:db8::/32')).toBe(true);
+      expect(IpAddressMatcher.matches('2001:db9::1', '2001:db8::/32')).toBe(false);
+      expect(IpAddressMatcher.matches('2001:0db8:0000:0000:0000:0000:0000:0001', '2001:db8::1/128')).toBe(true);
+    });
+
+    it('treats ::/0 as every IPv6 address', () => {
+      expect(IpAddressMatcher.matches('fe80::1', '::/0')).toBe(true);
+    });
+
+    it('strips a zone index', () => {
+      expect(IpAddressMatcher.matches('fe80::1%eth0', 'fe80::/10')).toBe(true);
+    });
+  });
+
+  describe('IPv4-mapped IPv6 addresses', () => {
+    it('matches mapped addresses against IPv4 ranges and the reverse', () => {
+      expect(IpAddressMatcher.matches('::ffff:10.0.0.1', '10.0.0.0/8')).toBe(true);
+      expect(IpAddressMatcher.matches('10.0.0.1', '::ffff:10.0.0.0/104')).toBe(true);
+      expect(IpAddressMatcher.matches('10.1.0.1', '::ffff:10.0.0.0/112')).toBe(false);
+    });
+
+    it('rejects mapped ranges with a prefix shorter than the ::ffff: prefix', () => {
+      expect(IpAddressMatcher.isValidRange('::ffff:10.0.0.0/95')).toBe(false);
+    });
+  });
+
+  it('never matches an IPv4 address against an IPv6 range', () => {
+    expect(IpAddressMatcher.matches('10.0.0.1', '::/0')).toBe(false);
+    expect(IpAddressMatcher.matches('2001:db8::1', '0.0.0.0/0')).toBe(false);
+  });
+
+  it('matchesAny accepts a single range or a list', () => {
+    expect(IpAddressMatcher.matchesAny('10.0.0.1', '10.0.0.0/8')).toBe(true);
+    expect(IpAddressMatcher.matchesAny('10.0.0.1', ['192.168.0.0/16', '10.0.0.0/8'])).toBe(true);
+    expect(IpAddressMatcher.matchesAny('172.16.0.1', ['192.168.0.0/16', '10.0.0.0/8'])).toBe(false);
+  });
+
+  describe('invalid input', () => {
+    it.each([
+      ['10.0.0.0/33'],
+      ['2001:db8::/129'],
+      ['10.0.0.0/-1'],
+      ['10.0.0.0/8/8'],
+      ['10.0.0.256'],
+      ['not-an-ip'],
+      [''],
+      [null]
+    ])('rejects the range %p', (range) => {
+      expect(IpAddressMatcher.isValidRange(range)).toBe(false);
+      expect(IpAddressMatcher.matches('10.0.0.1', range)).toBe(false);
+    });
+
+    it('never matches an invalid address', () => {
+      expect(IpAddressMatcher.matches('10.0.0', '0.0.0.0/0')).toBe(false);
+      expect(IpAddressMatcher.matches(undefined, '0.0.0.0/0')).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,117 @@
+jest.mock('../../src/repositories/RepositoryFactory', () => ({
+  repositoryFactory: new Proxy({}, { get: () => () => ({}) })
+}));
+
+const { PolicyVariables } = require('../../src/utils/PolicyVariables');
+const PolicyEngine = require('../../src/services/PolicyEngine');
+
+const context = {
+  'aws:username': 'alice',
+  'aws:userid': 'AIDA123',
+  'aws:PrincipalTag/team': 'blue'
+};
+
+describe('PolicyVariables', () => {
+  describe('substitute', () => {
+    it('replaces variables with context values, looking keys up case-insensitively', () => {
+      expect(PolicyVariables.substitute('arn:aws:s3:::bucket/home/${aws:username}/*', context))
+        .toBe('arn:aws:s3:::bucket/home/alice/*');
+      expect(PolicyVariables.substitute('${AWS:UserName}-${aws:PrincipalTag/team}', context)).toBe('alice-blue');
+    });
+
+    it('uses the default value when the key is not in the context', () => {
+      expect(PolicyVariables.substitute("team/${aws:PrincipalTag/cost, 'none'}", context)).toBe('team/none');
+    });
+
+    it('resolves the ${*}, ${?} and ${$} literals', () => {
+      expect(PolicyVariables.substitute('a${*}b${?}c${$}', context)).toBe('a*b?c$');
+    });
+
+    it('returns null when a variable has no value and no default', () => {
+      expect(PolicyVariables.substitute('home/${aws:PrincipalTag/cost}', context)).toBeNull();
+      expect(PolicyVariables.substitute('home/${aws:username}', { 'aws:username': ['a', 'b'] })).toBeNull();
+    });
+
+    it('escapes wildcards in substituted text when resolving a pattern', () => {
+      const resolved = PolicyVariables.substitute('home/${aws:username}/*', { 'aws:username': 'a*' }, { pattern: true });
+
+      expect(resolved).toBe('home/a\\*/*');
+    });
+
+    it('leaves values without variables untouched', () => {
+      expect(PolicyVariables.substitute('home/*', context)).toBe('home/*');
+      expect(PolicyVariables.substitute(42, context)).toBe(42);
+    });
+  });
+
+  describe('validate', () => {
+    it('reports unknown and malformed variables', () => {
+      expect(PolicyVariables.validate('${aws:username}/${aws:PrincipalTag/team}')).toEqual([]);
+      expect(PolicyVariables.validate('${aws:password}')).toEqual(['Unknown policy variable: ${aws:password}']);
+      expect(PolicyVariables.validate('${aws:username, default}')).toEqual(['Malformed policy variable: ${aws:username, default}']);
+      expect(PolicyVariables.validate('${aws:PrincipalTag/}')).toEqual(['Unknown policy variable: ${aws:PrincipalTag/}']);
+    });
+  });
+
+  describe('resolveStatement', () => {
+    it('resolves Resource, NotResource and Condition values', () => {
+      const statement = {
+        Effect: 'Allow',
+        Action: 's3:ListBucket',
+        Resource: 'arn:aws:s3:::bucket',
+        NotResource: ['arn:aws:s3:::bucket/${aws:username}/private'],
+        Condition: { StringLike: { 's3:prefix': ['home/${aws:username}/*'] } }
+      };
+
+      expect(PolicyVariables.resolveStatement(statement, context)).toEqual({
+        ...statement,
+        Resource: ['arn:aws:s3:::bucket'],
+        NotResource: ['arn:aws:s3:::bucket/alice/private'],
+        Condition: { StringLike: { 's3:prefix': ['home/alice/*'] } }
+      });
+    });
+
+    it('returns null when a Resource, NotResource or Condition value cannot be resolved', () => {
+      const base = { Effect: 'Deny', Action: 's3:*' };
+
+      expect(PolicyVariables.resolveStatement({ ...base, Resource: 'home/${aws:PrincipalTag/cost}' }, context)).toBeNull();
+      expect(PolicyVariables.resolveStatement({ ...base, NotResource: ['a', '${aws:PrincipalTag/cost}'] }, context)).toBeNull();
+      expect(PolicyVariables.resolveStatement({
+        ...base,
+        Resource: '*',
+        Condition: { StringNotEquals: { 's3:prefix': '${aws:PrincipalTag/cost}' } }
+      }, context)).toBeNull();
+    });
+  });
+
+  describe('PolicyEngine.evaluatePolicy', () => {
+    const engine = new PolicyEngine();
+    const policy = (statements, version = '2012-10-17') => ({ document: { Version: version, Statement: statements } });
+
+    it('allows resources named after the principal', () => {
+      const document = policy([{ Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::bucket/home/${aws:username}/*' }]);
+
+      expect(engine.evaluatePolicy(document, 's3:GetObject', 'arn:aws:s3:::bucket/home/alice/file', context).effect).toBe('Allow');
+      expect(engine.evaluatePolicy(document, 's3:GetObject', 'arn:aws:s3:::bucket/home/bob/file', context).matched).toBe(false);
+    });
+
+    it('skips a statement with an unresolved variable instead of widening it', () => {
+      const document = policy([
+        { Effect: 'Allow', Action: 's3:GetObject', Resource: '*' },
+        { Effect: 'Deny', Action: 's3:GetObject', NotResource: 'arn:aws:s3:::bucket/${aws:PrincipalTag/cost}/*' }
+      ]);
+
+      expect(engine.evaluatePolicy(document, 's3:GetObject', 'arn:aws:s3:::bucket/other/file', context).effect).toBe('Allow');
+      expect(engine.evaluatePolicy(document, 's3:GetObject', 'arn:aws:s3:::bucket/other/file', {
+        ...context,
+        'aws:PrincipalTag/cost': 'eng'
+      }).effect).toBe('Deny');
+    });
+
+    it('treats variables literally in documents with the 2008-10-17 version', () => {
+      const document = policy([{ Effect: 'Allow', Action: 's3:GetObject', Resource: 'arn:aws:s3:::bucket/${aws:username}' }], '2008-10-17');
+
+      expect(engine.evaluatePolicy(document, 's3:GetObject', 'arn:aws:s3:::bucket/alice', context).matched).toBe(false);
+    });
+  });
+});
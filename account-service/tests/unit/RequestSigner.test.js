@@ -0,0 +1,74 @@
+const { RequestSigner } = require('../../src/utils/RequestSigner');
+
+describe('RequestSigner', () => {
+  it('computes the signature of the AWS SigV4 get-vanilla test case', () => {
+    const amzDate = '20150830T123600Z';
+    const scope = '20150830/us-east-1/service/aws4_request';
+    const canonicalRequest = RequestSigner.buildCanonicalRequest({
+      method: 'GET',
+      path: '/',
+      query: '',
+      headers: { host: 'example.amazonaws.com', 'x-amz-date': amzDate },
+      payloadHash: RequestSigner.hash('')
+    }, ['host', 'x-amz-date']);
+
+    const signature = RequestSigner.computeSignature(
+      'wJalrXUtnFEMI/K7MDENG+bPxRfiCYEXAMPLEKEY',
+      scope,
+      RequestSigner.buildStringToSign(amzDate, scope, canonicalRequest)
+    );
+
+    expect(signature).toBe('5fa00fa31553b73ebf1942676e86291e8372ff2a2260956d9b8aae1d763fbf31');
+  });
+
+  describe('parseAuthorization', () => {
+    const signature = 'a'.repeat(64);
+    const header = 'AWS4-HMAC-SHA256 Credential=AKIAEXAMPLE/20150830/us-east-1/iam/aws4_request, ' +
+      `SignedHeaders=host;x-amz-date, Signature=${signature}`;
+
+    it('reads the credential scope, signed headers and signature', () => {
+      expect(RequestSigner.parseAuthorization(header)).toMatchObject({
+        accessKeyId: 'AKIAEXAMPLE',
+        date: '20150830',
+        region: 'us-east-1',
+        service: 'iam',
+        scope: '20150830/us-east-1/iam/aws4_request',
+        signedHeaders: ['host', 'x-amz-date'],
+        signature
+      });
+    });
+
+    it('requires host and x-amz-date to be signed', () => {
+      expect(() => RequestSigner.parseAuthorization(header.replace('host;x-amz-date', 'host')))
+        .toThrow(expect.objectContaining({ code: 'INCOMPLETE_SIGNATURE' }));
+    });
+
+    it('requires a hex SHA-256 signature', () => {
+      expect(() => RequestSigner.parseAuthorization(header.replace(signature, 'abc123')))
+        .toThrow(expect.objectContaining({ code: 'INCOMPLETE_SIGNATURE' }));
+    });
+
+    it('requires Credential, SignedHeaders and Signature', () => {
+      expect(() => RequestSigner.parseAuthorization('AWS4-HMAC-SHA256 Credential=AKIAEXAMPLE/20150830/us-east-1/iam/aws4_request'))
+        .toThrow(expect.objectContaining({ code: 'INCOMPLETE_SIGNATURE' }));
+    });
+  });
+
+  it('round-trips X-Amz-Date values', () => {
+    const date = new Date('2024-03-05T07:08:09Z');
+
+    expect(RequestSigner.formatAmzDate(date)).toBe('20240305T070809Z');
+    expect(RequestSigner.parseAmzDate('20240305T070809Z')).toEqual(date);
+    expect(RequestSigner.parseAmzDate('2024-03-05T07:08:09Z')).toBeNull();
+  });
+
+  it('signs the session token header when signing with role session credentials', () => {
+    const headers = RequestSigner.sign(
+      { method: 'GET', url: '/api/v1/users', host: 'localhost:3001' },
+      { accessKeyId: 'ASIAEXAMPLE', secretAccessKey: 'secret', sessionToken: 'token' }
+    );
+
+    expect(headers['X-Amz-Security-Token']).toBe('token');
+    expect(RequestSigner.parseAuthorization(headers.Authorization).signedHeaders).toContain('x-amz-security-token');
+  });
+});
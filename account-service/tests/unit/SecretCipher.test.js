@@ -0,0 +1,31 @@
+const { SecretCipher } = require('../../src/utils/SecretCipher');
+
+describe('SecretCipher', () => {
+  const cipher = new SecretCipher('test-encryption-key');
+
+  it('decrypts what it encrypts', () => {
+    const payload = cipher.encrypt('JBSWY3DPEHPK3PXP');
+
+    expect(payload).toMatch(/^[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+:[A-Za-z0-9+/=]+$/);
+    expect(payload).not.toContain('JBSWY3DPEHPK3PXP');
+    expect(cipher.decrypt(payload)).toBe('JBSWY3DPEHPK3PXP');
+  });
+
+  it('uses a random IV for every encryption', () => {
+    expect(cipher.encrypt('secret')).not.toBe(cipher.encrypt('secret'));
+  });
+
+  it('fails to decrypt with another key', () => {
+    const payload = cipher.encrypt('secret');
+
+    expect(() => new SecretCipher('another-key').decrypt(payload)).toThrow();
+  });
+
+  it('fails to decrypt a tampered ciphertext', () => {
+    const [iv, tag, ciphertext] = cipher.encrypt('secret').split(':');
+    const bytes = Buffer.from(ciphertext, 'base64');
+    bytes[0] ^= 1;
+
+    expect(() => cipher.decrypt([iv, tag, bytes.toString('base64')].join(':'))).toThrow();
+  });
+});
@@ -0,0 +1,75 @@
+const { Totp } = require('../../src/utils/Totp');
+
+// RFC 6238 appendix B: SHA-1 with the ASCII secret "12345678901234567890"
+const RFC_SECRET = Totp.base32Encode(Buffer.from('12345678901234567890', 'ascii'));
+const RFC_VECTORS = [
+  [59, '94287082'],
+  [1111111109, '07081804'],
+  [1111111111, '14050471'],
+  [1234567890, '89005924'],
+  [2000000000, '69279037'],
+  [20000000000, '65353130']
+];
+
+describe('Totp', () => {
+  describe('RFC 6238 test vectors', () => {
+    const digits = Totp.DIGITS;
+
+    afterEach(() => {
+      Totp.DIGITS = digits;
+    });
+
+    it.each(RFC_VECTORS)('generates the 8-digit code at T=%d', (seconds, code) => {
+      Totp.DIGITS = 8;
+      expect(Totp.generate(RFC_SECRET, Totp.getStep(seconds * 1000))).toBe(code);
+    });
+
+    it.each(RFC_VECTORS)('generates the 6-digit code at T=%d', (seconds, code) => {
+      expect(Totp.generate(RFC_SECRET, Totp.getStep(seconds * 1000))).toBe(code.slice(-6));
+    });
+  });
+
+  describe('findStep', () => {
+    const timestamp = 1111111111 * 1000;
+    const step = Totp.getStep(timestamp);
+
+    it('accepts codes of the current step and of the drift window', () => {
+      expect(Totp.findStep(RFC_SECRET, Totp.generate(RFC_SECRET, step), { timestamp })).toBe(step);
+      expect(Totp.findStep(RFC_SECRET, Totp.generate(RFC_SECRET, step - 1), { timestamp })).toBe(step - 1);
+      expect(Totp.findStep(RFC_SECRET, Totp.generate(RFC_SECRET, step + 1), { timestamp })).toBe(step + 1);
+    });
+
+    it('rejects codes outside the window', () => {
+      expect(Totp.findStep(RFC_SECRET, Totp.generate(RFC_SECRET, step - 2), { timestamp })).toBeNull();
+      expect(Totp.findStep(RFC_SECRET, Totp.generate(RFC_SECRET, step - 2), { timestamp, window: 2 })).toBe(step - 2);
+    });
+
+    it('rejects malformed codes', () => {
+      expect(Totp.findStep(RFC_SECRET, '12345', { timestamp })).toBeNull();
+      expect(Totp.findStep(RFC_SECRET, '12345a', { timestamp })).toBeNull();
+      expect(Totp.findStep(RFC_SECRET, 50471, { timestamp })).toBeNull();
+    });
+  });
+
+  describe('base32', () => {
+    it('round-trips random secrets', () => {
+      const secret = Totp.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(Totp.base32Encode(Totp.base32Decode(secret))).toBe(secret);
+    });
+
+    it('decodes lowercase input with padding and spaces', () => {
+      expect(Totp.base32Decode('mzxw 6ytb oi======').toString()).toBe('foobar');
+    });
+
+    it('rejects invalid characters', () => {
+      expect(() => Totp.base32Decode('MZXW1')).toThrow('Invalid base32 character: 1');
+    });
+  });
+
+  it('builds the otpauth URI imported by authenticator apps', () => {
+    expect(Totp.buildUri({ issuer: 'IAM Platform', accountName: 'alice@123456789012', secret: 'JBSWY3DPEHPK3PXP' }))
+      .toBe('otpauth://totp/IAM%20Platform%3Aalice%40123456789012?secret=JBSWY3DPEHPK3PXP&issuer=IAM%20Platform&algorithm=SHA1&digits=6&period=30');
+  });
+});